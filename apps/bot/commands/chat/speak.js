@@ -3,7 +3,6 @@ const { PermissionFlagsBits } = require('discord.js');
 const speechStyles = require('@goobster/core/utils/speechStyles');
 const { joinVoiceChannel, VoiceConnectionStatus, entersState } = require('@discordjs/voice');
 const { voiceService } = require('@goobster/core/services/serviceManager');
-const config = require('../../../../config.json');
 
 // Marks a (shared, per-guild) voice connection that already has this
 // command's lifecycle handlers, so repeated /speak calls don't stack them.
@@ -12,7 +11,7 @@ const SPEAK_HANDLERS_ATTACHED = Symbol('speakHandlersAttached');
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('speak')
-        .setDescription('Speak text aloud in your voice channel (ElevenLabs)')
+        .setDescription('Speak text aloud in your voice channel')
         .addStringOption(option =>
             option.setName('message')
                 .setDescription('The text to convert to speech')
@@ -20,7 +19,7 @@ module.exports = {
         )
         .addStringOption(option =>
             option.setName('voice')
-                .setDescription('The voice style to use')
+                .setDescription('Voice for this message (a name or id; default: the /setvoice voice)')
                 .setRequired(false)
                 .setAutocomplete(false))
         .addStringOption(option =>
@@ -74,7 +73,7 @@ module.exports = {
 
             // Get command options
             let messageText = interaction.options.getString('message');
-            const voiceOption = interaction.options.getString('voice') || config.elevenlabs?.voiceId || 'Rachel';
+            const voiceOption = interaction.options.getString('voice');
             const style = interaction.options.getString('style');
             const randomEffects = interaction.options.getBoolean('random_effects') || false;
             const emphasize = interaction.options.getBoolean('emphasize') || false;
@@ -112,7 +111,7 @@ module.exports = {
                 return await interaction.editReply('❌ Failed to establish voice connection.');
             }
             
-            // No local player; ElevenLabs service will handle subscription
+            // No local player; the TTS service will handle subscription
             
             // Attach connection lifecycle handlers once per connection - the
             // connection is shared and reused, so repeated /speak invocations
@@ -144,22 +143,16 @@ module.exports = {
                 await voiceService.initialize();
             }
 
-            const ttsEngine = voiceService.tts;
+            const ttsEngine = voiceService.ttsFor('speak');
             if (!ttsEngine || ttsEngine.disabled) {
                 return await interaction.editReply('❌ Text-to-speech engine is not configured.');
             }
 
-            // Allow users to override voice when ElevenLabs is the active engine
-            try {
-                const ElevenLabsTTSService = require('@goobster/core/services/voice/elevenLabsTTSService');
-                if (ttsEngine instanceof ElevenLabsTTSService && voiceOption) {
-                    ttsEngine.voiceId = voiceOption;
-                }
-            } catch {}
-
             await interaction.editReply('🎙️ Generating speech...');
 
-            await ttsEngine.textToSpeech(messageText, voiceChannel, connection);
+            // The voice option applies to this message only (a name or id
+            // from the speaking backend's library; /setvoice sets the default)
+            await ttsEngine.textToSpeech(messageText, voiceChannel, connection, { voiceId: voiceOption });
             await interaction.editReply('✨ Speech generated!');
 
         } catch (error) {
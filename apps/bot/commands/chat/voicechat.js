@@ -21,8 +21,8 @@ module.exports = {
                     option.setName('engine')
                         .setDescription('Voice pipeline (default: realtime)')
                         .addChoices(
-                            { name: 'Realtime - low latency, interruptible (ElevenLabs STT+TTS)', value: 'realtime' },
-                            { name: 'Classic - batch pipeline (OpenAI STT + ElevenLabs TTS)', value: 'classic' }
+                            { name: 'Realtime - low latency, interruptible (ElevenLabs or local STT + TTS)', value: 'realtime' },
+                            { name: 'Classic - batch pipeline (OpenAI or local STT + ElevenLabs or Piper TTS)', value: 'classic' }
                         ))
                 .addBooleanOption(option =>
                     option.setName('transcript')
@@ -62,8 +62,9 @@ module.exports = {
             try {
                 await voiceService.initialize(); // no-op when already initialized
 
-                if (!voiceService.tts) {
-                    await interaction.editReply('❌ Voice conversations require ElevenLabs TTS (set ELEVENLABS_API_KEY).');
+                const ttsService = voiceService.ttsFor('voicechat');
+                if (!ttsService) {
+                    await interaction.editReply('❌ Voice conversations require text-to-speech (set ELEVENLABS_API_KEY, or install Piper voices).');
                     return;
                 }
 
@@ -74,7 +75,7 @@ module.exports = {
                     voiceChannel,
                     textChannel: wantTranscript ? interaction.channel : null,
                     client: interaction.client,
-                    ttsService: voiceService.tts,
+                    ttsService,
                     mode,
                     engine
                 });
@@ -0,0 +1,178 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { EconomyError } = require('@goobster/core/services/economyService');
+const { StockError } = require('@goobster/core/services/stockService');
+const bookService = require('@goobster/core/services/exchange/bookService');
+const optionsMarket = require('@goobster/core/services/exchange/optionsMarket');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
+const { ExchangeError } = require('@goobster/core/services/exchange/errors');
+const usageTracker = require('@goobster/core/services/usageTracker');
+
+const STATUS_ICONS = {
+    OPEN: '⏳', FILLED: '✅', CANCELLED: '🚫', EXPIRED: '⌛', REJECTED: '❌'
+};
+
+const SIDE_CHOICES = [{ name: 'bid (buy)', value: 'BID' }, { name: 'ask (sell)', value: 'ASK' }];
+
+function optionContract(sub) {
+    return sub
+        .addStringOption(opt => opt.setName('symbol').setDescription('Underlying, e.g. AAPL or SPX').setRequired(true))
+        .addStringOption(opt => opt.setName('type').setDescription('Call or put').setRequired(true)
+            .addChoices({ name: 'call', value: 'CALL' }, { name: 'put', value: 'PUT' }))
+        .addNumberOption(opt => opt.setName('strike').setDescription('Strike price').setRequired(true).setMinValue(0.01))
+        .addStringOption(opt => opt.setName('expiry').setDescription('Expiry date, YYYY-MM-DD').setRequired(true));
+}
+
+/**
+ * The member-to-member order book: bids and asks between traders on event
+ * contracts and option contracts, matched with price-time priority. A bid
+ * escrows its cost up front; an ask sells contracts you already hold.
+ */
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('book')
+        .setDescription('Trade event contracts and options with other members instead of the house.')
+        .addSubcommand(sub =>
+            sub.setName('event')
+                .setDescription('Bid for or offer event contracts')
+                .addStringOption(opt => opt.setName('action').setDescription('Buy or sell').setRequired(true).addChoices(...SIDE_CHOICES))
+                .addIntegerOption(opt => opt.setName('market').setDescription('Market id from /predict markets').setRequired(true))
+                .addStringOption(opt => opt.setName('outcome').setDescription('Which side of the market').setRequired(true)
+                    .addChoices({ name: 'yes', value: 'YES' }, { name: 'no', value: 'NO' }))
+                .addIntegerOption(opt => opt.setName('contracts').setDescription('How many').setRequired(true).setMinValue(1))
+                .addIntegerOption(opt => opt.setName('price').setDescription('Limit price per contract (1-99; each pays 100 if right)').setRequired(true).setMinValue(1).setMaxValue(99)))
+        .addSubcommand(sub =>
+            optionContract(sub.setName('option')
+                .setDescription('Bid for an option contract, or offer contracts you hold')
+                .addStringOption(opt => opt.setName('action').setDescription('Buy or sell').setRequired(true).addChoices(...SIDE_CHOICES)))
+                .addIntegerOption(opt => opt.setName('contracts').setDescription('How many').setRequired(true).setMinValue(1))
+                .addIntegerOption(opt => opt.setName('price').setDescription('Limit price in points per contract (premium x 100)').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('depth')
+                .setDescription("An event market's book: best bids, asks, and the last trade")
+                .addIntegerOption(opt => opt.setName('market').setDescription('Market id from /predict markets').setRequired(true)))
+        .addSubcommand(sub =>
+            optionContract(sub.setName('option-depth')
+                .setDescription("An option contract's book: best bids, asks, and the last trade")))
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Your book orders')
+                .addStringOption(opt => opt.setName('show').setDescription('Which orders (default: working)')
+                    .addChoices({ name: 'working', value: 'working' }, { name: 'all', value: 'all' })))
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('Cancel a working book order (a bid gets its escrow back)')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Order id from /book list').setRequired(true))),
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: 'The exchange only works in servers.', ephemeral: true });
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
+        const subcommand = interaction.options.getSubcommand();
+        await usageTracker.logCommand({ command: 'book', guildId: interaction.guildId, userId });
+
+        await interaction.deferReply();
+
+        try {
+            if (subcommand === 'event' || subcommand === 'option') {
+                const common = {
+                    guildId, userId,
+                    side: interaction.options.getString('action'),
+                    contracts: interaction.options.getInteger('contracts'),
+                    price: interaction.options.getInteger('price')
+                };
+                const { order, fills } = subcommand === 'event'
+                    ? await bookService.placeEventOrder({
+                        ...common,
+                        marketId: interaction.options.getInteger('market'),
+                        outcome: interaction.options.getString('outcome')
+                    })
+                    : await bookService.placeOptionOrder({ ...common, ...contractOptions(interaction) });
+
+                const traded = fills.reduce((sum, fill) => sum + fill.contracts, 0);
+                const lines = [
+                    `📒 Order \`#${order.id}\`: **${order.side.toLowerCase()} ${order.contracts}x ${bookService.describe(order)}** at **${order.price} ${currencyName}** each.`
+                ];
+                if (fills.length > 0) {
+                    lines.push(`⚡ Matched **${traded}** contract(s) in ${fills.length} fill(s): ` +
+                        fills.map(fill => `${fill.contracts} @ ${fill.price}`).join(', ') + '.');
+                }
+                lines.push(order.status === 'OPEN'
+                    ? `⏳ ${order.contracts - order.filled} contract(s) resting on the book` +
+                      `${order.escrow > 0 ? ` with **${order.escrow.toLocaleString()} ${currencyName}** in escrow` : ''}.`
+                    : order.status === 'FILLED' ? '✅ Fully filled.' : `${STATUS_ICONS[order.status]} ${order.note}`);
+                await interaction.editReply(lines.join('\n'));
+
+            } else if (subcommand === 'depth' || subcommand === 'option-depth') {
+                let instrumentLabel;
+                let books;
+                if (subcommand === 'depth') {
+                    const marketId = interaction.options.getInteger('market');
+                    instrumentLabel = `market #${marketId}`;
+                    books = [
+                        ['YES', await bookService.depth({ guildId, instrument: bookService.eventInstrument(marketId, 'YES') })],
+                        ['NO', await bookService.depth({ guildId, instrument: bookService.eventInstrument(marketId, 'NO') })]
+                    ];
+                } else {
+                    const contract = contractOptions(interaction);
+                    const underlying = optionsMarket.resolveUnderlying(contract.symbol).symbol;
+                    instrumentLabel = `${underlying} ${contract.strike} ${contract.optionType} ${contract.expiry}`;
+                    books = [['Contract', await bookService.depth({
+                        guildId, instrument: bookService.optionInstrument({ ...contract, underlying })
+                    })]];
+                }
+                const embed = new EmbedBuilder()
+                    .setTitle(`📒 Order book — ${instrumentLabel}`)
+                    .setColor(0x5865f2)
+                    .setFooter({ text: 'Price-time priority: best price first, oldest first at a price. Trades execute at the resting price.' });
+                for (const [name, book] of books) {
+                    const side = levels => levels.length === 0 ? '—' : levels.map(level => `**${level.price}** × ${level.contracts}`).join('\n');
+                    embed.addFields({
+                        name: `${name}${book.last === null ? '' : ` · last ${book.last}`}`,
+                        value: `Bids\n${side(book.bids)}\nAsks\n${side(book.asks)}`,
+                        inline: true
+                    });
+                }
+                await interaction.editReply({ embeds: [embed] });
+
+            } else if (subcommand === 'list') {
+                const show = interaction.options.getString('show') || 'working';
+                const orders = await bookService.list({ guildId, userId, status: show === 'working' ? 'OPEN' : 'all', limit: 20 });
+                if (orders.length === 0) {
+                    await interaction.editReply(show === 'working' ? 'Nothing of yours on the book.' : 'No book orders yet.');
+                    return;
+                }
+                const lines = orders.map(order =>
+                    `${STATUS_ICONS[order.status] || '•'} \`#${order.id}\` **${order.side} ${order.contracts}x ${bookService.describe(order)}** @ ${order.price}` +
+                    ` — filled ${order.filled}${order.escrow > 0 ? ` · ${order.escrow.toLocaleString()} escrowed` : ''}` +
+                    `${order.note ? ` → ${order.note}` : ''}`);
+                await interaction.editReply({
+                    embeds: [new EmbedBuilder().setTitle('📒 Your book orders').setColor(0x5865f2).setDescription(lines.join('\n'))]
+                });
+
+            } else if (subcommand === 'cancel') {
+                const order = await bookService.cancel({ guildId, userId, id: interaction.options.getInteger('id') });
+                await interaction.editReply(
+                    `🚫 Cancelled book order \`#${order.id}\` (${order.side.toLowerCase()} ${bookService.describe(order)})` +
+                    `${order.refunded > 0 ? ` — **${order.refunded.toLocaleString()} ${currencyName}** of escrow returned.` : '.'}`
+                );
+            }
+        } catch (error) {
+            const friendly = error instanceof ExchangeError || error instanceof EconomyError || error instanceof StockError;
+            if (!friendly) console.error('Book command error:', error);
+            await interaction.editReply(friendly ? `❌ ${error.message}` : '❌ Something went wrong on the book.');
+        }
+    }
+};
+
+function contractOptions(interaction) {
+    return {
+        symbol: interaction.options.getString('symbol'),
+        optionType: interaction.options.getString('type'),
+        strike: interaction.options.getNumber('strike'),
+        expiry: interaction.options.getString('expiry')
+    };
+}
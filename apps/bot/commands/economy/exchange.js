@@ -1,15 +1,23 @@
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits } = require('discord.js');
 const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
 const { StockError } = require('@goobster/core/services/stockService');
 const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
 const exchangeEvents = require('@goobster/core/services/exchange/exchangeEvents');
 const auditService = require('@goobster/core/services/exchange/auditService');
 const RiskEngine = require('@goobster/core/services/exchange/riskEngine');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
+const backtestService = require('@goobster/core/services/exchange/backtestService');
+const riskService = require('@goobster/core/services/exchange/riskService');
+const timelineService = require('@goobster/core/services/exchange/timelineService');
+const { toCsv } = require('@goobster/core/services/exchange/timelineMath');
+const { STRATEGIES } = require('@goobster/core/services/exchange/backtestMath');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
+const { renderPriceChart, sparkline } = require('@goobster/core/utils/stockChart');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
-const ADMIN_SUBCOMMANDS = new Set(['settings', 'reconcile', 'tick']);
+const ADMIN_SUBCOMMANDS = new Set(['settings', 'reconcile', 'tick', 'season start', 'season end']);
 
 function money(value, currencyName) {
     return `${Math.round(Number(value)).toLocaleString()} ${currencyName}`;
@@ -31,8 +39,11 @@ async function resolveNames(guild, userIds) {
 
 /**
  * The exchange's control room: audits anyone can read, integrity checks and
- * market rules for admins, and a manual risk-engine tick for when something
- * needs settling right now.
+ * market rules for admins, a manual risk-engine tick for when something
+ * needs settling right now, seasons - sandboxed trading competitions -
+ * backtests of option strategies over real history, book-wide risk:
+ * net greeks, VaR, and shock scenarios - and the forensic timeline, for
+ * reconstructing what happened to an account and when.
  */
 module.exports = {
     data: new SlashCommandBuilder()
@@ -53,6 +64,45 @@ module.exports = {
                 .setDescription('What the risk engine has been doing')
                 .addUserOption(opt => opt.setName('user').setDescription('Only this trader'))
                 .addIntegerOption(opt => opt.setName('limit').setDescription('How many entries (1-25)').setMinValue(1).setMaxValue(25)))
+        .addSubcommand(sub =>
+            sub.setName('risk')
+                .setDescription('Net greeks, value at risk, and who breaks under a shock scenario')
+                .addStringOption(opt => opt.setName('scenario').setDescription('Shocks to apply, e.g. "SPY -10%, vol +20" or "market -5%"').setMaxLength(200))
+                .addUserOption(opt => opt.setName('user').setDescription('Only this trader (default: the whole server)')))
+        .addSubcommand(sub =>
+            sub.setName('timeline')
+                .setDescription('Download the ledger and engine log as one ordered stream, with the quote at each step')
+                .addUserOption(opt => opt.setName('user').setDescription('Whose account (default: you)'))
+                .addBooleanOption(opt => opt.setName('server').setDescription('Every account in the server instead (Manage Server)'))
+                .addStringOption(opt => opt.setName('from').setDescription('Start, YYYY-MM-DD HH:MM (UTC)').setMaxLength(40))
+                .addStringOption(opt => opt.setName('to').setDescription('End, YYYY-MM-DD HH:MM (UTC)').setMaxLength(40))
+                .addStringOption(opt => opt.setName('format').setDescription('File format (default CSV)')
+                    .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })))
+        .addSubcommand(sub =>
+            sub.setName('replay')
+                .setDescription('Rebuild an account as it stood at a past moment and compare it with now')
+                .addStringOption(opt => opt.setName('at').setDescription('When, YYYY-MM-DD HH:MM (UTC)').setRequired(true).setMaxLength(40))
+                .addUserOption(opt => opt.setName('user').setDescription('Whose account (default: you)')))
+        .addSubcommand(sub =>
+            sub.setName('backtest')
+                .setDescription('What would a strategy have done over real history? Nothing is traded.')
+                .addStringOption(opt => opt.setName('symbol').setDescription('Ticker, e.g. SPY or SPX').setRequired(true))
+                .addStringOption(opt => opt.setName('strategy').setDescription('The rules to replay').setRequired(true)
+                    .addChoices(...Object.entries(STRATEGIES).map(([value, name]) => ({ name, value }))))
+                .addStringOption(opt => opt.setName('range').setDescription('How far back (default 1y)')
+                    .addChoices(...backtestService.RANGES.map(range => ({ name: range, value: range }))))
+                .addStringOption(opt => opt.setName('source').setDescription('Where the closes come from (default: live history)')
+                    .addChoices(
+                        { name: 'Live history', value: 'live' },
+                        { name: 'Cached prices (deterministic, offline)', value: 'cached' }
+                    ))
+                .addIntegerOption(opt => opt.setName('capital').setDescription('Starting points (default: 10,000, or one 100-share lot)').setMinValue(100).setMaxValue(100_000_000))
+                .addIntegerOption(opt => opt.setName('days').setDescription('Contract tenor, or days between periodic buys (default 7)').setMinValue(1).setMaxValue(90))
+                .addNumberOption(opt => opt.setName('otm').setDescription('Percent out of the money for short strikes (default 5)').setMinValue(0).setMaxValue(50))
+                .addNumberOption(opt => opt.setName('wing').setDescription('Iron condor wing width in percent (default 5)').setMinValue(0.5).setMaxValue(50))
+                .addIntegerOption(opt => opt.setName('contracts').setDescription('Contracts per cycle (default 1)').setMinValue(1).setMaxValue(100))
+                .addIntegerOption(opt => opt.setName('amount').setDescription('Points per periodic buy (default: the capital spread evenly)').setMinValue(1))
+                .addNumberOption(opt => opt.setName('fee').setDescription('Commission per contract, on top of the house spread (default 0)').setMinValue(0).setMaxValue(100)))
         .addSubcommand(sub =>
             sub.setName('reconcile')
                 .setDescription('Integrity checks: prove the books add up (Manage Server)'))
@@ -76,7 +126,38 @@ module.exports = {
                 .addNumberOption(opt => opt.setName('borrow_fee').setDescription('Annual short borrow fee, e.g. 0.05').setMinValue(0).setMaxValue(2))
                 .addNumberOption(opt => opt.setName('maintenance').setDescription('Maintenance margin on longs, e.g. 0.25').setMinValue(0.05).setMaxValue(1))
                 .addNumberOption(opt => opt.setName('short_maintenance').setDescription('Maintenance margin on shorts, e.g. 0.35').setMinValue(0.05).setMaxValue(2))
-                .addIntegerOption(opt => opt.setName('grace_minutes').setDescription('Minutes a margin call may sit before liquidation').setMinValue(0).setMaxValue(1440))),
+                .addIntegerOption(opt => opt.setName('grace_minutes').setDescription('Minutes a margin call may sit before liquidation').setMinValue(0).setMaxValue(1440)))
+        .addSubcommandGroup(group =>
+            group.setName('season')
+                .setDescription('Time-boxed trading competitions on a separate bankroll')
+                .addSubcommand(sub =>
+                    sub.setName('start')
+                        .setDescription('Open a season (Manage Server)')
+                        .addStringOption(opt => opt.setName('name').setDescription('What the season is called').setRequired(true).setMaxLength(60))
+                        .addIntegerOption(opt => opt.setName('bankroll').setDescription('Season points every entrant starts with').setRequired(true).setMinValue(100).setMaxValue(1_000_000))
+                        .addIntegerOption(opt => opt.setName('days').setDescription('End automatically after this many days (default: ends by hand)').setMinValue(1).setMaxValue(365))
+                        .addNumberOption(opt => opt.setName('max_leverage').setDescription('Highest leverage tier in the season (default: the server rule)').setMinValue(1).setMaxValue(10))
+                        .addStringOption(opt => opt.setName('goblin').setDescription('Same-day contracts in the season (default: opt in)')
+                            .addChoices(
+                                { name: 'Off', value: 'OFF' },
+                                { name: 'Opt in', value: 'OPT_IN' },
+                                { name: 'Everyone', value: 'EVERYONE' }
+                            ))
+                        .addIntegerOption(opt => opt.setName('prize_pool').setDescription('Real points paid to the podium when it ends (50/30/20)').setMinValue(0).setMaxValue(1_000_000)))
+                .addSubcommand(sub =>
+                    sub.setName('join')
+                        .setDescription('Enter the running season and point your trading commands at it'))
+                .addSubcommand(sub =>
+                    sub.setName('desk')
+                        .setDescription('Switch your trading commands between the season and your real account')
+                        .addStringOption(opt => opt.setName('account').setDescription('Which account to trade').setRequired(true)
+                            .addChoices({ name: 'Season', value: 'SEASON' }, { name: 'Main', value: 'MAIN' })))
+                .addSubcommand(sub =>
+                    sub.setName('standings')
+                        .setDescription('The season leaderboard by equity and return'))
+                .addSubcommand(sub =>
+                    sub.setName('end')
+                        .setDescription('Close the season, award trophies, and pay the prize pool (Manage Server)'))),
 
     async execute(interaction) {
         if (!interaction.guildId) {
@@ -86,19 +167,73 @@ module.exports = {
 
         const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const group = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
         const { currencyName } = await economyService.getSettings(guildId);
         await usageTracker.logCommand({ command: 'exchange', guildId, userId });
 
-        if (ADMIN_SUBCOMMANDS.has(subcommand) && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        if (ADMIN_SUBCOMMANDS.has(group ? `${group} ${subcommand}` : subcommand) &&
+            !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
             await interaction.reply({ content: '❌ That needs the Manage Server permission.', ephemeral: true });
             return;
         }
 
-        await interaction.deferReply({ ephemeral: subcommand === 'reconcile' });
+        await interaction.deferReply({ ephemeral: subcommand === 'reconcile' || subcommand === 'desk' });
 
         try {
-            if (subcommand === 'audit') {
+            if (group === 'season') {
+                await runSeason(interaction, subcommand, currencyName);
+
+            } else if (subcommand === 'backtest') {
+                await runBacktest(interaction, currencyName);
+
+            } else if (subcommand === 'risk') {
+                const target = interaction.options.getUser('user');
+                const report = await riskService.report({
+                    guildId,
+                    userId: target?.id || null,
+                    scenario: interaction.options.getString('scenario')
+                });
+                const names = await resolveNames(interaction.guild, (report.scenario?.atRisk || []).slice(0, 10).map(outcome => outcome.userId));
+                await interaction.editReply({ embeds: [riskEmbed(report, target, names, currencyName)] });
+
+            } else if (subcommand === 'timeline') {
+                const wholeServer = interaction.options.getBoolean('server') === true;
+                if (wholeServer && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                    await interaction.editReply('❌ The server-wide timeline needs the Manage Server permission.');
+                    return;
+                }
+                const target = wholeServer ? null : interaction.options.getUser('user') || interaction.user;
+                const format = interaction.options.getString('format') || 'csv';
+                const timeline = await timelineService.timeline({
+                    guildId,
+                    userId: target?.id || null,
+                    from: interaction.options.getString('from'),
+                    to: interaction.options.getString('to'),
+                    limit: timelineService.MAX_LIMIT
+                });
+                if (timeline.entries.length === 0) {
+                    await interaction.editReply('Nothing happened in that window.');
+                    return;
+                }
+                const body = format === 'json' ? JSON.stringify(timeline, null, 2) : toCsv(timeline.entries);
+                const first = timeline.entries[0].at;
+                const last = timeline.entries[timeline.entries.length - 1].at;
+                await interaction.editReply({
+                    content: `🧾 **${timeline.entries.length.toLocaleString()}** step(s) for ${target ? target.username : 'the whole server'}, ` +
+                        `\`${first}\` → \`${last}\` (UTC).` +
+                        `${timeline.truncated ? `\n⚠️ Cut at ${timelineService.MAX_LIMIT.toLocaleString()} steps - pass \`from\` to page forward from \`${last}\`.` : ''}`,
+                    files: [new AttachmentBuilder(Buffer.from(body, 'utf8'), {
+                        name: `timeline_${target ? target.id : guildId}.${format}`
+                    })]
+                });
+
+            } else if (subcommand === 'replay') {
+                const target = interaction.options.getUser('user') || interaction.user;
+                const replay = await timelineService.replay({ guildId, userId: target.id, at: interaction.options.getString('at') });
+                await interaction.editReply({ embeds: [replayEmbed(replay, target, currencyName)] });
+
+            } else if (subcommand === 'audit') {
                 const audit = await auditService.auditGuild({ guildId });
                 const names = await resolveNames(interaction.guild, audit.traders.slice(0, 5).map(trader => trader.userId));
                 await interaction.editReply({ embeds: [guildAuditEmbed(audit, names, currencyName)] });
@@ -237,6 +372,171 @@ module.exports = {
     }
 };
 
+async function runSeason(interaction, subcommand, currencyName) {
+    const guildId = interaction.guildId;
+    const userId = interaction.user.id;
+
+    if (subcommand === 'start') {
+        const days = interaction.options.getInteger('days');
+        const season = await seasonService.start({
+            guildId,
+            name: interaction.options.getString('name'),
+            bankroll: interaction.options.getInteger('bankroll'),
+            prizePool: interaction.options.getInteger('prize_pool') ?? 0,
+            maxLeverage: interaction.options.getNumber('max_leverage'),
+            goblinRule: interaction.options.getString('goblin') ?? 'OPT_IN',
+            endsAt: days ? new Date(stockService.now().getTime() + days * 24 * 60 * 60 * 1000) : null,
+            createdBy: userId
+        });
+        const rules = await exchangeConfig.get(season.scopeId);
+        await interaction.editReply({
+            embeds: [new EmbedBuilder()
+                .setTitle(`🏁 Season started: ${season.name}`)
+                .setColor(0x3ba55d)
+                .setDescription(
+                    `Everyone who joins gets a fresh **${money(season.bankroll, currencyName)}** season bankroll - ` +
+                    'real wallets are never touched. Enter with `/exchange season join`.'
+                )
+                .addFields(
+                    { name: 'Leverage', value: `up to **${rules.maxLeverage}x**`, inline: true },
+                    { name: 'Goblin mode', value: GOBLIN_LABELS[season.goblinRule], inline: true },
+                    { name: 'Prize pool', value: season.prizePool > 0 ? money(season.prizePool, currencyName) : 'glory only', inline: true }
+                )
+                .setFooter({ text: season.endsAt ? `Ends ${season.endsAt} UTC` : 'Ends when an admin runs /exchange season end' })]
+        });
+
+    } else if (subcommand === 'join') {
+        const { season, balance } = await seasonService.join({ guildId, userId });
+        await interaction.editReply(
+            `🏁 You're in **${season.name}** with **${money(balance, currencyName)}** of season money. ` +
+            '`/stocks`, `/margin`, `/options`, `/orders`, `/futures`, `/predict` and `/book` now trade your season account - ' +
+            'switch back any time with `/exchange season desk`.'
+        );
+
+    } else if (subcommand === 'desk') {
+        const { season, desk } = await seasonService.setDesk({ guildId, userId, desk: interaction.options.getString('account') });
+        await interaction.editReply(desk === 'SEASON'
+            ? `🏁 Trading commands now use your **${season.name}** season account.`
+            : '🏦 Trading commands now use your real account. Your season positions keep running.');
+
+    } else if (subcommand === 'standings') {
+        const { season, final, standings } = await seasonService.standings({ guildId });
+        if (standings.length === 0) {
+            await interaction.editReply(`Nobody has joined **${season.name}** yet.`);
+            return;
+        }
+        const shown = standings.slice(0, 10);
+        const names = await resolveNames(interaction.guild, shown.map(row => row.userId));
+        const lines = shown.map(row =>
+            `**${row.rank}.** ${names.get(row.userId)} — ` +
+            (row.equity === null ? 'unpriced' : `**${money(row.equity, currencyName)}** (${row.returnPct >= 0 ? '+' : ''}${row.returnPct.toFixed(1)}%)`) +
+            `${row.trophy ? ` · ${row.trophy}` : ''}${row.payout > 0 ? ` · won ${money(row.payout, currencyName)}` : ''}`);
+        await interaction.editReply({
+            embeds: [new EmbedBuilder()
+                .setTitle(`${final ? '🏆 Final standings' : '📊 Season standings'}: ${season.name}`)
+                .setColor(0xfaa61a)
+                .setDescription(lines.join('\n'))
+                .setFooter({ text: `${standings.length} entrant(s) · bankroll ${season.bankroll.toLocaleString()} · ranked by equity` })]
+        });
+
+    } else if (subcommand === 'end') {
+        const { season, standings } = await seasonService.end({ guildId, endedBy: userId });
+        const podium = standings.filter(row => row.trophy);
+        const names = await resolveNames(interaction.guild, podium.map(row => row.userId));
+        await interaction.editReply({
+            embeds: [new EmbedBuilder()
+                .setTitle(`🏆 ${season.name} is over`)
+                .setColor(0xfaa61a)
+                .setDescription(podium.length === 0
+                    ? 'Nobody entered, so nobody wins.'
+                    : podium.map(row =>
+                        `${row.trophy} — ${names.get(row.userId)} with **${money(row.equity ?? 0, currencyName)}**` +
+                        `${row.payout > 0 ? ` · paid ${money(row.payout, currencyName)}` : ''}`).join('\n'))
+                .setFooter({ text: `${standings.length} entrant(s). Full results: /exchange season standings` })]
+        });
+    }
+}
+
+const GOBLIN_LABELS = {
+    OFF: 'off - no same-day contracts',
+    OPT_IN: 'opt in with `/margin goblin`',
+    EVERYONE: '👺 everyone, from the first trade'
+};
+
+async function runBacktest(interaction, currencyName) {
+    const result = await backtestService.run({
+        symbol: interaction.options.getString('symbol'),
+        strategy: interaction.options.getString('strategy'),
+        range: interaction.options.getString('range') ?? '1y',
+        source: interaction.options.getString('source') ?? 'live',
+        capital: interaction.options.getInteger('capital'),
+        days: interaction.options.getInteger('days'),
+        otmPct: interaction.options.getNumber('otm'),
+        wingPct: interaction.options.getNumber('wing'),
+        contracts: interaction.options.getInteger('contracts'),
+        amount: interaction.options.getInteger('amount'),
+        feePerContract: interaction.options.getNumber('fee')
+    });
+
+    let attachment = null;
+    let spark = null;
+    try {
+        const png = await renderPriceChart({
+            symbol: `${result.symbol} ${result.label.toLowerCase()}`,
+            name: 'equity',
+            points: result.curve,
+            rangeLabel: result.range
+        });
+        attachment = new AttachmentBuilder(png, { name: `backtest_${result.symbol}_${result.strategy}.png` });
+    } catch (error) {
+        console.warn('Backtest chart render failed, using sparkline:', error.message);
+        spark = sparkline(result.curve.map(point => point.close));
+    }
+
+    const drawdown = result.maxDrawdown;
+    const embed = new EmbedBuilder()
+        .setTitle(`🧪 Backtest: ${result.label} on ${result.symbol}`)
+        .setColor(result.returnPct >= 0 ? 0x3ba55d : 0xed4245)
+        .setDescription(
+            `${result.from} → ${result.to}: **${money(result.start, currencyName)}** became **${money(result.end, currencyName)}** ` +
+            `(**${percent(result.returnPct)}**; buy-and-hold ${percent(result.buyHoldPct)}).` +
+            `${spark ? `
+\`${spark}\`` : ''}`
+        )
+        .addFields(
+            {
+                name: 'Max drawdown',
+                value: `${money(drawdown.points, currencyName)} (${drawdown.pct.toFixed(2)}%)` +
+                    `${drawdown.points > 0 ? `
+${drawdown.peakDate} → ${drawdown.troughDate}` : ''}`,
+                inline: true
+            },
+            {
+                name: result.strategy === 'periodic' ? 'Buys' : 'Cycles',
+                value: `**${result.trades}** · win rate **${result.winRate === null ? 'n/a' : `${result.winRate.toFixed(1)}%`}**` +
+                    `${result.skipped > 0 ? `
+${result.skipped} skipped (not enough cash)` : ''}`,
+                inline: true
+            },
+            {
+                name: 'Fees',
+                value: `${money(result.fees, currencyName)}
+spread ${Math.round(result.spreadCost).toLocaleString()} · ` +
+                    `commission ${Math.round(result.commissions).toLocaleString()}`,
+                inline: true
+            }
+        )
+        .setFooter({
+            text: `${result.source === 'cached' ? 'Cached closes (deterministic)' : 'Historical closes'} · simulated premiums from trailing ` +
+                'realized volatility · contracts cash-settle at expiry (the wheel is assigned). Nothing was traded.'
+        });
+    if (result.premium > 0) {
+        embed.addFields({ name: 'Premium collected', value: money(result.premium, currencyName), inline: true });
+    }
+    if (attachment) embed.setImage(`attachment://${attachment.name}`);
+    await interaction.editReply({ embeds: [embed], files: attachment ? [attachment] : [] });
+}
+
 function onOff(value) {
     return value ? 'on' : 'off';
 }
@@ -367,6 +667,113 @@ function guildAuditEmbed(audit, names, currencyName) {
     return embed;
 }
 
+function riskEmbed(report, target, names, currencyName) {
+    const { totals } = report;
+    const embed = new EmbedBuilder()
+        .setTitle(`📉 Exchange risk${target ? ` — ${target.username}` : ''}`)
+        .setColor(report.scenario?.atRisk.length > 0 ? 0xed4245 : 0x5865f2)
+        .setDescription(report.greeks.length === 0
+            ? (target ? 'No open positions.' : 'Nobody on the exchange holds anything yet.')
+            : `Net delta **${signed(totals.deltaDollars)}** ${currencyName} · gamma **${signed(totals.gammaDollars)}** per 1% · ` +
+              `vega **${signed(totals.vega)}** per vol point · theta **${signed(totals.theta)}** per day` +
+              `${report.scope === 'guild' ? `\nAcross ${report.accounts.length} account(s).` : ''}`);
+
+    if (report.greeks.length > 0) {
+        embed.addFields({
+            name: 'By underlying',
+            value: report.greeks.slice(0, 8).map(entry =>
+                `**${entry.symbol}** Δ ${entry.delta.toFixed(1)} (${signed(entry.deltaDollars)}) · Γ ${entry.gamma.toFixed(2)}` +
+                ` · vega ${signed(entry.vega)} · θ ${signed(entry.theta)}`).join('\n')
+        });
+        const risk = report.var;
+        embed.addFields({
+            name: 'Value at risk (1 day, historical)',
+            value: risk
+                ? risk.levels.map(level =>
+                    `${(level.confidence * 100).toFixed(0)}%: **${money(level.var, currencyName)}** (tail average ${money(level.expectedShortfall, currencyName)})`).join('\n') +
+                  `\nWorst day replayed: ${signed(risk.worst.pl)} on ${risk.worst.date} · ${risk.observations} days, ${risk.from} → ${risk.to}`
+                : 'Not enough cached history to replay yet.' +
+                  `${report.missingHistory.length > 0 ? ` No closes stored for ${report.missingHistory.join(', ')}.` : ''}`
+        });
+        if (risk && report.missingHistory.length > 0) {
+            embed.addFields({ name: '⚠️ Left out of VaR', value: `No cached closes for ${report.missingHistory.join(', ')}.` });
+        }
+    }
+
+    if (report.scenario) {
+        const { outcomes, atRisk } = report.scenario;
+        const pl = outcomes.reduce((sum, outcome) => sum + outcome.pl, 0);
+        const lines = atRisk.slice(0, 10).map(outcome => {
+            const label = names.get(outcome.userId) || outcome.userId;
+            const verdict = outcome.status === 'liquidation' ? '💥 liquidated on the spot'
+                : outcome.status === 'margin-call' ? `🚨 margin call, ${money(outcome.shortfall, currencyName)} short` : 'account holds';
+            const plan = outcome.plan.map(step => `${step.direction === 'LONG' ? 'sell' : 'cover'} ${step.units.toFixed(2)} ${step.key}`).join(', ');
+            const perps = outcome.perpLiquidations.map(perp => `${perp.direction.toLowerCase()} ${perp.symbol} perp`).join(', ');
+            return `${label}: ${verdict} (equity ${money(outcome.equity, currencyName)})` +
+                `${plan ? `\n  engine would ${plan}` : ''}${perps ? `\n  liquidates ${perps}` : ''}`;
+        });
+        embed.addFields({
+            name: `Scenario: ${report.scenario.text}`,
+            value: `Book P/L **${signed(pl)} ${currencyName}**.\n` +
+                (atRisk.length === 0 ? '✅ Every account stays above maintenance.' : lines.join('\n').slice(0, 900))
+        });
+    }
+
+    embed.setFooter({
+        text: `${report.pricingGaps > 0 ? `${report.pricingGaps} position(s) could not be priced and are left out · ` : ''}` +
+            'Delta in shares and points · VaR holds volatility still; scenarios fully reprice options. Nothing was traded.'
+    });
+    return embed;
+}
+
+function replayEmbed(replay, target, currencyName) {
+    const { state } = replay;
+    const holdings = [
+        ...Object.entries(state.longs).map(([symbol, units]) => `${symbol} ${units.toFixed(2)} long`),
+        ...Object.entries(state.shorts).map(([symbol, units]) => `${symbol} ${units.toFixed(2)} short`),
+        ...Object.values(state.options).map(lot =>
+            `${lot.side === 'SHORT' ? '-' : ''}${lot.contracts} ${lot.underlying} ${lot.strike} ${lot.optionType.toLowerCase()} ${lot.expiry}`),
+        ...Object.values(state.perps).map(perp => `${perp.direction.toLowerCase()} ${perp.units.toFixed(2)} ${perp.symbol} perp`)
+    ];
+    const describe = change => `${change.field}${change.key ? ` ${change.key}` : ''}: ${change.before} → ${change.after}`;
+    const failing = replay.reconcile.filter(check => !check.ok);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`⏪ ${target.username} at ${replay.at} UTC`)
+        .setColor(replay.drift.length > 0 || failing.length > 0 ? 0xed4245 : 0x5865f2)
+        .setDescription(
+            `Cash **${money(state.cash, currencyName)}** · loan **${money(state.marginLoan, currencyName)}**` +
+            `${state.marginCall ? ' · 🚨 under a margin call' : ''}` +
+            `${state.liquidations > 0 ? ` · ${state.liquidations} liquidation step(s) so far` : ''}\n` +
+            (holdings.length > 0 ? holdings.slice(0, 12).join('\n') : 'No open positions.'))
+        .addFields(
+            {
+                name: `Last steps before then (${replay.replayed.toLocaleString()} replayed)`,
+                value: replay.recent.length === 0 ? 'Nothing yet.' : replay.recent.map(entry =>
+                    `\`${entry.at}\` ${entry.kind}${entry.symbol ? ` ${entry.symbol}` : ''}` +
+                    `${entry.amount === null ? '' : ` ${signed(entry.amount)}`}` +
+                    `${entry.quote ? ` @ ${entry.quote.price}${entry.quote.source === 'snapshot' ? ' (cached)' : ''}` : ''}`).join('\n').slice(0, 1000)
+            },
+            {
+                name: 'Changed since',
+                value: replay.changes.length === 0 ? 'Nothing - the account looks the same today.' : replay.changes.slice(0, 10).map(describe).join('\n')
+            },
+            {
+                name: 'Integrity',
+                value: (replay.drift.length === 0
+                    ? '✅ Replaying the full log lands exactly on today\'s tables.'
+                    : `❌ The log and the tables disagree:\n${replay.drift.slice(0, 6).map(describe).join('\n')}`) +
+                    (failing.length === 0 ? '\n✅ No reconcile check names this account.' : `\n❌ Reconcile: ${failing.map(check => check.name).join(', ')}`)
+            }
+        )
+        .setFooter({ text: 'Rebuilt from the ledger and the engine log alone. Nothing was changed.' });
+    return embed;
+}
+
 function signed(value) {
     return `${value >= 0 ? '+' : ''}${Math.round(value).toLocaleString()}`;
 }
+
+function percent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
@@ -1,9 +1,9 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
 const { StockError } = require('@goobster/core/services/stockService');
 const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
 const perpsService = require('@goobster/core/services/exchange/perpsService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
@@ -42,11 +42,10 @@ module.exports = {
             return;
         }
 
-        const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
         const subcommand = interaction.options.getSubcommand();
-        const { currencyName } = await economyService.getSettings(guildId);
-        await usageTracker.logCommand({ command: 'futures', guildId, userId });
+        await usageTracker.logCommand({ command: 'futures', guildId: interaction.guildId, userId });
 
         await interaction.deferReply();
 
@@ -1,6 +1,9 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 const gamblingService = require('@goobster/core/services/gamblingService');
+const fairnessService = require('@goobster/core/services/fairnessService');
+const botStrategies = require('@goobster/core/services/tableGames/botStrategies');
 const { EconomyError } = require('@goobster/core/services/economyService');
+const { GameError } = require('@goobster/core/services/tableGames/gameError');
 const { formatHand } = require('@goobster/core/utils/pokerHands');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
@@ -12,9 +15,61 @@ function outcomeLine(outcome, net, currencyName, balance) {
     return `${head} ${delta} ${currencyName} → balance **${balance.toLocaleString()}**`;
 }
 
+/** Footer naming the hand and revealing its seed, with the next commitment. */
+function fairFooter(embed, fair) {
+    if (!fair) return embed;
+    return embed.setFooter({
+        text: `Hand #${fair.handId} · server seed ${fair.serverSeed} · client seed ${fair.clientSeed}\n` +
+            `Next server seed hash: ${fair.nextServerSeedHash} · /gamble verify hand:${fair.handId}`
+    });
+}
+
+/** One line per game: how Goobster plays it at this server's tables. */
+function describeStrategies(settings) {
+    return Object.entries(settings).map(([gameType, name]) => {
+        const profile = botStrategies.strategyFor(gameType, name);
+        return profile
+            ? `**${gameType}** - ${profile.label}: ${profile.description}`
+            : `**${gameType}** - AI: the model decides every move.`;
+    }).join('\n');
+}
+
+function describeOutcome(round) {
+    const outcome = round.outcome || {};
+    if (round.game === 'coinflip') return `The coin landed **${outcome.result}**.`;
+    if (round.game === 'd20') return `Rolls: **${outcome.playerRoll}** vs Goobster's **${outcome.botRoll}**.`;
+    if (round.game === 'poker') return `Hands: ${formatHand(outcome.playerHand || [])} vs the dealer's ${formatHand(outcome.dealerHand || [])}.`;
+    return `A ${round.game} round at the casino tables (${round.steps.length} step(s)).`;
+}
+
+/**
+ * `/gamble verify`: the revealed seeds, the two checks, and what the hand
+ * was - for any hand in this server, /gamble or casino table.
+ */
+function buildVerifyEmbed({ round, hashMatches, outcomeMatches, draws }) {
+    const mark = ok => (ok ? '✅' : '❌');
+    return new EmbedBuilder()
+        .setTitle(`🔒 Hand #${round.id} - ${round.game}${round.status === 'VOID' ? ' (void)' : ''}`)
+        .setColor(hashMatches && outcomeMatches ? OUTCOME_COLORS.win : OUTCOME_COLORS.lose)
+        .setDescription([
+            describeOutcome(round),
+            `${mark(hashMatches)} The revealed server seed hashes to the commitment published before the hand.`,
+            `${mark(outcomeMatches)} The seeds reproduce the hand (${draws} draw${draws === 1 ? '' : 's'}).`
+        ].join('\n'))
+        .addFields(
+            { name: 'Server seed hash (committed)', value: `\`${round.serverSeedHash}\`` },
+            { name: 'Server seed (revealed)', value: `\`${round.serverSeed}\`` },
+            { name: 'Client seed', value: `\`${round.clientSeed}\``.slice(0, 1024) }
+        );
+}
+
 /**
  * Point gambling: coin flips, d20 showdowns, and 5-card poker against the
- * dealer. All games pay even money and settle through the economy ledger.
+ * dealer. All games pay even money and settle through the economy ledger,
+ * and every hand is provably fair: `seed` shows (and sets) the seeds the
+ * next hand uses, `verify` replays any hand from its revealed seeds.
+ * `bot` shows (and, with Manage Server, sets) how Goobster plays at the
+ * server's casino tables: the AI, or a fixed strategy profile.
  */
 module.exports = {
     data: new SlashCommandBuilder()
@@ -33,7 +88,26 @@ module.exports = {
         .addSubcommand(sub =>
             sub.setName('poker')
                 .setDescription('Five-card showdown against the dealer')
-                .addIntegerOption(opt => opt.setName('bet').setDescription('Points to wager').setRequired(true).setMinValue(1))),
+                .addIntegerOption(opt => opt.setName('bet').setDescription('Points to wager').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('seed')
+                .setDescription('See the server seed hash committed for your next hand, or choose your client seed')
+                .addStringOption(opt => opt.setName('client_seed').setDescription('Your new client seed (any text, up to 64 characters)').setMaxLength(64)))
+        .addSubcommand(sub =>
+            sub.setName('verify')
+                .setDescription('Recompute a hand (gamble or casino table) from its revealed seeds')
+                .addIntegerOption(opt => opt.setName('hand').setDescription('Hand number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('bot')
+                .setDescription('How Goobster plays at the casino tables - set a strategy per game (Manage Server)')
+                .addStringOption(opt => opt.setName('game').setDescription('Table game')
+                    .addChoices(...Object.keys(botStrategies.STRATEGIES).map(game => ({ name: game, value: game }))))
+                .addStringOption(opt => opt.setName('strategy').setDescription('ai, or a strategy profile for that game')
+                    .addChoices(
+                        { name: 'AI (the model decides)', value: botStrategies.AI_STRATEGY },
+                        ...Object.values(botStrategies.STRATEGIES).flatMap(list =>
+                            Object.entries(list).map(([value, profile]) => ({ name: profile.label, value })))
+                    ))),
 
     async execute(interaction) {
         if (!interaction.guildId) {
@@ -48,6 +122,47 @@ module.exports = {
         await usageTracker.logCommand({ command: 'gamble', guildId: interaction.guildId, userId: interaction.user.id });
 
         try {
+            if (subcommand === 'seed') {
+                const chosen = interaction.options.getString('client_seed');
+                const commitment = chosen
+                    ? await fairnessService.setClientSeed(interaction.guildId, interaction.user.id, chosen)
+                    : await fairnessService.getCommitment(interaction.guildId, interaction.user.id);
+                await interaction.reply({
+                    content: `🔒 ${chosen ? 'Client seed updated. ' : ''}Your next hand uses:\n` +
+                        `Server seed hash: \`${commitment.serverSeedHash}\`\n` +
+                        `Client seed: \`${commitment.clientSeed}\`\n` +
+                        'The server seed is revealed with the result; `/gamble verify` checks it against this hash.',
+                    ephemeral: true
+                });
+                return;
+            }
+            if (subcommand === 'verify') {
+                const result = await fairnessService.verify(interaction.guildId, interaction.options.getInteger('hand'));
+                await interaction.reply({ embeds: [buildVerifyEmbed(result)] });
+                return;
+            }
+            if (subcommand === 'bot') {
+                const game = interaction.options.getString('game');
+                const strategy = interaction.options.getString('strategy');
+                if (strategy) {
+                    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                        await interaction.reply({ content: '❌ You need Manage Server permission to change how Goobster plays.', ephemeral: true });
+                        return;
+                    }
+                    if (!game) {
+                        await interaction.reply({ content: 'Pick the `game` the strategy is for.', ephemeral: true });
+                        return;
+                    }
+                    await botStrategies.setStrategy({ guildId: interaction.guildId, gameType: game, strategy, userId: interaction.user.id });
+                }
+                const settings = await botStrategies.listStrategies(interaction.guildId);
+                const shown = game ? { [game]: settings[game] } : settings;
+                await interaction.reply({
+                    content: `🤖 ${strategy ? 'Updated. ' : ''}How Goobster plays at this server's tables:\n${describeStrategies(shown)}`,
+                    ephemeral: !strategy
+                });
+                return;
+            }
             if (subcommand === 'coinflip') {
                 const game = await gamblingService.coinflip({ ...base, choice: interaction.options.getString('call') });
                 const embed = new EmbedBuilder()
@@ -57,7 +172,7 @@ module.exports = {
                         `You called **${interaction.options.getString('call')}**, the coin landed **${game.result}**.\n` +
                         outcomeLine(game.won ? 'win' : 'lose', game.net, game.currencyName, game.balance)
                     );
-                await interaction.reply({ embeds: [embed] });
+                await interaction.reply({ embeds: [fairFooter(embed, game.fair)] });
             } else if (subcommand === 'd20') {
                 const game = await gamblingService.d20(base);
                 const embed = new EmbedBuilder()
@@ -67,7 +182,7 @@ module.exports = {
                         `You rolled **${game.playerRoll}** 🆚 Goobster rolled **${game.botRoll}**.\n` +
                         outcomeLine(game.outcome, game.net, game.currencyName, game.balance)
                     );
-                await interaction.reply({ embeds: [embed] });
+                await interaction.reply({ embeds: [fairFooter(embed, game.fair)] });
             } else if (subcommand === 'poker') {
                 const game = await gamblingService.poker(base);
                 const embed = new EmbedBuilder()
@@ -78,11 +193,12 @@ module.exports = {
                         { name: `Dealer's hand - ${game.dealerHandName}`, value: formatHand(game.dealerHand) }
                     )
                     .setDescription(outcomeLine(game.outcome, game.net, game.currencyName, game.balance));
-                await interaction.reply({ embeds: [embed] });
+                await interaction.reply({ embeds: [fairFooter(embed, game.fair)] });
             }
         } catch (error) {
-            const message = error instanceof EconomyError ? `❌ ${error.message}` : '❌ The game hit an error - your points are safe.';
-            if (!(error instanceof EconomyError)) console.error('Gamble command error:', error);
+            const friendly = error instanceof EconomyError || error instanceof GameError;
+            const message = friendly ? `❌ ${error.message}` : '❌ The game hit an error - your points are safe.';
+            if (!friendly) console.error('Gamble command error:', error);
             await interaction.reply({ content: message, ephemeral: true });
         }
     }
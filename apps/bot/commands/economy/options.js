@@ -1,10 +1,10 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
 const { StockError } = require('@goobster/core/services/stockService');
 const optionsMarket = require('@goobster/core/services/exchange/optionsMarket');
 const optionsService = require('@goobster/core/services/exchange/optionsService');
 const accountService = require('@goobster/core/services/exchange/accountService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
@@ -101,11 +101,10 @@ module.exports = {
             return;
         }
 
-        const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
         const subcommand = interaction.options.getSubcommand();
-        const { currencyName } = await economyService.getSettings(guildId);
-        await usageTracker.logCommand({ command: 'options', guildId, userId });
+        await usageTracker.logCommand({ command: 'options', guildId: interaction.guildId, userId });
 
         await interaction.deferReply({ ephemeral: subcommand === 'history' });
 
@@ -1,8 +1,9 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
 const { StockError } = require('@goobster/core/services/stockService');
 const orderService = require('@goobster/core/services/exchange/orderService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
@@ -58,11 +59,10 @@ module.exports = {
             return;
         }
 
-        const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
         const subcommand = interaction.options.getSubcommand();
-        const { currencyName } = await economyService.getSettings(guildId);
-        await usageTracker.logCommand({ command: 'orders', guildId, userId });
+        await usageTracker.logCommand({ command: 'orders', guildId: interaction.guildId, userId });
 
         await interaction.deferReply();
 
@@ -78,7 +78,7 @@ module.exports = {
                     limitPrice: interaction.options.getNumber('limit'),
                     stopPrice: interaction.options.getNumber('stop'),
                     trailPercent: interaction.options.getNumber('trail'),
-                    expiresAt: hours ? new Date(Date.now() + hours * 3_600_000) : null
+                    expiresAt: hours ? new Date(stockService.now().getTime() + hours * 3_600_000) : null
                 });
                 const order = placed.order;
                 await interaction.editReply(
@@ -1,8 +1,9 @@
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
-const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
 const { StockError } = require('@goobster/core/services/stockService');
 const predictionService = require('@goobster/core/services/exchange/predictionService');
+const bookService = require('@goobster/core/services/exchange/bookService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
@@ -51,11 +52,10 @@ module.exports = {
             return;
         }
 
-        const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
         const subcommand = interaction.options.getSubcommand();
-        const { currencyName } = await economyService.getSettings(guildId);
-        await usageTracker.logCommand({ command: 'predict', guildId, userId });
+        await usageTracker.logCommand({ command: 'predict', guildId: interaction.guildId, userId });
 
         if ((subcommand === 'create' || subcommand === 'void')
             && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
@@ -80,12 +80,17 @@ module.exports = {
                     } catch {
                         // A market we cannot price is still worth listing
                     }
+                    const crowd = await bookService.depth({ guildId, instrument: bookService.eventInstrument(market.id, 'YES'), levels: 1 });
                     lines.push(
                         `\`#${market.id}\` **${market.question}**\n` +
                         (pricing
                             ? `  YES **${pricing.yesPrice}** / NO **${pricing.noPrice}** ${currencyName} · ` +
                               `${market.symbol} at $${pricing.spot.toFixed(2)} · resolves ${market.resolvesAt} UTC`
-                            : `  *price unavailable* · resolves ${market.resolvesAt} UTC`)
+                            : `  *price unavailable* · resolves ${market.resolvesAt} UTC`) +
+                        (crowd.bestBid !== null || crowd.bestAsk !== null || crowd.last !== null
+                            ? `\n  Crowd YES: bid ${crowd.bestBid ?? '—'} / ask ${crowd.bestAsk ?? '—'}` +
+                              `${crowd.last === null ? '' : ` · last ${crowd.last}`} (\`/book depth market:${market.id}\`)`
+                            : '')
                     );
                 }
                 await interaction.editReply({
@@ -93,7 +98,7 @@ module.exports = {
                         .setTitle('🔮 Event contracts')
                         .setColor(0x5865f2)
                         .setDescription(lines.join('\n'))
-                        .setFooter({ text: 'Each contract pays 100 points if its side is right, 0 if it is wrong. Prices are the risk-neutral probability plus the house edge.' })]
+                        .setFooter({ text: 'Each contract pays 100 points if its side is right, 0 if it is wrong. House prices are the risk-neutral probability plus the house edge; crowd prices come from /book.' })]
                 });
 
             } else if (subcommand === 'buy') {
@@ -1,10 +1,10 @@
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
-const economyService = require('@goobster/core/services/economyService');
 const { EconomyError } = require('@goobster/core/services/economyService');
 const stockService = require('@goobster/core/services/stockService');
 const { StockError } = require('@goobster/core/services/stockService');
 const stockPortfolioService = require('@goobster/core/services/stockPortfolioService');
 const shortService = require('@goobster/core/services/exchange/shortService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
 const { ExchangeError } = require('@goobster/core/services/exchange/errors');
 const { renderPriceChart, sparkline } = require('@goobster/core/utils/stockChart');
 const usageTracker = require('@goobster/core/services/usageTracker');
@@ -96,12 +96,11 @@ module.exports = {
             return;
         }
 
-        const guildId = interaction.guildId;
         const userId = interaction.user.id;
+        const { guildId, currencyName } = await seasonService.resolveScope(interaction);
         const subcommand = interaction.options.getSubcommand();
-        const { currencyName } = await economyService.getSettings(guildId);
 
-        await usageTracker.logCommand({ command: 'stocks', guildId, userId });
+        await usageTracker.logCommand({ command: 'stocks', guildId: interaction.guildId, userId });
 
         // Everything here can hit the network, so always defer
         const ephemeral = subcommand === 'trades';
@@ -0,0 +1,201 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const economyService = require('@goobster/core/services/economyService');
+const { EconomyError } = require('@goobster/core/services/economyService');
+const { GameError } = require('@goobster/core/services/tableGames/gameError');
+const usageTracker = require('@goobster/core/services/usageTracker');
+
+const FORMAT_NAMES = { SNG: 'Sit-and-go', MTT: 'Multi-table' };
+const STATUS_LABELS = { REGISTERING: '📝 registering', RUNNING: '♠️ running', FINISHED: '🏁 finished', CANCELLED: '🚫 cancelled' };
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+
+function placeLabel(place) {
+    return PLACE_MEDALS[place - 1] || `#${place}`;
+}
+
+function buildStandingsEmbed(standings, currencyName) {
+    const { tournament, alive, finished, blinds, payouts } = standings;
+    const lines = [
+        `**${FORMAT_NAMES[tournament.format]}** hold'em · ${STATUS_LABELS[tournament.status]}`,
+        `Buy-in **${tournament.buyIn.toLocaleString()}** ${currencyName} · pool **${tournament.prizePool.toLocaleString()}** · ` +
+            `${standings.entrants}/${tournament.maxPlayers} players · ${tournament.startingStack.toLocaleString()} starting chips`
+    ];
+    if (tournament.status === 'RUNNING') {
+        lines.push(
+            `Level **${blinds.level}**: blinds ${Math.floor(blinds.big / 2).toLocaleString()}/${blinds.big.toLocaleString()}` +
+            (blinds.nextLevelAt ? ` · next level <t:${Math.floor(blinds.nextLevelAt.getTime() / 1000)}:R>` : '') +
+            ` · ${standings.tables} table(s)`
+        );
+    }
+    if (payouts.length > 0 && tournament.status !== 'CANCELLED') {
+        lines.push(`Pays: ${payouts.map((amount, i) => `${placeLabel(i + 1)} ${amount.toLocaleString()}`).join(' · ')}`);
+    }
+    if (tournament.cancelReason) lines.push(`Cancelled (${tournament.cancelReason}) - every buy-in was refunded.`);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🏆 Tournament #${tournament.id}`)
+        .setColor(0xfaa61a)
+        .setDescription(lines.join('\n'));
+    if (alive.length > 0) {
+        embed.addFields({
+            name: tournament.status === 'RUNNING' ? 'Still in' : 'Registered',
+            value: alive.slice(0, 20).map(entry =>
+                `${entry.name || `<@${entry.userId}>`}` +
+                (entry.chips !== null ? ` — ${entry.chips.toLocaleString()} chips (table ${entry.tableNo})` : '')
+            ).join('\n').slice(0, 1024)
+        });
+    }
+    if (finished.length > 0) {
+        embed.addFields({
+            name: 'Results',
+            value: finished.slice(0, 20).map(entry =>
+                `${placeLabel(entry.place)} ${entry.name || `<@${entry.userId}>`}` +
+                (entry.prize > 0 ? ` — +${entry.prize.toLocaleString()} ${currencyName}` : '')
+            ).join('\n').slice(0, 1024)
+        });
+    }
+    return embed;
+}
+
+/**
+ * Hold'em tournaments played at Activity tables: buy-ins form the prize
+ * pool, players get tournament chips, blinds climb on a clock, and the last
+ * player standing ends it. Runs on the Activity server's tournament
+ * director, so it needs the Activity enabled.
+ */
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('tournament')
+        .setDescription('Hold\'em tournaments at the Activity tables: sit-and-gos and multi-table events.')
+        .addSubcommand(sub =>
+            sub.setName('create')
+                .setDescription('Announce a tournament; registration opens now')
+                .addIntegerOption(opt => opt.setName('buy_in').setDescription('Points each player pays in (the prize pool)').setRequired(true).setMinValue(0))
+                .addStringOption(opt => opt.setName('format').setDescription('Sit-and-go (starts when full) or multi-table (you start it)')
+                    .addChoices({ name: 'Sit-and-go', value: 'SNG' }, { name: 'Multi-table', value: 'MTT' }))
+                .addIntegerOption(opt => opt.setName('players').setDescription('Field size (sit-and-go: up to one table)').setMinValue(2).setMaxValue(60))
+                .addIntegerOption(opt => opt.setName('stack').setDescription('Starting chips (default 1,500)').setMinValue(100).setMaxValue(1000000))
+                .addNumberOption(opt => opt.setName('level_minutes').setDescription('Minutes per blind level (default 10)').setMinValue(1).setMaxValue(120))
+                .addIntegerOption(opt => opt.setName('table_size').setDescription('Seats per table (default 6)').setMinValue(2).setMaxValue(6)))
+        .addSubcommand(sub =>
+            sub.setName('register')
+                .setDescription('Pay the buy-in and take a spot')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Tournament number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('unregister')
+                .setDescription('Give your spot back before it starts (buy-in refunded)')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Tournament number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('start')
+                .setDescription('Start a tournament now (organizer or Manage Server)')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Tournament number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('Call it off and refund every buy-in (organizer or Manage Server)')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Tournament number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('status')
+                .setDescription('Standings, blinds, and payouts')
+                .addIntegerOption(opt => opt.setName('id').setDescription('Tournament number').setRequired(true).setMinValue(1)))
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('Tournaments open for registration or running here')),
+
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: 'Tournaments only run in servers.', ephemeral: true });
+            return;
+        }
+        const director = interaction.client.tournamentDirector;
+        if (!director) {
+            await interaction.reply({ content: 'Tournaments are played at the Activity tables, and the Activity is not enabled on this bot.', ephemeral: true });
+            return;
+        }
+
+        const guildId = interaction.guildId;
+        const userId = interaction.user.id;
+        const subcommand = interaction.options.getSubcommand();
+        const tournamentId = interaction.options.getInteger('id');
+        const canManage = interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) === true;
+        const { currencyName } = await economyService.getSettings(guildId);
+        await usageTracker.logCommand({ command: 'tournament', guildId, userId });
+
+        try {
+            if (subcommand === 'create') {
+                const tournament = await director.create({
+                    guildId,
+                    channelId: interaction.channelId,
+                    createdBy: userId,
+                    format: interaction.options.getString('format') || 'SNG',
+                    buyIn: interaction.options.getInteger('buy_in'),
+                    maxPlayers: interaction.options.getInteger('players'),
+                    startingStack: interaction.options.getInteger('stack') ?? undefined,
+                    levelMinutes: interaction.options.getNumber('level_minutes') ?? undefined,
+                    tableSize: interaction.options.getInteger('table_size')
+                });
+                await interaction.reply(
+                    `🏆 **Tournament #${tournament.id}** - ${FORMAT_NAMES[tournament.format].toLowerCase()} hold'em, ` +
+                    `buy-in **${tournament.buyIn.toLocaleString()}** ${currencyName}, ${tournament.maxPlayers} seats, ` +
+                    `${tournament.startingStack.toLocaleString()} chips, ${tournament.levelMinutes}-minute levels.\n` +
+                    `\`/tournament register id:${tournament.id}\` to enter. ` +
+                    (tournament.format === 'SNG'
+                        ? 'It starts the moment the last seat fills.'
+                        : `<@${userId}> starts it with \`/tournament start\`.`) +
+                    ' Play it in the Casino Activity: enter the tournament number in the lobby.'
+                );
+
+            } else if (subcommand === 'register') {
+                const { tournament, entrants, started } = await director.register({
+                    guildId, tournamentId, userId, name: interaction.member?.displayName || interaction.user.username
+                });
+                await interaction.reply(started
+                    ? `🏆 **${interaction.user.username}** takes the last seat - **tournament #${tournament.id} is on!** ` +
+                      'Open the Casino Activity and enter the tournament number in the lobby to find your table.'
+                    : `🎟️ **${interaction.user.username}** is in tournament #${tournament.id} ` +
+                      `(${entrants}/${tournament.maxPlayers}, pool ${tournament.prizePool.toLocaleString()} ${currencyName}).`);
+
+            } else if (subcommand === 'unregister') {
+                await director.unregister({ guildId, tournamentId, userId });
+                await interaction.reply({ content: `Your spot in tournament #${tournamentId} is released and your buy-in refunded.`, ephemeral: true });
+
+            } else if (subcommand === 'start') {
+                const standings = await director.start({ guildId, tournamentId, byUserId: userId, canManage });
+                await interaction.reply({
+                    content: `🏆 **Tournament #${tournamentId} is on!** Open the Casino Activity and enter the tournament number in the lobby.`,
+                    embeds: [buildStandingsEmbed(standings, currencyName)]
+                });
+
+            } else if (subcommand === 'cancel') {
+                const { refunded } = await director.cancel({ guildId, tournamentId, byUserId: userId, canManage, reason: 'cancelled by the organizer' });
+                await interaction.reply(`🚫 Tournament #${tournamentId} is cancelled - ${refunded} buy-in(s) refunded.`);
+
+            } else if (subcommand === 'status') {
+                const standings = await director.standings({ guildId, tournamentId });
+                await interaction.reply({ embeds: [buildStandingsEmbed(standings, currencyName)] });
+
+            } else if (subcommand === 'list') {
+                const tournaments = await director.list(guildId);
+                if (tournaments.length === 0) {
+                    await interaction.reply('No tournaments are open right now. `/tournament create` to start one.');
+                    return;
+                }
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('🏆 Tournaments')
+                        .setColor(0xfaa61a)
+                        .setDescription(tournaments.map(t =>
+                            `**#${t.id}** ${FORMAT_NAMES[t.format]} · ${STATUS_LABELS[t.status]} · ` +
+                            `buy-in ${t.buyIn.toLocaleString()} · ${t.entrants}/${t.maxPlayers} players`
+                        ).join('\n').slice(0, 4000))]
+                });
+            }
+        } catch (error) {
+            const friendly = error instanceof GameError || error instanceof EconomyError;
+            if (!friendly) console.error('Tournament command error:', error);
+            const message = friendly ? `❌ ${error.message}` : '❌ The tournament desk hit an error.';
+            if (interaction.deferred || interaction.replied) await interaction.editReply(message);
+            else await interaction.reply({ content: message, ephemeral: true });
+        }
+    },
+
+    buildStandingsEmbed
+};
@@ -11,6 +11,9 @@ const { getGuildContext, getPreferredUserName } = require('@goobster/core/utils/
 // Config
 const config = require('../../../../config.json');
 
+// The AI DJ's trackChanged listener per guild, so a new run replaces it
+const djTrackListeners = new Map();
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('aidj')
@@ -76,11 +79,11 @@ module.exports = {
             const listenerNames = await Promise.all(listenerMembers.map(async m => await getPreferredUserName(m.id, interaction.guildId, m)));
 
             // ------- Service initialisation -------
-            // Use shared musicService so that /music pause|stop|skip work during AI DJ
+            // Use this guild's shared player so that /music pause|stop|skip work during AI DJ
             if (!voiceService._isInitialized) await voiceService.initialize();
-            musicService = voiceService.musicService;
-            // Grab shared TTS instance
-            ttsService = voiceService.tts;
+            musicService = voiceService.musicPlayers.get(interaction.guildId);
+            // Grab the shared TTS backend for DJ announcements
+            ttsService = voiceService.ttsFor('dj');
 
             if (!ttsService || ttsService.disabled) {
                 console.warn('TTS disabled or not configured');
@@ -160,7 +163,10 @@ module.exports = {
             // --- Lock / listener vars ---
             let announceLock = false;
             let trackCounter = 0; // To announce every N tracks
-            musicService.removeAllListeners('trackChanged'); // prevent duplicates from prior runs
+            // Prevent duplicates from prior runs (only our own listener: the
+            // player manager listens too, to persist the queue)
+            const previousListener = djTrackListeners.get(interaction.guildId);
+            if (previousListener) musicService.off('trackChanged', previousListener);
 
             const ANNOUNCE_EVERY_N_TRACKS = 2; // change to adjust frequency
 
@@ -184,6 +190,7 @@ module.exports = {
             };
 
             musicService.on('trackChanged', trackListener);
+            djTrackListeners.set(interaction.guildId, trackListener);
 
             // Shuffle BEFORE starting playback so first song is random
             await musicService.playPlaylist(voiceChannel.guild.id, playlistName);
@@ -210,6 +217,7 @@ module.exports = {
                 try {
                     clearInterval(randomChatterInterval);
                     musicService.off('trackChanged', trackListener);
+                    djTrackListeners.delete(interaction.guildId);
                     await speakWithDuck("That's all from me – stay groovy!");
                 } catch {}
                 connection.destroy();
@@ -236,7 +244,9 @@ module.exports = {
             }
             // remove potential intervals/listeners to avoid leaks
             if (randomChatterInterval) clearInterval(randomChatterInterval);
-            musicService?.removeAllListeners('trackChanged');
+            const listener = djTrackListeners.get(interaction.guildId);
+            if (listener) musicService?.off('trackChanged', listener);
+            djTrackListeners.delete(interaction.guildId);
         }
     }
 };
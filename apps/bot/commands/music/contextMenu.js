@@ -33,15 +33,17 @@ function isGoobsterMessage(message) {
 
 // Helper function to check if music is currently playing
 function isMusicPlaying(interaction) {
-    return voiceService.musicService && 
-           voiceService.musicService.isPlaying && 
-           voiceService.musicService.currentTrack;
+    const player = voiceService.musicPlayers?.peek(interaction.guildId);
+    return player && 
+           player.isPlaying && 
+           player.currentTrack;
 }
 
 // Helper function to get playlist status
 function getPlaylistStatus(interaction) {
-    if (!voiceService.musicService) return null;
-    return voiceService.musicService.getQueueStatus();
+    const player = voiceService.musicPlayers?.peek(interaction.guildId);
+    if (!player) return null;
+    return player.getQueueStatus();
 }
 
 // Add new helper function for playlist management
@@ -94,15 +96,15 @@ async function handleModalSubmit(interaction) {
 
             switch (action) {
                 case 'create':
-                    await voiceService.musicService.createPlaylist(guildId, playlistName);
+                    await voiceService.musicPlayers.get(interaction.guildId).createPlaylist(guildId, playlistName);
                     response = `✅ Created new playlist: ${playlistName}`;
                     break;
                 case 'load':
-                    await voiceService.musicService.loadPlaylist(guildId, playlistName);
+                    await voiceService.musicPlayers.get(interaction.guildId).loadPlaylist(guildId, playlistName);
                     response = `✅ Loaded playlist: ${playlistName}`;
                     break;
                 case 'delete':
-                    await voiceService.musicService.deletePlaylist(guildId, playlistName);
+                    await voiceService.musicPlayers.get(interaction.guildId).deletePlaylist(guildId, playlistName);
                     response = `✅ Deleted playlist: ${playlistName}`;
                     break;
             }
@@ -181,7 +183,7 @@ module.exports = {
                 .addComponents(
                     new StringSelectMenuBuilder()
                         .setCustomId('volume_level')
-                        .setPlaceholder('Volume: ' + (voiceService.musicService?.getVolume() || 100) + '%')
+                        .setPlaceholder('Volume: ' + (voiceService.musicPlayers?.peek(interaction.guildId)?.getVolume() || 100) + '%')
                         .addOptions([
                             { label: '0%', value: '0' },
                             { label: '25%', value: '25' },
@@ -252,7 +254,7 @@ module.exports = {
 
                 try {
                     // Check if music service is initialized (moved here to avoid redundant checks)
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await i.reply({ // Use reply here as we haven't deferred yet
                             content: '❌ Music service is not initialized. Please try again later.',
                             ephemeral: true
@@ -264,7 +266,7 @@ module.exports = {
                         case 'pause':
                             await i.deferUpdate(); // Defer first
                             if (isMusicPlaying(i)) {
-                                await voiceService.musicService.pause();
+                                await voiceService.musicPlayers.get(interaction.guildId).pause();
                                 musicRow.components[0].setLabel('Resume').setCustomId('resume');
                             }
                             needsGeneralUpdate = true; // Mark for general update
@@ -272,7 +274,7 @@ module.exports = {
 
                         case 'resume':
                             await i.deferUpdate();
-                            await voiceService.musicService.resume();
+                            await voiceService.musicPlayers.get(interaction.guildId).resume();
                             musicRow.components[0].setLabel('Pause').setCustomId('pause');
                             needsGeneralUpdate = true;
                             break;
@@ -280,11 +282,11 @@ module.exports = {
                         case 'skip':
                             await i.deferUpdate();
                             if (isMusicPlaying(i)) { 
-                                await voiceService.musicService.skip();
+                                await voiceService.musicPlayers.get(interaction.guildId).skip();
                             }
                             // Need to update visuals regardless (might show next track or stopped state)
                             // Ensure pause/resume button is correct after skip
-                            if (voiceService.musicService.isPlaying) {
+                            if (voiceService.musicPlayers.get(interaction.guildId).isPlaying) {
                                  musicRow.components[0].setLabel('Pause').setCustomId('pause');
                             } else {
                                 // If skipping last track stops playback, update button? Might be complex.
@@ -296,7 +298,7 @@ module.exports = {
                         case 'stop':
                             await i.deferUpdate();
                             if (isMusicPlaying(i)) { 
-                               await voiceService.musicService.stop();
+                               await voiceService.musicPlayers.get(interaction.guildId).stop();
                             }
                             // No need to update button labels here, isMusicPlaying check will hide musicRow
                             needsGeneralUpdate = true;
@@ -316,7 +318,7 @@ module.exports = {
                             // Volume selection: defer, set volume, update placeholder, mark for general update
                             await i.deferUpdate(); // Defer the select menu interaction
                             const level = parseInt(i.values[0]);
-                            await voiceService.musicService.setVolume(level);
+                            await voiceService.musicPlayers.get(interaction.guildId).setVolume(level);
                             volumeRow.components[0].setPlaceholder(`Volume: ${level}%`);
                             needsGeneralUpdate = true; // Mark to refresh the main controls view
                             break; // Go to general update
@@ -325,7 +327,7 @@ module.exports = {
                         case 'queue': {
                             // Queue button click: defer and show queue UI
                             await i.deferUpdate();
-                            const queue = voiceService.musicService.getQueue();
+                            const queue = voiceService.musicPlayers.get(interaction.guildId).getQueue();
                             // createTrackListUI handles its own reply/editReply
                             await createTrackListUI(i, queue, 'Music Queue');
                             return; // <- Return: Don't run general update
@@ -333,7 +335,7 @@ module.exports = {
 
                         case 'shuffle': {
                             await i.deferUpdate();
-                            await voiceService.musicService.shufflePlaylist(); 
+                            await voiceService.musicPlayers.get(interaction.guildId).shufflePlaylist(); 
                             // Update button label based on the NEW state
                             const shuffleStatus = getPlaylistStatus(i); 
                             playlistRow.components[0].setLabel(shuffleStatus.isShuffleEnabled ? '🔀 Shuffle: On' : 'Shuffle');
@@ -343,7 +345,7 @@ module.exports = {
 
                         case 'repeat': {
                             await i.deferUpdate();
-                            await voiceService.musicService.toggleRepeat();
+                            await voiceService.musicPlayers.get(interaction.guildId).toggleRepeat();
                             // Update button label based on the NEW state
                             const repeatStatus = getPlaylistStatus(i); 
                             playlistRow.components[1].setLabel(repeatStatus.isRepeatEnabled ? '🔁 Repeat: On' : 'Repeat');
@@ -364,7 +366,7 @@ module.exports = {
                         if (playlistStatus) {
                             const { currentTrack, isShuffleEnabled, isRepeatEnabled, remainingTracks } = playlistStatus;
                              // Ensure pause/resume button reflects current state after action
-                            if (voiceService.musicService.player.state.status === 'paused') {
+                            if (voiceService.musicPlayers.get(interaction.guildId).player.state.status === 'paused') {
                                 musicRow.components[0].setLabel('Resume').setCustomId('resume');
                             } else {
                                 musicRow.components[0].setLabel('Pause').setCustomId('pause');
@@ -1,6 +1,6 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { PermissionFlagsBits } = require('discord.js');
-const MusicService = require('@goobster/core/services/voice/musicService');
+const { voiceService } = require('@goobster/core/services/serviceManager');
 const { ProgressTracker } = require('@goobster/core/utils');
 const config = require('../../../../config.json');
 const path = require('path');
@@ -21,7 +21,7 @@ module.exports = {
                 .setMaxValue(3)
                 .setRequired(false)),
 
-    async execute(interaction, providedMusicService) {
+    async execute(interaction, musicPlayers) {
         // Check if user has admin permission
         if (!interaction.member.permissions.has(PermissionFlagsBits.Administrator)) {
             await interaction.reply({ content: 'This command is only available to administrators.', ephemeral: true });
@@ -42,12 +42,12 @@ module.exports = {
                 return;
             }
             
-            // Use the provided music service or create a new one
-            let musicService = providedMusicService;
-            if (!musicService) {
-                console.log('No music service provided, creating a new instance');
-                musicService = new MusicService(config);
+            // Generation runs through this guild's music player
+            if (!musicPlayers) {
+                if (!voiceService._isInitialized) await voiceService.initialize();
+                musicPlayers = voiceService.musicPlayers;
             }
+            const musicService = musicPlayers.get(interaction.guildId);
             
             const moods = Object.keys(musicService.getMoodMap());
             
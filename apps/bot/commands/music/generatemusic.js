@@ -1,7 +1,6 @@
 const { SlashCommandBuilder } = require('discord.js');
-const MusicService = require('@goobster/core/services/voice/musicService');
+const { voiceService } = require('@goobster/core/services/serviceManager');
 const { ProgressTracker } = require('@goobster/core/utils');
-const config = require('../../../../config.json');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -49,9 +48,9 @@ module.exports = {
                 'dramatic': '🎭'
             };
             
-            // Initialize the music service
-            const musicService = new MusicService(config);
-            console.log('MusicService initialized');
+            // Generation runs through this guild's music player
+            if (!voiceService._isInitialized) await voiceService.initialize();
+            const musicService = voiceService.musicPlayers.get(interaction.guildId);
             
             // Check if the music already exists
             let exists = false;
@@ -2,11 +2,19 @@ const { SlashCommandBuilder } = require('@discordjs/builders');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
 const SpotDLService = require('@goobster/core/services/spotdl/spotdlService');
 const { voiceService } = require('@goobster/core/services/serviceManager');
+const musicFxService = require('@goobster/core/services/voice/musicFxService');
+const { MusicFxError } = require('@goobster/core/services/voice/musicFxService');
+const { EQ_PRESETS, MAX_CROSSFADE_SECONDS } = require('@goobster/core/services/voice/audioFx');
 const { filterTracks, parseTrackName, createTrackListUI } = require('@goobster/core/utils/musicUtils');
 
 // Instantiate SpotDL once for this command
 const spotdlService = new SpotDLService();
 
+// Helper – this guild's music player (each guild has its own queue & state)
+function guildPlayer(interaction) {
+  return voiceService.musicPlayers.get(interaction.guildId);
+}
+
 // Helper – ensure voice & music services are ready
 async function ensureMusicReady(interaction) {
   // Voice channel checks for commands that require being in VC
@@ -21,8 +29,9 @@ async function ensureMusicReady(interaction) {
       return false;
     }
     // Different channel check
-    if (voiceService.musicService && voiceService.musicService.connection) {
-      const botChannelId = voiceService.musicService.connection.joinConfig.channelId;
+    const player = voiceService.musicPlayers?.peek(interaction.guildId);
+    if (player && player.connection) {
+      const botChannelId = player.connection.joinConfig.channelId;
       if (voiceChannel.id !== botChannelId && cmd !== 'play') {
         await interaction.editReply('❌ You need to be in the same voice channel as the bot to control music.');
         return false;
@@ -38,7 +47,7 @@ async function ensureMusicReady(interaction) {
   if (!voiceService._isInitialized) {
     await voiceService.initialize();
   }
-  if (!voiceService.musicService) {
+  if (!voiceService.musicPlayers) {
     await interaction.editReply('Music service is not initialized. Please try again later.');
     return false;
   }
@@ -77,6 +86,19 @@ module.exports = {
             .setRequired(true)
             .setMinValue(0)
             .setMaxValue(100)))
+    .addSubcommand(sub =>
+      sub.setName('fx').setDescription('Loudness normalization, EQ preset & crossfade for this server')
+        .addStringOption(opt =>
+          opt.setName('preset')
+            .setDescription('EQ preset')
+            .addChoices(...Object.entries(EQ_PRESETS).map(([value, p]) => ({ name: p.label, value }))))
+        .addBooleanOption(opt =>
+          opt.setName('normalize').setDescription('Even out loudness between tracks'))
+        .addIntegerOption(opt =>
+          opt.setName('crossfade')
+            .setDescription('Seconds to overlap consecutive tracks (0 = off)')
+            .setMinValue(0)
+            .setMaxValue(MAX_CROSSFADE_SECONDS)))
     // --- Playlist group ---
     .addSubcommandGroup(group =>
       group.setName('playlist')
@@ -126,7 +148,7 @@ module.exports = {
         await interaction.respond(suggestions);
       } else if (['playlist_name', 'name'].includes(focused.name)) {
         if (!voiceService._isInitialized) await voiceService.initialize();
-        const playlists = await voiceService.musicService?.listPlaylists(interaction.guildId) || [];
+        const playlists = await voiceService.musicPlayers?.get(interaction.guildId).listPlaylists(interaction.guildId) || [];
         const suggestions = playlists.filter(p => p.toLowerCase().includes(value)).slice(0, 25).map(p => ({ name: p, value: p }));
         await interaction.respond(suggestions);
       } else {
@@ -151,7 +173,7 @@ module.exports = {
         .setTitle('🎶 Music Command Help')
         .setDescription('Quick reference for `/music`')
         .addFields(
-          { name: 'Playback', value: '`/music play <track>` – play or queue\n`/music now` – now playing / queue\n`/music pause`, `resume`, `skip`, `stop`\n`/music volume <0-100>`' },
+          { name: 'Playback', value: '`/music play <track>` – play or queue\n`/music now` – now playing / queue\n`/music pause`, `resume`, `skip`, `stop`\n`/music volume <0-100>`\n`/music fx [preset] [normalize] [crossfade]` – audio effects' },
           { name: 'Library', value: '`/music library list`\n`/music library playall`\n`/music library shuffle`' },
           { name: 'Playlist', value: '`/music playlist create <name>`\n`/music playlist add <playlist> <track>`\n`/music playlist play <name>`\n`/music playlist list` / `delete` / `fromsearch`' }
         );
@@ -176,13 +198,13 @@ module.exports = {
 
           const { artist, title } = parseTrackName(track.name);
 
-          if (voiceService.musicService.isPlaying) {
-            const ok = await voiceService.musicService.addToQueue(track);
+          if (guildPlayer(interaction).isPlaying) {
+            const ok = await guildPlayer(interaction).addToQueue(track);
             return interaction.editReply(ok ? `✅ Queued **${title}** by ${artist}` : '❌ Failed to queue.');
           }
 
-          await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-          await voiceService.musicService.playAudio(playableTrack);
+          await guildPlayer(interaction).joinChannel(interaction.member.voice.channel);
+          await guildPlayer(interaction).playAudio(playableTrack);
           return interaction.editReply(`▶️ Now playing **${title}** by ${artist}`);
         } catch (err) {
           console.error('Play error:', err);
@@ -191,41 +213,70 @@ module.exports = {
       }
 
       if (sub === 'now') {
-        if (!voiceService.musicService) return interaction.editReply('Music service not ready.');
-        const queue = voiceService.musicService.getQueue();
+        if (!voiceService.musicPlayers) return interaction.editReply('Music service not ready.');
+        const queue = voiceService.musicPlayers.peek(interaction.guildId)?.getQueue() || [];
         return await createTrackListUI(interaction, queue, 'Now Playing / Queue');
       }
 
       if (sub === 'skip') {
         if (!(await ensureMusicReady(interaction))) return;
-        await voiceService.musicService.skip();
+        await guildPlayer(interaction).skip();
         return interaction.editReply('⏭️ Skipped');
       }
 
       if (sub === 'pause') {
         if (!(await ensureMusicReady(interaction))) return;
-        await voiceService.musicService.pause();
+        await guildPlayer(interaction).pause();
         return interaction.editReply('⏸️ Paused');
       }
 
       if (sub === 'resume') {
         if (!(await ensureMusicReady(interaction))) return;
-        await voiceService.musicService.resume();
+        await guildPlayer(interaction).resume();
         return interaction.editReply('▶️ Resumed');
       }
 
       if (sub === 'stop') {
         if (!(await ensureMusicReady(interaction))) return;
-        await voiceService.musicService.stop();
+        await guildPlayer(interaction).stop();
         return interaction.editReply('⏹️ Stopped & cleared queue');
       }
 
       if (sub === 'volume') {
         if (!(await ensureMusicReady(interaction))) return;
         const level = interaction.options.getInteger('level');
-        await voiceService.musicService.setVolume(level);
+        await guildPlayer(interaction).setVolume(level);
         return interaction.editReply(`🔊 Volume set to ${level}%`);
       }
+
+      if (sub === 'fx') {
+        const changes = {
+          preset: interaction.options.getString('preset') ?? undefined,
+          normalize: interaction.options.getBoolean('normalize') ?? undefined,
+          crossfadeSeconds: interaction.options.getInteger('crossfade') ?? undefined
+        };
+        const changed = Object.values(changes).some(value => value !== undefined);
+        try {
+          const settings = changed
+            ? await musicFxService.setSettings({ guildId: interaction.guildId, ...changes })
+            : await musicFxService.getSettings(interaction.guildId);
+          // The track playing now switches over at its current position
+          if (changed) await voiceService.musicPlayers?.peek(interaction.guildId)?.applyFx();
+          const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(changed ? '🎛️ Audio effects updated' : '🎛️ Audio effects')
+            .addFields(
+              { name: 'EQ preset', value: EQ_PRESETS[settings.preset].label, inline: true },
+              { name: 'Normalization', value: settings.normalize ? 'On' : 'Off', inline: true },
+              { name: 'Crossfade', value: settings.crossfadeSeconds ? `${settings.crossfadeSeconds}s` : 'Off', inline: true }
+            );
+          return interaction.editReply({ embeds: [embed] });
+        } catch (err) {
+          if (err instanceof MusicFxError) return interaction.editReply(`❌ ${err.message}`);
+          console.error('Music fx error:', err);
+          return interaction.editReply('❌ Failed to update audio effects.');
+        }
+      }
     }
 
     // ================= Playlist group ===================
@@ -234,7 +285,7 @@ module.exports = {
       switch (sub) {
         case 'create': {
           const name = interaction.options.getString('name');
-          await voiceService.musicService.createPlaylist(interaction.guildId, name);
+          await guildPlayer(interaction).createPlaylist(interaction.guildId, name);
           return interaction.editReply(`✅ Playlist '${name}' created.`);
         }
         case 'add': {
@@ -243,25 +294,25 @@ module.exports = {
           const tracks = await spotdlService.listTracks();
           const [track] = filterTracks(tracks, query);
           if (!track) return interaction.editReply('❌ Track not found.');
-          await voiceService.musicService.addToPlaylist(interaction.guildId, playlistName, track);
+          await guildPlayer(interaction).addToPlaylist(interaction.guildId, playlistName, track);
           const { artist, title } = parseTrackName(track.name);
           return interaction.editReply(`➕ Added **${title}** by ${artist} to '${playlistName}'.`);
         }
         case 'play': {
           const name = interaction.options.getString('name');
-          await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-          await voiceService.musicService.playPlaylist(interaction.guildId, name);
+          await guildPlayer(interaction).joinChannel(interaction.member.voice.channel);
+          await guildPlayer(interaction).playPlaylist(interaction.guildId, name);
           return interaction.editReply(`▶️ Playing playlist '${name}'.`);
         }
         case 'list': {
-          const playlists = await voiceService.musicService.listPlaylists(interaction.guildId);
+          const playlists = await guildPlayer(interaction).listPlaylists(interaction.guildId);
           if (!playlists.length) return interaction.editReply('No playlists found.');
           const embed = new EmbedBuilder().setColor('#00aaff').setTitle('Saved Playlists').setDescription(playlists.map((n,i)=>`${i+1}. ${n}`).join('\n'));
           return interaction.editReply({ embeds:[embed] });
         }
         case 'delete': {
           const name = interaction.options.getString('name');
-          await voiceService.musicService.deletePlaylist(interaction.guildId, name);
+          await guildPlayer(interaction).deletePlaylist(interaction.guildId, name);
           return interaction.editReply(`🗑️ Deleted playlist '${name}'.`);
         }
         case 'fromsearch': {
@@ -270,7 +321,7 @@ module.exports = {
           const allTracks = await spotdlService.listTracks();
           const tracks = filterTracks(allTracks, query);
           if (!tracks.length) return interaction.editReply('❌ No tracks found for search.');
-          await voiceService.musicService.createOrUpdatePlaylistFromTracks(interaction.guildId, name, tracks);
+          await guildPlayer(interaction).createOrUpdatePlaylistFromTracks(interaction.guildId, name, tracks);
           return interaction.editReply(`✅ Playlist '${name}' created with ${tracks.length} tracks.`);
         }
       }
@@ -284,13 +335,13 @@ module.exports = {
       }
       if (!(await ensureMusicReady(interaction))) return;
       if (sub === 'playall') {
-        await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-        const res = await voiceService.musicService.playAllTracks();
+        await guildPlayer(interaction).joinChannel(interaction.member.voice.channel);
+        const res = await guildPlayer(interaction).playAllTracks();
         return interaction.editReply(`▶️ Playing all ${res.totalTracks} tracks. Now playing **${res.currentTrack.title}** by ${res.currentTrack.artist}`);
       }
       if (sub === 'shuffle') {
-        await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-        const res = await voiceService.musicService.shuffleAllTracks();
+        await guildPlayer(interaction).joinChannel(interaction.member.voice.channel);
+        const res = await guildPlayer(interaction).shuffleAllTracks();
         return interaction.editReply(`🔀 Shuffle playing ${res.totalTracks} tracks. Now playing **${res.currentTrack.title}** by ${res.currentTrack.artist}`);
       }
     }
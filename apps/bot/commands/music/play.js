@@ -60,11 +60,11 @@ module.exports = {
             if (!voiceService._isInitialized) {
                 await voiceService.initialize();
             }
-            const musicService = voiceService.musicService;
-            if (!musicService) {
+            if (!voiceService.musicPlayers) {
                 await interaction.editReply('❌ Music service is not initialized. Please try again later.');
                 return;
             }
+            const musicService = voiceService.musicPlayers.get(interaction.guildId);
 
             // Connect right away so the download happens while we're already
             // in the channel. If music is already playing, keep the current
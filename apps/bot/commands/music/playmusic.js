@@ -1,6 +1,6 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { joinVoiceChannel, VoiceConnectionStatus, entersState } = require('@discordjs/voice');
-const MusicService = require('@goobster/core/services/voice/musicService');
+const { voiceService } = require('@goobster/core/services/serviceManager');
 const config = require('../../../../config.json');
 
 module.exports = {
@@ -63,8 +63,9 @@ module.exports = {
             const volume = interaction.options.getNumber('volume') ?? config.audio.music.volume;
             const regenerate = interaction.options.getBoolean('regenerate') ?? false;
             
-            // Initialize music service
-            musicService = new MusicService(config);
+            // Use this guild's music player
+            if (!voiceService._isInitialized) await voiceService.initialize();
+            musicService = voiceService.musicPlayers.get(voiceChannel.guild.id);
 
             // Create voice connection with debug logging
             console.log('Creating voice connection for channel:', voiceChannel.id);
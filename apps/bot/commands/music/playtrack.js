@@ -213,7 +213,7 @@ module.exports = {
                         // Add the URL to the track object
                         const playableTrack = { ...track, url: trackUrl }; 
                         
-                        if (!voiceService.musicService) {
+                        if (!voiceService.musicPlayers) {
                             await interaction.editReply('Music service is not initialized. Please try again later.');
                             return;
                         }
@@ -221,9 +221,9 @@ module.exports = {
                         const { artist, title } = parseTrackName(track.name);
 
                         // Check if already playing - if so, queue instead of playing immediately
-                        if (voiceService.musicService.isPlaying) {
+                        if (voiceService.musicPlayers.get(interaction.guildId).isPlaying) {
                             // Pass the full track object (without url) to the queue
-                            const queued = await voiceService.musicService.addToQueue(track); 
+                            const queued = await voiceService.musicPlayers.get(interaction.guildId).addToQueue(track); 
                             if (queued) {
                                 await interaction.editReply(`✅ Queued: **${title}** by ${artist}`);
                             } else {
@@ -234,9 +234,9 @@ module.exports = {
 
                         // If not playing, join channel and play immediately
                         try {
-                            await voiceService.musicService.joinChannel(interaction.member.voice.channel);
+                            await voiceService.musicPlayers.get(interaction.guildId).joinChannel(interaction.member.voice.channel);
                             // Pass the full playableTrack object to playAudio
-                            await voiceService.musicService.playAudio(playableTrack); 
+                            await voiceService.musicPlayers.get(interaction.guildId).playAudio(playableTrack); 
                         } catch (joinPlayError) {
                             console.error('Error joining channel or playing audio:', joinPlayError);
                             await interaction.editReply(`❌ Error starting playback: ${joinPlayError.message}`);
@@ -249,7 +249,7 @@ module.exports = {
                             .setDescription(`🎵 ${title}\n   by ${artist}`)
                             .addFields(
                                 { name: 'Status', value: '▶️ Playing', inline: true },
-                                { name: 'Volume', value: `${voiceService.musicService.getVolume()}%`, inline: true }
+                                { name: 'Volume', value: `${voiceService.musicPlayers.get(interaction.guildId).getVolume()}%`, inline: true }
                             )
                             .setTimestamp();
 
@@ -286,33 +286,33 @@ module.exports = {
 
                             switch (i.customId) {
                                 case 'pause':
-                                    await voiceService.musicService.pause();
+                                    await voiceService.musicPlayers.get(interaction.guildId).pause();
                                     embed.setFields(
                                         { name: 'Status', value: '⏸️ Paused', inline: true },
-                                        { name: 'Volume', value: `${voiceService.musicService.getVolume()}%`, inline: true }
+                                        { name: 'Volume', value: `${voiceService.musicPlayers.get(interaction.guildId).getVolume()}%`, inline: true }
                                     );
                                     row.components[0].setLabel('Resume').setCustomId('resume');
                                     break;
                                 case 'resume':
-                                    await voiceService.musicService.resume();
+                                    await voiceService.musicPlayers.get(interaction.guildId).resume();
                                     embed.setFields(
                                         { name: 'Status', value: '▶️ Playing', inline: true },
-                                        { name: 'Volume', value: `${voiceService.musicService.getVolume()}%`, inline: true }
+                                        { name: 'Volume', value: `${voiceService.musicPlayers.get(interaction.guildId).getVolume()}%`, inline: true }
                                     );
                                     row.components[0].setLabel('Pause').setCustomId('pause');
                                     break;
                                 case 'skip':
-                                    await voiceService.musicService.skip();
+                                    await voiceService.musicPlayers.get(interaction.guildId).skip();
                                     embed.setFields(
                                         { name: 'Status', value: '⏭️ Skipped', inline: true },
-                                        { name: 'Volume', value: `${voiceService.musicService.getVolume()}%`, inline: true }
+                                        { name: 'Volume', value: `${voiceService.musicPlayers.get(interaction.guildId).getVolume()}%`, inline: true }
                                     );
                                     break;
                                 case 'stop':
-                                    await voiceService.musicService.stop();
+                                    await voiceService.musicPlayers.get(interaction.guildId).stop();
                                     embed.setFields(
                                         { name: 'Status', value: '⏹️ Stopped', inline: true },
-                                        { name: 'Volume', value: `${voiceService.musicService.getVolume()}%`, inline: true }
+                                        { name: 'Volume', value: `${voiceService.musicPlayers.get(interaction.guildId).getVolume()}%`, inline: true }
                                     );
                                     break;
                             }
@@ -342,75 +342,75 @@ module.exports = {
                 }
 
                 case 'queue': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
 
-                    const queue = voiceService.musicService.getQueue();
+                    const queue = voiceService.musicPlayers.get(interaction.guildId).getQueue();
                     await createTrackListUI(interaction, queue, 'Music Queue');
                     break;
                 }
 
                 case 'skip': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
-                    await voiceService.musicService.skip();
+                    await voiceService.musicPlayers.get(interaction.guildId).skip();
                     await interaction.editReply('⏭️ Skipped current track');
                     break;
                 }
 
                 case 'pause': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
-                    await voiceService.musicService.pause();
+                    await voiceService.musicPlayers.get(interaction.guildId).pause();
                     await interaction.editReply('⏸️ Paused playback');
                     break;
                 }
 
                 case 'resume': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
-                    await voiceService.musicService.resume();
+                    await voiceService.musicPlayers.get(interaction.guildId).resume();
                     await interaction.editReply('▶️ Resumed playback');
                     break;
                 }
 
                 case 'stop': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
-                    await voiceService.musicService.stop();
+                    await voiceService.musicPlayers.get(interaction.guildId).stop();
                     await interaction.editReply('⏹️ Stopped playback and cleared queue');
                     break;
                 }
 
                 case 'volume': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized. Please try again later.');
                         return;
                     }
                     const level = interaction.options.getInteger('level');
-                    await voiceService.musicService.setVolume(level);
+                    await voiceService.musicPlayers.get(interaction.guildId).setVolume(level);
                     await interaction.editReply(`🔊 Volume set to ${level}%`);
                     break;
                 }
 
                 case 'playlist_create': {
                     const playlistName = interaction.options.getString('name');
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                     try {
-                        await voiceService.musicService.createPlaylist(interaction.guildId, playlistName);
+                        await voiceService.musicPlayers.get(interaction.guildId).createPlaylist(interaction.guildId, playlistName);
                         await interaction.editReply(`✅ Playlist '${playlistName}' created successfully.`);
                     } catch (error) {
                         console.error('Error creating playlist:', error);
@@ -422,7 +422,7 @@ module.exports = {
                 case 'playlist_add': {
                     const playlistName = interaction.options.getString('playlist_name');
                     const searchQuery = interaction.options.getString('track');
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
@@ -440,7 +440,7 @@ module.exports = {
                         // Select the first match
                         const track = matchingTracks[0]; 
                         
-                        await voiceService.musicService.addToPlaylist(interaction.guildId, playlistName, track);
+                        await voiceService.musicPlayers.get(interaction.guildId).addToPlaylist(interaction.guildId, playlistName, track);
                         const { title, artist } = parseTrackName(track.name);
                         await interaction.editReply(`✅ Added **${title}** by ${artist} to playlist '${playlistName}'.`);
                     } catch (error) {
@@ -452,14 +452,14 @@ module.exports = {
 
                 case 'playlist_play': {
                     const playlistName = interaction.options.getString('name');
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                     await interaction.editReply(`🎵 Attempting to play playlist '${playlistName}'...`);
                     try {
-                        await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-                        await voiceService.musicService.playPlaylist(interaction.guildId, playlistName);
+                        await voiceService.musicPlayers.get(interaction.guildId).joinChannel(interaction.member.voice.channel);
+                        await voiceService.musicPlayers.get(interaction.guildId).playPlaylist(interaction.guildId, playlistName);
                         // Initial reply is handled by playPlaylist/playNextTrack internally or subsequent events
                         // We can just confirm the action started
                          await interaction.editReply(`▶️ Started playing playlist '${playlistName}'.`);
@@ -471,13 +471,13 @@ module.exports = {
                 }
 
                 case 'playlist_list': {
-                     if (!voiceService.musicService) {
+                     if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                     await interaction.editReply('📋 Loading playlists...');
                     try {
-                        const playlists = await voiceService.musicService.listPlaylists(interaction.guildId);
+                        const playlists = await voiceService.musicPlayers.get(interaction.guildId).listPlaylists(interaction.guildId);
                         if (!playlists || playlists.length === 0) {
                              await interaction.editReply('You have no saved playlists.');
                              return;
@@ -497,13 +497,13 @@ module.exports = {
 
                 case 'playlist_delete': {
                     const playlistName = interaction.options.getString('name');
-                     if (!voiceService.musicService) {
+                     if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                     await interaction.editReply(`🗑️ Attempting to delete playlist '${playlistName}'...`);
                     try {
-                        await voiceService.musicService.deletePlaylist(interaction.guildId, playlistName);
+                        await voiceService.musicPlayers.get(interaction.guildId).deletePlaylist(interaction.guildId, playlistName);
                         await interaction.editReply(`✅ Playlist '${playlistName}' deleted successfully.`);
                     } catch (error) {
                         console.error('Error deleting playlist:', error);
@@ -513,14 +513,14 @@ module.exports = {
                 }
 
                 case 'play_all': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                      await interaction.editReply(`🎵 Attempting to play all tracks...`);
                     try {
-                        await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-                        const result = await voiceService.musicService.playAllTracks();
+                        await voiceService.musicPlayers.get(interaction.guildId).joinChannel(interaction.member.voice.channel);
+                        const result = await voiceService.musicPlayers.get(interaction.guildId).playAllTracks();
                         await interaction.editReply(`▶️ Playing all ${result.totalTracks} tracks. Now playing: **${result.currentTrack.title}** by ${result.currentTrack.artist}`);
                     } catch (error) {
                         console.error('Error playing all tracks:', error);
@@ -530,14 +530,14 @@ module.exports = {
                 }
 
                  case 'shuffle_all': {
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
                     await interaction.editReply(`🔀 Attempting to shuffle and play all tracks...`);
                     try {
-                        await voiceService.musicService.joinChannel(interaction.member.voice.channel);
-                        const result = await voiceService.musicService.shuffleAllTracks(); // Need to add this method
+                        await voiceService.musicPlayers.get(interaction.guildId).joinChannel(interaction.member.voice.channel);
+                        const result = await voiceService.musicPlayers.get(interaction.guildId).shuffleAllTracks(); // Need to add this method
                         await interaction.editReply(`🔀 Shuffling all ${result.totalTracks} tracks. Now playing: **${result.currentTrack.title}** by ${result.currentTrack.artist}`);
                     } catch (error) {
                         console.error('Error shuffling all tracks:', error);
@@ -549,7 +549,7 @@ module.exports = {
                 case 'playlist_create_from_search': {
                     const playlistName = interaction.options.getString('name');
                     const searchQuery = interaction.options.getString('search_query');
-                    if (!voiceService.musicService) {
+                    if (!voiceService.musicPlayers) {
                         await interaction.editReply('Music service is not initialized.');
                         return;
                     }
@@ -569,7 +569,7 @@ module.exports = {
                         }
                         
                         // 3. Create playlist with the filtered tracks (requires modification in MusicService)
-                        await voiceService.musicService.createOrUpdatePlaylistFromTracks(interaction.guildId, playlistName, filteredTracks);
+                        await voiceService.musicPlayers.get(interaction.guildId).createOrUpdatePlaylistFromTracks(interaction.guildId, playlistName, filteredTracks);
                         
                         await interaction.editReply(`✅ Playlist "${playlistName}" created successfully with ${filteredTracks.length} tracks found matching "${searchQuery}".`);
                         
@@ -47,8 +47,8 @@ module.exports = {
                 return;
             }
 
-            // Check if musicService is initialized
-            if (!voiceService.musicService) {
+            // Check if the music players are initialized
+            if (!voiceService.musicPlayers) {
                 await interaction.editReply('❌ Music service is not initialized. Please try again later.');
                 return;
             }
@@ -99,7 +99,7 @@ module.exports = {
                                         return;
                                     }
 
-                                    const playlist = await voiceService.musicService.createOrUpdatePlaylistFromTracks(
+                                    const playlist = await voiceService.musicPlayers.get(interaction.guildId).createOrUpdatePlaylistFromTracks(
                                         interaction.guildId,
                                         saveAsPlaylist,
                                         formattedTracks
@@ -1,7 +1,6 @@
 const { SlashCommandBuilder } = require('discord.js');
 const { getVoiceConnection } = require('@discordjs/voice');
-const MusicService = require('@goobster/core/services/voice/musicService');
-const config = require('../../../../config.json');
+const { voiceService } = require('@goobster/core/services/serviceManager');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -32,15 +31,17 @@ module.exports = {
                 return;
             }
 
-            // Initialize music service
-            const musicService = new MusicService(config);
+            // This guild's music player (the one playing the background music)
+            const musicService = voiceService.musicPlayers?.peek(interaction.guild.id);
             
             // Get fade duration option (in seconds)
             const fadeDuration = (interaction.options.getNumber('fadeduration') || 2) * 1000;
 
             // Fade out and stop the music
             await interaction.editReply('🎵 Fading out music...');
-            await musicService.fadeOutAndStop(fadeDuration);
+            if (musicService) {
+                await musicService.fadeOutAndStop(fadeDuration);
+            }
             
             // Destroy the connection after fade out
             connection.destroy();
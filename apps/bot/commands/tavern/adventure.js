@@ -5,13 +5,18 @@ const narrator = require('@goobster/core/services/tavern/narrator');
 const { TavernError } = require('@goobster/core/services/tavern/tavernError');
 const { CALLINGS } = require('@goobster/core/services/tavern/content');
 const views = require('@goobster/core/utils/tavernViews');
-const { buildSceneView, sendEnding } = require('@goobster/core/services/tavern/interactionHandler');
+const playByPostService = require('@goobster/core/services/tavern/playByPostService');
+const { POST_HOURS } = require('@goobster/core/services/tavern/adventureService');
+const { buildSceneView, sendEnding, postRound } = require('@goobster/core/services/tavern/interactionHandler');
+const narratedTableService = require('@goobster/core/services/tavern/narratedTableService');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
 /**
  * Adventure Mode: browse the quest board, form and join parties, play scenes
  * (freeform actions welcome - the buttons are only the visible options), fire
- * your Calling's big move, and read automatic recaps.
+ * your Calling's big move, and read automatic recaps. Parties play live or
+ * by post (posting windows - see services/tavern/playByPostService.js), and
+ * live tables can be narrated aloud in a voice channel (`narrate`).
  */
 module.exports = {
     data: new SlashCommandBuilder()
@@ -25,7 +30,13 @@ module.exports = {
                 .setDescription('Join the party forming here, or post a new one for a quest')
                 .addStringOption(opt =>
                     opt.setName('quest').setDescription('Quest to post a new party for (omit to join the one forming here)')
-                        .setAutocomplete(true)))
+                        .setAutocomplete(true))
+                .addStringOption(opt =>
+                    opt.setName('pace').setDescription('A new party plays live (default) or by post, one posting window per round')
+                        .addChoices({ name: 'Live', value: 'LIVE' }, { name: 'By post', value: 'POSTED' }))
+                .addIntegerOption(opt =>
+                    opt.setName('hours').setDescription(`By post: hours per posting window (default ${POST_HOURS.default})`)
+                        .setMinValue(POST_HOURS.min).setMaxValue(POST_HOURS.max)))
         .addSubcommand(sub =>
             sub.setName('invite-goobster')
                 .setDescription('Invite Goobster himself to play in your forming party'))
@@ -36,7 +47,9 @@ module.exports = {
             sub.setName('act')
                 .setDescription('Do something else entirely - describe your action in your own words')
                 .addStringOption(opt =>
-                    opt.setName('action').setDescription('What do you do?').setRequired(true).setMaxLength(300)))
+                    opt.setName('action').setDescription('What do you do?').setRequired(true).setMaxLength(300))
+                .addBooleanOption(opt =>
+                    opt.setName('spark').setDescription('By post: spend 1 Spark to reroll if the check fails')))
         .addSubcommand(sub =>
             sub.setName('attack')
                 .setDescription('Attack a foe in the current encounter')
@@ -56,6 +69,20 @@ module.exports = {
         .addSubcommand(sub =>
             sub.setName('bigmove')
                 .setDescription('Fire your Calling\'s once-per-adventure big moment: your next check succeeds'))
+        .addSubcommand(sub =>
+            sub.setName('pace')
+                .setDescription('Play this table live or by post (party founder or Manage Server)')
+                .addStringOption(opt =>
+                    opt.setName('mode').setDescription('How the table plays').setRequired(true)
+                        .addChoices({ name: 'Live', value: 'LIVE' }, { name: 'By post', value: 'POSTED' }))
+                .addIntegerOption(opt =>
+                    opt.setName('hours').setDescription(`By post: hours per posting window (default ${POST_HOURS.default})`)
+                        .setMinValue(POST_HOURS.min).setMaxValue(POST_HOURS.max)))
+        .addSubcommand(sub =>
+            sub.setName('narrate')
+                .setDescription('Goobster reads this table\'s adventure aloud in your voice channel; say your moves out loud')
+                .addBooleanOption(opt =>
+                    opt.setName('stop').setDescription('Stop narrating (the adventure carries on in text)')))
         .addSubcommand(sub =>
             sub.setName('status')
                 .setDescription('Where were we? Re-post the current scene or party card'))
@@ -119,7 +146,7 @@ module.exports = {
             } else if (subcommand === 'join') {
                 await this._join(interaction, { guildId, channelId, userId });
             } else if (subcommand === 'invite-goobster') {
-                const open = this._requireChannelAdventure(channelId);
+                const open = await this._requireChannelAdventure(channelId);
                 const botId = interaction.client.user.id;
                 const { adventure, quest, members } = await adventureService.inviteBot(open.id, userId, botId);
                 await interaction.reply({
@@ -127,17 +154,25 @@ module.exports = {
                     ...views.partyMessage(adventure, quest, members)
                 });
             } else if (subcommand === 'begin') {
-                const open = this._requireChannelAdventure(channelId);
+                const open = await this._requireChannelAdventure(channelId);
                 const { adventure, quest, members } = await adventureService.begin(open.id, userId);
                 await interaction.reply({
                     content: `🗡️ **${quest.title}** begins! (Party of ${members.length}: ${members.map(m => m.character?.name).filter(Boolean).join(', ')})`
                 });
+                if (adventure.pace === 'POSTED') await playByPostService.openWindow(adventure.id);
                 await interaction.channel.send(await buildSceneView(adventure.id, '*The tale begins.*'));
                 await require('@goobster/core/services/tavern/botAdventurer').maybeTakeTurn(adventure.id, interaction.channel);
+                await require('@goobster/core/services/tavern/botAdventurer').maybeDeclare(adventure.id, interaction.channel);
             } else if (subcommand === 'act') {
                 await this._act(interaction, { guildId, channelId, userId });
             } else if (subcommand === 'attack') {
-                const open = this._requireChannelAdventure(channelId);
+                const open = await this._requireChannelAdventure(channelId);
+                if (open.pace === 'POSTED') {
+                    await this._postMove(interaction, open, {
+                        type: 'attack', enemyId: interaction.options.getString('enemy'), stat: interaction.options.getString('stat')
+                    });
+                    return;
+                }
                 const result = await adventureService.attack(
                     open.id, userId,
                     interaction.options.getString('enemy'),
@@ -154,12 +189,16 @@ module.exports = {
             } else if (subcommand === 'twist') {
                 await this._twist(interaction, { guildId, channelId, userId });
             } else if (subcommand === 'bigmove') {
-                const open = this._requireChannelAdventure(channelId);
+                const open = await this._requireChannelAdventure(channelId);
                 const { calling } = await adventureService.useBigMove(open.id, userId);
                 const move = CALLINGS[calling]?.bigMove;
                 await interaction.reply(
                     `✨ **${move?.name || 'Big moment'}!** ${move?.text || ''}\n*Your next check automatically succeeds.*`
                 );
+            } else if (subcommand === 'pace') {
+                await this._pace(interaction, { channelId, userId });
+            } else if (subcommand === 'narrate') {
+                await this._narrate(interaction, { guildId, channelId });
             } else if (subcommand === 'status') {
                 await this._status(interaction, channelId);
             } else if (subcommand === 'recap') {
@@ -183,7 +222,7 @@ module.exports = {
                         : `👋 You slip away from the table. ${remaining} adventurer(s) fight on.`
                 );
             } else if (subcommand === 'abandon') {
-                const open = this._requireChannelAdventure(channelId);
+                const open = await this._requireChannelAdventure(channelId);
                 const force = interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) || false;
                 await adventureService.abandon(open.id, userId, { force });
                 await interaction.reply('🕯️ The adventure is set aside. Marnie marks the page and pours a round for effort.');
@@ -199,6 +238,44 @@ module.exports = {
         }
     },
 
+    /**
+     * Start or stop a narrated table (services/tavern/narratedTableService):
+     * Goobster joins the caller's voice channel and reads the adventure aloud.
+     */
+    async _narrate(interaction, { guildId, channelId }) {
+        if (interaction.options.getBoolean('stop')) {
+            const stopped = narratedTableService.stop(guildId);
+            await interaction.reply(stopped
+                ? '📕 Goobster closes the book. The tale carries on here in text.'
+                : { content: 'Nobody is being read to right now.', ephemeral: true });
+            return;
+        }
+        const open = await this._requireChannelAdventure(channelId);
+        const voiceChannel = interaction.member?.voice?.channel;
+        if (!voiceChannel) {
+            await interaction.reply({ content: '🍺 Pull up a chair in a voice channel first - narration needs ears.', ephemeral: true });
+            return;
+        }
+        const permissions = voiceChannel.permissionsFor(interaction.client.user);
+        if (!permissions?.has(PermissionFlagsBits.Connect) || !permissions?.has(PermissionFlagsBits.Speak)) {
+            await interaction.reply({ content: '❌ I need permission to connect and speak in your voice channel.', ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply();
+        const { voiceService } = require('@goobster/core/services/serviceManager');
+        await voiceService.initialize(); // no-op when already initialized
+        await narratedTableService.start({
+            adventureId: open.id, voiceChannel, textChannel: interaction.channel, client: interaction.client
+        });
+        const quest = questLoader.getQuest(open.questId);
+        await interaction.editReply(
+            `🎙️ **Goobster takes up ${quest?.title || 'the tale'} in ${voiceChannel.name}.** ` +
+            'Say your moves out loud ("I try the door", "we make a run for it") and he rolls them here; ' +
+            'say his name to ask him anything else. `/adventure narrate stop:True` closes the book.'
+        );
+    },
+
     async _requireChannelAdventure(channelId) {
         const open = await adventureService.getOpenAdventureInChannel(channelId);
         if (!open) {
@@ -234,7 +311,11 @@ module.exports = {
             return;
         }
 
-        const { adventure, quest } = await adventureService.createParty({ guildId, channelId, questId, userId });
+        const { adventure, quest } = await adventureService.createParty({
+            guildId, channelId, questId, userId,
+            pace: interaction.options.getString('pace') || 'LIVE',
+            postHours: interaction.options.getInteger('hours')
+        });
         const members = await adventureService.getMembers(adventure.id);
         await interaction.reply({
             content: `📜 A notice goes up: **${quest.title}** seeks a party!`,
@@ -244,11 +325,12 @@ module.exports = {
 
     /** Freeform action: optional AI interpretation + narration, deterministic engine. */
     async _act(interaction, { guildId, channelId, userId }) {
-        const open = this._requireChannelAdventure(channelId);
+        const open = await this._requireChannelAdventure(channelId);
         const actionText = interaction.options.getString('action');
+        const byPost = open.pace === 'POSTED';
 
-        // Narration can take a few seconds - defer publicly
-        await interaction.deferReply();
+        // Narration can take a few seconds - defer publicly (a posted move stays private)
+        await interaction.deferReply({ ephemeral: byPost });
 
         const usageContext = { guildId, userId };
         let interpretation = null;
@@ -263,6 +345,15 @@ module.exports = {
             interpretation = null;
         }
 
+        if (byPost) {
+            await this._postMove(interaction, open, {
+                type: 'freeform', text: actionText,
+                stat: interpretation?.stat ?? null, dc: interpretation?.dc ?? null,
+                spark: interaction.options.getBoolean('spark') || false
+            });
+            return;
+        }
+
         const result = await adventureService.freeform(open.id, userId, actionText, interpretation);
 
         // Optional AI narration replaces the scene's stock freeform line
@@ -299,7 +390,7 @@ module.exports = {
      */
     async _twist(interaction, { guildId, channelId, userId }) {
         const campaignForge = require('@goobster/core/services/tavern/campaignForge');
-        const open = this._requireChannelAdventure(channelId);
+        const open = await this._requireChannelAdventure(channelId);
         if (open.status !== 'ACTIVE') {
             throw new TavernError('NOT_ACTIVE', 'The story can only bend once it is being told - `/adventure begin` first.');
         }
@@ -326,10 +417,53 @@ module.exports = {
             adventure: open, quest, scene, recentLog, twist, guildId, userId
         });
         await adventureService.applyTwist(open.id, forkQuestId, entrySceneId, note);
+        // Moves posted for the old scene no longer fit - the round starts over
+        await playByPostService.restartWindow(open.id);
 
         await interaction.editReply(`🌀 **The story bends.** ${note}\n*(New scenes forged; the thread still leads back to how this tale can end.)*`);
         await interaction.channel.send(await buildSceneView(open.id));
         await require('@goobster/core/services/tavern/botAdventurer').maybeTakeTurn(open.id, interaction.channel);
+        await require('@goobster/core/services/tavern/botAdventurer').maybeDeclare(open.id, interaction.channel);
+    },
+
+    /**
+     * Play-by-post: post a move privately for the open window, and resolve
+     * the round if it was the last one the table was waiting on.
+     */
+    async _postMove(interaction, open, move) {
+        const { window, move: posted, posted: postedIds, ready } = await playByPostService.declare(
+            open.id, interaction.user.id, move, { botUserId: interaction.client.user.id }
+        );
+        const members = await adventureService.getMembers(open.id);
+        const content = views.postedMoveMessage({ window, move: posted, posted: postedIds, members });
+        if (interaction.deferred) {
+            await interaction.editReply(content);
+        } else {
+            await interaction.reply({ content, ephemeral: true });
+        }
+        if (ready) await postRound(interaction.channel, window.id);
+    },
+
+    /** Switch the table between live play and play-by-post. */
+    async _pace(interaction, { channelId, userId }) {
+        const open = await this._requireChannelAdventure(channelId);
+        const force = interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) || false;
+        const { adventure, window } = await playByPostService.setPace(open.id, userId, {
+            pace: interaction.options.getString('mode'),
+            postHours: interaction.options.getInteger('hours'),
+            force
+        });
+        await interaction.reply(adventure.pace === 'POSTED'
+            ? `📮 This table now plays by post: each round is a ${adventure.postHours}-hour posting window. Post moves privately; the round resolves when everyone has posted or time runs out.`
+            : '🕯️ This table now plays live, at one sitting. Any moves posted for the open round are set aside.');
+        if (adventure.status !== 'ACTIVE') return;
+        await interaction.channel.send(await buildSceneView(adventure.id));
+        const botAdventurer = require('@goobster/core/services/tavern/botAdventurer');
+        if (window) {
+            await botAdventurer.maybeDeclare(adventure.id, interaction.channel);
+        } else {
+            await botAdventurer.maybeTakeTurn(adventure.id, interaction.channel);
+        }
     },
 
     /** Re-post the actionable card for wherever the story stands. */
@@ -348,6 +482,9 @@ module.exports = {
             await interaction.reply(views.partyMessage(open, quest, members));
             return;
         }
-        await interaction.reply(await buildSceneView(open.id, '*Where were we? Ah, yes -*'));
+        // A tale told by post bridges the gap since the last round
+        const previously = open.pace === 'POSTED' ? await playByPostService.previously(open.id) : null;
+        await interaction.reply(await buildSceneView(open.id,
+            previously ? `*Where were we? Ah, yes -*\n${previously}` : '*Where were we? Ah, yes -*'));
     }
 };
@@ -1,17 +1,27 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    SlashCommandBuilder, PermissionFlagsBits, AttachmentBuilder,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType
+} = require('discord.js');
 const tavernService = require('@goobster/core/services/tavern/tavernService');
 const questLoader = require('@goobster/core/services/tavern/questLoader');
 const worldService = require('@goobster/core/services/tavern/worldService');
 const characterService = require('@goobster/core/services/tavern/characterService');
 const adventureService = require('@goobster/core/services/tavern/adventureService');
+const marketService = require('@goobster/core/services/tavern/marketService');
 const { NPCS } = require('@goobster/core/services/tavern/content');
 const views = require('@goobster/core/utils/tavernViews');
+const economyService = require('@goobster/core/services/economyService');
 const usageTracker = require('@goobster/core/services/usageTracker');
 
+// How long an import preview waits for Install / Cancel
+const IMPORT_CONFIRM_MS = 5 * 60 * 1000;
+
 /**
  * The Goobster Tavern's Common Room: the status embed (daily rumor, NPCs,
  * quest board summary, open parties), the full quest board, NPC cards,
- * member profiles, and the admin campaign reload.
+ * member profiles, the opt-in market (shops, crafting, wages in the guild
+ * currency), and the admin campaign tools: reload, lint, and signed
+ * campaign packages (export / import).
  */
 module.exports = {
     data: new SlashCommandBuilder()
@@ -59,10 +69,65 @@ module.exports = {
                     opt.setName('prompt').setDescription('What should the adventure be about?').setRequired(true).setMaxLength(600)))
         .addSubcommand(sub =>
             sub.setName('reload-quests')
-                .setDescription('Reload campaign YAML files from disk (Manage Server)')),
+                .setDescription('Reload campaign YAML files from disk (Manage Server)'))
+        .addSubcommand(sub =>
+            sub.setName('lint')
+                .setDescription('Check a campaign for unreachable scenes, soft-locks, and dead clocks (Manage Server)')
+                .addStringOption(opt =>
+                    opt.setName('quest').setDescription('Quest id (custom campaigns the loader skipped work too)').setRequired(true).setAutocomplete(true))
+                .addStringOption(opt =>
+                    opt.setName('diagram').setDescription('Attach a story-graph diagram (default: Mermaid)')
+                        .addChoices({ name: 'Mermaid', value: 'mermaid' }, { name: 'Graphviz DOT', value: 'dot' }, { name: 'None', value: 'none' })))
+        .addSubcommand(sub =>
+            sub.setName('export')
+                .setDescription('Package a campaign as one signed file to share with other servers (Manage Server)')
+                .addStringOption(opt =>
+                    opt.setName('quest').setDescription('Quest id (twist forks work too)').setRequired(true).setAutocomplete(true))
+                .addStringOption(opt =>
+                    opt.setName('version').setDescription('Version label for the package (default 1.0.0)').setMaxLength(32))
+                .addBooleanOption(opt =>
+                    opt.setName('art').setDescription('Include scene art (default: yes)')))
+        .addSubcommand(sub =>
+            sub.setName('import')
+                .setDescription('Install a campaign package after previewing it (Manage Server)')
+                .addAttachmentOption(opt =>
+                    opt.setName('file').setDescription('A .campaign.json package from /tavern export').setRequired(true)))
+        .addSubcommandGroup(group =>
+            group.setName('market')
+                .setDescription('Trade at the Tavern market in the server currency')
+                .addSubcommand(sub =>
+                    sub.setName('browse')
+                        .setDescription('Shop stock and crafting recipes from the campaigns you have unlocked'))
+                .addSubcommand(sub =>
+                    sub.setName('buy')
+                        .setDescription('Buy an item into your pack')
+                        .addStringOption(opt =>
+                            opt.setName('item').setDescription('What to buy').setRequired(true).setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('sell')
+                        .setDescription('Sell shop goods from your pack')
+                        .addStringOption(opt =>
+                            opt.setName('item').setDescription('What to sell').setRequired(true).setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('craft')
+                        .setDescription('Combine loot from your pack into something new')
+                        .addStringOption(opt =>
+                            opt.setName('recipe').setDescription('What to make').setRequired(true).setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('settings')
+                        .setDescription('Open or close the market and set the adventure wage (Manage Server)')
+                        .addBooleanOption(opt => opt.setName('enabled').setDescription('Let adventures trade in the server currency'))
+                        .addIntegerOption(opt =>
+                            opt.setName('wage').setDescription('Paid to each adventurer per completed quest (default 50)')
+                                .setMinValue(0).setMaxValue(marketService.MAX_WAGE)))),
 
     async autocomplete(interaction) {
-        const focused = interaction.options.getFocused().toLowerCase();
+        const option = interaction.options.getFocused(true);
+        if (['item', 'recipe'].includes(option.name)) {
+            await interaction.respond(await this._marketChoices(interaction, option));
+            return;
+        }
+        const focused = option.value.toLowerCase();
         const quests = questLoader.getVisibleQuests()
             .filter(quest => quest.title.toLowerCase().includes(focused) || quest.id.includes(focused))
             .slice(0, 25)
@@ -76,11 +141,14 @@ module.exports = {
             return;
         }
         const guildId = interaction.guildId;
+        const group = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
         await usageTracker.logCommand({ command: 'tavern', guildId, userId: interaction.user.id });
 
         try {
-            if (subcommand === 'status') {
+            if (group === 'market') {
+                await this._market(interaction, guildId, subcommand);
+            } else if (subcommand === 'status') {
                 const status = await tavernService.getStatus(guildId);
                 await interaction.reply({ embeds: [views.tavernStatus(status, interaction.guild?.name)] });
             } else if (subcommand === 'board') {
@@ -136,6 +204,12 @@ module.exports = {
                     return;
                 }
                 await interaction.reply({ embeds: [views.characterSheet(character, { asProfile: true })] });
+            } else if (subcommand === 'lint') {
+                await this._lint(interaction);
+            } else if (subcommand === 'export') {
+                await this._export(interaction);
+            } else if (subcommand === 'import') {
+                await this._import(interaction);
             } else if (subcommand === 'reload-quests') {
                 if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
                     await interaction.reply({ content: '❌ You need Manage Server permission to reload campaigns.', ephemeral: true });
@@ -162,6 +236,207 @@ module.exports = {
         }
     },
 
+    /** The market: browsing is public, trades answer privately, settings need Manage Server. */
+    async _market(interaction, guildId, subcommand) {
+        const userId = interaction.user.id;
+        if (subcommand === 'settings') {
+            if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+                await interaction.reply({ content: '❌ You need Manage Server permission to run the market.', ephemeral: true });
+                return;
+            }
+            const settings = await marketService.setSettings({
+                guildId,
+                enabled: interaction.options.getBoolean('enabled') ?? undefined,
+                wage: interaction.options.getInteger('wage') ?? undefined
+            });
+            const { currencyName } = await economyService.getSettings(guildId);
+            await interaction.reply(settings.enabled
+                ? `🛒 The Tavern market is **open**. Adventurers earn **${settings.wage.toLocaleString()} ${currencyName}** per completed quest.`
+                : '🔒 The Tavern market is **closed**. Adventures no longer touch anyone\'s wallet.');
+        } else if (subcommand === 'browse') {
+            const settings = await marketService.getSettings(guildId);
+            if (!settings.enabled) {
+                await interaction.reply({ content: '🔒 The Tavern market is closed here. An admin can open it with `/tavern market settings enabled:true`.', ephemeral: true });
+                return;
+            }
+            const { currencyName } = await economyService.getSettings(guildId);
+            await interaction.reply({
+                embeds: [views.marketBoard({
+                    shops: await marketService.listShops(guildId),
+                    recipes: await marketService.listRecipes(guildId),
+                    currencyName,
+                    wage: settings.wage,
+                    balance: await economyService.getBalance(guildId, userId)
+                })]
+            });
+        } else if (subcommand === 'buy') {
+            const sale = await marketService.buy({ guildId, userId, item: interaction.options.getString('item') });
+            await interaction.reply({
+                content: `🛒 Bought **${sale.item}** for **${sale.price.toLocaleString()} ${sale.currencyName}**. ` +
+                    `It's in your pack; you have **${sale.balance.toLocaleString()}** left.`,
+                ephemeral: true
+            });
+        } else if (subcommand === 'sell') {
+            const sale = await marketService.sell({ guildId, userId, item: interaction.options.getString('item') });
+            await interaction.reply({
+                content: `🪙 Sold **${sale.item}** for **${sale.price.toLocaleString()} ${sale.currencyName}**. ` +
+                    `You now have **${sale.balance.toLocaleString()}**.`,
+                ephemeral: true
+            });
+        } else if (subcommand === 'craft') {
+            const crafted = await marketService.craft({ guildId, userId, makes: interaction.options.getString('recipe') });
+            await interaction.reply({
+                content: `⚒️ ${crafted.used.join(' + ')} → **${crafted.item}**` +
+                    (crafted.fee > 0 ? ` (fee **${crafted.fee.toLocaleString()} ${crafted.currencyName}**; ${crafted.balance.toLocaleString()} left)` : '') + '.',
+                ephemeral: true
+            });
+        }
+    },
+
+    /** Autocomplete for market items: shop stock to buy, your shop goods to sell, recipes to craft. */
+    async _marketChoices(interaction, option) {
+        const guildId = interaction.guildId;
+        if (!guildId) return [];
+        const focused = String(option.value).toLowerCase();
+        const subcommand = interaction.options.getSubcommand(false);
+        let names;
+        if (option.name === 'recipe') {
+            names = (await marketService.listRecipes(guildId)).map(recipe => recipe.makes);
+        } else {
+            const stocked = (await marketService.listShops(guildId)).map(entry => entry.item);
+            if (subcommand === 'sell') {
+                const character = await characterService.getCharacter(guildId, interaction.user.id);
+                const carried = new Set((character?.inventory || []).map(item => item.toLowerCase()));
+                names = stocked.filter(item => carried.has(item.toLowerCase()));
+            } else {
+                names = stocked;
+            }
+        }
+        return [...new Set(names)]
+            .filter(name => name.toLowerCase().includes(focused))
+            .slice(0, 25)
+            .map(name => ({ name, value: name }));
+    },
+
+    /** Lint one campaign's story graph; the report is a spoiler, so it stays ephemeral. */
+    async _lint(interaction) {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            await interaction.reply({ content: '❌ You need Manage Server permission to lint campaigns.', ephemeral: true });
+            return;
+        }
+        const fs = require('node:fs');
+        const path = require('node:path');
+        const campaignLinter = require('@goobster/core/services/tavern/campaignLinter');
+        const questId = interaction.options.getString('quest').trim();
+        const diagram = interaction.options.getString('diagram') || 'mermaid';
+
+        // A custom campaign that failed validation is not on the board, but
+        // its directory can still be linted (the report says why it was skipped)
+        let quest = questLoader.getQuest(questId);
+        let report;
+        if (quest) {
+            report = campaignLinter.lintQuest(quest);
+        } else {
+            const dir = path.join(questLoader.CUSTOM_DIR, path.basename(questId));
+            if (!fs.existsSync(path.join(dir, 'quest.yaml'))) {
+                await interaction.reply({ content: 'No such quest on the board (or in the custom campaigns folder).', ephemeral: true });
+                return;
+            }
+            quest = questLoader.loadCampaignDir(dir);
+            report = campaignLinter.lintQuest(quest);
+        }
+
+        let content = campaignLinter.formatReport(report, { maxFindings: 12 });
+        if (content.length > 1900) content = `${content.slice(0, 1900)}\n…`;
+        const files = [];
+        if (report.valid && diagram !== 'none') {
+            const body = diagram === 'dot' ? campaignLinter.toDot(quest, report) : campaignLinter.toMermaid(quest, report);
+            files.push(new AttachmentBuilder(Buffer.from(body, 'utf8'), { name: `${report.questId}.${diagram === 'dot' ? 'dot' : 'mmd'}` }));
+        }
+        if (report.findings.length > 12) {
+            files.push(new AttachmentBuilder(Buffer.from(campaignLinter.formatReport(report), 'utf8'), { name: `${report.questId}-lint.txt` }));
+        }
+        await interaction.reply({ content, files, ephemeral: true });
+    },
+
+    /** Export a campaign as a signed package; the file goes to the admin privately. */
+    async _export(interaction) {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            await interaction.reply({ content: '❌ You need Manage Server permission to export campaigns.', ephemeral: true });
+            return;
+        }
+        const campaignPackage = require('@goobster/core/services/tavern/campaignPackage');
+        const { buffer, fileName, manifest } = campaignPackage.exportCampaign(interaction.options.getString('quest').trim(), {
+            version: interaction.options.getString('version'),
+            author: { name: interaction.user.username, server: interaction.guild?.name },
+            includeArt: interaction.options.getBoolean('art') ?? true
+        });
+        const art = Object.keys(manifest.files).filter(file => file.startsWith('art/')).length;
+        await interaction.reply({
+            content: `📦 **${manifest.title}** v${manifest.version} - ${Object.keys(manifest.files).length - art} campaign file(s), ${art} painting(s).\n` +
+                `Signed by this install: \`${manifest.signer.fingerprint}\`. Another server installs it with \`/tavern import\`.`,
+            files: [new AttachmentBuilder(buffer, { name: fileName })],
+            ephemeral: true
+        });
+    },
+
+    /** Verify and quarantine a package, preview it, and install it on confirmation. */
+    async _import(interaction) {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            await interaction.reply({ content: '❌ You need Manage Server permission to import campaigns.', ephemeral: true });
+            return;
+        }
+        const campaignPackage = require('@goobster/core/services/tavern/campaignPackage');
+        const attachment = interaction.options.getAttachment('file');
+        if (attachment.size > campaignPackage.MAX_PACKAGE_BYTES) {
+            await interaction.reply({ content: `🍺 Campaign packages are at most ${campaignPackage.MAX_PACKAGE_BYTES / 1048576} MB.`, ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const response = await fetch(attachment.url, { signal: AbortSignal.timeout(30_000) });
+        if (!response.ok) {
+            await interaction.editReply('❌ Could not download that attachment - try uploading it again.');
+            return;
+        }
+        const preview = campaignPackage.stageImport(Buffer.from(await response.arrayBuffer()));
+        const embed = views.campaignPackagePreview(preview);
+        if (!preview.valid) {
+            campaignPackage.discardStaged(preview.token);
+            await interaction.editReply({ content: 'This package is signed, but the campaign inside does not pass validation.', embeds: [embed] });
+            return;
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId('tavernimport_confirm').setLabel('Install campaign').setEmoji('📦').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId('tavernimport_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+        );
+        const reply = await interaction.editReply({ embeds: [embed], components: [row] });
+        let confirmation;
+        try {
+            confirmation = await reply.awaitMessageComponent({
+                componentType: ComponentType.Button,
+                filter: i => i.user.id === interaction.user.id,
+                time: IMPORT_CONFIRM_MS
+            });
+        } catch {
+            campaignPackage.discardStaged(preview.token);
+            await interaction.editReply({ content: 'Timed out - nothing was installed.', components: [] });
+            return;
+        }
+        if (confirmation.customId === 'tavernimport_cancel') {
+            campaignPackage.discardStaged(preview.token);
+            await confirmation.update({ content: 'Cancelled - the package was discarded.', components: [] });
+            return;
+        }
+        const { quest, art } = campaignPackage.installStaged(preview.token);
+        await confirmation.update({
+            content: `📜 **${quest.title}** is installed${art > 0 ? ` with ${art} painting(s)` : ''}. ` +
+                (quest.hidden ? 'It is a twist fork, so it stays off the board.' : `Start it: \`/adventure join quest:${quest.id}\``),
+            components: []
+        });
+    },
+
     /** Goobster writes a brand-new campaign into data/tavern/campaigns. */
     async _forge(interaction, guildId) {
         if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
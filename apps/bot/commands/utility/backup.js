@@ -0,0 +1,89 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const backupService = require('@goobster/core/services/backupService');
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/** 'YYYY-MM-DD HH:MM:SS' (UTC) -> a Discord relative timestamp. */
+function relative(utcText) {
+    return `<t:${Math.floor(Date.parse(`${utcText.replace(' ', 'T')}Z`) / 1000)}:R>`;
+}
+
+function describeBackup(backup) {
+    return `\`${backup.id}\` ${relative(backup.createdAt)} - ${backup.kind === 'sqlite' ? 'SQLite snapshot' : 'logical dump'}, ` +
+        `${formatBytes(backup.sizeBytes)}, schema v${backup.schemaVersion}`;
+}
+
+function statusEmbed(status) {
+    const healthy = Boolean(status.lastGood) && !status.lastFailure;
+    const embed = new EmbedBuilder()
+        .setTitle('🗄️ Database backups')
+        .setColor(healthy ? 0x2ecc71 : 0xe67e22)
+        .addFields(
+            { name: 'Last good backup', value: status.lastGood ? describeBackup(status.lastGood) : 'None yet' },
+            {
+                name: 'Schedule',
+                value: status.enabled
+                    ? `Every ${status.intervalHours}h, next ${relative(status.nextDueAt)}. Keeping the newest ${status.keep} plus ${status.keepWeekly} weekly.`
+                    : 'Disabled (`backups.enabled`) - only manual backups.',
+                inline: false
+            },
+            {
+                name: 'Stored',
+                value: `${status.count} backup(s), ${formatBytes(status.totalBytes)} (${status.engine})`,
+                inline: true
+            }
+        );
+    if (status.lastFailure) {
+        embed.addFields({
+            name: '⚠️ Last attempt failed',
+            value: `${relative(status.lastFailure.failedAt)}: ${status.lastFailure.message}`.slice(0, 1024)
+        });
+    }
+    embed.setFooter({ text: 'Restore from the host: npm run db-backup -- restore (with the bot stopped)' });
+    return embed;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('backup')
+        .setDescription('Database backups: see the last good one, or take one now (bot-wide).')
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the last good backup and the schedule'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('now')
+                .setDescription('Take a backup right away')),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'status') {
+            await interaction.reply({ embeds: [statusEmbed(backupService.status())], ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        try {
+            const manifest = await backupService.createBackup({ reason: 'manual' });
+            await interaction.editReply({
+                content: `✅ Backup taken: ${describeBackup(manifest)} in ${(manifest.durationMs / 1000).toFixed(1)}s.`,
+                embeds: [statusEmbed(backupService.status())]
+            });
+        } catch (error) {
+            if (error.code && error.status < 500) {
+                await interaction.editReply({ content: `⚠️ ${error.message}` });
+                return;
+            }
+            console.error('Manual backup failed:', error);
+            await interaction.editReply({ content: `❌ ${error.message}` });
+        }
+    }
+};
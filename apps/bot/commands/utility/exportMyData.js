@@ -0,0 +1,83 @@
+const { SlashCommandBuilder, AttachmentBuilder } = require('discord.js');
+const dataExportService = require('@goobster/core/services/dataExportService');
+const usageTracker = require('@goobster/core/services/usageTracker');
+
+// Discord's upload cap for bots without a boosted server
+const DISCORD_ATTACHMENT_LIMIT = 8 * 1024 * 1024;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+    // The export is bot-wide, like /forget-me, so it works from a DM too
+    // (registered globally with DM contexts, see deploy-commands.js)
+    dmAllowed: true,
+    data: new SlashCommandBuilder()
+        .setName('export-my-data')
+        .setDescription('Download everything Goobster has stored about you, as a ZIP archive (private link).'),
+
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        await usageTracker.logCommand({
+            command: 'export-my-data',
+            guildId: interaction.guildId,
+            userId: interaction.user.id
+        });
+
+        let created;
+        try {
+            created = await dataExportService.createExport({ userId: interaction.user.id, via: 'discord' });
+        } catch (error) {
+            if (error.code && error.status < 500) {
+                await interaction.editReply({ content: `⚠️ ${error.message}` });
+                return;
+            }
+            console.error('Data export failed:', error);
+            await interaction.editReply({ content: `❌ Building your export failed: ${error.message}` });
+            return;
+        }
+
+        const expires = Math.floor(Date.parse(`${created.expiresAt.replace(' ', 'T')}Z`) / 1000);
+        const lines = [
+            '📦 **Your data export is ready.**',
+            '',
+            `- **${created.rowCount.toLocaleString()}** database rows as JSON (memories, facts, knowledge graph, chat history, Parlor, decks, economy, tavern, and more)`,
+            `- **${created.fileCount}** original files (Observatory workspaces, uploads, artifacts)`,
+            `- Archive size: **${formatBytes(created.sizeBytes)}**`
+        ];
+        if (created.skipped.length > 0) {
+            lines.push(`- ${created.skipped.length} oversized file(s) were left out - see \`manifest.json\``);
+        }
+        lines.push('');
+
+        if (created.link) {
+            lines.push(
+                `⬇️ **[Download ${created.fileName}](${created.link})**`,
+                `The link expires <t:${expires}:R> and only works for whoever holds it - don't share it. Every download is logged.`
+            );
+            await interaction.editReply({ content: lines.join('\n') });
+            return;
+        }
+
+        // No public web app to serve the link: hand the archive over directly
+        // when Discord will take it.
+        if (created.sizeBytes <= DISCORD_ATTACHMENT_LIMIT) {
+            await interaction.editReply({
+                content: lines.join('\n'),
+                files: [new AttachmentBuilder(created.path, { name: created.fileName })]
+            });
+            await dataExportService.recordDelivery({ exportId: created.id, userId: interaction.user.id, via: 'discord' });
+            return;
+        }
+
+        lines.push(
+            `This archive is too large to attach here, and this bot has no public web app to serve the download link. ` +
+            `Ask the bot owner to set \`webapp.publicUrl\`, or open \`${created.url}\` on the bot's web app before it expires <t:${expires}:R>.`
+        );
+        await interaction.editReply({ content: lines.join('\n') });
+    }
+};
@@ -129,7 +129,7 @@ async function sendCategoryHelp(interaction, category) {
                 },
                 { 
                     name: '/setvoice', 
-                    value: 'Admin: set the global ElevenLabs voice\n• Usage: `/setvoice voice_id:Rachel`\n• Accepts a voice name or voice ID', 
+                    value: 'Admin: set the global TTS voice (ElevenLabs or Piper)\n• Usage: `/setvoice voice_id:Rachel`\n• Accepts a voice name or voice ID', 
                     inline: true 
                 }
             ]
@@ -149,6 +149,11 @@ async function sendCategoryHelp(interaction, category) {
                     value: '• Play and manage downloaded tracks\n• Subcommands: play, list, queue, skip, pause, resume, stop, volume, playlist_create, playlist_add, playlist_play, playlist_list, playlist_delete, play_all, shuffle_all\n• Usage: `/playtrack play track:"Artist - Title"` or `/playtrack playlist_play name:"My Favs"`',
                     inline: false // Make it full width due to length
                 },
+                {
+                    name: '/music fx',
+                    value: '• Audio effects for this server\n• Loudness normalization, EQ presets (bass boost, nightcore, vocal) and crossfade between tracks\n• Usage: `/music fx preset:bass crossfade:6`',
+                    inline: false
+                },
                 {
                     name: '/spotdl',
                     value: '• Download music from Spotify\n• Subcommands: download, list, delete\n• Usage: `/spotdl download url:<spotify_url>`\n• **Tip:** Use the "Share" option in Spotify to get the URL.',
@@ -232,7 +237,7 @@ async function sendCategoryHelp(interaction, category) {
             fields: [
                 {
                     name: '/tavern',
-                    value: '• The Common Room: daily rumor, NPCs (with your standing), quest board, open parties\n• `/tavern status`, `board`, `rumor`, `npc name:`, `profile`, `room`, `room-edit`\n• Admin: `forge` (Goobster writes a new campaign), `generate-art`, `reload-quests`',
+                    value: '• The Common Room: daily rumor, NPCs (with your standing), quest board, open parties\n• `/tavern status`, `board`, `rumor`, `npc name:`, `profile`, `room`, `room-edit`\n• `market`: buy, sell and craft loot for server points; adventures pay wages\n• Admin: `forge` (Goobster writes a new campaign), `export` / `import` (share campaigns between servers), `generate-art`, `reload-quests`',
                     inline: true
                 },
                 {
@@ -242,7 +247,7 @@ async function sendCategoryHelp(interaction, category) {
                 },
                 {
                     name: '/adventure',
-                    value: '• Play: `join quest:`, `begin`, then click options, `attack` foes, or improvise with `act`\n• `invite-goobster` seats Goobster as a party member (he plays his own turns!)\n• `twist` bends the story: Goobster forges new scenes that tie back to the campaign\'s endings\n• `bigmove`, `status`, `recap`, `leave`, `abandon`',
+                    value: '• Play: `join quest:`, `begin`, then click options, `attack` foes, or improvise with `act`\n• `invite-goobster` seats Goobster as a party member (he plays his own turns!)\n• `twist` bends the story: Goobster forges new scenes that tie back to the campaign\'s endings\n• Far-flung party? `join pace:By post` (or `pace`) plays each round as a posting window\n• `narrate` reads the tale aloud in your voice channel - just say your moves\n• `bigmove`, `status`, `recap`, `leave`, `abandon`',
                     inline: true
                 },
                 {
@@ -289,22 +294,32 @@ async function sendCategoryHelp(interaction, category) {
                 },
                 { 
                     name: '/forget-me', 
-                    value: '• Erase everything Goobster knows about you\n• ⚠️ Bot-wide, cannot be undone\n• Usage: `/forget-me`', 
-                    inline: true 
+                    value: '• Erase everything Goobster knows about you\n• ⚠️ Bot-wide, cannot be undone\n• Usage: `/forget-me`',
+                    inline: true
+                },
+                {
+                    name: '/export-my-data',
+                    value: '• Download all your data as a ZIP (JSON + your files)\n• Private link, expires in 24 hours\n• Usage: `/export-my-data`',
+                    inline: true
                 },
                 { 
                     name: '/privacy', 
                     value: '• Admin: memory retention + channel exclusions\n• Usage: `/privacy retention days:90`', 
                     inline: true 
                 },
-                { 
-                    name: '/cleanup', 
+                {
+                    name: '/backup',
+                    value: '• Admin: last good database backup and the schedule\n• Usage: `/backup status` or `/backup now`',
+                    inline: true
+                },
+                {
+                    name: '/cleanup',
                     value: '• Clean up bot resources\n• Frees up system resources\n• Usage: `/cleanup`', 
                     inline: true 
                 },
                 { 
                     name: '/server', 
-                    value: '• View server information\n• Shows member count and details\n• Usage: `/server`', 
+                    value: '• View server information, or move this server\'s data to another host\n• Export and import need Manage Server; import previews first\n• Usage: `/server info`, `/server export`, `/server import file:<zip> [mode]`', 
                     inline: true 
                 },
                 { 
@@ -1,10 +1,181 @@
-const { SlashCommandBuilder } = require('discord.js');
+const {
+	SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, AttachmentBuilder,
+	ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType
+} = require('discord.js');
+const guildTransferService = require('@goobster/core/services/guildTransferService');
+const { GuildTransferError } = guildTransferService;
+
+const IMPORT_CONFIRM_MS = 5 * 60 * 1000;
+// Upload limit by server boost tier (0-1, 2, 3)
+const UPLOAD_LIMITS = [10, 10, 50, 100].map(mb => mb * 1024 * 1024);
+
+function formatBytes(bytes) {
+	if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const STATUS_LABELS = {
+	import: '',
+	empty: ' - nothing in the archive',
+	conflict: ' - ⚠️ **kept as is** (this server already has one; use mode: replace)'
+};
+
+const CAMPAIGN_LABELS = {
+	installed: 'already installed',
+	install: 'will be installed',
+	'installed-now': 'installed',
+	invalid: '⚠️ invalid, skipped'
+};
+
+/** The dry-run (or applied) report as an embed. */
+function importEmbed(report, { applied = false } = {}) {
+	const { archive } = report;
+	const embed = new EmbedBuilder()
+		.setTitle(applied ? '📥 Server archive imported' : '📥 Server archive preview (nothing written yet)')
+		.setColor(applied ? 0x2ecc71 : 0x3498db)
+		.setDescription(
+			`From **${archive.guild.name || archive.guild.id}**, exported <t:${Math.floor(Date.parse(archive.exportedAt) / 1000)}:f> ` +
+			`(${formatBytes(archive.sizeBytes)}, schema v${archive.schemaVersion}). Mode: **${report.mode}**.`
+		);
+	for (const area of report.areas) {
+		const { inserted, kept, skipped, deleted } = area.totals;
+		const parts = [`${inserted.toLocaleString()} ${applied ? 'added' : 'to add'}`];
+		if (kept > 0) parts.push(`${kept.toLocaleString()} already here`);
+		if (skipped > 0) parts.push(`${skipped.toLocaleString()} skipped`);
+		if (deleted > 0) parts.push(`${deleted.toLocaleString()} ${applied ? 'replaced' : 'to replace'}`);
+		embed.addFields({
+			name: area.label,
+			value: (area.status === 'import' ? parts.join(', ') : `${area.existing.toLocaleString()} row(s) here`) + STATUS_LABELS[area.status]
+		});
+	}
+	if (report.campaigns.length > 0) {
+		embed.addFields({
+			name: 'Custom campaigns',
+			value: report.campaigns.map(campaign => `**${campaign.title}** - ${CAMPAIGN_LABELS[campaign.action]}`).join('\n').slice(0, 1024)
+		});
+	}
+	if (report.warnings.length > 0) {
+		embed.addFields({ name: 'Notes', value: report.warnings.map(warning => `- ${warning}`).join('\n').slice(0, 1024) });
+	}
+	return embed;
+}
 
 module.exports = {
 	data: new SlashCommandBuilder()
 		.setName('server')
-		.setDescription('Provides information about the server.'),
+		.setDescription('Server information, and moving this server\'s Goobster data between hosts.')
+		.setDMPermission(false)
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('info')
+				.setDescription('Provides information about the server.'))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('export')
+				.setDescription('Export this server\'s Goobster data as a portable archive (Manage Server)'))
+		.addSubcommand(subcommand =>
+			subcommand
+				.setName('import')
+				.setDescription('Import a server archive from another host - previews first (Manage Server)')
+				.addAttachmentOption(option =>
+					option.setName('file').setDescription('A goobster-guild-*.zip from /server export').setRequired(true))
+				.addStringOption(option =>
+					option.setName('mode').setDescription('Merge into what is here (default) or replace it')
+						.addChoices({ name: 'merge', value: 'merge' }, { name: 'replace', value: 'replace' }))),
+
 	async execute(interaction) {
-		await interaction.reply(`This server is ${interaction.guild.name} and has ${interaction.guild.memberCount} members.`);
+		const subcommand = interaction.options.getSubcommand();
+		if (subcommand === 'info') {
+			await interaction.reply(`This server is ${interaction.guild.name} and has ${interaction.guild.memberCount} members.`);
+			return;
+		}
+		if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+			await interaction.reply({ content: '❌ You need Manage Server permission to move this server\'s data.', ephemeral: true });
+			return;
+		}
+		try {
+			if (subcommand === 'export') await this._export(interaction);
+			else if (subcommand === 'import') await this._import(interaction);
+		} catch (error) {
+			const message = error instanceof GuildTransferError
+				? `❌ ${error.message}`
+				: '❌ The server transfer failed. Nothing was changed; details are in the bot log.';
+			if (!(error instanceof GuildTransferError)) console.error('Server transfer error:', error);
+			if (interaction.deferred || interaction.replied) {
+				await interaction.editReply({ content: message, embeds: [], components: [] });
+			} else {
+				await interaction.reply({ content: message, ephemeral: true });
+			}
+		}
+	},
+
+	/** Write the archive on the host; attach it when it fits the upload limit. */
+	async _export(interaction) {
+		await interaction.deferReply({ ephemeral: true });
+		const { filePath, fileName, sizeBytes, manifest } = await guildTransferService.exportGuild(interaction.guildId, {
+			guildName: interaction.guild.name
+		});
+		const rows = Object.values(manifest.tables).reduce((sum, n) => sum + n, 0);
+		const lines = [
+			`📦 Exported **${rows.toLocaleString()}** row(s) from ${Object.values(manifest.tables).filter(n => n > 0).length} table(s)` +
+				(manifest.campaigns.length > 0 ? ` and ${manifest.campaigns.length} custom campaign(s)` : '') + ` - ${formatBytes(sizeBytes)}.`,
+			'On the new host, run `/server import` with this file. It shows what it will do before anything is written.',
+			...manifest.warnings.map(warning => `⚠️ ${warning}`)
+		];
+		if (sizeBytes > UPLOAD_LIMITS[interaction.guild.premiumTier ?? 0]) {
+			lines.push(`Too large to upload here - it is on the host at \`${filePath}\`. Import it there with \`npm run guild-transfer -- import\`.`);
+			await interaction.editReply(lines.join('\n'));
+			return;
+		}
+		await interaction.editReply({ content: lines.join('\n'), files: [new AttachmentBuilder(filePath, { name: fileName })] });
+	},
+
+	/** Dry-run the archive, show the counts, and apply only on confirmation. */
+	async _import(interaction) {
+		const attachment = interaction.options.getAttachment('file');
+		await interaction.deferReply({ ephemeral: true });
+		const response = await fetch(attachment.url, { signal: AbortSignal.timeout(60_000) });
+		if (!response.ok) {
+			await interaction.editReply('❌ Could not download that attachment - try uploading it again.');
+			return;
+		}
+		const channels = await interaction.guild.channels.fetch();
+		const plan = await guildTransferService.planImport(Buffer.from(await response.arrayBuffer()), {
+			guildId: interaction.guildId,
+			mode: interaction.options.getString('mode') || 'merge',
+			channelIds: new Set([...channels.keys(), ...interaction.guild.channels.cache.keys()])
+		});
+		if (plan.totals.inserted === 0 && plan.totals.deleted === 0) {
+			guildTransferService.discardImport(plan.token);
+			await interaction.editReply({ content: 'Nothing in this archive would change this server.', embeds: [importEmbed(plan)] });
+			return;
+		}
+
+		const row = new ActionRowBuilder().addComponents(
+			new ButtonBuilder().setCustomId('serverimport_confirm').setLabel('Apply import').setEmoji('📥')
+				.setStyle(plan.mode === 'replace' ? ButtonStyle.Danger : ButtonStyle.Success),
+			new ButtonBuilder().setCustomId('serverimport_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+		);
+		const reply = await interaction.editReply({ embeds: [importEmbed(plan)], components: [row] });
+		let confirmation;
+		try {
+			confirmation = await reply.awaitMessageComponent({
+				componentType: ComponentType.Button,
+				filter: i => i.user.id === interaction.user.id,
+				time: IMPORT_CONFIRM_MS
+			});
+		} catch {
+			guildTransferService.discardImport(plan.token);
+			await interaction.editReply({ content: 'Timed out - nothing was imported.', components: [] });
+			return;
+		}
+		if (confirmation.customId === 'serverimport_cancel') {
+			guildTransferService.discardImport(plan.token);
+			await confirmation.update({ content: 'Cancelled - nothing was imported.', components: [] });
+			return;
+		}
+		await confirmation.update({ content: '📥 Importing…', components: [] });
+		const applied = await guildTransferService.applyImport(plan.token, { guildId: interaction.guildId });
+		await interaction.editReply({ content: null, embeds: [importEmbed(applied, { applied: true })], components: [] });
 	},
 };
@@ -87,6 +87,15 @@ module.exports = {
                       `${report.exchange.perpPositions} perp(s), ${report.exchange.groupOptIns ? 'a Wheel opt-in record, ' : ''}` +
                       `${report.exchange.engineEvents} engine event(s)`
                     : 'no exchange account'}`,
+                `**Tournaments ${scopeLabel}:** ${report.tableGames.tournamentEntries
+                    ? `${report.tableGames.tournamentEntries} entr${report.tableGames.tournamentEntries === 1 ? 'y' : 'ies'}, ${report.tableGames.tournamentPrizes.toLocaleString()} points won`
+                    : 'none'}`,
+                `**Provably-fair hands ${scopeLabel}:** ${report.tableGames.fairHands || report.tableGames.fairSeeds
+                    ? `${report.tableGames.fairHands} hand(s) recorded for verification${report.tableGames.fairSeeds ? ', a committed /gamble seed pair' : ''}`
+                    : 'none'}`,
+                `**Casino hand history ${scopeLabel}:** ${report.tableGames.handHistory
+                    ? `${report.tableGames.handHistory} Activity hand(s) you can replay - /forget-me anonymizes your seat`
+                    : 'none'}`,
                 `**Integrations (bot-wide):** ${report.integrations.length > 0
                     ? report.integrations.map(i => `${i.provider}${i.account ? ` (${i.account})` : ''}`).join(', ') + ' - stored API tokens, deleted by /forget-me'
                     : 'none connected'}`,
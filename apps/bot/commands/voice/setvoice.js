@@ -8,64 +8,67 @@ const CONFIG_PATH = require('@goobster/core/runtimePaths').configJsonPath;
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('setvoice')
-    .setDescription('Globally set the ElevenLabs voice ID used for TTS across all servers')
+    .setDescription('Globally set the default TTS voice used across all servers')
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
     .addStringOption(option =>
       option.setName('voice_id')
-        .setDescription('The ElevenLabs voice ID to use (e.g., "Rachel" or a UUID)')
+        .setDescription('Voice name or ID (e.g. "Rachel" on ElevenLabs, "en_US-lessac-medium" on Piper)')
         .setRequired(true)
     ),
 
   async execute(interaction) {
     const requestedVoice = interaction.options.getString('voice_id');
 
-    if (!voiceService?.tts) {
+    const tts = voiceService?.tts;
+    if (!tts) {
       await interaction.reply({
-        content: '❌ ElevenLabs TTS is not configured (set `ELEVENLABS_API_KEY`).',
+        content: '❌ Text-to-speech is not configured (set `ELEVENLABS_API_KEY`, or install Piper voices).',
         ephemeral: true
       });
       return;
     }
+    const backend = tts.provider === 'piper' ? 'Piper' : 'ElevenLabs';
 
     await interaction.deferReply({ ephemeral: true });
 
-    // 1. Resolve the name/ID against the account's voice library so typos
+    // 1. Resolve the name/ID against the backend's voice library so typos
     //    and unavailable voices fail here, not at speak time.
     let resolved;
     try {
-      resolved = await voiceService.tts.resolveVoice(requestedVoice);
+      resolved = await tts.resolveVoice(requestedVoice);
     } catch (error) {
       await interaction.editReply(`❌ ${error.message}`);
       return;
     }
 
     try {
-      // 2. Persist the resolved ID (+ display name) to config.json
+      // 2. Persist the resolved ID (+ display name) to the backend's
+      //    config.json section (`elevenlabs` or `piper`)
       const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
       const config = JSON.parse(raw);
 
-      if (!config.elevenlabs) {
-        config.elevenlabs = {};
+      if (!config[tts.provider]) {
+        config[tts.provider] = {};
       }
-      config.elevenlabs.voiceId = resolved.id;
-      config.elevenlabs.voiceName = resolved.name;
+      config[tts.provider].voiceId = resolved.id;
+      config[tts.provider].voiceName = resolved.name;
 
       fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
 
       // 3. Update the running voice service
-      voiceService.tts.voiceId = resolved.id;
-      voiceService.tts.voiceName = resolved.name;
-      if (voiceService.config && voiceService.config.elevenlabs) {
-        voiceService.config.elevenlabs.voiceId = resolved.id;
-        voiceService.config.elevenlabs.voiceName = resolved.name;
+      tts.voiceId = resolved.id;
+      tts.voiceName = resolved.name;
+      if (voiceService.config && voiceService.config[tts.provider]) {
+        voiceService.config[tts.provider].voiceId = resolved.id;
+        voiceService.config[tts.provider].voiceName = resolved.name;
       }
 
       await interaction.editReply(
-        `✅ ElevenLabs voice has been updated globally to **${resolved.name || resolved.id}** (\`${resolved.id}\`). This will take effect immediately for all new TTS requests.`
+        `✅ ${backend} voice has been updated globally to **${resolved.name || resolved.id}** (\`${resolved.id}\`). This will take effect immediately for all new TTS requests on ${backend}.`
       );
     } catch (error) {
-      console.error('Failed to update ElevenLabs voice ID:', error);
-      await interaction.editReply('❌ Failed to update the ElevenLabs voice ID. Please check the logs and try again.');
+      console.error('Failed to update the TTS voice ID:', error);
+      await interaction.editReply('❌ Failed to update the TTS voice. Please check the logs and try again.');
     }
   }
 };
\ No newline at end of file
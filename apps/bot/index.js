@@ -446,18 +446,39 @@ client.once(Events.ClientReady, async readyClient => {
 		logger.info('Bot will continue without scheduled knowledge reflection');
 	}
 
-	// Initialize music service (using the shared voiceService)
+	// Expire /export-my-data archives whose download link has lapsed
 	try {
-		logger.info('Initializing shared music service...');
-		client.musicService = voiceService.musicService;
-		if (client.musicService) {
-			client.musicService.setClient(readyClient);
-			logger.info('Shared music service initialized and client set successfully');
+		require('@goobster/core/services/dataExportService').start();
+	} catch (error) {
+		logger.error('Failed to start data export pruning:', error);
+		logger.info('Expired export archives will be pruned on the next export instead');
+	}
+
+	// Scheduled database backups with retention rotation (backups.* config)
+	try {
+		require('@goobster/core/services/backupService').start();
+	} catch (error) {
+		logger.error('Failed to schedule database backups:', error);
+		logger.info('Bot will continue without scheduled backups (npm run db-backup still works)');
+	}
+
+	// Initialize the per-guild music players (owned by the shared voiceService)
+	try {
+		logger.info('Initializing music players...');
+		client.musicPlayers = voiceService.musicPlayers;
+		if (client.musicPlayers) {
+			client.musicPlayers.setClient(readyClient);
+			logger.info('Music players initialized and client set successfully');
+			// Rejoin and resume every guild that was playing before the restart
+			const { resumed, dropped } = await client.musicPlayers.restore(readyClient);
+			if (resumed.length > 0 || dropped.length > 0) {
+				logger.info(`Music restore: resumed ${resumed.length} guild(s), dropped ${dropped.length} stale queue(s)`);
+			}
 		} else {
-			logger.error('Failed to access music service from shared voice service.');
+			logger.error('Failed to access music players from shared voice service.');
 		}
 	} catch (error) {
-		logger.error('Failed to initialize music service:', error);
+		logger.error('Failed to initialize music players:', error);
 		logger.info('Bot will continue without music service features tied to client events.');
 	}
 
@@ -555,9 +576,9 @@ client.on(Events.InteractionCreate, async interaction => {
 	if (await rejectGuildOnlyCommandInDm(interaction, command)) return;
 
 	try {
-		// The shared music service is passed as a second argument; commands
-		// that don't need it simply ignore it.
-		await command.execute(interaction, client.musicService);
+		// The per-guild music players are passed as a second argument;
+		// commands that don't need them simply ignore it.
+		await command.execute(interaction, client.musicPlayers);
 	} catch (error) {
 		logger.error(`Error in ${interaction.commandName} command:`, error);
 		// 10062/40060: transient Discord interaction races - the token is
@@ -624,26 +645,13 @@ client.on('messageReactionRemove', async (reaction, user) => {
 // Add voice state tracking
 client.on('voiceStateUpdate', async (oldState, newState) => {
 	try {
-		if (!client.musicService) return;
-
-		// Handle bot disconnection
-		if (oldState.member.id === client.user.id && !newState.channel) {
-			if (client.musicService.sessionManager && client.musicService.sessionManager.sessions) {
-				const userIds = Array.from(client.musicService.sessionManager.sessions.keys());
-				for (const userId of userIds) {
-					await client.musicService.stopListening(userId);
-				}
-			}
-		}
+		if (!client.musicPlayers) return;
 
-		// Handle user leaving voice channel
-		if (oldState.channel && !newState.channel) {
-			if (client.musicService.sessionManager) {
-				const session = client.musicService.sessionManager.getSession?.(oldState.member.id);
-				if (session) {
-					await client.musicService.stopListening(oldState.member.id);
-				}
-			}
+		// The bot was disconnected from voice in a guild (kicked, channel
+		// deleted): stop that guild's player and drop its saved queue. Other
+		// guilds keep playing.
+		if (oldState.member?.id === client.user.id && oldState.channel && !newState.channel) {
+			await client.musicPlayers.release(oldState.guild.id);
 		}
 	} catch (error) {
 		logger.error('Error handling voice state update:', error);
@@ -663,10 +671,10 @@ client.ws.on('close', (event) => {
 const shutdown = async () => {
         logger.info('Shutting down...');
         try {
-                if (client.musicService) {
-                        logger.debug('Cleaning up music service...');
-                        client.musicService.dispose();
-                        logger.debug('Music service cleanup complete');
+                if (client.musicPlayers) {
+                        logger.debug('Saving and disposing music players...');
+                        await client.musicPlayers.disposeAll();
+                        logger.debug('Music players cleanup complete');
                 }
                 if (client.automationService) {
                         logger.debug('Stopping automation service...');
@@ -704,6 +712,9 @@ const shutdown = async () => {
                 try {
                         require('@goobster/core/services/knowledgeReflectionService').stop();
                 } catch { /* not started */ }
+                try {
+                        require('@goobster/core/services/backupService').stop();
+                } catch { /* not started */ }
 
                 if (idleStatusInterval) {
                         clearInterval(idleStatusInterval);
@@ -0,0 +1,81 @@
+/**
+ * The provably-fair panel: the server seed hash committed for the next
+ * round, the player's client seed (random per browser, editable), the last
+ * revealed hand, and a "verify" form that asks the server to replay any
+ * hand of this server from its revealed seeds.
+ *
+ * The hash is shown before a round draws and the seed after it settles, so
+ * a player can also check `sha256(serverSeed) === hash` themselves; the
+ * stream derivation is documented in documentation/activity_setup.md.
+ */
+
+import { $ } from './ui.js';
+
+const SEED_KEY = 'goobster-client-seed';
+
+let sendMessage = () => {};
+
+/** This browser's client seed, minted on first use. */
+export function clientSeed() {
+    let seed = localStorage.getItem(SEED_KEY);
+    if (!seed) {
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(SEED_KEY, seed);
+    }
+    return seed;
+}
+
+export function initFairPanel(send) {
+    sendMessage = send;
+    $('fair-toggle').addEventListener('click', () => {
+        $('fair-panel').hidden = !$('fair-panel').hidden;
+    });
+    $('fair-seed-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const seed = $('fair-client-seed').value.trim();
+        if (!seed) return;
+        localStorage.setItem(SEED_KEY, seed);
+        sendMessage({ type: 'client-seed', seed });
+    });
+    $('fair-verify-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const handId = Number($('fair-hand-id').value);
+        if (Number.isInteger(handId) && handId > 0) sendMessage({ type: 'verify', handId });
+    });
+}
+
+/** Hand the server this browser's client seed (on every join). */
+export function announceClientSeed() {
+    sendMessage({ type: 'client-seed', seed: clientSeed() });
+}
+
+/** Refresh the commitment shown for the round being (or about to be) played. */
+export function updateFairness(fairness) {
+    if (!fairness) return;
+    $('fair-toggle').hidden = false;
+    $('fair-hash').textContent = fairness.serverSeedHash;
+    $('fair-round-seed').textContent = fairness.roundClientSeed || 'fixed when the round first draws';
+    if (fairness.clientSeed && document.activeElement !== $('fair-client-seed')) {
+        $('fair-client-seed').value = fairness.clientSeed;
+    }
+    if (fairness.lastHandId && !$('fair-hand-id').value) $('fair-hand-id').value = fairness.lastHandId;
+}
+
+/** A settled (or voided) round just revealed its seed. */
+export function showReveal(events) {
+    const reveal = events?.find(e => e.type === 'fair-reveal');
+    if (!reveal) return;
+    $('fair-hand-id').value = reveal.handId;
+    $('fair-last').textContent =
+        `Hand #${reveal.handId}${reveal.status === 'VOID' ? ' (void)' : ''}: server seed ${reveal.serverSeed} · client seed ${reveal.clientSeed}`;
+}
+
+export function showVerifyResult(result) {
+    const mark = ok => (ok ? '✅' : '❌');
+    $('fair-result').textContent =
+        `Hand #${result.handId} (${result.game}${result.status === 'VOID' ? ', void' : ''}): ` +
+        `${mark(result.hashMatches)} seed matches its commitment · ` +
+        `${mark(result.outcomeMatches)} seeds reproduce the hand (${result.draws} draws)`;
+    $('fair-result').className = `fair-result ${result.hashMatches && result.outcomeMatches ? 'good' : 'bad'}`;
+}
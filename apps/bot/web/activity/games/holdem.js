@@ -2,7 +2,8 @@
  * Texas Hold'em renderer: community cards + pot in the middle, seat pods
  * with hole cards (own face up, others face down until showdown), and a
  * fold/check/call/raise action bar. Includes the "Invite Goobster" control
- * that seats the house bot.
+ * that seats the house bot. Tournament tables show chip stacks and the
+ * blind level instead, and seats are assigned rather than picked.
  */
 
 import { $, cardEl, button, betAmountControls, spectatorHint, resetActionBar } from '../ui.js';
@@ -39,7 +40,12 @@ function renderBoard(view) {
 function renderStatusLine(view) {
     const status = $('table-status');
     const seated = view.seats.filter(Boolean).length;
-    if (view.phase === 'waiting') {
+    if (view.tournament && view.phase === 'waiting') {
+        status.textContent = `🏆 Tournament #${view.tournament.id}, table ${view.tournament.tableNo} - ` +
+            `blinds ${Math.floor(view.minBet / 2).toLocaleString()}/${view.minBet.toLocaleString()}` +
+            (view.pendingMinBet ? ` (going up to ${view.pendingMinBet.toLocaleString()})` : '') +
+            (seated < 2 ? ' - waiting for players to be moved here…' : ' - next hand soon…');
+    } else if (view.phase === 'waiting') {
         status.textContent = seated === 0
             ? 'Take a seat to play!'
             : seated < 2
@@ -85,7 +91,7 @@ function renderSeats(view, send) {
         el.className = 'seat';
         if (!seat) {
             el.classList.add('empty');
-            if (view.yourSeat === null) {
+            if (view.yourSeat === null && !view.tournament) {
                 el.appendChild(button('Sit here', 'sit-btn', () => send({ type: 'sit', seat: i })));
             } else {
                 el.innerHTML = '<span class="hint">empty</span>';
@@ -117,6 +123,13 @@ function renderSeats(view, send) {
             (seat.isButton ? ' Ⓓ' : '');
         el.appendChild(name);
 
+        if (seat.stack !== null) {
+            const stack = document.createElement('div');
+            stack.className = 'seat-stack';
+            stack.textContent = seat.allIn ? 'ALL-IN' : `${seat.stack.toLocaleString()} chips${seat.away ? ' (away)' : ''}`;
+            el.appendChild(stack);
+        }
+
         const bet = document.createElement('div');
         bet.className = 'seat-bet';
         const pile = chipPileEl(seat.totalWagered);
@@ -169,11 +182,21 @@ function renderActionBar(view, send) {
             bar.appendChild(button('Check', 'btn green', () => send({ type: 'action', action: 'check' })));
         }
 
+        // A tournament stack caps every raise at all-in
+        const maxRaiseTo = view.tournament ? mySeat.streetBet + mySeat.stack : view.maxBet;
         const minRaiseTo = view.currentBet === 0 ? view.minBet : view.currentBet + view.minBet;
-        if (minRaiseTo <= view.maxBet) {
+        if (view.tournament && maxRaiseTo > view.currentBet) {
+            bar.appendChild(button(`All-in ${maxRaiseTo.toLocaleString()}`, 'btn gold', () => {
+                send({ type: 'action', action: 'bet', amount: maxRaiseTo });
+            }));
+        }
+        // (the All-in button already covers a raise of the whole stack)
+        const raiseRoom = view.tournament ? minRaiseTo < maxRaiseTo : minRaiseTo <= maxRaiseTo;
+        if (raiseRoom) {
             const { controls, readAmount } = betAmountControls(view, 'holdem-raise', {
                 min: minRaiseTo,
-                defaultValue: Math.min(view.maxBet, Math.max(minRaiseTo, view.currentBet * 2 || view.minBet * 3))
+                max: maxRaiseTo,
+                defaultValue: Math.min(maxRaiseTo, Math.max(minRaiseTo, view.currentBet * 2 || view.minBet * 3))
             });
             controls.appendChild(button(view.currentBet > 0 ? 'Raise to' : 'Bet', 'btn gold', () => {
                 send({ type: 'action', action: 'bet', amount: readAmount() });
@@ -182,5 +205,11 @@ function renderActionBar(view, send) {
         }
     }
 
+    if (view.tournament) {
+        bar.appendChild(button('Forfeit', 'btn danger', () => {
+            if (confirm('Forfeit your tournament stack? Your buy-in is not refunded.')) send({ type: 'leave-seat' });
+        }));
+        return;
+    }
     bar.appendChild(button('Leave seat', 'btn', () => send({ type: 'leave-seat' })));
 }
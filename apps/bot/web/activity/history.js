@@ -0,0 +1,125 @@
+/**
+ * The hand history panel: the table's recent finished hands (or only the
+ * player's), and a step-through replay of any of them.
+ *
+ * The server stores every transition of a hand and renders each one for the
+ * viewer with the game's own view rules, so a replay shows the player's own
+ * hole cards and everyone else's only where the hand revealed them. Replay
+ * reuses the live game renderers: main.js parks the live table while a
+ * replay is open and restores it on exit.
+ */
+
+import { $, button, resetActionBar } from './ui.js';
+
+let sendMessage = () => {};
+let hooks = { render: () => {}, exit: () => {} };
+let replay = null; // { hand, index }
+
+const ACTION_LABELS = {
+    sit: 'sits down', leave: 'leaves', bet: 'bets', deal: 'deals', hit: 'hits', stand: 'stands',
+    double: 'doubles', spin: 'spins', 'clear-bets': 'clears bets', fold: 'folds', check: 'checks',
+    call: 'calls', war: 'goes to war', surrender: 'surrenders', roll: 'rolls', ride: 'lets it ride',
+    pull: 'pulls a bet'
+};
+// What the table does on its own (timers, the dealer)
+const SYSTEM_LABELS = {
+    deal: 'the dealer deals', 'next-hand': 'the next hand is set up', 'next-round': 'the table resets',
+    'timeout-act': 'the clock acts for a slow player', 'timeout-war': 'the clock decides a war',
+    'timeout-ride': 'the clock lets a bet ride', 'set-blinds': 'the blinds go up', unseat: 'a player is unseated',
+    sit: 'a player is seated'
+};
+
+/**
+ * @param {Function} send WebSocket send
+ * @param {{render: (view) => void, exit: () => void}} replayHooks how main.js
+ *   draws a replay frame and puts the live table back
+ */
+export function initHistoryPanel(send, replayHooks) {
+    sendMessage = send;
+    hooks = replayHooks;
+    $('history-toggle').addEventListener('click', () => {
+        $('history-panel').hidden = !$('history-panel').hidden;
+        if (!$('history-panel').hidden) requestHistory();
+    });
+    $('history-mine').addEventListener('change', () => requestHistory());
+}
+
+export function requestHistory() {
+    sendMessage({ type: 'history', mine: $('history-mine').checked });
+}
+
+export function isReplaying() {
+    return replay !== null;
+}
+
+/** The server's list of recent hands. */
+export function showHistory({ hands }) {
+    const list = $('history-list');
+    list.replaceChildren();
+    if (hands.length === 0) {
+        list.innerHTML = '<div class="hint">No finished hands yet.</div>';
+        return;
+    }
+    for (const hand of hands) {
+        const row = document.createElement('div');
+        row.className = 'history-row';
+        const players = hand.players
+            .map(p => `${p.isBot ? '🤖 ' : ''}${p.name || 'Player'} ${p.net > 0 ? '+' : ''}${p.net}`)
+            .join(' · ');
+        const label = document.createElement('span');
+        label.textContent = `#${hand.id} ${hand.gameType}${hand.status === 'VOID' ? ' (void)' : ''} - ${players || 'no players'}`;
+        row.appendChild(label);
+        row.appendChild(button('▶ Replay', 'btn small', () => sendMessage({ type: 'hand', id: hand.id })));
+        list.appendChild(row);
+    }
+}
+
+/** A hand arrived from the server: open it at its first frame. */
+export function startReplay(hand) {
+    if (!hand.frames.length) return;
+    replay = { hand, index: 0 };
+    document.body.classList.add('replaying');
+    $('history-panel').hidden = true;
+    drawFrame();
+}
+
+export function stopReplay() {
+    if (!replay) return;
+    replay = null;
+    document.body.classList.remove('replaying');
+    hooks.exit();
+}
+
+function step(delta) {
+    const next = replay.index + delta;
+    if (next < 0 || next >= replay.hand.frames.length) return;
+    replay.index = next;
+    drawFrame();
+}
+
+function drawFrame() {
+    const { hand, index } = replay;
+    const frame = hand.frames[index];
+    hooks.render(frame.view);
+
+    // The game renderer built its live action bar; swap in the replay controls
+    const bar = resetActionBar();
+    const prev = button('◀', 'btn small', () => step(-1));
+    prev.disabled = index === 0;
+    const next = button('▶', 'btn small', () => step(1));
+    next.disabled = index === hand.frames.length - 1;
+    const caption = document.createElement('span');
+    caption.className = 'hint replay-caption';
+    caption.textContent = `Hand #${hand.id} · ${index + 1}/${hand.frames.length} · ${describeFrame(frame)}`;
+    bar.append(prev, caption, next, button('Back to the table', 'btn', stopReplay));
+}
+
+/** One line for what happened in a frame. */
+function describeFrame(frame) {
+    if (!frame.action) return 'before the hand';
+    const { type, name, amount, kind, isBot, system } = frame.action;
+    if (system) return SYSTEM_LABELS[type] || type;
+    const who = `${isBot ? '🤖 ' : ''}${name || 'A player'}`;
+    const what = ACTION_LABELS[type] || type;
+    return [who, what, amount !== null ? amount : null, kind].filter(part => part !== null).join(' ');
+}
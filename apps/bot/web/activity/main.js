@@ -13,14 +13,24 @@
  * baccarat, hold'em, slots, war); rendering is dispatched to games/<type>.js
  * by the gameType the server reports. A channel runs one live table at a
  * time, so joining a busy channel lands in whatever game is already going.
+ * Tournament tables are joined by tournament number instead (lobby form or
+ * `?tournament=`); the server picks the player's assigned table and says
+ * when the player is moved to another one. Every table shows its
+ * provably-fair commitment and can verify past hands (fairness.js), and
+ * keeps a hand history with step-through replay (history.js).
+ *
+ * "Watch" joins the channel's running table as a spectator: the public
+ * view only (no hole cards, not even your own), read-only.
  */
 
 import {
     sounds, playForEvents, isMuted, toggleMuted,
     isMusicMuted, toggleMusicMuted, armMusicAutostart
 } from './sounds.js';
-import { $, appendBotControls } from './ui.js';
+import { $, appendBotControls, resetActionBar } from './ui.js';
 import { animateChipEvents } from './chips.js';
+import { initFairPanel, announceClientSeed, updateFairness, showReveal, showVerifyResult } from './fairness.js';
+import { initHistoryPanel, isReplaying, showHistory, startReplay, stopReplay } from './history.js';
 import * as blackjack from './games/blackjack.js';
 import * as roulette from './games/roulette.js';
 import * as baccarat from './games/baccarat.js';
@@ -51,6 +61,9 @@ let me = null;            // { id, name }
 let context = null;       // { sessionToken, guildId, channelId }
 let currentGame = null;   // gameType of the joined table
 let requestedGame = null; // gameType the lobby asked for
+let tournamentId = null;  // tournament being followed, if any
+let spectating = false;   // joined with "Watch" - read-only
+let liveView = null;      // the table's latest view, parked while a replay is open
 let currencyName = 'points';
 
 let toastTimer = null;
@@ -75,12 +88,25 @@ async function init() {
         $('music-toggle').classList.toggle('muted', toggleMusicMuted());
     });
     $('lobby-btn').addEventListener('click', () => send({ type: 'leave-table' }));
+    initFairPanel(send);
+    initHistoryPanel(send, {
+        render: renderReplayFrame,
+        exit: () => {
+            if (liveView) renderView(liveView);
+        }
+    });
     for (const card of document.querySelectorAll('.game-card')) {
         card.addEventListener('click', () => {
             sounds.chip();
             joinGame(card.dataset.game);
         });
     }
+    $('tournament-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const id = Number($('tournament-id').value);
+        if (Number.isInteger(id) && id > 0) joinTournament(id);
+    });
+    $('watch-btn').addEventListener('click', () => watchTable());
 
     if (inDiscord) {
         setStatus('Connecting to Discord…');
@@ -248,7 +274,9 @@ function connect(sessionToken, guildId, channelId) {
     ws.addEventListener('open', () => {
         showLobby();
         const wanted = params.get('game');
-        if (wanted && GAMES[wanted]) joinGame(wanted);
+        const wantedTournament = Number(params.get('tournament'));
+        if (Number.isInteger(wantedTournament) && wantedTournament > 0) joinTournament(wantedTournament);
+        else if (wanted && GAMES[wanted]) joinGame(wanted);
     });
 
     ws.addEventListener('message', (event) => {
@@ -272,6 +300,8 @@ function send(message) {
 function joinGame(gameType) {
     if (!context || ws?.readyState !== WebSocket.OPEN) return;
     requestedGame = gameType;
+    tournamentId = null;
+    spectating = false;
     send({
         type: 'join',
         session: context.sessionToken,
@@ -281,12 +311,49 @@ function joinGame(gameType) {
     });
 }
 
+function joinTournament(id) {
+    if (!context || ws?.readyState !== WebSocket.OPEN) return;
+    requestedGame = 'holdem';
+    tournamentId = id;
+    spectating = false;
+    send({
+        type: 'join',
+        session: context.sessionToken,
+        guildId: context.guildId,
+        channelId: context.channelId,
+        tournamentId: id
+    });
+}
+
+/** Watch whatever the channel is playing, without a seat. */
+function watchTable() {
+    if (!context || ws?.readyState !== WebSocket.OPEN) return;
+    requestedGame = null;
+    tournamentId = null;
+    spectating = true;
+    send({
+        type: 'join',
+        session: context.sessionToken,
+        guildId: context.guildId,
+        channelId: context.channelId,
+        spectate: true
+    });
+}
+
 function showLobby() {
+    stopReplay();
     currentGame = null;
+    liveView = null;
+    spectating = false;
+    document.body.classList.remove('spectating');
     $('screen-connect').hidden = true;
     $('screen-table').hidden = true;
     $('screen-lobby').hidden = false;
     $('lobby-btn').hidden = true;
+    $('fair-toggle').hidden = true;
+    $('fair-panel').hidden = true;
+    $('history-toggle').hidden = true;
+    $('history-panel').hidden = true;
     $('game-name').textContent = '';
 }
 
@@ -296,6 +363,7 @@ function showTable(gameType) {
     $('screen-lobby').hidden = true;
     $('screen-table').hidden = false;
     $('lobby-btn').hidden = false;
+    $('history-toggle').hidden = false;
     $('game-name').textContent = GAME_NAMES[gameType] || gameType;
     for (const type of Object.keys(GAMES)) {
         $(`game-${type}`).hidden = type !== gameType;
@@ -311,6 +379,8 @@ function handleMessage(message) {
     switch (message.type) {
         case 'joined':
             currencyName = message.currencyName || 'points';
+            spectating = message.spectator === true;
+            document.body.classList.toggle('spectating', spectating);
             showTable(message.gameType);
             if (requestedGame && message.gameType !== requestedGame) {
                 toast(`This channel is already playing ${GAME_NAMES[message.gameType]} - joining that table.`);
@@ -318,15 +388,44 @@ function handleMessage(message) {
             // Lounge music starts once a table is joined (fetched lazily;
             // silently absent when the server has no ElevenLabs key)
             armMusicAutostart(`${apiBase}/music/casino`);
+            if (!spectating) announceClientSeed();
             break;
         case 'left':
-            showLobby();
+            // A tournament move detaches first, then rejoins at the new table
+            if (tournamentId && message.rejoin) joinTournament(tournamentId);
+            else showLobby();
+            break;
+        case 'tournament-move':
+            if (message.userId === me?.id) {
+                toast(`Table balance - you move to table ${message.tableNo}.`);
+                send({ type: 'leave-table', rejoin: true });
+            }
+            break;
+        case 'tournament-finished':
+            toast(message.winnerId === me?.id
+                ? '🏆 You won the tournament!'
+                : `🏆 Tournament over - ${message.winnerName || 'the winner'} takes it.`);
             break;
         case 'state':
             renderView(message.view);
+            updateFairness(message.fairness);
             break;
         case 'update':
             handleUpdate(message);
+            updateFairness(message.fairness);
+            showReveal(message.events);
+            break;
+        case 'fairness':
+            updateFairness(message.fairness);
+            break;
+        case 'verify-result':
+            showVerifyResult(message);
+            break;
+        case 'history':
+            showHistory(message);
+            break;
+        case 'hand':
+            startReplay(message.hand);
             break;
         case 'chat':
             showChat(message);
@@ -352,6 +451,11 @@ function showChat(message) {
 
 function handleUpdate(message) {
     const view = message.view;
+    // The live table keeps going during a replay; show it again on exit
+    if (isReplaying()) {
+        liveView = view;
+        return;
+    }
     // Fresh roulette/slots spins and craps throws get a suspense animation
     // before the result (and its win/lose sounds and chip payouts) lands
     const spun = message.events?.some(e => e.type === 'spin');
@@ -389,6 +493,8 @@ function dealerReact(events) {
 }
 
 function renderView(view) {
+    liveView = view;
+    if (isReplaying()) return;
     const game = GAMES[view.gameType];
     if (!game) return;
     if (currentGame && currentGame !== view.gameType) {
@@ -397,9 +503,21 @@ function renderView(view) {
         showTable(view.gameType);
     }
     game.render(view, { send });
+    if (spectating) {
+        resetActionBar().innerHTML = '<span class="hint">👀 Watching - go back to the lobby to play.</span>';
+        return;
+    }
     appendBotControls(view, send);
 }
 
+/** One frame of a replayed hand, drawn by its game's renderer with every control inert. */
+function renderReplayFrame(view) {
+    const game = GAMES[view.gameType];
+    if (!game) return;
+    if (currentGame !== view.gameType) showTable(view.gameType);
+    game.render(view, { send: () => {} });
+}
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
@@ -136,7 +136,8 @@ export function spectatorHint(bar) {
  */
 export function appendBotControls(view, send) {
     const mySeat = view.yourSeat !== null && view.seats ? view.seats[view.yourSeat] : null;
-    if (!mySeat) return;
+    // Tournament seats are the tournament's to assign
+    if (!mySeat || view.tournament) return;
     const botSeated = view.seats.some(s => s && s.isBot);
     $('action-bar').appendChild(button(
         botSeated ? 'Kick Goobster' : '🤖 Invite Goobster',
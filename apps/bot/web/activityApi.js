@@ -26,6 +26,7 @@ const express = require('express');
 const axios = require('axios');
 const { WebSocketServer } = require('ws');
 const economyService = require('@goobster/core/services/economyService');
+const fairnessService = require('@goobster/core/services/fairnessService');
 const friendService = require('@goobster/core/services/friendService');
 const { generateMusic, resolveApiKey } = require('@goobster/core/services/voice/elevenLabsAudioService');
 const { toGateway, isGatewayUnavailable } = require('@goobster/core/gateway');
@@ -99,7 +100,7 @@ async function assertActivityGuildAccess({ gateway, guildId, userId, devMode = f
 }
 
 /** Everything the activity backend needs, wired once at startup. */
-function createActivityContext({ client, gateway = null, config, tableManager, botPlayer = null, logger = console }) {
+function createActivityContext({ client, gateway = null, config, tableManager, botPlayer = null, tournamentDirector = null, handHistory = null, logger = console }) {
     const activityConfig = config.activity || {};
     return {
         client,
@@ -107,6 +108,8 @@ function createActivityContext({ client, gateway = null, config, tableManager, b
         config,
         tableManager,
         botPlayer,
+        tournamentDirector,
+        handHistory,
         logger,
         devMode: activityConfig.devMode === true,
         // Opt-in: the Activity asks for `relationships.read` and syncs the
@@ -285,15 +288,24 @@ function createActivityApp(ctx) {
  * Attach the table-game WebSocket protocol to an HTTP server
  * (path /api/activity/ws).
  *
- * Client -> server: { type: 'join', session, guildId, channelId, gameType? }
+ * Client -> server: { type: 'join', session, guildId, channelId, gameType?, spectate? }
  *                   { type: 'sit', seat? } { type: 'leave-seat' }
  *                   { type: 'leave-table' }
  *                   { type: 'invite-bot' } { type: 'dismiss-bot' }
  *                   { type: 'action', action, amount?, seat?, kind?, target? }
- * Server -> client: { type: 'joined', user, gameType, currencyName, balance }
- *                   { type: 'state'|'update', view, events?, balance }
+ *                   { type: 'client-seed', seed } { type: 'verify', handId }
+ *                   { type: 'history', mine?, before? } { type: 'hand', id }
+ * Server -> client: { type: 'joined', user, gameType, spectator, currencyName, balance }
+ *                   { type: 'state'|'update', view, events?, fairness, balance }
+ *                   { type: 'fairness', fairness }
+ *                   { type: 'verify-result', handId, game, status, hashMatches, outcomeMatches, ... }
+ *                   { type: 'history', hands, mine } { type: 'hand', hand }
  *                   { type: 'chat', from, bot, text }
  *                   { type: 'error', code, message }
+ *
+ * A spectator (`spectate: true`) watches the channel's running table with
+ * the public view - no hole cards, not even their own - and may only browse
+ * history and verify hands.
  */
 function attachActivityWebSocket(server, ctx) {
     // noServer + manual upgrade routing so other WebSocket endpoints (e.g.
@@ -315,7 +327,7 @@ function attachActivityWebSocket(server, ctx) {
     });
 
     wss.on('connection', (socket) => {
-        let joined = null; // { session, table, unsubscribe }
+        let joined = null; // { session, table, guildId, spectator, unsubscribe }
 
         const send = (message) => {
             if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
@@ -336,14 +348,25 @@ function attachActivityWebSocket(server, ctx) {
                     await handleJoin(message);
                 } else if (!joined) {
                     sendError('NOT_JOINED', 'Join a table first.');
+                } else if (message.type === 'leave-table') {
+                    handleLeaveTable({ rejoin: message.rejoin === true });
+                } else if (message.type === 'verify') {
+                    await handleVerify(message.handId);
+                } else if (message.type === 'history') {
+                    await handleHistory(message);
+                } else if (message.type === 'hand') {
+                    await handleHand(message.id);
+                } else if (joined.spectator) {
+                    sendError('SPECTATING', 'You are watching this table - join it to play.');
                 } else if (message.type === 'sit') {
                     act({ action: 'sit', seat: Number.isInteger(message.seat) ? message.seat : null });
                 } else if (message.type === 'leave-seat') {
                     act({ action: 'leave' });
-                } else if (message.type === 'leave-table') {
-                    handleLeaveTable();
                 } else if (message.type === 'invite-bot' || message.type === 'dismiss-bot') {
                     handleBot(message.type === 'invite-bot');
+                } else if (message.type === 'client-seed') {
+                    const fairness = await ctx.tableManager.setClientSeed(joined.table, joined.session.userId, message.seed);
+                    send({ type: 'fairness', fairness });
                 } else if (message.type === 'action') {
                     // Union of every engine's player actions; each engine
                     // rejects actions its game does not have (BAD_ACTION).
@@ -380,7 +403,7 @@ function attachActivityWebSocket(server, ctx) {
             joined = null;
         });
 
-        async function handleJoin({ session: sessionToken, guildId, channelId, gameType }) {
+        async function handleJoin({ session: sessionToken, guildId, channelId, gameType, tournamentId = null, spectate = false }) {
             if (joined) {
                 sendError('ALREADY_JOINED', 'Already at a table.');
                 return;
@@ -415,14 +438,35 @@ function attachActivityWebSocket(server, ctx) {
                 return;
             }
 
-            const table = ctx.tableManager.getTable({ guildId, channelId, gameType });
+            // Tournament tables are not the channel's table: the director
+            // picks the player's assigned seat (or a table to watch).
+            // Spectators watch whatever the channel is running - they never
+            // open a table.
+            let table;
+            const spectator = spectate === true && tournamentId === null;
+            if (spectator) {
+                table = ctx.tableManager.findTable({ guildId, channelId });
+                if (!table) {
+                    sendError('NO_TABLE', 'Nobody is playing in this channel right now.');
+                    return;
+                }
+            } else if (tournamentId !== null) {
+                if (!ctx.tournamentDirector || !Number.isInteger(tournamentId)) {
+                    sendError('NO_TOURNAMENT', 'Tournaments are not available here.');
+                    return;
+                }
+                table = await ctx.tournamentDirector.tableFor({ guildId, tournamentId, userId: session.userId });
+            } else {
+                table = await ctx.tableManager.getTable({ guildId, channelId, gameType });
+            }
             const subscriber = {
                 userId: session.userId,
                 name: session.name,
+                spectator,
                 send: async (message) => send(await decorate(message))
             };
             // Set before subscribing so the initial state carries a balance
-            joined = { session, table, guildId, unsubscribe: () => {} };
+            joined = { session, table, guildId, spectator, unsubscribe: () => {} };
             joined.unsubscribe = ctx.tableManager.subscribe(table, subscriber);
 
             const { currencyName } = await economyService.getSettings(guildId);
@@ -432,6 +476,7 @@ function attachActivityWebSocket(server, ctx) {
                 // The channel may already be running a different game than
                 // the one requested - the client renders what it gets.
                 gameType: table.engine.gameType,
+                spectator,
                 currencyName,
                 minBet: table.state.minBet,
                 maxBet: table.state.maxBet
@@ -442,12 +487,14 @@ function attachActivityWebSocket(server, ctx) {
          * Back to the lobby: vacate the seat if the game allows it (bets
          * escrowed during a betting phase are refunded by the engine; a
          * mid-hand leave plays out as a stand), then detach the socket so
-         * a new `join` - possibly for another game - is accepted.
+         * a new `join` - possibly for another game - is accepted. A
+         * tournament seat stays put (leaving it is an explicit forfeit);
+         * `rejoin` tells the client to follow a table move.
          */
-        function handleLeaveTable() {
-            const seated = joined.table.state.seats
+        function handleLeaveTable({ rejoin = false } = {}) {
+            const seated = !joined.spectator && joined.table.state.seats
                 .some(s => s && s.userId === joined.session.userId);
-            if (seated) {
+            if (seated && !joined.table.state.tournament) {
                 try {
                     act({ action: 'leave' });
                 } catch (error) {
@@ -456,7 +503,7 @@ function attachActivityWebSocket(server, ctx) {
             }
             joined.unsubscribe();
             joined = null;
-            send({ type: 'left' });
+            send({ type: 'left', rejoin });
         }
 
         function act(params) {
@@ -477,6 +524,10 @@ function attachActivityWebSocket(server, ctx) {
                 sendError('BOT_UNAVAILABLE', 'Goobster cannot join tables on this server.');
                 return;
             }
+            if (joined.table.state.tournament) {
+                sendError('TOURNAMENT_TABLE', 'Goobster does not play in tournaments.');
+                return;
+            }
             const seated = joined.table.state.seats
                 .some(s => s && s.userId === joined.session.userId);
             if (!seated) {
@@ -490,6 +541,66 @@ function attachActivityWebSocket(server, ctx) {
             }
         }
 
+        /** Recompute a revealed hand from this guild and report the checks. */
+        async function handleVerify(handId) {
+            if (!Number.isInteger(handId) || handId <= 0) {
+                sendError('BAD_HAND', 'Give a hand number to verify.');
+                return;
+            }
+            const { round, hashMatches, outcomeMatches, draws } = await fairnessService.verify(joined.guildId, handId);
+            send({
+                type: 'verify-result',
+                handId,
+                game: round.game,
+                status: round.status,
+                serverSeed: round.serverSeed,
+                serverSeedHash: round.serverSeedHash,
+                clientSeed: round.clientSeed,
+                draws,
+                hashMatches,
+                outcomeMatches
+            });
+        }
+
+        /**
+         * Recent finished hands at this table (or only the viewer's), newest
+         * first; `before` pages back from a hand id.
+         */
+        async function handleHistory({ mine = false, before = null }) {
+            if (!ctx.handHistory) {
+                sendError('NO_HISTORY', 'Hand history is not kept on this server.');
+                return;
+            }
+            const hands = await ctx.handHistory.list({
+                guildId: joined.guildId,
+                channelId: joined.table.channelId,
+                userId: mine === true ? joined.session.userId : null,
+                before: Number.isInteger(before) ? before : null
+            });
+            send({ type: 'history', hands, mine: mine === true });
+        }
+
+        /**
+         * One past hand, frame by frame, as this player saw it. Spectators
+         * get the public replay, like the live table they are watching.
+         */
+        async function handleHand(id) {
+            if (!ctx.handHistory) {
+                sendError('NO_HISTORY', 'Hand history is not kept on this server.');
+                return;
+            }
+            if (!Number.isInteger(id) || id <= 0) {
+                sendError('BAD_HAND', 'Give a hand number to replay.');
+                return;
+            }
+            const hand = await ctx.handHistory.get({
+                guildId: joined.guildId,
+                id,
+                viewerId: joined.spectator ? null : joined.session.userId
+            });
+            send({ type: 'hand', hand });
+        }
+
         // Attach the viewer's live balance to every outgoing table message
         async function decorate(message) {
             if (!joined) return message;
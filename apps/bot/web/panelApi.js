@@ -102,7 +102,7 @@ function createPanelApi({ panelService, logger = console }) {
     }));
 
     router.get('/music/state', wrap(async (req, res) => {
-        res.json(panelService.getMusicState());
+        res.json(panelService.getMusicState(req.query.guildId));
     }));
 
     router.get('/tracks', wrap(async (req, res) => {
@@ -113,8 +113,7 @@ function createPanelApi({ panelService, logger = console }) {
         const result = await panelService.playTrack({
             guildId: req.body?.guildId,
             channelId: req.body?.channelId,
-            query: req.body?.query,
-            confirmMove: req.body?.confirmMove === true
+            query: req.body?.query
         });
         res.json(result);
     }));
@@ -124,18 +123,37 @@ function createPanelApi({ panelService, logger = console }) {
             guildId: req.body?.guildId,
             channelId: req.body?.channelId,
             playlist: req.body?.playlist ?? null,
-            shuffle: req.body?.shuffle === true,
-            confirmMove: req.body?.confirmMove === true
+            shuffle: req.body?.shuffle === true
         });
         res.json(result);
     }));
 
     router.post('/music/control', wrap(async (req, res) => {
-        res.json(await panelService.controlMusic(req.body?.action));
+        res.json(await panelService.controlMusic(req.body?.guildId, req.body?.action));
     }));
 
     router.post('/music/volume', wrap(async (req, res) => {
-        res.json(await panelService.setVolume(req.body?.level));
+        res.json(await panelService.setVolume(req.body?.guildId, req.body?.level));
+    }));
+
+    router.get('/music/fx', wrap(async (req, res) => {
+        res.json(await panelService.getMusicFx(req.query.guildId));
+    }));
+
+    router.post('/music/fx', wrap(async (req, res) => {
+        res.json(await panelService.setMusicFx(req.body?.guildId, {
+            preset: req.body?.preset,
+            normalize: req.body?.normalize,
+            crossfadeSeconds: req.body?.crossfadeSeconds
+        }));
+    }));
+
+    router.get('/backups', wrap(async (req, res) => {
+        res.json(panelService.getBackups());
+    }));
+
+    router.post('/backups', wrap(async (req, res) => {
+        res.json(await panelService.createBackup());
     }));
 
     router.use((req, res) => {
@@ -1,6 +1,6 @@
 /**
  * Goobster control panel client (800x400 touch layout).
- * Views: guild browser -> per-guild dashboard (Overview / Messages / Voice / Music).
+ * Views: guild browser (+ database backups) -> per-guild dashboard (Overview / Messages / Voice / Music).
  */
 
 import { api, ApiError } from './api.js';
@@ -19,6 +19,8 @@ const state = {
     music: null,
     voiceChat: null,
     settings: null,       // per-guild settings snapshot
+    musicFx: null,        // audio effect settings for the music tab
+    backups: null,        // database backup status (guild browser)
     trackSearchTimer: null
 };
 
@@ -84,6 +86,7 @@ function showGuildBrowser() {
     $('back-btn').classList.add('hidden');
     $('topbar-title').textContent = 'Goobster';
     refreshGuilds();
+    refreshBackups();
 }
 
 async function openGuild(guild) {
@@ -103,6 +106,7 @@ async function openGuild(guild) {
     refreshGuildState();
     loadTracks('');
     loadPlaylists();
+    loadMusicFx();
     loadSettings();
 }
 
@@ -178,6 +182,65 @@ function renderGuildList() {
     }
 }
 
+/* ---------- Database backups ---------- */
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/** 'YYYY-MM-DD HH:MM:SS' (UTC) -> "3h ago" / "in 5h". */
+function formatRelative(utcText) {
+    const ms = Date.parse(`${utcText.replace(' ', 'T')}Z`) - Date.now();
+    const span = formatUptime(Math.abs(ms));
+    return ms < 0 ? `${span} ago` : `in ${span}`;
+}
+
+async function refreshBackups() {
+    try {
+        state.backups = await api.get('/api/backups');
+    } catch {
+        state.backups = null;
+    }
+    renderBackups();
+}
+
+function renderBackups() {
+    const b = state.backups;
+    $('backup-panel').classList.toggle('hidden', !b);
+    if (!b) return;
+    $('backup-last').textContent = b.lastGood
+        ? `Last good backup ${formatRelative(b.lastGood.createdAt)}`
+        : 'No backup yet';
+    const parts = [];
+    if (b.lastGood) parts.push(`${formatBytes(b.lastGood.sizeBytes)} ${b.lastGood.kind === 'sqlite' ? 'snapshot' : 'dump'}`);
+    parts.push(`${b.count} kept (${formatBytes(b.totalBytes)})`);
+    parts.push(b.enabled ? `every ${b.intervalHours}h, next ${formatRelative(b.nextDueAt)}` : 'schedule off');
+    $('backup-sub').textContent = parts.join(' · ');
+    $('backup-failure').classList.toggle('hidden', !b.lastFailure);
+    $('backup-failure').textContent = b.lastFailure
+        ? `Last attempt failed ${formatRelative(b.lastFailure.failedAt)}: ${b.lastFailure.message}`
+        : '';
+    $('backup-now').disabled = Boolean(b.running);
+}
+
+async function onBackupNow() {
+    const btn = $('backup-now');
+    btn.disabled = true;
+    btn.textContent = 'Backing up…';
+    try {
+        const backup = await api.post('/api/backups');
+        toast(`Backup ${backup.id} taken (${formatBytes(backup.sizeBytes)}).`);
+    } catch (error) {
+        reportError(error);
+    } finally {
+        btn.textContent = 'Back up now';
+        refreshBackups();
+    }
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text ?? '';
@@ -195,10 +258,8 @@ function renderOverview() {
     $('ov-provider').textContent = s?.provider || '–';
 
     const music = state.music;
-    if (music?.connected && music.guildId === state.guild.id) {
+    if (music?.connected) {
         $('ov-music').textContent = music.currentTrack ? `♪ ${music.currentTrack.title}` : 'Connected';
-    } else if (music?.connected) {
-        $('ov-music').textContent = `Active in ${music.guildName || 'another server'}`;
     } else {
         $('ov-music').textContent = 'Idle';
     }
@@ -317,7 +378,7 @@ function renderVoiceChat() {
             `Live voice conversation in ${vc.channelName} (${vc.mode} mode, ${vc.turns} turns).`;
     }
     let hint = '';
-    if (capabilities && !capabilities.tts) hint = 'Unavailable: ElevenLabs TTS is not configured.';
+    if (capabilities && !capabilities.tts) hint = 'Unavailable: text-to-speech (ElevenLabs or Piper) is not configured.';
     else if (capabilities && !capabilities.stt) hint = 'Unavailable: OpenAI speech-to-text is not configured.';
     $('voice-hint').textContent = hint;
     $('voice-start').disabled = Boolean(hint) || state.channels.voice.length === 0;
@@ -373,10 +434,7 @@ function renderMusic() {
         $('np-artist').textContent = '';
     }
     if (music.connected) {
-        const here = state.guild && music.guildId === state.guild.id;
-        $('np-where').textContent = here
-            ? `In 🔊 ${music.channelName || 'voice channel'}${music.isPaused ? ' · paused' : ''}`
-            : `Goobster is playing in ${music.guildName || 'another server'}`;
+        $('np-where').textContent = `In 🔊 ${music.channelName || 'voice channel'}${music.isPaused ? ' · paused' : ''}`;
     } else {
         $('np-where').textContent = 'Not connected to a voice channel';
     }
@@ -387,7 +445,7 @@ function renderMusic() {
 
 async function musicControl(action) {
     try {
-        await api.post('/api/music/control', { action });
+        await api.post('/api/music/control', { guildId: state.guild?.id, action });
         refreshGuildState();
     } catch (error) {
         reportError(error);
@@ -406,15 +464,9 @@ async function playTrack(query) {
         toast('Pick a voice channel first.', true);
         return;
     }
-    const body = { guildId, channelId, query };
     try {
-        const result = await withConfirmRetry(
-            () => api.post('/api/music/play', body),
-            () => api.post('/api/music/play', { ...body, confirmMove: true })
-        );
-        if (result) {
-            toast(result.queued ? `Queued: ${result.track.title}` : `Playing: ${result.track.title}`);
-        }
+        const result = await api.post('/api/music/play', { guildId, channelId, query });
+        toast(result.queued ? `Queued: ${result.track.title}` : `Playing: ${result.track.title}`);
         refreshGuildState();
     } catch (error) {
         reportError(error);
@@ -428,12 +480,8 @@ async function playCollection({ playlist = null, shuffle = false }) {
         toast('Pick a voice channel first.', true);
         return;
     }
-    const body = { guildId, channelId, playlist, shuffle };
     try {
-        const result = await withConfirmRetry(
-            () => api.post('/api/music/play-collection', body),
-            () => api.post('/api/music/play-collection', { ...body, confirmMove: true })
-        );
+        const result = await api.post('/api/music/play-collection', { guildId, channelId, playlist, shuffle });
         if (result?.currentTrack) {
             toast(`Playing ${result.totalTracks} tracks — first: ${result.currentTrack.title}`);
         }
@@ -483,6 +531,38 @@ async function loadPlaylists() {
     }
 }
 
+async function loadMusicFx() {
+    try {
+        state.musicFx = await api.get(`/api/music/fx?guildId=${encodeURIComponent(state.guild.id)}`);
+        renderMusicFx();
+    } catch (error) {
+        state.musicFx = null;
+        reportError(error);
+    }
+}
+
+function renderMusicFx() {
+    const fx = state.musicFx;
+    if (!fx) return;
+    $('mu-eq').value = fx.preset;
+    // A crossfade set from Discord may not be one of the menu's steps
+    const crossfade = $('mu-crossfade');
+    if (![...crossfade.options].some(option => option.value === String(fx.crossfadeSeconds))) {
+        crossfade.add(new Option(`Crossfade ${fx.crossfadeSeconds}s`, String(fx.crossfadeSeconds)));
+    }
+    crossfade.value = String(fx.crossfadeSeconds);
+    setToggle('mu-normalize', fx.normalize);
+}
+
+async function saveMusicFx(changes) {
+    try {
+        state.musicFx = await api.post('/api/music/fx', { guildId: state.guild?.id, ...changes });
+    } catch (error) {
+        reportError(error);
+    }
+    renderMusicFx();
+}
+
 /* ---------- Settings tab ---------- */
 
 async function loadSettings() {
@@ -563,9 +643,10 @@ function renderSettings() {
     }
 
     $('global-settings-group').classList.toggle('hidden', !s.global.ttsAvailable);
+    const backend = s.global.ttsProvider === 'piper' ? 'Piper' : 'ElevenLabs';
     $('tts-voice-sub').textContent = s.global.ttsVoiceName
-        ? `Current: ${s.global.ttsVoiceName}`
-        : 'ElevenLabs voice name or ID';
+        ? `Current: ${s.global.ttsVoiceName} (${backend})`
+        : `${backend} voice name or ID`;
     if (document.activeElement !== $('set-voice-id')) {
         $('set-voice-id').value = s.global.ttsVoiceName || s.global.ttsVoiceId || '';
     }
@@ -574,7 +655,7 @@ function renderSettings() {
 
 let voiceOptionsLoaded = false;
 
-/** Fill the TTS voice picker with the account's real voice library. */
+/** Fill the TTS voice picker with the default backend's real voice library. */
 async function loadVoiceOptions() {
     if (voiceOptionsLoaded) return;
     voiceOptionsLoaded = true;
@@ -702,7 +783,7 @@ function wireSettings() {
 async function refreshGuildState() {
     if (!state.guild) return;
     try {
-        state.music = await api.get('/api/music/state');
+        state.music = await api.get(`/api/music/state?guildId=${encodeURIComponent(state.guild.id)}`);
     } catch {
         state.music = null;
     }
@@ -747,11 +828,16 @@ function init() {
     $('mu-stop').addEventListener('click', () => musicControl('stop'));
     $('mu-volume').addEventListener('change', async (event) => {
         try {
-            await api.post('/api/music/volume', { level: Number(event.target.value) });
+            await api.post('/api/music/volume', { guildId: state.guild?.id, level: Number(event.target.value) });
         } catch (error) {
             reportError(error);
         }
     });
+    $('mu-eq').addEventListener('change', (event) => saveMusicFx({ preset: event.target.value }));
+    $('mu-crossfade').addEventListener('change', (event) => saveMusicFx({ crossfadeSeconds: Number(event.target.value) }));
+    $('mu-normalize').addEventListener('click', () => {
+        if (state.musicFx) saveMusicFx({ normalize: !state.musicFx.normalize });
+    });
     $('mu-shuffle').addEventListener('click', () => playCollection({ shuffle: true }));
     $('mu-play-playlist').addEventListener('click', () => {
         const playlist = $('mu-playlist').value;
@@ -762,12 +848,18 @@ function init() {
         state.trackSearchTimer = setTimeout(() => loadTracks(event.target.value.trim()), 350);
     });
 
+    $('backup-now').addEventListener('click', onBackupNow);
+
     wireSettings();
     initKeyboard();
 
     refreshStatus();
     refreshGuilds();
+    refreshBackups();
     setInterval(refreshStatus, 5000);
+    setInterval(() => {
+        if (!state.guild) refreshBackups();
+    }, 60000);
     setInterval(() => {
         if (state.guild) refreshGuildState();
         else refreshGuilds();
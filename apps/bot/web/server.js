@@ -23,6 +23,8 @@ const screenVisionService = require('@goobster/core/services/screenVisionService
 const gbaRunService = require('@goobster/core/services/gbaRunService');
 const { TableManager } = require('@goobster/core/services/tableGames/tableManager');
 const { BotPlayer } = require('@goobster/core/services/tableGames/botPlayer');
+const { TournamentDirector } = require('@goobster/core/services/tableGames/tournaments');
+const { HandHistory } = require('@goobster/core/services/tableGames/handHistory');
 
 const DEFAULT_PANEL_PORT = 3400;
 
@@ -123,8 +125,16 @@ async function startWebServers({ client, voiceService, config = {}, logger = con
     if (config.activity?.enabled === true) {
         tableManager = new TableManager();
         await tableManager.recoverFromJournal();
+        // Tournaments resume (or refund) after the cash tables are settled;
+        // /tournament finds the director on the client
+        const tournamentDirector = new TournamentDirector({ tableManager });
+        await tournamentDirector.recover();
+        if (client) client.tournamentDirector = tournamentDirector;
+        // Hands are logged from here on; recovery above settles rounds the
+        // log never saw start
+        const handHistory = new HandHistory({ tableManager });
         botPlayer = new BotPlayer({ tableManager, client, config, logger });
-        const activityContext = createActivityContext({ client, config, tableManager, botPlayer, logger });
+        const activityContext = createActivityContext({ client, config, tableManager, botPlayer, tournamentDirector, handHistory, logger });
         healthApp.use(createActivityApp(activityContext));
         healthApp.locals.activityContext = activityContext;
         logger.info?.(`Activity server enabled at /activity${activityContext.devMode ? ' (DEV MODE - auth bypass on)' : ''}`);
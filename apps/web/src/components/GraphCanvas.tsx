@@ -1,11 +1,31 @@
 import { useEffect, useRef } from 'react';
 import { GraphView } from '../renderers/graph.js';
 
+type GraphData = { nodes?: unknown[]; edges?: unknown[] };
+
+/**
+ * Nodes and edges for the view; `changes` (lowercased label -> 'added' |
+ * 'revised', from a history diff) rings the matching nodes.
+ */
+function viewData(data: GraphData, changes?: Map<string, string> | null) {
+    const nodes = (data.nodes || []) as Array<{ label?: string }>;
+    if (!changes || changes.size === 0) return { nodes, edges: data.edges || [] };
+    return {
+        nodes: nodes.map((node) => {
+            const change = changes.get(String(node.label || '').toLowerCase());
+            return change ? { ...node, change } : node;
+        }),
+        edges: data.edges || []
+    };
+}
+
 export function GraphCanvas({
     data,
+    changes,
     onSelect
 }: {
-    data: { nodes?: unknown[]; edges?: unknown[] } | null;
+    data: GraphData | null;
+    changes?: Map<string, string> | null;
     onSelect?: (node: unknown) => void;
 }) {
     const canvasRef = useRef<HTMLCanvasElement>(null);
@@ -15,11 +35,11 @@ export function GraphCanvas({
         if (!canvas) return;
         const view = new GraphView(canvas, { onSelect: onSelect || (() => {}) });
         viewRef.current = view;
-        if (data) view.setData({ nodes: data.nodes || [], edges: data.edges || [] });
+        if (data) view.setData(viewData(data, changes));
         return () => { view.stop(); viewRef.current = null; };
     }, [onSelect]);
     useEffect(() => {
-        if (data) viewRef.current?.setData({ nodes: data.nodes || [], edges: data.edges || [] });
-    }, [data]);
+        if (data) viewRef.current?.setData(viewData(data, changes));
+    }, [data, changes]);
     return <canvas ref={canvasRef} className="graph-canvas" aria-label="Knowledge graph" />;
 }
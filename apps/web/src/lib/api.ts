@@ -87,9 +87,25 @@ export const api = {
     facts: (scope: string) => request(`/api/app/memory/facts?scope=${encodeURIComponent(scope)}`),
     deleteFact: (scope: string, id: number) =>
         request(`/api/app/memory/facts/${id}?scope=${encodeURIComponent(scope)}`, { method: 'DELETE' }),
-    graph: (guildId: string) => request(`/api/app/graph?guildId=${encodeURIComponent(guildId)}`),
-    constellation: (scope: string) =>
-        request(`/api/app/memory/constellation?scope=${encodeURIComponent(scope)}`),
+    graph: (guildId: string, asOf?: string) =>
+        request(`/api/app/graph?guildId=${encodeURIComponent(guildId)}${asOf ? `&asOf=${encodeURIComponent(asOf)}` : ''}`),
+    constellation: (scope: string, asOf?: string) =>
+        request(`/api/app/memory/constellation?scope=${encodeURIComponent(scope)}${asOf ? `&asOf=${encodeURIComponent(asOf)}` : ''}`),
+    graphHistory: (scope: string, target: string, from: string, to?: string) =>
+        request(`/api/app/memory/history?scope=${encodeURIComponent(scope)}&target=${encodeURIComponent(target)}`
+            + `&from=${encodeURIComponent(from)}${to ? `&to=${encodeURIComponent(to)}` : ''}`),
+    rollbackGraphBatch: (scope: string, target: string, batchKey: string) =>
+        request('/api/app/memory/history/rollback', { method: 'POST', body: { scope, target, batchKey } }),
+    knowledgeImports: (scope: string, target: string) =>
+        request(`/api/app/memory/imports?scope=${encodeURIComponent(scope)}&target=${encodeURIComponent(target)}`),
+    knowledgeImport: (scope: string, target: string, id: number) =>
+        request(`/api/app/memory/imports/${id}?scope=${encodeURIComponent(scope)}&target=${encodeURIComponent(target)}`),
+    stageKnowledgeImport: (scope: string, target: string, fileName: string, data: string) =>
+        request('/api/app/memory/imports', { method: 'POST', body: { scope, target, fileName, data } }),
+    startKnowledgeImport: (scope: string, target: string, id: number) =>
+        request(`/api/app/memory/imports/${id}/start`, { method: 'POST', body: { scope, target } }),
+    discardKnowledgeImport: (scope: string, target: string, id: number) =>
+        request(`/api/app/memory/imports/${id}?scope=${encodeURIComponent(scope)}&target=${encodeURIComponent(target)}`, { method: 'DELETE' }),
     reflection: (scope: string, target: string) =>
         request(`/api/app/memory/reflection?scope=${encodeURIComponent(scope)}&target=${encodeURIComponent(target)}`),
     startReflection: (scope: string, target: string) =>
@@ -99,6 +115,8 @@ export const api = {
         request('/api/app/memory/retention', { method: 'PUT', body: { scope, days } }),
     forgetMe: (confirm: string) =>
         request('/api/app/privacy/forget', { method: 'POST', body: { confirm } }),
+    exportMyData: () => request('/api/app/privacy/export', { method: 'POST' }),
+    dataExports: () => request('/api/app/privacy/exports'),
 
     tasks: () => request('/api/app/tasks'),
     createTask: (task: Record<string, unknown>) => request('/api/app/tasks', { method: 'POST', body: task }),
@@ -150,6 +168,26 @@ export const api = {
         request(`/api/app/exchange/orders/${orderId}?guildId=${encodeURIComponent(guildId)}`, { method: 'DELETE' }),
     exchangeLeaderboard: (guildId: string) =>
         request(`/api/app/exchange/leaderboard?guildId=${encodeURIComponent(guildId)}`),
+    exchangeRisk: (guildId: string, scenario: string | null = null) =>
+        request(`/api/app/exchange/risk?guildId=${encodeURIComponent(guildId)}${scenario ? `&scenario=${encodeURIComponent(scenario)}` : ''}`),
+    exchangeReplay: (guildId: string, at: string) =>
+        request(`/api/app/exchange/replay?guildId=${encodeURIComponent(guildId)}&at=${encodeURIComponent(at)}`),
+
+    casinoHands: (guildId: string, { mine = false, againstBot = false, before = null }: { mine?: boolean; againstBot?: boolean; before?: number | null } = {}) =>
+        request(`/api/app/casino/hands?guildId=${encodeURIComponent(guildId)}${mine ? '&mine=1' : ''}${againstBot ? '&againstBot=1' : ''}${before ? `&before=${before}` : ''}`),
+    casinoHand: (guildId: string, handId: number) =>
+        request(`/api/app/casino/hands/${handId}?guildId=${encodeURIComponent(guildId)}`),
+
+    tavernCampaigns: (guildId: string) =>
+        request(`/api/app/tavern/campaigns?guildId=${encodeURIComponent(guildId)}`),
+    tavernCampaign: (guildId: string, questId: string) =>
+        request(`/api/app/tavern/campaigns/${encodeURIComponent(questId)}?guildId=${encodeURIComponent(guildId)}`),
+    tavernCheck: (guildId: string, quest: unknown) =>
+        request('/api/app/tavern/check', { method: 'POST', body: { guildId, quest } }),
+    tavernSave: (guildId: string, quest: unknown) =>
+        request('/api/app/tavern/campaigns', { method: 'POST', body: { guildId, quest } }),
+    tavernPlaytest: (guildId: string, quest: unknown, { moves = [], seed = '', partySize = 1 }: { moves?: unknown[]; seed?: string; partySize?: number } = {}) =>
+        request('/api/app/tavern/playtest', { method: 'POST', body: { guildId, quest, moves, seed, partySize } }),
 
     mtgaLibrary: () => request('/api/app/mtga/library'),
     mtgaCreateFolder: (name: string) => request('/api/app/mtga/folders', { method: 'POST', body: { name } }),
@@ -369,3 +407,24 @@ export function streamParlorNudge(conversationId: number, personaId: number, han
     return readSse(`/api/app/parlor/conversations/${conversationId}/personas/${personaId}/respond`,
         {}, (event, data) => dispatchParlor(handlers, event, data), signal);
 }
+
+/**
+ * The forensic timeline as a file. Fetched rather than linked so a refusal
+ * (no Manage Server, a bad time) surfaces as an ApiError instead of a page
+ * of JSON.
+ */
+export async function fetchExchangeTimeline(guildId: string, { scope = 'mine', format = 'csv', from = '', to = '' }:
+    { scope?: 'mine' | 'guild'; format?: 'csv' | 'json'; from?: string; to?: string } = {}): Promise<{ blob: Blob; filename: string; truncated: boolean }> {
+    const query = new URLSearchParams({ guildId, scope, format });
+    if (from) query.set('from', from);
+    if (to) query.set('to', to);
+    const res = await fetch(`/api/app/exchange/timeline/export?${query}`);
+    if (!res.ok) {
+        let json: { error?: { code?: string; message?: string } } | null = null;
+        try { json = await res.json(); } catch { /* not JSON */ }
+        const error = json?.error || {};
+        throw new ApiError(res.status, error.code || 'INTERNAL', error.message || `Request failed (${res.status})`);
+    }
+    const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || `timeline.${format}`;
+    return { blob: await res.blob(), filename, truncated: res.headers.get('X-Timeline-Truncated') === '1' };
+}
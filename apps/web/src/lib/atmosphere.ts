@@ -8,6 +8,8 @@ const ROOM_CLASS: Record<string, string> = {
     workshop: 'room-workshop',
     observatory: 'room-observatory',
     exchange: 'room-exchange',
+    casino: 'room-casino',
+    tavern: 'room-tavern',
     tasks: 'room-tasks',
     noticed: 'room-noticed',
     decks: 'room-decks',
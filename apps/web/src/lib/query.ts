@@ -23,6 +23,7 @@ export const keys = {
     spitballNoteEvidence: (nodeId: number | string) => ['spitball-evidence', String(nodeId)] as const,
     spitballLenses: ['spitball-lenses'] as const,
     mtga: ['mtga'] as const,
+    dataExports: ['data-exports'] as const,
     memory: (scope: string, tab: string) => ['memory', scope, tab] as const
 };
 
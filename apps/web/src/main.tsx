@@ -24,6 +24,8 @@ import { UsageRoom } from './rooms/UsageRoom';
 import { WorkshopRoom } from './rooms/WorkshopRoom';
 import { DecksRoom } from './rooms/DecksRoom';
 import { ExchangeRoom } from './rooms/ExchangeRoom';
+import { CasinoRoom } from './rooms/CasinoRoom';
+import { TavernRoom } from './rooms/TavernRoom';
 import { ParlorRoom } from './rooms/ParlorRoom';
 import { ObservatoryRoom } from './rooms/ObservatoryRoom';
 import './styles.css';
@@ -127,6 +129,18 @@ const exchangeRoute = createRoute({
     component: ExchangeRoom,
 });
 
+const casinoRoute = createRoute({
+    getParentRoute: () => appRoute,
+    path: '/casino',
+    component: CasinoRoom,
+});
+
+const tavernRoute = createRoute({
+    getParentRoute: () => appRoute,
+    path: '/tavern',
+    component: TavernRoom,
+});
+
 const parlorRoute = createRoute({
     getParentRoute: () => appRoute,
     path: '/parlor',
@@ -182,6 +196,8 @@ const routeTree = rootRoute.addChildren([
         workshopRoute,
         decksRoute,
         exchangeRoute,
+        casinoRoute,
+        tavernRoute,
         parlorRoute,
         parlorIdRoute,
         observatoryRoute,
@@ -1,4 +1,5 @@
 export const TYPE_COLORS: Record<string, string>;
+export const CHANGE_COLORS: Record<string, string>;
 
 export class GraphView {
     constructor(canvas: HTMLCanvasElement, opts?: {
@@ -15,6 +15,12 @@ const TYPE_COLORS = {
     thing: '#8fe388'
 };
 
+/** Ring colors for nodes a history diff marks (node.change). */
+const CHANGE_COLORS = {
+    added: '#7dffb3',
+    revised: '#ffb454'
+};
+
 export class GraphView {
     constructor(canvas, { onSelect, colors } = {}) {
         this.canvas = canvas;
@@ -213,6 +219,10 @@ export class GraphView {
                 ctx.strokeStyle = '#ffffff';
                 ctx.lineWidth = 2;
                 ctx.stroke();
+            } else if (CHANGE_COLORS[node.change]) {
+                ctx.strokeStyle = CHANGE_COLORS[node.change];
+                ctx.lineWidth = 2.5;
+                ctx.stroke();
             }
 
             const label = String(node.label || '');
@@ -300,4 +310,4 @@ export class GraphView {
     }
 }
 
-export { TYPE_COLORS };
+export { TYPE_COLORS, CHANGE_COLORS };
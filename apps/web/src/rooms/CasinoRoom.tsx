@@ -0,0 +1,276 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { api, ApiError } from '../lib/api';
+import { useMe } from '../hooks/useSession';
+import { useToast } from '../hooks/useToast';
+import { MenuButton } from '../shell/MenuButton';
+
+// Shared with the Exchange: the server you trade on is usually the one you play on
+const GUILD_KEY = 'goobster-exchange-guild';
+
+const GAME_NAMES: Record<string, string> = {
+    blackjack: 'Blackjack', roulette: 'Roulette', baccarat: 'Baccarat', holdem: "Texas Hold'em",
+    slots: 'Slots', war: 'Casino War', craps: 'Craps', letride: 'Let It Ride'
+};
+
+type HandPlayer = { userId: string; name: string | null; isBot: boolean; net: number };
+type HandSummary = {
+    id: number; channelId: string; gameType: string; status: 'SETTLED' | 'VOID';
+    fairHandId: number | null; botPlayed: boolean; startedAt: string; endedAt: string;
+    players: HandPlayer[];
+};
+type Card = { rank: number | string; suit: string; label?: string };
+type FrameSeat = {
+    seat: number; userId: string; name?: string | null; isBot?: boolean;
+    stack?: number | null; bet?: number; streetBet?: number; totalWagered?: number;
+    folded?: boolean; isTurn?: boolean; outcome?: string | null; payout?: number | null;
+    cards?: Card[] | null; cardCount?: number; hands?: Array<{ cards?: Card[] }>;
+} | null;
+type FrameView = Record<string, unknown> & { gameType: string; phase?: string; seats?: FrameSeat[]; yourSeat?: number | null };
+type FrameAction = {
+    type: string; userId: string | null; name: string | null; amount: number | null;
+    kind: string | null; isBot: boolean; system: boolean;
+};
+type Frame = { action: FrameAction | null; events: Array<{ type: string }>; at: string; view: FrameView };
+type Hand = HandSummary & { frames: Frame[] };
+
+function isBotOffline(error: unknown): boolean {
+    return error instanceof ApiError && (error.status === 503 || error.code === 'BOT_OFFLINE');
+}
+
+function errorText(error: unknown): string {
+    if (isBotOffline(error)) {
+        return 'Goobster is offline right now — hand history needs the Discord bot connected to check your membership.';
+    }
+    return (error as Error).message || 'Request failed';
+}
+
+function signed(value: number): string {
+    return `${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+}
+
+function isCard(value: unknown): value is Card {
+    return Boolean(value) && typeof value === 'object' && 'rank' in (value as object) && 'suit' in (value as object);
+}
+
+function Cards({ cards }: { cards: Card[] }) {
+    const glyphs: Record<string, string> = { S: '♠', H: '♥', D: '♦', C: '♣' };
+    return (
+        <span className="cs-cards">
+            {cards.map((card, index) => (
+                <span key={index} className={`cs-card${card.suit === 'H' || card.suit === 'D' ? ' red' : ''}`}>
+                    {card.label || `${card.rank}${glyphs[card.suit] || card.suit}`}
+                </span>
+            ))}
+        </span>
+    );
+}
+
+/**
+ * Card rows a frame shows outside the seats - the board, the dealer, the
+ * baccarat hands - found by shape so every game renders without its own
+ * component: any top-level array of cards, or object holding `cards`.
+ */
+function tableCards(view: FrameView): Array<[string, Card[]]> {
+    const rows: Array<[string, Card[]]> = [];
+    for (const [key, value] of Object.entries(view)) {
+        if (key === 'seats') continue;
+        if (Array.isArray(value) && value.length > 0 && value.every(isCard)) rows.push([key, value as Card[]]);
+        const nested = (value as { cards?: unknown } | null)?.cards;
+        if (value && typeof value === 'object' && Array.isArray(nested) && nested.every(isCard)) {
+            rows.push([key, nested as Card[]]);
+        }
+    }
+    return rows;
+}
+
+function seatCards(seat: NonNullable<FrameSeat>): Card[] | null {
+    if (Array.isArray(seat.cards)) return seat.cards;
+    const fromHands = (seat.hands || []).flatMap((hand) => hand.cards || []);
+    return fromHands.length > 0 ? fromHands : null;
+}
+
+function describeAction(action: FrameAction | null): string {
+    if (!action) return 'Before the hand';
+    if (action.system) return `Table: ${action.type}`;
+    const who = `${action.isBot ? '🤖 ' : ''}${action.name || 'A player'}`;
+    return [who, action.type, action.amount ?? null, action.kind].filter((part) => part !== null).join(' ');
+}
+
+function FrameStage({ frame }: { frame: Frame }) {
+    const { view } = frame;
+    return (
+        <div className="cs-stage">
+            <div className="cs-row">
+                <span className="cs-label">Phase</span>
+                <span>{String(view.phase ?? '—')}{typeof view.pot === 'number' ? ` · pot ${view.pot.toLocaleString()}` : ''}</span>
+            </div>
+            {tableCards(view).map(([label, cards]) => (
+                <div key={label} className="cs-row">
+                    <span className="cs-label">{label}</span>
+                    <Cards cards={cards} />
+                </div>
+            ))}
+            {(view.seats || []).filter((seat): seat is NonNullable<FrameSeat> => Boolean(seat)).map((seat) => {
+                const cards = seatCards(seat);
+                const wager = seat.streetBet ?? seat.bet ?? seat.totalWagered;
+                return (
+                    <div key={seat.seat} className={`cs-row cs-seat${seat.isTurn ? ' turn' : ''}`}>
+                        <span className="cs-label">
+                            {seat.isBot ? '🤖 ' : ''}{seat.name || 'Player'}{view.yourSeat === seat.seat ? ' (you)' : ''}
+                        </span>
+                        {cards ? <Cards cards={cards} /> : seat.cardCount ? <span className="hint">{seat.cardCount} hidden</span> : null}
+                        {seat.folded ? <span className="badge">folded</span> : null}
+                        {typeof wager === 'number' && wager > 0 ? <span className="hint">bet {wager.toLocaleString()}</span> : null}
+                        {typeof seat.stack === 'number' ? <span className="hint">stack {seat.stack.toLocaleString()}</span> : null}
+                        {seat.outcome ? <span className="badge">{seat.outcome}</span> : null}
+                        {typeof seat.payout === 'number' && seat.payout > 0 ? <span className="cs-net up">+{seat.payout.toLocaleString()}</span> : null}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+function Replay({ guildId, handId, onClose }: { guildId: string; handId: number; onClose: () => void }) {
+    const [index, setIndex] = useState(0);
+    const hand = useQuery({
+        queryKey: ['casino-hand', guildId, handId],
+        queryFn: () => api.casinoHand(guildId, handId) as Promise<{ hand: Hand }>
+    });
+    useEffect(() => { setIndex(0); }, [handId]);
+
+    if (hand.isPending) return <div className="empty">Loading…</div>;
+    if (hand.isError) return <div className="empty">{errorText(hand.error)}</div>;
+    const { frames } = hand.data.hand;
+    const frame = frames[Math.min(index, frames.length - 1)];
+
+    return (
+        <div className="x-block">
+            <div className="cs-stepper">
+                <button type="button" className="btn subtle" onClick={onClose}>← All hands</button>
+                <button type="button" className="btn" disabled={index === 0} onClick={() => setIndex(index - 1)}>◀</button>
+                <span className="hint">Hand #{handId} · step {index + 1} of {frames.length}</span>
+                <button type="button" className="btn" disabled={index >= frames.length - 1} onClick={() => setIndex(index + 1)}>▶</button>
+            </div>
+            <FrameStage frame={frame} />
+            <ol className="cs-log">
+                {frames.map((entry, i) => (
+                    <li key={i} className={i === index ? 'current' : ''}>
+                        <button type="button" className="btn subtle" onClick={() => setIndex(i)}>{describeAction(entry.action)}</button>
+                    </li>
+                ))}
+            </ol>
+            {hand.data.hand.fairHandId ? (
+                <div className="hint">Provably fair: verify with <code>/gamble verify hand:{hand.data.hand.fairHandId}</code>.</div>
+            ) : null}
+        </div>
+    );
+}
+
+export function CasinoRoom() {
+    const me = useMe();
+    const toast = useToast();
+    const guilds = (me.scopes || []).filter((scope) => scope.kind === 'guild');
+    const [guildId, setGuildId] = useState(() => {
+        try {
+            const remembered = localStorage.getItem(GUILD_KEY);
+            if (remembered && guilds.some((g) => g.id === remembered)) return remembered;
+        } catch { /* private mode */ }
+        return guilds[0]?.id || '';
+    });
+    const [mine, setMine] = useState(true);
+    const [againstBot, setAgainstBot] = useState(false);
+    const [replaying, setReplaying] = useState<number | null>(null);
+
+    const hands = useQuery({
+        queryKey: ['casino-hands', guildId, mine, againstBot],
+        queryFn: () => api.casinoHands(guildId, { mine, againstBot }) as Promise<{ hands: HandSummary[] }>,
+        enabled: Boolean(guildId)
+    });
+
+    useEffect(() => {
+        if (hands.error) toast(errorText(hands.error), true);
+    }, [hands.error, toast]);
+
+    function pickGuild(id: string) {
+        setGuildId(id);
+        try { localStorage.setItem(GUILD_KEY, id); } catch { /* private mode */ }
+        setReplaying(null);
+    }
+
+    if (guilds.length === 0) {
+        return (
+            <main className="pane next-pane is-in" id="pane-casino">
+                <header className="pane-header">
+                    <div className="title-row">
+                        <MenuButton />
+                        <h1>Casino</h1>
+                    </div>
+                </header>
+                <div className="pane-body">
+                    <div className="empty">
+                        Hand history is per-server: the tables live in a Discord server's Activity.
+                        Join a server Goobster is in (or invite him to yours) and it shows up here.
+                    </div>
+                </div>
+            </main>
+        );
+    }
+
+    return (
+        <main className="pane next-pane is-in" id="pane-casino">
+            <header className="pane-header">
+                <div className="title-row">
+                    <MenuButton />
+                    <h1>Casino</h1>
+                </div>
+                <select className="select" value={guildId} onChange={(e) => pickGuild(e.target.value)} aria-label="Server">
+                    {guilds.map((guild) => <option key={guild.id} value={guild.id}>{guild.name}</option>)}
+                </select>
+            </header>
+            <div className="pane-body">
+                {replaying !== null && <Replay guildId={guildId} handId={replaying} onClose={() => setReplaying(null)} />}
+                {replaying === null && (
+                    <>
+                        <div className="cs-filters">
+                            <label><input type="checkbox" checked={mine} onChange={(e) => setMine(e.target.checked)} /> Only hands I played</label>
+                            <label><input type="checkbox" checked={againstBot} onChange={(e) => setAgainstBot(e.target.checked)} /> Only hands Goobster played</label>
+                        </div>
+                        {hands.isPending && <div className="empty">Loading…</div>}
+                        {hands.isError && <div className="empty">{errorText(hands.error)}</div>}
+                        {hands.data && hands.data.hands.length === 0 && (
+                            <div className="empty">No finished hands yet - play a round in the Casino Activity and it shows up here.</div>
+                        )}
+                        {hands.data && hands.data.hands.length > 0 && (
+                            <div className="list-card x-table">
+                                {hands.data.hands.map((hand) => {
+                                    const you = hand.players.find((p) => p.userId === me.user.id);
+                                    return (
+                                        <button key={hand.id} type="button" className="list-row" onClick={() => setReplaying(hand.id)}>
+                                            <div className="row-body">
+                                                <span className="x-rank">#{hand.id}</span>
+                                                {GAME_NAMES[hand.gameType] || hand.gameType}
+                                                {hand.status === 'VOID' ? <span className="badge">void</span> : null}
+                                                {hand.botPlayed ? <span className="badge">vs Goobster</span> : null}
+                                                <div className="row-meta">
+                                                    {hand.players.map((p) => `${p.isBot ? '🤖 ' : ''}${p.name || 'Player'} ${signed(p.net)}`).join(' · ')}
+                                                    {' · '}{new Date(`${hand.endedAt.replace(' ', 'T')}Z`).toLocaleString()}
+                                                </div>
+                                            </div>
+                                            {you ? (
+                                                <div className="x-numbers">
+                                                    <span className={`cs-net ${you.net >= 0 ? 'up' : 'down'}`}>{signed(you.net)}</span>
+                                                </div>
+                                            ) : null}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </main>
+    );
+}
@@ -1,12 +1,12 @@
 import { useEffect, useRef, useState, type FormEvent, type ReactNode } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { api, ApiError } from '../lib/api';
+import { api, ApiError, fetchExchangeTimeline } from '../lib/api';
 import { useMe } from '../hooks/useSession';
 import { useToast } from '../hooks/useToast';
 import { useConfirm } from '../hooks/useConfirm';
 import { MenuButton } from '../shell/MenuButton';
 
-type ExchangeTab = 'portfolio' | 'trade' | 'options' | 'orders' | 'leaderboard';
+type ExchangeTab = 'portfolio' | 'trade' | 'options' | 'orders' | 'risk' | 'timeline' | 'leaderboard';
 const GUILD_KEY = 'goobster-exchange-guild';
 const HISTORY_RANGES = ['1mo', '3mo', '6mo', '1y'] as const;
 
@@ -83,6 +83,45 @@ type Order = {
     units: number; limitPrice?: number | null; stopPrice?: number | null;
     trailPercent?: number | null; filledPrice?: number | null; note?: string;
 };
+type RiskGreeks = { deltaDollars: number; gammaDollars: number; vega: number; theta: number };
+type RiskOutcome = {
+    userId: string; name?: string | null; isBot?: boolean; status: 'ok' | 'margin-call' | 'liquidation';
+    equityBefore: number; equity: number; maintenance: number; pl: number; shortfall: number;
+    plan: Array<{ key: string; direction: string; units: number; value: number }>;
+    perpLiquidations: Array<{ symbol: string; direction: string; price: number }>;
+};
+type RiskReport = {
+    currencyName?: string;
+    accounts: Array<RiskGreeks & { userId: string }>;
+    mine: (RiskGreeks & { equity: number; maintenance: number }) | null;
+    greeks: Array<RiskGreeks & { symbol: string; spot: number; delta: number; gamma: number }>;
+    totals: RiskGreeks;
+    var: {
+        observations: number; from: string; to: string;
+        levels: Array<{ confidence: number; var: number; expectedShortfall: number }>;
+        worst: { date: string; pl: number };
+    } | null;
+    missingHistory: string[];
+    pricingGaps: number;
+    scenario: { text: string; outcomes: RiskOutcome[]; atRisk: RiskOutcome[] } | null;
+};
+type ReplayChange = { field: string; key: string | null; before: number | boolean; after: number | boolean };
+type ReplayState = {
+    cash: number; marginLoan: number; marginCall: boolean; liquidations: number;
+    longs: Record<string, number>; shorts: Record<string, number>;
+    options: Record<string, { underlying: string; optionType: string; strike: number; expiry: string; side: string; contracts: number }>;
+    perps: Record<string, { symbol: string; direction: string; units: number }>;
+};
+type TimelineEntry = {
+    at: string; source: 'ledger' | 'engine'; id: number; kind: string; symbol: string | null; amount: number | null;
+    quote: { price: number; source: 'fill' | 'snapshot'; asOf: string } | null;
+};
+type ReplayReport = {
+    currencyName?: string; at: string; asOf: string; replayed: number;
+    recent: TimelineEntry[]; state: ReplayState;
+    changes: ReplayChange[]; drift: ReplayChange[];
+    reconcile: Array<{ name: string; description: string; ok: boolean }>;
+};
 type Leaderboard = { rows: Array<{ name?: string; userId?: string; isBot?: boolean; accountType?: string; marginCall?: boolean; cash?: number; exposure?: number; debt?: number; equity?: number }>; currencyName?: string };
 
 function isBotOffline(error: unknown): boolean {
@@ -694,6 +733,299 @@ function OrdersTab({ guildId }: { guildId: string }) {
     );
 }
 
+function signedPoints(value: number | null | undefined): string {
+    if (value === null || value === undefined) return '—';
+    const rounded = Math.round(value);
+    return `${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}`;
+}
+
+function RiskTab({ guildId, currencyName }: { guildId: string; currencyName: string }) {
+    const [draft, setDraft] = useState('');
+    const [scenario, setScenario] = useState('');
+    const risk = useQuery({
+        queryKey: ['exchange-risk', guildId, scenario],
+        queryFn: () => api.exchangeRisk(guildId, scenario || null) as Promise<RiskReport>
+    });
+
+    function run(event: FormEvent) {
+        event.preventDefault();
+        setScenario(draft.trim());
+    }
+
+    const report = risk.data;
+    const bookPl = report?.scenario ? report.scenario.outcomes.reduce((sum, outcome) => sum + outcome.pl, 0) : 0;
+    return (
+        <>
+            <div className="x-block">
+                <div className="section-title">Shock scenario</div>
+                <form className="x-form" onSubmit={run}>
+                    <div className="x-form-grid">
+                        <div className="field">
+                            <label>Scenario</label>
+                            <input className="input" value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="SPY -10%, vol +20" maxLength={200} />
+                        </div>
+                    </div>
+                    <div className="x-btn-row">
+                        <button className="btn primary" type="submit">Run scenario</button>
+                        {scenario && <button className="btn" type="button" onClick={() => { setDraft(''); setScenario(''); }}>Clear</button>}
+                    </div>
+                    <div className="hint">
+                        Comma-separated: <code>SPY -10%</code> for one underlying, <code>market -5%</code> for the rest,
+                        {' '}<code>vol +20</code> for implied volatility in points. Nothing is traded.
+                    </div>
+                </form>
+            </div>
+            {risk.isPending && <div className="empty">Loading…</div>}
+            {risk.isError && <div className="empty">{errorText(risk.error)}</div>}
+            {report && (
+                <>
+                    <div className="stat-grid">
+                        <Stat label="Net delta" value={signedPoints(report.totals.deltaDollars)} sub={`${currencyName} of exposure · whole server`} />
+                        <Stat label="Gamma" value={signedPoints(report.totals.gammaDollars)} sub="delta change per 1% rally" />
+                        <Stat label="Vega" value={signedPoints(report.totals.vega)} sub="per volatility point" />
+                        <Stat label="Theta" value={signedPoints(report.totals.theta)} sub="per day" />
+                    </div>
+                    {report.mine && (
+                        <div className="stat-grid">
+                            <Stat label="Your delta" value={signedPoints(report.mine.deltaDollars)} sub={`equity ${points(report.mine.equity)}`} />
+                            <Stat label="Your gamma" value={signedPoints(report.mine.gammaDollars)} sub="per 1%" />
+                            <Stat label="Your vega" value={signedPoints(report.mine.vega)} sub="per vol point" />
+                            <Stat label="Your theta" value={signedPoints(report.mine.theta)} sub="per day" />
+                        </div>
+                    )}
+                    {report.pricingGaps > 0 && (
+                        <div className="x-alert">{report.pricingGaps} position(s) could not be priced right now and are left out.</div>
+                    )}
+                    {report.greeks.length === 0 && <div className="empty">Nobody on the exchange holds anything yet.</div>}
+                    {report.greeks.length > 0 && (
+                        <div className="x-block">
+                            <div className="section-title">By underlying</div>
+                            <div className="list-card x-table">
+                                {report.greeks.map((entry) => (
+                                    <div key={entry.symbol} className="list-row">
+                                        <div className="row-body">
+                                            <code>{entry.symbol}</code>
+                                            <div className="row-meta">
+                                                Δ {units(entry.delta)} shares · Γ {units(entry.gamma)} · vega {signedPoints(entry.vega)} · θ {signedPoints(entry.theta)} · {usd(entry.spot)}
+                                            </div>
+                                        </div>
+                                        <div className="x-numbers"><Pl value={entry.deltaDollars} /></div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {report.greeks.length > 0 && (
+                        <div className="x-block">
+                            <div className="section-title">Value at risk (1 day, historical)</div>
+                            {report.var ? (
+                                <>
+                                    <div className="stat-grid">
+                                        {report.var.levels.map((level) => (
+                                            <Stat
+                                                key={level.confidence}
+                                                label={`${Math.round(level.confidence * 100)}% VaR`}
+                                                value={points(level.var)}
+                                                sub={`tail average ${points(level.expectedShortfall)}`}
+                                            />
+                                        ))}
+                                        <Stat label="Worst day" value={signedPoints(report.var.worst.pl)} sub={report.var.worst.date} />
+                                    </div>
+                                    <div className="hint">
+                                        {report.var.observations} days of cached closes, {report.var.from} → {report.var.to}. Volatility is held still; scenarios reprice it.
+                                    </div>
+                                </>
+                            ) : <div className="empty">Not enough cached history to replay yet.</div>}
+                            {report.missingHistory.length > 0 && (
+                                <div className="x-alert">No cached closes for {report.missingHistory.join(', ')} — left out of VaR.</div>
+                            )}
+                        </div>
+                    )}
+                    {report.scenario && (
+                        <div className="x-block">
+                            <div className="section-title">Scenario: {report.scenario.text} · book <Pl value={bookPl} /></div>
+                            {report.scenario.atRisk.length === 0 && <div className="empty">Every account stays above maintenance.</div>}
+                            {report.scenario.atRisk.length > 0 && (
+                                <div className="list-card x-table">
+                                    {report.scenario.atRisk.map((outcome) => (
+                                        <div key={outcome.userId} className="list-row">
+                                            <div className="row-body">
+                                                {outcome.name || outcome.userId}
+                                                {outcome.status === 'liquidation' && <span className="badge danger">liquidated</span>}
+                                                {outcome.status === 'margin-call' && <span className="badge warn">margin call</span>}
+                                                {outcome.perpLiquidations.length > 0 && <span className="badge warn">perp liquidated</span>}
+                                                <div className="row-meta">
+                                                    equity {points(outcome.equity)} vs maintenance {points(outcome.maintenance)}
+                                                    {outcome.shortfall > 0 ? ` · ${points(outcome.shortfall)} short` : ''}
+                                                    {outcome.plan.length > 0 ? ` · engine would ${outcome.plan.map((step) => `${step.direction === 'LONG' ? 'sell' : 'cover'} ${units(step.units)} ${step.key}`).join(', ')}` : ''}
+                                                </div>
+                                            </div>
+                                            <div className="x-numbers"><Pl value={outcome.pl} /></div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </>
+    );
+}
+
+function describeChange(change: ReplayChange): string {
+    return `${change.field}${change.key ? ` ${change.key}` : ''}: ${String(change.before)} → ${String(change.after)}`;
+}
+
+/** A datetime-local value (the browser's zone) as the UTC ISO string the API reads. */
+function localToIso(value: string): string {
+    return value ? new Date(value).toISOString() : '';
+}
+
+function TimelineTab({ guildId, currencyName }: { guildId: string; currencyName: string }) {
+    const toast = useToast();
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [at, setAt] = useState('');
+    const [replayAt, setReplayAt] = useState('');
+    const [busy, setBusy] = useState(false);
+    const replay = useQuery({
+        queryKey: ['exchange-replay', guildId, replayAt],
+        queryFn: () => api.exchangeReplay(guildId, replayAt) as Promise<ReplayReport>,
+        enabled: !!replayAt
+    });
+
+    async function download(scope: 'mine' | 'guild', format: 'csv' | 'json') {
+        setBusy(true);
+        try {
+            const file = await fetchExchangeTimeline(guildId, { scope, format, from: localToIso(from), to: localToIso(to) });
+            const url = URL.createObjectURL(file.blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file.filename;
+            link.click();
+            URL.revokeObjectURL(url);
+            if (file.truncated) toast('The timeline was cut short - narrow the window to get the rest.', true);
+        } catch (error) {
+            toast(errorText(error), true);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    function run(event: FormEvent) {
+        event.preventDefault();
+        if (!at) {
+            toast('Pick a moment to replay to.', true);
+            return;
+        }
+        setReplayAt(localToIso(at));
+    }
+
+    const report = replay.data;
+    const holdings = report ? [
+        ...Object.entries(report.state.longs).map(([symbol, count]) => `${symbol} ${units(count)} long`),
+        ...Object.entries(report.state.shorts).map(([symbol, count]) => `${symbol} ${units(count)} short`),
+        ...Object.values(report.state.options).map((lot) =>
+            `${lot.side === 'SHORT' ? '-' : ''}${lot.contracts} ${lot.underlying} ${lot.strike} ${lot.optionType.toLowerCase()} ${lot.expiry}`),
+        ...Object.values(report.state.perps).map((perp) => `${perp.direction.toLowerCase()} ${units(perp.units)} ${perp.symbol} perp`)
+    ] : [];
+    const failing = report ? report.reconcile.filter((check) => !check.ok) : [];
+    return (
+        <>
+            <div className="x-block">
+                <div className="section-title">Download the timeline</div>
+                <div className="x-form">
+                    <div className="x-form-grid">
+                        <div className="field">
+                            <label>From</label>
+                            <input className="input" type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+                        </div>
+                        <div className="field">
+                            <label>To</label>
+                            <input className="input" type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+                        </div>
+                    </div>
+                    <div className="x-btn-row">
+                        <button className="btn primary" type="button" disabled={busy} onClick={() => download('mine', 'csv')}>My account · CSV</button>
+                        <button className="btn" type="button" disabled={busy} onClick={() => download('mine', 'json')}>My account · JSON</button>
+                        <button className="btn" type="button" disabled={busy} onClick={() => download('guild', 'csv')}>Whole server · CSV</button>
+                        <button className="btn" type="button" disabled={busy} onClick={() => download('guild', 'json')}>Whole server · JSON</button>
+                    </div>
+                    <div className="hint">
+                        The wallet ledger and the engine log merged into one ordered stream, with the price each step used.
+                        The whole-server export needs Manage Server.
+                    </div>
+                </div>
+            </div>
+            <div className="x-block">
+                <div className="section-title">Replay my account</div>
+                <form className="x-form" onSubmit={run}>
+                    <div className="x-form-grid">
+                        <div className="field">
+                            <label>As of</label>
+                            <input className="input" type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} />
+                        </div>
+                    </div>
+                    <div className="x-btn-row">
+                        <button className="btn primary" type="submit">Replay</button>
+                    </div>
+                </form>
+            </div>
+            {replay.isFetching && <div className="empty">Replaying…</div>}
+            {replay.isError && <div className="empty">{errorText(replay.error)}</div>}
+            {report && (
+                <>
+                    <div className="stat-grid">
+                        <Stat label="Cash" value={points(report.state.cash)} sub={`${currencyName} at ${report.at} UTC`} />
+                        <Stat label="Margin loan" value={points(report.state.marginLoan)} sub={report.state.marginCall ? 'under a margin call' : 'no margin call'} />
+                        <Stat label="Steps replayed" value={report.replayed.toLocaleString()} sub={`${report.state.liquidations} liquidation step(s)`} />
+                    </div>
+                    <div className="x-block">
+                        <div className="section-title">Positions then</div>
+                        {holdings.length === 0 ? <div className="empty">No open positions.</div> : (
+                            <div className="list-card x-table">
+                                {holdings.map((line) => <div key={line} className="list-row"><div className="row-body">{line}</div></div>)}
+                            </div>
+                        )}
+                    </div>
+                    <div className="x-block">
+                        <div className="section-title">Last steps before then</div>
+                        {report.recent.length === 0 ? <div className="empty">Nothing yet.</div> : (
+                            <div className="list-card x-table">
+                                {report.recent.map((entry) => (
+                                    <div key={`${entry.source}-${entry.id}`} className="list-row">
+                                        <div className="row-body">
+                                            <code>{entry.kind}</code>{entry.symbol ? ` ${entry.symbol}` : ''}
+                                            <div className="row-meta">
+                                                {entry.at} · {entry.source}
+                                                {entry.quote ? ` · ${usd(entry.quote.price)}${entry.quote.source === 'snapshot' ? ' (cached quote)' : ''}` : ''}
+                                            </div>
+                                        </div>
+                                        <div className="x-numbers">{entry.amount === null ? '—' : signedPoints(entry.amount)}</div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                    <div className="x-block">
+                        <div className="section-title">Changed since</div>
+                        {report.changes.length === 0
+                            ? <div className="empty">Nothing - the account looks the same today.</div>
+                            : <div className="hint">{report.changes.map(describeChange).join(' · ')}</div>}
+                    </div>
+                    {(report.drift.length > 0 || failing.length > 0) ? (
+                        <div className="x-alert">
+                            {report.drift.length > 0 && <>The log and the live tables disagree: {report.drift.map(describeChange).join(' · ')}. </>}
+                            {failing.length > 0 && <>Reconcile flags this account: {failing.map((check) => check.name).join(', ')}.</>}
+                        </div>
+                    ) : <div className="hint">Replaying the full log lands exactly on today's tables, and no reconcile check names this account.</div>}
+                </>
+            )}
+        </>
+    );
+}
+
 export function ExchangeRoom() {
     const me = useMe();
     const toast = useToast();
@@ -780,6 +1112,8 @@ export function ExchangeRoom() {
                                 ['trade', 'Trade'],
                                 ...(showOptions ? [['options', 'Options'] as const] : []),
                                 ['orders', 'Orders'],
+                                ['risk', 'Risk'],
+                                ['timeline', 'Timeline'],
                                 ['leaderboard', 'Leaderboard']
                             ] as Array<[ExchangeTab, string]>).map(([id, label]) => (
                                 <button key={id} type="button" className={`segment-btn${tab === id ? ' active' : ''}`} onClick={() => setTab(id)}>{label}</button>
@@ -791,6 +1125,8 @@ export function ExchangeRoom() {
                         {tab === 'trade' && <TradeTab guildId={guildId} currencyName={currency} features={features} />}
                         {tab === 'options' && showOptions && <OptionsTab guildId={guildId} currencyName={currency} />}
                         {tab === 'orders' && <OrdersTab guildId={guildId} />}
+                        {tab === 'risk' && <RiskTab guildId={guildId} currencyName={currency} />}
+                        {tab === 'timeline' && <TimelineTab guildId={guildId} currencyName={currency} />}
                         {tab === 'leaderboard' && (
                             <>
                                 {leaderboard.isPending && <div className="empty">Loading…</div>}
@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { api } from '../lib/api';
 import { keys } from '../lib/query';
@@ -7,7 +7,7 @@ import { useToast } from '../hooks/useToast';
 import { useConfirm } from '../hooks/useConfirm';
 import { GraphCanvas } from '../components/GraphCanvas';
 import { ExpeditionsTab } from '../components/Expeditions';
-import { TYPE_COLORS } from '../renderers/graph.js';
+import { CHANGE_COLORS, TYPE_COLORS } from '../renderers/graph.js';
 import { MenuButton } from '../shell/MenuButton';
 import type { NoteEvidence } from '../lib/types';
 
@@ -35,9 +35,22 @@ type GraphNode = {
     salience?: number;
     ref?: { kind?: string; id?: number };
 };
-type GraphPayload = { nodes: GraphNode[]; edges: unknown[]; thoughts?: Array<{ thought: string; createdAt?: string }>; scratchpad?: Array<{ content: string }> };
-type ConstellationPayload = { nodes: GraphNode[]; edges: unknown[]; counts?: { facts?: number; memories?: number } };
+type PastView = { asOf?: string; historyStartsAt?: string | null };
+type GraphPayload = PastView & { nodes: GraphNode[]; edges: unknown[]; thoughts?: Array<{ thought: string; createdAt?: string }>; scratchpad?: Array<{ content: string }> };
+type ConstellationPayload = PastView & { nodes: GraphNode[]; edges: unknown[]; counts?: { facts?: number; memories?: number } };
 type RetentionPayload = { retentionDays?: number; purged?: number };
+type DataExport = {
+    id: number;
+    via: string;
+    status: 'READY' | 'EXPIRED';
+    sizeBytes: number;
+    rowCount: number;
+    fileCount: number;
+    downloadCount: number;
+    createdAt: string;
+    expiresAt: string;
+};
+type CreatedExport = { url: string; sizeBytes: number; rowCount: number; fileCount: number; expiresAt: string };
 type ReflectionRun = {
     id: number;
     trigger: string;
@@ -49,6 +62,46 @@ type ReflectionRun = {
     finishedAt?: string | null;
 };
 type ReflectionPayload = { run: ReflectionRun | null };
+type HistoryNote = { label: string; type?: string; content?: string | null; batchKey?: string | null };
+type HistoryLink = { source: string; target: string; relation: string; batchKey?: string | null };
+type HistoryBatch = {
+    batchKey: string;
+    kind: string;
+    ref: string;
+    changes: { add: number; revise: number; retire: number };
+    run?: { id: number; trigger: string; passes: string[]; startedAt?: string };
+    rolledBack: boolean;
+    rollbackable: boolean;
+};
+type HistoryPayload = {
+    from: string;
+    to: string;
+    historyStartsAt: string | null;
+    nodes: { added: HistoryNote[]; retired: HistoryNote[]; revised: Array<HistoryNote & { before: HistoryNote; after: HistoryNote }> };
+    contradicted: HistoryLink[];
+    edges: { added: HistoryLink[]; retired: HistoryLink[] };
+    tags: { added: Array<{ label: string; name: string }>; retired: Array<{ label: string; name: string }> };
+    batches: HistoryBatch[];
+};
+type RollbackPayload = { batchKey: string; undone: { nodes: number; edges: number; tags: number } };
+type KnowledgeImport = {
+    id: number;
+    sourceKind: 'obsidian' | 'markdown' | 'notion' | 'pdf';
+    sourceName: string;
+    status: 'preview' | 'running' | 'completed' | 'failed';
+    batchKey: string;
+    progress: { total: number; done: number };
+    summary: { notes: number; tags: number; links: number; passages: number; embedded: number };
+    error?: string | null;
+    createdAt?: string;
+    finishedAt?: string | null;
+};
+type ImportPayload = {
+    import: KnowledgeImport;
+    preview: { notes: number; updates: number | null; tags: number; links: number; skipped: number };
+    notes: Array<{ path: string; label: string; type: string; tags: string[]; links: string[]; exists: boolean }>;
+    skipped: Array<{ path: string; note: string }>;
+};
 
 const RETENTION_OPTIONS = [
     { value: 0, label: 'Keep forever' },
@@ -61,6 +114,15 @@ const RETENTION_OPTIONS = [
 
 const TYPE_COLOR_MAP = TYPE_COLORS as Record<string, string>;
 
+// Keep uploads under the web API's JSON body limit once base64-encoded
+const MAX_IMPORT_BYTES = 60 * 1024 * 1024;
+const IMPORT_SOURCES: Record<KnowledgeImport['sourceKind'], string> = {
+    obsidian: 'Obsidian vault',
+    markdown: 'Markdown notes',
+    notion: 'Notion export',
+    pdf: 'PDFs'
+};
+
 function whenLabel(iso?: string): string {
     if (!iso) return '';
     const date = new Date(iso.includes('T') ? iso : `${iso.replace(' ', 'T')}Z`);
@@ -221,6 +283,391 @@ function ReflectControl({ scope, target }: { scope: string; target: 'personal' |
     );
 }
 
+/** A YYYY-MM-DD date input value -> the end of that local day, as ISO. */
+function endOfDay(day: string): string | undefined {
+    return day ? new Date(`${day}T23:59:59`).toISOString() : undefined;
+}
+
+function dayInput(date: Date): string {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60_000);
+    return local.toISOString().slice(0, 10);
+}
+
+/**
+ * The as-of bar over a graph tab: travel to the end of a past day, come
+ * back to now, and open the changes panel.
+ */
+function TimeTravelBar({ asOf, onAsOf, historyOpen, onToggleHistory, historyStartsAt }: {
+    asOf: string;
+    onAsOf: (day: string) => void;
+    historyOpen: boolean;
+    onToggleHistory: () => void;
+    historyStartsAt?: string | null;
+}) {
+    const approximate = Boolean(asOf && historyStartsAt && endOfDay(asOf)! < new Date(`${historyStartsAt.replace(' ', 'T')}Z`).toISOString());
+    return (
+        <div className="hint usage-legend time-travel">
+            <label className="key">
+                As of
+                <input
+                    type="date"
+                    className="input"
+                    value={asOf}
+                    max={dayInput(new Date())}
+                    aria-label="Show the graph as of"
+                    onChange={(event) => onAsOf(event.target.value)}
+                />
+            </label>
+            {asOf ? <button type="button" className="btn small" onClick={() => onAsOf('')}>Back to now</button> : null}
+            <button type="button" className="btn small" onClick={onToggleHistory}>
+                {historyOpen ? 'Hide changes' : 'What changed?'}
+            </button>
+            {historyOpen && Object.entries(CHANGE_COLORS as Record<string, string>).map(([change, color]) => (
+                <span key={change} className="key"><span className="dot" style={{ background: color }} />{change}</span>
+            ))}
+            {approximate ? <span>history starts {whenLabel(historyStartsAt || '')} — earlier views are approximate</span> : null}
+        </div>
+    );
+}
+
+function describeBatch(batch: HistoryBatch): string {
+    if (batch.kind === 'reflection') {
+        const run = batch.run;
+        return run
+            ? `${run.trigger === 'scheduled' ? 'Scheduled' : 'Manual'} reflection #${run.id} (${run.passes.join(', ')}) · ${whenLabel(run.startedAt)}`
+            : `Reflection #${batch.ref}`;
+    }
+    if (batch.kind === 'consolidation') return `Nightly consolidation · ${whenLabel(batch.ref)}`;
+    if (batch.kind === 'import') return `Note import #${batch.ref}`;
+    if (batch.kind === 'rollback') return `Rollback of ${batch.ref}`;
+    return batch.batchKey;
+}
+
+function HistoryList({ title, items }: { title: string; items: string[] }) {
+    if (items.length === 0) return null;
+    return (
+        <div className="list-row">
+            <div className="row-body">
+                <strong>{title}</strong>
+                <ul>
+                    {items.slice(0, 12).map((item, index) => <li key={`${item}-${index}`}>{item}</li>)}
+                    {items.length > 12 ? <li>…and {items.length - 12} more</li> : null}
+                </ul>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * The diff between two days (added, retired, revised, contradicted) and
+ * the runs behind it, each of which can be rolled back.
+ */
+function HistoryPanel({ scope, target, history, from, onFrom, onRolledBack }: {
+    scope: string;
+    target: 'personal' | 'guild';
+    history: { data?: HistoryPayload; isPending: boolean; isError: boolean; error: unknown };
+    from: string;
+    onFrom: (day: string) => void;
+    onRolledBack: () => void;
+}) {
+    const toast = useToast();
+    const confirm = useConfirm();
+    const [busy, setBusy] = useState<string | null>(null);
+    const data = history.data;
+    return (
+        <div className="list-card history-panel">
+            <div className="list-row">
+                <div className="row-body">
+                    <strong>Changes since </strong>
+                    <input
+                        type="date"
+                        className="input"
+                        value={from}
+                        max={dayInput(new Date())}
+                        aria-label="Changes since"
+                        onChange={(event) => event.target.value && onFrom(event.target.value)}
+                    />
+                    {data && (
+                        <div className="row-meta">
+                            {data.nodes.added.length} added · {data.nodes.retired.length} retired · {data.nodes.revised.length} revised
+                            · {data.contradicted.length} contradicted · {data.edges.added.length + data.edges.retired.length} connection changes
+                        </div>
+                    )}
+                </div>
+            </div>
+            {history.isPending && <div className="empty">Loading…</div>}
+            {history.isError && <div className="empty">{(history.error as Error).message}</div>}
+            {data && (
+                <>
+                    <HistoryList title="Added" items={data.nodes.added.map((n) => n.label)} />
+                    <HistoryList title="Retired" items={data.nodes.retired.map((n) => n.label)} />
+                    <HistoryList
+                        title="Revised"
+                        items={data.nodes.revised.map((n) => `${n.label}: “${n.before.content || n.before.type}” → “${n.after.content || n.after.type}”`)}
+                    />
+                    <HistoryList title="Contradicted" items={data.contradicted.map((e) => `${e.source} ⟂ ${e.target}`)} />
+                    {data.batches.map((batch) => (
+                        <div key={batch.batchKey} className="list-row">
+                            <div className="row-body">
+                                {describeBatch(batch)}
+                                <div className="row-meta">
+                                    {batch.changes.add} added · {batch.changes.revise} revised · {batch.changes.retire} retired
+                                    {batch.rolledBack ? ' · rolled back' : ''}
+                                </div>
+                            </div>
+                            {batch.rollbackable && (
+                                <button
+                                    type="button"
+                                    className="btn small"
+                                    disabled={busy !== null}
+                                    onClick={async () => {
+                                        if (!await confirm(
+                                            'Roll back this run? What it added is removed and what it retired or changed is restored. Later changes stay.'
+                                        )) return;
+                                        setBusy(batch.batchKey);
+                                        try {
+                                            const result = await api.rollbackGraphBatch(scope, target, batch.batchKey) as RollbackPayload;
+                                            const { nodes, edges, tags } = result.undone;
+                                            toast(`Rolled back — ${nodes} note${nodes === 1 ? '' : 's'}, ${edges} connection${edges === 1 ? '' : 's'}, ${tags} tag${tags === 1 ? '' : 's'}.`);
+                                            onRolledBack();
+                                        } catch (error) {
+                                            toast((error as Error).message, true);
+                                        } finally {
+                                            setBusy(null);
+                                        }
+                                    }}
+                                >
+                                    {busy === batch.batchKey ? 'Rolling back…' : 'Roll back'}
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    {data.batches.length === 0 && data.nodes.added.length + data.nodes.retired.length + data.nodes.revised.length === 0 && (
+                        <div className="empty">Nothing changed in this window.</div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+function fileToDataUrl(file: File): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result || ''));
+        reader.onerror = () => reject(new Error(`Couldn't read "${file.name}".`));
+        reader.readAsDataURL(file);
+    });
+}
+
+function describeImport(item: KnowledgeImport): string {
+    const { notes, links, passages } = item.summary;
+    return `${notes} note${notes === 1 ? '' : 's'} · ${links} connection${links === 1 ? '' : 's'} · ${passages} passage${passages === 1 ? '' : 's'}`;
+}
+
+/**
+ * Bulk import into this graph: upload a zipped Obsidian vault / Markdown
+ * folder, a Notion export or PDFs, review what would be created, then run
+ * it and poll. A failed import resumes where it stopped; a finished one is
+ * undone from the changes panel like any other run.
+ */
+function ImportPanel({ scope, target, onImported }: {
+    scope: string;
+    target: 'personal' | 'guild';
+    onImported: () => void;
+}) {
+    const toast = useToast();
+    const queryClient = useQueryClient();
+    const [importId, setImportId] = useState<number | null>(null);
+    const [uploading, setUploading] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const listKey = keys.memory(scope, `imports-${target}`);
+    const recent = useQuery({
+        queryKey: listKey,
+        queryFn: () => api.knowledgeImports(scope, target) as Promise<{ imports: KnowledgeImport[] }>,
+        enabled: Boolean(scope) && importId === null
+    });
+    const current = useQuery({
+        queryKey: [...listKey, importId],
+        queryFn: () => api.knowledgeImport(scope, target, importId!) as Promise<ImportPayload>,
+        enabled: Boolean(scope) && importId !== null,
+        refetchInterval: (query) => (query.state.data?.import.status === 'running' ? 2000 : false)
+    });
+    const item = current.data?.import || null;
+    const status = item?.status;
+
+    // Announce the moment a watched run settles
+    const [watching, setWatching] = useState(false);
+    useEffect(() => {
+        if (!watching || !item || item.status === 'running' || item.status === 'preview') return;
+        setWatching(false);
+        if (item.status === 'completed') {
+            toast(`Import complete — ${describeImport(item)}.`);
+        } else {
+            toast(item.error || 'Import failed.', true);
+        }
+        queryClient.invalidateQueries({ queryKey: listKey });
+        onImported();
+    }, [watching, item, toast, queryClient, listKey, onImported]);
+
+    async function upload(file: File) {
+        if (file.size > MAX_IMPORT_BYTES) {
+            toast(`"${file.name}" is too large (max ${formatBytes(MAX_IMPORT_BYTES)}).`, true);
+            return;
+        }
+        setUploading(true);
+        try {
+            const staged = await api.stageKnowledgeImport(scope, target, file.name, await fileToDataUrl(file)) as ImportPayload;
+            queryClient.setQueryData([...listKey, staged.import.id], staged);
+            setImportId(staged.import.id);
+        } catch (error) {
+            toast((error as Error).message, true);
+        } finally {
+            setUploading(false);
+        }
+    }
+
+    async function start(id: number) {
+        setBusy(true);
+        try {
+            await api.startKnowledgeImport(scope, target, id);
+            setImportId(id);
+            setWatching(true);
+            queryClient.invalidateQueries({ queryKey: [...listKey, id] });
+        } catch (error) {
+            toast((error as Error).message, true);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    async function discard(id: number) {
+        setBusy(true);
+        try {
+            await api.discardKnowledgeImport(scope, target, id);
+            setImportId(null);
+            queryClient.invalidateQueries({ queryKey: listKey });
+        } catch (error) {
+            toast((error as Error).message, true);
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    if (importId === null) {
+        const resumable = (recent.data?.imports || []).filter((entry) => entry.status !== 'completed');
+        return (
+            <div className="list-card import-panel">
+                <div className="list-row">
+                    <div className="row-body">
+                        <strong>Import notes</strong>
+                        <div className="row-meta">
+                            A zipped Obsidian vault or Markdown folder, a Notion export (Markdown &amp; CSV), a PDF, or a zip of PDFs.
+                            You'll see what it adds before anything is written.
+                        </div>
+                    </div>
+                    <input
+                        className="input"
+                        type="file"
+                        accept=".zip,.md,.markdown,.pdf"
+                        aria-label="File to import"
+                        disabled={uploading}
+                        onChange={(event) => {
+                            const file = event.target.files?.[0];
+                            event.target.value = '';
+                            if (file) void upload(file);
+                        }}
+                    />
+                    {uploading && <span className="hint">Reading…</span>}
+                </div>
+                {resumable.map((entry) => (
+                    <div key={entry.id} className="list-row">
+                        <div className="row-body">
+                            {IMPORT_SOURCES[entry.sourceKind]} · {entry.sourceName}
+                            <div className="row-meta">
+                                {entry.status === 'failed'
+                                    ? `stopped at ${entry.progress.done}/${entry.progress.total} — ${entry.error || 'failed'}`
+                                    : entry.status === 'running' ? 'importing…' : `previewed ${whenLabel(entry.createdAt)}`}
+                            </div>
+                        </div>
+                        <button type="button" className="btn small" onClick={() => {
+                            setImportId(entry.id);
+                            if (entry.status === 'running') setWatching(true);
+                        }}>
+                            {entry.status === 'failed' ? 'Review' : 'Open'}
+                        </button>
+                    </div>
+                ))}
+            </div>
+        );
+    }
+
+    const data = current.data;
+    return (
+        <div className="list-card import-panel">
+            {current.isPending && <div className="empty">Loading…</div>}
+            {current.isError && <div className="empty">{(current.error as Error).message}</div>}
+            {data && item && (
+                <>
+                    <div className="list-row">
+                        <div className="row-body">
+                            <strong>{IMPORT_SOURCES[item.sourceKind]} · {item.sourceName}</strong>
+                            <div className="row-meta">
+                                {status === 'preview' && (
+                                    <>
+                                        {data.preview.notes - (data.preview.updates || 0)} new · {data.preview.updates || 0} updated
+                                        · {data.preview.tags} tags · {data.preview.links} links · {data.preview.skipped} skipped
+                                    </>
+                                )}
+                                {status === 'running' && <>Importing… {item.progress.done}/{item.progress.total}</>}
+                                {status === 'completed' && <>Imported — {describeImport(item)}</>}
+                                {status === 'failed' && <>Stopped at {item.progress.done}/{item.progress.total} — {item.error || 'failed'}</>}
+                            </div>
+                        </div>
+                        {status === 'running' && <progress max={item.progress.total || 1} value={item.progress.done} />}
+                        {(status === 'preview' || status === 'failed') && (
+                            <>
+                                <button type="button" className="btn small" disabled={busy || data.preview.notes === 0} onClick={() => start(item.id)}>
+                                    {status === 'failed' ? 'Resume' : 'Import'}
+                                </button>
+                                <button type="button" className="btn small" disabled={busy} onClick={() => discard(item.id)}>
+                                    Discard
+                                </button>
+                            </>
+                        )}
+                        {status !== 'running' && (
+                            <button type="button" className="btn small" onClick={() => { setImportId(null); setWatching(false); }}>
+                                Close
+                            </button>
+                        )}
+                    </div>
+                    {status === 'preview' && (
+                        <>
+                            {data.notes.map((note) => (
+                                <div key={note.path} className="list-row">
+                                    <div className="row-body">
+                                        <span className="dot" style={{ background: TYPE_COLOR_MAP[note.type] || '#888' }} />
+                                        {note.label} <span className="hint">{note.exists ? 'update' : 'new'}</span>
+                                        <div className="row-meta">
+                                            {note.path}
+                                            {note.tags.length > 0 ? ` · #${note.tags.join(' #')}` : ''}
+                                            {note.links.length > 0 ? ` · → ${note.links.join(', ')}` : ''}
+                                        </div>
+                                    </div>
+                                </div>
+                            ))}
+                            {data.notes.length < data.preview.notes && (
+                                <div className="empty">…and {data.preview.notes - data.notes.length} more</div>
+                            )}
+                            <HistoryList title="Skipped" items={data.skipped.map((file) => `${file.path} — ${file.note}`)} />
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
 function RetentionCard({ scope, onChanged }: { scope: string; onChanged: () => void }) {
     const toast = useToast();
     const confirm = useConfirm();
@@ -282,6 +729,71 @@ function RetentionCard({ scope, onChanged }: { scope: string; onChanged: () => v
     );
 }
 
+function formatBytes(bytes: number): string {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function DataExportCard() {
+    const toast = useToast();
+    const queryClient = useQueryClient();
+    const [busy, setBusy] = useState(false);
+    const exports = useQuery({
+        queryKey: keys.dataExports,
+        queryFn: () => api.dataExports() as Promise<{ exports: DataExport[] }>,
+        retry: false
+    });
+
+    async function run() {
+        setBusy(true);
+        try {
+            const created = await api.exportMyData() as CreatedExport;
+            toast(`Export ready: ${created.rowCount} rows and ${created.fileCount} files (${formatBytes(created.sizeBytes)}). The link works until ${whenLabel(created.expiresAt)}.`);
+            // The download is a plain navigation: the browser saves the ZIP
+            window.location.assign(created.url);
+        } catch (error) {
+            toast((error as Error).message, true);
+        } finally {
+            setBusy(false);
+            queryClient.invalidateQueries({ queryKey: keys.dataExports });
+        }
+    }
+
+    return (
+        <>
+            <div className="section-title">Download my data</div>
+            <div className="list-card">
+                <div className="list-row">
+                    <div className="row-body">
+                        <strong>Export everything</strong>
+                        <div className="row-meta">
+                            A ZIP of every row Goobster stores about you (JSON) plus your original files — Observatory
+                            workspaces, uploads, decks, ledger, tavern characters. Same as <code>/export-my-data</code>;
+                            the link expires after 24 hours and every download is logged.
+                        </div>
+                    </div>
+                    <button type="button" className="btn" disabled={busy} onClick={run}>
+                        {busy ? 'Packing…' : 'Download my data'}
+                    </button>
+                </div>
+                {exports.data?.exports.map((item) => (
+                    <div key={item.id} className="list-row">
+                        <div className="row-body">
+                            {whenLabel(item.createdAt)} · {item.rowCount} rows, {item.fileCount} files, {formatBytes(item.sizeBytes)}
+                            <div className="row-meta">
+                                via {item.via} · downloaded {item.downloadCount}× · {item.status === 'READY'
+                                    ? `link live until ${whenLabel(item.expiresAt)}`
+                                    : 'expired, archive deleted'}
+                            </div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </>
+    );
+}
+
 export function SpitballRoom() {
     const me = useMe();
     const toast = useToast();
@@ -291,6 +803,11 @@ export function SpitballRoom() {
     const [scopeId, setScopeId] = useState(scopes[0]?.id || '');
     const [tab, setTab] = useState<MemoryTab>('map');
     const [selectedNode, setSelectedNode] = useState<GraphNode | null>(null);
+    // Time travel: '' is now; otherwise the graph at the end of that day
+    const [asOf, setAsOf] = useState('');
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [historyFrom, setHistoryFrom] = useState(() => dayInput(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)));
+    const [importOpen, setImportOpen] = useState(false);
     const scope = scopes.find((s) => s.id === scopeId) || scopes[0] || null;
     const graphAvailable = Boolean(scope?.graphAvailable);
 
@@ -314,15 +831,34 @@ export function SpitballRoom() {
         enabled: tab === 'memories' && Boolean(scopeId)
     });
     const constellation = useQuery({
-        queryKey: keys.memory(scopeId, 'map'),
-        queryFn: () => api.constellation(scopeId) as Promise<ConstellationPayload>,
+        queryKey: [...keys.memory(scopeId, 'map'), asOf],
+        queryFn: () => api.constellation(scopeId, endOfDay(asOf)) as Promise<ConstellationPayload>,
         enabled: tab === 'map' && Boolean(scopeId)
     });
     const graph = useQuery({
-        queryKey: keys.memory(scopeId, 'graph'),
-        queryFn: () => api.graph(scopeId) as Promise<GraphPayload>,
+        queryKey: [...keys.memory(scopeId, 'graph'), asOf],
+        queryFn: () => api.graph(scopeId, endOfDay(asOf)) as Promise<GraphPayload>,
         enabled: tab === 'graph' && graphAvailable && Boolean(scopeId)
     });
+    const historyTarget = tab === 'graph' ? 'guild' : 'personal';
+    const history = useQuery({
+        queryKey: [...keys.memory(scopeId, `history-${historyTarget}`), historyFrom, asOf],
+        queryFn: () => api.graphHistory(scopeId, historyTarget, endOfDay(historyFrom)!, endOfDay(asOf)) as Promise<HistoryPayload>,
+        enabled: historyOpen && (tab === 'map' || tab === 'graph') && Boolean(scopeId)
+    });
+    const changes = useMemo(() => {
+        if (!historyOpen || !history.data) return null;
+        const map = new Map<string, string>();
+        for (const node of history.data.nodes.added) map.set(node.label.toLowerCase(), 'added');
+        for (const node of history.data.nodes.revised) map.set(node.label.toLowerCase(), 'revised');
+        return map;
+    }, [historyOpen, history.data]);
+
+    const refreshGraphs = useCallback(() => {
+        for (const key of ['map', 'graph', 'facts', 'history-personal', 'history-guild']) {
+            queryClient.invalidateQueries({ queryKey: keys.memory(scopeId, key) });
+        }
+    }, [queryClient, scopeId]);
 
     function changeTab(next: MemoryTab) {
         if (next === 'graph' && !graphAvailable) return;
@@ -389,9 +925,30 @@ export function SpitballRoom() {
                                         {(constellation.data.counts?.facts || 0)} facts · {(constellation.data.counts?.memories || 0)} memories
                                     </span>
                                     <ReflectControl scope={scopeId} target="personal" />
+                                    <button type="button" className="btn small" onClick={() => setImportOpen(!importOpen)}>
+                                        {importOpen ? 'Hide import' : 'Import notes'}
+                                    </button>
                                 </div>
+                                <TimeTravelBar
+                                    asOf={asOf}
+                                    onAsOf={setAsOf}
+                                    historyOpen={historyOpen}
+                                    onToggleHistory={() => setHistoryOpen(!historyOpen)}
+                                    historyStartsAt={constellation.data.historyStartsAt}
+                                />
+                                {importOpen && <ImportPanel key={`${scopeId}-personal`} scope={scopeId} target="personal" onImported={refreshGraphs} />}
+                                {historyOpen && (
+                                    <HistoryPanel
+                                        scope={scopeId}
+                                        target="personal"
+                                        history={history}
+                                        from={historyFrom}
+                                        onFrom={setHistoryFrom}
+                                        onRolledBack={refreshGraphs}
+                                    />
+                                )}
                                 <div className="graph-wrap">
-                                    <GraphCanvas data={constellation.data} onSelect={onSelectNode} />
+                                    <GraphCanvas data={constellation.data} changes={changes} onSelect={onSelectNode} />
                                     {(constellation.data.nodes?.length || 0) <= 1 && (
                                         <div className="empty">Not enough to map yet — talk in the Study.</div>
                                     )}
@@ -461,6 +1018,7 @@ export function SpitballRoom() {
                                         </div>
                                     </>
                                 )}
+                                <DataExportCard />
                                 {scope?.kind === 'dm' && (
                                     <RetentionCard
                                         scope={scopeId}
@@ -568,9 +1126,30 @@ export function SpitballRoom() {
                                         </span>
                                     ))}
                                     <ReflectControl scope={scopeId} target="guild" />
+                                    <button type="button" className="btn small" onClick={() => setImportOpen(!importOpen)}>
+                                        {importOpen ? 'Hide import' : 'Import notes'}
+                                    </button>
                                 </div>
+                                <TimeTravelBar
+                                    asOf={asOf}
+                                    onAsOf={setAsOf}
+                                    historyOpen={historyOpen}
+                                    onToggleHistory={() => setHistoryOpen(!historyOpen)}
+                                    historyStartsAt={graph.data.historyStartsAt}
+                                />
+                                {importOpen && <ImportPanel key={`${scopeId}-guild`} scope={scopeId} target="guild" onImported={refreshGraphs} />}
+                                {historyOpen && (
+                                    <HistoryPanel
+                                        scope={scopeId}
+                                        target="guild"
+                                        history={history}
+                                        from={historyFrom}
+                                        onFrom={setHistoryFrom}
+                                        onRolledBack={refreshGraphs}
+                                    />
+                                )}
                                 <div className="graph-wrap">
-                                    <GraphCanvas data={graph.data} onSelect={onSelectNode} />
+                                    <GraphCanvas data={graph.data} changes={changes} onSelect={onSelectNode} />
                                     {(graph.data.nodes?.length || 0) === 0 && (
                                         <div className="empty">This server graph is empty.</div>
                                     )}
@@ -0,0 +1,1383 @@
+import { useEffect, useMemo, useRef, useState, type ReactNode } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { api, ApiError } from '../lib/api';
+import { useMe } from '../hooks/useSession';
+import { useToast } from '../hooks/useToast';
+import { useConfirm } from '../hooks/useConfirm';
+import { MenuButton } from '../shell/MenuButton';
+
+const GUILD_KEY = 'goobster-tavern-guild';
+const LAYOUT_KEY = 'goobster-tavern-layout';
+// Validation and the sandbox replay wait for the author to pause typing
+const SETTLE_MS = 600;
+const NODE_W = 170;
+const NODE_H = 54;
+const COL_W = 230;
+const ROW_H = 84;
+
+type Effects = Record<string, unknown>;
+type Outcome = { text: string; effects?: Effects };
+type SceneOption = {
+    key: string; label: string; once?: boolean; text?: string; emoji?: string;
+    stat?: string; dc?: string | number; success?: Outcome; failure?: Outcome; bonus?: { item: string; value: number };
+    goto?: string; end?: string; effects?: Effects;
+};
+type Enemy = {
+    id: string; name: string; health: number; defense: string | number; damage: number; intents: string[];
+    onDefeat?: { text?: string; effects?: Effects };
+};
+type Scene = {
+    id: string; title: string; text: string; ambience?: string; options: SceneOption[];
+    freeform?: { success?: string; failure?: string; progressClock?: string; dangerClock?: string };
+    encounter?: { enemies: Enemy[]; onVictory?: { text?: string; effects?: Effects } };
+};
+type LoreEntry = { kind: string; name: string; text: string };
+type Ending = { id: string; title: string; text: string; trophy?: string; world?: LoreEntry[] };
+type Clock = { id: string; name: string; size: number; kind: string; onFull?: Effects };
+type Quest = {
+    id: string; title: string; hook: string; players: { min: number; max: number }; start: string;
+    requires?: string; tags?: string[]; clocks: Clock[];
+    scenes: Record<string, Scene>; endings: Record<string, Ending>;
+};
+
+type Vocabulary = {
+    stats: string[]; difficulty: Record<string, number>; npcs: Array<{ key: string; name: string }>;
+    effects: string[]; loreKinds: string[]; clockKinds: string[]; ambiences: string[]; moveTypes: string[];
+    limits: { optionsPerScene: number; clockSize: number; enemiesPerScene: number; enemyHealth: number; enemyDamage: number; playtestMoves: number };
+};
+type CampaignSummary = { id: string; title: string; source: 'built-in' | 'custom'; hidden: boolean; scenes: number; endings: number };
+type Finding = { severity: 'error' | 'warning' | 'info'; code: string; message: string; scene: string | null };
+type CheckResult = { valid: boolean; errors: string[]; lint: { findings: Finding[] } | null };
+
+type Move = { type: string; key?: string; text?: string; stat?: string; enemyId?: string; item?: string; roll?: number; seat?: number };
+type PlayState = {
+    status: string; sceneId: string | null; sceneTitle: string | null; sceneText: string | null; endingId: string | null;
+    clocks: Array<{ id: string; name: string; kind: string; size: number; value: number }>;
+    flags: Record<string, unknown>;
+    options: Array<{ key: string; label: string; kind: 'check' | 'travel'; stat: string | null; dc: number | null }>;
+    enemies: Array<{ id: string; name: string; health: number; maxHealth: number; intent: string }>;
+    spotlight: number | null;
+    party: Array<{ seat: number; name: string; health: number; maxHealth: number; spark: number; inventory: string[] }>;
+};
+type PlayFrame = {
+    index: number; move: Move | null; error: string | null; state: PlayState;
+    result: {
+        kind: string | null; actionLabel: string | null; outcomeText: string | null; stat: string | null;
+        dc: number | null; roll: number | null; total: number | null; success: boolean | null;
+        happenings: string[]; ended: { id: string; title: string | null } | null;
+    } | null;
+};
+type Transcript = { frames: PlayFrame[]; stoppedAt: number | null; partySize: number };
+
+type Selection = { kind: 'quest' } | { kind: 'scene'; id: string } | { kind: 'ending'; id: string };
+type Point = { x: number; y: number };
+
+function isBotOffline(error: unknown): boolean {
+    return error instanceof ApiError && (error.status === 503 || error.code === 'BOT_OFFLINE');
+}
+
+function errorText(error: unknown): string {
+    if (isBotOffline(error)) {
+        return 'Goobster is offline right now — the editor needs the Discord bot connected to check your permissions.';
+    }
+    return (error as Error).message || 'Request failed';
+}
+
+function slug(text: string): string {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function uniqueId(base: string, taken: Iterable<string>): string {
+    const used = new Set(taken);
+    if (!used.has(base)) return base;
+    let n = 2;
+    while (used.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+}
+
+/** Set a field, or drop it when the value is empty (the YAML stays tidy). */
+function setField<T extends object>(target: T, key: string, value: unknown): void {
+    const record = target as Record<string, unknown>;
+    if (value === undefined || value === null || value === '') delete record[key];
+    else record[key] = value;
+}
+
+function blankQuest(): Quest {
+    return {
+        id: 'new-campaign',
+        title: 'A New Campaign',
+        hook: 'Something stirs at the edge of town.',
+        players: { min: 1, max: 4 },
+        start: 'opening',
+        tags: [],
+        clocks: [],
+        scenes: {
+            opening: {
+                id: 'opening',
+                title: 'Opening',
+                text: 'The party gathers. Describe what they see.',
+                options: [{ key: 'onward', label: 'Press on', end: 'fin' }]
+            }
+        },
+        endings: { fin: { id: 'fin', title: 'The End', text: 'And that was that.' } }
+    };
+}
+
+/** Every effects block in the campaign, for reference rewrites on rename. */
+function effectBlocks(quest: Quest): Effects[] {
+    const blocks: Array<Effects | undefined> = quest.clocks.map((clock) => clock.onFull);
+    for (const scene of Object.values(quest.scenes)) {
+        for (const option of scene.options || []) {
+            blocks.push(option.effects, option.success?.effects, option.failure?.effects);
+        }
+        for (const enemy of scene.encounter?.enemies || []) blocks.push(enemy.onDefeat?.effects);
+        blocks.push(scene.encounter?.onVictory?.effects);
+    }
+    return blocks.filter((block): block is Effects => Boolean(block));
+}
+
+function renameScene(quest: Quest, from: string, to: string): void {
+    const scene = quest.scenes[from];
+    delete quest.scenes[from];
+    quest.scenes[to] = { ...scene, id: to };
+    if (quest.start === from) quest.start = to;
+    for (const s of Object.values(quest.scenes)) {
+        for (const option of s.options || []) if (option.goto === from) option.goto = to;
+    }
+    for (const block of effectBlocks(quest)) if (block.goto === from) block.goto = to;
+}
+
+function renameEnding(quest: Quest, from: string, to: string): void {
+    const ending = quest.endings[from];
+    delete quest.endings[from];
+    quest.endings[to] = { ...ending, id: to };
+    for (const s of Object.values(quest.scenes)) {
+        for (const option of s.options || []) if (option.end === from) option.end = to;
+    }
+    for (const block of effectBlocks(quest)) if (block.end === from) block.end = to;
+}
+
+function renameClock(quest: Quest, from: string, to: string): void {
+    for (const clock of quest.clocks) if (clock.id === from) clock.id = to;
+    for (const block of effectBlocks(quest)) {
+        const clock = block.clock as { id?: string } | undefined;
+        if (clock?.id === from) clock.id = to;
+    }
+    for (const scene of Object.values(quest.scenes)) {
+        if (scene.freeform?.progressClock === from) scene.freeform.progressClock = to;
+        if (scene.freeform?.dangerClock === from) scene.freeform.dangerClock = to;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// The story graph
+// ---------------------------------------------------------------------------
+
+type Edge = { from: string; to: string; kind: 'travel' | 'success' | 'failure' | 'effect' };
+
+function nodeOf(effects: Effects | undefined): string | null {
+    if (typeof effects?.goto === 'string') return `scene:${effects.goto}`;
+    if (typeof effects?.end === 'string') return `ending:${effects.end}`;
+    return null;
+}
+
+/** Scene -> scene/ending edges (and clock -> onFull target) as the engine can travel them. */
+function graphEdges(quest: Quest): Edge[] {
+    const edges: Edge[] = [];
+    const push = (from: string, to: string | null, kind: Edge['kind']) => { if (to) edges.push({ from, to, kind }); };
+    for (const clock of quest.clocks) push(`clock:${clock.id}`, nodeOf(clock.onFull), 'effect');
+    for (const scene of Object.values(quest.scenes)) {
+        const from = `scene:${scene.id}`;
+        for (const option of scene.options || []) {
+            push(from, nodeOf({ goto: option.goto, end: option.end }), 'travel');
+            push(from, nodeOf(option.success?.effects), 'success');
+            push(from, nodeOf(option.failure?.effects), 'failure');
+        }
+        for (const enemy of scene.encounter?.enemies || []) push(from, nodeOf(enemy.onDefeat?.effects), 'effect');
+        push(from, nodeOf(scene.encounter?.onVictory?.effects), 'effect');
+    }
+    return edges;
+}
+
+/** Columns by distance from the start scene; endings in the last column. */
+function autoLayout(quest: Quest, edges: Edge[]): Record<string, Point> {
+    const depth = new Map<string, number>();
+    const queue = [`scene:${quest.start}`, ...quest.clocks.filter((c) => nodeOf(c.onFull)).map((c) => `clock:${c.id}`)];
+    for (const id of queue) depth.set(id, 0);
+    while (queue.length > 0) {
+        const id = queue.shift() as string;
+        for (const edge of edges) {
+            if (edge.from !== id || depth.has(edge.to) || edge.to.startsWith('ending:')) continue;
+            depth.set(edge.to, (depth.get(id) ?? 0) + 1);
+            queue.push(edge.to);
+        }
+    }
+    const reached = Math.max(0, ...[...depth.values()]);
+    const columns: string[][] = [];
+    const place = (id: string, column: number) => { (columns[column] ||= []).push(id); };
+    for (const clock of quest.clocks) if (depth.has(`clock:${clock.id}`)) place(`clock:${clock.id}`, 0);
+    for (const id of Object.keys(quest.scenes)) place(`scene:${id}`, depth.get(`scene:${id}`) ?? reached + 1);
+    const endingColumn = columns.length;
+    for (const id of Object.keys(quest.endings)) place(`ending:${id}`, endingColumn);
+
+    const positions: Record<string, Point> = {};
+    columns.forEach((column, x) => (column || []).forEach((id, y) => { positions[id] = { x: x * COL_W, y: y * ROW_H }; }));
+    return positions;
+}
+
+function loadLayout(questId: string): Record<string, Point> {
+    try {
+        return JSON.parse(localStorage.getItem(`${LAYOUT_KEY}:${questId}`) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function StoryGraph({
+    quest, selection, flagged, onSelect, onLink
+}: {
+    quest: Quest;
+    selection: Selection;
+    flagged: Map<string, Finding['severity']>;
+    onSelect: (selection: Selection) => void;
+    onLink: (fromScene: string, toNode: string) => void;
+}) {
+    const svgRef = useRef<SVGSVGElement>(null);
+    const [moved, setMoved] = useState<Record<string, Point>>(() => loadLayout(quest.id));
+    const [drag, setDrag] = useState<{ id: string; offset: Point; box: string; travelled: boolean } | null>(null);
+    const [link, setLink] = useState<{ from: string; at: Point; box: string } | null>(null);
+
+    useEffect(() => { setMoved(loadLayout(quest.id)); }, [quest.id]);
+
+    const edges = useMemo(() => graphEdges(quest), [quest]);
+    const positions = useMemo(() => ({ ...autoLayout(quest, edges), ...moved }), [quest, edges, moved]);
+    const nodes = Object.keys(positions).filter((id) => {
+        const [kind, key] = id.split(/:(.*)/s);
+        if (kind === 'scene') return Boolean(quest.scenes[key]);
+        if (kind === 'ending') return Boolean(quest.endings[key]);
+        return quest.clocks.some((c) => c.id === key && nodeOf(c.onFull));
+    });
+
+    const bounds = nodes.reduce((box, id) => ({
+        minX: Math.min(box.minX, positions[id].x), minY: Math.min(box.minY, positions[id].y),
+        maxX: Math.max(box.maxX, positions[id].x + NODE_W), maxY: Math.max(box.maxY, positions[id].y + NODE_H)
+    }), { minX: 0, minY: 0, maxX: NODE_W, maxY: NODE_H });
+    // The view box is frozen while dragging so the canvas does not slide under the pointer
+    const liveBox = `${bounds.minX - 30} ${bounds.minY - 30} ${bounds.maxX - bounds.minX + 60} ${bounds.maxY - bounds.minY + 60}`;
+    const viewBox = drag?.box || link?.box || liveBox;
+
+    function toSvg(event: { clientX: number; clientY: number }): Point {
+        const svg = svgRef.current;
+        const matrix = svg?.getScreenCTM();
+        if (!svg || !matrix) return { x: 0, y: 0 };
+        const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix.inverse());
+        return { x: point.x, y: point.y };
+    }
+
+    function nodeAt(point: Point): string | null {
+        return nodes.find((id) => point.x >= positions[id].x && point.x <= positions[id].x + NODE_W
+            && point.y >= positions[id].y && point.y <= positions[id].y + NODE_H) || null;
+    }
+
+    function persist(next: Record<string, Point>) {
+        setMoved(next);
+        try { localStorage.setItem(`${LAYOUT_KEY}:${quest.id}`, JSON.stringify(next)); } catch { /* private mode */ }
+    }
+
+    function onPointerMove(event: React.PointerEvent<SVGSVGElement>) {
+        const point = toSvg(event);
+        if (drag) {
+            setMoved((current) => ({ ...current, [drag.id]: { x: point.x - drag.offset.x, y: point.y - drag.offset.y } }));
+            if (!drag.travelled) setDrag({ ...drag, travelled: true });
+        } else if (link) {
+            setLink({ ...link, at: point });
+        }
+    }
+
+    function onPointerUp(event: React.PointerEvent<SVGSVGElement>) {
+        if (drag) {
+            const [kind, key] = drag.id.split(/:(.*)/s);
+            if (drag.travelled) persist(moved);
+            else if (kind === 'scene' || kind === 'ending') onSelect({ kind, id: key });
+            setDrag(null);
+        } else if (link) {
+            const target = nodeAt(toSvg(event));
+            if (target && !target.startsWith('clock:')) onLink(link.from, target);
+            setLink(null);
+        }
+    }
+
+    const center = (id: string, side: 'in' | 'out'): Point => ({
+        x: positions[id].x + (side === 'out' ? NODE_W : 0),
+        y: positions[id].y + NODE_H / 2
+    });
+
+    return (
+        <div className="tv-graph">
+            <svg
+                ref={svgRef}
+                viewBox={viewBox}
+                onPointerMove={onPointerMove}
+                onPointerUp={onPointerUp}
+                onPointerLeave={() => { setDrag(null); setLink(null); }}
+                aria-label="Story graph"
+            >
+                <defs>
+                    <marker id="tv-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" className="tv-arrow" />
+                    </marker>
+                </defs>
+                {edges.filter((edge) => positions[edge.from] && positions[edge.to]).map((edge, i) => {
+                    const a = center(edge.from, 'out');
+                    const b = center(edge.to, 'in');
+                    const d = edge.from === edge.to
+                        ? `M ${a.x} ${a.y} C ${a.x + 50} ${a.y - 60}, ${b.x - 50} ${b.y - 60}, ${b.x} ${b.y}`
+                        : `M ${a.x} ${a.y} C ${a.x + 60} ${a.y}, ${b.x - 60} ${b.y}, ${b.x} ${b.y}`;
+                    return <path key={i} d={d} className={`tv-edge ${edge.kind}`} markerEnd="url(#tv-arrow)" />;
+                })}
+                {link && positions[`scene:${link.from}`] && (() => {
+                    const a = center(`scene:${link.from}`, 'out');
+                    return <path d={`M ${a.x} ${a.y} L ${link.at.x} ${link.at.y}`} className="tv-edge linking" />;
+                })()}
+                {nodes.map((id) => {
+                    const [kind, key] = id.split(/:(.*)/s);
+                    const { x, y } = positions[id];
+                    const title = kind === 'scene' ? quest.scenes[key].title
+                        : kind === 'ending' ? quest.endings[key].title
+                            : quest.clocks.find((c) => c.id === key)?.name;
+                    const selected = selection.kind === kind && 'id' in selection && selection.id === key;
+                    const classes = ['tv-node', kind, selected ? 'selected' : '', quest.start === key && kind === 'scene' ? 'start' : '',
+                        kind === 'scene' ? flagged.get(key) || '' : ''].filter(Boolean).join(' ');
+                    return (
+                        <g
+                            key={id}
+                            className={classes}
+                            transform={`translate(${x} ${y})`}
+                            onPointerDown={(event) => {
+                                const point = toSvg(event);
+                                setDrag({ id, offset: { x: point.x - x, y: point.y - y }, box: liveBox, travelled: false });
+                            }}
+                        >
+                            <rect width={NODE_W} height={NODE_H} rx={kind === 'ending' ? 22 : 8} />
+                            <text x={12} y={22} className="tv-node-title">{String(title || key).slice(0, 22)}</text>
+                            <text x={12} y={40} className="tv-node-id">{kind === 'clock' ? `⏱ ${key}` : key}</text>
+                            {kind === 'scene' && (
+                                <circle
+                                    cx={NODE_W}
+                                    cy={NODE_H / 2}
+                                    r={7}
+                                    className="tv-handle"
+                                    onPointerDown={(event) => {
+                                        event.stopPropagation();
+                                        setLink({ from: key, at: toSvg(event), box: liveBox });
+                                    }}
+                                >
+                                    <title>Drag onto a scene or ending to add a travel option</title>
+                                </circle>
+                            )}
+                        </g>
+                    );
+                })}
+            </svg>
+            <div className="hint">
+                Drag nodes to arrange them; drag a scene's handle onto another node to add a travel option.
+                Green edges are successes, red failures, dashed ones effects.{' '}
+                {Object.keys(moved).length > 0 && (
+                    <button type="button" className="btn small subtle" onClick={() => persist({})}>Reset layout</button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Forms - every choice is limited to the loader's vocabulary
+// ---------------------------------------------------------------------------
+
+function Field({ label, children, wide = false }: { label: string; children: ReactNode; wide?: boolean }) {
+    return <label className={`tv-field${wide ? ' wide' : ''}`}><span>{label}</span>{children}</label>;
+}
+
+function NumberInput({ value, onChange, min, max }: { value: number | undefined; onChange: (value: number | undefined) => void; min?: number; max?: number }) {
+    return (
+        <input
+            className="input"
+            type="number"
+            value={value ?? ''}
+            min={min}
+            max={max}
+            step={1}
+            onChange={(e) => onChange(e.target.value === '' ? undefined : Math.trunc(Number(e.target.value)))}
+        />
+    );
+}
+
+/** An id field that commits on blur/Enter, so a rename rewrites references once. */
+function IdField({ label, value, onCommit }: { label: string; value: string; onCommit: (next: string) => void }) {
+    const [text, setText] = useState(value);
+    useEffect(() => { setText(value); }, [value]);
+    const commit = () => {
+        const next = slug(text);
+        if (next && next !== value) onCommit(next);
+        else setText(value);
+    };
+    return (
+        <Field label={label}>
+            <input
+                className="input tv-mono"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onBlur={commit}
+                onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+            />
+        </Field>
+    );
+}
+
+function Target({ quest, value, onChange }: { quest: Quest; value: string; onChange: (value: string) => void }) {
+    return (
+        <select className="select" value={value} onChange={(e) => onChange(e.target.value)}>
+            <optgroup label="Scenes">
+                {Object.values(quest.scenes).map((scene) => <option key={scene.id} value={`scene:${scene.id}`}>{scene.title || scene.id}</option>)}
+            </optgroup>
+            <optgroup label="Endings">
+                {Object.values(quest.endings).map((ending) => <option key={ending.id} value={`ending:${ending.id}`}>🏁 {ending.title || ending.id}</option>)}
+            </optgroup>
+        </select>
+    );
+}
+
+function defaultEffect(key: string, quest: Quest, vocab: Vocabulary): unknown {
+    switch (key) {
+        case 'clock': return { id: quest.clocks[0]?.id ?? '', delta: 1 };
+        case 'goto': return Object.keys(quest.scenes)[0] ?? '';
+        case 'end': return Object.keys(quest.endings)[0] ?? '';
+        case 'item': return 'a useful thing';
+        case 'flag': return { key: 'something-happened', value: true };
+        case 'npc': return { key: vocab.npcs[0]?.key ?? '', delta: 1 };
+        default: return 1;
+    }
+}
+
+function parseScalar(text: string): unknown {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text.trim() !== '' && !Number.isNaN(Number(text))) return Number(text);
+    return text;
+}
+
+function EffectsEditor({
+    effects, onChange, quest, vocab, travel = false
+}: {
+    effects: Effects | undefined;
+    onChange: (next: Effects | undefined) => void;
+    quest: Quest;
+    vocab: Vocabulary;
+    travel?: boolean;
+}) {
+    const current = effects || {};
+    // A travel option already travels - its effects may not hop again
+    const offered = vocab.effects.filter((key) => !(key in current) && !(travel && (key === 'goto' || key === 'end')));
+    const update = (key: string, value: unknown) => {
+        const next: Effects = { ...current };
+        setField(next, key, value);
+        onChange(Object.keys(next).length > 0 ? next : undefined);
+    };
+
+    return (
+        <div className="tv-effects">
+            {Object.entries(current).map(([key, value]) => {
+                const pair = (value || {}) as { id?: string; key?: string; delta?: number; value?: unknown };
+                let editor: ReactNode;
+                if (key === 'clock') {
+                    editor = (
+                        <>
+                            <select className="select" value={pair.id ?? ''} onChange={(e) => update('clock', { ...pair, id: e.target.value })}>
+                                {quest.clocks.length === 0 && <option value="">(declare a clock first)</option>}
+                                {quest.clocks.map((clock) => <option key={clock.id} value={clock.id}>{clock.name || clock.id}</option>)}
+                            </select>
+                            <NumberInput value={pair.delta} onChange={(delta) => update('clock', { ...pair, delta })} />
+                        </>
+                    );
+                } else if (key === 'npc') {
+                    editor = (
+                        <>
+                            <select className="select" value={pair.key ?? ''} onChange={(e) => update('npc', { ...pair, key: e.target.value })}>
+                                {vocab.npcs.map((npc) => <option key={npc.key} value={npc.key}>{npc.name}</option>)}
+                            </select>
+                            <NumberInput value={pair.delta} onChange={(delta) => update('npc', { ...pair, delta })} />
+                        </>
+                    );
+                } else if (key === 'flag') {
+                    editor = (
+                        <>
+                            <input className="input tv-mono" value={pair.key ?? ''} placeholder="flag" onChange={(e) => update('flag', { ...pair, key: e.target.value })} />
+                            <input className="input" value={String(pair.value ?? '')} placeholder="value" onChange={(e) => update('flag', { ...pair, value: parseScalar(e.target.value) })} />
+                        </>
+                    );
+                } else if (key === 'goto' || key === 'end') {
+                    editor = (
+                        <Target
+                            quest={quest}
+                            value={`${key === 'goto' ? 'scene' : 'ending'}:${String(value)}`}
+                            onChange={(target) => {
+                                const [kind, id] = target.split(/:(.*)/s);
+                                const next: Effects = { ...current };
+                                delete next.goto;
+                                delete next.end;
+                                next[kind === 'scene' ? 'goto' : 'end'] = id;
+                                onChange(next);
+                            }}
+                        />
+                    );
+                } else if (key === 'item') {
+                    editor = <input className="input" value={String(value ?? '')} onChange={(e) => update('item', e.target.value || ' ')} />;
+                } else {
+                    editor = <NumberInput value={value as number | undefined} min={0} onChange={(n) => update(key, n ?? 0)} />;
+                }
+                return (
+                    <div key={key} className="tv-effect">
+                        <span className="badge">{key}</span>
+                        {editor}
+                        <button type="button" className="btn small subtle" aria-label={`Remove ${key}`} onClick={() => update(key, undefined)}>✕</button>
+                    </div>
+                );
+            })}
+            {offered.length > 0 && (
+                <select
+                    className="select tv-add"
+                    value=""
+                    onChange={(e) => {
+                        if (!e.target.value) return;
+                        // goto and end exclude each other; picking one replaces the other
+                        const next: Effects = { ...current };
+                        if (e.target.value === 'goto') delete next.end;
+                        if (e.target.value === 'end') delete next.goto;
+                        next[e.target.value] = defaultEffect(e.target.value, quest, vocab);
+                        onChange(next);
+                    }}
+                >
+                    <option value="">+ effect…</option>
+                    {offered.map((key) => <option key={key} value={key}>{key}</option>)}
+                </select>
+            )}
+        </div>
+    );
+}
+
+function DcInput({ value, onChange, vocab }: { value: string | number | undefined; onChange: (value: string | number) => void; vocab: Vocabulary }) {
+    const band = typeof value === 'string' ? value : '#';
+    return (
+        <span className="tv-inline">
+            <select className="select" value={band} onChange={(e) => onChange(e.target.value === '#' ? 12 : e.target.value)}>
+                {Object.entries(vocab.difficulty).map(([name, dc]) => <option key={name} value={name}>{name} ({dc})</option>)}
+                <option value="#">exact DC…</option>
+            </select>
+            {band === '#' && <NumberInput value={typeof value === 'number' ? value : undefined} min={2} max={30} onChange={(n) => onChange(n ?? 12)} />}
+        </span>
+    );
+}
+
+function OptionEditor({
+    option, onChange, onRemove, quest, vocab
+}: {
+    option: SceneOption;
+    onChange: (mutate: (option: SceneOption) => void) => void;
+    onRemove: () => void;
+    quest: Quest;
+    vocab: Vocabulary;
+}) {
+    const isCheck = option.stat !== undefined;
+    const defaultBand = 'challenging' in vocab.difficulty ? 'challenging' : Object.keys(vocab.difficulty)[0];
+
+    function switchKind(check: boolean) {
+        onChange((o) => {
+            if (check) {
+                for (const key of ['goto', 'end', 'effects', 'text']) delete (o as Record<string, unknown>)[key];
+                o.stat = vocab.stats[0];
+                o.dc = defaultBand;
+                o.success = { text: 'It works.' };
+                o.failure = { text: 'It does not.' };
+            } else {
+                for (const key of ['stat', 'dc', 'success', 'failure', 'bonus']) delete (o as Record<string, unknown>)[key];
+                o.goto = Object.keys(quest.scenes)[0];
+            }
+        });
+    }
+
+    return (
+        <div className="tv-option">
+            <div className="tv-row">
+                <Field label="Key"><input className="input tv-mono" value={option.key} onChange={(e) => onChange((o) => { o.key = slug(e.target.value) || e.target.value; })} /></Field>
+                <Field label="Label" wide><input className="input" value={option.label || ''} onChange={(e) => onChange((o) => { o.label = e.target.value; })} /></Field>
+                <Field label="Kind">
+                    <select className="select" value={isCheck ? 'check' : 'travel'} onChange={(e) => switchKind(e.target.value === 'check')}>
+                        <option value="check">d20 check</option>
+                        <option value="travel">travel</option>
+                    </select>
+                </Field>
+                <label className="tv-check"><input type="checkbox" checked={Boolean(option.once)} onChange={(e) => onChange((o) => setField(o, 'once', e.target.checked || undefined))} /> once</label>
+                <button type="button" className="btn small danger" onClick={onRemove}>Remove</button>
+            </div>
+            {isCheck ? (
+                <>
+                    <div className="tv-row">
+                        <Field label="Stat">
+                            <select className="select" value={option.stat} onChange={(e) => onChange((o) => { o.stat = e.target.value; })}>
+                                {vocab.stats.map((stat) => <option key={stat} value={stat}>{stat}</option>)}
+                            </select>
+                        </Field>
+                        <Field label="DC"><DcInput value={option.dc} vocab={vocab} onChange={(dc) => onChange((o) => { o.dc = dc; })} /></Field>
+                        <Field label="Bonus item">
+                            <input className="input" value={option.bonus?.item ?? ''} placeholder="(none)" onChange={(e) => onChange((o) => setField(o, 'bonus', e.target.value ? { item: e.target.value, value: o.bonus?.value ?? 2 } : undefined))} />
+                        </Field>
+                        {option.bonus && (
+                            <Field label="Bonus">
+                                <NumberInput value={option.bonus.value} onChange={(value) => onChange((o) => { if (o.bonus) o.bonus.value = value ?? 0; })} />
+                            </Field>
+                        )}
+                    </div>
+                    {(['success', 'failure'] as const).map((branch) => (
+                        <div key={branch} className={`tv-branch ${branch}`}>
+                            <Field label={branch === 'success' ? 'On success' : 'On failure'} wide>
+                                <textarea className="input" rows={2} value={option[branch]?.text ?? ''} onChange={(e) => onChange((o) => { o[branch] = { ...o[branch], text: e.target.value }; })} />
+                            </Field>
+                            <EffectsEditor
+                                effects={option[branch]?.effects}
+                                quest={quest}
+                                vocab={vocab}
+                                onChange={(effects) => onChange((o) => { const outcome = { text: o[branch]?.text ?? '' }; setField(outcome, 'effects', effects); o[branch] = outcome; })}
+                            />
+                        </div>
+                    ))}
+                </>
+            ) : (
+                <>
+                    <div className="tv-row">
+                        <Field label="Goes to">
+                            <Target
+                                quest={quest}
+                                value={option.end !== undefined ? `ending:${option.end}` : `scene:${option.goto ?? ''}`}
+                                onChange={(target) => onChange((o) => {
+                                    const [kind, id] = target.split(/:(.*)/s);
+                                    delete o.goto;
+                                    delete o.end;
+                                    if (kind === 'scene') o.goto = id;
+                                    else o.end = id;
+                                })}
+                            />
+                        </Field>
+                        <Field label="Text (optional)" wide>
+                            <input className="input" value={option.text ?? ''} onChange={(e) => onChange((o) => setField(o, 'text', e.target.value))} />
+                        </Field>
+                    </div>
+                    <EffectsEditor effects={option.effects} quest={quest} vocab={vocab} travel onChange={(effects) => onChange((o) => setField(o, 'effects', effects))} />
+                </>
+            )}
+        </div>
+    );
+}
+
+function SceneEditor({
+    scene, quest, vocab, edit, findings, onRename, onDelete
+}: {
+    scene: Scene;
+    quest: Quest;
+    vocab: Vocabulary;
+    edit: (mutate: (scene: Scene, quest: Quest) => void) => void;
+    findings: Finding[];
+    onRename: (next: string) => void;
+    onDelete: () => void;
+}) {
+    const options = scene.options || [];
+    const danger = quest.clocks.filter((c) => c.kind === 'danger');
+    const progress = quest.clocks.filter((c) => c.kind === 'progress');
+    const enemies = scene.encounter?.enemies || [];
+
+    return (
+        <div className="tv-form">
+            <div className="tv-row">
+                <IdField label="Scene id" value={scene.id} onCommit={onRename} />
+                <Field label="Title" wide><input className="input" value={scene.title || ''} onChange={(e) => edit((s) => { s.title = e.target.value; })} /></Field>
+                {quest.start === scene.id
+                    ? <span className="badge">start scene</span>
+                    : <button type="button" className="btn small" onClick={() => edit((s, q) => { q.start = s.id; })}>Make start</button>}
+                <button type="button" className="btn small danger" onClick={onDelete}>Delete scene</button>
+            </div>
+            <Field label="Scene text" wide>
+                <textarea className="input" rows={4} value={scene.text || ''} onChange={(e) => edit((s) => { s.text = e.target.value; })} />
+            </Field>
+            <Field label="Ambience (narrated tables)">
+                <select className="input" value={scene.ambience || ''} onChange={(e) => edit((s) => { if (e.target.value) s.ambience = e.target.value; else delete s.ambience; })}>
+                    <option value="">none</option>
+                    {vocab.ambiences.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+                </select>
+            </Field>
+            {findings.length > 0 && (
+                <ul className="tv-findings">
+                    {findings.map((finding, i) => <li key={i} className={finding.severity}><code>{finding.code}</code> {finding.message}</li>)}
+                </ul>
+            )}
+
+            <div className="section-title">Options <span className="hint-inline">{options.length}/{vocab.limits.optionsPerScene}</span></div>
+            {options.map((option, i) => (
+                <OptionEditor
+                    key={i}
+                    option={option}
+                    quest={quest}
+                    vocab={vocab}
+                    onChange={(mutate) => edit((s) => mutate(s.options[i]))}
+                    onRemove={() => edit((s) => { s.options.splice(i, 1); })}
+                />
+            ))}
+            {options.length < vocab.limits.optionsPerScene && (
+                <button
+                    type="button"
+                    className="btn small"
+                    onClick={() => edit((s) => {
+                        s.options = [...(s.options || []), {
+                            key: uniqueId('option', (s.options || []).map((o) => o.key)),
+                            label: 'Try something',
+                            stat: vocab.stats[0],
+                            dc: 'challenging' in vocab.difficulty ? 'challenging' : Object.keys(vocab.difficulty)[0],
+                            success: { text: 'It works.' },
+                            failure: { text: 'It does not.' }
+                        }];
+                    })}
+                >
+                    + Option
+                </button>
+            )}
+
+            <div className="section-title">Freeform actions</div>
+            <div className="hint">Anything players type outside the options ticks a progress clock on success and a danger clock on failure.</div>
+            <div className="tv-row">
+                <Field label="Progress clock">
+                    <select className="select" value={scene.freeform?.progressClock ?? ''} onChange={(e) => edit((s) => { s.freeform = { ...s.freeform }; setField(s.freeform, 'progressClock', e.target.value); })}>
+                        <option value="">(first progress clock)</option>
+                        {progress.map((clock) => <option key={clock.id} value={clock.id}>{clock.name}</option>)}
+                    </select>
+                </Field>
+                <Field label="Danger clock">
+                    <select className="select" value={scene.freeform?.dangerClock ?? ''} onChange={(e) => edit((s) => { s.freeform = { ...s.freeform }; setField(s.freeform, 'dangerClock', e.target.value); })}>
+                        <option value="">(first danger clock)</option>
+                        {danger.map((clock) => <option key={clock.id} value={clock.id}>{clock.name}</option>)}
+                    </select>
+                </Field>
+            </div>
+            {(['success', 'failure'] as const).map((branch) => (
+                <Field key={branch} label={`Freeform ${branch} text`} wide>
+                    <input className="input" value={scene.freeform?.[branch] ?? ''} onChange={(e) => edit((s) => { s.freeform = { ...s.freeform }; setField(s.freeform, branch, e.target.value); })} />
+                </Field>
+            ))}
+
+            <div className="section-title">Encounter <span className="hint-inline">{enemies.length}/{vocab.limits.enemiesPerScene} enemies</span></div>
+            {enemies.map((enemy, i) => {
+                const editEnemy = (mutate: (enemy: Enemy) => void) => edit((s) => { if (s.encounter) mutate(s.encounter.enemies[i]); });
+                return (
+                    <div key={i} className="tv-option">
+                        <div className="tv-row">
+                            <Field label="Id"><input className="input tv-mono" value={enemy.id} onChange={(e) => editEnemy((en) => { en.id = slug(e.target.value) || e.target.value; })} /></Field>
+                            <Field label="Name" wide><input className="input" value={enemy.name || ''} onChange={(e) => editEnemy((en) => { en.name = e.target.value; })} /></Field>
+                            <Field label="Health"><NumberInput value={enemy.health} min={1} max={vocab.limits.enemyHealth} onChange={(n) => editEnemy((en) => { en.health = n ?? 1; })} /></Field>
+                            <Field label="Damage"><NumberInput value={enemy.damage} min={0} max={vocab.limits.enemyDamage} onChange={(n) => editEnemy((en) => { en.damage = n ?? 0; })} /></Field>
+                            <Field label="Defense"><DcInput value={enemy.defense} vocab={vocab} onChange={(dc) => editEnemy((en) => { en.defense = dc; })} /></Field>
+                            <button type="button" className="btn small danger" onClick={() => edit((s) => {
+                                s.encounter?.enemies.splice(i, 1);
+                                if (s.encounter && s.encounter.enemies.length === 0) delete s.encounter;
+                            })}>Remove</button>
+                        </div>
+                        <Field label="Telegraphed intents (one per line, cycled each round)" wide>
+                            <textarea className="input" rows={2} value={(enemy.intents || []).join('\n')} onChange={(e) => editEnemy((en) => { en.intents = e.target.value.split('\n'); })} />
+                        </Field>
+                        <Field label="On defeat (text)" wide>
+                            <input className="input" value={enemy.onDefeat?.text ?? ''} onChange={(e) => editEnemy((en) => { en.onDefeat = { ...en.onDefeat }; setField(en.onDefeat, 'text', e.target.value); })} />
+                        </Field>
+                        <EffectsEditor
+                            effects={enemy.onDefeat?.effects}
+                            quest={quest}
+                            vocab={vocab}
+                            onChange={(effects) => editEnemy((en) => { en.onDefeat = { ...en.onDefeat }; setField(en.onDefeat, 'effects', effects); })}
+                        />
+                    </div>
+                );
+            })}
+            {enemies.length < vocab.limits.enemiesPerScene && (
+                <button
+                    type="button"
+                    className="btn small"
+                    onClick={() => edit((s) => {
+                        const encounter = s.encounter || { enemies: [] };
+                        encounter.enemies = [...encounter.enemies, {
+                            id: uniqueId('foe', encounter.enemies.map((e) => e.id)), name: 'A Foe',
+                            health: 4, defense: 'challenging' in vocab.difficulty ? 'challenging' : 12, damage: 1,
+                            intents: ['winds up a wild swing']
+                        }];
+                        s.encounter = encounter;
+                    })}
+                >
+                    + Enemy
+                </button>
+            )}
+            {scene.encounter && (
+                <div className="tv-branch">
+                    <Field label="On victory (text)" wide>
+                        <input className="input" value={scene.encounter.onVictory?.text ?? ''} onChange={(e) => edit((s) => { if (!s.encounter) return; s.encounter.onVictory = { ...s.encounter.onVictory }; setField(s.encounter.onVictory, 'text', e.target.value); })} />
+                    </Field>
+                    <EffectsEditor
+                        effects={scene.encounter.onVictory?.effects}
+                        quest={quest}
+                        vocab={vocab}
+                        onChange={(effects) => edit((s) => { if (!s.encounter) return; s.encounter.onVictory = { ...s.encounter.onVictory }; setField(s.encounter.onVictory, 'effects', effects); })}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
+
+function EndingEditor({
+    ending, vocab, edit, onRename, onDelete
+}: {
+    ending: Ending;
+    vocab: Vocabulary;
+    edit: (mutate: (ending: Ending) => void) => void;
+    onRename: (next: string) => void;
+    onDelete: () => void;
+}) {
+    return (
+        <div className="tv-form">
+            <div className="tv-row">
+                <IdField label="Ending id" value={ending.id} onCommit={onRename} />
+                <Field label="Title" wide><input className="input" value={ending.title || ''} onChange={(e) => edit((en) => { en.title = e.target.value; })} /></Field>
+                <button type="button" className="btn small danger" onClick={onDelete}>Delete ending</button>
+            </div>
+            <Field label="Ending text" wide>
+                <textarea className="input" rows={4} value={ending.text || ''} onChange={(e) => edit((en) => { en.text = e.target.value; })} />
+            </Field>
+            <Field label="Trophy (an item every member keeps)" wide>
+                <input className="input" value={ending.trophy ?? ''} onChange={(e) => edit((en) => setField(en, 'trophy', e.target.value))} />
+            </Field>
+            <div className="section-title">World lore <span className="hint-inline">recorded into the server's world when this ending lands</span></div>
+            {(ending.world || []).map((entry, i) => (
+                <div key={i} className="tv-row">
+                    <Field label="Kind">
+                        <select className="select" value={entry.kind} onChange={(e) => edit((en) => { if (en.world) en.world[i].kind = e.target.value; })}>
+                            {vocab.loreKinds.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+                        </select>
+                    </Field>
+                    <Field label="Name"><input className="input" value={entry.name} onChange={(e) => edit((en) => { if (en.world) en.world[i].name = e.target.value; })} /></Field>
+                    <Field label="Text" wide><input className="input" value={entry.text} onChange={(e) => edit((en) => { if (en.world) en.world[i].text = e.target.value; })} /></Field>
+                    <button type="button" className="btn small subtle" aria-label="Remove lore" onClick={() => edit((en) => {
+                        en.world?.splice(i, 1);
+                        if (en.world?.length === 0) delete en.world;
+                    })}>✕</button>
+                </div>
+            ))}
+            <button type="button" className="btn small" onClick={() => edit((en) => { en.world = [...(en.world || []), { kind: vocab.loreKinds[0], name: '', text: '' }]; })}>
+                + Lore entry
+            </button>
+        </div>
+    );
+}
+
+function QuestEditor({ quest, vocab, edit }: { quest: Quest; vocab: Vocabulary; edit: (mutate: (quest: Quest) => void) => void }) {
+    return (
+        <div className="tv-form">
+            <div className="tv-row">
+                <IdField label="Campaign id" value={quest.id} onCommit={(next) => edit((q) => { q.id = next; })} />
+                <Field label="Title" wide><input className="input" value={quest.title || ''} onChange={(e) => edit((q) => { q.title = e.target.value; })} /></Field>
+            </div>
+            <Field label="Hook (the quest board pitch)" wide>
+                <textarea className="input" rows={2} value={quest.hook || ''} onChange={(e) => edit((q) => { q.hook = e.target.value; })} />
+            </Field>
+            <div className="tv-row">
+                <Field label="Min players"><NumberInput value={quest.players?.min} min={1} onChange={(n) => edit((q) => { q.players = { ...q.players, min: n ?? 1 }; })} /></Field>
+                <Field label="Max players"><NumberInput value={quest.players?.max} min={1} onChange={(n) => edit((q) => { q.players = { ...q.players, max: n ?? 1 }; })} /></Field>
+                <Field label="Start scene">
+                    <select className="select" value={quest.start} onChange={(e) => edit((q) => { q.start = e.target.value; })}>
+                        {Object.values(quest.scenes).map((scene) => <option key={scene.id} value={scene.id}>{scene.title || scene.id}</option>)}
+                    </select>
+                </Field>
+                <Field label="Requires (chapter gate)">
+                    <input className="input tv-mono" value={quest.requires ?? ''} placeholder="(none)" onChange={(e) => edit((q) => setField(q, 'requires', slug(e.target.value)))} />
+                </Field>
+            </div>
+
+            <div className="section-title">Clocks</div>
+            {quest.clocks.map((clock, i) => (
+                <div key={i} className="tv-option">
+                    <div className="tv-row">
+                        <IdField label="Id" value={clock.id} onCommit={(next) => edit((q) => renameClock(q, clock.id, next))} />
+                        <Field label="Name" wide><input className="input" value={clock.name || ''} onChange={(e) => edit((q) => { q.clocks[i].name = e.target.value; })} /></Field>
+                        <Field label="Size"><NumberInput value={clock.size} min={1} max={vocab.limits.clockSize} onChange={(n) => edit((q) => { q.clocks[i].size = n ?? 1; })} /></Field>
+                        <Field label="Kind">
+                            <select className="select" value={clock.kind} onChange={(e) => edit((q) => { q.clocks[i].kind = e.target.value; })}>
+                                {vocab.clockKinds.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+                            </select>
+                        </Field>
+                        <button type="button" className="btn small danger" onClick={() => edit((q) => { q.clocks.splice(i, 1); })}>Remove</button>
+                    </div>
+                    <div className="hint">When full:</div>
+                    <EffectsEditor effects={clock.onFull} quest={quest} vocab={vocab} onChange={(effects) => edit((q) => setField(q.clocks[i], 'onFull', effects))} />
+                </div>
+            ))}
+            <button
+                type="button"
+                className="btn small"
+                onClick={() => edit((q) => {
+                    q.clocks = [...q.clocks, { id: uniqueId('clock', q.clocks.map((c) => c.id)), name: 'A Clock', size: 4, kind: vocab.clockKinds[0] }];
+                })}
+            >
+                + Clock
+            </button>
+        </div>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// The test-play sandbox
+// ---------------------------------------------------------------------------
+
+function describeMove(move: Move | null): string {
+    if (!move) return 'The party sets out';
+    const who = move.seat ? `Tester ${move.seat}` : 'Spotlight';
+    const roll = move.roll ? ` (d20 forced to ${move.roll})` : '';
+    switch (move.type) {
+        case 'option': return `${who} chooses ${move.key}${roll}`;
+        case 'freeform': return `${who}: "${move.text}"${roll}`;
+        case 'attack': return `${who} attacks ${move.enemyId}${roll}`;
+        case 'item': return `${who} uses ${move.item}`;
+        case 'reroll': return `${who} spends Spark to reroll${roll}`;
+        default: return `${who} fires their big move`;
+    }
+}
+
+function FrameResult({ frame }: { frame: PlayFrame }) {
+    const { result } = frame;
+    if (frame.error) return <div className="x-alert danger">{frame.error}</div>;
+    if (!result) return <div className="hint">{frame.state.sceneTitle}</div>;
+    return (
+        <div>
+            {result.roll !== null && (
+                <div className={`tv-roll ${result.success ? 'up' : 'down'}`}>
+                    {result.stat} d20 {result.roll} → {result.total} vs DC {result.dc}: {result.success ? 'success' : 'failure'}
+                </div>
+            )}
+            {result.outcomeText && <div>{result.outcomeText}</div>}
+            {result.happenings.length > 0 && <ul className="tv-happenings">{result.happenings.map((line, i) => <li key={i}>{line}</li>)}</ul>}
+            {result.ended && <div className="badge">🏁 {result.ended.title || result.ended.id}</div>}
+        </div>
+    );
+}
+
+function Sandbox({ guildId, quest, valid }: { guildId: string; quest: Quest; valid: boolean }) {
+    const [moves, setMoves] = useState<Move[]>([]);
+    const [seed, setSeed] = useState('tavern-sandbox');
+    const [partySize, setPartySize] = useState(1);
+    const [roll, setRoll] = useState(0);
+    const [freeform, setFreeform] = useState('');
+    const [viewing, setViewing] = useState<number | null>(null);
+
+    useEffect(() => { setMoves([]); setViewing(null); }, [quest.id]);
+
+    const run = useQuery({
+        queryKey: ['tavern-playtest', guildId, quest, moves, seed, partySize],
+        queryFn: () => api.tavernPlaytest(guildId, quest, { moves, seed, partySize }) as Promise<Transcript>,
+        enabled: valid,
+        placeholderData: (previous) => previous
+    });
+
+    if (!valid) return <div className="empty">Fix the campaign's errors to test-play it.</div>;
+    if (run.isError) return <div className="empty">{errorText(run.error)}</div>;
+    if (!run.data) return <div className="empty">Rolling up testers…</div>;
+
+    const { frames, stoppedAt } = run.data;
+    const last = frames[frames.length - 1];
+    const shown = frames[viewing ?? frames.length - 1] || last;
+    const state = shown.state;
+    const playing = last.state.status === 'ACTIVE' && stoppedAt === null && viewing === null;
+    const play = (move: Move) => {
+        setMoves([...moves, roll ? { ...move, roll } : move]);
+        setRoll(0);
+    };
+    const spotlit = last.state.party.find((p) => p.seat === last.state.spotlight);
+
+    return (
+        <div className="tv-sandbox">
+            <div className="tv-row">
+                <Field label="Seed"><input className="input tv-mono" value={seed} onChange={(e) => setSeed(e.target.value)} /></Field>
+                <Field label="Testers"><NumberInput value={partySize} min={1} max={6} onChange={(n) => setPartySize(n ?? 1)} /></Field>
+                <button type="button" className="btn small" disabled={moves.length === 0} onClick={() => { setMoves(moves.slice(0, -1)); setViewing(null); }}>Undo</button>
+                <button type="button" className="btn small subtle" disabled={moves.length === 0} onClick={() => { setMoves([]); setViewing(null); }}>Restart</button>
+                {run.isFetching && <span className="hint">replaying…</span>}
+            </div>
+            <div className="hint">
+                Every step replays the whole run against your current draft in a sandbox that is rolled back -
+                edit the campaign and the transcript follows. Nothing is saved.
+            </div>
+
+            <ol className="cs-log">
+                {frames.map((frame) => (
+                    <li key={frame.index} className={(viewing ?? frames.length - 1) === frame.index ? 'current' : ''}>
+                        <button type="button" className="btn subtle" onClick={() => setViewing(frame.index === frames.length - 1 ? null : frame.index)}>
+                            {describeMove(frame.move)}
+                        </button>
+                        <FrameResult frame={frame} />
+                    </li>
+                ))}
+            </ol>
+
+            <div className="cs-stage">
+                <div className="cs-row"><span className="cs-label">Scene</span><strong>{state.sceneTitle ?? '—'}</strong>{state.status !== 'ACTIVE' && <span className="badge">{state.status.toLowerCase()}</span>}</div>
+                {state.sceneText && <div className="tv-scene-text">{state.sceneText}</div>}
+                {state.clocks.map((clock) => (
+                    <div key={clock.id} className="cs-row">
+                        <span className="cs-label">{clock.kind === 'danger' ? '⚠️' : '🕰️'} {clock.name}</span>
+                        <span className="tv-clock">{Array.from({ length: clock.size }, (_, i) => <i key={i} className={i < clock.value ? `on ${clock.kind}` : ''} />)}</span>
+                    </div>
+                ))}
+                {Object.keys(state.flags).length > 0 && (
+                    <div className="cs-row"><span className="cs-label">Flags</span><code>{Object.entries(state.flags).map(([k, v]) => `${k}=${String(v)}`).join(' · ')}</code></div>
+                )}
+                {state.enemies.map((enemy) => (
+                    <div key={enemy.id} className="cs-row">
+                        <span className="cs-label">⚔️ {enemy.name}</span>
+                        <span>{enemy.health}/{enemy.maxHealth}</span>
+                        <span className="hint">{enemy.intent}</span>
+                        {playing && <button type="button" className="btn small" onClick={() => play({ type: 'attack', enemyId: enemy.id })}>Attack</button>}
+                    </div>
+                ))}
+                {state.party.map((member) => (
+                    <div key={member.seat} className={`cs-row cs-seat${member.seat === state.spotlight ? ' turn' : ''}`}>
+                        <span className="cs-label">{member.name}</span>
+                        <span>❤️ {member.health}/{member.maxHealth}</span>
+                        <span>✨ {member.spark}</span>
+                        {member.inventory.length > 0 && <span className="hint">{member.inventory.join(', ')}</span>}
+                    </div>
+                ))}
+            </div>
+
+            {playing && (
+                <div className="tv-moves">
+                    <div className="tv-row">
+                        <Field label="Next d20">
+                            <select className="select" value={roll} onChange={(e) => setRoll(Number(e.target.value))}>
+                                <option value={0}>🎲 seeded roll</option>
+                                {Array.from({ length: 20 }, (_, i) => 20 - i).map((n) => <option key={n} value={n}>force {n}</option>)}
+                            </select>
+                        </Field>
+                        <span className="hint">{spotlit ? `${spotlit.name} has the spotlight` : ''}</span>
+                    </div>
+                    <div className="x-btn-row">
+                        {last.state.options.map((option) => (
+                            <button key={option.key} type="button" className="btn small" onClick={() => play({ type: 'option', key: option.key })}>
+                                {option.label}{option.kind === 'check' ? ` (${option.stat} ${option.dc})` : ' →'}
+                            </button>
+                        ))}
+                    </div>
+                    <form className="tv-row" onSubmit={(e) => { e.preventDefault(); if (freeform.trim()) { play({ type: 'freeform', text: freeform.trim() }); setFreeform(''); } }}>
+                        <input className="input" value={freeform} maxLength={300} placeholder="Freeform: I ram the door with a cooking pot…" onChange={(e) => setFreeform(e.target.value)} />
+                        <button type="submit" className="btn small">Try it</button>
+                        <button type="button" className="btn small subtle" onClick={() => play({ type: 'reroll' })}>Spark reroll</button>
+                        <button type="button" className="btn small subtle" onClick={() => play({ type: 'bigmove' })}>Big move</button>
+                        {(spotlit?.inventory || []).map((item) => (
+                            <button key={item} type="button" className="btn small subtle" onClick={() => play({ type: 'item', item })}>Use {item}</button>
+                        ))}
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// The room
+// ---------------------------------------------------------------------------
+
+export function TavernRoom() {
+    const me = useMe();
+    const toast = useToast();
+    const confirm = useConfirm();
+    const queryClient = useQueryClient();
+    const guilds = (me.scopes || []).filter((scope) => scope.kind === 'guild');
+    const [guildId, setGuildId] = useState(() => {
+        try {
+            const remembered = localStorage.getItem(GUILD_KEY);
+            if (remembered && guilds.some((g) => g.id === remembered)) return remembered;
+        } catch { /* private mode */ }
+        return guilds[0]?.id || '';
+    });
+    const [draft, setDraft] = useState<Quest | null>(null);
+    const [dirty, setDirty] = useState(false);
+    const [settled, setSettled] = useState<Quest | null>(null);
+    const [selection, setSelection] = useState<Selection>({ kind: 'quest' });
+    const [tab, setTab] = useState<'edit' | 'play'>('edit');
+    const [saving, setSaving] = useState(false);
+
+    const campaigns = useQuery({
+        queryKey: ['tavern-campaigns', guildId],
+        queryFn: () => api.tavernCampaigns(guildId) as Promise<{ campaigns: CampaignSummary[]; vocabulary: Vocabulary }>,
+        enabled: Boolean(guildId)
+    });
+
+    useEffect(() => {
+        const timer = setTimeout(() => setSettled(draft), SETTLE_MS);
+        return () => clearTimeout(timer);
+    }, [draft]);
+
+    const check = useQuery({
+        queryKey: ['tavern-check', guildId, settled],
+        queryFn: () => api.tavernCheck(guildId, settled) as Promise<CheckResult>,
+        enabled: Boolean(guildId && settled),
+        placeholderData: (previous) => previous
+    });
+
+    useEffect(() => {
+        if (campaigns.error) toast(errorText(campaigns.error), true);
+    }, [campaigns.error, toast]);
+
+    const findings = check.data?.lint?.findings || [];
+    const flagged = useMemo(() => {
+        const map = new Map<string, Finding['severity']>();
+        for (const finding of findings) {
+            if (finding.scene && (finding.severity === 'error' || !map.has(finding.scene))) map.set(finding.scene, finding.severity);
+        }
+        return map;
+    }, [findings]);
+
+    function pickGuild(id: string) {
+        setGuildId(id);
+        try { localStorage.setItem(GUILD_KEY, id); } catch { /* private mode */ }
+    }
+
+    async function open(questId: string | null) {
+        if (dirty && !await confirm('Discard unsaved changes to this campaign?')) return;
+        try {
+            const quest = questId
+                ? ((await api.tavernCampaign(guildId, questId)) as { quest: Quest }).quest
+                : blankQuest();
+            setDraft(quest);
+            setDirty(false);
+            setSelection({ kind: 'quest' });
+            setTab('edit');
+        } catch (error) {
+            toast(errorText(error), true);
+        }
+    }
+
+    function edit(mutate: (quest: Quest) => void) {
+        setDraft((current) => {
+            if (!current) return current;
+            const next = structuredClone(current);
+            mutate(next);
+            return next;
+        });
+        setDirty(true);
+    }
+
+    async function save() {
+        if (!draft) return;
+        const builtIn = campaigns.data?.campaigns.find((c) => c.id === draft.id)?.source === 'built-in';
+        if (builtIn && !await confirm(`'${draft.id}' is a built-in campaign. Saving writes a custom copy that overrides it on every server. Continue?`)) return;
+        setSaving(true);
+        try {
+            const saved = await api.tavernSave(guildId, draft) as { questId: string; lint: { findings: Finding[] } };
+            setDirty(false);
+            const warnings = saved.lint.findings.filter((f) => f.severity !== 'info').length;
+            toast(`Saved ${saved.questId} - it's on the quest board${warnings ? ` (${warnings} lint finding${warnings === 1 ? '' : 's'} to look at)` : ''}.`);
+            queryClient.invalidateQueries({ queryKey: ['tavern-campaigns', guildId] });
+        } catch (error) {
+            const details = error instanceof ApiError ? (error.details as { errors?: string[] } | null) : null;
+            toast(details?.errors?.[0] || errorText(error), true);
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    function addScene() {
+        if (!draft) return;
+        const id = uniqueId('scene', Object.keys(draft.scenes));
+        edit((q) => { q.scenes[id] = { id, title: 'A New Scene', text: 'Describe what the party finds.', options: [] }; });
+        setSelection({ kind: 'scene', id });
+    }
+
+    function addEnding() {
+        if (!draft) return;
+        const id = uniqueId('ending', Object.keys(draft.endings));
+        edit((q) => { q.endings[id] = { id, title: 'A New Ending', text: 'How it all turned out.' }; });
+        setSelection({ kind: 'ending', id });
+    }
+
+    function link(fromScene: string, toNode: string) {
+        const [kind, id] = toNode.split(/:(.*)/s);
+        edit((q) => {
+            const scene = q.scenes[fromScene];
+            const options = scene.options || [];
+            const target = kind === 'scene' ? q.scenes[id]?.title : q.endings[id]?.title;
+            options.push({
+                key: uniqueId(`to-${id}`.slice(0, 30), options.map((o) => o.key)),
+                label: target ? `Head for ${target}` : 'Move on',
+                ...(kind === 'scene' ? { goto: id } : { end: id })
+            });
+            scene.options = options;
+        });
+        setSelection({ kind: 'scene', id: fromScene });
+    }
+
+    const header = (
+        <header className="pane-header">
+            <div className="title-row">
+                <MenuButton />
+                <h1>Tavern</h1>
+            </div>
+            {guilds.length > 0 && (
+                <select className="select" value={guildId} onChange={(e) => pickGuild(e.target.value)} aria-label="Server">
+                    {guilds.map((guild) => <option key={guild.id} value={guild.id}>{guild.name}</option>)}
+                </select>
+            )}
+        </header>
+    );
+
+    if (guilds.length === 0) {
+        return (
+            <main className="pane next-pane is-in" id="pane-tavern">
+                {header}
+                <div className="pane-body">
+                    <div className="empty">
+                        The campaign editor opens from a server you manage: Tavern campaigns are shared by every server Goobster is in,
+                        so editing them needs the Manage Server permission somewhere.
+                    </div>
+                </div>
+            </main>
+        );
+    }
+
+    const vocab = campaigns.data?.vocabulary;
+    const selectedScene = draft && selection.kind === 'scene' ? draft.scenes[selection.id] : null;
+    const selectedEnding = draft && selection.kind === 'ending' ? draft.endings[selection.id] : null;
+
+    return (
+        <main className="pane next-pane is-in" id="pane-tavern">
+            {header}
+            <div className="pane-body">
+                {campaigns.isPending && <div className="empty">Loading…</div>}
+                {campaigns.isError && <div className="empty">{errorText(campaigns.error)}</div>}
+                {campaigns.data && !draft && (
+                    <>
+                        <div className="x-btn-row">
+                            <button type="button" className="btn primary" onClick={() => open(null)}>New campaign</button>
+                        </div>
+                        <div className="list-card x-table">
+                            {campaigns.data.campaigns.map((campaign) => (
+                                <button key={campaign.id} type="button" className="list-row" onClick={() => open(campaign.id)}>
+                                    <div className="row-body">
+                                        {campaign.title}
+                                        <span className="badge">{campaign.source}</span>
+                                        {campaign.hidden ? <span className="badge">twist fork</span> : null}
+                                        <div className="row-meta"><code>{campaign.id}</code> · {campaign.scenes} scenes · {campaign.endings} endings</div>
+                                    </div>
+                                </button>
+                            ))}
+                        </div>
+                    </>
+                )}
+                {draft && vocab && (
+                    <>
+                        <div className="tv-toolbar">
+                            <button type="button" className="btn subtle" onClick={async () => {
+                                if (dirty && !await confirm('Discard unsaved changes to this campaign?')) return;
+                                setDraft(null);
+                                setDirty(false);
+                            }}>← Campaigns</button>
+                            <strong>{draft.title || draft.id}</strong>
+                            {dirty && <span className="badge warn">unsaved</span>}
+                            <span className="segment">
+                                <button type="button" className={`segment-btn${tab === 'edit' ? ' active' : ''}`} onClick={() => setTab('edit')}>Edit</button>
+                                <button type="button" className={`segment-btn${tab === 'play' ? ' active' : ''}`} onClick={() => setTab('play')}>Test-play</button>
+                            </span>
+                            <button type="button" className="btn primary" disabled={saving || !check.data?.valid || settled !== draft} onClick={save}>
+                                {saving ? 'Saving…' : 'Save'}
+                            </button>
+                        </div>
+
+                        <div className="tv-status">
+                            {!check.data && <span className="hint">Checking…</span>}
+                            {check.data && check.data.errors.length > 0 && (
+                                <div className="x-alert danger">
+                                    <strong>{check.data.errors.length} error{check.data.errors.length === 1 ? '' : 's'} - the loader would skip this campaign:</strong>
+                                    <ul className="tv-findings">{check.data.errors.map((error, i) => <li key={i} className="error">{error}</li>)}</ul>
+                                </div>
+                            )}
+                            {check.data?.valid && findings.length === 0 && <span className="badge">✓ valid, lint clean</span>}
+                            {check.data?.valid && findings.length > 0 && (
+                                <details className="x-alert">
+                                    <summary>✓ valid · {findings.length} lint finding{findings.length === 1 ? '' : 's'}</summary>
+                                    <ul className="tv-findings">
+                                        {findings.map((finding, i) => (
+                                            <li key={i} className={finding.severity}>
+                                                <code>{finding.code}</code> {finding.message}
+                                                {finding.scene && draft.scenes[finding.scene] && (
+                                                    <button type="button" className="btn small subtle" onClick={() => { setTab('edit'); setSelection({ kind: 'scene', id: finding.scene as string }); }}>open</button>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            )}
+                        </div>
+
+                        {tab === 'play' && <Sandbox guildId={guildId} quest={settled || draft} valid={Boolean(check.data?.valid)} />}
+                        {tab === 'edit' && (
+                            <>
+                                <StoryGraph quest={draft} selection={selection} flagged={flagged} onSelect={setSelection} onLink={link} />
+                                <div className="x-btn-row">
+                                    <button type="button" className={`btn small${selection.kind === 'quest' ? ' primary' : ''}`} onClick={() => setSelection({ kind: 'quest' })}>Campaign & clocks</button>
+                                    <button type="button" className="btn small" onClick={addScene}>+ Scene</button>
+                                    <button type="button" className="btn small" onClick={addEnding}>+ Ending</button>
+                                </div>
+                                {selection.kind === 'quest' && <QuestEditor quest={draft} vocab={vocab} edit={edit} />}
+                                {selectedScene && (
+                                    <SceneEditor
+                                        scene={selectedScene}
+                                        quest={draft}
+                                        vocab={vocab}
+                                        findings={findings.filter((f) => f.scene === selectedScene.id)}
+                                        edit={(mutate) => edit((q) => mutate(q.scenes[selectedScene.id], q))}
+                                        onRename={(next) => {
+                                            if (draft.scenes[next]) { toast(`There is already a scene '${next}'.`, true); return; }
+                                            edit((q) => renameScene(q, selectedScene.id, next));
+                                            setSelection({ kind: 'scene', id: next });
+                                        }}
+                                        onDelete={async () => {
+                                            if (!await confirm(`Delete the scene '${selectedScene.id}'? Options that travel there will show as errors until you re-point them.`)) return;
+                                            edit((q) => { delete q.scenes[selectedScene.id]; });
+                                            setSelection({ kind: 'quest' });
+                                        }}
+                                    />
+                                )}
+                                {selectedEnding && (
+                                    <EndingEditor
+                                        ending={selectedEnding}
+                                        vocab={vocab}
+                                        edit={(mutate) => edit((q) => mutate(q.endings[selectedEnding.id]))}
+                                        onRename={(next) => {
+                                            if (draft.endings[next]) { toast(`There is already an ending '${next}'.`, true); return; }
+                                            edit((q) => renameEnding(q, selectedEnding.id, next));
+                                            setSelection({ kind: 'ending', id: next });
+                                        }}
+                                        onDelete={async () => {
+                                            if (!await confirm(`Delete the ending '${selectedEnding.id}'?`)) return;
+                                            edit((q) => { delete q.endings[selectedEnding.id]; });
+                                            setSelection({ kind: 'quest' });
+                                        }}
+                                    />
+                                )}
+                            </>
+                        )}
+                    </>
+                )}
+            </div>
+        </main>
+    );
+}
@@ -20,8 +20,8 @@ type Voice = { id: string; name: string };
 
 /**
  * The full persona editor (create + edit): name, emoji, color, charter,
- * an ElevenLabs voice for live sessions (hidden when the server has no
- * key - graceful degradation), and Delete on existing personas.
+ * a voice for live sessions (ElevenLabs or Piper; hidden when the server
+ * has no TTS - graceful degradation), and Delete on existing personas.
  */
 export function PersonaModal({
     persona, defaultColor, onClose, onSaved, onDeleted
@@ -40,7 +40,7 @@ export function PersonaModal({
     const [charter, setCharter] = useState(persona?.charter || '');
     const [voice, setVoice] = useState(persona?.voiceId || '');
 
-    // The ElevenLabs voice library; an error (no key, old server) simply
+    // The TTS voice library; an error (no TTS, old server) simply
     // hides the picker - voices are optional everywhere.
     const voicesQ = useQuery({
         queryKey: ['parlor-voices'],
@@ -66,7 +66,7 @@ export function PersonaModal({
             const saved = (persona
                 ? await api.parlorUpdatePersona(persona.id, fields)
                 : await api.parlorCreatePersona(fields)) as PersonaFields;
-            // Voice resolves against ElevenLabs at save time - a bad pick
+            // Voice resolves against the TTS backend at save time - a bad pick
             // fails loudly here, never mid-session.
             if (voicesAvailable && voice !== (persona?.voiceId || '')) {
                 try {
@@ -22,6 +22,8 @@ const NAV = [
     ] },
     { section: 'The grounds', items: [
         { to: '/exchange', label: '📊 Exchange', room: 'exchange' },
+        { to: '/casino', label: '🎰 Casino', room: 'casino' },
+        { to: '/tavern', label: '🍺 Tavern', room: 'tavern' },
         { to: '/noticed', label: '🧭 Noticed', room: 'noticed' },
         { to: '/tasks', label: '🗓️ Tasks', room: 'tasks' },
         { to: '/decks', label: '🃏 Decks', room: 'decks' },
@@ -38,6 +40,8 @@ const PATH_ROOM: Record<string, string> = {
     '/workshop': 'workshop',
     '/observatory': 'observatory',
     '/exchange': 'exchange',
+    '/casino': 'casino',
+    '/tavern': 'tavern',
     '/noticed': 'noticed',
     '/tasks': 'tasks',
     '/decks': 'decks',
@@ -78,7 +82,7 @@ export function AppShell() {
         const map: Record<string, string> = {
             home: '/', study: '/study', parlor: '/parlor', spitball: '/spitball',
             library: '/spitball', workshop: '/workshop', observatory: '/observatory',
-            exchange: '/exchange', tasks: '/tasks', noticed: '/noticed', decks: '/decks',
+            exchange: '/exchange', casino: '/casino', tavern: '/tavern', tasks: '/tasks', noticed: '/noticed', decks: '/decks',
             usage: '/usage', chat: '/study', memory: '/spitball', mtga: '/decks'
         };
         const to = map[name];
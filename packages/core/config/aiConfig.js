@@ -49,6 +49,29 @@ module.exports = {
         embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || fileConfig.ollama?.embeddingModel || 'nomic-embed-text'
     },
 
+    /**
+     * Speech-to-text backend: 'openai' | 'whisper' | 'auto' (OpenAI when
+     * keyed, otherwise a configured local whisper backend).
+     */
+    transcription: {
+        provider: process.env.STT_PROVIDER || fileConfig.ai?.transcription?.provider || 'auto'
+    },
+
+    /**
+     * Local whisper backend: a whisper.cpp `server` (api 'whispercpp') or an
+     * OpenAI-compatible faster-whisper server (api 'openai') on the LAN, or
+     * the whisper.cpp CLI run on this machine (cliPath + model file).
+     */
+    whisper: {
+        url: (process.env.WHISPER_URL || fileConfig.whisper?.url || '').replace(/\/$/, '') || null,
+        api: process.env.WHISPER_API || fileConfig.whisper?.api || 'whispercpp',
+        cliPath: process.env.WHISPER_CLI_PATH || fileConfig.whisper?.cliPath || null,
+        model: process.env.WHISPER_MODEL || fileConfig.whisper?.model || null,
+        language: process.env.WHISPER_LANGUAGE || fileConfig.whisper?.language || 'en',
+        threads: Number(process.env.WHISPER_THREADS || fileConfig.whisper?.threads || 4),
+        timeoutMs: Number(process.env.WHISPER_TIMEOUT_MS || fileConfig.whisper?.timeoutMs || 30000)
+    },
+
     memory: {
         enabled: (process.env.MEMORY_ENABLED ?? String(fileConfig.ai?.memory?.enabled ?? 'true')) !== 'false',
         maxEntriesPerGuild: Number(process.env.MEMORY_MAX_ENTRIES || fileConfig.ai?.memory?.maxEntriesPerGuild || 5000),
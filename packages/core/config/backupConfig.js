@@ -0,0 +1,51 @@
+require('dotenv').config();
+
+const path = require('node:path');
+
+// config.json is optional (e.g. env-only deployments); never crash at import time.
+let fileConfig = {};
+try {
+    fileConfig = require('../../../config.json');
+} catch {
+    // config.json optional at load time
+}
+
+const backups = fileConfig.backups || {};
+
+/** Clamp a numeric knob into [min, max], falling back to def when unset/invalid. */
+function bounded(value, def, min, max) {
+    if (value === null || value === undefined || value === '') return def;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return def;
+    return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+/**
+ * Database backups (services/backupService.js). Resolution order matches
+ * config/sandboxConfig.js: environment variable first, then config.json,
+ * then a default.
+ *
+ * ON by default - a Pi on an SD card is exactly the install that needs it
+ * and the least likely to configure it. Set GOOBSTER_BACKUPS_ENABLED=0 or
+ * `backups.enabled: false` to turn the schedule off (manual backups and
+ * the CLI keep working).
+ */
+module.exports = {
+    enabled: process.env.GOOBSTER_BACKUPS_ENABLED !== undefined && process.env.GOOBSTER_BACKUPS_ENABLED !== ''
+        ? !['0', 'false', 'off'].includes(process.env.GOOBSTER_BACKUPS_ENABLED.toLowerCase())
+        : backups.enabled !== false,
+
+    /** Where backups are written. Point it at a USB drive to survive a dead SD card. */
+    dir: process.env.GOOBSTER_BACKUPS_DIR
+        || backups.dir
+        || path.join(require('../runtimePaths').dataDir, 'backups'),
+
+    /** Hours between scheduled backups (1h - 1 week). */
+    intervalHours: bounded(process.env.GOOBSTER_BACKUPS_INTERVAL_HOURS ?? backups.intervalHours, 24, 1, 24 * 7),
+
+    /** The newest N good backups are always kept (1 - 365). */
+    keep: bounded(process.env.GOOBSTER_BACKUPS_KEEP ?? backups.keep, 7, 1, 365),
+
+    /** Beyond those, the newest backup of each of the last N weeks (0 - 104). */
+    keepWeekly: bounded(process.env.GOOBSTER_BACKUPS_KEEP_WEEKLY ?? backups.keepWeekly, 4, 0, 104)
+};
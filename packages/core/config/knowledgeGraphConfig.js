@@ -41,7 +41,10 @@ const PROVENANCE_KINDS = [
     // research_claim -> research_claims.id (claim -> source resolves through
     // the research tables), research_source -> research_sources.id,
     // expedition -> spitball_expeditions.id
-    'research_claim', 'research_source', 'expedition'
+    'research_claim', 'research_source', 'expedition',
+    // Bulk imports: import -> kg_import_files.id (the vault note, Notion
+    // page or PDF the node came from)
+    'import'
 ];
 
 /** Per-tick / per-run caps for automated writers. */
@@ -74,6 +77,14 @@ const LIMITS = {
         maxMutationsLink: 20,
         maxMutationsDelete: 0,
         maxMutationsMerge: 4
+    },
+    // Bulk imports: one note per call, its links in a second call; an
+    // import adds and connects but never deletes or merges away knowledge.
+    import: {
+        maxMutationsUpsert: 1,
+        maxMutationsLink: 40,
+        maxMutationsDelete: 0,
+        maxMutationsMerge: 0
     }
 };
 
@@ -99,6 +110,47 @@ const REFLECTION = {
     staleRunMinutes: 15
 };
 
+/**
+ * Graph history (time travel): the kg_history journal behind "as of" views,
+ * diffs between two dates and batch rollback. Service: knowledgeGraphHistory.
+ */
+const HISTORY = {
+    /** Journal rows older than this are pruned by the nightly consolidation. */
+    retentionDays: 90,
+    /** Cap on journal rows a single diff lists per category. */
+    maxDiffItems: 200,
+    /** Cap on batches a single diff lists. */
+    maxDiffBatches: 50
+};
+
+/**
+ * Bulk knowledge ingestion (Obsidian/Markdown vaults, Notion export zips,
+ * PDF folders): staged as a previewable import, then run file by file so an
+ * interrupted import resumes. Service: knowledgeImportService.
+ */
+const IMPORT = {
+    /** Largest archive accepted (the web client sends it base64 in JSON). */
+    maxArchiveBytes: 60 * 1024 * 1024,
+    /** Largest single file inside an archive; bigger files are skipped. */
+    maxFileBytes: 16 * 1024 * 1024,
+    /** Notes staged per import; the rest are skipped and listed. */
+    maxFiles: 400,
+    /** Text kept per note for its passages (the node itself gets a summary). */
+    maxTextPerFile: 60000,
+    /** Passage size and overlap, in characters. */
+    chunkChars: 1200,
+    chunkOverlap: 150,
+    maxChunksPerFile: 48,
+    /** Passages per graph scope; imports past it keep nodes without passages. */
+    maxChunksPerScope: 4000,
+    /** Passages per embeddingService.embedBatch call. */
+    embedBatchSize: 16,
+    /** Unstarted previews are discarded after this long. */
+    previewTtlHours: 24,
+    /** 'running' imports with no progress for this long were interrupted. */
+    staleRunMinutes: 10
+};
+
 module.exports = {
     MAX_LABEL_LENGTH,
     MAX_CONTENT_LENGTH,
@@ -119,5 +171,7 @@ module.exports = {
     RELATION_KINDS,
     PROVENANCE_KINDS,
     LIMITS,
-    REFLECTION
+    REFLECTION,
+    HISTORY,
+    IMPORT
 };
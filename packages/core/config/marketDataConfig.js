@@ -0,0 +1,60 @@
+require('dotenv').config();
+const path = require('node:path');
+const { dataDir } = require('../runtimePaths');
+
+// config.json is optional (e.g. env-only deployments); never crash at import time.
+let fileConfig = {};
+try {
+    fileConfig = require('../../../config.json');
+} catch {
+    // config.json optional at load time
+}
+
+const marketData = fileConfig.marketData || {};
+const replay = marketData.replay || {};
+
+const PROVIDERS = ['yahoo', 'replay'];
+
+/** Clamp a numeric knob into [min, max], falling back to def when unset/invalid. */
+function bounded(value, def, min, max) {
+    if (value === null || value === undefined || value === '') return def;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return def;
+    return Math.min(max, Math.max(min, n));
+}
+
+const requestedProvider = String(process.env.GOOBSTER_MARKET_PROVIDER || marketData.provider || 'yahoo').toLowerCase();
+
+/**
+ * Where the stock game gets its prices. Resolution order matches the other
+ * config modules: environment variable first, then config.json, then a
+ * default.
+ *
+ * 'yahoo' (default) is the keyless live feed. 'replay' serves quotes,
+ * history and corporate actions from local CSV/JSON files at a simulated
+ * clock, so a server can run the exchange on historical data with no
+ * network access at all.
+ */
+module.exports = {
+    PROVIDERS,
+
+    /** Active provider; an unknown name falls back to the live feed. */
+    provider: PROVIDERS.includes(requestedProvider) ? requestedProvider : 'yahoo',
+
+    replay: {
+        /** One `<SYMBOL>.csv` or `<SYMBOL>.json` per instrument. */
+        dataDir: process.env.GOOBSTER_REPLAY_DIR
+            || replay.dataDir
+            || path.join(dataDir, 'market-replay'),
+        /**
+         * Simulated instant the replay starts at (ISO date or timestamp).
+         * Unset = the real clock, which simply serves each file's latest bar.
+         */
+        startAt: process.env.GOOBSTER_REPLAY_START || replay.startAt || null,
+        /**
+         * Simulated seconds per real second. 1 = real time, 0 = a frozen
+         * clock, 1440 = one simulated day per real minute.
+         */
+        speed: bounded(process.env.GOOBSTER_REPLAY_SPEED ?? replay.speed, 1, 0, 1_000_000)
+    }
+};
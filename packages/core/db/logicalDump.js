@@ -0,0 +1,491 @@
+/**
+ * Engine-neutral logical dump / load for the db facade.
+ *
+ * A dump is gzip-compressed JSON Lines, readable by either engine:
+ *
+ *   {"format":"goobster-db-dump","version":1,"schemaVersion":N,"engine":"sqlite","createdAt":"..."}
+ *   {"table":"users","columns":["id","discordId",...]}
+ *   [1,"1234",...]                       <- one row per line, in column order
+ *   ...
+ *   {"end":true,"rowCount":N,"tables":{"users":3,...}}
+ *
+ * BLOB/BYTEA values are written as {"$b64":"..."}. Tables come out parents
+ * first (foreign-key order), so a load can insert them as they stream by.
+ * The end marker carries the per-table counts; a dump without one is
+ * truncated and a load of it rolls back.
+ *
+ * Vector index tables (memory_vec_*) are derived data and never dumped -
+ * memoryService.syncVecIndex() rebuilds them from memory_embeddings on
+ * first use, on either engine.
+ *
+ * Sources:
+ *   sqliteFileSource(path) - a SQLite file opened read-only (the backup
+ *                            service dumps from an online snapshot, so the
+ *                            dump is consistent while the bot keeps writing)
+ *   facadeSource(db)       - the live database through the facade (how
+ *                            Postgres is dumped, inside one REPEATABLE READ
+ *                            transaction)
+ */
+
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+const crypto = require('node:crypto');
+const readline = require('node:readline');
+const { once } = require('node:events');
+const { finished } = require('node:stream/promises');
+const { SCHEMA_VERSION } = require('./migrations');
+
+const DUMP_FORMAT = 'goobster-db-dump';
+const DUMP_VERSION = 1;
+const PAGE_SIZE = 500;
+
+/** A dump/load failure with a machine-readable code. */
+class DumpError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'DumpError';
+        this.code = code;
+    }
+}
+
+/** Engine bookkeeping and derived tables that a dump leaves out. */
+function isSkippedTable(name) {
+    return /^sqlite_/i.test(name) || /^memory_vec_/i.test(name);
+}
+
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function encodeValue(value) {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return { $b64: Buffer.from(value).toString('base64') };
+    }
+    if (typeof value === 'bigint') return Number(value);
+    return value;
+}
+
+function decodeValue(value) {
+    if (value && typeof value === 'object' && typeof value.$b64 === 'string') {
+        return Buffer.from(value.$b64, 'base64');
+    }
+    return value;
+}
+
+/**
+ * Order tables so every table comes after the tables it references.
+ * Self-references and cycles are ignored; ties stay alphabetical.
+ * @param {string[]} names
+ * @param {Map<string, Set<string>>} parents - table -> referenced tables
+ * @returns {string[]}
+ */
+function orderTables(names, parents) {
+    const remaining = new Set(names);
+    const ordered = [];
+    const sorted = [...names].sort();
+    while (remaining.size > 0) {
+        const ready = sorted.filter(name => remaining.has(name)
+            && [...(parents.get(name) || [])].every(parent => parent === name || !remaining.has(parent)));
+        // A cycle: break it at the first remaining table.
+        const batch = ready.length > 0 ? ready : [sorted.find(name => remaining.has(name))];
+        for (const name of batch) {
+            remaining.delete(name);
+            ordered.push(name);
+        }
+    }
+    return ordered;
+}
+
+/**
+ * Read a SQLite file without touching the live connection.
+ * @param {string} filePath
+ */
+function sqliteFileSource(filePath) {
+    const Database = require('better-sqlite3');
+    const handle = new Database(filePath, { readonly: true, fileMustExist: true });
+    const names = handle.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`)
+        .all().map(row => row.name).filter(name => !isSkippedTable(name));
+
+    return {
+        engine: 'sqlite',
+        schemaVersion: handle.pragma('user_version', { simple: true }),
+        async tables() {
+            const parents = new Map();
+            const info = new Map();
+            for (const name of names) {
+                const columns = handle.pragma(`table_info(${quoteIdent(name)})`);
+                info.set(name, columns.map(column => column.name));
+                parents.set(name, new Set(handle.pragma(`foreign_key_list(${quoteIdent(name)})`).map(fk => fk.table)));
+            }
+            return orderTables(names, parents).map(name => ({ name, columns: info.get(name) }));
+        },
+        async *rows(table, columns) {
+            const statement = handle.prepare(
+                `SELECT ${columns.map(quoteIdent).join(', ')} FROM ${quoteIdent(table)} ORDER BY rowid`
+            ).raw(true);
+            // Nothing else uses this handle, so it can stay mid-iteration
+            // across the awaits of the writer.
+            yield* statement.iterate();
+        },
+        close() {
+            handle.close();
+        }
+    };
+}
+
+/**
+ * A table's column names through the facade, in declaration order.
+ * @param {Object} db - the db facade
+ * @param {string} table
+ * @returns {Promise<string[]>} empty when the table does not exist
+ */
+async function tableColumns(db, table) {
+    if (db.engine === 'postgres') {
+        return (await db.all(
+            `SELECT column_name AS name FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = @table
+             ORDER BY ordinal_position`,
+            { table }
+        )).map(row => row.name);
+    }
+    return (await db.all(`PRAGMA table_info(${quoteIdent(table)})`)).map(row => row.name);
+}
+
+/**
+ * Read the live database through the facade (either engine).
+ * @param {Object} db - the db facade
+ */
+function facadeSource(db) {
+    const postgres = db.engine === 'postgres';
+
+    async function tableNames() {
+        const rows = postgres
+            ? await db.all(
+                `SELECT table_name AS name FROM information_schema.tables
+                 WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'`
+            )
+            : await db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`);
+        return rows.map(row => row.name).filter(name => !isSkippedTable(name));
+    }
+
+    async function primaryKeyOf(table) {
+        if (postgres) {
+            return (await db.all(
+                `SELECT kcu.column_name AS name
+                 FROM information_schema.table_constraints tc
+                 JOIN information_schema.key_column_usage kcu
+                   ON kcu.constraint_name = tc.constraint_name
+                  AND kcu.table_schema = tc.table_schema AND kcu.table_name = tc.table_name
+                 WHERE tc.table_schema = current_schema() AND tc.table_name = @table
+                   AND tc.constraint_type = 'PRIMARY KEY'
+                 ORDER BY kcu.ordinal_position`,
+                { table }
+            )).map(row => row.name);
+        }
+        return (await db.all(`PRAGMA table_info(${quoteIdent(table)})`))
+            .filter(row => row.pk > 0).sort((a, b) => a.pk - b.pk).map(row => row.name);
+    }
+
+    async function dependencies(names) {
+        const parents = new Map(names.map(name => [name, new Set()]));
+        if (postgres) {
+            const edges = await db.all(
+                `SELECT tc.table_name AS child, ccu.table_name AS parent
+                 FROM information_schema.table_constraints tc
+                 JOIN information_schema.constraint_column_usage ccu
+                   ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+                 WHERE tc.table_schema = current_schema() AND tc.constraint_type = 'FOREIGN KEY'`
+            );
+            for (const { child, parent } of edges) parents.get(child)?.add(parent);
+            return parents;
+        }
+        for (const name of names) {
+            for (const fk of await db.all(`PRAGMA foreign_key_list(${quoteIdent(name)})`)) {
+                parents.get(name).add(fk.table);
+            }
+        }
+        return parents;
+    }
+
+    return {
+        engine: db.engine,
+        schemaVersion: SCHEMA_VERSION,
+        async tables() {
+            const names = await tableNames();
+            const ordered = orderTables(names, await dependencies(names));
+            const out = [];
+            for (const name of ordered) {
+                out.push({ name, columns: await tableColumns(db, name), primaryKey: await primaryKeyOf(name) });
+            }
+            return out;
+        },
+        dependencies,
+        async *rows(table, columns, primaryKey = []) {
+            const select = `SELECT ${columns.map(quoteIdent).join(', ')} FROM ${quoteIdent(table)}`;
+            // Keyset paging on a single-column key; OFFSET paging otherwise.
+            if (primaryKey.length === 1) {
+                const key = primaryKey[0];
+                let after = null;
+                for (;;) {
+                    const page = await db.all(
+                        `${select} ${after === null ? '' : `WHERE ${quoteIdent(key)} > @after`} ORDER BY ${quoteIdent(key)} LIMIT ${PAGE_SIZE}`,
+                        after === null ? {} : { after }
+                    );
+                    for (const row of page) yield columns.map(column => row[column]);
+                    if (page.length < PAGE_SIZE) return;
+                    after = page[page.length - 1][key];
+                }
+            }
+            const order = primaryKey.length > 0
+                ? primaryKey.map(quoteIdent).join(', ')
+                : (postgres ? columns.map(quoteIdent).join(', ') : 'rowid');
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                const page = await db.all(`${select} ORDER BY ${order} LIMIT ${PAGE_SIZE} OFFSET ${offset}`);
+                for (const row of page) yield columns.map(column => row[column]);
+                if (page.length < PAGE_SIZE) return;
+            }
+        },
+        close() {}
+    };
+}
+
+/**
+ * Write a dump of `source` to `filePath` (via a .partial file, renamed on
+ * success so a crash never leaves a plausible-looking dump behind).
+ * @param {Object} source - sqliteFileSource() or facadeSource()
+ * @param {string} filePath
+ * @returns {Promise<{ tables: Object<string, number>, rowCount: number, sizeBytes: number, sha256: string }>}
+ */
+async function writeDump(source, filePath) {
+    const partial = `${filePath}.partial`;
+    const gzip = zlib.createGzip();
+    const out = fs.createWriteStream(partial);
+    const hash = crypto.createHash('sha256');
+    gzip.on('data', chunk => hash.update(chunk));
+    gzip.pipe(out);
+
+    const write = async (record) => {
+        if (!gzip.write(`${JSON.stringify(record)}\n`)) await once(gzip, 'drain');
+    };
+
+    const counts = {};
+    let rowCount = 0;
+    try {
+        await write({
+            format: DUMP_FORMAT,
+            version: DUMP_VERSION,
+            schemaVersion: source.schemaVersion,
+            engine: source.engine,
+            createdAt: new Date().toISOString()
+        });
+        for (const table of await source.tables()) {
+            await write({ table: table.name, columns: table.columns });
+            let count = 0;
+            for await (const row of source.rows(table.name, table.columns, table.primaryKey)) {
+                await write(row.map(encodeValue));
+                count++;
+            }
+            counts[table.name] = count;
+            rowCount += count;
+        }
+        await write({ end: true, rowCount, tables: counts });
+        gzip.end();
+        await finished(out);
+    } catch (error) {
+        gzip.destroy();
+        out.destroy();
+        fs.rmSync(partial, { force: true });
+        throw error;
+    }
+    fs.renameSync(partial, filePath);
+    return { tables: counts, rowCount, sizeBytes: fs.statSync(filePath).size, sha256: hash.digest('hex') };
+}
+
+/**
+ * Stream a dump's records (header first).
+ * @param {string} filePath
+ */
+async function* readDump(filePath) {
+    const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let first = true;
+    try {
+        for await (const line of lines) {
+            if (!line) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                throw new DumpError('CORRUPT', 'The dump contains a malformed line.');
+            }
+            if (first) {
+                first = false;
+                if (record?.format !== DUMP_FORMAT) throw new DumpError('NOT_A_DUMP', 'Not a Goobster database dump.');
+                if (record.version !== DUMP_VERSION) {
+                    throw new DumpError('UNSUPPORTED', `Dump format version ${record.version} is not supported.`);
+                }
+            }
+            yield record;
+        }
+    } catch (error) {
+        if (error instanceof DumpError) throw error;
+        throw new DumpError('CORRUPT', `The dump could not be read: ${error.message}`);
+    } finally {
+        lines.close();
+        input.destroy();
+    }
+}
+
+/**
+ * The header of a dump file.
+ * @param {string} filePath
+ */
+async function readDumpHeader(filePath) {
+    for await (const record of readDump(filePath)) return record;
+    throw new DumpError('NOT_A_DUMP', 'The dump is empty.');
+}
+
+/**
+ * Load a dump into the database the facade is connected to, in one
+ * transaction. The target must be empty unless `replace` is set, in which
+ * case every table is cleared first (vector index included). Columns the
+ * target no longer has are dropped and tables it no longer has skipped -
+ * both are reported; a dump from a NEWER schema is refused.
+ *
+ * @param {Object} db - the db facade
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false]
+ * @returns {Promise<{ schemaVersion: number, engine: string, rowCount: number,
+ *   tables: Object<string, number>, skippedTables: string[], droppedColumns: Object<string, string[]> }>}
+ */
+async function loadDump(db, filePath, { replace = false } = {}) {
+    const header = await readDumpHeader(filePath);
+    if (!Number.isInteger(header.schemaVersion) || header.schemaVersion > SCHEMA_VERSION) {
+        throw new DumpError('SCHEMA_TOO_NEW',
+            `The dump was written by schema version ${header.schemaVersion}; this build is at ${SCHEMA_VERSION}. Update Goobster before loading it.`);
+    }
+
+    const target = facadeSource(db);
+    const targetTables = new Map();
+    for (const table of await target.tables()) targetTables.set(table.name, new Set(table.columns));
+
+    if (!replace) {
+        const occupied = [];
+        for (const name of targetTables.keys()) {
+            const row = await db.get(`SELECT COUNT(*) AS count FROM ${quoteIdent(name)}`);
+            if (Number(row.count) > 0) occupied.push(name);
+        }
+        if (occupied.length > 0) {
+            throw new DumpError('NOT_EMPTY',
+                `The target database already has rows (${occupied.slice(0, 5).join(', ')}${occupied.length > 5 ? ', ...' : ''}). Load into an empty database or pass replace.`);
+        }
+    }
+
+    const report = {
+        schemaVersion: header.schemaVersion,
+        engine: header.engine,
+        rowCount: 0,
+        tables: {},
+        skippedTables: [],
+        droppedColumns: {}
+    };
+
+    await db.transaction(async () => {
+        // Self-references and any table the FK order could not place are
+        // checked at COMMIT instead of per row.
+        if (db.engine === 'sqlite') await db.run('PRAGMA defer_foreign_keys = ON');
+
+        if (replace) {
+            const names = [...targetTables.keys()];
+            const ordered = orderTables(names, await target.dependencies(names));
+            for (const name of ordered.reverse()) await db.run(`DELETE FROM ${quoteIdent(name)}`);
+            for (const name of await vecTables(db)) await db.run(`DELETE FROM ${quoteIdent(name)}`);
+        }
+
+        let current = null;
+        let ended = null;
+        let first = true;
+        for await (const record of readDump(filePath)) {
+            if (first) { first = false; continue; }
+            if (Array.isArray(record)) {
+                if (!current) throw new DumpError('CORRUPT', 'Row outside of a table section.');
+                report.tables[current.name]++;
+                if (!current.sql) continue; // table skipped
+                const params = {};
+                current.keep.forEach((index, i) => { params[`p${i}`] = decodeValue(record[index]); });
+                await db.run(current.sql, params);
+                report.rowCount++;
+            } else if (record.table) {
+                current = { name: record.table, sql: null, keep: [] };
+                report.tables[record.table] = 0;
+                const columns = targetTables.get(record.table);
+                if (!columns) {
+                    report.skippedTables.push(record.table);
+                    continue;
+                }
+                const kept = [];
+                record.columns.forEach((column, index) => {
+                    if (columns.has(column)) {
+                        kept.push(column);
+                        current.keep.push(index);
+                    } else {
+                        (report.droppedColumns[record.table] ||= []).push(column);
+                    }
+                });
+                current.sql = `INSERT INTO ${quoteIdent(record.table)} (${kept.map(quoteIdent).join(', ')})
+                    VALUES (${kept.map((_, i) => `@p${i}`).join(', ')})`;
+            } else if (record.end) {
+                ended = record;
+            }
+        }
+        if (!ended) throw new DumpError('TRUNCATED', 'The dump ends before its end marker - it is incomplete.');
+        for (const [name, count] of Object.entries(ended.tables || {})) {
+            if (report.tables[name] !== count) {
+                throw new DumpError('CORRUPT', `Table ${name}: the dump lists ${count} row(s) but contains ${report.tables[name] ?? 0}.`);
+            }
+        }
+
+        if (db.engine === 'postgres') {
+            // Identity columns were inserted with explicit ids; re-seat each
+            // sequence so the next insert doesn't collide.
+            const identities = await db.all(
+                `SELECT table_name, column_name FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND is_identity = 'YES'`
+            );
+            for (const { table_name, column_name } of identities) {
+                await db.rawQuery(
+                    `SELECT setval(pg_get_serial_sequence($1, $2), (SELECT COALESCE(MAX(${quoteIdent(column_name)}), 0) + 1 FROM ${quoteIdent(table_name)}), false)`,
+                    [quoteIdent(table_name), column_name]
+                );
+            }
+        }
+    });
+    return report;
+}
+
+/** The vector index tables the live database has (virtual tables only on SQLite). */
+async function vecTables(db) {
+    const rows = db.engine === 'postgres'
+        ? await db.all(`SELECT table_name AS name FROM information_schema.tables WHERE table_schema = current_schema()`)
+        : await db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`);
+    return rows.map(row => row.name).filter(name => /^memory_vec_\d+$/.test(name));
+}
+
+module.exports = {
+    DUMP_FORMAT,
+    DUMP_VERSION,
+    DumpError,
+    isSkippedTable,
+    quoteIdent,
+    encodeValue,
+    decodeValue,
+    tableColumns,
+    orderTables,
+    sqliteFileSource,
+    facadeSource,
+    writeDump,
+    readDump,
+    readDumpHeader,
+    loadDump
+};
@@ -10,6 +10,16 @@
  * schema.sql, so its CREATE INDEX statements may freely name columns added
  * here; a table that does not exist yet is skipped, since schema.sql is
  * about to create it with the column already in place.
+ *
+ * The list is append-only: never reorder or remove an entry.
+ *
+ * SCHEMA_VERSION below is stamped on SQLite files (PRAGMA user_version),
+ * logical dumps and guild archives; restore and import compare against it
+ * so data written by newer code is never loaded into an older schema
+ * (services/backupService.js, services/guildTransferService.js). It is
+ * bumped by hand: EVERY schema change increments it - a new table or index
+ * in schema.sql, a column migration here, a table rebuild or a CHECK change
+ * in either adapter - with a line in the log above the constant.
  */
 
 const COLUMN_MIGRATIONS = [
@@ -83,6 +93,23 @@ const COLUMN_MIGRATIONS = [
     // claimed the run), part of the heartbeat lease that orphan detection
     // checks instead of assuming a single runner process.
     ['spitball_expeditions', 'runnerId', 'runnerId TEXT'],
+    // Activity tables: the provably-fair seed context rides the journal
+    ['table_games', 'fairness', 'fairness TEXT'],
+    // Tavern: play-by-post parties (posting windows of postHours each)
+    ['tavern_adventures', 'pace',
+        `pace TEXT NOT NULL DEFAULT 'LIVE' CHECK (pace IN ('LIVE', 'POSTED'))`],
+    ['tavern_adventures', 'postHours', 'postHours INTEGER'],
 ];
 
-module.exports = { COLUMN_MIGRATIONS };
+/**
+ * Schema version of this build (see the note at the top). Versions up to
+ * 44 counted the column migrations above; from there on:
+ *   44  database backups (user_version stamping starts)
+ *   45  guild_imports (server archive imports)
+ *   46  kg_history (knowledge graph time travel)
+ *   47  kg_imports, kg_import_files, kg_node_chunks; kg_provenance
+ *       sourceKind 'import' (bulk knowledge import)
+ */
+const SCHEMA_VERSION = 47;
+
+module.exports = { COLUMN_MIGRATIONS, SCHEMA_VERSION };
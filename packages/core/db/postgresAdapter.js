@@ -119,11 +119,11 @@ const CONSTRAINT_MIGRATIONS = [
     },
     {
         table: 'kg_provenance',
-        reason: 'the artifact and research sourceKinds',
+        reason: 'the artifact, research and import sourceKinds',
         type: 'c',
         matches: def => def.includes("'memory'"),
-        isCurrent: def => def.includes("'artifact'") && def.includes("'research_claim'"),
-        add: `CHECK ("sourceKind" IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition'))`
+        isCurrent: def => def.includes("'artifact'") && def.includes("'research_claim'") && def.includes("'import'"),
+        add: `CHECK ("sourceKind" IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition', 'import'))`
     }
 ];
 
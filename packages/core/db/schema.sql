@@ -366,7 +366,7 @@ CREATE TABLE IF NOT EXISTS kg_node_tags (
 CREATE TABLE IF NOT EXISTS kg_provenance (
     id INTEGER PRIMARY KEY,
     nodeId INTEGER NOT NULL REFERENCES kg_nodes(id) ON DELETE CASCADE,
-    sourceKind TEXT NOT NULL CHECK (sourceKind IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition')),
+    sourceKind TEXT NOT NULL CHECK (sourceKind IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition', 'import')),
     sourceId INTEGER,
     createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     UNIQUE (nodeId, sourceKind, sourceId)
@@ -445,6 +445,101 @@ CREATE TABLE IF NOT EXISTS kg_node_revisions (
 
 CREATE INDEX IF NOT EXISTS idx_kg_node_revisions_node ON kg_node_revisions(nodeId, revisionNumber);
 
+-- Graph history journal (documentation/user_knowledge_graph.md "Time
+-- travel"): one row per node, edge or tag that was added, materially
+-- revised or retired, with its state before and after as JSON. No foreign
+-- keys on purpose - rows must outlive the entities they describe, so "as of"
+-- views can reconstruct deleted knowledge. entityKey is 'node:<id>',
+-- 'edge:<id>' or 'tag:<nodeId>:<name>'. batchKey names the run that made the
+-- change ('reflection:<runId>', 'consolidation:<iso>', 'rollback:<batchKey>');
+-- NULL for one-off writes. Privacy deletes ride the scope like kg_nodes;
+-- rows age out after HISTORY.retentionDays.
+CREATE TABLE IF NOT EXISTS kg_history (
+    id INTEGER PRIMARY KEY,
+    guildId TEXT NOT NULL,
+    scopeKey TEXT NOT NULL DEFAULT '',
+    entity TEXT NOT NULL CHECK (entity IN ('node', 'edge', 'tag')),
+    entityKey TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('add', 'revise', 'retire')),
+    stateBefore TEXT,
+    stateAfter TEXT,
+    batchKey TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_kg_history_scope ON kg_history(guildId, scopeKey, createdAt);
+CREATE INDEX IF NOT EXISTS idx_kg_history_batch ON kg_history(batchKey);
+CREATE INDEX IF NOT EXISTS idx_kg_history_entity ON kg_history(entityKey);
+
+-- Bulk knowledge imports (documentation/user_knowledge_graph.md "Bulk
+-- import"): an Obsidian/Markdown vault, a Notion export or a folder of PDFs
+-- staged for preview, then applied file by file through the legalizer.
+-- status: 'preview' (staged, nothing written) -> 'running' -> 'completed';
+-- 'failed' covers errors and interrupted runs, and resumes where it
+-- stopped. summary is JSON with the applied counts so far.
+CREATE TABLE IF NOT EXISTS kg_imports (
+    id INTEGER PRIMARY KEY,
+    guildId TEXT NOT NULL,
+    scopeKey TEXT NOT NULL DEFAULT '',
+    requestedBy TEXT,
+    sourceKind TEXT NOT NULL CHECK (sourceKind IN ('obsidian', 'markdown', 'notion', 'pdf')),
+    sourceName TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'preview' CHECK (status IN ('preview', 'running', 'completed', 'failed')),
+    summary TEXT,
+    error TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+    -- Bumped after every file, so a stalled 'running' row is detectable
+    updatedAt TEXT NOT NULL DEFAULT (datetime('now')),
+    finishedAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_kg_imports_scope ON kg_imports(guildId, scopeKey, createdAt);
+
+-- One row per staged source file: the proposed node (label, type, summary,
+-- tags as JSON, links as JSON labels) and the extracted text its passages
+-- are cut from (cleared once the import completes). status: 'pending' ->
+-- 'noted' (node written) -> 'linked' (edges written); 'skipped' files were
+-- never importable and note says why. kg_provenance rows with sourceKind
+-- 'import' point here.
+CREATE TABLE IF NOT EXISTS kg_import_files (
+    id INTEGER PRIMARY KEY,
+    importId INTEGER NOT NULL REFERENCES kg_imports(id) ON DELETE CASCADE,
+    path TEXT NOT NULL,
+    label TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'concept',
+    summary TEXT,
+    body TEXT,
+    tags TEXT,
+    links TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'noted', 'linked', 'skipped')),
+    note TEXT,
+    nodeId INTEGER,
+    UNIQUE (importId, path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kg_import_files_import ON kg_import_files(importId, status);
+
+-- Passages of a node's source text (imported notes and PDFs), embedded for
+-- semantic lookup. Vectors follow memory_embeddings' tagging rule: only
+-- compared when produced by the same model; NULL when no embedding backend
+-- was available (keyword lookup still finds them). Rows cascade with the
+-- node, so privacy and pruning ride kg_nodes.
+CREATE TABLE IF NOT EXISTS kg_node_chunks (
+    id INTEGER PRIMARY KEY,
+    nodeId INTEGER NOT NULL REFERENCES kg_nodes(id) ON DELETE CASCADE,
+    guildId TEXT NOT NULL,
+    scopeKey TEXT NOT NULL DEFAULT '',
+    chunkIndex INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedding BLOB,
+    dims INTEGER,
+    model TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (nodeId, chunkIndex)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kg_node_chunks_scope ON kg_node_chunks(guildId, scopeKey);
+
 -- ---------------------------------------------------------------------------
 -- Server activity counters (counts only, no message content). Feeds the
 -- /wrapped stats. userId becomes NULL when a user runs /forget-me
@@ -607,11 +702,149 @@ CREATE TABLE IF NOT EXISTS table_games (
     gameType TEXT NOT NULL,
     -- Full serialized engine state (JSON)
     state TEXT NOT NULL,
+    -- Provably-fair context (JSON): the committed server seed, the round's
+    -- client seed and RNG cursor, and the steps drawn so far
+    fairness TEXT,
     createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (guildId, channelId)
 );
 
+-- Activity table-game tournaments (sit-and-go and multi-table). The buy-ins
+-- form the prize pool; players get tournament chips that never touch the
+-- wallet. Running tables are ordinary table_games rows under the synthetic
+-- channel id 'tournament-<id>-<tableNo>'. levelEndsAt is when the next blind
+-- level starts, so a restart can re-arm the clock.
+CREATE TABLE IF NOT EXISTS tournaments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId TEXT NOT NULL,
+    channelId TEXT NOT NULL,
+    gameType TEXT NOT NULL DEFAULT 'holdem',
+    format TEXT NOT NULL CHECK (format IN ('SNG', 'MTT')),
+    status TEXT NOT NULL DEFAULT 'REGISTERING'
+        CHECK (status IN ('REGISTERING', 'RUNNING', 'FINISHED', 'CANCELLED')),
+    buyIn INTEGER NOT NULL CHECK (buyIn >= 0),
+    prizePool INTEGER NOT NULL DEFAULT 0 CHECK (prizePool >= 0),
+    startingStack INTEGER NOT NULL CHECK (startingStack > 0),
+    maxPlayers INTEGER NOT NULL CHECK (maxPlayers >= 2),
+    tableSize INTEGER NOT NULL CHECK (tableSize >= 2),
+    levelMinutes REAL NOT NULL CHECK (levelMinutes > 0),
+    level INTEGER NOT NULL DEFAULT 0,
+    levelEndsAt TEXT,
+    createdBy TEXT,
+    cancelReason TEXT,
+    createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    startedAt TEXT,
+    finishedAt TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_guild_status ON tournaments(guildId, status);
+
+-- One row per registered player. place is written when the player busts
+-- (or wins); prize when the tournament pays out.
+CREATE TABLE IF NOT EXISTS tournament_entries (
+    tournamentId INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    name TEXT,
+    status TEXT NOT NULL DEFAULT 'REGISTERED'
+        CHECK (status IN ('REGISTERED', 'PLAYING', 'BUSTED', 'WON', 'REFUNDED')),
+    place INTEGER,
+    prize INTEGER NOT NULL DEFAULT 0,
+    registeredAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    bustedAt TEXT,
+    PRIMARY KEY (tournamentId, userId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tournament_entries_user ON tournament_entries(guildId, userId);
+
+-- Provably-fair hands (commit-reveal). A /gamble player's next server seed
+-- is committed here before they bet (its hash is shown; the seed is not).
+CREATE TABLE IF NOT EXISTS fair_seeds (
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    serverSeed TEXT NOT NULL,
+    serverSeedHash TEXT NOT NULL,
+    clientSeed TEXT NOT NULL,
+    createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guildId, userId)
+);
+
+-- Every settled (or voided) hand with its seed revealed: /gamble hands
+-- store the outcome drawn, Activity table rounds the engine steps that drew
+-- (pre-state, action, RNG cursor, events) so the round can be replayed.
+CREATE TABLE IF NOT EXISTS fair_rounds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId TEXT NOT NULL,
+    source TEXT NOT NULL CHECK (source IN ('gamble', 'table')),
+    game TEXT NOT NULL,
+    channelId TEXT,
+    status TEXT NOT NULL DEFAULT 'SETTLED' CHECK (status IN ('SETTLED', 'VOID')),
+    serverSeed TEXT NOT NULL,
+    serverSeedHash TEXT NOT NULL,
+    clientSeed TEXT NOT NULL,
+    steps TEXT,
+    outcome TEXT,
+    committedAt TEXT,
+    settledAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fair_rounds_guild ON fair_rounds(guildId, id);
+
+CREATE TABLE IF NOT EXISTS fair_round_players (
+    roundId INTEGER NOT NULL REFERENCES fair_rounds(id) ON DELETE CASCADE,
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    PRIMARY KEY (roundId, userId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fair_round_players_user ON fair_round_players(guildId, userId);
+
+-- Activity table hand history: each finished hand as frames of engine state
+-- ({ action, events, state, at }; the undealt deck is dropped), so a replay
+-- can show every viewer exactly what they could see at the time. Capped per
+-- table (oldest pruned).
+CREATE TABLE IF NOT EXISTS table_hands (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId TEXT NOT NULL,
+    channelId TEXT NOT NULL,
+    gameType TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'SETTLED' CHECK (status IN ('SETTLED', 'VOID')),
+    fairHandId INTEGER,
+    botPlayed INTEGER NOT NULL DEFAULT 0,
+    frames TEXT NOT NULL,
+    startedAt TEXT NOT NULL,
+    endedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_hands_table ON table_hands(guildId, channelId, id);
+
+-- Who sat in a hand, and what it won or lost them (points at cash tables,
+-- chips at tournament tables).
+CREATE TABLE IF NOT EXISTS table_hand_players (
+    handId INTEGER NOT NULL REFERENCES table_hands(id) ON DELETE CASCADE,
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    name TEXT,
+    isBot INTEGER NOT NULL DEFAULT 0,
+    net INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (handId, userId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_table_hand_players_user ON table_hand_players(guildId, userId, handId);
+
+-- How Goobster plays each table game in a guild: 'ai' (the model decides
+-- every move - the default when no row exists) or a fixed strategy profile
+-- from services/tableGames/botStrategies.js.
+CREATE TABLE IF NOT EXISTS table_bot_strategies (
+    guildId TEXT NOT NULL,
+    gameType TEXT NOT NULL,
+    strategy TEXT NOT NULL,
+    updatedBy TEXT,
+    updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (guildId, gameType)
+);
+
 -- ---------------------------------------------------------------------------
 -- System logs (used by chat diagnostics)
 -- ---------------------------------------------------------------------------
@@ -740,6 +973,8 @@ CREATE TABLE IF NOT EXISTS tavern_adventures (
     state TEXT NOT NULL DEFAULT '{}',
     endingId TEXT,
     createdBy TEXT,
+    pace TEXT NOT NULL DEFAULT 'LIVE' CHECK (pace IN ('LIVE', 'POSTED')),
+    postHours INTEGER,
     createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     completedAt TEXT
@@ -770,6 +1005,38 @@ CREATE TABLE IF NOT EXISTS tavern_adventure_log (
 
 CREATE INDEX IF NOT EXISTS idx_tavern_log_adventure ON tavern_adventure_log(adventureId, id);
 
+-- Play-by-post (pace = 'POSTED'): each round of a scene is a posting window.
+-- Members post their moves privately; the window resolves them together once
+-- everyone has posted or deadlineAt passes (absentees follow the party).
+-- remindAt is when the stragglers get pinged; posts counts the moves that
+-- were in when it resolved (a run of empty windows pauses the table).
+CREATE TABLE IF NOT EXISTS tavern_post_windows (
+    id INTEGER PRIMARY KEY,
+    adventureId INTEGER NOT NULL REFERENCES tavern_adventures(id) ON DELETE CASCADE,
+    sceneId TEXT NOT NULL,
+    round INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'RESOLVED', 'CANCELLED')),
+    openedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deadlineAt TEXT NOT NULL,
+    remindAt TEXT NOT NULL,
+    remindedAt TEXT,
+    resolvedAt TEXT,
+    posts INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_tavern_post_windows_status ON tavern_post_windows(status, deadlineAt);
+CREATE INDEX IF NOT EXISTS idx_tavern_post_windows_adventure ON tavern_post_windows(adventureId, id);
+
+-- A member's private move for a window (JSON: {type, key?, text?, stat?,
+-- dc?, enemyId?, item?, spark?}); re-posting replaces it until resolution.
+CREATE TABLE IF NOT EXISTS tavern_post_declarations (
+    windowId INTEGER NOT NULL REFERENCES tavern_post_windows(id) ON DELETE CASCADE,
+    userId TEXT NOT NULL,
+    action TEXT NOT NULL,
+    declaredAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (windowId, userId)
+);
+
 -- Phase 2: the world remembers.
 
 -- Per-member standing with each resident NPC (evolves through adventures via
@@ -811,6 +1078,46 @@ CREATE TABLE IF NOT EXISTS tavern_lore (
 
 CREATE INDEX IF NOT EXISTS idx_tavern_lore_guild ON tavern_lore(guildId, kind, name);
 
+-- Tavern market bridge to the guild economy (shops, crafting fees, wages).
+-- Absent row = disabled: adventures never touch wallets until an admin opts in.
+CREATE TABLE IF NOT EXISTS tavern_economy_settings (
+    guildId TEXT PRIMARY KEY,
+    enabled INTEGER NOT NULL DEFAULT 0 CHECK (enabled IN (0, 1)),
+    wage INTEGER NOT NULL DEFAULT 50 CHECK (wage >= 0),
+    updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-guild music player state, so a restart rejoins the voice channel and
+-- resumes the queue. One row per guild with something to resume; idle
+-- players delete their row. Tracks are stored as {name, artist?, title?,
+-- url?} JSON (library urls are re-resolved on resume).
+CREATE TABLE IF NOT EXISTS music_player_state (
+    guildId TEXT PRIMARY KEY,
+    channelId TEXT NOT NULL,
+    volume REAL NOT NULL DEFAULT 1.0,
+    repeatEnabled INTEGER NOT NULL DEFAULT 0 CHECK (repeatEnabled IN (0, 1)),
+    shuffleEnabled INTEGER NOT NULL DEFAULT 0 CHECK (shuffleEnabled IN (0, 1)),
+    paused INTEGER NOT NULL DEFAULT 0 CHECK (paused IN (0, 1)),
+    currentTrack TEXT,
+    positionMs INTEGER NOT NULL DEFAULT 0,
+    queue TEXT NOT NULL DEFAULT '[]',
+    playlist TEXT,
+    playlistIndex INTEGER NOT NULL DEFAULT 0,
+    shuffledQueue TEXT NOT NULL DEFAULT '[]',
+    updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-guild music effects (/music fx): EQ preset, EBU R128 loudness
+-- normalization, and crossfade between queued tracks. No row = defaults
+-- (no EQ, normalization on, no crossfade).
+CREATE TABLE IF NOT EXISTS music_fx_settings (
+    guildId TEXT PRIMARY KEY,
+    preset TEXT NOT NULL DEFAULT 'off',
+    normalize INTEGER NOT NULL DEFAULT 1 CHECK (normalize IN (0, 1)),
+    crossfadeSeconds INTEGER NOT NULL DEFAULT 0 CHECK (crossfadeSeconds >= 0),
+    updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Confirmable integration actions (agent launches / issue creation proposed
 -- from chat or voice). Rows persist so a pending confirmation survives a
 -- restart; buttons resolve them.
@@ -1193,6 +1500,91 @@ CREATE TABLE IF NOT EXISTS corporate_actions (
     UNIQUE (symbol, actionType, eventDate)
 );
 
+-- Exchange seasons: time-boxed trading competitions on sandboxed wallets.
+-- A season is its own ledger partition: every wallet, ledger row, position
+-- and engine event of the season is keyed by scopeId in place of the
+-- guild id, so the whole exchange (and the risk engine tick) runs on it
+-- unchanged while the guild's real economy is never touched. Only the
+-- optional prize pool crosses back into the guild's wallets at the end.
+CREATE TABLE IF NOT EXISTS exchange_seasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId TEXT NOT NULL,
+    name TEXT NOT NULL,
+    scopeId TEXT UNIQUE,
+    -- Points every entrant starts the season with
+    bankroll INTEGER NOT NULL CHECK (bankroll > 0),
+    -- Points paid into the guild economy to the podium when the season ends
+    prizePool INTEGER NOT NULL DEFAULT 0 CHECK (prizePool >= 0),
+    -- OFF: no 0DTE at all. OPT_IN: the usual deliberate switch. EVERYONE:
+    -- every entrant starts in goblin mode.
+    goblinRule TEXT NOT NULL DEFAULT 'OPT_IN' CHECK (goblinRule IN ('OFF', 'OPT_IN', 'EVERYONE')),
+    status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'ENDED')),
+    endsAt TEXT,
+    createdBy TEXT,
+    endedAt TEXT,
+    createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one running season per guild
+CREATE UNIQUE INDEX IF NOT EXISTS idx_exchange_seasons_active
+    ON exchange_seasons(guildId) WHERE status = 'ACTIVE';
+
+-- Entrants. `desk` says where the member's trading commands land while the
+-- season runs (the season account, or their real one). The final columns
+-- are written once, when the season ends.
+CREATE TABLE IF NOT EXISTS exchange_season_entries (
+    seasonId INTEGER NOT NULL REFERENCES exchange_seasons(id) ON DELETE CASCADE,
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    desk TEXT NOT NULL DEFAULT 'SEASON' CHECK (desk IN ('SEASON', 'MAIN')),
+    finalEquity INTEGER,
+    finalRank INTEGER,
+    trophy TEXT,
+    payout INTEGER,
+    joinedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (seasonId, userId)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_season_entries_user
+    ON exchange_season_entries(guildId, userId);
+
+-- Member-to-member limit order book. A BID escrows price x contracts from the
+-- bidder's wallet; an ASK offers contracts the seller already holds (an event
+-- contract side, or a long option lot). Matched with price-time priority at
+-- the resting order's price; every fill is journaled in exchange_events.
+-- instrument is the book key: 'EVENT:<marketId>:<YES|NO>' or
+-- 'OPTION:<underlying>:<CALL|PUT>:<strike>:<expiry>'. Prices are whole
+-- points per contract.
+CREATE TABLE IF NOT EXISTS book_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guildId TEXT NOT NULL,
+    userId TEXT NOT NULL,
+    instrument TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('EVENT', 'OPTION')),
+    marketId INTEGER,
+    outcome TEXT CHECK (outcome IN ('YES', 'NO')),
+    underlying TEXT,
+    optionType TEXT CHECK (optionType IN ('CALL', 'PUT')),
+    strike REAL,
+    expiry TEXT,
+    side TEXT NOT NULL CHECK (side IN ('BID', 'ASK')),
+    price INTEGER NOT NULL CHECK (price > 0),
+    contracts INTEGER NOT NULL CHECK (contracts > 0),
+    filled INTEGER NOT NULL DEFAULT 0 CHECK (filled >= 0),
+    -- Points still held for the unfilled part of a bid (always 0 for asks)
+    escrow INTEGER NOT NULL DEFAULT 0 CHECK (escrow >= 0),
+    status TEXT NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'FILLED', 'CANCELLED', 'EXPIRED', 'REJECTED')),
+    note TEXT,
+    closedAt TEXT,
+    createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updatedAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_book_orders_match
+    ON book_orders(guildId, instrument, side, status, price);
+CREATE INDEX IF NOT EXISTS idx_book_orders_user
+    ON book_orders(guildId, userId, status);
+
 -- ---------------------------------------------------------------------------
 -- Per-user platform integrations (Notion, GitHub, ...): personal API tokens
 -- connected through the web portal's Integrations dialog. Unlike sessions,
@@ -1644,6 +2036,65 @@ CREATE TABLE IF NOT EXISTS web_live_turns (
     aborted INTEGER NOT NULL DEFAULT 0 CHECK (aborted IN (0, 1))
 );
 
+-- Self-service data exports (/export-my-data and the portal's "Download my
+-- data", services/dataExportService.js). One row per archive built; the zip
+-- itself lives under data/exports/<userId>/ until expiresAt, then the file
+-- is deleted and the row kept as EXPIRED. Only the SHA-256 of the download
+-- token is stored (web_sessions pattern). Deleted outright by /forget-me.
+CREATE TABLE IF NOT EXISTS data_exports (
+    id INTEGER PRIMARY KEY,
+    userId TEXT NOT NULL,
+    tokenHash TEXT NOT NULL UNIQUE,
+    via TEXT NOT NULL CHECK (via IN ('discord', 'web')),
+    status TEXT NOT NULL DEFAULT 'READY' CHECK (status IN ('READY', 'EXPIRED')),
+    fileName TEXT NOT NULL,
+    sizeBytes INTEGER NOT NULL DEFAULT 0,
+    rowCount INTEGER NOT NULL DEFAULT 0,
+    fileCount INTEGER NOT NULL DEFAULT 0,
+    downloadCount INTEGER NOT NULL DEFAULT 0,
+    lastDownloadedAt TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+    expiresAt TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports(userId, createdAt);
+
+-- The export audit trail: who built which archive, every download (and
+-- refused download of an expired link), and every expiry/deletion.
+-- /forget-me anonymizes these rows (userId nulled, usage_log pattern) so
+-- the trail still shows that an archive existed and when it left.
+CREATE TABLE IF NOT EXISTS data_export_events (
+    id INTEGER PRIMARY KEY,
+    exportId INTEGER,
+    userId TEXT,
+    action TEXT NOT NULL CHECK (action IN ('created', 'downloaded', 'denied', 'expired', 'deleted')),
+    via TEXT,
+    detail TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_export_events_export ON data_export_events(exportId, id);
+CREATE INDEX IF NOT EXISTS idx_data_export_events_user ON data_export_events(userId);
+
+-- Guild archives applied by /server import (services/guildTransferService.js).
+-- One row per applied archive, keyed by its SHA-256, so a merge import of
+-- the same archive twice is refused instead of doubling every fact and
+-- memory. Deliberately carries no user id: the archive's own rows are
+-- what /forget-me covers.
+CREATE TABLE IF NOT EXISTS guild_imports (
+    id INTEGER PRIMARY KEY,
+    guildId TEXT NOT NULL,
+    archiveSha256 TEXT NOT NULL,
+    sourceGuildId TEXT NOT NULL,
+    sourceGuildName TEXT,
+    mode TEXT NOT NULL CHECK (mode IN ('merge', 'replace')),
+    rowCount INTEGER NOT NULL DEFAULT 0,
+    summary TEXT,
+    createdAt TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_guild_imports_guild ON guild_imports(guildId, archiveSha256);
+
 -- ---------------------------------------------------------------------------
 -- The attention ledger (services/attention*.js, documentation/attention.md).
 --
@@ -11,7 +11,7 @@ const path = require('node:path');
 const fs = require('node:fs');
 const { AsyncLocalStorage } = require('node:async_hooks');
 const Database = require('better-sqlite3');
-const { COLUMN_MIGRATIONS } = require('./migrations');
+const { COLUMN_MIGRATIONS, SCHEMA_VERSION } = require('./migrations');
 
 const DEFAULT_DB_PATH = path.join(require('../runtimePaths').dataDir, 'goobster.sqlite');
 
@@ -59,6 +59,12 @@ function getDb() {
     // CREATE TABLE text can lag behind it, and the first pass skipped
     // tables that did not exist yet.
     applyColumnMigrations(db);
+    // Stamp the file with the schema it now matches, so a backup copy of it
+    // can be checked before restore. Never lowered: an older build opening
+    // a newer file leaves the newer stamp in place.
+    if (db.pragma('user_version', { simple: true }) < SCHEMA_VERSION) {
+        db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
 
     return db;
 }
@@ -142,14 +148,14 @@ const TABLE_REBUILDS = [
     },
     {
         table: 'kg_provenance',
-        reason: 'the artifact and research sourceKinds',
-        isCurrent: ddl => ddl.includes("'artifact'") && ddl.includes("'research_claim'"),
+        reason: 'the artifact, research and import sourceKinds',
+        isCurrent: ddl => ddl.includes("'artifact'") && ddl.includes("'research_claim'") && ddl.includes("'import'"),
         columns: ['id', 'nodeId', 'sourceKind', 'sourceId', 'createdAt'],
         ddl: name => `
             CREATE TABLE ${name} (
                 id INTEGER PRIMARY KEY,
                 nodeId INTEGER NOT NULL REFERENCES kg_nodes(id) ON DELETE CASCADE,
-                sourceKind TEXT NOT NULL CHECK (sourceKind IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition')),
+                sourceKind TEXT NOT NULL CHECK (sourceKind IN ('memory', 'fact', 'consolidation', 'monologue', 'tool', 'user', 'artifact', 'research_claim', 'research_source', 'expedition', 'import')),
                 sourceId INTEGER,
                 createdAt TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
                 UNIQUE (nodeId, sourceKind, sourceId)
@@ -0,0 +1,537 @@
+/**
+ * Database backups: scheduled online snapshots, retention rotation, and
+ * restore with schema-version checks. Operator guide:
+ * documentation/database_backups.md
+ *
+ * Two kinds of backup, one directory (config/backupConfig.js `dir`):
+ *  - 'sqlite' - an online snapshot of the live SQLite file (better-sqlite3's
+ *    page-level backup API, so the bot keeps writing while it runs). Vector
+ *    index tables come along as ordinary pages. Restore swaps the file in.
+ *  - 'dump'   - an engine-neutral logical dump (db/logicalDump.js). What a
+ *    Postgres install gets on schedule, and the format that moves data
+ *    between engines in either direction. Restore loads it in one
+ *    transaction.
+ *
+ * Each backup is `<id>.sqlite` or `<id>.jsonl.gz` plus a `<id>.json`
+ * manifest (schema version, size, sha256, integrity result). The manifests
+ * are the catalogue - there is no table for them, since restoring a backup
+ * would roll that table back too. A failed run leaves `last-failure.json`
+ * for /backup and the panel until the next good one.
+ *
+ * Restores are deliberately CLI-only (scripts/db-backup.js, bot stopped):
+ * swapping the database under a running bot is never safe.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const db = require('../db');
+const { SCHEMA_VERSION } = require('../db/migrations');
+const logicalDump = require('../db/logicalDump');
+const backupConfig = require('../config/backupConfig');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const FIRST_CHECK_DELAY_MS = 2 * 60 * 1000;
+// A manual backup right after another is almost always a double click.
+const MANUAL_COOLDOWN_MS = 10 * 60 * 1000;
+const FAILURE_FILE = 'last-failure.json';
+const FILE_EXTENSIONS = { sqlite: '.sqlite', dump: '.jsonl.gz' };
+
+/** Machine-readable backup error (HTTP status + code, PanelError shape). */
+class BackupError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/** UTC 'YYYY-MM-DD HH:MM:SS', the timestamp text both engines store. */
+function utcText(date) {
+    return date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+}
+
+function parseUtcText(text) {
+    return Date.parse(`${String(text).replace(' ', 'T')}Z`);
+}
+
+function sha256File(filePath) {
+    const hash = crypto.createHash('sha256');
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.allocUnsafe(1024 * 1024);
+        let read;
+        while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            hash.update(buffer.subarray(0, read));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * A snapshot inherits the live database's WAL mode; switch it to a plain
+ * rollback journal so it is one self-contained file and read-only opens
+ * never leave -wal/-shm files beside it.
+ */
+function standalone(filePath) {
+    const Database = require('better-sqlite3');
+    const handle = new Database(filePath);
+    try {
+        handle.pragma('journal_mode = DELETE');
+    } finally {
+        handle.close();
+    }
+}
+
+function removeSqliteFiles(filePath) {
+    for (const suffix of ['', '-wal', '-shm', '-journal']) fs.rmSync(filePath + suffix, { force: true });
+}
+
+/** Monday 00:00 UTC of the week `ms` falls in. */
+function weekStart(ms) {
+    const date = new Date(ms);
+    const day = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+}
+
+/**
+ * Which backups rotation keeps: the newest `keep`, plus the newest backup
+ * of each of the last `keepWeekly` weeks (the current week included).
+ * @param {Array<{ id: string, createdAt: string }>} backups
+ * @param {{ keep: number, keepWeekly: number, now?: number }} policy
+ * @returns {Set<string>} ids to keep
+ */
+function selectForRetention(backups, { keep, keepWeekly, now = Date.now() }) {
+    const newestFirst = [...backups].sort((a, b) => parseUtcText(b.createdAt) - parseUtcText(a.createdAt));
+    const kept = new Set(newestFirst.slice(0, keep).map(backup => backup.id));
+    const oldestWeek = weekStart(now) - (keepWeekly - 1) * 7 * 24 * 60 * 60 * 1000;
+    const weeks = new Set();
+    for (const backup of newestFirst) {
+        const week = weekStart(parseUtcText(backup.createdAt));
+        if (keepWeekly <= 0 || week < oldestWeek || weeks.has(week)) continue;
+        weeks.add(week);
+        kept.add(backup.id);
+    }
+    return kept;
+}
+
+class BackupService {
+    /**
+     * @param {Object} [deps] - overrides for tests
+     * @param {Object} [deps.config] - backupConfig shape
+     * @param {string} [deps.dbPath] - the SQLite file restore writes to
+     */
+    constructor(deps = {}) {
+        this.config = { ...backupConfig, ...(deps.config || {}) };
+        this.dir = this.config.dir;
+        this.dbPath = deps.dbPath || process.env.GOOBSTER_DB_PATH
+            || path.join(require('../runtimePaths').dataDir, 'goobster.sqlite');
+        this.timer = null;
+        this.firstCheck = null;
+        this.running = false;
+    }
+
+    /** Hourly check that takes a backup whenever the last good one is older than the interval. */
+    start() {
+        if (this.timer) return;
+        if (!this.config.enabled) {
+            console.log('[Backup] Scheduled backups disabled (backups.enabled / GOOBSTER_BACKUPS_ENABLED)');
+            return;
+        }
+        const tick = () => this.runIfDue().catch(error =>
+            console.error('[Backup] Scheduled backup failed:', error.message)
+        );
+        this.timer = setInterval(tick, CHECK_INTERVAL_MS);
+        this.timer.unref?.();
+        this.firstCheck = setTimeout(tick, FIRST_CHECK_DELAY_MS);
+        this.firstCheck.unref?.();
+        console.log(`[Backup] Scheduled (every ${this.config.intervalHours}h into ${this.dir}, keeping ${this.config.keep} + ${this.config.keepWeekly} weekly)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        clearTimeout(this.firstCheck);
+        this.timer = null;
+        this.firstCheck = null;
+    }
+
+    /** When the next scheduled backup is due (ms), from the last good one. */
+    nextDueAt() {
+        const last = this.listBackups()[0];
+        if (!last) return Date.now();
+        return parseUtcText(last.createdAt) + this.config.intervalHours * 60 * 60 * 1000;
+    }
+
+    async runIfDue() {
+        if (Date.now() < this.nextDueAt()) return null;
+        return this.createBackup({ reason: 'scheduled' });
+    }
+
+    /**
+     * Take a backup now: a SQLite snapshot, or a logical dump on Postgres.
+     * @param {{ reason?: 'scheduled'|'manual'|'cli' }} [options]
+     * @returns {Promise<Object>} the manifest
+     */
+    async createBackup({ reason = 'manual' } = {}) {
+        if (this.running) throw new BackupError(409, 'IN_PROGRESS', 'A backup is already running.');
+        if (reason === 'manual') {
+            const last = this.listBackups()[0];
+            if (last && Date.now() - parseUtcText(last.createdAt) < MANUAL_COOLDOWN_MS) {
+                throw new BackupError(429, 'TOO_SOON', `The last backup (${last.id}) is less than 10 minutes old.`);
+            }
+        }
+        const outcome = await db.withSingletonLock('db_backup', async () => {
+            this.running = true;
+            try {
+                return await this._createBackupBody(reason);
+            } finally {
+                this.running = false;
+            }
+        });
+        if (!outcome.acquired) {
+            throw new BackupError(409, 'IN_PROGRESS', 'Another process is taking a backup right now.');
+        }
+        return outcome.result;
+    }
+
+    async _createBackupBody(reason) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const started = Date.now();
+        const kind = db.engine === 'sqlite' ? 'sqlite' : 'dump';
+        const id = this._newId(started, kind);
+        const filePath = path.join(this.dir, `${id}${FILE_EXTENSIONS[kind]}`);
+        try {
+            let details;
+            if (kind === 'sqlite') {
+                this._checkFreeSpace();
+                const partial = `${filePath}.partial`;
+                try {
+                    await db.getDb().backup(partial);
+                    standalone(partial);
+                    details = this._verifySnapshot(partial);
+                } catch (error) {
+                    removeSqliteFiles(partial);
+                    throw error;
+                }
+                fs.renameSync(partial, filePath);
+                details.sha256 = sha256File(filePath);
+            } else {
+                details = await this._dumpLive(filePath);
+            }
+
+            const manifest = {
+                id,
+                kind,
+                engine: db.engine,
+                reason,
+                createdAt: utcText(new Date(started)),
+                durationMs: Date.now() - started,
+                fileName: path.basename(filePath),
+                sizeBytes: fs.statSync(filePath).size,
+                ...details
+            };
+            fs.writeFileSync(path.join(this.dir, `${id}.json`), `${JSON.stringify(manifest, null, 2)}\n`);
+            fs.rmSync(path.join(this.dir, FAILURE_FILE), { force: true });
+
+            const removed = this.rotate();
+            console.log(`[Backup] ${id} written (${kind}, ${manifest.sizeBytes} bytes, ${manifest.durationMs} ms)${removed.length ? `; rotated out ${removed.length}` : ''}`);
+            return manifest;
+        } catch (error) {
+            fs.rmSync(filePath, { force: true });
+            this._recordFailure(reason, error);
+            if (error instanceof BackupError) throw error;
+            throw new BackupError(500, 'BACKUP_FAILED', `Backup failed: ${error.message}`);
+        }
+    }
+
+    /** Sortable, collision-free id: goobster-YYYYMMDD-HHMMSS[-n]. */
+    _newId(ms, kind) {
+        const stamp = new Date(ms).toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\.\d+Z$/, '');
+        let id = `goobster-${stamp}`;
+        for (let n = 2; fs.existsSync(path.join(this.dir, `${id}.json`))
+            || fs.existsSync(path.join(this.dir, `${id}${FILE_EXTENSIONS[kind]}`)); n++) {
+            id = `goobster-${stamp}-${n}`;
+        }
+        return id;
+    }
+
+    /** Refuse a snapshot that would fill the disk the database lives on. */
+    _checkFreeSpace() {
+        const raw = db.getDb();
+        const needed = raw.pragma('page_count', { simple: true }) * raw.pragma('page_size', { simple: true });
+        let free;
+        try {
+            const stats = fs.statfsSync(this.dir);
+            free = stats.bavail * stats.bsize;
+        } catch {
+            return; // statfs unsupported here: let the write itself fail
+        }
+        if (free < needed * 1.1) {
+            throw new BackupError(507, 'NO_SPACE',
+                `Not enough free space in ${this.dir}: the snapshot needs about ${needed} bytes, ${free} are free.`);
+        }
+    }
+
+    /**
+     * Open a snapshot read-only and check it: page integrity, the schema
+     * version it carries, and what it holds.
+     * @param {string} filePath
+     * @returns {{ schemaVersion: number, integrity: string, tableCount: number, vecTables: string[] }}
+     */
+    _verifySnapshot(filePath) {
+        const Database = require('better-sqlite3');
+        const handle = new Database(filePath, { readonly: true, fileMustExist: true });
+        try {
+            try {
+                require('sqlite-vec').load(handle);
+            } catch {
+                // Without the extension vec0 tables still pass the page check.
+            }
+            const integrity = handle.pragma('quick_check', { simple: true });
+            if (integrity !== 'ok') {
+                throw new BackupError(500, 'CORRUPT', `The snapshot failed its integrity check: ${integrity}`);
+            }
+            const tables = handle.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+            return {
+                schemaVersion: handle.pragma('user_version', { simple: true }),
+                integrity,
+                tableCount: tables.filter(name => !logicalDump.isSkippedTable(name)).length,
+                vecTables: tables.filter(name => /^memory_vec_\d+$/.test(name))
+            };
+        } finally {
+            handle.close();
+        }
+    }
+
+    /** A logical dump of the live database, consistent on both engines. */
+    async _dumpLive(filePath) {
+        let result;
+        if (db.engine === 'sqlite') {
+            // Dump from a snapshot so the rows all come from one instant.
+            const snapshot = `${filePath}.snapshot`;
+            try {
+                await db.getDb().backup(snapshot);
+                standalone(snapshot);
+                const source = logicalDump.sqliteFileSource(snapshot);
+                try {
+                    result = await logicalDump.writeDump(source, filePath);
+                } finally {
+                    source.close();
+                }
+            } finally {
+                removeSqliteFiles(snapshot);
+            }
+        } else {
+            await db.transaction(async () => {
+                await db.run('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+                result = await logicalDump.writeDump(logicalDump.facadeSource(db), filePath);
+            });
+        }
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            integrity: 'ok',
+            sha256: result.sha256,
+            rowCount: result.rowCount,
+            tableCount: Object.keys(result.tables).length,
+            vecTables: []
+        };
+    }
+
+    /**
+     * Write an engine-neutral dump of the live database to `filePath`
+     * (the cross-engine migration path; not catalogued or rotated).
+     * @param {string} filePath
+     */
+    async dumpTo(filePath) {
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        return this._dumpLive(filePath);
+    }
+
+    _recordFailure(reason, error) {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(path.join(this.dir, FAILURE_FILE), `${JSON.stringify({
+                reason,
+                failedAt: utcText(new Date()),
+                code: error.code || 'BACKUP_FAILED',
+                message: error.message
+            }, null, 2)}\n`);
+        } catch (writeError) {
+            console.error('[Backup] Could not record the failure:', writeError.message);
+        }
+    }
+
+    /**
+     * Every catalogued backup whose file is present, newest first.
+     * @returns {Object[]} manifests
+     */
+    listBackups() {
+        let names;
+        try {
+            names = fs.readdirSync(this.dir);
+        } catch {
+            return [];
+        }
+        const manifests = [];
+        for (const name of names) {
+            if (!name.endsWith('.json') || name === FAILURE_FILE) continue;
+            try {
+                const manifest = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+                if (!manifest.id || !manifest.fileName) continue;
+                if (!fs.existsSync(path.join(this.dir, manifest.fileName))) continue;
+                manifests.push(manifest);
+            } catch {
+                // A half-written or hand-edited manifest is not a backup.
+            }
+        }
+        return manifests.sort((a, b) => parseUtcText(b.createdAt) - parseUtcText(a.createdAt) || b.id.localeCompare(a.id));
+    }
+
+    /**
+     * Delete backups the retention policy no longer keeps.
+     * @returns {string[]} removed ids
+     */
+    rotate() {
+        const backups = this.listBackups();
+        const kept = selectForRetention(backups, this.config);
+        const removed = [];
+        for (const backup of backups) {
+            if (kept.has(backup.id)) continue;
+            fs.rmSync(path.join(this.dir, backup.fileName), { force: true });
+            fs.rmSync(path.join(this.dir, `${backup.id}.json`), { force: true });
+            removed.push(backup.id);
+        }
+        return removed;
+    }
+
+    /** What /backup and the panel show. */
+    status() {
+        const backups = this.listBackups();
+        let lastFailure = null;
+        try {
+            lastFailure = JSON.parse(fs.readFileSync(path.join(this.dir, FAILURE_FILE), 'utf8'));
+        } catch {
+            // no failure since the last good backup
+        }
+        return {
+            engine: db.engine,
+            enabled: this.config.enabled,
+            dir: this.dir,
+            intervalHours: this.config.intervalHours,
+            keep: this.config.keep,
+            keepWeekly: this.config.keepWeekly,
+            schemaVersion: SCHEMA_VERSION,
+            running: this.running,
+            lastGood: backups[0] || null,
+            lastFailure,
+            nextDueAt: this.config.enabled ? utcText(new Date(Math.max(Date.now(), this.nextDueAt()))) : null,
+            count: backups.length,
+            totalBytes: backups.reduce((sum, backup) => sum + (backup.sizeBytes || 0), 0)
+        };
+    }
+
+    /**
+     * Pick a backup by id, or the newest one taken at or before `at`
+     * (point-in-time), or the newest one.
+     * @param {{ id?: string, at?: string|Date }} [selector]
+     * @returns {Object} manifest
+     */
+    resolveBackup({ id, at } = {}) {
+        const backups = this.listBackups();
+        if (id) {
+            const found = backups.find(backup => backup.id === id);
+            if (!found) throw new BackupError(404, 'NOT_FOUND', `No backup ${id} in ${this.dir}.`);
+            return found;
+        }
+        if (at) {
+            const cutoff = at instanceof Date ? at.getTime() : Date.parse(at);
+            if (!Number.isFinite(cutoff)) throw new BackupError(400, 'BAD_TIME', `Cannot read the time "${at}".`);
+            const found = backups.find(backup => parseUtcText(backup.createdAt) <= cutoff);
+            if (!found) throw new BackupError(404, 'NOT_FOUND', `No backup was taken at or before ${new Date(cutoff).toISOString()}.`);
+            return found;
+        }
+        if (backups.length === 0) throw new BackupError(404, 'NOT_FOUND', `No backups in ${this.dir}.`);
+        return backups[0];
+    }
+
+    /**
+     * Check a backup before trusting it: the file hash against its manifest,
+     * page integrity (snapshots) or the header (dumps), and the schema
+     * version against this build's migrations.
+     * @param {Object} manifest
+     * @returns {Promise<{ schemaVersion: number, upgrade: boolean }>}
+     */
+    async verifyBackup(manifest) {
+        const filePath = path.join(this.dir, manifest.fileName);
+        if (sha256File(filePath) !== manifest.sha256) {
+            throw new BackupError(422, 'CHECKSUM_MISMATCH', `${manifest.fileName} does not match the checksum recorded when it was taken.`);
+        }
+        let schemaVersion;
+        if (manifest.kind === 'sqlite') {
+            schemaVersion = this._verifySnapshot(filePath).schemaVersion;
+        } else {
+            try {
+                schemaVersion = (await logicalDump.readDumpHeader(filePath)).schemaVersion;
+            } catch (error) {
+                throw new BackupError(422, error.code || 'CORRUPT', error.message);
+            }
+        }
+        if (schemaVersion > SCHEMA_VERSION) {
+            throw new BackupError(409, 'SCHEMA_TOO_NEW',
+                `${manifest.id} was written by schema version ${schemaVersion}; this build is at ${SCHEMA_VERSION}. Update Goobster before restoring it.`);
+        }
+        // Older backups are fine: the column migrations bring them forward
+        // the next time the database opens (0 = taken before versioning).
+        return { schemaVersion, upgrade: schemaVersion < SCHEMA_VERSION };
+    }
+
+    /**
+     * Restore a backup. Snapshots replace the SQLite file (the current one
+     * is kept beside it as `<db>.pre-restore-<stamp>`); dumps are loaded
+     * into the configured engine, replacing its rows. Stop the bot first.
+     * @param {{ id?: string, at?: string|Date }} [selector]
+     * @returns {Promise<Object>} { backup, schemaVersion, upgrade, previous?, load? }
+     */
+    async restore(selector = {}) {
+        const manifest = this.resolveBackup(selector);
+        const check = await this.verifyBackup(manifest);
+        const filePath = path.join(this.dir, manifest.fileName);
+
+        if (manifest.kind === 'dump') {
+            let load;
+            try {
+                load = await logicalDump.loadDump(db, filePath, { replace: true });
+            } catch (error) {
+                if (error instanceof logicalDump.DumpError) throw new BackupError(422, error.code, error.message);
+                throw error;
+            }
+            return { backup: manifest, ...check, load };
+        }
+
+        if (process.env.GOOBSTER_DB_URL) {
+            throw new BackupError(400, 'WRONG_ENGINE',
+                `${manifest.id} is a SQLite snapshot; unset GOOBSTER_DB_URL to restore it, or load a dump into Postgres.`);
+        }
+        await db.closeConnection();
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\.\d+Z$/, '');
+        const previous = `${this.dbPath}.pre-restore-${stamp}`;
+        let movedAside = false;
+        if (fs.existsSync(this.dbPath)) {
+            for (const suffix of ['', '-wal', '-shm']) {
+                if (fs.existsSync(this.dbPath + suffix)) fs.renameSync(this.dbPath + suffix, previous + suffix);
+            }
+            movedAside = true;
+        }
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        fs.copyFileSync(filePath, this.dbPath);
+        return { backup: manifest, ...check, previous: movedAside ? previous : null };
+    }
+}
+
+module.exports = new BackupService();
+module.exports.BackupService = BackupService;
+module.exports.BackupError = BackupError;
+module.exports.selectForRetention = selectForRetention;
@@ -0,0 +1,802 @@
+/**
+ * Self-service data export: the "take it with you" half of the privacy
+ * controls, next to /what-do-you-know-about-me (privacyService.buildUserReport)
+ * and /forget-me (privacyService.forgetUser).
+ *
+ * /export-my-data and the portal's "Download my data" button build one ZIP
+ * per request: a JSON file per area (memories, facts, knowledge graph, chat
+ * history, Parlor, Observatory, MTGA decks, economy, tavern, ...) covering
+ * every row privacyService.auditUser counts, plus the user's original files
+ * (Observatory workspaces, uploaded chat images, knowledge-graph artifacts,
+ * generated files). Credentials never leave: stored integration tokens,
+ * session hashes, share-link tokens and uncommitted provably-fair server
+ * seeds are redacted, and embedding vectors are omitted.
+ *
+ * The archive is served by an unguessable, time-limited link
+ * (/app/export/<token>, web app) - only the token's SHA-256 is stored, the
+ * web_sessions pattern. Every build, download, refused download and expiry
+ * lands in data_export_events, the audit trail. Expired archives are
+ * deleted from disk; /forget-me deletes them all and anonymizes the trail.
+ */
+
+const path = require('node:path');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const db = require('../db');
+const { dmScopeId } = require('../utils/dmScope');
+const { ZipWriter } = require('../utils/zipArchive');
+
+// Overridable for tests (the GOOBSTER_UPLOADS_DIR pattern)
+const EXPORTS_ROOT = process.env.GOOBSTER_EXPORTS_DIR
+    || path.join(require('../runtimePaths').dataDir, 'exports');
+
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+/** One fresh archive per user per window - each build walks every table. */
+const EXPORT_COOLDOWN_MS = 10 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+/** Single files above this are listed in the manifest but not copied. */
+const MAX_FILE_BYTES = 100 * 1024 * 1024;
+/** Stop copying files once the archive reaches this size (ZIP32 headroom). */
+const MAX_ARCHIVE_BYTES = 2 * 1024 * 1024 * 1024;
+const FORMAT_VERSION = 1;
+const REDACTED = '[redacted]';
+const USER_ID_PATTERN = /^\d{5,20}$/;
+
+/**
+ * What goes into the archive: one JSON file per section, one key per table.
+ * `audit` names the privacyService.auditUser counter the table answers to
+ * (the export covers every one of them - tests hold it to that). `omit`
+ * drops columns outright; `redact` keeps the column but not its value.
+ * Params: @userId, @dmScope, @userScope ('USER:<id>'), @internalId (users.id).
+ */
+const SECTIONS = [
+    {
+        file: 'profile',
+        tables: [
+            { key: 'users', audit: 'users', sql: 'SELECT * FROM users WHERE discordId = @userId' },
+            { key: 'nicknames', audit: 'user_nicknames', sql: 'SELECT * FROM user_nicknames WHERE userId = @userId ORDER BY id' },
+            { key: 'preferences', audit: 'UserPreferences', sql: 'SELECT * FROM UserPreferences WHERE userId = @userId' },
+            { key: 'dmSettings', audit: 'dm_guild_settings', sql: 'SELECT * FROM guild_settings WHERE guildId = @dmScope' },
+            { key: 'friends', audit: 'user_friends', sql: 'SELECT * FROM user_friends WHERE ownerId = @userId OR friendId = @userId' },
+            {
+                key: 'integrations', audit: 'user_integrations', redact: ['token'],
+                sql: 'SELECT * FROM user_integrations WHERE userId = @userId'
+            }
+        ]
+    },
+    {
+        file: 'memories',
+        tables: [
+            {
+                key: 'memories', audit: 'memory_embeddings', omitted: ['embedding'],
+                sql: `SELECT id, guildId, channelId, authorId, authorName, content, model, distilledAt, createdAt
+                      FROM memory_embeddings
+                      WHERE authorId = @userId OR guildId = @dmScope ORDER BY id`
+            },
+            {
+                key: 'facts', audit: 'facts',
+                sql: `SELECT * FROM facts
+                      WHERE (subjectType = 'USER' AND subjectId = @userId) OR guildId = @dmScope ORDER BY id`
+            }
+        ]
+    },
+    {
+        file: 'knowledge_graph',
+        tables: [
+            {
+                key: 'nodes', audit: 'kg_nodes',
+                sql: 'SELECT * FROM kg_nodes WHERE scopeKey = @userScope OR guildId = @dmScope ORDER BY id'
+            },
+            {
+                key: 'edges',
+                sql: 'SELECT * FROM kg_edges WHERE scopeKey = @userScope OR guildId = @dmScope ORDER BY id'
+            },
+            { key: 'artifacts', audit: 'kg_artifacts', sql: 'SELECT * FROM kg_artifacts WHERE authorId = @userId ORDER BY id' },
+            {
+                key: 'history', audit: 'kg_history',
+                sql: 'SELECT * FROM kg_history WHERE scopeKey = @userScope OR guildId = @dmScope ORDER BY id'
+            },
+            {
+                key: 'passages', audit: 'kg_node_chunks',
+                sql: `SELECT id, nodeId, guildId, scopeKey, chunkIndex, content, model, createdAt FROM kg_node_chunks
+                      WHERE scopeKey = @userScope OR guildId = @dmScope ORDER BY id`
+            },
+            {
+                key: 'imports', audit: 'kg_imports',
+                sql: `SELECT * FROM kg_imports
+                      WHERE requestedBy = @userId OR scopeKey = @userScope OR guildId = @dmScope ORDER BY id`
+            },
+            {
+                key: 'import_files',
+                sql: `SELECT f.* FROM kg_import_files f JOIN kg_imports i ON i.id = f.importId
+                      WHERE i.requestedBy = @userId OR i.scopeKey = @userScope OR i.guildId = @dmScope ORDER BY f.id`
+            }
+        ]
+    },
+    {
+        file: 'conversations',
+        tables: [
+            { key: 'prompts', sql: 'SELECT * FROM prompts WHERE userId = @internalId ORDER BY id' },
+            { key: 'conversations', sql: 'SELECT * FROM conversations WHERE userId = @internalId ORDER BY id' },
+            {
+                key: 'messages',
+                sql: `SELECT * FROM messages
+                      WHERE conversationId IN (SELECT id FROM conversations WHERE userId = @internalId)
+                         OR createdBy = @internalId
+                         OR guildConversationId IN (SELECT id FROM guild_conversations WHERE guildId = @dmScope)
+                      ORDER BY id`
+            },
+            { key: 'dmConversations', audit: 'dm_conversations', sql: 'SELECT * FROM guild_conversations WHERE guildId = @dmScope ORDER BY id' },
+            {
+                key: 'dmSummaries',
+                sql: `SELECT * FROM conversation_summaries WHERE guildConversationId IN
+                          (SELECT id FROM guild_conversations WHERE guildId = @dmScope) ORDER BY id`
+            },
+            { key: 'webConversations', audit: 'web_conversations', sql: 'SELECT * FROM web_conversations WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'webShareLinks', audit: 'web_share_links', redact: ['token'],
+                sql: 'SELECT * FROM web_share_links WHERE userId = @userId ORDER BY id'
+            }
+        ]
+    },
+    {
+        file: 'tasks',
+        tables: [
+            { key: 'followups', audit: 'followups', sql: 'SELECT * FROM followups WHERE userId = @userId ORDER BY id' },
+            { key: 'automations', audit: 'automations', sql: 'SELECT * FROM automations WHERE userId = @userId ORDER BY id' }
+        ]
+    },
+    {
+        file: 'parlor',
+        tables: [
+            { key: 'personas', audit: 'parlor_personas', sql: 'SELECT * FROM parlor_personas WHERE ownerId = @userId ORDER BY id' },
+            {
+                key: 'notes', omitted: ['embedding'],
+                sql: `SELECT id, personaId, title, content, source, sourceConversationId, model, createdAt, updatedAt
+                      FROM parlor_notes
+                      WHERE personaId IN (SELECT id FROM parlor_personas WHERE ownerId = @userId) ORDER BY id`
+            },
+            {
+                key: 'tags',
+                sql: `SELECT * FROM parlor_tags
+                      WHERE personaId IN (SELECT id FROM parlor_personas WHERE ownerId = @userId) ORDER BY id`
+            },
+            {
+                key: 'noteTags',
+                sql: `SELECT * FROM parlor_note_tags WHERE noteId IN
+                          (SELECT id FROM parlor_notes WHERE personaId IN
+                              (SELECT id FROM parlor_personas WHERE ownerId = @userId))`
+            },
+            { key: 'discussions', audit: 'parlor_conversations', sql: 'SELECT * FROM parlor_conversations WHERE ownerId = @userId ORDER BY id' },
+            {
+                key: 'participants',
+                sql: `SELECT * FROM parlor_participants WHERE conversationId IN
+                          (SELECT id FROM parlor_conversations WHERE ownerId = @userId)`
+            },
+            {
+                key: 'messages', audit: 'parlor_messages_authored',
+                sql: `SELECT * FROM parlor_messages
+                      WHERE userId = @userId
+                         OR conversationId IN (SELECT id FROM parlor_conversations WHERE ownerId = @userId)
+                      ORDER BY id`
+            },
+            { key: 'memberships', audit: 'parlor_members', sql: 'SELECT * FROM parlor_members WHERE userId = @userId' },
+            { key: 'invitations', audit: 'parlor_invites', sql: 'SELECT * FROM parlor_invites WHERE inviteeId = @userId ORDER BY id' }
+        ]
+    },
+    {
+        file: 'research',
+        tables: [
+            { key: 'expeditions', audit: 'spitball_expeditions', sql: 'SELECT * FROM spitball_expeditions WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'cycles', audit: 'spitball_expedition_cycles',
+                sql: `SELECT * FROM spitball_expedition_cycles WHERE expeditionId IN
+                          (SELECT id FROM spitball_expeditions WHERE userId = @userId) ORDER BY id`
+            },
+            { key: 'sources', audit: 'research_sources', sql: 'SELECT * FROM research_sources WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'claims', audit: 'research_claims',
+                sql: `SELECT * FROM research_claims WHERE expeditionId IN
+                          (SELECT id FROM spitball_expeditions WHERE userId = @userId) ORDER BY id`
+            }
+        ]
+    },
+    {
+        file: 'observatory',
+        tables: [
+            { key: 'projects', audit: 'observatory_projects', sql: 'SELECT * FROM observatory_projects WHERE userId = @userId ORDER BY id' },
+            { key: 'jobs', audit: 'observatory_jobs', sql: 'SELECT * FROM observatory_jobs WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'shareLinks', audit: 'observatory_share_links', redact: ['token'],
+                sql: 'SELECT * FROM observatory_share_links WHERE userId = @userId ORDER BY id'
+            }
+        ]
+    },
+    {
+        file: 'mtga',
+        tables: [
+            { key: 'folders', audit: 'mtga_folders', sql: 'SELECT * FROM mtga_folders WHERE userId = @userId ORDER BY id' },
+            { key: 'decks', audit: 'mtga_decks', sql: 'SELECT * FROM mtga_decks WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'cards',
+                sql: `SELECT * FROM mtga_deck_cards WHERE deckId IN
+                          (SELECT id FROM mtga_decks WHERE userId = @userId) ORDER BY id`
+            }
+        ]
+    },
+    {
+        file: 'economy',
+        tables: [
+            { key: 'wallets', audit: 'economy_wallets', sql: 'SELECT * FROM economy_wallets WHERE userId = @userId' },
+            { key: 'transactions', audit: 'economy_transactions', sql: 'SELECT * FROM economy_transactions WHERE userId = @userId ORDER BY id' },
+            { key: 'stockHoldings', audit: 'stock_holdings', sql: 'SELECT * FROM stock_holdings WHERE userId = @userId' },
+            { key: 'stockTrades', audit: 'stock_trades', sql: 'SELECT * FROM stock_trades WHERE userId = @userId ORDER BY id' },
+            ...[
+                'exchange_accounts', 'short_positions', 'option_positions', 'option_trades',
+                'exchange_orders', 'prediction_positions', 'exchange_events',
+                'perp_positions', 'exchange_optins', 'exchange_season_entries', 'book_orders'
+            ].map(table => ({ key: table, audit: table, sql: `SELECT * FROM ${table} WHERE userId = @userId` })),
+            { key: 'tournamentEntries', audit: 'tournament_entries', sql: 'SELECT * FROM tournament_entries WHERE userId = @userId' },
+            { key: 'tournamentsCreated', audit: 'tournaments', sql: 'SELECT * FROM tournaments WHERE createdBy = @userId ORDER BY id' },
+            // The committed seed is only revealed when the hand settles;
+            // exporting it early would let its owner predict the next hand.
+            { key: 'fairSeeds', audit: 'fair_seeds', redact: ['serverSeed'], sql: 'SELECT * FROM fair_seeds WHERE userId = @userId' },
+            { key: 'fairRounds', audit: 'fair_round_players', sql: 'SELECT * FROM fair_round_players WHERE userId = @userId' },
+            { key: 'tableHands', audit: 'table_hand_players', sql: 'SELECT * FROM table_hand_players WHERE userId = @userId' }
+        ]
+    },
+    {
+        file: 'tavern',
+        tables: [
+            { key: 'characters', audit: 'tavern_characters', sql: 'SELECT * FROM tavern_characters WHERE userId = @userId ORDER BY id' },
+            { key: 'partyMemberships', audit: 'tavern_party_members', sql: 'SELECT * FROM tavern_party_members WHERE userId = @userId' },
+            { key: 'adventureLog', audit: 'tavern_adventure_log', sql: 'SELECT * FROM tavern_adventure_log WHERE userId = @userId ORDER BY id' },
+            { key: 'npcRelationships', audit: 'tavern_npc_relationships', sql: 'SELECT * FROM tavern_npc_relationships WHERE userId = @userId' },
+            { key: 'rooms', audit: 'tavern_rooms', sql: 'SELECT * FROM tavern_rooms WHERE userId = @userId' },
+            { key: 'postDeclarations', audit: 'tavern_post_declarations', sql: 'SELECT * FROM tavern_post_declarations WHERE userId = @userId' }
+        ]
+    },
+    {
+        file: 'attention',
+        tables: ['attention_items', 'attention_notices', 'attention_feedback', 'attention_watches', 'attention_policies', 'attention_state']
+            .map(table => ({ key: table, audit: table, sql: `SELECT * FROM ${table} WHERE userId = @userId` }))
+    },
+    {
+        file: 'web',
+        tables: [
+            {
+                key: 'sessions', audit: 'web_sessions', omitted: ['tokenHash'],
+                sql: 'SELECT id, userId, userName, avatar, createdAt, lastSeenAt, expiresAt FROM web_sessions WHERE userId = @userId ORDER BY id'
+            },
+            { key: 'applets', audit: 'web_applets', sql: 'SELECT * FROM web_applets WHERE userId = @userId ORDER BY id' },
+            { key: 'generatedFiles', audit: 'web_generated_files', sql: 'SELECT * FROM web_generated_files WHERE userId = @userId ORDER BY createdAt' },
+            { key: 'rateEvents', audit: 'web_rate_events', sql: 'SELECT * FROM web_rate_events WHERE subject = @userId ORDER BY id' },
+            { key: 'liveTurns', audit: 'web_live_turns', sql: 'SELECT * FROM web_live_turns WHERE userId = @userId' }
+        ]
+    },
+    {
+        file: 'activity',
+        tables: [
+            { key: 'usage', audit: 'usage_log', sql: 'SELECT * FROM usage_log WHERE userId = @userId ORDER BY id' },
+            { key: 'commands', audit: 'command_log', sql: 'SELECT * FROM command_log WHERE userId = @userId ORDER BY id' },
+            { key: 'messageCounts', audit: 'guild_activity', sql: 'SELECT * FROM guild_activity WHERE userId = @userId' }
+        ]
+    },
+    {
+        file: 'sandbox',
+        tables: [
+            { key: 'requests', audit: 'sandbox_requests', sql: 'SELECT * FROM sandbox_requests WHERE userId = @userId ORDER BY id' },
+            {
+                key: 'packagesAttributed', audit: 'sandbox_packages_attributed',
+                sql: 'SELECT * FROM sandbox_packages WHERE requestedBy = @userId OR approvedBy = @userId ORDER BY id'
+            }
+        ]
+    },
+    {
+        file: 'data_exports',
+        tables: [
+            {
+                key: 'exports', audit: 'data_exports', omitted: ['tokenHash'],
+                sql: `SELECT id, userId, via, status, fileName, sizeBytes, rowCount, fileCount,
+                             downloadCount, lastDownloadedAt, createdAt, expiresAt
+                      FROM data_exports WHERE userId = @userId ORDER BY id`
+            },
+            { key: 'events', audit: 'data_export_events', sql: 'SELECT * FROM data_export_events WHERE userId = @userId ORDER BY id' }
+        ]
+    }
+];
+
+const README = `Goobster data export
+====================
+
+Everything this Goobster instance has stored about you, as of the
+createdAt time in manifest.json.
+
+  manifest.json  what is in this archive: row counts per table, the files
+                 included, and anything redacted, omitted or skipped
+  data/*.json    your database rows, one file per area, one key per table
+                 (column names and values exactly as stored)
+  files/         your original files: Observatory workspaces, uploaded
+                 chat images, knowledge-graph artifacts, generated files
+
+Stored credentials (integration API tokens, session and share-link tokens)
+are redacted, and embedding vectors are left out - they are derived from
+the text that is included.
+
+/forget-me erases everything listed here.
+`;
+
+/** Machine-readable export error (HTTP status + code, WebDashboardError shape). */
+class DataExportError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'DataExportError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/** @param {string} token */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class DataExportService {
+    /**
+     * @param {Object} [deps] - overrides for tests
+     * @param {string} [deps.exportsRoot]
+     * @param {number} [deps.ttlMs]
+     * @param {number} [deps.cooldownMs]
+     * @param {string|null} [deps.publicUrl] - web app base url (default: config.json webapp)
+     * @param {Function} [deps.fileSources] - (userId) -> Promise<Array<{ archivePath, absolutePath }>>
+     */
+    constructor(deps = {}) {
+        this.exportsRoot = deps.exportsRoot || EXPORTS_ROOT;
+        this.ttlMs = deps.ttlMs ?? EXPORT_TTL_MS;
+        this.cooldownMs = deps.cooldownMs ?? EXPORT_COOLDOWN_MS;
+        this._publicUrl = deps.publicUrl;
+        this._fileSources = deps.fileSources || (userId => this._collectFiles(userId));
+        this._building = new Set();
+        this.timer = null;
+    }
+
+    /** Hourly sweep that deletes expired archives from disk. */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.pruneExpired().catch(error =>
+            console.error('[DataExport] Prune failed:', error.message)
+        ), PRUNE_INTERVAL_MS);
+        this.timer.unref?.();
+        this.pruneExpired().catch(error => console.error('[DataExport] Initial prune failed:', error.message));
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * The public web app base url downloads are served from, or null when
+     * the web app is not enabled with a publicUrl (then the link only works
+     * as a path on the bot's own server).
+     * @returns {string|null}
+     */
+    publicBaseUrl() {
+        if (this._publicUrl !== undefined) return this._publicUrl ? this._publicUrl.replace(/\/+$/, '') : null;
+        try {
+            const webapp = require('../../../config.json').webapp || {};
+            if (webapp.enabled === true && typeof webapp.publicUrl === 'string' && webapp.publicUrl) {
+                return webapp.publicUrl.replace(/\/+$/, '');
+            }
+        } catch { /* no config.json (tests) */ }
+        return null;
+    }
+
+    /**
+     * Build a user's archive and mint its download link.
+     * @param {Object} params
+     * @param {string} params.userId - Discord user snowflake
+     * @param {'discord'|'web'} params.via - where it was requested
+     * @returns {Promise<Object>} { id, token, url, link, path, fileName, sizeBytes,
+     *   rowCount, fileCount, skipped, expiresAt }
+     */
+    async createExport({ userId, via }) {
+        userId = String(userId || '');
+        if (!USER_ID_PATTERN.test(userId)) {
+            throw new DataExportError(400, 'BAD_USER', 'A Discord user id is required to export data.');
+        }
+        if (!['discord', 'web'].includes(via)) {
+            throw new DataExportError(400, 'BAD_REQUEST', `Unknown export source "${via}".`);
+        }
+        if (this._building.has(userId)) {
+            throw new DataExportError(409, 'IN_PROGRESS', 'Your export is already being built - give it a moment.');
+        }
+        await this.pruneExpired();
+
+        if (this.cooldownMs > 0) {
+            const recent = await db.get(
+                `SELECT createdAt FROM data_exports
+                 WHERE userId = @userId AND createdAt > @since
+                 ORDER BY id DESC LIMIT 1`,
+                { userId, since: new Date(Date.now() - this.cooldownMs) }
+            );
+            if (recent) {
+                const readyAt = Date.parse(`${recent.createdAt.replace(' ', 'T')}Z`) + this.cooldownMs;
+                const minutes = Math.max(1, Math.ceil((readyAt - Date.now()) / 60000));
+                throw new DataExportError(429, 'TOO_SOON',
+                    `You built an export a few minutes ago and its link still works. You can build a fresh one in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+            }
+        }
+
+        this._building.add(userId);
+        try {
+            return await this._build(userId, via);
+        } finally {
+            this._building.delete(userId);
+        }
+    }
+
+    async _build(userId, via) {
+        const createdAt = new Date();
+        const stamp = createdAt.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const fileName = `goobster-export-${userId}-${stamp}.zip`;
+        const dir = path.join(this.exportsRoot, userId);
+        fs.mkdirSync(dir, { recursive: true });
+        const archivePath = path.join(dir, `${crypto.randomBytes(8).toString('hex')}.zip`);
+
+        const zip = new ZipWriter(archivePath);
+        let manifest;
+        try {
+            const data = await this.collectData(userId);
+            for (const [file, tables] of Object.entries(data.sections)) {
+                zip.addBuffer(`data/${file}.json`, JSON.stringify(tables, null, 2));
+            }
+
+            const files = [];
+            const skipped = [];
+            for (const source of await this._fileSources(userId)) {
+                let stat;
+                try {
+                    stat = fs.lstatSync(source.absolutePath);
+                } catch {
+                    continue; // vanished between listing and copying
+                }
+                if (!stat.isFile()) continue;
+                if (stat.size > MAX_FILE_BYTES) {
+                    skipped.push({ path: source.archivePath, bytes: stat.size, reason: 'file larger than 100 MB' });
+                    continue;
+                }
+                if (zip.size + stat.size > MAX_ARCHIVE_BYTES) {
+                    skipped.push({ path: source.archivePath, bytes: stat.size, reason: 'archive size limit reached' });
+                    continue;
+                }
+                zip.addFile(source.archivePath, source.absolutePath);
+                files.push({ path: source.archivePath, bytes: stat.size });
+            }
+
+            manifest = {
+                format: 'goobster-data-export',
+                version: FORMAT_VERSION,
+                userId,
+                createdAt: createdAt.toISOString(),
+                rowCount: data.rowCount,
+                tables: data.counts,
+                redacted: data.redacted,
+                omitted: data.omitted,
+                files,
+                skipped
+            };
+            zip.addBuffer('manifest.json', JSON.stringify(manifest, null, 2));
+            zip.addBuffer('README.txt', README);
+            zip.close();
+        } catch (error) {
+            zip.abort();
+            throw error;
+        }
+        const sizeBytes = fs.statSync(archivePath).size;
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(createdAt.getTime() + this.ttlMs);
+        const row = await db.get(
+            `INSERT INTO data_exports
+                (userId, tokenHash, via, fileName, sizeBytes, rowCount, fileCount, expiresAt)
+             VALUES (@userId, @tokenHash, @via, @fileName, @sizeBytes, @rowCount, @fileCount, @expiresAt)
+             RETURNING id, expiresAt`,
+            {
+                userId,
+                tokenHash: hashToken(token),
+                via,
+                fileName,
+                sizeBytes,
+                rowCount: manifest.rowCount,
+                fileCount: manifest.files.length,
+                expiresAt
+            }
+        );
+        // The archive is addressed by its row id from here on
+        const finalPath = path.join(dir, `${row.id}.zip`);
+        fs.renameSync(archivePath, finalPath);
+        await this.recordEvent({
+            exportId: row.id,
+            userId,
+            action: 'created',
+            via,
+            detail: { sizeBytes, rowCount: manifest.rowCount, fileCount: manifest.files.length, skipped: manifest.skipped.length }
+        });
+
+        const url = `/app/export/${token}`;
+        const base = this.publicBaseUrl();
+        return {
+            id: row.id,
+            token,
+            url,
+            link: base ? `${base}${url}` : null,
+            path: finalPath,
+            fileName,
+            sizeBytes,
+            rowCount: manifest.rowCount,
+            fileCount: manifest.files.length,
+            skipped: manifest.skipped,
+            expiresAt: row.expiresAt
+        };
+    }
+
+    /**
+     * Every exported table, grouped by archive section, with redactions
+     * applied. Also the core of the archive's manifest.
+     * @param {string} userId
+     * @returns {Promise<{ sections: Object, counts: Object, rowCount: number,
+     *   redacted: string[], omitted: string[] }>}
+     */
+    async collectData(userId) {
+        const userRow = await db.get('SELECT id FROM users WHERE discordId = @userId', { userId });
+        const params = {
+            userId,
+            dmScope: dmScopeId(userId),
+            userScope: `USER:${userId}`,
+            internalId: userRow ? userRow.id : null
+        };
+
+        const sections = {};
+        const counts = {};
+        const redacted = [];
+        const omitted = [];
+        let rowCount = 0;
+        for (const section of SECTIONS) {
+            const tables = {};
+            for (const spec of section.tables) {
+                const rows = await db.all(spec.sql, params);
+                for (const row of rows) {
+                    for (const column of spec.redact || []) {
+                        if (row[column] !== null && row[column] !== undefined) row[column] = REDACTED;
+                    }
+                }
+                tables[spec.key] = rows;
+                counts[`${section.file}.${spec.key}`] = rows.length;
+                rowCount += rows.length;
+                for (const column of spec.redact || []) redacted.push(`${section.file}.${spec.key}.${column}`);
+                for (const column of spec.omitted || []) omitted.push(`${section.file}.${spec.key}.${column}`);
+            }
+            sections[section.file] = tables;
+        }
+        return { sections, counts, rowCount, redacted, omitted };
+    }
+
+    /**
+     * The user's original files on disk, mapped to their archive paths.
+     * Symlinks are never followed (a workspace link must not smuggle host
+     * files into someone's archive).
+     * @param {string} userId
+     * @returns {Promise<Array<{ archivePath: string, absolutePath: string }>>}
+     */
+    async _collectFiles(userId) {
+        const sources = [];
+        const observatory = require('./observatoryService');
+        walkFiles(path.join(observatory.PROJECTS_ROOT, userId), 'files/observatory/projects', sources);
+        walkFiles(path.join(observatory.DASHBOARDS_ROOT, userId), 'files/observatory/dashboards', sources);
+        walkFiles(require('../utils/webUploads').userUploadDir(userId), 'files/web-uploads', sources);
+
+        const kgArtifactStorage = require('../utils/kgArtifactStorage');
+        const artifacts = await db.all(
+            'SELECT id, relativePath FROM kg_artifacts WHERE authorId = @userId ORDER BY id', { userId }
+        );
+        for (const artifact of artifacts) {
+            const absolutePath = kgArtifactStorage.resolveRelativePath(artifact.relativePath);
+            if (absolutePath) {
+                sources.push({ archivePath: `files/knowledge-artifacts/${artifact.id}-${path.basename(absolutePath)}`, absolutePath });
+            }
+        }
+
+        const generated = await db.all(
+            'SELECT id, path, name FROM web_generated_files WHERE userId = @userId ORDER BY createdAt', { userId }
+        );
+        for (const file of generated) {
+            if (file.path) {
+                sources.push({ archivePath: `files/generated/${file.id}-${path.basename(file.name || file.path)}`, absolutePath: file.path });
+            }
+        }
+        return sources;
+    }
+
+    /**
+     * Resolve a download token to its archive, recording the download.
+     * Expired links are refused (and recorded as refused).
+     * @param {string} token
+     * @param {Object} [options] - { via: 'web' | 'discord' }
+     * @returns {Promise<{ exportId: number, path: string, fileName: string, sizeBytes: number }>}
+     */
+    async resolveDownload(token, { via = 'web' } = {}) {
+        if (!token || typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+            throw new DataExportError(404, 'NOT_FOUND', 'This download link does not exist.');
+        }
+        const row = await db.get(
+            `SELECT id, userId, status, fileName, sizeBytes, expiresAt,
+                    CASE WHEN expiresAt > @now THEN 1 ELSE 0 END AS live
+             FROM data_exports WHERE tokenHash = @tokenHash`,
+            { tokenHash: hashToken(token), now: new Date() }
+        );
+        if (!row) throw new DataExportError(404, 'NOT_FOUND', 'This download link does not exist.');
+
+        const filePath = this._archivePath(row.userId, row.id);
+        if (row.status !== 'READY' || !row.live || !fs.existsSync(filePath)) {
+            await this.recordEvent({ exportId: row.id, userId: row.userId, action: 'denied', via, detail: { reason: 'expired' } });
+            if (row.status === 'READY') await this._expire(row);
+            throw new DataExportError(410, 'EXPIRED', 'This download link has expired. Run /export-my-data (or use the portal) for a fresh one.');
+        }
+
+        await db.run(
+            `UPDATE data_exports
+             SET downloadCount = downloadCount + 1, lastDownloadedAt = datetime('now')
+             WHERE id = @id`,
+            { id: row.id }
+        );
+        await this.recordEvent({ exportId: row.id, userId: row.userId, action: 'downloaded', via });
+        return { exportId: row.id, path: filePath, fileName: row.fileName, sizeBytes: row.sizeBytes };
+    }
+
+    /**
+     * Record a delivery that did not go through the link (the archive was
+     * attached to the Discord reply directly).
+     * @param {Object} params - { exportId, userId, via }
+     */
+    async recordDelivery({ exportId, userId, via = 'discord' }) {
+        await db.run(
+            `UPDATE data_exports
+             SET downloadCount = downloadCount + 1, lastDownloadedAt = datetime('now')
+             WHERE id = @id`,
+            { id: exportId }
+        );
+        await this.recordEvent({ exportId, userId, action: 'downloaded', via, detail: { attached: true } });
+    }
+
+    /**
+     * A user's export history with its audit trail, newest first.
+     * @param {string} userId
+     * @returns {Promise<{ exports: Array<Object> }>}
+     */
+    async listExports(userId) {
+        const exports = await db.all(
+            `SELECT id, via, status, fileName, sizeBytes, rowCount, fileCount,
+                    downloadCount, lastDownloadedAt, createdAt, expiresAt
+             FROM data_exports WHERE userId = @userId
+             ORDER BY id DESC LIMIT 20`,
+            { userId: String(userId) }
+        );
+        const events = await db.all(
+            `SELECT exportId, action, via, createdAt FROM data_export_events
+             WHERE userId = @userId ORDER BY id DESC LIMIT 200`,
+            { userId: String(userId) }
+        );
+        return {
+            exports: exports.map(row => ({
+                ...row,
+                events: events.filter(event => event.exportId === row.id)
+            }))
+        };
+    }
+
+    /**
+     * Append one audit trail entry. Like integrationAudit.record, a failed
+     * write is logged, never thrown: it must not break the export itself.
+     * @param {{ exportId: number|null, userId: string|null, action: string,
+     *   via?: string|null, detail?: Object|null }} entry
+     */
+    async recordEvent({ exportId, userId, action, via = null, detail = null }) {
+        try {
+            await db.run(
+                `INSERT INTO data_export_events (exportId, userId, action, via, detail)
+                 VALUES (@exportId, @userId, @action, @via, @detail)`,
+                { exportId, userId, action, via, detail: detail ? JSON.stringify(detail) : null }
+            );
+        } catch (error) {
+            console.error('Failed to record data export event:', error);
+        }
+    }
+
+    /**
+     * Delete archives whose link has expired; the rows stay as EXPIRED.
+     * @returns {Promise<number>} archives expired
+     */
+    async pruneExpired() {
+        const rows = await db.all(
+            `SELECT id, userId FROM data_exports WHERE status = 'READY' AND expiresAt <= @now`,
+            { now: new Date() }
+        );
+        for (const row of rows) await this._expire(row);
+        return rows.length;
+    }
+
+    async _expire(row) {
+        fs.rmSync(this._archivePath(row.userId, row.id), { force: true });
+        await db.run(`UPDATE data_exports SET status = 'EXPIRED' WHERE id = @id`, { id: row.id });
+        await this.recordEvent({ exportId: row.id, userId: row.userId, action: 'expired' });
+    }
+
+    _archivePath(userId, exportId) {
+        return path.join(this.exportsRoot, String(userId), `${exportId}.zip`);
+    }
+
+    /**
+     * /forget-me: delete every archive and export row; the audit trail is
+     * anonymized, not deleted. Called from privacyService.forgetUser.
+     * @param {string} userId
+     * @returns {Promise<{ exports: number, files: number, anonymizedEvents: number }>}
+     */
+    async forgetUser(userId) {
+        userId = String(userId || '');
+        let files = 0;
+        if (USER_ID_PATTERN.test(userId)) {
+            const dir = path.join(this.exportsRoot, userId);
+            try {
+                files = fs.readdirSync(dir).length;
+                fs.rmSync(dir, { recursive: true, force: true });
+            } catch { /* no directory = nothing exported */ }
+        }
+        const rows = await db.all('SELECT id FROM data_exports WHERE userId = @userId', { userId });
+        for (const row of rows) {
+            await this.recordEvent({ exportId: row.id, userId: null, action: 'deleted', detail: { reason: 'forget-me' } });
+        }
+        const exports = (await db.run('DELETE FROM data_exports WHERE userId = @userId', { userId })).changes;
+        const anonymizedEvents = (await db.run(
+            'UPDATE data_export_events SET userId = NULL WHERE userId = @userId', { userId }
+        )).changes;
+        return { exports, files, anonymizedEvents };
+    }
+
+    /**
+     * Archives still on disk for a user (privacyService.auditUser).
+     * @param {string} userId
+     * @returns {number}
+     */
+    countUserFiles(userId) {
+        if (!USER_ID_PATTERN.test(String(userId || ''))) return 0;
+        try {
+            return fs.readdirSync(path.join(this.exportsRoot, String(userId))).length;
+        } catch {
+            return 0;
+        }
+    }
+}
+
+/** Append every regular file under `dir` (recursively) to `out`. */
+function walkFiles(dir, archivePrefix, out) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return; // no directory = nothing stored
+    }
+    for (const entry of entries) {
+        const absolutePath = path.join(dir, entry.name);
+        const archivePath = `${archivePrefix}/${entry.name}`;
+        if (entry.isDirectory()) walkFiles(absolutePath, archivePath, out);
+        else if (entry.isFile()) out.push({ archivePath, absolutePath });
+    }
+}
+
+module.exports = new DataExportService();
+module.exports.DataExportService = DataExportService;
+module.exports.DataExportError = DataExportError;
+module.exports.SECTIONS = SECTIONS;
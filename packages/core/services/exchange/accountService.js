@@ -210,7 +210,7 @@ class ExchangeAccountService {
      * with an empty wallet still owes what they owe.
      * @returns {{accrued: number, capitalized: number}}
      */
-    async accrueInterest({ guildId, userId, now = new Date() }) {
+    async accrueInterest({ guildId, userId, now = stockService.now() }) {
         const account = await this.getAccount(guildId, userId);
         if (account.marginLoan <= 0) {
             if (account.accruedInterest > 0 || account.lastInterestAt) {
@@ -261,7 +261,7 @@ class ExchangeAccountService {
      * totals, and the snapshot says so - risk numbers built on missing prices
      * must never look authoritative.
      */
-    async getSnapshot({ guildId, userId, now = new Date() }) {
+    async getSnapshot({ guildId, userId, now = stockService.now() }) {
         const settings = await exchangeConfig.get(guildId);
         const account = await this.getAccount(guildId, userId);
         const cash = await economyService.getBalance(guildId, userId);
@@ -414,9 +414,14 @@ class ExchangeAccountService {
         const perpValue = perpBook.totalValue;
         pricingGaps += perps.filter(position => !position.priced).length;
 
+        // Points escrowed behind working order-book bids are still the
+        // trader's - equity, but not spendable collateral
+        const bookService = require('./bookService');
+        const bookEscrow = await bookService.escrowed({ guildId, userId });
+
         const debt = account.marginLoan + account.accruedInterest;
         const accountEquity = marginMath.equity({ cash, longValue, optionValue, shortValue, debt })
-            - optionShortValue + perpValue;
+            - optionShortValue + perpValue + bookEscrow;
         const maintenance = marginMath.maintenanceRequirement({
             longValue, shortValue,
             maintenanceMargin: settings.maintenanceMargin,
@@ -493,6 +498,7 @@ class ExchangeAccountService {
             optionShortValue,
             optionRequirement,
             perpValue,
+            bookEscrow,
             optionDeltaDollars,
             exposure,
             debt,
@@ -519,7 +525,7 @@ class ExchangeAccountService {
      * keeps their behaviour byte-for-byte what it was before margin existed.
      * @returns {Promise<{borrowed: number}>}
      */
-    async ensureFunds({ guildId, userId, cost, reason = null, now = new Date() }) {
+    async ensureFunds({ guildId, userId, cost, reason = null, now = stockService.now() }) {
         const needed = Math.ceil(Number(cost));
         if (!(needed > 0)) return { borrowed: 0 };
 
@@ -541,7 +547,7 @@ class ExchangeAccountService {
     }
 
     /** Flag or clear a margin call, returning whether the state changed. */
-    async setMarginCall({ guildId, userId, called, now = new Date() }) {
+    async setMarginCall({ guildId, userId, called, now = stockService.now() }) {
         const account = await this.getAccount(guildId, userId);
         const wasCalled = !!account.marginCallAt;
         if (called === wasCalled) return { changed: false, since: account.marginCallAt };
@@ -1,5 +1,6 @@
 const db = require('../../db');
 const economyService = require('../economyService');
+const stockService = require('../stockService');
 const exchangeConfig = require('./exchangeConfig');
 const accountService = require('./accountService');
 const optionsService = require('./optionsService');
@@ -27,7 +28,7 @@ class ExchangeAuditService {
      * Everything about one trader's exchange activity.
      * @param {{guildId: string, userId: string, ledgerLimit?: number, eventLimit?: number}} params
      */
-    async auditAccount({ guildId, userId, ledgerLimit = 10, eventLimit = 10, now = new Date() }) {
+    async auditAccount({ guildId, userId, ledgerLimit = 10, eventLimit = 10, now = stockService.now() }) {
         const snapshot = await accountService.getSnapshot({ guildId, userId, now });
         const { currencyName } = await economyService.getSettings(guildId);
 
@@ -161,7 +162,7 @@ class ExchangeAuditService {
      * The whole market: money supply, exposure, concentration, and what the
      * engine has been doing.
      */
-    async auditGuild({ guildId, topN = 10, now = new Date() }) {
+    async auditGuild({ guildId, topN = 10, now = stockService.now() }) {
         const settings = await exchangeConfig.get(guildId);
         const { currencyName } = await economyService.getSettings(guildId);
 
@@ -293,7 +294,7 @@ class ExchangeAuditService {
      * only ranking that survives leverage: a big wallet funded by a big loan
      * is not a big account.
      */
-    async leaderboard({ guildId, limit = 10, now = new Date() }) {
+    async leaderboard({ guildId, limit = 10, now = stockService.now() }) {
         const userIds = (await db.all(
             `SELECT DISTINCT userId FROM (
                  SELECT userId FROM economy_wallets WHERE guildId = @guildId
@@ -337,7 +338,7 @@ class ExchangeAuditService {
      * @param {{guildId: string, sampleSize?: number, now?: Date}} params
      * @returns {{checks: Array<{name, description, ok, count, sample}>, ok: boolean}}
      */
-    async reconcile({ guildId, sampleSize = 5, now = new Date() }) {
+    async reconcile({ guildId, sampleSize = 5, now = stockService.now() }) {
         const stamp = accountService.toSqlTime(now);
         const today = stamp.slice(0, 10);
         const checks = [];
@@ -475,6 +476,15 @@ class ExchangeAuditService {
                 { guildId }
             ));
 
+        add('book-escrow-drift',
+            'A working order-book bid holds exactly its unfilled cost in escrow; nothing else holds any.',
+            await db.all(
+                `SELECT id, userId, side, status, price, contracts, filled, escrow FROM book_orders
+                 WHERE guildId = @guildId AND escrow != CASE
+                     WHEN status = 'OPEN' AND side = 'BID' THEN price * (contracts - filled) ELSE 0 END`,
+                { guildId }
+            ));
+
         return { checks, ok: checks.every(check => check.ok) };
     }
 
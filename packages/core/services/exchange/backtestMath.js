@@ -0,0 +1,330 @@
+/**
+ * Strategy backtesting - pure functions, no I/O.
+ *
+ * A backtest walks a series of daily closes and replays a rule-based
+ * strategy the way the exchange would have filled it: premiums are
+ * Black-Scholes values off the close with a trailing realized volatility
+ * (never one computed from bars that had not happened yet), sales fill at
+ * the bid and purchases at the ask, and contracts cash-settle at their
+ * intrinsic value on the first close on or after expiry. The wheel is the
+ * one exception - being assigned the shares IS the strategy, so its puts and
+ * calls deliver.
+ *
+ * The caller injects the market's strike spacing and house spread, so the
+ * numbers here are the ones a live chain would have quoted.
+ */
+const optionsMath = require('./optionsMath');
+const spreadMath = require('./spreadMath');
+const { ExchangeError } = require('./errors');
+
+const STRATEGIES = Object.freeze({
+    periodic: 'Periodic buys',
+    'covered-call': 'Covered calls',
+    'iron-condor': 'Iron condors',
+    wheel: 'The wheel'
+});
+
+const CONTRACT_SIZE = 100;
+const MIN_POINTS = 10;
+// Three months of trading days, the window optionsMarket estimates from
+const VOL_WINDOW = 63;
+// Before the window has three closes to work with: a middling default
+const FALLBACK_VOL = 0.35;
+const MIN_VOL = 0.05;
+const MAX_VOL = 4;
+const DAY_MS = 86_400_000;
+
+function toDay(date) {
+    return new Date(`${date}T00:00:00Z`);
+}
+
+function addDays(date, days) {
+    return new Date(toDay(date).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The listed Friday nearest to `days` after `date` (and always after it), so
+ * a cycle that opens late after a holiday or a skipped week snaps back onto
+ * the weekly expiry calendar instead of drifting.
+ */
+function expiryAfter(date, days) {
+    const target = addDays(date, days);
+    const ahead = (5 - toDay(target).getUTCDay() + 7) % 7;
+    const nearest = ahead <= 3 ? addDays(target, ahead) : addDays(target, ahead - 7);
+    return nearest > date ? nearest : addDays(nearest, 7);
+}
+
+function daysBetween(from, to) {
+    return Math.round((toDay(to).getTime() - toDay(from).getTime()) / DAY_MS);
+}
+
+/** Trailing realized volatility as of bar `index`, clamped like the live market. */
+function volAt(closes, index) {
+    const vol = optionsMath.realizedVolatility(closes.slice(Math.max(0, index - VOL_WINDOW + 1), index + 1));
+    return Math.min(MAX_VOL, Math.max(MIN_VOL, vol || FALLBACK_VOL));
+}
+
+/**
+ * Bid, ask, and mid of one contract per share.
+ * @param {{strikeIncrement: Function, halfSpread: Function}} market
+ */
+function quoteLeg({ spot, strike, optionType, timeYears, vol, market }) {
+    const mid = optionsMath.price({ spot, strike, timeYears, vol, optionType });
+    const half = market.halfSpread({ timeYears, mid, spot });
+    return { mid, bid: mid * (1 - half), ask: mid * (1 + half) };
+}
+
+function strikeAbove(spot, market) {
+    const increment = market.strikeIncrement(spot);
+    return Math.ceil(spot / increment) * increment;
+}
+
+function strikeBelow(spot, market) {
+    const increment = market.strikeIncrement(spot);
+    return Math.max(increment, Math.floor(spot / increment) * increment);
+}
+
+/** Mark-to-market of open option legs (long legs positive) at one close. */
+function markLegs({ legs, spot, timeYears, vol }) {
+    return legs.reduce((sum, leg) => {
+        const value = optionsMath.price({ spot, strike: leg.strike, timeYears, vol, optionType: leg.optionType });
+        return sum + (leg.action === 'SELL' ? -1 : 1) * value * leg.contracts * CONTRACT_SIZE;
+    }, 0);
+}
+
+/** Peak-to-trough loss of an equity curve, in points and percent of the peak. */
+function maxDrawdown(curve) {
+    let peak = curve[0];
+    let worst = { points: 0, pct: 0, peakDate: curve[0]?.date || null, troughDate: curve[0]?.date || null };
+    for (const point of curve) {
+        if (point.close > peak.close) peak = point;
+        const drop = peak.close - point.close;
+        if (drop > worst.points) {
+            worst = { points: drop, pct: peak.close > 0 ? (drop / peak.close) * 100 : 0, peakDate: peak.date, troughDate: point.date };
+        }
+    }
+    return worst;
+}
+
+/**
+ * Replay a strategy over daily closes.
+ *
+ * @param {Object} params
+ * @param {Array<{date: string, close: number}>} params.points - chronological daily closes
+ * @param {'periodic'|'covered-call'|'iron-condor'|'wheel'} params.strategy
+ * @param {number} params.capital - starting cash in points
+ * @param {number} [params.days=7] - contract tenor, or the interval between periodic buys
+ * @param {number} [params.amount] - points per periodic buy (default: the capital spread evenly)
+ * @param {number} [params.otmPct=5] - how far out of the money short strikes sit
+ * @param {number} [params.wingPct=5] - iron condor wing width beyond the short strikes
+ * @param {number} [params.contracts=1]
+ * @param {number} [params.feePerContract=0] - commission per contract opened
+ * @param {number} [params.feePerTrade=0] - commission per stock purchase
+ * @param {{strikeIncrement: Function, halfSpread: Function}} params.market
+ * @returns {{curve, start, end, returnPct, buyHoldPct, maxDrawdown, trades, wins, winRate,
+ *            fees, commissions, spreadCost, premium, skipped, cycles}}
+ */
+function simulate({
+    points, strategy, capital, days = 7, amount = null, otmPct = 5, wingPct = 5, contracts = 1,
+    feePerContract = 0, feePerTrade = 0, market
+}) {
+    if (!STRATEGIES[strategy]) {
+        throw new ExchangeError('BAD_BACKTEST', `Strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}.`);
+    }
+    const bars = (points || []).filter(point => Number.isFinite(point.close) && point.close > 0);
+    if (bars.length < MIN_POINTS) {
+        throw new ExchangeError('BAD_BACKTEST', `A backtest needs at least ${MIN_POINTS} daily closes; only ${bars.length} are available.`);
+    }
+    const closes = bars.map(point => point.close);
+    const lotShares = contracts * CONTRACT_SIZE;
+    const otm = otmPct / 100;
+    const wing = wingPct / 100;
+
+    const state = {
+        cash: capital, shares: 0, basis: 0, open: null,
+        commissions: 0, spreadCost: 0, premium: 0, skipped: 0
+    };
+    const cycles = [];
+    const lots = [];
+    const curve = [];
+
+    const buyShares = (spend, price) => {
+        const units = (spend - feePerTrade) / price;
+        if (units <= 0) return 0;
+        state.cash -= spend;
+        state.commissions += feePerTrade;
+        state.basis = (state.basis * state.shares + units * price) / (state.shares + units);
+        state.shares += units;
+        return units;
+    };
+
+    const sellOptions = ({ bar, index, legs, expiry }) => {
+        const timeYears = Math.max(1, daysBetween(bar.date, expiry)) / 365;
+        const vol = volAt(closes, index);
+        let credit = 0;
+        let spreadCost = 0;
+        for (const leg of legs) {
+            const quote = quoteLeg({ spot: bar.close, strike: leg.strike, optionType: leg.optionType, timeYears, vol, market });
+            const size = leg.contracts * CONTRACT_SIZE;
+            credit += (leg.action === 'SELL' ? quote.bid : -quote.ask) * size;
+            spreadCost += Math.abs(quote.mid - (leg.action === 'SELL' ? quote.bid : quote.ask)) * size;
+        }
+        const fees = feePerContract * legs.reduce((sum, leg) => sum + leg.contracts, 0);
+        return { credit, spreadCost, fees };
+    };
+
+    // `minCash` is the worst case the position must be able to pay once its credit is in
+    const open = ({ bar, index, legs, expiry, structure, minCash = 0 }) => {
+        const { credit, spreadCost, fees } = sellOptions({ bar, index, legs, expiry });
+        if (credit <= 0 || state.cash + credit < minCash) {
+            state.skipped++;
+            return;
+        }
+        state.cash += credit - fees;
+        state.commissions += fees;
+        state.spreadCost += spreadCost;
+        state.premium += credit;
+        state.open = { legs, expiry, structure, opened: bar.date, credit, fees };
+    };
+
+    const settle = bar => {
+        const position = state.open;
+        const payoff = spreadMath.payoffAt({ price: bar.close, legs: position.legs });
+        const [leg] = position.legs;
+        if (strategy === 'wheel' && payoff < 0) {
+            // Assigned: the put buys the shares at the strike, the call sells them there
+            if (leg.optionType === 'PUT') {
+                state.cash -= leg.strike * lotShares;
+                state.shares += lotShares;
+                state.basis = leg.strike;
+            } else {
+                state.cash += leg.strike * lotShares;
+                state.shares -= lotShares;
+                state.basis = 0;
+            }
+        } else {
+            state.cash += payoff;
+        }
+        const pl = position.credit + payoff - position.fees;
+        cycles.push({
+            opened: position.opened, expiry: position.expiry, settled: bar.date, structure: position.structure,
+            strikes: position.legs.map(item => item.strike), close: bar.close,
+            credit: position.credit, payoff, fees: position.fees, pl,
+            assigned: strategy === 'wheel' && payoff < 0
+        });
+        state.open = null;
+    };
+
+    // Periodic buys spread the capital evenly over the schedule unless told otherwise
+    const buyDates = new Set();
+    if (strategy === 'periodic') {
+        let nextBuy = bars[0].date;
+        for (const bar of bars) {
+            if (bar.date < nextBuy) continue;
+            buyDates.add(bar.date);
+            nextBuy = addDays(bar.date, days);
+        }
+    }
+    const perBuy = amount || capital / Math.max(1, buyDates.size);
+
+    if (strategy === 'covered-call') {
+        const cost = lotShares * bars[0].close + feePerTrade;
+        if (cost > capital) {
+            throw new ExchangeError('BAD_BACKTEST',
+                `${contracts} covered call(s) need ${lotShares} shares, about ${Math.ceil(cost).toLocaleString()} points at the first close.`);
+        }
+        buyShares(cost, bars[0].close);
+    }
+
+    for (const [index, bar] of bars.entries()) {
+        if (state.open && bar.date >= state.open.expiry) settle(bar);
+
+        if (strategy === 'periodic') {
+            if (buyDates.has(bar.date)) {
+                const spend = Math.min(perBuy, state.cash);
+                const units = buyShares(spend, bar.close);
+                if (units > 0) lots.push({ date: bar.date, price: bar.close, units, spend });
+                else state.skipped++;
+            }
+        } else if (!state.open && index < bars.length - 1) {
+            const expiry = expiryAfter(bar.date, days);
+            if (strategy === 'covered-call') {
+                open({
+                    bar, index, expiry, structure: 'covered call',
+                    legs: [{ action: 'SELL', optionType: 'CALL', strike: strikeAbove(bar.close * (1 + otm), market), contracts }]
+                });
+            } else if (strategy === 'iron-condor') {
+                const shortPut = strikeBelow(bar.close * (1 - otm), market);
+                const shortCall = strikeAbove(bar.close * (1 + otm), market);
+                const increment = market.strikeIncrement(bar.close);
+                const legs = [
+                    { action: 'BUY', optionType: 'PUT', strike: Math.min(shortPut - increment, strikeBelow(bar.close * (1 - otm - wing), market)), contracts },
+                    { action: 'SELL', optionType: 'PUT', strike: shortPut, contracts },
+                    { action: 'SELL', optionType: 'CALL', strike: shortCall, contracts },
+                    { action: 'BUY', optionType: 'CALL', strike: Math.max(shortCall + increment, strikeAbove(bar.close * (1 + otm + wing), market)), contracts }
+                ];
+                if (legs[0].strike <= 0) {
+                    state.skipped++;
+                } else {
+                    // The condor ties up its widest wing: max loss plus the credit taken in
+                    const { credit } = sellOptions({ bar, index, legs, expiry });
+                    const analysis = spreadMath.analyzeSpread({ legs, netDebit: -credit });
+                    open({ bar, index, legs, expiry, structure: 'iron condor', minCash: credit - analysis.maxLoss });
+                }
+            } else if (state.shares >= lotShares) {
+                // Wheel, holding shares: covered calls never struck below what the shares cost
+                const strike = strikeAbove(Math.max(bar.close * (1 + otm), state.basis), market);
+                open({ bar, index, expiry, structure: 'covered call', legs: [{ action: 'SELL', optionType: 'CALL', strike, contracts }] });
+            } else {
+                // Wheel, in cash: cash-secured puts
+                const strike = strikeBelow(bar.close * (1 - otm), market);
+                open({
+                    bar, index, expiry, structure: 'cash-secured put', minCash: strike * lotShares,
+                    legs: [{ action: 'SELL', optionType: 'PUT', strike, contracts }]
+                });
+            }
+        }
+
+        let optionValue = 0;
+        if (state.open) {
+            optionValue = markLegs({
+                legs: state.open.legs, spot: bar.close, vol: volAt(closes, index),
+                timeYears: Math.max(0, daysBetween(bar.date, state.open.expiry)) / 365
+            });
+        }
+        curve.push({ date: bar.date, close: state.cash + state.shares * bar.close + optionValue });
+    }
+
+    const last = bars[bars.length - 1];
+    const outcomes = strategy === 'periodic'
+        ? lots.map(lot => last.close * lot.units - lot.spend)
+        : cycles.map(cycle => cycle.pl);
+    const wins = outcomes.filter(pl => pl > 0).length;
+    const end = curve[curve.length - 1].close;
+
+    return {
+        strategy,
+        label: STRATEGIES[strategy],
+        from: bars[0].date,
+        to: last.date,
+        curve,
+        start: capital,
+        end,
+        returnPct: ((end - capital) / capital) * 100,
+        buyHoldPct: ((last.close - bars[0].close) / bars[0].close) * 100,
+        maxDrawdown: maxDrawdown(curve),
+        trades: outcomes.length,
+        wins,
+        winRate: outcomes.length > 0 ? (wins / outcomes.length) * 100 : null,
+        fees: state.commissions + state.spreadCost,
+        commissions: state.commissions,
+        spreadCost: state.spreadCost,
+        premium: state.premium,
+        skipped: state.skipped,
+        shares: state.shares,
+        cycles,
+        lots
+    };
+}
+
+module.exports = { STRATEGIES, CONTRACT_SIZE, simulate, maxDrawdown, expiryAfter };
@@ -0,0 +1,131 @@
+const db = require('../../db');
+const stockService = require('../stockService');
+const { HISTORY_RANGES } = require('../stockService');
+const optionsMarket = require('./optionsMarket');
+const backtestMath = require('./backtestMath');
+const { STRATEGIES, CONTRACT_SIZE } = require('./backtestMath');
+const { ExchangeError } = require('./errors');
+
+const RANGE_DAYS = { '1mo': 31, '3mo': 92, '6mo': 183, '1y': 366 };
+const DEFAULT_CAPITAL = 10_000;
+const MAX_CAPITAL = 100_000_000;
+
+/**
+ * Backtests: "what would have happened if I had sold covered calls every
+ * Friday", answered from real closes. Read-only - nothing here touches a
+ * wallet or a position.
+ *
+ * Closes come from one of two places. `live` asks stockService.getHistory
+ * (the configured market-data provider); `cached` rebuilds daily closes from
+ * the `stock_prices` snapshots the bot has already recorded, so the same
+ * question gives the same answer with no network at all. The simulation
+ * itself is backtestMath, priced with optionsMarket's own strike spacing
+ * and house spread.
+ */
+class BacktestService {
+    /**
+     * Daily closes for a symbol.
+     * @param {{symbol: string, range?: string, source?: 'live'|'cached'}} params
+     * @returns {Promise<{symbol: string, points: Array<{date, close}>, source: string}>}
+     */
+    async loadCloses({ symbol, range = '1y', source = 'live' }) {
+        if (!RANGE_DAYS[range]) {
+            throw new ExchangeError('BAD_BACKTEST', `Range must be one of: ${HISTORY_RANGES.join(', ')}.`);
+        }
+        const resolved = optionsMarket.resolveUnderlying(symbol).symbol;
+
+        if (source === 'live') {
+            const history = await stockService.getHistory(resolved, range);
+            return { symbol: history.symbol, points: history.points, source };
+        }
+        if (source !== 'cached') {
+            throw new ExchangeError('BAD_BACKTEST', 'Source must be live or cached.');
+        }
+
+        // The last snapshot of each day is that day's close, and the window is
+        // measured back from the newest snapshot rather than from the clock,
+        // so re-running a cached backtest never changes its answer.
+        const rows = await db.all(
+            `SELECT substr(p.asOf, 1, 10) AS date, p.price AS close FROM stock_prices p
+             JOIN (SELECT MAX(id) AS id FROM stock_prices WHERE symbol = @symbol GROUP BY substr(asOf, 1, 10)) latest
+               ON latest.id = p.id
+             ORDER BY date ASC`,
+            { symbol: resolved }
+        );
+        if (rows.length === 0) {
+            throw new ExchangeError('NO_DATA', `No cached prices for ${resolved}. Run a live backtest (or look it up) first.`);
+        }
+        const newest = new Date(`${rows[rows.length - 1].date}T00:00:00Z`);
+        const from = new Date(newest.getTime() - RANGE_DAYS[range] * 86_400_000).toISOString().slice(0, 10);
+        return { symbol: resolved, points: rows.filter(row => row.date >= from), source };
+    }
+
+    /**
+     * Run a strategy over a symbol's history.
+     * @param {{symbol: string, strategy: string, range?: string, source?: 'live'|'cached', capital?: number,
+     *          days?: number, amount?: number, otmPct?: number, wingPct?: number, contracts?: number,
+     *          feePerContract?: number, feePerTrade?: number}} params
+     * @returns {Promise<Object>} backtestMath.simulate's result plus symbol, range, and source
+     */
+    async run({ symbol, strategy, range = '1y', source = 'live', capital = null, ...params }) {
+        if (!STRATEGIES[strategy]) {
+            throw new ExchangeError('BAD_BACKTEST', `Strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}.`);
+        }
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== null && value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                throw new ExchangeError('BAD_BACKTEST', `${name} must be a non-negative number.`);
+            }
+        }
+        const settings = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined));
+        if (settings.days !== undefined && (!Number.isInteger(settings.days) || settings.days < 1 || settings.days > 90)) {
+            throw new ExchangeError('BAD_BACKTEST', 'The cycle must be 1 to 90 days.');
+        }
+        if (settings.contracts !== undefined && (!Number.isInteger(settings.contracts) || settings.contracts < 1)) {
+            throw new ExchangeError('BAD_BACKTEST', 'Contracts must be a whole number of at least 1.');
+        }
+
+        const { symbol: resolved, points } = await this.loadCloses({ symbol, range, source });
+        const first = points[0]?.close || 0;
+        // Share-based strategies default to exactly what one lot cost at the start
+        const lotCost = Math.ceil((settings.contracts || 1) * CONTRACT_SIZE * first / 1000) * 1000;
+        const startingCapital = capital ?? (strategy === 'covered-call' || strategy === 'wheel' ? lotCost : DEFAULT_CAPITAL);
+        if (!(Number.isFinite(startingCapital) && startingCapital > 0 && startingCapital <= MAX_CAPITAL)) {
+            throw new ExchangeError('BAD_BACKTEST', `Capital must be between 1 and ${MAX_CAPITAL.toLocaleString()}.`);
+        }
+
+        const result = backtestMath.simulate({
+            ...settings,
+            points,
+            strategy,
+            capital: startingCapital,
+            market: {
+                strikeIncrement: spot => optionsMarket.strikeIncrement(spot),
+                halfSpread: quote => optionsMarket.halfSpread(quote)
+            }
+        });
+        return { symbol: resolved, range, source, ...result };
+    }
+
+    /** Plain-text report of a run, for chat and voice. */
+    renderSummary(result, { spark = '' } = {}) {
+        const points = value => Math.round(value).toLocaleString();
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        const drawdown = result.maxDrawdown;
+        const lines = [
+            `${result.label} on ${result.symbol}, ${result.from} to ${result.to} (${result.source === 'cached' ? 'cached closes' : 'historical closes'}, simulated premiums):`,
+            `Equity ${points(result.start)} -> ${points(result.end)} (${signed(result.returnPct)}; buy-and-hold ${signed(result.buyHoldPct)}).` +
+                `${spark ? ` ${spark}` : ''}`,
+            `Max drawdown ${points(drawdown.points)} (${drawdown.pct.toFixed(2)}%)` +
+                `${drawdown.points > 0 ? `, ${drawdown.peakDate} to ${drawdown.troughDate}` : ''}.`,
+            `${result.trades} ${result.strategy === 'periodic' ? 'buys' : 'cycles'}, ` +
+                `win rate ${result.winRate === null ? 'n/a' : `${result.winRate.toFixed(1)}%`}` +
+                `${result.skipped > 0 ? ` (${result.skipped} skipped for want of cash)` : ''}.`,
+            `Fees ${points(result.fees)}: house spread ${points(result.spreadCost)}, commissions ${points(result.commissions)}.` +
+                `${result.premium > 0 ? ` Premium collected ${points(result.premium)}.` : ''}`
+        ];
+        return lines.join('\n');
+    }
+}
+
+module.exports = new BacktestService();
+module.exports.RANGES = Object.keys(RANGE_DAYS);
@@ -0,0 +1,649 @@
+const db = require('../../db');
+const economyService = require('../economyService');
+const stockService = require('../stockService');
+const exchangeConfig = require('./exchangeConfig');
+const optionsMarket = require('./optionsMarket');
+const optionsService = require('./optionsService');
+const { toSqlTime } = require('./accountService');
+const exchangeEvents = require('./exchangeEvents');
+const { ExchangeError } = require('./errors');
+
+const MAX_OPEN_ORDERS = 25;
+const MAX_CONTRACTS = 10_000;
+const MAX_PRICE = 1_000_000;
+// Event contracts pay 100, so a price outside 1-99 is a certain loss
+const EVENT_MIN_PRICE = 1;
+const EVENT_MAX_PRICE = 99;
+const MAX_FILLS_PER_MATCH = 200;
+const CLOSE_EVENTS = { CANCELLED: 'book-cancel', EXPIRED: 'book-expire', REJECTED: 'book-reject' };
+
+/**
+ * The member-to-member order book: limit orders between traders on event
+ * contracts and on option contracts they hold, instead of against the house.
+ *
+ * Unlike orderService's resting orders (intentions filled against the
+ * market quote), a book order is a reservation. A BID escrows its full cost
+ * through economyService.adjust() the moment it is placed, so a fill can
+ * never bounce for want of funds; an ASK offers contracts the seller holds,
+ * re-checked at fill time so a position closed elsewhere rejects the ask
+ * instead of selling something that is gone.
+ *
+ * Matching is price-time priority: the best price first, the oldest order
+ * at a price first, and every trade executes at the RESTING order's price -
+ * a bid that crosses a cheaper ask pays the ask and gets the difference
+ * back from escrow. Nobody trades against themselves. Every fill is
+ * journaled in exchange_events for both sides, so the book needs no fill
+ * table of its own.
+ */
+class BookService {
+    /** The book key for an event-contract side. */
+    eventInstrument(marketId, outcome) {
+        return `EVENT:${marketId}:${outcome}`;
+    }
+
+    /** The book key for an option contract. */
+    optionInstrument({ underlying, optionType, strike, expiry }) {
+        return `OPTION:${underlying}:${optionType}:${Number(strike)}:${expiry}`;
+    }
+
+    /** Human label for an order or instrument row. */
+    describe(order) {
+        return order.kind === 'EVENT'
+            ? `market #${order.marketId} ${order.outcome}`
+            : `${order.underlying} ${order.strike} ${order.optionType} ${order.expiry}`;
+    }
+
+    async get({ guildId, id }) {
+        return await db.get('SELECT * FROM book_orders WHERE id = @id AND guildId = @guildId', { guildId, id }) || null;
+    }
+
+    /** A trader's book orders (working ones by default), newest first. */
+    async list({ guildId, userId, status = 'OPEN', limit = 25 }) {
+        const filter = status === 'all' ? '' : 'AND status = @status';
+        return await db.all(
+            `SELECT * FROM book_orders WHERE guildId = @guildId AND userId = @userId ${filter}
+             ORDER BY id DESC LIMIT @limit`,
+            { guildId, userId, status, limit }
+        );
+    }
+
+    /** Points a trader has locked in working bids (counted in equity, not in buying power). */
+    async escrowed({ guildId, userId }) {
+        return (await db.get(
+            `SELECT COALESCE(SUM(escrow), 0) AS total FROM book_orders
+             WHERE guildId = @guildId AND userId = @userId AND status = 'OPEN'`,
+            { guildId, userId }
+        )).total;
+    }
+
+    /**
+     * Aggregated depth for one instrument: price levels on each side plus the
+     * last traded price.
+     * @returns {Promise<{instrument, bids: Array<{price, contracts, orders}>, asks: Array, bestBid, bestAsk, last}>}
+     */
+    async depth({ guildId, instrument, levels = 5 }) {
+        const level = side => db.all(
+            `SELECT price, SUM(contracts - filled) AS contracts, COUNT(*) AS orders FROM book_orders
+             WHERE guildId = @guildId AND instrument = @instrument AND side = @side AND status = 'OPEN'
+             GROUP BY price ORDER BY price ${side === 'BID' ? 'DESC' : 'ASC'} LIMIT @levels`,
+            { guildId, instrument, side, levels }
+        );
+        const bids = await level('BID');
+        const asks = await level('ASK');
+        const lastFill = await db.get(
+            `SELECT detail FROM exchange_events
+             WHERE guildId = @guildId AND eventType = 'book-fill' AND symbol = @instrument
+             ORDER BY id DESC LIMIT 1`,
+            { guildId, instrument }
+        );
+        let last = null;
+        try {
+            last = lastFill ? JSON.parse(lastFill.detail).price : null;
+        } catch {
+            // An unreadable journal row just means no last price
+        }
+        return {
+            instrument,
+            bids,
+            asks,
+            bestBid: bids[0]?.price ?? null,
+            bestAsk: asks[0]?.price ?? null,
+            last
+        };
+    }
+
+    /**
+     * Bid for or offer event contracts on one side of a prediction market.
+     * @param {{guildId, userId, marketId: number, outcome: 'YES'|'NO', side: 'BID'|'ASK',
+     *          contracts: number, price: number, now?: Date}} params
+     */
+    async placeEventOrder({ guildId, userId, marketId, outcome, side, contracts, price, now = stockService.now() }) {
+        await exchangeConfig.requireFeature(guildId, 'predictionsEnabled', 'Event contracts');
+        const market = await db.get(
+            'SELECT * FROM prediction_markets WHERE id = @marketId AND guildId = @guildId',
+            { guildId, marketId }
+        );
+        if (!market) throw new ExchangeError('NO_MARKET', `No market #${marketId} in this server.`);
+        if (market.status !== 'OPEN' || new Date(`${market.closesAt}Z`).getTime() <= now.getTime()) {
+            throw new ExchangeError('MARKET_CLOSED', 'Trading on that market has closed.');
+        }
+        const contractSide = String(outcome || '').toUpperCase();
+        if (contractSide !== 'YES' && contractSide !== 'NO') {
+            throw new ExchangeError('BAD_SIDE', 'Outcome must be YES or NO.');
+        }
+        const limit = normalizePrice(price, EVENT_MIN_PRICE, EVENT_MAX_PRICE);
+
+        return await this._place({
+            guildId, userId, side, contracts, price: limit, now,
+            spec: {
+                instrument: this.eventInstrument(market.id, contractSide),
+                kind: 'EVENT', marketId: market.id, outcome: contractSide,
+                symbol: market.symbol, positionCap: market.positionCap
+            }
+        });
+    }
+
+    /**
+     * Bid for an option contract, or offer contracts from a long lot you hold.
+     * Prices are whole points per contract (premium x contract size).
+     * @param {{guildId, userId, symbol, optionType, strike, expiry, side: 'BID'|'ASK',
+     *          contracts: number, price: number, now?: Date}} params
+     */
+    async placeOptionOrder({ guildId, userId, symbol, optionType, strike, expiry, side, contracts, price, now = stockService.now() }) {
+        const underlying = optionsMarket.resolveUnderlying(symbol).symbol;
+        const type = String(optionType || '').toUpperCase();
+        if (type !== 'CALL' && type !== 'PUT') {
+            throw new ExchangeError('BAD_OPTION_TYPE', 'Option type must be CALL or PUT.');
+        }
+        const level = Number(strike);
+        if (!Number.isFinite(level) || level <= 0) {
+            throw new ExchangeError('BAD_STRIKE', 'Strike must be a positive price.');
+        }
+        const normalizedSide = normalizeSide(side);
+        if (normalizedSide === 'BID') {
+            // A buyer takes on the contract, so the same gates as buying from
+            // the house apply (options switched on, 0DTE behind goblin mode)
+            await optionsService._assertTradable({ guildId, userId, expiry, now });
+        } else {
+            await exchangeConfig.requireFeature(guildId, 'optionsEnabled', 'Options');
+            if (optionsMarket.hasExpired(expiry, now)) {
+                throw new ExchangeError('EXPIRED', `${expiry} has already settled.`);
+            }
+        }
+
+        return await this._place({
+            guildId, userId, side: normalizedSide, contracts, now,
+            price: normalizePrice(price, 1, MAX_PRICE),
+            spec: {
+                instrument: this.optionInstrument({ underlying, optionType: type, strike: level, expiry }),
+                kind: 'OPTION', underlying, optionType: type, strike: level, expiry, symbol: underlying
+            }
+        });
+    }
+
+    async _place({ guildId, userId, side, contracts, price, spec, now }) {
+        const normalizedSide = normalizeSide(side);
+        const count = Number(contracts);
+        if (!Number.isInteger(count) || count <= 0 || count > MAX_CONTRACTS) {
+            throw new ExchangeError('BAD_CONTRACTS', `Contracts must be a whole number between 1 and ${MAX_CONTRACTS.toLocaleString()}.`);
+        }
+
+        const open = (await db.get(
+            `SELECT COUNT(*) AS count FROM book_orders
+             WHERE guildId = @guildId AND userId = @userId AND status = 'OPEN'`,
+            { guildId, userId }
+        )).count;
+        if (open >= MAX_OPEN_ORDERS) {
+            throw new ExchangeError('TOO_MANY_ORDERS', `You already have ${MAX_OPEN_ORDERS} orders on the book. Cancel one first.`);
+        }
+
+        const offered = async bookSide => (await db.get(
+            `SELECT COALESCE(SUM(contracts - filled), 0) AS total FROM book_orders
+             WHERE guildId = @guildId AND userId = @userId AND instrument = @instrument
+               AND side = @bookSide AND status = 'OPEN'`,
+            { guildId, userId, instrument: spec.instrument, bookSide }
+        )).total;
+
+        if (normalizedSide === 'ASK') {
+            const held = await this._held({ guildId, userId, spec });
+            const available = held - await offered('ASK');
+            if (available < count) {
+                throw new ExchangeError('NO_POSITION', held === 0
+                    ? `You don't hold any ${this.describe(spec)} to offer.`
+                    : `You can offer at most ${Math.max(0, available).toLocaleString()} more of ${this.describe(spec)}.`);
+            }
+        } else {
+            await this._assertCanReceive({ guildId, userId, spec, contracts: count + await offered('BID') });
+        }
+
+        const escrow = normalizedSide === 'BID' ? price * count : 0;
+        const id = await db.transaction(async () => {
+            if (escrow > 0) {
+                await economyService.adjust({
+                    guildId, userId, amount: -escrow,
+                    type: 'book-escrow',
+                    detail: JSON.stringify({ instrument: spec.instrument, contracts: count, price })
+                });
+            }
+            return await db.insert(
+                `INSERT INTO book_orders (
+                     guildId, userId, instrument, kind, marketId, outcome, underlying, optionType,
+                     strike, expiry, side, price, contracts, escrow
+                 ) VALUES (
+                     @guildId, @userId, @instrument, @kind, @marketId, @outcome, @underlying, @optionType,
+                     @strike, @expiry, @side, @price, @contracts, @escrow
+                 )`,
+                {
+                    guildId, userId, instrument: spec.instrument, kind: spec.kind,
+                    marketId: spec.marketId ?? null, outcome: spec.outcome ?? null,
+                    underlying: spec.underlying ?? null, optionType: spec.optionType ?? null,
+                    strike: spec.strike ?? null, expiry: spec.expiry ?? null,
+                    side: normalizedSide, price, contracts: count, escrow
+                }
+            );
+        });
+
+        await exchangeEvents.record({
+            guildId, userId, eventType: 'book-place', symbol: spec.instrument,
+            amount: escrow > 0 ? -escrow : null,
+            detail: { id, side: normalizedSide, contracts: count, price }
+        });
+
+        const fills = await this._match({ guildId, orderId: id, now });
+        return { order: await this.get({ guildId, id }), fills };
+    }
+
+    /**
+     * Cross an incoming order against the opposite side of its book until it
+     * is filled or no resting price is acceptable.
+     */
+    async _match({ guildId, orderId, now }) {
+        const fills = [];
+        for (let step = 0; step < MAX_FILLS_PER_MATCH; step++) {
+            const taker = await this.get({ guildId, id: orderId });
+            if (!taker || taker.status !== 'OPEN') break;
+
+            const isBid = taker.side === 'BID';
+            const maker = await db.get(
+                `SELECT * FROM book_orders
+                 WHERE guildId = @guildId AND instrument = @instrument AND side = @side AND status = 'OPEN'
+                   AND userId != @userId AND price ${isBid ? '<=' : '>='} @price
+                 ORDER BY price ${isBid ? 'ASC' : 'DESC'}, id ASC LIMIT 1`,
+                {
+                    guildId, instrument: taker.instrument, side: isBid ? 'ASK' : 'BID',
+                    userId: taker.userId, price: taker.price
+                }
+            );
+            if (!maker) break;
+
+            const bid = isBid ? taker : maker;
+            const ask = isBid ? maker : taker;
+            const contracts = Math.min(bid.contracts - bid.filled, ask.contracts - ask.filled);
+
+            // Both sides are re-checked against live positions: the seller
+            // may have closed the lot elsewhere, and a buyer may have hit a
+            // cap or opened a conflicting position since bidding.
+            const spec = specOf(ask);
+            if (await this._held({ guildId, userId: ask.userId, spec }) < contracts) {
+                await this._close(ask, 'REJECTED', 'the seller no longer holds the contracts', now);
+                continue;
+            }
+            try {
+                await this._assertCanReceive({ guildId, userId: bid.userId, spec, contracts: bid.contracts - bid.filled });
+            } catch (error) {
+                if (!(error instanceof ExchangeError)) throw error;
+                await this._close(bid, 'REJECTED', error.message, now);
+                continue;
+            }
+
+            const fill = await this._fill({ guildId, bid, ask, price: maker.price, contracts, takerId: taker.id, now });
+            if (fill) fills.push(fill);
+        }
+        return fills;
+    }
+
+    /**
+     * Settle one trade: move the contracts, pay the seller, release the bid's
+     * escrow. Both orders are re-read inside the transaction and the trade
+     * shrinks to what is still open on each, so two takers hitting the same
+     * maker can never overfill it.
+     * @returns {Promise<Object|null>} the fill, or null if either order closed meanwhile
+     */
+    async _fill({ guildId, bid, ask, price, contracts, takerId, now }) {
+        const spec = specOf(ask);
+
+        return await db.transaction(async () => {
+            const live = async order => await db.get(
+                `SELECT * FROM book_orders WHERE id = @id AND status = 'OPEN'`,
+                { id: order.id }
+            );
+            const [liveBid, liveAsk] = [await live(bid), await live(ask)];
+            if (!liveBid || !liveAsk) return null;
+            const count = Math.min(contracts, liveBid.contracts - liveBid.filled, liveAsk.contracts - liveAsk.filled);
+            if (count <= 0) return null;
+
+            const proceeds = price * count;
+            const released = liveBid.price * count;
+            const refund = released - proceeds;
+
+            if (spec.kind === 'EVENT') {
+                await this._transferEvent({ guildId, seller: ask.userId, buyer: bid.userId, spec, contracts: count, price });
+            } else {
+                await this._transferOption({ guildId, seller: ask.userId, buyer: bid.userId, spec, contracts: count, price });
+            }
+
+            await economyService.adjust({
+                guildId, userId: ask.userId, amount: proceeds,
+                type: 'book-sale',
+                detail: JSON.stringify({ instrument: ask.instrument, contracts: count, price, orderId: ask.id })
+            });
+            if (refund > 0) {
+                await economyService.adjust({
+                    guildId, userId: bid.userId, amount: refund,
+                    type: 'book-refund',
+                    detail: JSON.stringify({ instrument: bid.instrument, orderId: bid.id, reason: 'price improvement' })
+                });
+            }
+
+            for (const [order, escrowDelta] of [[bid, released], [ask, 0]]) {
+                const { changes } = await db.run(
+                    `UPDATE book_orders SET filled = filled + @contracts, escrow = escrow - @escrowDelta,
+                         status = CASE WHEN filled + @contracts >= contracts THEN 'FILLED' ELSE 'OPEN' END,
+                         closedAt = CASE WHEN filled + @contracts >= contracts THEN @closedAt ELSE NULL END,
+                         updatedAt = CURRENT_TIMESTAMP
+                     WHERE id = @id AND status = 'OPEN' AND contracts - filled >= @contracts`,
+                    { id: order.id, contracts: count, escrowDelta, closedAt: toSqlTime(now) }
+                );
+                if (changes !== 1) {
+                    throw new ExchangeError('ORDER_CLOSED', 'That order was filled or closed while trading against it.');
+                }
+            }
+
+            for (const order of [bid, ask]) {
+                const counter = order === bid ? ask : bid;
+                await exchangeEvents.record({
+                    guildId, userId: order.userId, eventType: 'book-fill', symbol: order.instrument,
+                    amount: order === bid ? -proceeds : proceeds,
+                    detail: {
+                        orderId: order.id, counterOrderId: counter.id,
+                        side: order.side, contracts: count, price, liquidity: order.id === takerId ? 'taker' : 'maker'
+                    }
+                });
+            }
+
+            return { bidId: bid.id, askId: ask.id, buyer: bid.userId, seller: ask.userId, instrument: ask.instrument, contracts: count, price, proceeds };
+        });
+    }
+
+    /** Contracts of this instrument the user holds and could sell. */
+    async _held({ guildId, userId, spec }) {
+        if (spec.kind === 'EVENT') {
+            const row = await db.get(
+                `SELECT contracts FROM prediction_positions
+                 WHERE marketId = @marketId AND userId = @userId AND side = @outcome AND status = 'OPEN'`,
+                { marketId: spec.marketId, userId, outcome: spec.outcome }
+            );
+            return row?.contracts || 0;
+        }
+        const row = await db.get(
+            `SELECT contracts FROM option_positions
+             WHERE guildId = @guildId AND userId = @userId AND underlying = @underlying AND optionType = @optionType
+               AND strike = @strike AND expiry = @expiry AND side = 'LONG' AND status = 'OPEN'`,
+            { guildId, userId, underlying: spec.underlying, optionType: spec.optionType, strike: spec.strike, expiry: spec.expiry }
+        );
+        return row?.contracts || 0;
+    }
+
+    /** @throws {ExchangeError} when the user could not take delivery of `contracts` more. */
+    async _assertCanReceive({ guildId, userId, spec, contracts }) {
+        if (spec.kind === 'EVENT') {
+            const held = await this._held({ guildId, userId, spec });
+            const cap = spec.positionCap ?? (await db.get(
+                'SELECT positionCap FROM prediction_markets WHERE id = @marketId', { marketId: spec.marketId }
+            )).positionCap;
+            if (held + contracts > cap) {
+                throw new ExchangeError('POSITION_CAP',
+                    `This market caps each trader at ${cap.toLocaleString()} contracts per side; you hold ${held.toLocaleString()} and are bidding for more.`);
+            }
+            return;
+        }
+        const written = await db.get(
+            `SELECT id FROM option_positions
+             WHERE guildId = @guildId AND userId = @userId AND underlying = @underlying AND optionType = @optionType
+               AND strike = @strike AND expiry = @expiry AND side = 'SHORT' AND status = 'OPEN'`,
+            { guildId, userId, underlying: spec.underlying, optionType: spec.optionType, strike: spec.strike, expiry: spec.expiry }
+        );
+        if (written) {
+            throw new ExchangeError('SHORT_HELD',
+                `You have written that exact contract (position #${written.id}); buying it is a close - use buy-to-close.`);
+        }
+    }
+
+    async _transferEvent({ guildId, seller, buyer, spec, contracts, price }) {
+        const lot = await db.get(
+            `SELECT * FROM prediction_positions
+             WHERE marketId = @marketId AND userId = @seller AND side = @outcome AND status = 'OPEN'`,
+            { marketId: spec.marketId, seller, outcome: spec.outcome }
+        );
+        const proceeds = price * contracts;
+        const soldCost = Math.round(lot.cost * (contracts / lot.contracts));
+        if (contracts < lot.contracts) {
+            await db.run(
+                `UPDATE prediction_positions SET contracts = contracts - @contracts,
+                     cost = MAX(0, cost - @soldCost), updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: lot.id, contracts, soldCost }
+            );
+        } else {
+            // Sold out before resolution: the sale IS the payout
+            await db.run(
+                `UPDATE prediction_positions SET status = 'SETTLED', payout = @proceeds,
+                     settledAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: lot.id, proceeds }
+            );
+        }
+
+        const existing = await db.get(
+            `SELECT * FROM prediction_positions
+             WHERE marketId = @marketId AND userId = @buyer AND side = @outcome AND status = 'OPEN'`,
+            { marketId: spec.marketId, buyer, outcome: spec.outcome }
+        );
+        if (existing) {
+            const total = existing.contracts + contracts;
+            await db.run(
+                `UPDATE prediction_positions SET contracts = @total, avgPrice = @avgPrice,
+                     cost = cost + @proceeds, updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: existing.id, total, avgPrice: (existing.avgPrice * existing.contracts + proceeds) / total, proceeds }
+            );
+        } else {
+            await db.run(
+                `INSERT INTO prediction_positions (marketId, guildId, userId, side, contracts, avgPrice, cost)
+                 VALUES (@marketId, @guildId, @buyer, @outcome, @contracts, @price, @proceeds)`,
+                { marketId: spec.marketId, guildId, buyer, outcome: spec.outcome, contracts, price, proceeds }
+            );
+        }
+    }
+
+    async _transferOption({ guildId, seller, buyer, spec, contracts, price }) {
+        const lot = await db.get(
+            `SELECT * FROM option_positions
+             WHERE guildId = @guildId AND userId = @seller AND underlying = @underlying AND optionType = @optionType
+               AND strike = @strike AND expiry = @expiry AND side = 'LONG' AND status = 'OPEN'`,
+            { guildId, seller, underlying: spec.underlying, optionType: spec.optionType, strike: spec.strike, expiry: spec.expiry }
+        );
+        const proceeds = price * contracts;
+        const premium = price / lot.contractSize;
+        const closedBasis = Math.round(lot.costBasis * (contracts / lot.contracts));
+        if (contracts < lot.contracts) {
+            await db.run(
+                `UPDATE option_positions SET contracts = contracts - @contracts,
+                     costBasis = MAX(0, costBasis - @closedBasis), updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: lot.id, contracts, closedBasis }
+            );
+        } else {
+            await db.run(
+                `UPDATE option_positions SET status = 'CLOSED', closePremium = @premium, proceeds = @proceeds,
+                     realizedPL = @realized, closedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+                 WHERE id = @id`,
+                { id: lot.id, premium, proceeds, realized: proceeds - closedBasis }
+            );
+        }
+        await recordOptionTrade({ guildId, userId: seller, positionId: lot.id, spec, action: 'SELL_TO_CLOSE', contracts, premium, points: proceeds });
+
+        const existing = await db.get(
+            `SELECT * FROM option_positions
+             WHERE guildId = @guildId AND userId = @buyer AND underlying = @underlying AND optionType = @optionType
+               AND strike = @strike AND expiry = @expiry AND side = 'LONG' AND status = 'OPEN'`,
+            { guildId, buyer, underlying: spec.underlying, optionType: spec.optionType, strike: spec.strike, expiry: spec.expiry }
+        );
+        let positionId;
+        if (existing) {
+            const total = existing.contracts + contracts;
+            await db.run(
+                `UPDATE option_positions SET contracts = @total, openPremium = @avgPremium,
+                     costBasis = costBasis + @proceeds, updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: existing.id, total, avgPremium: (existing.openPremium * existing.contracts + premium * contracts) / total, proceeds }
+            );
+            positionId = existing.id;
+        } else {
+            positionId = await db.insert(
+                `INSERT INTO option_positions (
+                     guildId, userId, underlying, optionType, strike, expiry,
+                     contracts, contractSize, openPremium, costBasis
+                 ) VALUES (
+                     @guildId, @buyer, @underlying, @optionType, @strike, @expiry,
+                     @contracts, @contractSize, @premium, @proceeds
+                 )`,
+                {
+                    guildId, buyer, underlying: spec.underlying, optionType: spec.optionType,
+                    strike: spec.strike, expiry: spec.expiry, contracts,
+                    contractSize: lot.contractSize, premium, proceeds
+                }
+            );
+        }
+        await recordOptionTrade({ guildId, userId: buyer, positionId, spec, action: 'BUY_TO_OPEN', contracts, premium, points: proceeds });
+    }
+
+    /** Cancel one of your working orders; a bid's unfilled escrow comes back. */
+    async cancel({ guildId, userId, id, now = stockService.now() }) {
+        const order = await this.get({ guildId, id });
+        if (!order || order.userId !== userId) {
+            throw new ExchangeError('NO_ORDER', `You have no book order #${id}.`);
+        }
+        if (order.status !== 'OPEN') {
+            throw new ExchangeError('ORDER_CLOSED', `Order #${id} is already ${order.status.toLowerCase()}.`);
+        }
+        return await this._close(order, 'CANCELLED', 'cancelled by trader', now);
+    }
+
+    /** Close every working order in a scope (a season ending, for one). */
+    async cancelAll({ guildId, reason, now = stockService.now() }) {
+        const orders = await db.all(
+            `SELECT * FROM book_orders WHERE guildId = @guildId AND status = 'OPEN'`,
+            { guildId }
+        );
+        for (const order of orders) await this._close(order, 'CANCELLED', reason, now);
+        return orders.length;
+    }
+
+    /** Close every working order on one event market (voided, closed, or settled). */
+    async closeMarket({ guildId, marketId, reason, now = stockService.now() }) {
+        const orders = await db.all(
+            `SELECT * FROM book_orders WHERE guildId = @guildId AND marketId = @marketId AND status = 'OPEN'`,
+            { guildId, marketId }
+        );
+        for (const order of orders) await this._close(order, 'EXPIRED', reason, now);
+        return orders.length;
+    }
+
+    /**
+     * Expire orders whose instrument stopped trading: event markets past
+     * their close, and option contracts past settlement. Runs on the risk
+     * engine tick BEFORE settlement, so escrow is back in the wallet before
+     * any payout is computed.
+     * @returns {Promise<Array<Object>>} the expired orders
+     */
+    async expireDue({ guildId, now = stockService.now() }) {
+        const orders = await db.all(
+            `SELECT o.*, m.status AS marketStatus, m.closesAt FROM book_orders o
+             LEFT JOIN prediction_markets m ON m.id = o.marketId
+             WHERE o.guildId = @guildId AND o.status = 'OPEN'`,
+            { guildId }
+        );
+        const stamp = toSqlTime(now);
+        const expired = [];
+        for (const order of orders) {
+            const dead = order.kind === 'EVENT'
+                ? order.marketStatus !== 'OPEN' || order.closesAt <= stamp
+                : optionsMarket.hasExpired(order.expiry, now);
+            if (!dead) continue;
+            await this._close(order, 'EXPIRED', order.kind === 'EVENT' ? 'trading on the market closed' : 'the contract reached settlement', now);
+            expired.push(order);
+        }
+        return expired;
+    }
+
+    async _close(order, status, note, now) {
+        return await db.transaction(async () => {
+            if (order.escrow > 0) {
+                await economyService.adjust({
+                    guildId: order.guildId, userId: order.userId, amount: order.escrow,
+                    type: 'book-refund',
+                    detail: JSON.stringify({ instrument: order.instrument, orderId: order.id, reason: note })
+                });
+            }
+            await db.run(
+                `UPDATE book_orders SET status = @status, note = @note, escrow = 0,
+                     closedAt = @stamp, updatedAt = CURRENT_TIMESTAMP WHERE id = @id`,
+                { id: order.id, status, note, stamp: toSqlTime(now) }
+            );
+            await exchangeEvents.record({
+                guildId: order.guildId, userId: order.userId,
+                eventType: CLOSE_EVENTS[status], symbol: order.instrument,
+                amount: order.escrow > 0 ? order.escrow : null,
+                detail: { id: order.id, status, reason: note, unfilled: order.contracts - order.filled }
+            });
+            return { ...order, status, note, refunded: order.escrow, escrow: 0 };
+        });
+    }
+}
+
+/** The instrument fields of an order row, in the shape the helpers take. */
+function specOf(order) {
+    return {
+        instrument: order.instrument, kind: order.kind, marketId: order.marketId, outcome: order.outcome,
+        underlying: order.underlying, optionType: order.optionType, strike: order.strike, expiry: order.expiry
+    };
+}
+
+function normalizeSide(side) {
+    const normalized = String(side || '').toUpperCase();
+    if (normalized !== 'BID' && normalized !== 'ASK') {
+        throw new ExchangeError('BAD_SIDE', 'Side must be BID (buy) or ASK (sell).');
+    }
+    return normalized;
+}
+
+function normalizePrice(price, min, max) {
+    const value = Number(price);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new ExchangeError('BAD_PRICE', `Price must be a whole number of points from ${min} to ${max.toLocaleString()} per contract.`);
+    }
+    return value;
+}
+
+async function recordOptionTrade({ guildId, userId, positionId, spec, action, contracts, premium, points }) {
+    await db.run(
+        `INSERT INTO option_trades (
+             guildId, userId, positionId, underlying, optionType, strike, expiry, action, contracts, premium, points
+         ) VALUES (
+             @guildId, @userId, @positionId, @underlying, @optionType, @strike, @expiry, @action, @contracts, @premium, @points
+         )`,
+        {
+            guildId, userId, positionId, underlying: spec.underlying, optionType: spec.optionType,
+            strike: spec.strike, expiry: spec.expiry, action, contracts, premium, points
+        }
+    );
+}
+
+module.exports = new BookService();
+module.exports.MAX_OPEN_ORDERS = MAX_OPEN_ORDERS;
@@ -1,20 +1,17 @@
-const axios = require('axios');
 const db = require('../../db');
 const economyService = require('../economyService');
+const stockService = require('../stockService');
 const accountService = require('./accountService');
 const { toSqlTime } = require('./accountService');
 const exchangeEvents = require('./exchangeEvents');
 
-const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-const HTTP_HEADERS = { 'User-Agent': 'Mozilla/5.0 (compatible; GoobsterBot/1.0)' };
-const HTTP_TIMEOUT_MS = 10_000;
 // A symbol's events are re-checked at most this often
 const SWEEP_INTERVAL_HOURS = 20;
 
 /**
  * Corporate actions from the REAL feed: cash dividends and stock splits, as
- * reported by the same keyless chart endpoint that prices everything else
- * (`events=div,splits`).
+ * reported by the same market-data provider that prices everything else
+ * (Yahoo's chart endpoint live, the data files on a replay).
  *
  * Rules that keep this honest:
  *   - Every event is recorded once globally (`corporate_actions`) and applied
@@ -32,21 +29,9 @@ const SWEEP_INTERVAL_HOURS = 20;
  *     unchanged - a split moves decimal points, not value.
  */
 class CorporateActionsService {
-    /** Fetch dividends and splits for one symbol from the live feed. */
+    /** Fetch dividends and splits for one symbol from the market-data provider. */
     async fetchEvents(symbol, { range = '1mo' } = {}) {
-        const { data } = await axios.get(`${CHART_URL}${encodeURIComponent(symbol)}`, {
-            params: { range, interval: '1d', events: 'div,splits' },
-            headers: HTTP_HEADERS,
-            timeout: HTTP_TIMEOUT_MS
-        });
-        const events = data?.chart?.result?.[0]?.events || {};
-        const dividends = Object.values(events.dividends || {})
-            .filter(event => Number.isFinite(event.amount) && event.amount > 0)
-            .map(event => ({ date: dateKey(event.date), amount: event.amount }));
-        const splits = Object.values(events.splits || {})
-            .filter(event => event.numerator > 0 && event.denominator > 0)
-            .map(event => ({ date: dateKey(event.date), ratio: event.numerator / event.denominator }));
-        return { dividends, splits };
+        return await stockService.getCorporateActions(symbol, { range });
     }
 
     /** Symbols anybody holds, is short, or has paper against. */
@@ -65,7 +50,7 @@ class CorporateActionsService {
      * SWEEP_INTERVAL_HOURS) and apply anything new.
      * @returns {Promise<{checked: number, applied: Array}>}
      */
-    async sweep({ now = new Date() } = {}) {
+    async sweep({ now = stockService.now() } = {}) {
         const applied = [];
         let checked = 0;
 
@@ -247,8 +232,4 @@ class CorporateActionsService {
     }
 }
 
-function dateKey(unixSeconds) {
-    return new Date(unixSeconds * 1000).toISOString().slice(0, 10);
-}
-
 module.exports = new CorporateActionsService();
@@ -4,10 +4,15 @@
  *
  * Layering: pure math (optionsMath, marginMath) -> market data (optionsMarket)
  * -> position services (accountService, shortService, optionsService,
- * orderService, predictionService) -> the RiskEngine tick -> auditService,
- * which only reads. Every wallet movement still goes through
+ * orderService, bookService, predictionService) -> the RiskEngine tick ->
+ * auditService, which only reads. Every wallet movement still goes through
  * economyService.adjust(); everything the engine does lands in
- * `exchange_events`.
+ * `exchange_events`. Seasons (seasonService) reuse all of it on a scoped
+ * guild id, so a season is a ledger partition rather than a second engine.
+ * Backtests (backtestMath, backtestService) replay strategies over history
+ * with the same pricing and never touch a wallet; risk analytics (riskMath,
+ * riskService) read the same snapshots the engine marks, and the forensic
+ * timeline (timelineMath, timelineService) replays the ledger and events.
  */
 module.exports = {
     ExchangeError: require('./errors').ExchangeError,
@@ -21,12 +26,20 @@ module.exports = {
     optionsService: require('./optionsService'),
     spreadMath: require('./spreadMath'),
     spreadService: require('./spreadService'),
+    backtestMath: require('./backtestMath'),
+    backtestService: require('./backtestService'),
+    riskMath: require('./riskMath'),
+    riskService: require('./riskService'),
+    timelineMath: require('./timelineMath'),
+    timelineService: require('./timelineService'),
     perpsService: require('./perpsService'),
     orderService: require('./orderService'),
+    bookService: require('./bookService'),
     predictionService: require('./predictionService'),
     groupPlayService: require('./groupPlayService'),
     wheelService: require('./wheelService'),
     corporateActionsService: require('./corporateActionsService'),
     auditService: require('./auditService'),
+    seasonService: require('./seasonService'),
     RiskEngine: require('./riskEngine')
 };
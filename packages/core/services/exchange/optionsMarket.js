@@ -90,18 +90,18 @@ class OptionsMarket {
     }
 
     /** Years until settlement, floored so a 0DTE contract stays priceable. */
-    timeToExpiry(expiry, now = new Date()) {
+    timeToExpiry(expiry, now = stockService.now()) {
         const ms = expiryInstant(expiry).getTime() - now.getTime();
         return Math.max(MIN_TIME_YEARS, ms / YEAR_MS);
     }
 
     /** True once the settlement instant has passed. */
-    hasExpired(expiry, now = new Date()) {
+    hasExpired(expiry, now = stockService.now()) {
         return now.getTime() >= expiryInstant(expiry).getTime();
     }
 
     /** True when the contract expires on today's date (the 0DTE gate). */
-    isZeroDte(expiry, now = new Date()) {
+    isZeroDte(expiry, now = stockService.now()) {
         return String(expiry) === dateKey(now);
     }
 
@@ -112,7 +112,7 @@ class OptionsMarket {
      * the *precision* of a quote rather than blocking the trade.
      * @returns {Promise<{vol: number, source: 'realized'|'cached'|'default'}>}
      */
-    async getVolatility(symbol, { now = new Date() } = {}) {
+    async getVolatility(symbol, { now = stockService.now() } = {}) {
         const cached = await db.get(
             'SELECT impliedVol, ivUpdatedAt FROM stock_symbols WHERE symbol = @symbol',
             { symbol }
@@ -187,7 +187,7 @@ class OptionsMarket {
      * premium per share, the greeks, break-even, and the probabilities.
      * @param {{symbol, optionType, strike, expiry, guildId?, now?, quote?}} params
      */
-    async quoteContract({ symbol, optionType, strike, expiry, guildId = null, now = new Date(), quote = null }) {
+    async quoteContract({ symbol, optionType, strike, expiry, guildId = null, now = stockService.now(), quote = null }) {
         const type = String(optionType || '').toUpperCase();
         if (type !== 'CALL' && type !== 'PUT') {
             throw new ExchangeError('BAD_OPTION_TYPE', 'Option type must be CALL or PUT.');
@@ -288,7 +288,7 @@ class OptionsMarket {
      * dates are skipped - the underlying does not print a close on Saturday.
      * @returns {Array<{expiry: string, days: number, zeroDte: boolean, label: string}>}
      */
-    listExpiries({ now = new Date(), limit = 8 } = {}) {
+    listExpiries({ now = stockService.now(), limit = 8 } = {}) {
         const candidates = new Set();
         const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
 
@@ -350,7 +350,7 @@ class OptionsMarket {
      * A full option chain for one expiry: calls and puts across a strike
      * ladder, priced in a single pass off one underlying quote.
      */
-    async buildChain({ symbol, expiry = null, depth = 5, guildId = null, now = new Date() }) {
+    async buildChain({ symbol, expiry = null, depth = 5, guildId = null, now = stockService.now() }) {
         const resolved = this.resolveUnderlying(symbol);
         const quote = await stockService.getQuote(resolved.symbol);
         const expiries = this.listExpiries({ now });
@@ -102,7 +102,7 @@ class OptionsService {
      * @param {Object} params - { guildId, userId, symbol, optionType, strike, expiry, contracts }
      * @returns {Promise<Object>} fill details, the resulting position, and the risk picture
      */
-    async buyToOpen({ guildId, userId, symbol, optionType, strike, expiry, contracts, now = new Date(), viaGroupEvent = false }) {
+    async buyToOpen({ guildId, userId, symbol, optionType, strike, expiry, contracts, now = stockService.now(), viaGroupEvent = false }) {
         const count = normalizeContracts(contracts);
         await this._assertTradable({ guildId, userId, expiry, now, viaGroupEvent });
 
@@ -202,7 +202,7 @@ class OptionsService {
      * Sell to close some or all of an open position at the current bid.
      * @param {Object} params - { guildId, userId, positionId, contracts?: number|null }
      */
-    async sellToClose({ guildId, userId, positionId, contracts = null, now = new Date() }) {
+    async sellToClose({ guildId, userId, positionId, contracts = null, now = stockService.now() }) {
         const position = await this.getPosition({ guildId, userId, id: positionId });
         if (!position || position.status !== 'OPEN') {
             throw new ExchangeError('NO_POSITION', 'You have no open contract with that id.');
@@ -286,7 +286,7 @@ class OptionsService {
      * the account's buying power.
      * @param {Object} params - { guildId, userId, symbol, optionType, strike, expiry, contracts }
      */
-    async sellToOpen({ guildId, userId, symbol, optionType, strike, expiry, contracts, now = new Date() }) {
+    async sellToOpen({ guildId, userId, symbol, optionType, strike, expiry, contracts, now = stockService.now() }) {
         const count = normalizeContracts(contracts);
         await this._assertTradable({ guildId, userId, expiry, now });
 
@@ -411,7 +411,7 @@ class OptionsService {
      * account may borrow the difference - being unable to afford the
      * buy-back is exactly how a naked write goes wrong.
      */
-    async buyToClose({ guildId, userId, positionId, contracts = null, now = new Date() }) {
+    async buyToClose({ guildId, userId, positionId, contracts = null, now = stockService.now() }) {
         const position = await this.getPosition({ guildId, userId, id: positionId });
         if (!position || position.status !== 'OPEN') {
             throw new ExchangeError('NO_POSITION', 'You have no open contract with that id.');
@@ -496,7 +496,7 @@ class OptionsService {
      * money, longs get nothing and writers keep the whole premium.
      * @returns {Promise<{status, payout, realized, settlePrice}>}
      */
-    async settlePosition({ position, now = new Date() }) {
+    async settlePosition({ position, now = stockService.now() }) {
         let settlePrice = null;
         try {
             const quote = await stockService.getQuote(position.underlying);
@@ -593,7 +593,7 @@ class OptionsService {
      * expiration and assignment pass).
      * @returns {Promise<Array>} one result per settled position
      */
-    async settleExpired({ guildId = null, now = new Date() } = {}) {
+    async settleExpired({ guildId = null, now = stockService.now() } = {}) {
         const filter = guildId ? 'AND guildId = @guildId' : '';
         const due = (await db.all(
             `SELECT * FROM option_positions WHERE status = 'OPEN' AND expiry <= @today ${filter}
@@ -32,7 +32,7 @@ class OrderService {
      */
     async place({
         guildId, userId, symbol, side, orderType, units,
-        limitPrice = null, stopPrice = null, trailPercent = null, expiresAt = null, now = new Date()
+        limitPrice = null, stopPrice = null, trailPercent = null, expiresAt = null, now = stockService.now()
     }) {
         const normalizedSide = String(side || '').toUpperCase();
         const normalizedType = String(orderType || '').toUpperCase();
@@ -159,7 +159,7 @@ class OrderService {
      * stale ones, drag trailing anchors along, and fill whatever triggered.
      * @returns {Promise<{checked: number, filled: Array, rejected: Array, expired: Array}>}
      */
-    async evaluate({ guildId = null, now = new Date() } = {}) {
+    async evaluate({ guildId = null, now = stockService.now() } = {}) {
         const filter = guildId ? 'AND guildId = @guildId' : '';
         const orders = await db.all(
             `SELECT * FROM exchange_orders WHERE status IN ('OPEN', 'TRIGGERED') ${filter}
@@ -46,7 +46,7 @@ class PerpsService {
      * Open a perp. The margin is escrowed from the wallet immediately.
      * @param {Object} params - { guildId, userId, symbol, direction, margin, leverage }
      */
-    async open({ guildId, userId, symbol, direction, margin, leverage, now = new Date() }) {
+    async open({ guildId, userId, symbol, direction, margin, leverage, now = stockService.now() }) {
         const settings = await exchangeConfig.requireFeature(guildId, 'futuresEnabled', 'Perpetual futures');
 
         const side = String(direction || '').toUpperCase();
@@ -121,7 +121,7 @@ class PerpsService {
      * Close a perp at the current mark. The wallet gets back whatever the
      * margin is worth: margin + P/L - funding, floored at zero.
      */
-    async close({ guildId, userId, id, now = new Date(), reason = 'closed' }) {
+    async close({ guildId, userId, id, now = stockService.now(), reason = 'closed' }) {
         const position = await this.getPosition({ guildId, userId, id });
         if (!position || position.status !== 'OPEN') {
             throw new ExchangeError('NO_POSITION', `No open perp #${id} of yours.`);
@@ -173,7 +173,7 @@ class PerpsService {
      * funding has eaten). A missing mark defers - never liquidate blind.
      * @returns {Promise<{funded: number, liquidated: Array}>}
      */
-    async sweep({ guildId, now = new Date() }) {
+    async sweep({ guildId, now = stockService.now() }) {
         const settings = await exchangeConfig.get(guildId);
         const open = await db.all(
             "SELECT * FROM perp_positions WHERE guildId = @guildId AND status = 'OPEN' ORDER BY id LIMIT 500",
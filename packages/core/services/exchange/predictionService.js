@@ -33,7 +33,7 @@ const MAX_HORIZON_DAYS = 365;
  */
 class PredictionService {
     /** Create a market. Callers gate this on Manage Server. */
-    async createMarket({ guildId, symbol, comparator, threshold, closesAt, resolvesAt, question = null, createdBy = null, positionCap = 500, now = new Date() }) {
+    async createMarket({ guildId, symbol, comparator, threshold, closesAt, resolvesAt, question = null, createdBy = null, positionCap = 500, now = stockService.now() }) {
         await exchangeConfig.requireFeature(guildId, 'predictionsEnabled', 'Event contracts');
 
         const normalizedSymbol = optionsMarket.resolveUnderlying(symbol).symbol;
@@ -115,7 +115,7 @@ class PredictionService {
      * Price a market: the risk-neutral probability of the event, converted to
      * a YES/NO price in points, plus the house edge on each side.
      */
-    async quote({ market, now = new Date() }) {
+    async quote({ market, now = stockService.now() }) {
         const quote = await stockService.getQuote(market.symbol);
         const resolves = new Date(`${market.resolvesAt}Z`);
         const timeYears = Math.max(
@@ -158,7 +158,7 @@ class PredictionService {
      * Buy contracts on one side of a market. Contracts cost their price in
      * points and pay 100 if the side is right, nothing if it is wrong.
      */
-    async buy({ guildId, userId, marketId, side, contracts, now = new Date() }) {
+    async buy({ guildId, userId, marketId, side, contracts, now = stockService.now() }) {
         await exchangeConfig.requireFeature(guildId, 'predictionsEnabled', 'Event contracts');
         const market = await this.getMarket({ guildId, id: marketId });
         if (!market) throw new ExchangeError('NO_MARKET', `No market #${marketId} in this server.`);
@@ -237,7 +237,7 @@ class PredictionService {
      * Settle one market against the underlying's price at resolution.
      * @returns {Promise<{outcome, settlePrice, paid, winners}>}
      */
-    async settleMarket({ market, now = new Date() }) {
+    async settleMarket({ market, now = stockService.now() }) {
         let settlePrice;
         try {
             settlePrice = (await stockService.getQuote(market.symbol)).price;
@@ -299,7 +299,7 @@ class PredictionService {
      * Close markets whose trading window ended and settle the ones that have
      * reached their resolution time (the risk engine's settlement pass).
      */
-    async settleDue({ guildId = null, now = new Date() } = {}) {
+    async settleDue({ guildId = null, now = stockService.now() } = {}) {
         const filter = guildId ? 'AND guildId = @guildId' : '';
         const stamp = toSqlTime(now);
 
@@ -329,13 +329,17 @@ class PredictionService {
     }
 
     /** Void a market and refund every open contract at cost (admin escape hatch). */
-    async voidMarket({ guildId, id, reason = null, now = new Date() }) {
+    async voidMarket({ guildId, id, reason = null, now = stockService.now() }) {
         const market = await this.getMarket({ guildId, id });
         if (!market) throw new ExchangeError('NO_MARKET', `No market #${id} in this server.`);
         if (market.status === 'SETTLED' || market.status === 'VOID') {
             throw new ExchangeError('MARKET_CLOSED', `That market is already ${market.status.toLowerCase()}.`);
         }
 
+        // Working member-to-member orders come off the book with their escrow
+        const bookService = require('./bookService');
+        await bookService.closeMarket({ guildId, marketId: market.id, reason: 'market voided', now });
+
         const positions = await db.all(
             "SELECT * FROM prediction_positions WHERE marketId = @marketId AND status = 'OPEN'",
             { marketId: market.id }
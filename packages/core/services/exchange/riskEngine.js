@@ -1,11 +1,13 @@
 const db = require('../../db');
 const economyService = require('../economyService');
 const stockPortfolioService = require('../stockPortfolioService');
+const stockService = require('../stockService');
 const exchangeConfig = require('./exchangeConfig');
 const accountService = require('./accountService');
 const shortService = require('./shortService');
 const optionsService = require('./optionsService');
 const orderService = require('./orderService');
+const bookService = require('./bookService');
 const predictionService = require('./predictionService');
 const marginMath = require('./marginMath');
 const exchangeEvents = require('./exchangeEvents');
@@ -20,10 +22,11 @@ const MAX_LIQUIDATION_PASSES = 2;
  *
  * Every tick, for each guild that uses the exchange:
  *   1. accrue margin interest and short borrow fees
- *   2. settle contracts whose expiry has passed
- *   3. settle event contracts that reached their resolution time
- *   4. fill or expire resting orders
- *   5. mark every account, raise margin calls, and force-liquidate the ones
+ *   2. expire book orders whose instrument stopped trading (escrow back first)
+ *   3. settle contracts whose expiry has passed
+ *   4. settle event contracts that reached their resolution time
+ *   5. fill or expire resting orders
+ *   6. mark every account, raise margin calls, and force-liquidate the ones
  *      that stayed under water past the grace period
  *
  * Everything it does lands in `exchange_events` (why) and, when points move,
@@ -65,15 +68,19 @@ class RiskEngine {
                  UNION SELECT guildId FROM option_positions WHERE status = 'OPEN'
                  UNION SELECT guildId FROM exchange_orders WHERE status IN ('OPEN', 'TRIGGERED')
                  UNION SELECT guildId FROM prediction_markets WHERE status IN ('OPEN', 'CLOSED')
-             )`
+                 UNION SELECT guildId FROM book_orders WHERE status = 'OPEN'
+             )
+             -- An ended season's books are frozen at its final standings
+             WHERE guildId NOT IN (SELECT scopeId FROM exchange_seasons WHERE status = 'ENDED' AND scopeId IS NOT NULL)`
         )).map(row => row.guildId);
     }
 
     /**
-     * One full pass over every active guild.
+     * One full pass over every active guild. The clock defaults to the
+     * market clock, so a replay settles and liquidates at simulated time.
      * @returns {Promise<{guilds: number, results: Array, skipped?: boolean}>}
      */
-    async runOnce({ now = new Date() } = {}) {
+    async runOnce({ now = stockService.now() } = {}) {
         const outcome = await db.withSingletonLock('risk_engine', async () => {
             if (this.running) return { guilds: 0, results: [], skipped: true };
             this.running = true;
@@ -91,6 +98,14 @@ class RiskEngine {
     }
 
     async _runOnceBody(now) {
+        // Close seasons that ran out of time before ticking them once more
+        try {
+            const seasonService = require('./seasonService');
+            await seasonService.endExpired({ now });
+        } catch (error) {
+            console.warn('[Exchange] Season sweep failed:', error.message);
+        }
+
         const guilds = await this.activeGuilds();
         const results = [];
         for (const guildId of guilds) {
@@ -118,13 +133,14 @@ class RiskEngine {
     }
 
     /** One guild's full risk pass. */
-    async runGuild({ guildId, now = new Date() }) {
+    async runGuild({ guildId, now = stockService.now() }) {
         const summary = {
             guildId,
             interest: 0,
             borrowFees: 0,
             optionsSettled: [],
             marketsSettled: [],
+            bookExpired: [],
             orders: null,
             marginCalls: [],
             liquidations: [],
@@ -138,6 +154,15 @@ class RiskEngine {
             summary.borrowFees += accrued;
         }
 
+        // Book orders on instruments that stopped trading come off first, so
+        // bid escrow is back in the wallet before anything settles
+        summary.bookExpired = await bookService.expireDue({ guildId, now });
+        for (const order of summary.bookExpired) {
+            await this._notify(order.userId,
+                `⌛ Your order-book ${order.side.toLowerCase()} on ${bookService.describe(order)} expired with ${order.contracts - order.filled} contract(s) unfilled` +
+                `${order.escrow > 0 ? ` - ${order.escrow.toLocaleString()} escrowed points are back in your wallet.` : '.'}`);
+        }
+
         summary.optionsSettled = await optionsService.settleExpired({ guildId, now });
         for (const settled of summary.optionsSettled) {
             const p = settled.position;
@@ -185,7 +210,7 @@ class RiskEngine {
      * elapsed (immediately when equity has gone negative - there is nothing
      * left to protect).
      */
-    async checkMargin({ guildId, now = new Date() }) {
+    async checkMargin({ guildId, now = stockService.now() }) {
         const settings = await exchangeConfig.get(guildId);
         const calls = [];
         const liquidations = [];
@@ -243,7 +268,7 @@ class RiskEngine {
      * Largest positions go first; a still-broken account is flushed entirely
      * on the second pass.
      */
-    async liquidate({ guildId, userId, snapshot = null, now = new Date(), reason = 'margin-call' }) {
+    async liquidate({ guildId, userId, snapshot = null, now = stockService.now(), reason = 'margin-call' }) {
         const settings = await exchangeConfig.get(guildId);
         let current = snapshot || await accountService.getSnapshot({ guildId, userId, now });
         const closed = [];
@@ -0,0 +1,323 @@
+/**
+ * Portfolio risk analytics - pure functions, no I/O.
+ *
+ * Three views of the same book:
+ *   - net greeks: every priced stock, short, option leg (spreads are just
+ *     legs) and perp folded into share-equivalent delta/gamma plus point
+ *     vega/theta per underlying,
+ *   - historical-simulation VaR: today's exposures replayed over past daily
+ *     returns with a delta-gamma revaluation,
+ *   - shock scenarios: every position fully repriced under "SPY -10%, vol +20"
+ *     and the account re-margined, with marginMath.liquidationPlan naming
+ *     what the risk engine would sell first.
+ *
+ * Inputs are accountService.getSnapshot() objects, so the numbers start from
+ * exactly the marks the risk engine itself uses.
+ */
+const optionsMath = require('./optionsMath');
+const marginMath = require('./marginMath');
+const { ExchangeError } = require('./errors');
+
+const CONFIDENCE_LEVELS = [0.95, 0.99];
+const MIN_OBSERVATIONS = 20;
+const MAX_SCENARIO_TERMS = 12;
+// Volatility never shocks below this (a zero vol is an expired contract)
+const MIN_SHOCKED_VOL = 0.01;
+const MARKET_WORDS = new Set(['MARKET', 'ALL', 'EVERYTHING']);
+// riskEngine liquidates without grace at or below zero equity
+const HOPELESS_EQUITY = 0;
+
+/**
+ * Net greeks by underlying for one or more account snapshots.
+ *
+ * Delta and gamma are in shares (a long share is delta 1; one long call
+ * contract at delta 0.5 is 50), vega is points per volatility point, and
+ * theta is points per day. Perps count as delta one; their isolated margin
+ * floor is ignored here, as it only matters in a shock.
+ * @param {Array<Object>} snapshots
+ * @returns {Array<{symbol, spot, delta, gamma, vega, theta, deltaDollars, gammaDollars,
+ *                  stockUnits, optionContracts, perpUnits}>}
+ */
+function netGreeks(snapshots) {
+    const bySymbol = new Map();
+    const row = (symbol, spot) => {
+        if (!bySymbol.has(symbol)) {
+            bySymbol.set(symbol, {
+                symbol, spot, delta: 0, gamma: 0, vega: 0, theta: 0,
+                stockUnits: 0, optionContracts: 0, perpUnits: 0
+            });
+        }
+        const entry = bySymbol.get(symbol);
+        if (spot) entry.spot = spot;
+        return entry;
+    };
+
+    for (const snapshot of snapshots) {
+        for (const position of snapshot.longs.filter(p => p.priced)) {
+            const entry = row(position.symbol, position.price);
+            entry.delta += position.units;
+            entry.stockUnits += position.units;
+        }
+        for (const position of snapshot.shorts.filter(p => p.priced)) {
+            const entry = row(position.symbol, position.price);
+            entry.delta -= position.units;
+            entry.stockUnits -= position.units;
+        }
+        for (const option of snapshot.options.filter(o => o.priced && o.greeks)) {
+            const sign = option.side === 'SHORT' ? -1 : 1;
+            const size = sign * option.contracts * option.contractSize;
+            const entry = row(option.underlying, option.spot);
+            entry.delta += option.greeks.delta * size;
+            entry.gamma += option.greeks.gamma * size;
+            entry.vega += option.greeks.vega * size;
+            entry.theta += option.greeks.theta * size;
+            entry.optionContracts += sign * option.contracts;
+        }
+        for (const perp of (snapshot.perps || []).filter(p => p.priced)) {
+            const units = perp.direction === 'SHORT' ? -perp.units : perp.units;
+            const entry = row(perp.symbol, perp.price);
+            entry.delta += units;
+            entry.perpUnits += units;
+        }
+    }
+
+    return [...bySymbol.values()].map(entry => ({
+        ...entry,
+        deltaDollars: entry.delta * entry.spot,
+        // What a 1% rally adds to (or takes from) deltaDollars
+        gammaDollars: entry.gamma * entry.spot * entry.spot / 100
+    })).sort((a, b) => Math.abs(b.deltaDollars) - Math.abs(a.deltaDollars));
+}
+
+/** Sum the per-underlying rows into book totals (share deltas do not add across symbols; dollars do). */
+function totalGreeks(rows) {
+    return rows.reduce((sum, entry) => ({
+        deltaDollars: sum.deltaDollars + entry.deltaDollars,
+        gammaDollars: sum.gammaDollars + entry.gammaDollars,
+        vega: sum.vega + entry.vega,
+        theta: sum.theta + entry.theta
+    }), { deltaDollars: 0, gammaDollars: 0, vega: 0, theta: 0 });
+}
+
+/**
+ * Historical-simulation VaR: today's exposures revalued over each past day's
+ * returns, delta-gamma (`delta*S*r + gamma*(S*r)^2/2`). Volatility is held
+ * still - there is no implied-vol history to replay - so vega risk shows up
+ * in scenarios, not here.
+ *
+ * Only days on which every exposed symbol with history has a return count,
+ * so a correlated crash is replayed as the crash it was.
+ * @param {{exposures: Array, history: Object<string, Array<{date, close}>>, levels?: number[]}} params
+ * @returns {{observations, from, to, levels: Array<{confidence, var, expectedShortfall}>, worst}|null}
+ *          null when there are fewer than MIN_OBSERVATIONS shared days
+ */
+function historicalVar({ exposures, history, levels = CONFIDENCE_LEVELS }) {
+    const exposed = exposures.filter(entry => (entry.delta !== 0 || entry.gamma !== 0) && history[entry.symbol]?.length > 1);
+    if (exposed.length === 0) return null;
+
+    const returns = new Map();
+    for (const entry of exposed) {
+        const byDate = new Map();
+        const points = history[entry.symbol];
+        for (let i = 1; i < points.length; i++) {
+            if (points[i - 1].close > 0) byDate.set(points[i].date, points[i].close / points[i - 1].close - 1);
+        }
+        returns.set(entry.symbol, byDate);
+    }
+    const dates = [...returns.get(exposed[0].symbol).keys()]
+        .filter(date => exposed.every(entry => returns.get(entry.symbol).has(date)))
+        .sort();
+    if (dates.length < MIN_OBSERVATIONS) return null;
+
+    const outcomes = dates.map(date => ({
+        date,
+        pl: exposed.reduce((sum, entry) => {
+            const move = entry.spot * returns.get(entry.symbol).get(date);
+            return sum + entry.delta * move + 0.5 * entry.gamma * move * move;
+        }, 0)
+    })).sort((a, b) => a.pl - b.pl);
+
+    return {
+        observations: outcomes.length,
+        from: dates[0],
+        to: dates[dates.length - 1],
+        symbols: exposed.map(entry => entry.symbol),
+        levels: levels.map(confidence => {
+            const index = Math.min(outcomes.length - 1, Math.floor((1 - confidence) * outcomes.length));
+            const tail = outcomes.slice(0, index + 1);
+            return {
+                confidence,
+                var: Math.max(0, -outcomes[index].pl),
+                expectedShortfall: Math.max(0, -tail.reduce((sum, outcome) => sum + outcome.pl, 0) / tail.length)
+            };
+        }),
+        worst: outcomes[0]
+    };
+}
+
+/**
+ * Parse a shock scenario: comma- or semicolon-separated terms of
+ *   `SPY -10%`       one underlying's price
+ *   `market -5%`     every underlying without its own term (a bare `-5%` too)
+ *   `vol +20`        every implied volatility, in volatility points (30% -> 50%)
+ *   `AAPL vol +10`   one underlying's volatility
+ * @param {string} text
+ * @param {{resolve?: (symbol: string) => string}} options - maps a typed
+ *        symbol to the one positions are stored under (SPX -> ^GSPC)
+ * @returns {{text: string, spot: Object<string, number>, vol: Object<string, number>}}
+ *          fractional shocks keyed by symbol, '*' for the whole market
+ */
+function parseScenario(text, { resolve = symbol => symbol.toUpperCase() } = {}) {
+    const terms = String(text || '').split(/[,;]/).map(term => term.trim()).filter(Boolean);
+    if (terms.length === 0) {
+        throw new ExchangeError('BAD_SCENARIO', 'Describe a scenario, e.g. `SPY -10%, vol +20`.');
+    }
+    if (terms.length > MAX_SCENARIO_TERMS) {
+        throw new ExchangeError('BAD_SCENARIO', `A scenario can have at most ${MAX_SCENARIO_TERMS} terms.`);
+    }
+
+    const scenario = { text: terms.join(', '), spot: {}, vol: {} };
+    for (const term of terms) {
+        const match = term.match(/^(?:([\w.^=-]+?)\s+)?(?:(vol)\s+)?([+-]?\d+(?:\.\d+)?)\s*%?$/i);
+        if (!match) {
+            throw new ExchangeError('BAD_SCENARIO', `Could not read \`${term}\`. Try \`SPY -10%\`, \`market -5%\`, or \`vol +20\`.`);
+        }
+        let [, subject, volWord] = match;
+        const amount = Number(match[3]);
+        // "vol +20" parses the word as the subject
+        if (!volWord && subject?.toLowerCase() === 'vol') {
+            volWord = 'vol';
+            subject = null;
+        }
+        const key = !subject || MARKET_WORDS.has(subject.toUpperCase()) ? '*' : resolve(subject);
+
+        if (volWord) {
+            if (amount < -100 || amount > 500) {
+                throw new ExchangeError('BAD_SCENARIO', 'A volatility shock must be between -100 and +500 points.');
+            }
+            scenario.vol[key] = amount / 100;
+        } else {
+            if (amount <= -100 || amount > 1000) {
+                throw new ExchangeError('BAD_SCENARIO', 'A price shock must be above -100% and at most +1000%.');
+            }
+            scenario.spot[key] = amount / 100;
+        }
+    }
+    return scenario;
+}
+
+function shockOf(shocks, symbol) {
+    return shocks[symbol] ?? shocks['*'] ?? 0;
+}
+
+/**
+ * Reprice one account under a scenario and re-run the margin check.
+ *
+ * Stock and perps move with the shocked price. Options are repriced with
+ * Black-Scholes at the shocked spot and volatility, and the change is added
+ * to the conservative mark the snapshot carried (bid for longs, ask for
+ * shorts), so the house spread survives the shock. The written book's
+ * requirement is recomputed with marginMath.optionBookRequirement, and when
+ * the account ends up short of maintenance, marginMath.liquidationPlan picks
+ * the stock the risk engine would sell first. Unpriced positions stay out,
+ * as they do in the snapshot.
+ * @param {{snapshot: Object, scenario: Object, rate?: number, maintenanceBuffer?: number}} params
+ * @returns {{userId, equityBefore, equity, maintenance, pl, shortfall, status: 'ok'|'margin-call'|'liquidation',
+ *            plan: Array, perpLiquidations: Array}}
+ */
+function shockAccount({ snapshot, scenario, rate = 0, maintenanceBuffer = 0.2 }) {
+    const { settings } = snapshot;
+    const price = (symbol, current) => current * (1 + shockOf(scenario.spot, symbol));
+
+    const longs = snapshot.longs.filter(p => p.priced)
+        .map(p => ({ key: p.symbol, direction: 'LONG', units: p.units, value: p.units * price(p.symbol, p.price), before: p.value }));
+    const shorts = snapshot.shorts.filter(p => p.priced)
+        .map(p => ({ key: p.symbol, direction: 'SHORT', units: p.units, value: p.units * price(p.symbol, p.price), before: p.value }));
+    const longValue = longs.reduce((sum, p) => sum + p.value, 0);
+    const shortValue = shorts.reduce((sum, p) => sum + p.value, 0);
+
+    let optionChange = 0;
+    const optionPositions = [];
+    for (const option of snapshot.options.filter(o => o.priced && o.iv)) {
+        const timeYears = Math.max(0, option.daysToExpiry) / 365;
+        const spot = price(option.underlying, option.spot);
+        const vol = Math.max(MIN_SHOCKED_VOL, option.iv + shockOf(scenario.vol, option.underlying));
+        const base = { strike: option.strike, timeYears, rate, optionType: option.optionType };
+        const move = optionsMath.price({ ...base, spot, vol }) - optionsMath.price({ ...base, spot: option.spot, vol: option.iv });
+        const short = option.side === 'SHORT';
+        const mark = Math.max(0, (short ? option.markAsk : option.mark) + move);
+        const notional = option.contracts * option.contractSize;
+        // A long gains what the contract gains; a writer owes it
+        optionChange += (short ? -1 : 1) * (mark * notional - option.value);
+        optionPositions.push({
+            id: option.id, underlying: option.underlying, optionType: option.optionType,
+            expiry: option.expiry, side: option.side, strike: option.strike,
+            contracts: option.contracts, contractSize: option.contractSize, mark, spot
+        });
+    }
+    const optionRequirement = marginMath.optionBookRequirement({
+        positions: optionPositions,
+        sharesBySymbol: Object.fromEntries(longs.map(p => [p.key, p.units]))
+    }).total;
+
+    let perpChange = 0;
+    const perpLiquidations = [];
+    for (const perp of (snapshot.perps || []).filter(p => p.priced)) {
+        const shocked = price(perp.symbol, perp.price);
+        const state = marginMath.perpState({
+            direction: perp.direction, units: perp.units, entryPrice: perp.entryPrice,
+            margin: perp.margin, leverage: perp.leverage, fundingAccrued: perp.fundingAccrued,
+            price: shocked, maintenanceBuffer
+        });
+        perpChange += state.value - perp.value;
+        if (state.liquidated) {
+            perpLiquidations.push({ id: perp.id, symbol: perp.symbol, direction: perp.direction, units: perp.units, price: shocked });
+        }
+    }
+
+    const equity = snapshot.equity
+        + (longValue - snapshot.longValue)
+        - (shortValue - snapshot.shortValue)
+        + optionChange
+        + perpChange;
+    const maintenance = marginMath.maintenanceRequirement({
+        longValue, shortValue,
+        maintenanceMargin: settings.maintenanceMargin,
+        shortMaintenanceMargin: settings.shortMaintenanceMargin
+    }) + optionRequirement;
+    const shortfall = Math.max(0, maintenance - equity);
+
+    // The engine's own rule: under maintenance is a call with a grace
+    // period, and a call with nothing left is liquidated on the spot
+    let status = 'ok';
+    if (shortfall > 0) status = equity <= HOPELESS_EQUITY ? 'liquidation' : 'margin-call';
+
+    return {
+        userId: snapshot.userId,
+        equityBefore: snapshot.equity,
+        equity,
+        maintenance,
+        pl: equity - snapshot.equity,
+        shortfall,
+        status,
+        plan: shortfall > 0
+            ? marginMath.liquidationPlan({
+                positions: [...longs, ...shorts].map(({ key, direction, units, value }) => ({ key, direction, units, value })),
+                shortfall,
+                maintenanceMargin: settings.maintenanceMargin,
+                shortMaintenanceMargin: settings.shortMaintenanceMargin
+            })
+            : [],
+        perpLiquidations
+    };
+}
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    MIN_OBSERVATIONS,
+    netGreeks,
+    totalGreeks,
+    historicalVar,
+    parseScenario,
+    shockAccount
+};
@@ -0,0 +1,104 @@
+const db = require('../../db');
+const stockService = require('../stockService');
+const { riskFreeRate } = require('./exchangeConfig');
+const accountService = require('./accountService');
+const optionsMarket = require('./optionsMarket');
+const backtestService = require('./backtestService');
+const riskMath = require('./riskMath');
+const { MAINTENANCE_BUFFER } = require('./perpsService');
+
+/**
+ * Aggregate risk: the whole book's net greeks, how much it could lose on a
+ * bad day, and who breaks under a given shock. Read-only - it marks accounts
+ * exactly like the risk engine does (accountService.getSnapshot) and never
+ * moves a point or raises a call.
+ *
+ * VaR replays the `stock_prices` closes the bot has already cached (the same
+ * daily closes a cached backtest uses), so it needs no network and gives the
+ * same answer twice. Symbols with no cached history are listed rather than
+ * silently treated as riskless.
+ */
+class RiskService {
+    /**
+     * Everyone with something at risk: the engine's active accounts plus
+     * plain stockholders, whose longs carry delta even without a loan.
+     */
+    async traders(guildId) {
+        const holders = (await db.all(
+            'SELECT DISTINCT userId FROM stock_holdings WHERE guildId = @guildId',
+            { guildId }
+        )).map(row => row.userId);
+        return [...new Set([...await accountService.activeAccounts(guildId), ...holders])];
+    }
+
+    /**
+     * The risk report for one account, or the whole guild when `userId` is
+     * omitted.
+     * @param {{guildId: string, userId?: string|null, scenario?: string|null, range?: string, now?: Date}} params
+     * @returns {Promise<{scope, accounts, greeks, totals, var, missingHistory, scenario, pricingGaps}>}
+     */
+    async report({ guildId, userId = null, scenario = null, range = '1y', now = stockService.now() }) {
+        // A typo in the scenario fails before anything is marked
+        const shock = scenario
+            ? riskMath.parseScenario(scenario, { resolve: symbol => optionsMarket.resolveUnderlying(symbol).symbol })
+            : null;
+
+        const snapshots = [];
+        for (const traderId of userId ? [userId] : await this.traders(guildId)) {
+            try {
+                snapshots.push(await accountService.getSnapshot({ guildId, userId: traderId, now }));
+            } catch (error) {
+                if (userId) throw error;
+                console.warn(`[Exchange] Risk report could not mark account ${traderId}:`, error.message);
+            }
+        }
+
+        const greeks = riskMath.netGreeks(snapshots);
+        const history = {};
+        const missingHistory = [];
+        for (const entry of greeks) {
+            try {
+                history[entry.symbol] = (await backtestService.loadCloses({ symbol: entry.symbol, range, source: 'cached' })).points;
+            } catch (error) {
+                if (error.code !== 'NO_DATA') throw error;
+                missingHistory.push(entry.symbol);
+            }
+        }
+
+        const outcomes = shock
+            ? snapshots.map(snapshot => riskMath.shockAccount({
+                snapshot,
+                scenario: shock,
+                rate: riskFreeRate(snapshot.settings),
+                maintenanceBuffer: MAINTENANCE_BUFFER
+            })).sort((a, b) => a.pl - b.pl)
+            : null;
+
+        return {
+            guildId,
+            scope: userId ? 'account' : 'guild',
+            range,
+            accounts: snapshots.map(snapshot => ({
+                userId: snapshot.userId,
+                equity: snapshot.equity,
+                maintenance: snapshot.maintenance,
+                marginCall: snapshot.marginCall,
+                ...riskMath.totalGreeks(riskMath.netGreeks([snapshot]))
+            })),
+            greeks,
+            totals: riskMath.totalGreeks(greeks),
+            var: riskMath.historicalVar({ exposures: greeks, history }),
+            missingHistory,
+            scenario: shock
+                ? {
+                    text: shock.text,
+                    outcomes,
+                    atRisk: outcomes.filter(outcome => outcome.status !== 'ok' || outcome.perpLiquidations.length > 0)
+                }
+                : null,
+            pricingGaps: snapshots.reduce((sum, snapshot) => sum + snapshot.pricingGaps, 0)
+        };
+    }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,387 @@
+const db = require('../../db');
+const economyService = require('../economyService');
+const stockService = require('../stockService');
+const exchangeConfig = require('./exchangeConfig');
+const accountService = require('./accountService');
+const auditService = require('./auditService');
+const exchangeEvents = require('./exchangeEvents');
+const bookService = require('./bookService');
+const { toSqlTime } = require('./accountService');
+const { ExchangeError } = require('./errors');
+
+const MIN_BANKROLL = 100;
+const MAX_BANKROLL = 1_000_000;
+const MAX_PRIZE_POOL = 1_000_000;
+const MAX_NAME_LENGTH = 60;
+const GOBLIN_RULES = ['OFF', 'OPT_IN', 'EVERYONE'];
+// Share of the prize pool by final rank; an unfilled podium step stays with the house
+const PODIUM_SPLIT = [0.5, 0.3, 0.2];
+const TROPHIES = ['🥇 Champion', '🥈 Runner-up', '🥉 Third place'];
+const MAX_STANDINGS = 300;
+
+/**
+ * Exchange seasons: time-boxed trading competitions on sandboxed wallets.
+ *
+ * A season is a ledger partition, not a parallel implementation. It gets a
+ * scope id (`<guildId>:season:<id>`) that stands in for the guild id
+ * everywhere: its economy_settings row hands every entrant the bankroll as
+ * their starting balance, its exchange_settings row carries the season's
+ * leverage and goblin rules, and every trade, loan, fill and liquidation
+ * lands in the normal tables under that scope. accountService,
+ * auditService's equity math and the risk engine tick therefore run on a
+ * season exactly as they do on a guild, and a blown-up season account
+ * never costs anyone a real point.
+ *
+ * The only money that crosses back is the optional prize pool, paid into
+ * the guild economy through economyService.adjust() when the season ends.
+ */
+class SeasonService {
+    /** The running season in a guild, or null. */
+    async getActive(guildId) {
+        return await db.get(
+            `SELECT * FROM exchange_seasons WHERE guildId = @guildId AND status = 'ACTIVE'`,
+            { guildId }
+        ) || null;
+    }
+
+    async getSeason({ guildId, id }) {
+        return await db.get(
+            'SELECT * FROM exchange_seasons WHERE guildId = @guildId AND id = @id',
+            { guildId, id }
+        ) || null;
+    }
+
+    /** Most recent seasons first. */
+    async list({ guildId, limit = 10 }) {
+        return await db.all(
+            'SELECT * FROM exchange_seasons WHERE guildId = @guildId ORDER BY id DESC LIMIT @limit',
+            { guildId, limit: Math.min(50, Math.max(1, Number(limit) || 10)) }
+        );
+    }
+
+    /** Is this id a season partition rather than a real guild? */
+    isSeasonScope(scopeId) {
+        return /:season:\d+$/.test(String(scopeId || ''));
+    }
+
+    /**
+     * Where a member's trading commands land: the running season's scope
+     * when they joined it and their desk points at it, otherwise the guild.
+     */
+    async tradingScope(guildId, userId) {
+        const row = await db.get(
+            `SELECT s.scopeId FROM exchange_season_entries e
+             JOIN exchange_seasons s ON s.id = e.seasonId
+             WHERE s.guildId = @guildId AND s.status = 'ACTIVE'
+               AND e.userId = @userId AND e.desk = 'SEASON'`,
+            { guildId, userId }
+        );
+        return row?.scopeId || guildId;
+    }
+
+    /**
+     * The scope and currency a trading command works in. Members who joined
+     * a running season trade its sandboxed books with its own wallets, so
+     * every trading command resolves both here rather than trusting
+     * interaction.guildId.
+     * @param {Object} interaction - a guild command interaction
+     * @returns {Promise<{guildId: string, currencyName: string}>}
+     */
+    async resolveScope(interaction) {
+        const guildId = await this.tradingScope(interaction.guildId, interaction.user.id);
+        const { currencyName } = await economyService.getSettings(guildId);
+        return { guildId, currencyName };
+    }
+
+    /**
+     * Open a season. The season's exchange rules start from the guild's and
+     * override leverage and the goblin rule; margin is on whenever the
+     * season allows leverage above 1x.
+     * @param {{guildId: string, name: string, bankroll: number, prizePool?: number,
+     *          maxLeverage?: number|null, goblinRule?: string, endsAt?: string|null,
+     *          createdBy?: string|null, now?: Date}} params
+     */
+    async start({ guildId, name, bankroll, prizePool = 0, maxLeverage = null, goblinRule = 'OPT_IN', endsAt = null, createdBy = null, now = stockService.now() }) {
+        const title = String(name || '').trim();
+        if (!title || title.length > MAX_NAME_LENGTH) {
+            throw new ExchangeError('BAD_SEASON', `A season needs a name of 1-${MAX_NAME_LENGTH} characters.`);
+        }
+        if (!Number.isInteger(bankroll) || bankroll < MIN_BANKROLL || bankroll > MAX_BANKROLL) {
+            throw new ExchangeError('BAD_SEASON', `The bankroll must be a whole number from ${MIN_BANKROLL.toLocaleString()} to ${MAX_BANKROLL.toLocaleString()}.`);
+        }
+        if (!Number.isInteger(prizePool) || prizePool < 0 || prizePool > MAX_PRIZE_POOL) {
+            throw new ExchangeError('BAD_SEASON', `The prize pool must be a whole number from 0 to ${MAX_PRIZE_POOL.toLocaleString()}.`);
+        }
+        const rule = String(goblinRule || 'OPT_IN').toUpperCase();
+        if (!GOBLIN_RULES.includes(rule)) {
+            throw new ExchangeError('BAD_SEASON', `The goblin rule must be one of: ${GOBLIN_RULES.join(', ')}.`);
+        }
+        const endsAtStamp = endsAt ? parseEndsAt(endsAt) : null;
+        if (endsAtStamp && endsAtStamp <= now) {
+            throw new ExchangeError('BAD_SEASON', 'The season must end in the future.');
+        }
+        if (await this.getActive(guildId)) {
+            throw new ExchangeError('SEASON_RUNNING', 'A season is already running here. End it with `/exchange season end` first.');
+        }
+
+        const guildRules = await exchangeConfig.get(guildId);
+        const leverage = maxLeverage ?? guildRules.maxLeverage;
+        const { min, max } = exchangeConfig.LIMITS.maxLeverage;
+        if (!Number.isFinite(leverage) || leverage < min || leverage > max) {
+            throw new ExchangeError('BAD_SEASON', `Season leverage must be between ${min}x and ${max}x.`);
+        }
+        const { currencyName } = await economyService.getSettings(guildId);
+
+        const season = await db.transaction(async () => {
+            const id = await db.insert(
+                `INSERT INTO exchange_seasons (guildId, name, bankroll, prizePool, goblinRule, endsAt, createdBy)
+                 VALUES (@guildId, @name, @bankroll, @prizePool, @goblinRule, @endsAt, @createdBy)`,
+                {
+                    guildId, name: title, bankroll, prizePool, goblinRule: rule,
+                    endsAt: endsAtStamp ? toSqlTime(endsAtStamp) : null, createdBy
+                }
+            );
+            const scopeId = `${guildId}:season:${id}`;
+            await db.run('UPDATE exchange_seasons SET scopeId = @scopeId WHERE id = @id', { id, scopeId });
+            // The bankroll IS the starting balance: the first touch of a
+            // season wallet grants it through the normal ledger path
+            await db.run(
+                `INSERT INTO economy_settings (guildId, currencyName, startingBalance, dailyAmount)
+                 VALUES (@scopeId, @currencyName, @bankroll, 0)
+                 ON CONFLICT(guildId) DO UPDATE SET startingBalance = @bankroll, dailyAmount = 0`,
+                { scopeId, currencyName, bankroll }
+            );
+            return await this.getSeason({ guildId, id });
+        });
+
+        await exchangeConfig.set(season.scopeId, {
+            ...guildRules,
+            marginEnabled: guildRules.marginEnabled || leverage > 1,
+            maxLeverage: leverage,
+            optionsEnabled: guildRules.optionsEnabled || rule !== 'OFF',
+            zeroDteEnabled: rule !== 'OFF'
+        });
+        await exchangeEvents.record({
+            guildId, userId: createdBy, eventType: 'season-start',
+            detail: { seasonId: season.id, name: title, bankroll, prizePool, maxLeverage: leverage, goblinRule: rule }
+        });
+        return season;
+    }
+
+    /**
+     * Enter the running season (idempotent). The first touch of the season
+     * wallet grants the bankroll; re-joining points the desk back at the
+     * season.
+     */
+    async join({ guildId, userId }) {
+        const season = await this.getActive(guildId);
+        if (!season) {
+            throw new ExchangeError('NO_SEASON', 'No season is running here right now.');
+        }
+        await db.run(
+            `INSERT INTO exchange_season_entries (seasonId, guildId, userId) VALUES (@seasonId, @guildId, @userId)
+             ON CONFLICT(seasonId, userId) DO UPDATE SET desk = 'SEASON'`,
+            { seasonId: season.id, guildId, userId }
+        );
+        const wallet = await economyService.getWallet(season.scopeId, userId);
+        await accountService.getAccount(season.scopeId, userId);
+        if (season.goblinRule === 'EVERYONE') {
+            await accountService.setGoblinMode({ guildId: season.scopeId, userId, enabled: true });
+        }
+        return { season, balance: wallet.balance };
+    }
+
+    /** Point a member's trading commands at the season or at their real account. */
+    async setDesk({ guildId, userId, desk }) {
+        const target = String(desk || '').toUpperCase();
+        if (target !== 'SEASON' && target !== 'MAIN') {
+            throw new ExchangeError('BAD_DESK', 'Desk must be SEASON or MAIN.');
+        }
+        const season = await this.getActive(guildId);
+        const changed = season
+            ? (await db.run(
+                'UPDATE exchange_season_entries SET desk = @target WHERE seasonId = @seasonId AND userId = @userId',
+                { seasonId: season.id, userId, target }
+            )).changes
+            : 0;
+        if (!changed) {
+            throw new ExchangeError('NOT_ENTERED', 'You are not in a running season. Join with `/exchange season join`.');
+        }
+        return { season, desk: target };
+    }
+
+    /**
+     * Ranked standings. A running season is marked live by the same equity
+     * math as the exchange leaderboard; an ended one reports its frozen
+     * final results.
+     * @returns {Promise<{season, final: boolean, standings: Array<{userId, rank, equity, returnPct, trophy, payout}>}>}
+     */
+    async standings({ guildId, seasonId = null, now = stockService.now() }) {
+        const season = seasonId
+            ? await this.getSeason({ guildId, id: seasonId })
+            : await this.getActive(guildId) || (await this.list({ guildId, limit: 1 }))[0];
+        if (!season) {
+            throw new ExchangeError('NO_SEASON', 'This server has never run a season.');
+        }
+
+        if (season.status === 'ENDED') {
+            const rows = await db.all(
+                `SELECT userId, finalRank, finalEquity, trophy, payout FROM exchange_season_entries
+                 WHERE seasonId = @seasonId ORDER BY finalRank IS NULL, finalRank`,
+                { seasonId: season.id }
+            );
+            return {
+                season,
+                final: true,
+                standings: rows.map(row => ({
+                    userId: row.userId,
+                    rank: row.finalRank,
+                    equity: row.finalEquity,
+                    returnPct: row.finalEquity === null ? null : percentReturn(row.finalEquity, season.bankroll),
+                    trophy: row.trophy,
+                    payout: row.payout || 0
+                }))
+            };
+        }
+        return { season, final: false, standings: await this._rank(season, now) };
+    }
+
+    /**
+     * Close the season: freeze the final equity leaderboard, cancel its
+     * working orders (book bids get their escrow back), hand out trophies,
+     * and pay the prize pool into the guild economy, all in one
+     * transaction. The season's positions stay on the books for the record but
+     * the risk engine stops ticking them.
+     */
+    async end({ guildId, endedBy = null, now = stockService.now() }) {
+        const season = await this.getActive(guildId);
+        if (!season) {
+            throw new ExchangeError('NO_SEASON', 'No season is running here right now.');
+        }
+        return await this._finish(season, { endedBy, now });
+    }
+
+    /** End every running season whose end time has passed (the risk engine's job). */
+    async endExpired({ now = stockService.now() } = {}) {
+        const due = await db.all(
+            `SELECT * FROM exchange_seasons WHERE status = 'ACTIVE' AND endsAt IS NOT NULL AND endsAt <= @stamp`,
+            { stamp: toSqlTime(now) }
+        );
+        const ended = [];
+        for (const season of due) {
+            try {
+                ended.push(await this._finish(season, { endedBy: null, now }));
+            } catch (error) {
+                console.error(`[Exchange] Could not end season ${season.id}:`, error.message);
+            }
+        }
+        return ended;
+    }
+
+    async _finish(season, { endedBy, now }) {
+        // Rank before anything is written: it prices every entrant live, and
+        // a quote failure must leave the season running so end() can retry.
+        // Working book bids already count toward equity (their escrow is
+        // the trader's), so cancelling them afterwards changes no standing.
+        const standings = await this._rank(season, now);
+        for (const row of standings) {
+            // An entrant we could not price takes no trophy and no prize
+            const podium = row.equity !== null && row.rank <= PODIUM_SPLIT.length;
+            row.trophy = podium && row.rank <= TROPHIES.length ? TROPHIES[row.rank - 1] : null;
+            row.payout = podium ? Math.floor(season.prizePool * PODIUM_SPLIT[row.rank - 1]) : 0;
+        }
+
+        // Claim, cancellations, results and payouts commit together: a
+        // failed payout rolls the claim back too, and a concurrent end
+        // (command vs engine) finds the season already claimed and pays nothing
+        await db.transaction(async () => {
+            const claimed = (await db.run(
+                `UPDATE exchange_seasons SET status = 'ENDED', endedAt = @stamp WHERE id = @id AND status = 'ACTIVE'`,
+                { id: season.id, stamp: toSqlTime(now) }
+            )).changes;
+            if (!claimed) {
+                throw new ExchangeError('NO_SEASON', 'That season has already ended.');
+            }
+
+            await db.run(
+                `UPDATE exchange_orders SET status = 'CANCELLED', note = 'season ended',
+                     closedAt = @stamp, updatedAt = CURRENT_TIMESTAMP
+                 WHERE guildId = @scopeId AND status IN ('OPEN', 'TRIGGERED')`,
+                { scopeId: season.scopeId, stamp: toSqlTime(now) }
+            );
+            await bookService.cancelAll({ guildId: season.scopeId, reason: 'season ended', now });
+
+            for (const row of standings) {
+                await db.run(
+                    `UPDATE exchange_season_entries SET finalRank = @rank, finalEquity = @equity,
+                         trophy = @trophy, payout = @payout
+                     WHERE seasonId = @seasonId AND userId = @userId`,
+                    {
+                        seasonId: season.id, userId: row.userId, rank: row.rank,
+                        equity: row.equity === null ? null : Math.round(row.equity),
+                        trophy: row.trophy, payout: row.payout
+                    }
+                );
+                if (row.payout > 0) {
+                    await economyService.adjust({
+                        guildId: season.guildId, userId: row.userId, amount: row.payout,
+                        type: 'season-prize', detail: JSON.stringify({ seasonId: season.id, rank: row.rank })
+                    });
+                }
+            }
+
+            await exchangeEvents.record({
+                guildId: season.guildId, userId: endedBy, eventType: 'season-end',
+                amount: standings.reduce((sum, row) => sum + row.payout, 0),
+                detail: {
+                    seasonId: season.id,
+                    name: season.name,
+                    entrants: standings.length,
+                    podium: standings.slice(0, PODIUM_SPLIT.length).map(row => ({
+                        userId: row.userId,
+                        equity: row.equity === null ? null : Math.round(row.equity),
+                        payout: row.payout
+                    }))
+                }
+            });
+        });
+        return { season: { ...season, status: 'ENDED', endedAt: toSqlTime(now) }, standings };
+    }
+
+    /** Entrants ranked by live equity; anyone unpriceable ranks last. */
+    async _rank(season, now) {
+        const entrants = (await db.all(
+            'SELECT userId FROM exchange_season_entries WHERE seasonId = @seasonId',
+            { seasonId: season.id }
+        )).map(row => row.userId);
+        const board = await auditService.leaderboard({ guildId: season.scopeId, limit: MAX_STANDINGS, now });
+        const equityOf = new Map(board.map(row => [row.userId, row.equity]));
+
+        return entrants
+            .map(userId => ({ userId, equity: equityOf.has(userId) ? equityOf.get(userId) : null }))
+            .sort((a, b) => (b.equity ?? -Infinity) - (a.equity ?? -Infinity))
+            .map((row, index) => ({
+                ...row,
+                rank: index + 1,
+                returnPct: row.equity === null ? null : percentReturn(row.equity, season.bankroll),
+                trophy: null,
+                payout: 0
+            }));
+    }
+}
+
+function percentReturn(equity, bankroll) {
+    return Math.round(((equity - bankroll) / bankroll) * 10_000) / 100;
+}
+
+function parseEndsAt(value) {
+    const date = value instanceof Date ? value : new Date(String(value).replace(' ', 'T') + (/Z$|[+-]\d\d:?\d\d$/.test(String(value)) ? '' : 'Z'));
+    if (Number.isNaN(date.getTime())) {
+        throw new ExchangeError('BAD_SEASON', `"${value}" is not a date the season can end on (use YYYY-MM-DD HH:MM, UTC).`);
+    }
+    return date;
+}
+
+module.exports = new SeasonService();
+module.exports.PODIUM_SPLIT = PODIUM_SPLIT;
+module.exports.GOBLIN_RULES = GOBLIN_RULES;
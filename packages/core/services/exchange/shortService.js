@@ -60,7 +60,7 @@ class ShortService {
      * (rounded down, as every sale in this game is), and the resulting
      * exposure must still fit inside the account's buying power.
      */
-    async openShort({ guildId, userId, symbol, units, now = new Date() }) {
+    async openShort({ guildId, userId, symbol, units, now = stockService.now() }) {
         await exchangeConfig.requireFeature(guildId, 'marginEnabled', 'Short selling and margin');
         const account = await accountService.getAccount(guildId, userId);
         if (account.accountType !== 'MARGIN') {
@@ -139,7 +139,7 @@ class ShortService {
      * borrow fee. A margin account may borrow to cover - being unable to
      * afford the buy-back is exactly how a short goes wrong.
      */
-    async cover({ guildId, userId, symbol, units = null, now = new Date() }) {
+    async cover({ guildId, userId, symbol, units = null, now = stockService.now() }) {
         const normalized = stockService.normalizeSymbol(symbol);
         const position = await this.getPosition({ guildId, userId, symbol: normalized });
         if (!position) {
@@ -209,7 +209,7 @@ class ShortService {
      * a trader with an empty wallet still owes the rent.
      * @returns {{accrued: number}} points of fee added
      */
-    async accrueBorrowFees({ guildId, userId, now = new Date() }) {
+    async accrueBorrowFees({ guildId, userId, now = stockService.now() }) {
         const { borrowFeeRate } = await exchangeConfig.get(guildId);
         if (borrowFeeRate <= 0) return { accrued: 0 };
 
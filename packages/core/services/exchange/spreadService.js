@@ -1,4 +1,5 @@
 const economyService = require('../economyService');
+const stockService = require('../stockService');
 const exchangeConfig = require('./exchangeConfig');
 const optionsMarket = require('./optionsMarket');
 const optionsService = require('./optionsService');
@@ -71,7 +72,7 @@ class SpreadService {
      * Price a spread and build the pre-trade receipt, without touching money.
      * @param {Object} params - { guildId, symbol, legs, now }
      */
-    async quote({ guildId, symbol, legs: rawLegs, now = new Date() }) {
+    async quote({ guildId, symbol, legs: rawLegs, now = stockService.now() }) {
         await exchangeConfig.requireFeature(guildId, 'optionsEnabled', 'Options');
         const legs = this._normalizeLegs(rawLegs);
         const resolved = optionsMarket.resolveUnderlying(symbol);
@@ -152,7 +153,7 @@ class SpreadService {
      * debit legs then credit legs, unwind on any failure.
      * @returns {Promise<{receipt, fills, netPoints, balance}>}
      */
-    async execute({ guildId, userId, symbol, legs: rawLegs, now = new Date() }) {
+    async execute({ guildId, userId, symbol, legs: rawLegs, now = stockService.now() }) {
         const receipt = await this.quote({ guildId, symbol, legs: rawLegs, now });
         const legs = this._normalizeLegs(rawLegs);
 
@@ -0,0 +1,264 @@
+/**
+ * The forensic timeline - pure functions, no I/O.
+ *
+ * `economy_transactions` (the ledger: points moved) and `exchange_events`
+ * (the engine: why they moved) are two halves of one story. This module
+ * merges them into a single ordered stream, names the price each step used,
+ * and folds the stream back into account state, so "what did this account
+ * look like at 03:12?" has an answer that does not depend on today's tables.
+ *
+ * Replay reads only what the streams carry: cash is the last balanceAfter,
+ * the loan is borrows - repayments + capitalized interest, stock units come
+ * from the trade details (scaled by any stock-split event on the way), perps
+ * from their open/close events, and option lots from `option_trades`, the
+ * one log that also sees order-book transfers.
+ */
+
+const SOURCE_ORDER = { ledger: 0, engine: 1, trade: 2 };
+// Detail keys that carry the price a step actually executed at, best first
+const FILL_PRICE_KEYS = ['price', 'exit', 'settlePrice', 'entry'];
+// stock_holdings rounds units to four places; anything smaller is noise
+const UNIT_EPSILON = 1e-4;
+const CSV_COLUMNS = ['at', 'source', 'id', 'userId', 'kind', 'symbol', 'amount', 'balanceAfter',
+    'quotePrice', 'quoteSource', 'quoteAsOf', 'detail'];
+
+const OPENING_ACTIONS = { BUY_TO_OPEN: 'LONG', SELL_TO_OPEN: 'SHORT' };
+const CLOSING_ACTIONS = new Set(['SELL_TO_CLOSE', 'BUY_TO_CLOSE']);
+const SETTLING_ACTIONS = new Set(['EXPIRE', 'EXERCISE', 'ASSIGN']);
+
+/** The underlying a row is about, wherever the writer put it. */
+function symbolOf(row, detail) {
+    return row.symbol || detail?.symbol || detail?.underlying || null;
+}
+
+/**
+ * The price a step executed at, when its detail recorded one.
+ * @returns {{price: number, source: 'fill', asOf: string}|null}
+ */
+function fillQuote(entry) {
+    for (const key of FILL_PRICE_KEYS) {
+        const price = Number(entry.detail?.[key]);
+        if (Number.isFinite(price) && price > 0) return { price, source: 'fill', asOf: entry.at };
+    }
+    return null;
+}
+
+function compareEntries(a, b) {
+    if (a.at !== b.at) return a.at < b.at ? -1 : 1;
+    if (a.source !== b.source) return SOURCE_ORDER[a.source] - SOURCE_ORDER[b.source];
+    return a.id - b.id;
+}
+
+/**
+ * One ordered stream out of ledger rows and engine events. Details must
+ * already be parsed. Within a second, the ledger row comes first: every
+ * service moves the points, then records why.
+ * @param {{ledger: Array<Object>, events: Array<Object>}} streams
+ * @returns {Array<{at, source, id, userId, kind, symbol, amount, balanceAfter, detail, quote}>}
+ */
+function mergeStreams({ ledger = [], events = [] }) {
+    const entries = [
+        ...ledger.map(row => ({
+            at: row.createdAt,
+            source: 'ledger',
+            id: row.id,
+            userId: row.userId,
+            kind: row.type,
+            symbol: symbolOf(row, row.detail),
+            amount: row.amount,
+            balanceAfter: row.balanceAfter,
+            detail: row.detail
+        })),
+        ...events.map(row => ({
+            at: row.createdAt,
+            source: 'engine',
+            id: row.id,
+            userId: row.userId,
+            kind: row.eventType,
+            symbol: symbolOf(row, row.detail),
+            amount: row.amount,
+            balanceAfter: null,
+            detail: row.detail
+        }))
+    ].sort(compareEntries);
+    return entries.map(entry => ({ ...entry, quote: fillQuote(entry) }));
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The timeline as CSV, one row per entry, detail kept as JSON. */
+function toCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+        lines.push([
+            entry.at, entry.source, entry.id, entry.userId, entry.kind, entry.symbol, entry.amount,
+            entry.balanceAfter, entry.quote?.price, entry.quote?.source, entry.quote?.asOf, entry.detail
+        ].map(csvCell).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function emptyState() {
+    return {
+        cash: 0,
+        marginLoan: 0,
+        marginCall: false,
+        longs: {},
+        shorts: {},
+        options: {},
+        perps: {},
+        liquidations: 0,
+        lastEntryAt: null
+    };
+}
+
+function addUnits(book, symbol, units) {
+    const next = (book[symbol] || 0) + units;
+    if (Math.abs(next) < UNIT_EPSILON) delete book[symbol];
+    else book[symbol] = next;
+}
+
+function applySplit(state, symbol, ratio) {
+    if (!(ratio > 0)) return;
+    for (const book of [state.longs, state.shorts]) {
+        if (book[symbol]) book[symbol] = Math.round(book[symbol] * ratio * 10000) / 10000;
+    }
+    for (const lot of Object.values(state.options)) {
+        if (lot.underlying !== symbol) continue;
+        lot.strike /= ratio;
+        if (Number.isInteger(ratio)) lot.contracts *= ratio;
+    }
+    for (const perp of Object.values(state.perps)) {
+        if (perp.symbol === symbol) perp.units *= ratio;
+    }
+}
+
+function applyLedger(state, entry) {
+    state.cash = entry.balanceAfter;
+    const units = Number(entry.detail?.units) || 0;
+    switch (entry.kind) {
+        case 'stock-buy': addUnits(state.longs, entry.symbol, units); break;
+        case 'stock-sell': addUnits(state.longs, entry.symbol, -units); break;
+        case 'stock-short-open': addUnits(state.shorts, entry.symbol, units); break;
+        case 'stock-short-cover': addUnits(state.shorts, entry.symbol, -units); break;
+        default: break;
+    }
+}
+
+function applyEvent(state, entry) {
+    const amount = Number(entry.amount) || 0;
+    switch (entry.kind) {
+        case 'margin-borrow':
+        case 'margin-interest':
+            state.marginLoan += amount;
+            break;
+        case 'margin-repay':
+            state.marginLoan = Math.max(0, state.marginLoan - amount);
+            break;
+        case 'margin-call': state.marginCall = true; break;
+        case 'margin-call-cleared': state.marginCall = false; break;
+        case 'liquidation': state.liquidations += 1; break;
+        case 'stock-split': applySplit(state, entry.symbol, Number(entry.detail?.ratio)); break;
+        case 'perp-open':
+            state.perps[entry.detail.id] = {
+                symbol: entry.symbol,
+                direction: entry.detail.direction,
+                units: Number(entry.detail.units) || 0,
+                entry: Number(entry.detail.entry) || null
+            };
+            break;
+        case 'perp-close':
+        case 'perp-liquidation':
+            delete state.perps[entry.detail?.id];
+            break;
+        default: break;
+    }
+}
+
+function applyOptionTrade(state, trade) {
+    const key = trade.positionId;
+    if (key === null || key === undefined) return;
+    if (OPENING_ACTIONS[trade.action]) {
+        const lot = state.options[key] || {
+            underlying: trade.underlying, optionType: trade.optionType, strike: trade.strike,
+            expiry: trade.expiry, side: OPENING_ACTIONS[trade.action], contracts: 0
+        };
+        lot.contracts += trade.contracts;
+        state.options[key] = lot;
+    } else if (CLOSING_ACTIONS.has(trade.action) && state.options[key]) {
+        state.options[key].contracts -= trade.contracts;
+        if (state.options[key].contracts <= 0) delete state.options[key];
+    } else if (SETTLING_ACTIONS.has(trade.action)) {
+        delete state.options[key];
+    }
+}
+
+/**
+ * Fold one account's streams into its state as of `at` (inclusive).
+ * `entries` is mergeStreams() output for the account plus the guild's
+ * stock-split events; `optionTrades` are its `option_trades` rows.
+ * @param {{entries: Array<Object>, optionTrades?: Array<Object>, at: string}} params
+ * @returns {{cash, marginLoan, marginCall, longs, shorts, options, perps, liquidations, lastEntryAt}}
+ */
+function replayAccount({ entries, optionTrades = [], at }) {
+    const steps = [
+        ...entries,
+        ...optionTrades.map(trade => ({ ...trade, at: trade.createdAt, source: 'trade' }))
+    ].filter(step => step.at <= at).sort(compareEntries);
+
+    const state = emptyState();
+    for (const step of steps) {
+        if (step.source === 'ledger') applyLedger(state, step);
+        else if (step.source === 'engine') applyEvent(state, step);
+        else applyOptionTrade(state, step);
+        if (step.source !== 'engine' || step.userId) state.lastEntryAt = step.at;
+    }
+    return state;
+}
+
+function sameNumber(a, b) {
+    return Math.abs((a || 0) - (b || 0)) < UNIT_EPSILON;
+}
+
+/**
+ * Field-by-field differences between two states, e.g. the replay at T
+ * against the replay now, or the replay now against the live tables.
+ * @returns {Array<{field: string, key: string|null, before, after}>}
+ */
+function diffStates(before, after) {
+    const changes = [];
+    for (const field of ['cash', 'marginLoan', 'marginCall']) {
+        if (before[field] !== after[field]) changes.push({ field, key: null, before: before[field], after: after[field] });
+    }
+    for (const field of ['longs', 'shorts']) {
+        for (const key of new Set([...Object.keys(before[field]), ...Object.keys(after[field])])) {
+            if (!sameNumber(before[field][key], after[field][key])) {
+                changes.push({ field, key, before: before[field][key] || 0, after: after[field][key] || 0 });
+            }
+        }
+    }
+    for (const key of new Set([...Object.keys(before.options), ...Object.keys(after.options)])) {
+        const was = before.options[key]?.contracts || 0;
+        const now = after.options[key]?.contracts || 0;
+        if (was !== now) changes.push({ field: 'options', key, before: was, after: now });
+    }
+    for (const key of new Set([...Object.keys(before.perps), ...Object.keys(after.perps)])) {
+        const was = before.perps[key]?.units || 0;
+        const now = after.perps[key]?.units || 0;
+        if (!sameNumber(was, now)) changes.push({ field: 'perps', key, before: was, after: now });
+    }
+    return changes;
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    mergeStreams,
+    fillQuote,
+    toCsv,
+    replayAccount,
+    diffStates
+};
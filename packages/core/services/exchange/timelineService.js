@@ -0,0 +1,221 @@
+const db = require('../../db');
+const stockService = require('../stockService');
+const { toSqlTime } = require('./accountService');
+const auditService = require('./auditService');
+const timelineMath = require('./timelineMath');
+const { ExchangeError } = require('./errors');
+
+/**
+ * The forensic timeline: one account's (or the whole guild's) ledger and
+ * engine events as a single ordered stream, each step with the quote it
+ * used, plus "replay to time T" - the account rebuilt from that stream at
+ * any past moment and diffed against today's tables.
+ *
+ * Read-only by construction, like auditService. A step whose detail names
+ * no fill price is paired with the newest cached `stock_prices` snapshot at
+ * or before it, and says so (`quote.source = 'snapshot'`).
+ */
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 5000;
+// Large enough that reconcile's samples reach any one account's rows
+const RECONCILE_SAMPLE = 500;
+const RECENT_STEPS = 10;
+
+class ExchangeTimelineService {
+    /**
+     * The merged stream, oldest first.
+     * @param {{guildId: string, userId?: string|null, from?: Date|string|null, to?: Date|string|null, limit?: number}} params
+     * @returns {Promise<{guildId, scope, userId, from, to, entries: Array<Object>, truncated: boolean}>}
+     */
+    async timeline({ guildId, userId = null, from = null, to = null, limit = DEFAULT_LIMIT }) {
+        const bounded = Math.min(MAX_LIMIT, Math.max(1, Number(limit) || DEFAULT_LIMIT));
+        const window = {
+            from: from ? toSqlTime(parseWhen(from, 'start time')) : null,
+            to: to ? toSqlTime(parseWhen(to, 'end time')) : null
+        };
+        if (window.from && window.to && window.from > window.to) {
+            throw new ExchangeError('BAD_TIME', 'The start time must be before the end time.');
+        }
+
+        const filters = ['guildId = @guildId'];
+        const params = { guildId, userId, from: window.from, to: window.to, limit: bounded + 1 };
+        if (userId) filters.push('userId = @userId');
+        if (window.from) filters.push('createdAt >= @from');
+        if (window.to) filters.push('createdAt <= @to');
+        const where = filters.join(' AND ');
+
+        const ledger = await db.all(
+            `SELECT id, userId, amount, balanceAfter, type, detail, createdAt FROM economy_transactions
+             WHERE ${where} ORDER BY createdAt, id LIMIT @limit`,
+            params
+        );
+        const events = await db.all(
+            `SELECT id, userId, eventType, symbol, amount, detail, createdAt FROM exchange_events
+             WHERE ${where} ORDER BY createdAt, id LIMIT @limit`,
+            params
+        );
+        const merged = timelineMath.mergeStreams({ ledger: parseDetails(ledger), events: parseDetails(events) });
+        const entries = await this._attachSnapshots(merged.slice(0, bounded));
+
+        return {
+            guildId,
+            scope: userId ? 'account' : 'guild',
+            userId,
+            from: window.from,
+            to: window.to,
+            entries,
+            truncated: merged.length > bounded
+        };
+    }
+
+    /**
+     * Rebuild one account as of `at` and compare it with now: `changes` is
+     * everything that moved since T, `drift` is where replaying the full
+     * stream disagrees with the live tables (it should be empty), and
+     * `reconcile` is auditService.reconcile narrowed to this account.
+     * @param {{guildId: string, userId: string, at: Date|string, now?: Date}} params
+     */
+    async replay({ guildId, userId, at, now = stockService.now() }) {
+        const stamp = toSqlTime(parseWhen(at, 'replay time'));
+        const nowStamp = toSqlTime(now);
+        if (stamp > nowStamp) {
+            throw new ExchangeError('BAD_TIME', 'Replay can only rebuild the past.');
+        }
+
+        const ledger = parseDetails(await db.all(
+            `SELECT id, userId, amount, balanceAfter, type, detail, createdAt FROM economy_transactions
+             WHERE guildId = @guildId AND userId = @userId ORDER BY createdAt, id`,
+            { guildId, userId }
+        ));
+        // Splits are guild events with no user, but they rescale everyone's units
+        const events = parseDetails(await db.all(
+            `SELECT id, userId, eventType, symbol, amount, detail, createdAt FROM exchange_events
+             WHERE guildId = @guildId AND (userId = @userId OR (userId IS NULL AND eventType = 'stock-split'))
+             ORDER BY createdAt, id`,
+            { guildId, userId }
+        ));
+        const optionTrades = await db.all(
+            `SELECT id, positionId, underlying, optionType, strike, expiry, action, contracts, createdAt
+             FROM option_trades WHERE guildId = @guildId AND userId = @userId ORDER BY createdAt, id`,
+            { guildId, userId }
+        );
+
+        const entries = timelineMath.mergeStreams({ ledger, events });
+        const state = timelineMath.replayAccount({ entries, optionTrades, at: stamp });
+        const replayedNow = timelineMath.replayAccount({ entries, optionTrades, at: nowStamp });
+        const live = await this.liveState({ guildId, userId });
+        const upToT = entries.filter(entry => entry.at <= stamp);
+
+        const { checks } = await auditService.reconcile({ guildId, sampleSize: RECONCILE_SAMPLE, now });
+        const reconcile = checks.map(check => {
+            const rows = check.sample.filter(row => row.userId === userId);
+            return { name: check.name, description: check.description, ok: rows.length === 0, rows };
+        });
+
+        return {
+            guildId,
+            userId,
+            at: stamp,
+            asOf: nowStamp,
+            replayed: upToT.length,
+            recent: await this._attachSnapshots(upToT.slice(-RECENT_STEPS)),
+            state,
+            live,
+            changes: timelineMath.diffStates(state, live),
+            drift: timelineMath.diffStates(replayedNow, live),
+            reconcile
+        };
+    }
+
+    /** The account as today's tables have it, in replayAccount's shape. */
+    async liveState({ guildId, userId }) {
+        const params = { guildId, userId };
+        const wallet = await db.get(
+            'SELECT balance FROM economy_wallets WHERE guildId = @guildId AND userId = @userId',
+            params
+        );
+        const account = await db.get(
+            `SELECT marginLoan, marginCallAt, liquidations FROM exchange_accounts
+             WHERE guildId = @guildId AND userId = @userId`,
+            params
+        );
+        const byKey = (rows, key, value) => Object.fromEntries(rows.map(row => [row[key], value(row)]));
+
+        return {
+            cash: wallet?.balance || 0,
+            marginLoan: account?.marginLoan || 0,
+            marginCall: !!account?.marginCallAt,
+            longs: byKey(await db.all(
+                'SELECT symbol, units FROM stock_holdings WHERE guildId = @guildId AND userId = @userId', params
+            ), 'symbol', row => row.units),
+            shorts: byKey(await db.all(
+                'SELECT symbol, units FROM short_positions WHERE guildId = @guildId AND userId = @userId', params
+            ), 'symbol', row => row.units),
+            options: byKey(await db.all(
+                `SELECT id, underlying, optionType, strike, expiry, side, contracts FROM option_positions
+                 WHERE guildId = @guildId AND userId = @userId AND status = 'OPEN'`,
+                params
+            ), 'id', ({ id, ...lot }) => lot),
+            perps: byKey(await db.all(
+                `SELECT id, symbol, direction, units, entryPrice FROM perp_positions
+                 WHERE guildId = @guildId AND userId = @userId AND status = 'OPEN'`,
+                params
+            ), 'id', row => ({ symbol: row.symbol, direction: row.direction, units: row.units, entry: row.entryPrice })),
+            liquidations: account?.liquidations || 0,
+            lastEntryAt: null
+        };
+    }
+
+    /** Pair fill-less steps with the cached quote the bot had at that moment. */
+    async _attachSnapshots(entries) {
+        const cache = new Map();
+        const result = [];
+        for (const entry of entries) {
+            if (entry.quote || !entry.symbol) {
+                result.push(entry);
+                continue;
+            }
+            const key = `${entry.symbol}|${entry.at}`;
+            if (!cache.has(key)) {
+                const row = await db.get(
+                    `SELECT price, asOf FROM stock_prices WHERE symbol = @symbol AND asOf <= @at
+                     ORDER BY asOf DESC, id DESC LIMIT 1`,
+                    { symbol: entry.symbol, at: entry.at }
+                );
+                cache.set(key, row ? { price: row.price, source: 'snapshot', asOf: row.asOf } : null);
+            }
+            result.push({ ...entry, quote: cache.get(key) });
+        }
+        return result;
+    }
+}
+
+function parseDetails(rows) {
+    return rows.map(row => ({ ...row, detail: parseDetail(row.detail) }));
+}
+
+function parseDetail(detail) {
+    if (!detail) return null;
+    try {
+        return JSON.parse(detail);
+    } catch {
+        return { raw: detail };
+    }
+}
+
+/** Accept a Date, an ISO timestamp, or a SQLite UTC string (date alone = midnight UTC). */
+function parseWhen(value, label) {
+    if (value instanceof Date) return value;
+    const text = String(value || '').trim();
+    const withTime = /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text} 00:00` : text;
+    const iso = withTime.includes('T') || withTime.endsWith('Z') ? withTime : `${withTime.replace(' ', 'T')}Z`;
+    const date = new Date(iso);
+    if (!text || Number.isNaN(date.getTime())) {
+        throw new ExchangeError('BAD_TIME', `Could not read the ${label} "${value}" - use YYYY-MM-DD HH:MM (UTC).`);
+    }
+    return date;
+}
+
+module.exports = new ExchangeTimelineService();
+module.exports.MAX_LIMIT = MAX_LIMIT;
@@ -86,7 +86,7 @@ class WheelService {
      * fatal.
      * @param {Object} params - { guildId, symbol?, now? }
      */
-    async spin({ guildId, symbol = DEFAULT_UNDERLYING, now = new Date() }) {
+    async spin({ guildId, symbol = DEFAULT_UNDERLYING, now = stockService.now() }) {
         await exchangeConfig.requireFeature(guildId, 'optionsEnabled', 'Options (and therefore the Wheel)');
         const settings = await exchangeConfig.get(guildId);
 
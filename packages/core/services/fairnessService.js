@@ -0,0 +1,213 @@
+const db = require('../db');
+const { EconomyError } = require('./economyService');
+const provablyFair = require('../utils/provablyFair');
+
+function parseJson(text, fallback = null) {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Commit-reveal bookkeeping for every game of chance (documentation in
+ * utils/provablyFair.js). Two kinds of hand share one ledger, `fair_rounds`:
+ *
+ *  - `/gamble` hands: each player has a committed seed pair in `fair_seeds`;
+ *    a hand draws from it, reveals the server seed in its result, and
+ *    commits the next one.
+ *  - Activity table rounds: TableManager keeps the seed context in the
+ *    table journal and hands finished rounds here with the round's starting
+ *    state and every engine step after it, so verification can replay them.
+ *
+ * `verify` recomputes a hand from its revealed seeds and says whether the
+ * result matches what was played.
+ */
+class FairnessService {
+    /**
+     * A player's committed /gamble seed pair, created on first use.
+     * @returns {Promise<{serverSeed: string, serverSeedHash: string, clientSeed: string}>}
+     */
+    async getSeeds(guildId, userId) {
+        const row = await db.get(
+            'SELECT serverSeed, serverSeedHash, clientSeed FROM fair_seeds WHERE guildId = @guildId AND userId = @userId',
+            { guildId, userId }
+        );
+        if (row) return row;
+        const serverSeed = provablyFair.newServerSeed();
+        const seeds = { serverSeed, serverSeedHash: provablyFair.hashSeed(serverSeed), clientSeed: provablyFair.newClientSeed() };
+        await db.run(
+            `INSERT INTO fair_seeds (guildId, userId, serverSeed, serverSeedHash, clientSeed)
+             VALUES (@guildId, @userId, @serverSeed, @serverSeedHash, @clientSeed)
+             ON CONFLICT(guildId, userId) DO NOTHING`,
+            { guildId, userId, ...seeds }
+        );
+        return this.getSeeds(guildId, userId);
+    }
+
+    /**
+     * What a player may see before betting: the hash of their next server
+     * seed and their client seed. Never the server seed itself.
+     */
+    async getCommitment(guildId, userId) {
+        const { serverSeedHash, clientSeed } = await this.getSeeds(guildId, userId);
+        return { serverSeedHash, clientSeed };
+    }
+
+    /**
+     * Choose the client seed for future /gamble hands. The committed server
+     * seed stays: it was fixed before this seed was known.
+     * @throws {EconomyError} BAD_SEED
+     */
+    async setClientSeed(guildId, userId, clientSeed) {
+        const seed = provablyFair.normalizeClientSeed(clientSeed);
+        if (!seed) {
+            throw new EconomyError('BAD_SEED', `A client seed is 1-${provablyFair.MAX_CLIENT_SEED_LENGTH} printable characters.`);
+        }
+        await this.getSeeds(guildId, userId);
+        await db.run(
+            'UPDATE fair_seeds SET clientSeed = @seed WHERE guildId = @guildId AND userId = @userId',
+            { guildId, userId, seed }
+        );
+        return this.getCommitment(guildId, userId);
+    }
+
+    /**
+     * Play one /gamble hand on the player's committed seeds: draw the
+     * outcome, record the hand with its server seed revealed, and commit a
+     * fresh server seed for the next one. Run inside the caller's
+     * transaction so a hand and its bet settle together.
+     * @param {{guildId, userId, game: string, draw: (rng) => Object}} params
+     * @returns {Promise<{outcome: Object, fair: {handId, serverSeed, serverSeedHash, clientSeed, nextServerSeedHash}}>}
+     */
+    async playHand({ guildId, userId, game, draw }) {
+        const seeds = await this.getSeeds(guildId, userId);
+        const outcome = draw(provablyFair.rngStream(seeds));
+        const handId = await this.recordRound({
+            guildId, source: 'gamble', game, players: [userId],
+            serverSeed: seeds.serverSeed, serverSeedHash: seeds.serverSeedHash, clientSeed: seeds.clientSeed,
+            outcome
+        });
+
+        const nextSeed = provablyFair.newServerSeed();
+        const nextServerSeedHash = provablyFair.hashSeed(nextSeed);
+        await db.run(
+            `UPDATE fair_seeds SET serverSeed = @nextSeed, serverSeedHash = @nextServerSeedHash, createdAt = CURRENT_TIMESTAMP
+             WHERE guildId = @guildId AND userId = @userId`,
+            { guildId, userId, nextSeed, nextServerSeedHash }
+        );
+        return {
+            outcome,
+            fair: { handId, serverSeed: seeds.serverSeed, serverSeedHash: seeds.serverSeedHash, clientSeed: seeds.clientSeed, nextServerSeedHash }
+        };
+    }
+
+    /**
+     * Record a finished hand (server seed revealed) and who played it.
+     * @returns {Promise<number>} the hand id players verify with
+     */
+    async recordRound({
+        guildId, source, game, channelId = null, status = 'SETTLED', players = [],
+        serverSeed, serverSeedHash, clientSeed, steps = null, outcome = null, committedAt = null
+    }) {
+        const id = await db.insert(
+            `INSERT INTO fair_rounds (guildId, source, game, channelId, status, serverSeed, serverSeedHash, clientSeed, steps, outcome, committedAt)
+             VALUES (@guildId, @source, @game, @channelId, @status, @serverSeed, @serverSeedHash, @clientSeed, @steps, @outcome, @committedAt)`,
+            {
+                guildId, source, game, channelId, status, serverSeed, serverSeedHash, clientSeed,
+                steps: steps ? JSON.stringify(steps) : null,
+                outcome: outcome ? JSON.stringify(outcome) : null,
+                committedAt
+            }
+        );
+        for (const userId of new Set(players)) {
+            await db.run(
+                'INSERT INTO fair_round_players (roundId, guildId, userId) VALUES (@id, @guildId, @userId)',
+                { id, guildId, userId }
+            );
+        }
+        return id;
+    }
+
+    /**
+     * A recorded hand, JSON columns parsed.
+     * @throws {EconomyError} NO_HAND
+     */
+    async getRound(guildId, handId) {
+        const row = await db.get(
+            'SELECT * FROM fair_rounds WHERE id = @handId AND guildId = @guildId',
+            { handId, guildId }
+        );
+        if (!row) throw new EconomyError('NO_HAND', `There is no hand #${handId} in this server.`);
+        const players = await db.all('SELECT userId FROM fair_round_players WHERE roundId = @handId', { handId });
+        return {
+            ...row,
+            steps: parseJson(row.steps, []),
+            outcome: parseJson(row.outcome),
+            players: players.map(p => p.userId)
+        };
+    }
+
+    /**
+     * Recompute a hand from its revealed seeds.
+     *
+     *  - `hashMatches`: the revealed server seed hashes to the commitment
+     *    published before the hand.
+     *  - `outcomeMatches`: the seeds reproduce what was played - the same
+     *    /gamble draw, or the table round replayed from its starting state,
+     *    each step chained onto the last, to the same events, draws and
+     *    charges, ending settled exactly when the round was.
+     * @returns {Promise<{round: Object, hashMatches: boolean, outcomeMatches: boolean, draws: number}>}
+     */
+    async verify(guildId, handId) {
+        const round = await this.getRound(guildId, handId);
+        const hashMatches = provablyFair.hashSeed(round.serverSeed) === round.serverSeedHash;
+        const { outcomeMatches, draws } = round.source === 'gamble' ? this._replayGamble(round) : this._replayTable(round);
+        return { round, hashMatches, outcomeMatches, draws };
+    }
+
+    _replayGamble(round) {
+        // Required here, not at the top: gamblingService requires this module
+        const { DRAWS } = require('./gamblingService');
+        const draw = DRAWS[round.game];
+        if (!draw) return { outcomeMatches: false, draws: 0 };
+        const rng = provablyFair.rngStream(round);
+        const outcomeMatches = JSON.stringify(draw(rng)) === JSON.stringify(round.outcome);
+        return { outcomeMatches, draws: rng.draws };
+    }
+
+    _replayTable(round) {
+        // Likewise the table manager
+        const { ENGINES } = require('./tableGames/tableManager');
+        const engine = ENGINES[round.game];
+        const [first] = round.steps;
+        if (!engine || !first?.state) return { outcomeMatches: false, draws: 0 };
+        let state = first.state;
+        let events = [];
+        let cursor = 0;
+        for (const step of round.steps) {
+            const rng = provablyFair.rngStream({ serverSeed: round.serverSeed, clientSeed: round.clientSeed, cursor });
+            let result;
+            try {
+                result = engine.applyAction(state, step.action, rng);
+            } catch {
+                return { outcomeMatches: false, draws: cursor };
+            }
+            const same = step.cursor === cursor
+                && rng.draws === step.draws
+                && JSON.stringify(result.events) === JSON.stringify(step.events)
+                && JSON.stringify(result.charges) === JSON.stringify(step.charges);
+            cursor += rng.draws;
+            if (!same) return { outcomeMatches: false, draws: cursor };
+            ({ state, events } = result);
+        }
+        // The replay must end the way the round was recorded: settled (with
+        // the payouts compared above) or cut short
+        const settled = events.some(event => event.type === 'settled');
+        return { outcomeMatches: settled === (round.status === 'SETTLED'), draws: cursor };
+    }
+}
+
+module.exports = new FairnessService();
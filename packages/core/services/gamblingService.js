@@ -1,21 +1,43 @@
 const db = require('../db');
 const economyService = require('./economyService');
 const { EconomyError } = require('./economyService');
+const fairnessService = require('./fairnessService');
 const poker = require('../utils/pokerHands');
 
 const MAX_BET = 1_000_000;
 
+// What each game draws, as pure functions of the RNG: a revealed seed pair
+// replays a hand through these exactly (fairnessService.verify)
+const DRAWS = {
+    coinflip: rng => ({ result: rng() < 0.5 ? 'heads' : 'tails' }),
+    d20: rng => ({ playerRoll: 1 + Math.floor(rng() * 20), botRoll: 1 + Math.floor(rng() * 20) }),
+    poker: rng => {
+        const deck = poker.shuffle(poker.buildDeck(), rng);
+        return { playerHand: deck.slice(0, 5), dealerHand: deck.slice(5, 10) };
+    }
+};
+
 /**
  * Point gambling games (coin flip, d20 showdown, 5-card poker) on top of the
  * economy service. Every game resolves atomically: the bet is validated
  * against the balance and the net result is written as a single ledger entry.
- * The RNG is injectable so game logic is fully testable.
+ *
+ * Hands are provably fair: by default each one draws from the player's
+ * committed seed pair (fairnessService) and its result carries `fair` - the
+ * hand id, the revealed server seed, and the next commitment. An injected
+ * RNG replaces that for tests (`fair` is then null).
  */
 class GamblingService {
-    constructor(rng = Math.random) {
+    constructor(rng = null) {
         this.rng = rng;
     }
 
+    /** Draw a game's outcome, on the player's seeds unless an RNG was injected. */
+    async _draw({ guildId, userId, game }) {
+        if (this.rng) return { outcome: DRAWS[game](this.rng), fair: null };
+        return fairnessService.playHand({ guildId, userId, game, draw: DRAWS[game] });
+    }
+
     /**
      * Validate a bet and return the guild's currency name.
      * @throws {EconomyError} BAD_BET / INSUFFICIENT_FUNDS
@@ -60,13 +82,13 @@ class GamblingService {
         const currencyName = await this._checkBet({ guildId, userId, bet });
 
         return await db.transaction(async () => {
-            const result = this.rng() < 0.5 ? 'heads' : 'tails';
+            const { outcome: { result }, fair } = await this._draw({ guildId, userId, game: 'coinflip' });
             const won = result === pick;
             const settled = await this._settle({
                 guildId, userId, bet, net: won ? bet : -bet,
-                game: 'coinflip', detail: { choice: pick, result }
+                game: 'coinflip', detail: { choice: pick, result, handId: fair?.handId }
             });
-            return { result, won, currencyName, ...settled };
+            return { result, won, currencyName, fair, ...settled };
         });
     }
 
@@ -79,15 +101,14 @@ class GamblingService {
         const currencyName = await this._checkBet({ guildId, userId, bet });
 
         return await db.transaction(async () => {
-            const playerRoll = 1 + Math.floor(this.rng() * 20);
-            const botRoll = 1 + Math.floor(this.rng() * 20);
+            const { outcome: { playerRoll, botRoll }, fair } = await this._draw({ guildId, userId, game: 'd20' });
             const outcome = playerRoll > botRoll ? 'win' : playerRoll < botRoll ? 'lose' : 'push';
             const net = outcome === 'win' ? bet : outcome === 'lose' ? -bet : 0;
             const settled = await this._settle({
                 guildId, userId, bet, net,
-                game: 'd20', detail: { playerRoll, botRoll, outcome }
+                game: 'd20', detail: { playerRoll, botRoll, outcome, handId: fair?.handId }
             });
-            return { playerRoll, botRoll, outcome, currencyName, ...settled };
+            return { playerRoll, botRoll, outcome, currencyName, fair, ...settled };
         });
     }
 
@@ -102,9 +123,7 @@ class GamblingService {
         const currencyName = await this._checkBet({ guildId, userId, bet });
 
         return await db.transaction(async () => {
-            const deck = poker.shuffle(poker.buildDeck(), this.rng);
-            const playerHand = deck.slice(0, 5);
-            const dealerHand = deck.slice(5, 10);
+            const { outcome: { playerHand, dealerHand }, fair } = await this._draw({ guildId, userId, game: 'poker' });
             const playerEval = poker.evaluateHand(playerHand);
             const dealerEval = poker.evaluateHand(dealerHand);
             const diff = poker.compareHands(playerEval, dealerEval);
@@ -116,14 +135,15 @@ class GamblingService {
                 detail: {
                     player: poker.formatHand(playerHand),
                     dealer: poker.formatHand(dealerHand),
-                    outcome
+                    outcome,
+                    handId: fair?.handId
                 }
             });
             return {
                 playerHand, dealerHand,
                 playerHandName: poker.handName(playerEval),
                 dealerHandName: poker.handName(dealerEval),
-                outcome, currencyName, ...settled
+                outcome, currencyName, fair, ...settled
             };
         });
     }
@@ -131,3 +151,4 @@ class GamblingService {
 
 module.exports = new GamblingService();
 module.exports.GamblingService = GamblingService;
+module.exports.DRAWS = DRAWS;
@@ -0,0 +1,821 @@
+/**
+ * Portable server archives: move one guild's Goobster data between
+ * self-hosted installs (/server export, /server import,
+ * scripts/guild-transfer.js). Operator guide: documentation/guild_transfer.md
+ *
+ * The archive is a ZIP (utils/zipArchive.js): a manifest with a SHA-256 per
+ * entry, each table's rows in chunks (`tables/<table>/0001.json`, values
+ * encoded as in db/logicalDump.js), knowledge-graph artifact files, and a
+ * signed campaign package (services/tavern/campaignPackage.js) for every
+ * custom campaign the server's adventures use.
+ *
+ * GUILD_TABLES is the inventory - what moves and how its ids are remapped.
+ * It is the guild-scoped counterpart of the per-user table lists
+ * privacyService enumerates (auditUser, forgetUser) and the dataExport
+ * SECTIONS; EXCLUDED_TABLES names every guild-scoped table that does not
+ * move, with the reason. The guildTransfer spec holds the two lists to
+ * schema.sql, so a new guild table has to be placed in one of them.
+ *
+ * Importing is dry-run-first: planImport runs the whole import inside a
+ * transaction and rolls it back, so the counts it shows are exactly what
+ * applyImport will write. Integer ids are never carried over - every row
+ * gets a fresh id and references follow through the id maps. Conflicts
+ * are decided per area: 'additive' areas keep the rows this server already
+ * has and add the rest; 'exclusive' areas (an economy ledger, a tavern
+ * campaign in progress) cannot be merged meaningfully, so a server that
+ * already has one keeps it unless the import runs in replace mode.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const db = require('../db');
+const { SCHEMA_VERSION } = require('../db/migrations');
+const { quoteIdent, encodeValue, decodeValue, tableColumns } = require('../db/logicalDump');
+const { ZipWriter, readZip } = require('../utils/zipArchive');
+
+const ARCHIVE_FORMAT = 'goobster-guild-archive';
+const ARCHIVE_VERSION = 1;
+const CHUNK_ROWS = 2000;
+/** Largest archive planImport accepts (the CLI path; Discord uploads are smaller). */
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+/**
+ * Unpacked limits for reading one: a deflated entry only claims its size, so
+ * a small upload could otherwise inflate to gigabytes in the bot's memory.
+ */
+const MAX_ENTRY_BYTES = 64 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 512 * 1024 * 1024;
+/** Exports kept on disk per guild; older ones are pruned on the next export. */
+const KEEP_EXPORTS = 3;
+// How long a previewed import waits for Apply
+const STAGE_TTL_MS = 15 * 60 * 1000;
+
+const GUILD = 'guildId = @guildId';
+// Exchange seasons run their desks under '<guildId>:season:<id>' scopes
+const WITH_SEASONS = '(guildId = @guildId OR guildId LIKE @seasonScopes)';
+const GUILD_NODES = 'nodeId IN (SELECT id FROM kg_nodes WHERE guildId = @guildId)';
+const GUILD_ADVENTURES = 'adventureId IN (SELECT id FROM tavern_adventures WHERE guildId = @guildId)';
+
+/**
+ * What moves, area by area, parents before children. Table fields:
+ *  - where      rows belonging to the guild (@guildId, @seasonScopes)
+ *  - id         the table has an integer `id`; imports get fresh ones
+ *  - unique     natural key: a row this server already has under it is
+ *               kept, and the archive's children attach to it
+ *  - refs       column -> parent table (or { table, optional }) remapped
+ *               through the id maps; an unmapped required ref drops the row
+ *  - channel    what to do when the row's channel is not in this server:
+ *               'skip' the row or 'disable' it (isEnabled = 0)
+ */
+const AREAS = [
+    {
+        id: 'settings',
+        label: 'Server settings',
+        strategy: 'additive',
+        tables: [
+            { table: 'guild_settings', where: GUILD },
+            { table: 'memory_channel_exclusions', where: GUILD, channel: 'skip' },
+            { table: 'user_nicknames', where: GUILD, id: true },
+            { table: 'music_fx_settings', where: GUILD },
+            { table: 'table_bot_strategies', where: GUILD }
+        ]
+    },
+    {
+        id: 'history',
+        label: 'Memories & facts',
+        strategy: 'additive',
+        tables: [
+            { table: 'memory_embeddings', where: GUILD, id: true },
+            { table: 'facts', where: GUILD, id: true },
+            { table: 'followups', where: GUILD, id: true, channel: 'skip' },
+            { table: 'monologue_thoughts', where: GUILD, id: true },
+            { table: 'monologue_scratchpad', where: GUILD, id: true },
+            { table: 'guild_activity', where: GUILD }
+        ]
+    },
+    {
+        id: 'knowledge',
+        label: 'Knowledge graph',
+        strategy: 'additive',
+        tables: [
+            { table: 'kg_nodes', where: GUILD, id: true, unique: ['guildId', 'scopeKey', 'label'] },
+            { table: 'kg_tags', where: GUILD, id: true, unique: ['guildId', 'scopeKey', 'name'] },
+            { table: 'kg_edges', where: GUILD, id: true, refs: { sourceId: 'kg_nodes', targetId: 'kg_nodes' } },
+            { table: 'kg_node_tags', where: GUILD_NODES, refs: { nodeId: 'kg_nodes', tagId: 'kg_tags' } },
+            { table: 'kg_artifacts', where: GUILD, id: true, unique: ['nodeId'], refs: { nodeId: 'kg_nodes' }, files: true },
+            {
+                table: 'kg_provenance', where: GUILD_NODES, id: true, refs: { nodeId: 'kg_nodes' },
+                // sourceId points at a different table per sourceKind; kinds
+                // whose rows do not travel (research, import) lose the pointer
+                polymorphic: { column: 'sourceId', kindColumn: 'sourceKind', kinds: { memory: 'memory_embeddings', fact: 'facts', artifact: 'kg_artifacts' } }
+            },
+            { table: 'kg_node_revisions', where: GUILD_NODES, id: true, refs: { nodeId: 'kg_nodes' } },
+            { table: 'kg_node_chunks', where: GUILD, id: true, unique: ['nodeId', 'chunkIndex'], refs: { nodeId: 'kg_nodes' } }
+        ]
+    },
+    {
+        id: 'economy',
+        label: 'Economy & exchange',
+        strategy: 'exclusive',
+        tables: [
+            // First: every season-scoped row below is remapped through its id
+            { table: 'exchange_seasons', where: GUILD, id: true },
+            { table: 'economy_settings', where: WITH_SEASONS },
+            { table: 'economy_wallets', where: WITH_SEASONS },
+            { table: 'economy_transactions', where: WITH_SEASONS, id: true },
+            { table: 'stock_holdings', where: WITH_SEASONS },
+            { table: 'stock_trades', where: WITH_SEASONS, id: true },
+            { table: 'exchange_settings', where: WITH_SEASONS },
+            { table: 'exchange_accounts', where: WITH_SEASONS },
+            { table: 'exchange_optins', where: WITH_SEASONS },
+            { table: 'short_positions', where: WITH_SEASONS },
+            { table: 'option_positions', where: WITH_SEASONS, id: true },
+            { table: 'option_trades', where: WITH_SEASONS, id: true, refs: { positionId: { table: 'option_positions', optional: true } } },
+            { table: 'exchange_orders', where: WITH_SEASONS, id: true },
+            { table: 'perp_positions', where: WITH_SEASONS, id: true },
+            { table: 'prediction_markets', where: WITH_SEASONS, id: true },
+            { table: 'prediction_positions', where: WITH_SEASONS, id: true, refs: { marketId: 'prediction_markets' } },
+            { table: 'book_orders', where: WITH_SEASONS, id: true, refs: { marketId: { table: 'prediction_markets', optional: true } } },
+            { table: 'exchange_events', where: WITH_SEASONS, id: true },
+            { table: 'exchange_season_entries', where: GUILD, refs: { seasonId: 'exchange_seasons' } },
+            { table: 'tournaments', where: GUILD, id: true },
+            { table: 'tournament_entries', where: GUILD, refs: { tournamentId: 'tournaments' } }
+        ]
+    },
+    {
+        id: 'tavern',
+        label: 'Tavern characters & adventures',
+        strategy: 'exclusive',
+        tables: [
+            { table: 'tavern_economy_settings', where: GUILD },
+            { table: 'tavern_characters', where: GUILD, id: true, unique: ['guildId', 'userId'] },
+            { table: 'tavern_adventures', where: GUILD, id: true },
+            { table: 'tavern_party_members', where: GUILD_ADVENTURES, refs: { adventureId: 'tavern_adventures', characterId: 'tavern_characters' } },
+            { table: 'tavern_adventure_log', where: GUILD_ADVENTURES, id: true, refs: { adventureId: 'tavern_adventures' } },
+            { table: 'tavern_npc_relationships', where: GUILD },
+            { table: 'tavern_rooms', where: GUILD }
+        ]
+    },
+    {
+        id: 'lore',
+        label: 'Tavern world lore',
+        strategy: 'additive',
+        tables: [
+            { table: 'tavern_lore', where: GUILD, id: true, refs: { sourceAdventureId: { table: 'tavern_adventures', optional: true } } }
+        ]
+    },
+    {
+        id: 'automations',
+        label: 'Automations & repo watches',
+        strategy: 'additive',
+        tables: [
+            { table: 'automations', where: GUILD, id: true, channel: 'disable' },
+            { table: 'repo_watches', where: GUILD, id: true, channel: 'skip' }
+        ]
+    }
+];
+
+const GUILD_TABLES = AREAS.flatMap(area => area.tables.map(spec => ({ ...spec, area: area.id })));
+
+/** Guild-scoped tables that stay on the host, and why. */
+const EXCLUDED_TABLES = {
+    guild_conversations: 'Short-term chat context; what the server remembers travels as memories, facts and the knowledge graph.',
+    conversation_summaries: 'Rolling summaries of the short-term chat context (see guild_conversations).',
+    command_log: "This host's usage accounting.",
+    usage_log: "This host's AI cost accounting.",
+    pending_search_requests: 'Transient approval prompts.',
+    heartbeat_state: 'Proactive-mode runtime state.',
+    kg_reflection_runs: "This host's reflection run log.",
+    kg_history: "The graph's history journal keys on this host's node ids; the archive's graph starts a fresh history.",
+    kg_imports: 'Staging records of bulk note imports; the imported notes travel as the knowledge graph.',
+    kg_import_files: 'See kg_imports.',
+    music_player_state: 'Queues point at track files on this host.',
+    table_games: 'Games in progress live in memory.',
+    table_hands: 'Hand history of in-process table games.',
+    table_hand_players: 'Hand history of in-process table games.',
+    fair_seeds: 'Provably-fair server seeds are secrets of this install.',
+    fair_rounds: 'Provably-fair rounds are verifiable only against this install\'s seeds.',
+    fair_round_players: 'See fair_rounds.',
+    agent_runs: "Runs of a member's personal GitHub/Cursor integration on this host.",
+    integration_audit: 'Audit trail of personal integrations on this host.',
+    pending_integration_actions: 'Transient confirmations.',
+    gba_run_clients: 'Emulator clients connected to this host.',
+    gba_run_milestones: 'Milestones of emulator runs on this host.',
+    attention_items: "Members' personal attention ledgers.",
+    attention_watches: "Members' personal attention ledgers.",
+    spitball_expeditions: "Members' own research expeditions.",
+    tavern_post_windows: 'Open posting windows of posted-pace adventures restart on the new host.',
+    tavern_post_declarations: 'See tavern_post_windows.',
+    conversations: 'See guild_conversations.',
+    messages: 'See guild_conversations.',
+    attention_provenance: 'See attention_items.',
+    attention_notices: 'See attention_items.',
+    spitball_expedition_cycles: 'See spitball_expeditions.',
+    research_sources: 'Sources gathered by spitball expeditions.',
+    research_claims: 'Claims gathered by spitball expeditions.',
+    guild_imports: "This host's record of applied archives."
+};
+
+/** Machine-readable transfer error (HTTP status + code, PanelError shape). */
+class GuildTransferError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'GuildTransferError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/** Thrown inside the dry-run transaction to roll it back with its report. */
+class DryRunRollback extends Error {
+    constructor(report) {
+        super('dry run');
+        this.report = report;
+    }
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function stamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+function refSpec(ref) {
+    return typeof ref === 'string' ? { table: ref, optional: false } : ref;
+}
+
+function emptyCounts() {
+    return { rows: 0, inserted: 0, kept: 0, skipped: 0, deleted: 0 };
+}
+
+function addCounts(into, from) {
+    for (const key of Object.keys(into)) into[key] += from[key];
+}
+
+class GuildTransferService {
+    /**
+     * @param {Object} [deps] - overrides for tests
+     * @param {string} [deps.exportsDir]
+     * @param {Object} [deps.campaignPackage]
+     * @param {Object} [deps.questLoader]
+     */
+    constructor(deps = {}) {
+        this.exportsDir = deps.exportsDir || process.env.GOOBSTER_GUILD_EXPORTS_DIR
+            || path.join(require('../runtimePaths').dataDir, 'guild-exports');
+        this._campaignPackage = deps.campaignPackage || null;
+        this._questLoader = deps.questLoader || null;
+        this.staged = new Map();
+    }
+
+    // Lazy: the tavern stack is heavy and most transfers never need it
+    get campaignPackage() {
+        return this._campaignPackage || require('./tavern/campaignPackage');
+    }
+
+    get questLoader() {
+        return this._questLoader || require('./tavern/questLoader');
+    }
+
+    /**
+     * Write a guild's archive to disk (newest KEEP_EXPORTS kept per guild).
+     * @param {string} guildId
+     * @param {{ guildName?: string, now?: Date }} [options]
+     * @returns {Promise<{ filePath: string, fileName: string, sizeBytes: number, manifest: Object }>}
+     */
+    async exportGuild(guildId, { guildName = null, now = new Date() } = {}) {
+        const dir = path.join(this.exportsDir, String(guildId));
+        fs.mkdirSync(dir, { recursive: true });
+        const fileName = `goobster-guild-${guildId}-${stamp(now)}.zip`;
+        const filePath = path.join(dir, fileName);
+        const partial = `${filePath}.partial`;
+
+        const manifest = {
+            format: ARCHIVE_FORMAT,
+            formatVersion: ARCHIVE_VERSION,
+            schemaVersion: SCHEMA_VERSION,
+            engine: db.engine,
+            exportedAt: now.toISOString(),
+            guild: { id: String(guildId), name: guildName },
+            tables: {},
+            campaigns: [],
+            warnings: [],
+            files: {}
+        };
+        const zip = new ZipWriter(partial);
+        const add = (name, data) => {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(JSON.stringify(data), 'utf8');
+            zip.addBuffer(name, buffer, { mtime: now });
+            manifest.files[name] = sha256(buffer);
+        };
+        try {
+            const params = this._params(guildId);
+            for (const spec of GUILD_TABLES) {
+                const columns = await tableColumns(db, spec.table);
+                let count = 0;
+                let part = 0;
+                for await (const rows of this._pages(spec, columns, params)) {
+                    add(`tables/${spec.table}/${String(++part).padStart(4, '0')}.json`, {
+                        columns,
+                        rows: rows.map(row => columns.map(column => encodeValue(row[column])))
+                    });
+                    count += rows.length;
+                    if (spec.files) this._addArtifactFiles(rows, add, manifest);
+                }
+                manifest.tables[spec.table] = count;
+            }
+            await this._addCampaigns(guildId, add, manifest);
+            zip.addBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 1), 'utf8'), { mtime: now });
+            zip.close();
+        } catch (error) {
+            zip.abort();
+            throw error;
+        }
+        fs.renameSync(partial, filePath);
+        this._pruneExports(dir);
+        return { filePath, fileName, sizeBytes: fs.statSync(filePath).size, manifest };
+    }
+
+    _params(guildId) {
+        return { guildId: String(guildId), seasonScopes: `${guildId}:season:%` };
+    }
+
+    /** A table's guild rows in pages (keyset on id where there is one). */
+    async *_pages(spec, columns, params) {
+        const select = `SELECT ${columns.map(quoteIdent).join(', ')} FROM ${spec.table} WHERE ${spec.where}`;
+        if (!spec.id) {
+            const rows = await db.all(select, params);
+            for (let i = 0; i < rows.length; i += CHUNK_ROWS) yield rows.slice(i, i + CHUNK_ROWS);
+            return;
+        }
+        let after = 0;
+        for (;;) {
+            const rows = await db.all(`${select} AND id > @after ORDER BY id LIMIT ${CHUNK_ROWS}`, { ...params, after });
+            if (rows.length > 0) yield rows;
+            if (rows.length < CHUNK_ROWS) return;
+            after = rows[rows.length - 1].id;
+        }
+    }
+
+    _addArtifactFiles(rows, add, manifest) {
+        const artifactStorage = require('../utils/kgArtifactStorage');
+        for (const row of rows) {
+            const buffer = artifactStorage.readBuffer(row.relativePath);
+            if (buffer) add(`files/kg-artifacts/${row.id}`, buffer);
+            else manifest.warnings.push(`Artifact file missing on this host: ${row.originalName}`);
+        }
+    }
+
+    /** Signed packages for the custom campaigns the guild's adventures use. */
+    async _addCampaigns(guildId, add, manifest) {
+        const rows = await db.all('SELECT DISTINCT questId FROM tavern_adventures WHERE guildId = @guildId', { guildId: String(guildId) });
+        for (const { questId } of rows) {
+            const quest = this.questLoader.getQuest(questId);
+            if (quest?.source !== 'custom') continue;
+            let exported;
+            try {
+                exported = this.campaignPackage.exportCampaign(questId);
+            } catch (error) {
+                if (error.code !== 'PACKAGE_TOO_LARGE') throw error;
+                exported = this.campaignPackage.exportCampaign(questId, { includeArt: false });
+                manifest.warnings.push(`Campaign ${questId} travels without its art (too large).`);
+            }
+            add(`campaigns/${questId}.campaign.json`, exported.buffer);
+            manifest.campaigns.push(questId);
+        }
+    }
+
+    _pruneExports(dir) {
+        const archives = fs.readdirSync(dir).filter(name => name.endsWith('.zip')).sort().reverse();
+        for (const name of archives.slice(KEEP_EXPORTS)) fs.rmSync(path.join(dir, name), { force: true });
+    }
+
+    /**
+     * Open and check an archive: ZIP structure, manifest, every entry's hash,
+     * and the schema version. Only the entries the manifest lists are
+     * inflated, each checked against the unpacked limits first.
+     * @param {Buffer} buffer
+     * @returns {{ manifest: Object, entries: Map<string, Buffer>, sha256: string, sizeBytes: number }}
+     * @throws {GuildTransferError} TOO_LARGE / BAD_ARCHIVE / TAMPERED / SCHEMA_TOO_NEW
+     */
+    readArchive(buffer) {
+        if (buffer.length > MAX_ARCHIVE_BYTES) {
+            throw new GuildTransferError(413, 'TOO_LARGE', `Server archives are at most ${MAX_ARCHIVE_BYTES / 1048576} MB.`);
+        }
+        let manifest;
+        try {
+            const head = readZip(buffer, { skip: (name, size) => name !== 'manifest.json' || size > MAX_ENTRY_BYTES });
+            manifest = JSON.parse(head.get('manifest.json')?.toString('utf8') || 'null');
+        } catch (error) {
+            throw new GuildTransferError(400, 'BAD_ARCHIVE', `That is not a readable server archive: ${error.message}`);
+        }
+        if (manifest?.format !== ARCHIVE_FORMAT) {
+            throw new GuildTransferError(400, 'BAD_ARCHIVE', 'That file is not a Goobster server archive (make one with /server export).');
+        }
+        if (manifest.formatVersion > ARCHIVE_VERSION) {
+            throw new GuildTransferError(409, 'SCHEMA_TOO_NEW', `Archive format v${manifest.formatVersion} is newer than this install reads - update Goobster first.`);
+        }
+        if (manifest.schemaVersion > SCHEMA_VERSION) {
+            throw new GuildTransferError(409, 'SCHEMA_TOO_NEW',
+                `The archive was made at schema v${manifest.schemaVersion}; this install is at v${SCHEMA_VERSION}. Update Goobster first.`);
+        }
+
+        const listed = manifest.files || {};
+        let unpacked = 0;
+        let entries;
+        try {
+            entries = readZip(buffer, {
+                skip: (name, size) => {
+                    if (!Object.hasOwn(listed, name)) return true;
+                    unpacked += size;
+                    if (size > MAX_ENTRY_BYTES || unpacked > MAX_UNPACKED_BYTES) {
+                        throw new GuildTransferError(413, 'TOO_LARGE',
+                            `The archive unpacks past the limits (${MAX_ENTRY_BYTES / 1048576} MB per entry, ${MAX_UNPACKED_BYTES / 1048576} MB in all).`);
+                    }
+                    return false;
+                }
+            });
+        } catch (error) {
+            if (error instanceof GuildTransferError) throw error;
+            throw new GuildTransferError(400, 'BAD_ARCHIVE', `That is not a readable server archive: ${error.message}`);
+        }
+        for (const [name, hash] of Object.entries(manifest.files || {})) {
+            const entry = entries.get(name);
+            if (!entry || sha256(entry) !== hash) {
+                throw new GuildTransferError(422, 'TAMPERED', `The archive entry ${name} is missing or does not match its manifest.`);
+            }
+        }
+        return { manifest, entries, sha256: sha256(buffer), sizeBytes: buffer.length };
+    }
+
+    /**
+     * Preview an import: stage the archive, stage its campaigns in the
+     * tavern quarantine, and run the import inside a rolled-back transaction.
+     * Nothing is written until applyImport(token).
+     * @param {Buffer} buffer
+     * @param {Object} options
+     * @param {string} options.guildId - the server importing
+     * @param {'merge'|'replace'} [options.mode='merge']
+     * @param {Iterable<string>|null} [options.channelIds] - this server's
+     *   channels; null skips the channel checks (CLI)
+     * @param {number} [options.now]
+     * @returns {Promise<Object>} plan: { token, mode, archive, sameGuild, areas, campaigns, warnings, totals }
+     */
+    async planImport(buffer, { guildId, mode = 'merge', channelIds = null, now = Date.now() } = {}) {
+        if (!['merge', 'replace'].includes(mode)) throw new GuildTransferError(400, 'BAD_MODE', 'Mode is merge or replace.');
+        this._sweep(now);
+        const archive = this.readArchive(buffer);
+        await this._refuseRepeat(archive, guildId, mode);
+
+        const options = { guildId: String(guildId), mode, channelIds: channelIds ? new Set(channelIds) : null };
+        let report;
+        try {
+            await db.transaction(async () => {
+                throw new DryRunRollback(await this._load(archive, options, { dryRun: true }));
+            });
+        } catch (error) {
+            if (!(error instanceof DryRunRollback)) throw error;
+            report = error.report;
+        }
+
+        const campaigns = this._stageCampaigns(archive);
+        const token = crypto.randomBytes(12).toString('hex');
+        this.staged.set(token, { archive, options, campaigns, stagedAt: now });
+        return { token, ...report, campaigns: campaigns.map(({ stageToken, ...rest }) => rest) };
+    }
+
+    /**
+     * Apply a previewed import for real, then install its new campaigns.
+     * @param {string} token - from planImport
+     * @param {{ guildId: string }} options - must be the guild that planned it
+     * @returns {Promise<Object>} the same shape as the plan, as written
+     */
+    async applyImport(token, { guildId }) {
+        const stage = this.staged.get(token);
+        if (!stage) throw new GuildTransferError(410, 'NO_STAGED', 'That import preview expired - upload the archive again.');
+        if (stage.options.guildId !== String(guildId)) {
+            throw new GuildTransferError(403, 'WRONG_GUILD', 'That import was previewed for another server.');
+        }
+        this.staged.delete(token);
+
+        let report;
+        try {
+            report = await db.transaction(async () => {
+                await this._refuseRepeat(stage.archive, guildId, stage.options.mode);
+                const result = await this._load(stage.archive, stage.options, { dryRun: false });
+                await db.run(
+                    `INSERT INTO guild_imports (guildId, archiveSha256, sourceGuildId, sourceGuildName, mode, rowCount, summary)
+                     VALUES (@guildId, @sha, @sourceGuildId, @sourceGuildName, @mode, @rowCount, @summary)`,
+                    {
+                        guildId: String(guildId),
+                        sha: stage.archive.sha256,
+                        sourceGuildId: stage.archive.manifest.guild.id,
+                        sourceGuildName: stage.archive.manifest.guild.name,
+                        mode: stage.options.mode,
+                        rowCount: result.totals.inserted,
+                        summary: JSON.stringify(Object.fromEntries(result.areas.map(area => [area.id, area.totals])))
+                    }
+                );
+                return result;
+            });
+        } catch (error) {
+            this._discardCampaigns(stage.campaigns);
+            throw error;
+        }
+
+        await this._afterCommit(report);
+        const campaigns = this._installCampaigns(stage.campaigns);
+        return { ...report, campaigns };
+    }
+
+    /** Throw a previewed import away (and its quarantined campaigns). */
+    discardImport(token) {
+        const stage = this.staged.get(token);
+        this.staged.delete(token);
+        if (stage) this._discardCampaigns(stage.campaigns);
+    }
+
+    _sweep(now) {
+        for (const [token, stage] of this.staged) {
+            if (now - stage.stagedAt > STAGE_TTL_MS) this.discardImport(token);
+        }
+    }
+
+    async _refuseRepeat(archive, guildId, mode) {
+        if (mode !== 'merge') return;
+        const previous = await db.get(
+            'SELECT createdAt FROM guild_imports WHERE guildId = @guildId AND archiveSha256 = @sha',
+            { guildId: String(guildId), sha: archive.sha256 }
+        );
+        if (previous) {
+            throw new GuildTransferError(409, 'ALREADY_IMPORTED',
+                `This archive was already merged into this server (${previous.createdAt} UTC). Merging it again would duplicate its rows; use replace mode to reload it.`);
+        }
+    }
+
+    /** Every row of one table in the archive, decoded to objects. */
+    _archiveRows(archive, table) {
+        const rows = [];
+        const prefix = `tables/${table}/`;
+        const names = [...archive.entries.keys()].filter(name => name.startsWith(prefix)).sort();
+        let columns = null;
+        for (const name of names) {
+            const chunk = JSON.parse(archive.entries.get(name).toString('utf8'));
+            columns = chunk.columns;
+            for (const values of chunk.rows) {
+                rows.push(Object.fromEntries(chunk.columns.map((column, i) => [column, decodeValue(values[i])])));
+            }
+        }
+        return { columns: columns || [], rows };
+    }
+
+    /**
+     * The import itself, run inside the caller's transaction. Returns the
+     * report; the caller commits it (applyImport) or rolls it back (planImport).
+     */
+    async _load(archive, { guildId, mode, channelIds }, { dryRun }) {
+        const { manifest } = archive;
+        const ctx = {
+            source: manifest.guild.id,
+            target: guildId,
+            dryRun,
+            ids: new Map(GUILD_TABLES.filter(spec => spec.id).map(spec => [spec.table, new Map()])),
+            removedFiles: [],
+            archive
+        };
+        const targetParams = this._params(guildId);
+        const report = {
+            mode,
+            archive: {
+                sha256: archive.sha256,
+                sizeBytes: archive.sizeBytes,
+                guild: manifest.guild,
+                exportedAt: manifest.exportedAt,
+                schemaVersion: manifest.schemaVersion
+            },
+            sameGuild: manifest.guild.id === guildId,
+            areas: [],
+            warnings: [...(manifest.warnings || [])],
+            totals: emptyCounts()
+        };
+        if (!report.sameGuild) {
+            report.warnings.push(`The archive is from another server (${manifest.guild.name || manifest.guild.id}); its members' data is imported as-is.`);
+        }
+        if (!channelIds) report.warnings.push('Channels were not checked against the server (CLI import).');
+
+        const droppedColumns = [];
+        for (const area of AREAS) {
+            const entry = { id: area.id, label: area.label, strategy: area.strategy, status: 'import', existing: 0, tables: [], totals: emptyCounts() };
+            const loaded = area.tables.map(spec => ({ spec, ...this._archiveRows(archive, spec.table) }));
+            const inArchive = loaded.reduce((sum, table) => sum + table.rows.length, 0);
+
+            for (const spec of area.tables) {
+                entry.existing += (await db.get(`SELECT COUNT(*) AS c FROM ${spec.table} WHERE ${spec.where}`, targetParams)).c;
+            }
+            if (inArchive === 0) {
+                entry.status = 'empty';
+            } else if (mode === 'merge' && area.strategy === 'exclusive' && entry.existing > 0) {
+                entry.status = 'conflict';
+            }
+
+            // Replace clears only areas the archive brings, children first
+            const deleted = new Map();
+            if (mode === 'replace' && entry.status === 'import') {
+                for (const spec of [...area.tables].reverse()) {
+                    if (spec.files) {
+                        const rows = await db.all(`SELECT relativePath FROM ${spec.table} WHERE ${spec.where}`, targetParams);
+                        ctx.removedFiles.push(...rows.map(row => row.relativePath));
+                    }
+                    deleted.set(spec.table, (await db.run(`DELETE FROM ${spec.table} WHERE ${spec.where}`, targetParams)).changes);
+                }
+                // The replaced graph's history journal describes nodes that
+                // are gone now; the loaded graph starts a fresh one
+                if (area.tables.some(spec => spec.table === 'kg_nodes')) {
+                    await db.run('DELETE FROM kg_history WHERE guildId = @guildId', { guildId });
+                }
+            }
+
+            for (const { spec, columns, rows } of loaded) {
+                const counts = { table: spec.table, ...emptyCounts(), rows: rows.length, deleted: deleted.get(spec.table) || 0 };
+                if (entry.status === 'import') {
+                    const targetColumns = new Set(await tableColumns(db, spec.table));
+                    for (const column of columns) {
+                        if (!targetColumns.has(column)) droppedColumns.push(`${spec.table}.${column}`);
+                    }
+                    for (const row of rows) {
+                        const outcome = await this._importRow(spec, row, targetColumns, ctx, channelIds);
+                        counts[outcome]++;
+                    }
+                } else {
+                    counts.skipped = rows.length;
+                }
+                entry.tables.push(counts);
+                addCounts(entry.totals, counts);
+            }
+            addCounts(report.totals, entry.totals);
+            report.areas.push(entry);
+        }
+        if (droppedColumns.length > 0) {
+            report.warnings.push(`Columns this install no longer has were left out: ${droppedColumns.join(', ')}`);
+        }
+        report.removedFiles = ctx.removedFiles;
+        return report;
+    }
+
+    /**
+     * Map one archived row onto this server and insert it.
+     * @returns {'inserted'|'kept'|'skipped'}
+     */
+    async _importRow(spec, row, targetColumns, ctx, channelIds) {
+        const values = {};
+        for (const [column, value] of Object.entries(row)) {
+            if (!targetColumns.has(column) || (spec.id && column === 'id')) continue;
+            values[column] = value;
+        }
+        if ('guildId' in values) {
+            values.guildId = this._mapGuild(values.guildId, ctx);
+            if (values.guildId === null) return 'skipped';
+        }
+        for (const [column, ref] of Object.entries(spec.refs || {})) {
+            const { table, optional } = refSpec(ref);
+            if (values[column] === null || values[column] === undefined) continue;
+            const mapped = ctx.ids.get(table).get(Number(values[column]));
+            if (mapped === undefined && !optional) return 'skipped';
+            values[column] = mapped ?? null;
+        }
+        if (spec.polymorphic) {
+            const { column, kindColumn, kinds } = spec.polymorphic;
+            if (values[column] !== null && values[column] !== undefined) {
+                const table = kinds[values[kindColumn]];
+                values[column] = table ? ctx.ids.get(table).get(Number(values[column])) ?? null : null;
+            }
+        }
+        if (spec.channel && channelIds && values.channelId && !channelIds.has(String(values.channelId))) {
+            if (spec.channel === 'skip') return 'skipped';
+            values.isEnabled = 0;
+        }
+        if (spec.table === 'exchange_seasons') values.scopeId = null;
+        // Same natural key already here: keep it and attach children to it
+        if (spec.unique) {
+            const existing = await db.get(
+                `SELECT id FROM ${spec.table} WHERE ${spec.unique.map(column => `${quoteIdent(column)} = @${column}`).join(' AND ')}`,
+                Object.fromEntries(spec.unique.map(column => [column, values[column]]))
+            );
+            if (existing) {
+                ctx.ids.get(spec.table).set(Number(row.id), Number(existing.id));
+                return 'kept';
+            }
+        }
+        if (spec.files) {
+            const buffer = ctx.archive.entries.get(`files/kg-artifacts/${row.id}`);
+            if (!buffer) return 'skipped';
+            if (!ctx.dryRun) {
+                values.relativePath = require('../utils/kgArtifactStorage').saveBuffer({
+                    guildId: values.guildId, authorId: values.authorId, originalName: values.originalName, buffer
+                }).relativePath;
+            }
+        }
+
+        const columns = Object.keys(values);
+        const params = {};
+        columns.forEach((column, i) => { params[`p${i}`] = values[column]; });
+        const sql = `INSERT INTO ${spec.table} (${columns.map(quoteIdent).join(', ')})
+                     VALUES (${columns.map((column, i) => `@p${i}`).join(', ')}) ON CONFLICT DO NOTHING`;
+
+        if (!spec.id) {
+            return (await db.run(sql, params)).changes > 0 ? 'inserted' : 'kept';
+        }
+        const inserted = await db.get(`${sql} RETURNING id`, params);
+        if (inserted) {
+            ctx.ids.get(spec.table).set(Number(row.id), Number(inserted.id));
+            if (spec.table === 'exchange_seasons') {
+                await db.run('UPDATE exchange_seasons SET scopeId = @scopeId WHERE id = @id',
+                    { id: inserted.id, scopeId: `${ctx.target}:season:${inserted.id}` });
+            }
+            return 'inserted';
+        }
+        return 'kept';
+    }
+
+    /** The source guild (and its season scopes) become the target's. */
+    _mapGuild(value, ctx) {
+        if (value === ctx.source) return ctx.target;
+        const season = /^(.+):season:(\d+)$/.exec(String(value));
+        if (season && season[1] === ctx.source) {
+            const id = ctx.ids.get('exchange_seasons').get(Number(season[2]));
+            return id === undefined ? null : `${ctx.target}:season:${id}`;
+        }
+        return value;
+    }
+
+    /** Disk and index follow-up once the rows are committed. */
+    async _afterCommit(report) {
+        const artifactStorage = require('../utils/kgArtifactStorage');
+        for (const relativePath of report.removedFiles) {
+            // Content-addressed: a re-imported identical file kept its path
+            const stillUsed = await db.get('SELECT 1 AS used FROM kg_artifacts WHERE relativePath = @relativePath', { relativePath });
+            if (!stillUsed) artifactStorage.deleteRelativePath(relativePath);
+        }
+        delete report.removedFiles;
+        try {
+            await require('./memoryService').syncVecIndex();
+        } catch (error) {
+            // Recall backfills the index lazily; the import itself is committed
+            console.warn('[GuildTransfer] Vector index sync after import failed:', error.message);
+        }
+    }
+
+    _stageCampaigns(archive) {
+        const campaigns = [];
+        for (const questId of archive.manifest.campaigns || []) {
+            const buffer = archive.entries.get(`campaigns/${questId}.campaign.json`);
+            const installed = this.questLoader.getQuest(questId);
+            if (installed) {
+                campaigns.push({ questId, title: installed.title, action: 'installed' });
+                continue;
+            }
+            try {
+                const preview = this.campaignPackage.stageImport(buffer);
+                campaigns.push({
+                    questId,
+                    title: preview.quest?.title || questId,
+                    action: preview.valid ? 'install' : 'invalid',
+                    errors: preview.errors,
+                    stageToken: preview.token
+                });
+            } catch (error) {
+                campaigns.push({ questId, title: questId, action: 'invalid', errors: [error.message] });
+            }
+        }
+        return campaigns;
+    }
+
+    _installCampaigns(campaigns) {
+        return campaigns.map(({ stageToken, ...campaign }) => {
+            if (campaign.action !== 'install') {
+                if (stageToken) this.campaignPackage.discardStaged(stageToken);
+                return campaign;
+            }
+            try {
+                this.campaignPackage.installStaged(stageToken);
+                return { ...campaign, action: 'installed-now' };
+            } catch (error) {
+                return { ...campaign, action: 'invalid', errors: [error.message] };
+            }
+        });
+    }
+
+    _discardCampaigns(campaigns) {
+        for (const campaign of campaigns) {
+            if (campaign.stageToken) this.campaignPackage.discardStaged(campaign.stageToken);
+        }
+    }
+}
+
+module.exports = new GuildTransferService();
+module.exports.GuildTransferService = GuildTransferService;
+module.exports.GuildTransferError = GuildTransferError;
+module.exports.GUILD_TABLES = GUILD_TABLES;
+module.exports.EXCLUDED_TABLES = EXCLUDED_TABLES;
+module.exports.AREAS = AREAS;
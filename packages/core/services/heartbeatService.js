@@ -350,6 +350,7 @@ Optionally include "mood": "<2-5 word mood reflecting the server vibe right now>
             this.deliveringFollowups = true;
             try {
                 await this._deliverDueFollowupsBody();
+                await this._deliverPostWindows();
             } finally {
                 this.deliveringFollowups = false;
             }
@@ -394,6 +395,19 @@ Respond with ONLY the message text.`,
         }
     }
 
+    /**
+     * Tavern play-by-post: straggler reminders and rounds whose posting
+     * window is due (services/tavern/interactionHandler.deliverPostWindows).
+     * Rides the follow-up pass, so its lock keeps a round from resolving twice.
+     */
+    async _deliverPostWindows() {
+        try {
+            await require('./tavern/interactionHandler').deliverPostWindows(this.client);
+        } catch (error) {
+            console.error('[Heartbeat] Tavern posting windows failed:', error.message);
+        }
+    }
+
     _setPresence(text) {
         this.client.user.setPresence({
             activities: [{ type: ActivityType.Custom, name: text, state: text }],
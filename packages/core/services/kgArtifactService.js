@@ -28,7 +28,11 @@ function clipText(text, max = MAX_EXTRACTED_TEXT) {
     return `${value.slice(0, max - 20).trim()}\n… [truncated]`;
 }
 
-async function extractTextFromBuffer({ buffer, name, mimeType, artifactKind }) {
+/**
+ * Text of a stored or uploaded file (PDFs through pdf-parse), clipped to
+ * maxChars. Null for images.
+ */
+async function extractTextFromBuffer({ buffer, name, mimeType, artifactKind, maxChars = MAX_EXTRACTED_TEXT }) {
     const kind = artifactKind || classifyArtifactKind({ name, mimeType });
     if (kind === 'image') return null;
 
@@ -40,7 +44,7 @@ async function extractTextFromBuffer({ buffer, name, mimeType, artifactKind }) {
                 const result = await parser.getText();
                 const text = String(result?.text || '').trim();
                 if (!text) throw new KgArtifactError('EMPTY_PDF', 'No extractable text in that PDF.');
-                return clipText(text);
+                return clipText(text, maxChars);
             } finally {
                 await parser.destroy().catch(() => {});
             }
@@ -54,7 +58,7 @@ async function extractTextFromBuffer({ buffer, name, mimeType, artifactKind }) {
     if (asText.includes('\u0000')) {
         throw new KgArtifactError('BINARY', 'That file looks binary and cannot be stored as text.');
     }
-    return clipText(asText);
+    return clipText(asText, maxChars);
 }
 
 async function resolveAttachmentPayload(attachment) {
@@ -318,3 +322,4 @@ class KgArtifactService {
 
 module.exports = new KgArtifactService();
 module.exports.KgArtifactError = KgArtifactError;
+module.exports.extractTextFromBuffer = extractTextFromBuffer;
@@ -0,0 +1,619 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+const db = require('../db');
+const kgConfig = require('../config/knowledgeGraphConfig');
+const logger = require('../utils/logger');
+
+const { HISTORY } = kgConfig;
+
+/** Machine-readable history error (mirrors ReflectionError's contract). */
+class KnowledgeHistoryError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'KnowledgeHistoryError';
+        this.code = code;
+    }
+}
+
+function nodeState(row) {
+    return {
+        id: row.id,
+        label: row.label,
+        type: row.type,
+        content: row.content ?? null,
+        salience: row.salience,
+        confidence: row.confidence,
+        source: row.source
+    };
+}
+
+function edgeState(row) {
+    return {
+        id: row.id,
+        sourceId: row.sourceId,
+        targetId: row.targetId,
+        sourceLabel: row.sourceLabel,
+        targetLabel: row.targetLabel,
+        relation: row.relation,
+        relationKind: row.relationKind ?? null,
+        weight: row.weight
+    };
+}
+
+function tagState(row) {
+    return { nodeId: row.nodeId, label: row.label, name: row.name };
+}
+
+function parseState(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+/** Accept a Date, an ISO string or a stored timestamp; null when unparseable. */
+function toDate(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    const text = String(value || '').trim();
+    if (!text) return null;
+    // Stored timestamps ('YYYY-MM-DD HH:MM:SS') are UTC without a marker
+    const normalized = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+    const date = new Date(normalized);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function sqlTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function inList(prefix, values) {
+    const params = {};
+    values.forEach((value, i) => { params[`${prefix}${i}`] = value; });
+    return { clause: values.map((_, i) => `@${prefix}${i}`).join(', '), params };
+}
+
+const lower = value => String(value || '').toLowerCase();
+const edgeIdentity = edge => `${lower(edge.sourceLabel)}|${lower(edge.relation)}|${lower(edge.targetLabel)}`;
+const tagIdentity = tag => `${lower(tag.label)}|${lower(tag.name)}`;
+
+const EDGE_SELECT = `SELECT e.*, s.label AS sourceLabel, t.label AS targetLabel
+                     FROM kg_edges e
+                     JOIN kg_nodes s ON s.id = e.sourceId
+                     JOIN kg_nodes t ON t.id = e.targetId`;
+
+const TAG_SELECT = `SELECT nt.nodeId, nt.tagId, n.label, t.name, t.guildId, t.scopeKey, t.createdAt
+                    FROM kg_node_tags nt
+                    JOIN kg_tags t ON t.id = nt.tagId
+                    JOIN kg_nodes n ON n.id = nt.nodeId`;
+
+/**
+ * Knowledge-graph time travel. Spec: documentation/user_knowledge_graph.md
+ *
+ * Every add, material revision and retirement of a node, edge or tag link
+ * lands in the kg_history journal with its before/after state, attributed
+ * to the batch (reflection run, consolidation run, rollback) active in the
+ * async context. From the journal this reconstructs a scope "as of" a past
+ * moment, diffs two moments, and rolls a batch back. Journaling is
+ * best-effort: history must never break a knowledge write.
+ */
+class KnowledgeGraphHistory {
+    /**
+     * @param {Object} kg - knowledgeGraphService instance (rollback replays through it)
+     */
+    constructor(kg) {
+        this.kg = kg;
+        this._batch = new AsyncLocalStorage();
+    }
+
+    /**
+     * Attribute every journal row written inside fn to batchKey.
+     * @param {string} batchKey - e.g. 'reflection:12'
+     * @param {Function} fn
+     */
+    withBatch(batchKey, fn) {
+        return this._batch.run(batchKey ? String(batchKey).slice(0, 120) : null, fn);
+    }
+
+    get currentBatch() {
+        return this._batch.getStore() || null;
+    }
+
+    async record({ guildId, scopeKey = '', entity, entityKey, action, before = null, after = null }) {
+        try {
+            await db.run(
+                `INSERT INTO kg_history (guildId, scopeKey, entity, entityKey, action, stateBefore, stateAfter, batchKey)
+                 VALUES (@guildId, @scopeKey, @entity, @entityKey, @action, @stateBefore, @stateAfter, @batchKey)`,
+                {
+                    guildId,
+                    scopeKey: scopeKey || '',
+                    entity,
+                    entityKey,
+                    action,
+                    stateBefore: before ? JSON.stringify(before) : null,
+                    stateAfter: after ? JSON.stringify(after) : null,
+                    batchKey: this.currentBatch
+                }
+            );
+        } catch (error) {
+            logger.warn?.(`[KG] History journal for ${entityKey} failed: ${error.message}`);
+        }
+    }
+
+    // --- Journal hooks (called by knowledgeGraphService) --------------------
+
+    async nodeAdded(nodeId) {
+        const row = await db.get('SELECT * FROM kg_nodes WHERE id = @id', { id: nodeId });
+        if (!row) return;
+        await this.record({
+            guildId: row.guildId, scopeKey: row.scopeKey, entity: 'node',
+            entityKey: `node:${row.id}`, action: 'add', after: nodeState(row)
+        });
+    }
+
+    /**
+     * @param {Object} before - the node row as it was before the write
+     * @param {number} nodeId
+     */
+    async nodeRevised(before, nodeId) {
+        const row = await db.get('SELECT * FROM kg_nodes WHERE id = @id', { id: nodeId });
+        if (!row) return;
+        await this.record({
+            guildId: row.guildId, scopeKey: row.scopeKey, entity: 'node',
+            entityKey: `node:${row.id}`, action: 'revise',
+            before: nodeState({ ...before, id: row.id }), after: nodeState(row)
+        });
+    }
+
+    /** The edge with its endpoint labels (the journal's edge state). */
+    async edgeRow(edgeId) {
+        return await db.get(`${EDGE_SELECT} WHERE e.id = @id`, { id: edgeId });
+    }
+
+    async edgeAdded(edgeId) {
+        const row = await this.edgeRow(edgeId);
+        if (!row) return;
+        await this.record({
+            guildId: row.guildId, scopeKey: row.scopeKey, entity: 'edge',
+            entityKey: `edge:${row.id}`, action: 'add', after: edgeState(row)
+        });
+    }
+
+    async edgeRevised(before, edgeId) {
+        const row = await this.edgeRow(edgeId);
+        if (!row) return;
+        await this.record({
+            guildId: row.guildId, scopeKey: row.scopeKey, entity: 'edge',
+            entityKey: `edge:${row.id}`, action: 'revise', before: edgeState(before), after: edgeState(row)
+        });
+    }
+
+    async tagAdded(nodeId, tagId) {
+        const row = await db.get(`${TAG_SELECT} WHERE nt.nodeId = @nodeId AND nt.tagId = @tagId`, { nodeId, tagId });
+        if (!row) return;
+        await this.record({
+            guildId: row.guildId, scopeKey: row.scopeKey, entity: 'tag',
+            entityKey: `tag:${row.nodeId}:${row.name}`, action: 'add', after: tagState(row)
+        });
+    }
+
+    async _journalRetired(entity, rows) {
+        for (const row of rows) {
+            const state = entity === 'node' ? nodeState(row) : entity === 'edge' ? edgeState(row) : tagState(row);
+            await this.record({
+                guildId: row.guildId,
+                scopeKey: row.scopeKey,
+                entity,
+                entityKey: entity === 'tag' ? `tag:${row.nodeId}:${row.name}` : `${entity}:${row.id}`,
+                action: 'retire',
+                before: state
+            });
+        }
+    }
+
+    /**
+     * Retire the nodes a WHERE clause over kg_nodes selects: journal each one
+     * together with the edges and tag links the delete cascades through,
+     * then delete by id.
+     * @returns {Promise<number>} nodes deleted
+     */
+    async retireNodes(where, params = {}) {
+        const nodes = await db.all(`SELECT * FROM kg_nodes WHERE ${where}`, params);
+        if (nodes.length === 0) return 0;
+        const { clause, params: idParams } = inList('rn', nodes.map(n => n.id));
+        await this._journalRetired('edge', await db.all(
+            `${EDGE_SELECT} WHERE e.sourceId IN (${clause}) OR e.targetId IN (${clause})`, idParams));
+        await this._journalRetired('tag', await db.all(`${TAG_SELECT} WHERE nt.nodeId IN (${clause})`, idParams));
+        await this._journalRetired('node', nodes);
+        return (await db.run(`DELETE FROM kg_nodes WHERE id IN (${clause})`, idParams)).changes;
+    }
+
+    /**
+     * Retire the edges a WHERE clause over kg_edges (aliased e) selects.
+     * @returns {Promise<number>} edges deleted
+     */
+    async retireEdges(where, params = {}) {
+        const edges = await db.all(`${EDGE_SELECT} WHERE ${where}`, params);
+        if (edges.length === 0) return 0;
+        await this._journalRetired('edge', edges);
+        const { clause, params: idParams } = inList('re', edges.map(e => e.id));
+        return (await db.run(`DELETE FROM kg_edges WHERE id IN (${clause})`, idParams)).changes;
+    }
+
+    /**
+     * Retire the tags a WHERE clause over kg_tags (aliased t) selects, with
+     * every node link they carry.
+     * @returns {Promise<number>} tags deleted
+     */
+    async retireTags(where, params = {}) {
+        const tags = await db.all(`SELECT t.id FROM kg_tags t WHERE ${where}`, params);
+        if (tags.length === 0) return 0;
+        const { clause, params: idParams } = inList('rt', tags.map(t => t.id));
+        await this._journalRetired('tag', await db.all(`${TAG_SELECT} WHERE nt.tagId IN (${clause})`, idParams));
+        return (await db.run(`DELETE FROM kg_tags WHERE id IN (${clause})`, idParams)).changes;
+    }
+
+    /** Remove one tag link from a node (the tag itself stays). */
+    async retireTagLink(nodeId, tagId) {
+        const row = await db.get(`${TAG_SELECT} WHERE nt.nodeId = @nodeId AND nt.tagId = @tagId`, { nodeId, tagId });
+        if (!row) return 0;
+        await this._journalRetired('tag', [row]);
+        return (await db.run(
+            'DELETE FROM kg_node_tags WHERE nodeId = @nodeId AND tagId = @tagId', { nodeId, tagId }
+        )).changes;
+    }
+
+    // --- Reading the past -----------------------------------------------------
+
+    /** When this scope's journal begins (older views fall back to current rows). */
+    async historyStartsAt(guildId, scopeKey = '') {
+        const row = await db.get(
+            'SELECT MIN(createdAt) AS first FROM kg_history WHERE guildId = @guildId AND scopeKey = @scopeKey',
+            { guildId, scopeKey }
+        );
+        return row?.first || null;
+    }
+
+    /**
+     * Reconstruct a scope's nodes, edges and tags as they stood at `asOf`.
+     * Per entity: the latest journal row at or before the moment decides
+     * (retired -> absent, else its after-state); failing that, the earliest
+     * row after it (an add -> did not exist yet, else its before-state).
+     * Entities with no journal at all predate it and count from their
+     * createdAt. Views earlier than historyStartsAt are best-effort.
+     * @param {Object} params - { guildId, scopeKey, asOf }
+     * @returns {Promise<{asOf: string, historyStartsAt: string|null, nodes: Object[], edges: Object[], tags: Map<number, string[]>}>}
+     */
+    async snapshot({ guildId, scopeKey = '', asOf }) {
+        const at = toDate(asOf);
+        if (!at) throw new KnowledgeHistoryError('BAD_DATE', 'That is not a date the graph can travel to.');
+        const stamp = sqlTime(at);
+
+        const slots = new Map();
+        const events = await db.all(
+            `SELECT entity, entityKey, action, stateBefore, stateAfter, createdAt FROM kg_history
+             WHERE guildId = @guildId AND scopeKey = @scopeKey ORDER BY id`,
+            { guildId, scopeKey }
+        );
+        for (const event of events) {
+            let slot = slots.get(event.entityKey);
+            if (!slot) {
+                slot = { entity: event.entity, decided: false, state: null };
+                slots.set(event.entityKey, slot);
+            }
+            if (event.createdAt <= stamp) {
+                slot.state = event.action === 'retire' ? null : parseState(event.stateAfter);
+                slot.decided = true;
+            } else if (!slot.decided) {
+                slot.state = event.action === 'add' ? null : parseState(event.stateBefore);
+                slot.decided = true;
+            }
+        }
+
+        const scope = { guildId, scopeKey, stamp };
+        const untracked = key => !slots.has(key);
+        const nodes = (await db.all(
+            `SELECT * FROM kg_nodes WHERE guildId = @guildId AND scopeKey = @scopeKey AND createdAt <= @stamp`, scope
+        )).filter(row => untracked(`node:${row.id}`)).map(nodeState);
+        const edges = (await db.all(
+            `${EDGE_SELECT} WHERE e.guildId = @guildId AND e.scopeKey = @scopeKey AND e.createdAt <= @stamp`, scope
+        )).filter(row => untracked(`edge:${row.id}`)).map(edgeState);
+        const tagRows = (await db.all(
+            `${TAG_SELECT} WHERE t.guildId = @guildId AND t.scopeKey = @scopeKey AND t.createdAt <= @stamp`, scope
+        )).filter(row => untracked(`tag:${row.nodeId}:${row.name}`)).map(tagState);
+
+        for (const slot of slots.values()) {
+            if (!slot.state) continue;
+            if (slot.entity === 'node') nodes.push(slot.state);
+            else if (slot.entity === 'edge') edges.push(slot.state);
+            else tagRows.push(slot.state);
+        }
+
+        const nodeIds = new Set(nodes.map(n => n.id));
+        const tags = new Map();
+        for (const tag of tagRows) {
+            if (!nodeIds.has(tag.nodeId)) continue;
+            if (!tags.has(tag.nodeId)) tags.set(tag.nodeId, []);
+            tags.get(tag.nodeId).push(tag.name);
+        }
+        return {
+            asOf: stamp,
+            historyStartsAt: await this.historyStartsAt(guildId, scopeKey),
+            nodes: nodes.sort((a, b) => (b.salience ?? 0) - (a.salience ?? 0) || a.id - b.id),
+            edges: edges.filter(e => nodeIds.has(e.sourceId) && nodeIds.has(e.targetId)),
+            tags
+        };
+    }
+
+    /**
+     * What changed in a scope between two moments: nodes added, retired and
+     * revised (type or content), contradictions that appeared, edge and tag
+     * changes, and the batches (reflection and consolidation runs) that made
+     * them. Items match by label, so a node retired and restored is not
+     * reported as churn.
+     * @param {Object} params - { guildId, scopeKey, from, to }
+     */
+    async diff({ guildId, scopeKey = '', from, to = new Date() }) {
+        const start = toDate(from);
+        const end = toDate(to);
+        if (!start || !end) throw new KnowledgeHistoryError('BAD_DATE', 'Both ends of a diff need a valid date.');
+        if (start > end) throw new KnowledgeHistoryError('BAD_RANGE', 'The diff must start before it ends.');
+
+        const before = await this.snapshot({ guildId, scopeKey, asOf: start });
+        const after = await this.snapshot({ guildId, scopeKey, asOf: end });
+        const events = await db.all(
+            `SELECT entity, action, stateBefore, stateAfter, batchKey, createdAt FROM kg_history
+             WHERE guildId = @guildId AND scopeKey = @scopeKey AND createdAt > @from AND createdAt <= @to
+             ORDER BY id`,
+            { guildId, scopeKey, from: before.asOf, to: after.asOf }
+        );
+
+        // Attribute each change to the last batch that touched it in the window
+        const attribution = new Map();
+        for (const event of events) {
+            const state = parseState(event.stateAfter) || parseState(event.stateBefore);
+            if (!state) continue;
+            const key = event.entity === 'node' ? `node|${lower(state.label)}`
+                : event.entity === 'edge' ? `edge|${edgeIdentity(state)}` : `tag|${tagIdentity(state)}`;
+            attribution.set(key, { batchKey: event.batchKey || null, at: event.createdAt });
+        }
+        const cap = list => list.slice(0, HISTORY.maxDiffItems);
+        const attributed = (key, item) => ({ ...item, ...(attribution.get(key) || { batchKey: null, at: null }) });
+
+        const nodesBefore = new Map(before.nodes.map(n => [lower(n.label), n]));
+        const nodesAfter = new Map(after.nodes.map(n => [lower(n.label), n]));
+        const shape = n => ({ label: n.label, type: n.type, content: n.content });
+        const added = [];
+        const revised = [];
+        for (const [key, node] of nodesAfter) {
+            const old = nodesBefore.get(key);
+            if (!old) added.push(attributed(`node|${key}`, shape(node)));
+            else if (old.type !== node.type || (old.content || null) !== (node.content || null)) {
+                revised.push(attributed(`node|${key}`, { label: node.label, before: shape(old), after: shape(node) }));
+            }
+        }
+        const retired = [...nodesBefore].filter(([key]) => !nodesAfter.has(key))
+            .map(([key, node]) => attributed(`node|${key}`, shape(node)));
+
+        const edgeShape = e => ({
+            source: e.sourceLabel, target: e.targetLabel, relation: e.relation, relationKind: e.relationKind
+        });
+        const edgesBefore = new Map(before.edges.map(e => [edgeIdentity(e), e]));
+        const edgesAfter = new Map(after.edges.map(e => [edgeIdentity(e), e]));
+        const edgesAdded = [...edgesAfter].filter(([key]) => !edgesBefore.has(key))
+            .map(([key, edge]) => attributed(`edge|${key}`, edgeShape(edge)));
+        const edgesRetired = [...edgesBefore].filter(([key]) => !edgesAfter.has(key))
+            .map(([key, edge]) => attributed(`edge|${key}`, edgeShape(edge)));
+
+        const tagList = snap => {
+            const labels = new Map(snap.nodes.map(n => [n.id, n.label]));
+            const map = new Map();
+            for (const [nodeId, names] of snap.tags) {
+                for (const name of names) {
+                    const tag = { label: labels.get(nodeId), name };
+                    map.set(tagIdentity(tag), tag);
+                }
+            }
+            return map;
+        };
+        const tagsBefore = tagList(before);
+        const tagsAfter = tagList(after);
+
+        const batchKeys = [...new Set(events.map(e => e.batchKey).filter(Boolean))];
+        const counts = new Map(batchKeys.map(key => [key, { add: 0, revise: 0, retire: 0 }]));
+        for (const event of events) {
+            if (event.batchKey) counts.get(event.batchKey)[event.action]++;
+        }
+
+        return {
+            from: before.asOf,
+            to: after.asOf,
+            historyStartsAt: after.historyStartsAt,
+            nodes: { added: cap(added), retired: cap(retired), revised: cap(revised) },
+            contradicted: cap(edgesAdded.filter(e => lower(e.relation) === 'contradicts')),
+            edges: { added: cap(edgesAdded), retired: cap(edgesRetired) },
+            tags: {
+                added: cap([...tagsAfter].filter(([key]) => !tagsBefore.has(key))
+                    .map(([key, tag]) => attributed(`tag|${key}`, tag))),
+                retired: cap([...tagsBefore].filter(([key]) => !tagsAfter.has(key))
+                    .map(([key, tag]) => attributed(`tag|${key}`, tag)))
+            },
+            batches: await this._describeBatches(guildId, scopeKey, batchKeys.slice(-HISTORY.maxDiffBatches), counts)
+        };
+    }
+
+    async _describeBatches(guildId, scopeKey, batchKeys, counts) {
+        const batches = [];
+        for (const batchKey of batchKeys) {
+            const [kind, ...rest] = batchKey.split(':');
+            const ref = rest.join(':');
+            const batch = { batchKey, kind, ref, changes: counts.get(batchKey) };
+            if (kind === 'reflection') {
+                const run = await db.get(
+                    'SELECT id, runTrigger, passes, status, startedAt, finishedAt FROM kg_reflection_runs WHERE id = @id',
+                    { id: Number(ref) }
+                );
+                if (run) {
+                    batch.run = {
+                        id: run.id,
+                        trigger: run.runTrigger,
+                        passes: parseState(run.passes) || [],
+                        status: run.status,
+                        startedAt: run.startedAt,
+                        finishedAt: run.finishedAt
+                    };
+                }
+            }
+            batch.rolledBack = Boolean(await db.get(
+                `SELECT 1 AS hit FROM kg_history
+                 WHERE guildId = @guildId AND scopeKey = @scopeKey AND batchKey = @rollbackKey LIMIT 1`,
+                { guildId, scopeKey, rollbackKey: `rollback:${batchKey}` }
+            ));
+            batch.rollbackable = kind !== 'rollback' && !batch.rolledBack;
+            batches.push(batch);
+        }
+        return batches.reverse();
+    }
+
+    // --- Undo ------------------------------------------------------------------
+
+    /**
+     * Roll a batch back within one scope: apply the inverse of each of its
+     * journal rows, newest first, in one transaction. The rollback is itself
+     * journaled (batch 'rollback:<batchKey>'), so it shows up in diffs and
+     * an accidental rollback can be seen - but not rolled back in turn.
+     * Later writes are not undone; a node the batch added is only removed if
+     * it is still the same node.
+     * @param {Object} params - { guildId, scopeKey, batchKey }
+     * @returns {Promise<{batchKey: string, undone: {nodes: number, edges: number, tags: number}}>}
+     */
+    async rollbackBatch({ guildId, scopeKey = '', batchKey }) {
+        const key = String(batchKey || '').trim();
+        if (!key || key.startsWith('rollback:')) {
+            throw new KnowledgeHistoryError('BAD_BATCH', 'Only reflection and consolidation runs can be rolled back.');
+        }
+        const events = await db.all(
+            `SELECT entity, entityKey, action, stateBefore, stateAfter FROM kg_history
+             WHERE guildId = @guildId AND scopeKey = @scopeKey AND batchKey = @batchKey
+             ORDER BY id DESC`,
+            { guildId, scopeKey, batchKey: key }
+        );
+        if (events.length === 0) {
+            throw new KnowledgeHistoryError('NO_BATCH', 'That run changed nothing in this graph (or its history has expired).');
+        }
+        const rollbackKey = `rollback:${key}`;
+        if (await db.get(
+            'SELECT 1 AS hit FROM kg_history WHERE guildId = @guildId AND scopeKey = @scopeKey AND batchKey = @rollbackKey LIMIT 1',
+            { guildId, scopeKey, rollbackKey }
+        )) {
+            throw new KnowledgeHistoryError('ALREADY_ROLLED_BACK', 'That run has already been rolled back.');
+        }
+
+        const undone = { nodes: 0, edges: 0, tags: 0 };
+        await this.withBatch(rollbackKey, () => db.transaction(async () => {
+            for (const event of events) {
+                if (await this._undo({ guildId, scopeKey }, event)) undone[`${event.entity}s`]++;
+            }
+        }));
+        return { batchKey: key, undone };
+    }
+
+    /** Apply the inverse of one journal row. @returns {Promise<boolean>} whether anything changed */
+    async _undo({ guildId, scopeKey }, event) {
+        const before = parseState(event.stateBefore);
+        const after = parseState(event.stateAfter);
+        const scoped = { guildId, scopeKey };
+
+        if (event.entity === 'node') {
+            if (event.action === 'add') {
+                return await this.retireNodes(
+                    'id = @id AND guildId = @guildId AND scopeKey = @scopeKey', { ...scoped, id: after.id }
+                ) > 0;
+            }
+            if (event.action === 'revise') {
+                const current = await db.get(
+                    'SELECT * FROM kg_nodes WHERE id = @id AND guildId = @guildId AND scopeKey = @scopeKey',
+                    { ...scoped, id: before.id }
+                );
+                if (!current) return false;
+                await db.run(
+                    'UPDATE kg_nodes SET type = @type, content = @content, updatedAt = CURRENT_TIMESTAMP WHERE id = @id',
+                    { id: current.id, type: before.type, content: before.content }
+                );
+                await this.nodeRevised(current, current.id);
+                await this.kg._recordRevision(current.id, 'user');
+                return true;
+            }
+            const subjectId = scopeKey.startsWith('USER:') ? scopeKey.slice('USER:'.length) : null;
+            return Boolean(await this.kg.upsertNode({
+                guildId,
+                scopeKey,
+                subjectType: subjectId ? 'USER' : scopeKey === 'GUILD' ? 'GUILD' : null,
+                subjectId,
+                type: before.type,
+                label: before.label,
+                content: before.content,
+                salience: before.salience,
+                confidence: before.confidence,
+                source: before.source
+            }));
+        }
+
+        if (event.entity === 'edge') {
+            if (event.action === 'add') {
+                return await this.retireEdges(
+                    'e.id = @id AND e.guildId = @guildId AND e.scopeKey = @scopeKey', { ...scoped, id: after.id }
+                ) > 0;
+            }
+            if (event.action === 'revise') {
+                const current = await this.edgeRow(before.id);
+                if (!current || current.guildId !== guildId) return false;
+                await db.run(
+                    'UPDATE kg_edges SET relationKind = @relationKind, weight = @weight, updatedAt = CURRENT_TIMESTAMP WHERE id = @id',
+                    { id: current.id, relationKind: before.relationKind, weight: before.weight }
+                );
+                await this.edgeRevised(current, current.id);
+                return true;
+            }
+            return Boolean(await this.kg.link({
+                ...scoped,
+                source: before.sourceLabel,
+                target: before.targetLabel,
+                relation: before.relation,
+                relationKind: before.relationKind,
+                weight: before.weight
+            }));
+        }
+
+        if (event.action === 'add') {
+            const tag = await db.get(
+                'SELECT id FROM kg_tags WHERE guildId = @guildId AND scopeKey = @scopeKey AND name = @name',
+                { ...scoped, name: after.name }
+            );
+            return tag ? await this.retireTagLink(after.nodeId, tag.id) > 0 : false;
+        }
+        return await this.kg.addTagsToNode({ ...scoped, label: before.label, tags: [before.name] }) > 0;
+    }
+
+    // --- Retention and privacy ---------------------------------------------------
+
+    /** Drop journal rows past the retention window (nightly consolidation). */
+    async prune(retentionDays = HISTORY.retentionDays) {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        return (await db.run('DELETE FROM kg_history WHERE createdAt < @cutoff', { cutoff })).changes;
+    }
+
+    async forget(guildId, scopeKey = null) {
+        let sql = 'DELETE FROM kg_history WHERE guildId = @guildId';
+        const params = { guildId };
+        if (scopeKey !== null) {
+            sql += ' AND scopeKey = @scopeKey';
+            params.scopeKey = scopeKey;
+        }
+        return (await db.run(sql, params)).changes;
+    }
+}
+
+module.exports = KnowledgeGraphHistory;
+module.exports.KnowledgeHistoryError = KnowledgeHistoryError;
+module.exports.toDate = toDate;
@@ -31,6 +31,9 @@ class KnowledgeGraphLegalizer {
      *   the writer kind derived from `source`. Nodes may additionally carry
      *   `memoryIds` (memory provenance) and `claimIds` (research_claim
      *   provenance resolving to research_claims rows).
+     * @param {boolean} [params.semanticDedupe] - false skips the embedding
+     *   comparison (exact label and content dedupe still apply); bulk imports
+     *   turn it off, since it costs dozens of embeddings per upsert
      * @returns {Promise<Object>} applied counts
      */
     async applyMutations({
@@ -41,7 +44,8 @@ class KnowledgeGraphLegalizer {
         source = 'consolidation',
         mutations = {},
         limits = kgConfig.LIMITS.consolidation,
-        provenance = null
+        provenance = null,
+        semanticDedupe = true
     } = {}) {
         const applied = {
             nodesUpserted: 0,
@@ -66,7 +70,8 @@ class KnowledgeGraphLegalizer {
                 guildId,
                 scopeKey,
                 label: node.label,
-                content: node.content
+                content: node.content,
+                semantic: semanticDedupe
             });
             const targetLabel = merged?.label || node.label;
             const result = await this.kg.upsertNode({
@@ -259,7 +264,7 @@ class KnowledgeGraphLegalizer {
         return Math.min(1, Math.max(0, (left + right) / 2));
     }
 
-    async _resolveSemanticDuplicate({ guildId, scopeKey, label, content }) {
+    async _resolveSemanticDuplicate({ guildId, scopeKey, label, content, semantic = true }) {
         const exact = await this.kg.getNode(guildId, label, scopeKey);
         if (exact) return exact;
 
@@ -272,6 +277,7 @@ class KnowledgeGraphLegalizer {
             );
             if (byContent) return byContent;
         }
+        if (!semantic) return null;
 
         try {
             const text = `${label} ${content || ''}`.trim();
@@ -2,6 +2,7 @@ const db = require('../db');
 const kgConfig = require('../config/knowledgeGraphConfig');
 const logger = require('../utils/logger');
 const KnowledgeGraphLegalizer = require('./knowledgeGraphLegalizer');
+const KnowledgeGraphHistory = require('./knowledgeGraphHistory');
 
 /** Bounded per-node revision history (spec: spitball_expeditions.md §27). */
 const MAX_REVISIONS_PER_NODE = 20;
@@ -66,6 +67,7 @@ function maxNodesForScope(scopeKey) {
 class KnowledgeGraphService {
     constructor() {
         this._legalizer = new KnowledgeGraphLegalizer(this);
+        this._history = new KnowledgeGraphHistory(this);
     }
 
     get nodeTypes() {
@@ -76,6 +78,11 @@ class KnowledgeGraphService {
         return this._legalizer;
     }
 
+    /** The kg_history journal: as-of views, diffs and batch rollback. */
+    get history() {
+        return this._history;
+    }
+
     resolveScopeKey = resolveScopeKey;
 
     /**
@@ -144,6 +151,7 @@ class KnowledgeGraphService {
                 || (cleanContent && cleanContent !== (existing.content || null));
             if (materiallyChanged) {
                 await this._recordRevision(existing.id, cleanSource);
+                await this._history.nodeRevised(existing, existing.id);
             }
             return { id: existing.id, created: false };
         }
@@ -167,6 +175,7 @@ class KnowledgeGraphService {
                 subjectId: subjectId || null
             }
         );
+        await this._history.nodeAdded(Number(result));
         await this.pruneScope(guildId, sk);
         await this._recordRevision(Number(result), cleanSource, 'created');
         return { id: Number(result), created: true };
@@ -255,11 +264,10 @@ class KnowledgeGraphService {
     async deleteNode(guildId, label, scopeKey = '') {
         const cleanLabel = normalizeLabel(label);
         if (!guildId || !cleanLabel) return 0;
-        return (await db.run(
-            `DELETE FROM kg_nodes
-             WHERE guildId = @guildId AND scopeKey = @scopeKey AND label = @label`,
+        return await this._history.retireNodes(
+            'guildId = @guildId AND scopeKey = @scopeKey AND label = @label',
             { guildId, scopeKey, label: cleanLabel }
-        )).changes;
+        );
     }
 
     async searchNodes({ guildId, scopeKey = '', query, type = null, limit = 10 }) {
@@ -320,6 +328,13 @@ class KnowledgeGraphService {
         if (!sourceNode || !targetNode) return null;
 
         const kind = relationKind && kgConfig.RELATION_KINDS.includes(relationKind) ? relationKind : null;
+        const edgeKey = { guildId, sourceId: sourceNode.id, targetId: targetNode.id, relation: cleanRelation };
+        const findEdge = () => db.get(
+            `SELECT * FROM kg_edges
+             WHERE guildId = @guildId AND sourceId = @sourceId AND targetId = @targetId AND relation = @relation`,
+            edgeKey
+        );
+        const before = await findEdge();
 
         await db.run(
             `INSERT INTO kg_edges (guildId, scopeKey, sourceId, targetId, relation, relationKind, weight)
@@ -338,13 +353,19 @@ class KnowledgeGraphService {
                 weight: clamp01(weight, 0.5)
             }
         );
+        // Journal new edges and kind changes; weight drift alone is not a
+        // revision (weaving re-scores edges on every pass).
+        const written = await findEdge();
+        if (written && !before) {
+            await this._history.edgeAdded(written.id);
+        } else if (written && (written.relationKind || null) !== (before.relationKind || null)) {
+            await this._history.edgeRevised(
+                { ...before, sourceLabel, targetLabel }, written.id
+            );
+        }
         await this._pruneEdges(guildId, sk);
 
-        const row = await db.get(
-            `SELECT id FROM kg_edges
-             WHERE guildId = @guildId AND sourceId = @sourceId AND targetId = @targetId AND relation = @relation`,
-            { guildId, sourceId: sourceNode.id, targetId: targetNode.id, relation: cleanRelation }
-        );
+        const row = await findEdge();
         return row ? { id: row.id } : null;
     }
 
@@ -353,14 +374,13 @@ class KnowledgeGraphService {
         const targetNode = await this.getNode(guildId, target, scopeKey);
         if (!sourceNode || !targetNode) return 0;
 
-        let sql = `DELETE FROM kg_edges
-                   WHERE guildId = @guildId AND sourceId = @sourceId AND targetId = @targetId`;
+        let where = 'e.guildId = @guildId AND e.sourceId = @sourceId AND e.targetId = @targetId';
         const params = { guildId, sourceId: sourceNode.id, targetId: targetNode.id };
         if (relation) {
-            sql += ' AND relation = @relation';
+            where += ' AND e.relation = @relation';
             params.relation = String(relation).trim().slice(0, MAX_RELATION_LENGTH);
         }
-        return (await db.run(sql, params)).changes;
+        return await this._history.retireEdges(where, params);
     }
 
     async edgesFor(guildId, nodeIds, scopeKey = null) {
@@ -497,12 +517,19 @@ ${excerpt}`;
         return { nodes, edges };
     }
 
+    // Erasure is not history: forgetting deletes the journal with the graph
+    // instead of retiring into it, and the staged text of bulk imports too
+    // (passages cascade with their nodes).
     async forgetGuild(guildId) {
+        await this._history.forget(guildId);
+        await db.run('DELETE FROM kg_imports WHERE guildId = @guildId', { guildId });
         return (await db.run('DELETE FROM kg_nodes WHERE guildId = @guildId', { guildId })).changes;
     }
 
     async forgetUserScope(guildId, userId) {
         const scopeKey = resolveScopeKey({ subjectType: 'USER', subjectId: userId });
+        await this._history.forget(guildId, scopeKey);
+        await db.run('DELETE FROM kg_imports WHERE guildId = @guildId AND scopeKey = @scopeKey', { guildId, scopeKey });
         return (await db.run(
             'DELETE FROM kg_nodes WHERE guildId = @guildId AND scopeKey = @scopeKey',
             { guildId, scopeKey }
@@ -518,9 +545,8 @@ ${excerpt}`;
 
     async _pruneNodes(guildId, scopeKey = '') {
         const max = maxNodesForScope(scopeKey);
-        await db.run(
-            `DELETE FROM kg_nodes
-             WHERE guildId = @guildId AND scopeKey = @scopeKey
+        await this._history.retireNodes(
+            `guildId = @guildId AND scopeKey = @scopeKey
                AND id NOT IN (
                    SELECT id FROM kg_nodes
                    WHERE guildId = @guildId AND scopeKey = @scopeKey
@@ -532,10 +558,9 @@ ${excerpt}`;
     }
 
     async _pruneEdges(guildId, scopeKey = '') {
-        await db.run(
-            `DELETE FROM kg_edges
-             WHERE guildId = @guildId AND scopeKey = @scopeKey
-               AND id NOT IN (
+        await this._history.retireEdges(
+            `e.guildId = @guildId AND e.scopeKey = @scopeKey
+               AND e.id NOT IN (
                    SELECT id FROM kg_edges
                    WHERE guildId = @guildId AND scopeKey = @scopeKey
                    ORDER BY weight DESC, updatedAt DESC, id DESC
@@ -546,15 +571,14 @@ ${excerpt}`;
     }
 
     async _pruneTags(guildId, scopeKey = '') {
-        await db.run(
-            `DELETE FROM kg_tags
-             WHERE guildId = @guildId AND scopeKey = @scopeKey
-               AND id NOT IN (
-                   SELECT t.id FROM kg_tags t
-                   WHERE t.guildId = @guildId AND t.scopeKey = @scopeKey
+        await this._history.retireTags(
+            `t.guildId = @guildId AND t.scopeKey = @scopeKey
+               AND t.id NOT IN (
+                   SELECT kt.id FROM kg_tags kt
+                   WHERE kt.guildId = @guildId AND kt.scopeKey = @scopeKey
                    ORDER BY (
-                       SELECT COUNT(*) FROM kg_node_tags nt WHERE nt.tagId = t.id
-                   ) DESC, t.id DESC
+                       SELECT COUNT(*) FROM kg_node_tags nt WHERE nt.tagId = kt.id
+                   ) DESC, kt.id DESC
                    LIMIT @max
                )`,
             { guildId, scopeKey, max: MAX_TAGS_PER_SCOPE }
@@ -562,9 +586,8 @@ ${excerpt}`;
     }
 
     async _pruneOrphans(guildId, scopeKey = '') {
-        await db.run(
-            `DELETE FROM kg_nodes
-             WHERE guildId = @guildId AND scopeKey = @scopeKey
+        await this._history.retireNodes(
+            `guildId = @guildId AND scopeKey = @scopeKey
                AND confidence < @threshold
                AND id NOT IN (SELECT nodeId FROM kg_provenance)
                AND id NOT IN (
@@ -672,11 +695,12 @@ ${excerpt}`;
                 tag = { id: Number(tagId) };
             }
 
-            await db.run(
+            const linked = await db.run(
                 `INSERT INTO kg_node_tags (nodeId, tagId) VALUES (@nodeId, @tagId)
                  ON CONFLICT DO NOTHING`,
                 { nodeId: node.id, tagId: tag.id }
             );
+            if (linked.changes > 0) await this._history.tagAdded(node.id, tag.id);
             applied++;
         }
         await this._pruneTags(guildId, scopeKey);
@@ -796,11 +820,12 @@ ${excerpt}`;
                 { dropId: drop.id }
             );
             for (const row of tagRows) {
-                await db.run(
+                const linked = await db.run(
                     `INSERT INTO kg_node_tags (nodeId, tagId) VALUES (@nodeId, @tagId)
                      ON CONFLICT DO NOTHING`,
                     { nodeId: keep.id, tagId: row.tagId }
                 );
+                if (linked.changes > 0) await this._history.tagAdded(keep.id, row.tagId);
             }
 
             const edges = await db.all(
@@ -812,6 +837,25 @@ ${excerpt}`;
                 const newSource = edge.sourceId === drop.id ? keep.id : edge.sourceId;
                 const newTarget = edge.targetId === drop.id ? keep.id : edge.targetId;
                 if (newSource === newTarget) continue;
+                const moved = await db.get(
+                    `INSERT INTO kg_edges (guildId, scopeKey, sourceId, targetId, relation, relationKind, weight)
+                     VALUES (@guildId, @scopeKey, @sourceId, @targetId, @relation, @relationKind, @weight)
+                     ON CONFLICT(guildId, sourceId, targetId, relation) DO NOTHING
+                     RETURNING id`,
+                    {
+                        guildId,
+                        scopeKey: edge.scopeKey || scopeKey,
+                        sourceId: newSource,
+                        targetId: newTarget,
+                        relation: edge.relation,
+                        relationKind: edge.relationKind,
+                        weight: edge.weight
+                    }
+                );
+                if (moved) {
+                    await this._history.edgeAdded(moved.id);
+                    continue;
+                }
                 await db.run(
                     `INSERT INTO kg_edges (guildId, scopeKey, sourceId, targetId, relation, relationKind, weight)
                      VALUES (@guildId, @scopeKey, @sourceId, @targetId, @relation, @relationKind, @weight)
@@ -829,25 +873,29 @@ ${excerpt}`;
                     }
                 );
             }
-            await db.run('DELETE FROM kg_nodes WHERE id = @id', { id: drop.id });
+            await this._history.retireNodes('id = @id', { id: drop.id });
             await this._recordRevision(keep.id, keep.source, 'reflection_merge');
         });
         return true;
     }
 
     /**
-     * Personal graph payload for the web portal Map tab.
+     * Personal graph payload for the web portal Map tab. With `asOf` the
+     * graph is reconstructed from the history journal as it stood then.
      */
-    async getPersonalGraphView({ guildId, userId, userLabel = 'You' }) {
+    async getPersonalGraphView({ guildId, userId, userLabel = 'You', asOf = null }) {
         const scopeKey = resolveScopeKey({ subjectType: 'USER', subjectId: userId });
-        await this.syncLegacyFacts({ guildId, subjectType: 'USER', subjectId: userId });
-
-        const dbNodes = await db.all(
-            `SELECT * FROM kg_nodes
-             WHERE guildId = @guildId AND scopeKey = @scopeKey
-             ORDER BY salience DESC, updatedAt DESC LIMIT 120`,
-            { guildId, scopeKey }
-        );
+        const past = asOf ? await this._history.snapshot({ guildId, scopeKey, asOf }) : null;
+        if (!past) await this.syncLegacyFacts({ guildId, subjectType: 'USER', subjectId: userId });
+
+        const dbNodes = past
+            ? past.nodes.slice(0, 120)
+            : await db.all(
+                `SELECT * FROM kg_nodes
+                 WHERE guildId = @guildId AND scopeKey = @scopeKey
+                 ORDER BY salience DESC, updatedAt DESC LIMIT 120`,
+                { guildId, scopeKey }
+            );
 
         const anchorId = 'you';
         const nodes = [{
@@ -877,7 +925,9 @@ ${excerpt}`;
         const edges = [];
         let semanticEdgeCount = 0;
         if (dbNodes.length > 0) {
-            const edgeRows = await this.edgesFor(guildId, dbNodes.map(n => n.id), scopeKey);
+            const edgeRows = past
+                ? past.edges.filter(e => idMap.has(e.sourceId) && idMap.has(e.targetId))
+                : await this.edgesFor(guildId, dbNodes.map(n => n.id), scopeKey);
             semanticEdgeCount = edgeRows.length;
             for (const edge of edgeRows) {
                 edges.push({
@@ -907,7 +957,7 @@ ${excerpt}`;
             }
         }
 
-        const tags = await this.getTagsForNodes(dbNodes.map(n => n.id));
+        const tags = past ? past.tags : await this.getTagsForNodes(dbNodes.map(n => n.id));
         const provenanceMap = new Map();
         if (dbNodes.length > 0) {
             const placeholders = dbNodes.map((_, i) => `@n${i}`).join(', ');
@@ -936,6 +986,7 @@ ${excerpt}`;
 
         return {
             kind: 'personal',
+            ...(past ? { asOf: past.asOf, historyStartsAt: past.historyStartsAt } : {}),
             nodes,
             edges,
             counts: {
@@ -944,7 +995,7 @@ ${excerpt}`;
                 semanticEdges: semanticEdgeCount,
                 anchorEdges: Math.max(0, edges.length - semanticEdgeCount),
                 memories: 0,
-                tags: [...tags.values()].reduce((n, arr) => n + arr.length, 0),
+                tags: dbNodes.reduce((n, node) => n + (tags.get(node.id)?.length || 0), 0),
                 truncated: dbNodes.length >= 120
             }
         };
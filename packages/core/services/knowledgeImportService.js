@@ -0,0 +1,767 @@
+/**
+ * Bulk knowledge ingestion: an Obsidian or Markdown vault, a Notion export
+ * zip, or a folder of PDFs brought into one graph scope.
+ *
+ * An import is two steps:
+ *  1. stage - the archive is parsed (utils/knowledgeImportParser.js) into a
+ *     kg_imports row with one kg_import_files row per note: the proposed
+ *     node, its tags, its links resolved against the import and the graph,
+ *     and its text. Nothing touches the graph; getImport is the preview.
+ *  2. start - the notes are applied file by file through the legalizer
+ *     (per-file `import` provenance), each note's text is cut into passages
+ *     embedded with embeddingService (kg_node_chunks), and a second pass
+ *     writes the links as edges once every note exists. Progress lives in
+ *     the file rows, so a failed or interrupted import resumes where it
+ *     stopped. Every write is journaled as batch `import:<id>`, which makes
+ *     the whole import one "Roll back" in the graph's history.
+ *
+ * Spec: documentation/user_knowledge_graph.md ("Bulk import")
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const db = require('../db');
+const knowledgeGraphService = require('./knowledgeGraphService');
+const kgConfig = require('../config/knowledgeGraphConfig');
+const { readZip } = require('../utils/zipArchive');
+const parser = require('../utils/knowledgeImportParser');
+
+const IMPORT = kgConfig.IMPORT;
+const LIMITS = kgConfig.LIMITS.import;
+/** Imported notes are the user's own writing: more trusted than a guess. */
+const NOTE_CONFIDENCE = 0.8;
+/** Passages scoring below this cosine similarity are not worth quoting. */
+const PASSAGE_MIN_SIMILARITY = 0.3;
+
+/** Machine-readable import error (mirrors WebDashboardError's contract). */
+class KnowledgeImportError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'KnowledgeImportError';
+        this.code = code;
+    }
+}
+
+/** Derive subject metadata back out of a scopeKey. */
+function subjectFromScopeKey(scopeKey) {
+    if (scopeKey === 'GUILD') return { subjectType: 'GUILD', subjectId: null };
+    if (scopeKey.startsWith('USER:')) {
+        return { subjectType: 'USER', subjectId: scopeKey.slice('USER:'.length) };
+    }
+    return { subjectType: null, subjectId: null };
+}
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try { return JSON.parse(value); } catch { return fallback; }
+}
+
+/** Float32Array -> BLOB and back (memoryService's storage convention). */
+function vectorToBuffer(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function bufferToVector(buffer, dims) {
+    const copy = Buffer.from(buffer);
+    return new Float32Array(copy.buffer, copy.byteOffset, dims);
+}
+
+/** The folder every path shares (a zipped vault's own directory), or ''. */
+function commonRoot(paths) {
+    if (paths.length === 0) return '';
+    const first = paths[0].split('/').slice(0, -1);
+    let depth = first.length;
+    for (const entry of paths) {
+        const parts = entry.split('/').slice(0, -1);
+        let i = 0;
+        while (i < depth && parts[i] === first[i]) i++;
+        depth = i;
+    }
+    return depth > 0 ? `${first.slice(0, depth).join('/')}/` : '';
+}
+
+function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+class KnowledgeImportService {
+    /* ---------------- staging (nothing touches the graph) ---------------- */
+
+    /**
+     * Stage an uploaded file: a .zip (vault, Notion export, folder of PDFs;
+     * Notion's nested part archives are opened too) or a single .md or .pdf.
+     * @param {Object} params - { guildId, scopeKey, requestedBy, fileName, buffer }
+     * @returns {Promise<Object>} the preview (see getImport)
+     * @throws {KnowledgeImportError} TOO_LARGE, BAD_ARCHIVE, BAD_FILE, NOTHING_TO_IMPORT
+     */
+    async stageArchive({ guildId, scopeKey = '', requestedBy = null, fileName, buffer }) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new KnowledgeImportError('BAD_FILE', 'The upload is empty.');
+        }
+        if (buffer.length > IMPORT.maxArchiveBytes) {
+            throw new KnowledgeImportError('TOO_LARGE',
+                `Imports are limited to ${Math.round(IMPORT.maxArchiveBytes / 1048576)} MB - split the archive and import the parts.`);
+        }
+        const sourceName = path.basename(String(fileName || 'import')).slice(0, 200);
+        const entries = [];
+        const skipped = [];
+
+        if (!isZip(buffer)) {
+            const kind = parser.classifyEntry(sourceName);
+            if (kind !== 'markdown' && kind !== 'pdf') {
+                throw new KnowledgeImportError('BAD_FILE', 'Upload a .zip of your notes, or a single .md or .pdf file.');
+            }
+            entries.push({ path: sourceName, data: buffer });
+        } else {
+            this._readArchive(buffer, '', entries, skipped, 1);
+        }
+        return await this.stage({ guildId, scopeKey, requestedBy, sourceName, entries, skipped });
+    }
+
+    /** Unzip the importable entries; nested zips are opened `depth` levels deep. */
+    _readArchive(buffer, prefix, entries, skipped, depth) {
+        let files;
+        try {
+            files = readZip(buffer, {
+                skip: (name, size) => {
+                    const kind = parser.classifyEntry(name);
+                    // The vault's settings folder is not imported, but it names the source
+                    if (!kind && /(^|\/)\.obsidian\//.test(name) && !entries.some(entry => !entry.data)) {
+                        entries.push({ path: name, data: null });
+                    }
+                    if (!kind || (kind === 'zip' && depth === 0)) return true;
+                    if (size > (kind === 'zip' ? IMPORT.maxArchiveBytes : IMPORT.maxFileBytes)) {
+                        skipped.push({ path: prefix + name, note: 'too large' });
+                        return true;
+                    }
+                    return false;
+                }
+            });
+        } catch (error) {
+            throw new KnowledgeImportError('BAD_ARCHIVE', `That archive could not be read: ${error.message}`);
+        }
+        for (const [name, data] of files) {
+            if (parser.classifyEntry(name) === 'zip') {
+                this._readArchive(data, '', entries, skipped, depth - 1);
+            } else {
+                entries.push({ path: prefix + name.replace(/\\/g, '/'), data });
+            }
+        }
+    }
+
+    /**
+     * Stage a folder on the host (the CLI's way in): a vault directory or a
+     * folder of PDFs, read recursively.
+     * @param {Object} params - { guildId, scopeKey, requestedBy, dir }
+     */
+    async stageFolder({ guildId, scopeKey = '', requestedBy = null, dir }) {
+        const root = path.resolve(dir);
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw new KnowledgeImportError('BAD_FILE', `Not a folder: ${dir}`);
+        }
+        const entries = [];
+        const skipped = [];
+        const walk = (folder) => {
+            for (const dirent of fs.readdirSync(folder, { withFileTypes: true })) {
+                const absolute = path.join(folder, dirent.name);
+                const relative = path.relative(root, absolute).split(path.sep).join('/');
+                if (dirent.isDirectory()) {
+                    // .obsidian marks the vault (detectSourceKind only needs
+                    // its name); dot folders and the like hold no notes
+                    if (dirent.name === '.obsidian') entries.push({ path: `${relative}/app.json`, data: null });
+                    else if (parser.classifyEntry(`${relative}/note.md`)) walk(absolute);
+                    continue;
+                }
+                const kind = parser.classifyEntry(relative);
+                if (kind !== 'markdown' && kind !== 'pdf') continue;
+                if (fs.statSync(absolute).size > IMPORT.maxFileBytes) {
+                    skipped.push({ path: relative, note: 'too large' });
+                    continue;
+                }
+                entries.push({ path: relative, data: fs.readFileSync(absolute) });
+            }
+        };
+        walk(root);
+        return await this.stage({
+            guildId, scopeKey, requestedBy, sourceName: path.basename(root), entries, skipped
+        });
+    }
+
+    /**
+     * Parse entries into a staged import.
+     * @param {Object} params
+     * @param {string} params.guildId
+     * @param {string} params.scopeKey
+     * @param {string|null} params.requestedBy
+     * @param {string} params.sourceName - shown in the preview
+     * @param {Array<{path: string, data: Buffer|null}>} params.entries
+     * @param {Array<{path: string, note: string}>} [params.skipped] - already refused
+     * @returns {Promise<Object>} the preview (see getImport)
+     */
+    async stage({ guildId, scopeKey = '', requestedBy = null, sourceName, entries, skipped = [] }) {
+        if (!guildId) throw new KnowledgeImportError('BAD_SCOPE', 'A scope is required.');
+        const sourceKind = parser.detectSourceKind(entries.map(entry => entry.path));
+        const files = entries.filter(entry => entry.data && ['markdown', 'pdf'].includes(parser.classifyEntry(entry.path)));
+        if (!sourceKind || files.length === 0) {
+            throw new KnowledgeImportError('NOTHING_TO_IMPORT',
+                'No Markdown notes or PDFs found. Upload a zipped vault, a Notion export (Markdown & CSV) or a zip of PDFs.');
+        }
+        await this.pruneExpired();
+
+        const root = commonRoot(files.map(entry => entry.path));
+        const refused = skipped.map(entry => ({ path: entry.path.startsWith(root) ? entry.path.slice(root.length) : entry.path, note: entry.note }));
+        const notes = [];
+        for (const entry of files.sort((a, b) => a.path.localeCompare(b.path))) {
+            const relative = entry.path.slice(root.length);
+            if (notes.length >= IMPORT.maxFiles) {
+                refused.push({ path: relative, note: `over the ${IMPORT.maxFiles}-note limit per import` });
+                continue;
+            }
+            const note = await this._parseEntry(relative, entry.data, sourceKind).catch(error => ({ error }));
+            if (note.error) {
+                refused.push({ path: relative, note: note.error.message.slice(0, 200) });
+            } else if (!note.summary && !note.body) {
+                refused.push({ path: relative, note: 'empty' });
+            } else {
+                notes.push({ path: relative, ...note });
+            }
+        }
+
+        const existing = new Map((await db.all(
+            'SELECT label FROM kg_nodes WHERE guildId = @guildId AND scopeKey = @scopeKey',
+            { guildId, scopeKey }
+        )).map(row => [row.label.toLowerCase(), row.label]));
+        const kept = this._dedupeAndFit(notes, refused, existing, scopeKey);
+        this._resolveLinks(kept, existing);
+
+        const importId = await db.transaction(async (tx) => {
+            const id = await tx.insert(
+                `INSERT INTO kg_imports (guildId, scopeKey, requestedBy, sourceKind, sourceName, summary)
+                 VALUES (@guildId, @scopeKey, @requestedBy, @sourceKind, @sourceName, @summary)`,
+                {
+                    guildId,
+                    scopeKey,
+                    requestedBy,
+                    sourceKind,
+                    sourceName: String(sourceName || 'import').slice(0, 200),
+                    summary: JSON.stringify(this._emptySummary())
+                }
+            );
+            for (const note of kept) {
+                await tx.run(
+                    `INSERT INTO kg_import_files (importId, path, label, type, summary, body, tags, links)
+                     VALUES (@importId, @path, @label, @type, @summary, @body, @tags, @links)`,
+                    {
+                        importId: id,
+                        path: note.path,
+                        label: note.label,
+                        type: note.type,
+                        summary: note.summary || null,
+                        body: note.body || null,
+                        tags: JSON.stringify(note.tags),
+                        links: JSON.stringify(note.links)
+                    }
+                );
+            }
+            for (const entry of refused) {
+                await tx.run(
+                    `INSERT INTO kg_import_files (importId, path, label, status, note)
+                     VALUES (@importId, @path, @label, 'skipped', @note)
+                     ON CONFLICT (importId, path) DO NOTHING`,
+                    { importId: id, path: entry.path, label: parser.baseName(entry.path), note: entry.note }
+                );
+            }
+            return id;
+        });
+        return await this.getImport({ importId, guildId, scopeKey });
+    }
+
+    async _parseEntry(relative, data, sourceKind) {
+        if (parser.classifyEntry(relative) === 'pdf') {
+            const { extractTextFromBuffer } = require('./kgArtifactService');
+            const text = await extractTextFromBuffer({
+                buffer: data, name: relative, artifactKind: 'pdf', maxChars: IMPORT.maxTextPerFile
+            });
+            return parser.parsePdfNote({ path: relative, text, maxText: IMPORT.maxTextPerFile });
+        }
+        const text = data.toString('utf8');
+        if (text.includes('\u0000')) throw new Error('binary file');
+        return parser.parseMarkdownNote({
+            path: relative,
+            text,
+            sourceKind,
+            maxText: IMPORT.maxTextPerFile
+        });
+    }
+
+    /**
+     * One note per label (the first path wins), and no more new notes than
+     * the scope has room for - past its node cap the legalizer would prune
+     * existing knowledge to make space.
+     */
+    _dedupeAndFit(notes, refused, existing, scopeKey) {
+        const cap = scopeKey.startsWith('USER:') ? kgConfig.MAX_NODES_USER : kgConfig.MAX_NODES_GUILD_WIDE;
+        let room = Math.max(0, cap - existing.size);
+        const seen = new Map();
+        const kept = [];
+        for (const note of notes) {
+            const key = note.label.toLowerCase();
+            if (seen.has(key)) {
+                refused.push({ path: note.path, note: `same title as ${seen.get(key)}` });
+                continue;
+            }
+            if (!existing.has(key)) {
+                if (room === 0) {
+                    refused.push({ path: note.path, note: 'the graph is full' });
+                    continue;
+                }
+                room--;
+            }
+            seen.set(key, note.path);
+            kept.push(note);
+        }
+        return kept;
+    }
+
+    /**
+     * Raw link targets -> labels: a staged note's file name, title or alias,
+     * else a note the graph already has. Links to notes that are not in
+     * either are dropped rather than invented as empty nodes.
+     */
+    _resolveLinks(notes, existing) {
+        const names = new Map(existing);
+        for (const note of notes) {
+            for (const name of [note.fileTitle, ...note.aliases, note.label]) {
+                names.set(String(name).toLowerCase(), note.label);
+            }
+        }
+        for (const note of notes) {
+            const links = new Set();
+            for (const name of note.links) {
+                const label = names.get(name.toLowerCase());
+                if (label && label.toLowerCase() !== note.label.toLowerCase()) links.add(label);
+            }
+            note.links = [...links].slice(0, LIMITS.maxMutationsLink);
+        }
+    }
+
+    _emptySummary() {
+        return { notes: 0, tags: 0, links: 0, passages: 0, embedded: 0 };
+    }
+
+    /* ---------------- reading ---------------- */
+
+    async _getRow(importId, guildId, scopeKey) {
+        const row = await db.get(
+            'SELECT * FROM kg_imports WHERE id = @id AND guildId = @guildId AND scopeKey = @scopeKey',
+            { id: Number(importId) || 0, guildId, scopeKey }
+        );
+        if (!row) throw new KnowledgeImportError('NO_IMPORT', 'That import does not exist (previews expire after a day).');
+        return row;
+    }
+
+    /**
+     * An import with its preview: the proposed notes (whether each adds a
+     * node or updates one the graph has), their tags and links, the skipped
+     * files and why, and progress once it runs.
+     * @param {Object} params - { importId, guildId, scopeKey, limit }
+     */
+    async getImport({ importId, guildId, scopeKey = '', limit = 200 }) {
+        await this._failStale(guildId, scopeKey);
+        const row = await this._getRow(importId, guildId, scopeKey);
+        const files = await db.all(
+            `SELECT f.id, f.path, f.label, f.type, f.summary, f.tags, f.links, f.status, f.note,
+                    EXISTS (SELECT 1 FROM kg_nodes n
+                            WHERE n.guildId = @guildId AND n.scopeKey = @scopeKey AND n.label = f.label) AS present
+             FROM kg_import_files f WHERE f.importId = @id ORDER BY f.path`,
+            { id: row.id, guildId, scopeKey }
+        );
+        const notes = files.filter(file => file.status !== 'skipped');
+        const tags = new Set();
+        let links = 0;
+        for (const note of notes) {
+            for (const tag of parseJson(note.tags, [])) tags.add(tag);
+            links += parseJson(note.links, []).length;
+        }
+        return {
+            import: this._present(row, notes),
+            preview: {
+                notes: notes.length,
+                // Before the run, a present label is an update; afterwards
+                // every imported note is present, so the count stops meaning much
+                updates: row.status === 'preview' ? notes.filter(note => note.present).length : null,
+                tags: tags.size,
+                links,
+                skipped: files.length - notes.length
+            },
+            notes: notes.slice(0, limit).map(note => ({
+                path: note.path,
+                label: note.label,
+                type: note.type,
+                summary: note.summary,
+                tags: parseJson(note.tags, []),
+                links: parseJson(note.links, []),
+                exists: Boolean(note.present),
+                status: note.status
+            })),
+            skipped: files.filter(file => file.status === 'skipped').slice(0, limit)
+                .map(file => ({ path: file.path, note: file.note }))
+        };
+    }
+
+    /** Recent imports for a scope, newest first (resume prompts, the CLI). */
+    async listImports({ guildId, scopeKey = '', limit = 10 }) {
+        await this._failStale(guildId, scopeKey);
+        const rows = await db.all(
+            `SELECT * FROM kg_imports WHERE guildId = @guildId AND scopeKey = @scopeKey
+             ORDER BY id DESC LIMIT @limit`,
+            { guildId, scopeKey, limit: Math.min(Math.max(Number(limit) || 10, 1), 50) }
+        );
+        const imports = [];
+        for (const row of rows) {
+            const notes = await db.all(
+                `SELECT status FROM kg_import_files WHERE importId = @id AND status != 'skipped'`,
+                { id: row.id }
+            );
+            imports.push(this._present(row, notes));
+        }
+        return imports;
+    }
+
+    _present(row, notes) {
+        const linked = notes.filter(note => note.status === 'linked').length;
+        const noted = notes.filter(note => note.status === 'noted').length;
+        return {
+            id: row.id,
+            sourceKind: row.sourceKind,
+            sourceName: row.sourceName,
+            status: row.status,
+            requestedBy: row.requestedBy,
+            batchKey: `import:${row.id}`,
+            // Two passes over the notes: writing them, then linking them
+            progress: { total: notes.length * 2, done: noted + linked * 2 },
+            summary: parseJson(row.summary, this._emptySummary()),
+            error: row.error || null,
+            createdAt: row.createdAt,
+            updatedAt: row.updatedAt,
+            finishedAt: row.finishedAt || null
+        };
+    }
+
+    /* ---------------- running ---------------- */
+
+    /**
+     * Apply a staged import, or resume a failed one. Returns immediately;
+     * the notes are written in the background (poll getImport).
+     * @param {Object} params - { importId, guildId, scopeKey }
+     * @returns {Promise<{ import: Object, execution: Promise<Object> }>}
+     * @throws {KnowledgeImportError} NO_IMPORT, IMPORT_BUSY, ALREADY_IMPORTED
+     */
+    async startImport({ importId, guildId, scopeKey = '' }) {
+        await this._failStale(guildId, scopeKey);
+        const row = await db.transaction(async (tx) => {
+            const current = await this._getRow(importId, guildId, scopeKey);
+            if (current.status === 'completed') {
+                throw new KnowledgeImportError('ALREADY_IMPORTED', 'That import has already finished.');
+            }
+            const live = await tx.get(
+                `SELECT id FROM kg_imports
+                 WHERE guildId = @guildId AND scopeKey = @scopeKey AND status = 'running'`,
+                { guildId, scopeKey }
+            );
+            if (live) {
+                throw new KnowledgeImportError('IMPORT_BUSY', 'An import is already running for this graph - give it a moment.');
+            }
+            await tx.run(
+                `UPDATE kg_imports SET status = 'running', error = NULL, updatedAt = datetime('now')
+                 WHERE id = @id`,
+                { id: current.id }
+            );
+            return current;
+        });
+        const execution = this._execute(row);
+        const { import: started } = await this.getImport({ importId: row.id, guildId, scopeKey, limit: 0 });
+        return { import: started, execution };
+    }
+
+    /** Start (or resume) an import and wait for it (the CLI and tests). */
+    async runImport(params) {
+        const { execution } = await this.startImport(params);
+        return await execution;
+    }
+
+    async _execute(row) {
+        const ctx = { ...row, ...subjectFromScopeKey(row.scopeKey), summary: parseJson(row.summary, this._emptySummary()) };
+        try {
+            await knowledgeGraphService.history.withBatch(`import:${row.id}`, async () => {
+                let file;
+                while ((file = await this._nextFile(row.id, 'pending'))) await this._writeNote(ctx, file);
+                while ((file = await this._nextFile(row.id, 'noted'))) await this._writeLinks(ctx, file);
+            });
+            await db.run(
+                `UPDATE kg_imports
+                 SET status = 'completed', finishedAt = datetime('now'), updatedAt = datetime('now')
+                 WHERE id = @id`,
+                { id: row.id }
+            );
+            // The text lives on in the passages; the staging copy goes
+            await db.run('UPDATE kg_import_files SET body = NULL WHERE importId = @id', { id: row.id });
+        } catch (error) {
+            console.error(`[KnowledgeImport] Import ${row.id} failed:`, error.message);
+            await db.run(
+                `UPDATE kg_imports SET status = 'failed', error = @error, updatedAt = datetime('now')
+                 WHERE id = @id`,
+                { id: row.id, error: String(error.message || error).slice(0, 500) }
+            );
+        }
+        return await this.getImport({ importId: row.id, guildId: row.guildId, scopeKey: row.scopeKey, limit: 0 });
+    }
+
+    async _nextFile(importId, status) {
+        return await db.get(
+            `SELECT * FROM kg_import_files WHERE importId = @importId AND status = @status
+             ORDER BY id LIMIT 1`,
+            { importId, status }
+        );
+    }
+
+    /** Record a finished step: the file's new status, counts and a heartbeat. */
+    async _advance(ctx, file, status, nodeId) {
+        await db.transaction(async (tx) => {
+            await tx.run(
+                'UPDATE kg_import_files SET status = @status, nodeId = @nodeId WHERE id = @id',
+                { id: file.id, status, nodeId: nodeId ?? null }
+            );
+            await tx.run(
+                `UPDATE kg_imports SET summary = @summary, updatedAt = datetime('now') WHERE id = @id`,
+                { id: ctx.id, summary: JSON.stringify(ctx.summary) }
+            );
+        });
+    }
+
+    async _writeNote(ctx, file) {
+        const tags = parseJson(file.tags, []);
+        const applied = await knowledgeGraphService.applyMutations({
+            guildId: ctx.guildId,
+            scopeKey: ctx.scopeKey,
+            subjectType: ctx.subjectType,
+            subjectId: ctx.subjectId,
+            source: 'user',
+            mutations: {
+                upsert: [{
+                    type: file.type,
+                    label: file.label,
+                    content: file.summary || String(file.body || '').slice(0, kgConfig.MAX_CONTENT_LENGTH),
+                    confidence: NOTE_CONFIDENCE,
+                    tags
+                }]
+            },
+            limits: LIMITS,
+            provenance: { sourceKind: 'import', sourceId: file.id },
+            semanticDedupe: false
+        });
+        // The provenance row names the node the legalizer actually wrote
+        // (an exact-content duplicate merges into an existing note)
+        const node = await db.get(
+            `SELECT n.* FROM kg_provenance p JOIN kg_nodes n ON n.id = p.nodeId
+             WHERE p.sourceKind = 'import' AND p.sourceId = @fileId`,
+            { fileId: file.id }
+        );
+        ctx.summary.notes += applied.nodesUpserted;
+        ctx.summary.tags += applied.tagsApplied;
+        if (node && file.body) {
+            const { passages, embedded } = await this._storePassages(node, file.body);
+            ctx.summary.passages += passages;
+            ctx.summary.embedded += embedded;
+        }
+        await this._advance(ctx, file, 'noted', node?.id);
+    }
+
+    async _writeLinks(ctx, file) {
+        const node = file.nodeId
+            ? await db.get('SELECT label FROM kg_nodes WHERE id = @id', { id: file.nodeId })
+            : null;
+        const link = [];
+        for (const target of node ? parseJson(file.links, []) : []) {
+            // Only notes that made it in: a skipped or pruned target is not
+            // recreated as an empty node by the edge
+            if (await knowledgeGraphService.getNode(ctx.guildId, target, ctx.scopeKey)) {
+                link.push({ source: node.label, target, relation: 'links_to', relationKind: 'associative', weight: 0.6 });
+            }
+        }
+        if (link.length > 0) {
+            const applied = await knowledgeGraphService.applyMutations({
+                guildId: ctx.guildId,
+                scopeKey: ctx.scopeKey,
+                subjectType: ctx.subjectType,
+                subjectId: ctx.subjectId,
+                source: 'user',
+                mutations: { link },
+                limits: LIMITS,
+                semanticDedupe: false
+            });
+            ctx.summary.links += applied.linksCreated;
+        }
+        await this._advance(ctx, file, 'linked', file.nodeId);
+    }
+
+    /**
+     * Replace a node's passages with ones cut from `text`, embedded in
+     * batches. No embedding backend leaves them unembedded (keyword lookup
+     * still reaches them); the scope's passage cap truncates.
+     */
+    async _storePassages(node, text) {
+        const used = (await db.get(
+            `SELECT COUNT(*) AS c FROM kg_node_chunks
+             WHERE guildId = @guildId AND scopeKey = @scopeKey AND nodeId != @nodeId`,
+            { guildId: node.guildId, scopeKey: node.scopeKey, nodeId: node.id }
+        )).c;
+        const chunks = parser.chunkText(text, {
+            size: IMPORT.chunkChars,
+            overlap: IMPORT.chunkOverlap,
+            max: Math.min(IMPORT.maxChunksPerFile, Math.max(0, IMPORT.maxChunksPerScope - used))
+        });
+        if (chunks.length === 0) return { passages: 0, embedded: 0 };
+
+        const vectors = [];
+        try {
+            const embeddingService = require('./embeddingService');
+            for (let i = 0; i < chunks.length; i += IMPORT.embedBatchSize) {
+                vectors.push(...await embeddingService.embedBatch(chunks.slice(i, i + IMPORT.embedBatchSize)));
+            }
+        } catch (error) {
+            console.warn(`[KnowledgeImport] Passages of "${node.label}" stay unembedded: ${error.message}`);
+        }
+
+        await db.transaction(async (tx) => {
+            await tx.run('DELETE FROM kg_node_chunks WHERE nodeId = @nodeId', { nodeId: node.id });
+            for (let i = 0; i < chunks.length; i++) {
+                const embedded = vectors[i] || null;
+                await tx.run(
+                    `INSERT INTO kg_node_chunks (nodeId, guildId, scopeKey, chunkIndex, content, embedding, dims, model)
+                     VALUES (@nodeId, @guildId, @scopeKey, @chunkIndex, @content, @embedding, @dims, @model)`,
+                    {
+                        nodeId: node.id,
+                        guildId: node.guildId,
+                        scopeKey: node.scopeKey,
+                        chunkIndex: i,
+                        content: chunks[i],
+                        embedding: embedded ? vectorToBuffer(embedded.vector) : null,
+                        dims: embedded ? embedded.vector.length : null,
+                        model: embedded ? embedded.model : null
+                    }
+                );
+            }
+        });
+        return { passages: chunks.length, embedded: Math.min(vectors.length, chunks.length) };
+    }
+
+    /**
+     * Throw away a staged or failed import. Notes a failed run already wrote
+     * stay (roll them back from the graph's history); a running import
+     * cannot be discarded.
+     * @param {Object} params - { importId, guildId, scopeKey }
+     */
+    async discardImport({ importId, guildId, scopeKey = '' }) {
+        await this._failStale(guildId, scopeKey);
+        const row = await this._getRow(importId, guildId, scopeKey);
+        if (row.status === 'running') {
+            throw new KnowledgeImportError('IMPORT_BUSY', 'That import is still running.');
+        }
+        await db.run('DELETE FROM kg_imports WHERE id = @id', { id: row.id });
+        return { discarded: row.id };
+    }
+
+    /** Mark stalled 'running' imports (crashed process) as failed - and resumable. */
+    async _failStale(guildId, scopeKey) {
+        await db.run(
+            `UPDATE kg_imports SET status = 'failed', error = 'interrupted (process restart)'
+             WHERE status = 'running' AND updatedAt < @staleCutoff
+               AND guildId = @guildId AND scopeKey = @scopeKey`,
+            {
+                staleCutoff: new Date(Date.now() - IMPORT.staleRunMinutes * 60 * 1000),
+                guildId,
+                scopeKey
+            }
+        );
+    }
+
+    /** Drop previews nobody started. */
+    async pruneExpired() {
+        return (await db.run(
+            `DELETE FROM kg_imports WHERE status = 'preview' AND createdAt < @cutoff`,
+            { cutoff: new Date(Date.now() - IMPORT.previewTtlHours * 60 * 60 * 1000) }
+        )).changes;
+    }
+
+    /* ---------------- retrieval ---------------- */
+
+    /**
+     * Passages of imported notes relevant to a query: embedding cosine over
+     * the scope's passages from the same model, or a keyword match when no
+     * embedding backend is reachable.
+     * @returns {Promise<Array<{ label: string, content: string, score: number|null }>>}
+     */
+    async searchPassages({ guildId, scopeKey = '', query, limit = 3 }) {
+        const text = String(query || '').trim();
+        if (!guildId || !text) return [];
+        const hasPassages = await db.get(
+            'SELECT 1 AS found FROM kg_node_chunks WHERE guildId = @guildId AND scopeKey = @scopeKey LIMIT 1',
+            { guildId, scopeKey }
+        );
+        if (!hasPassages) return [];
+
+        try {
+            const embeddingService = require('./embeddingService');
+            const { vector, model } = await embeddingService.embed(text.slice(0, 2000));
+            const rows = await db.all(
+                `SELECT c.content, c.embedding, c.dims, n.label
+                 FROM kg_node_chunks c JOIN kg_nodes n ON n.id = c.nodeId
+                 WHERE c.guildId = @guildId AND c.scopeKey = @scopeKey AND c.model = @model`,
+                { guildId, scopeKey, model }
+            );
+            const scored = rows
+                .filter(row => row.embedding && row.dims === vector.length)
+                .map(row => ({
+                    label: row.label,
+                    content: row.content,
+                    score: embeddingService.cosineSimilarity(vector, bufferToVector(row.embedding, row.dims))
+                }))
+                .filter(row => row.score >= PASSAGE_MIN_SIMILARITY)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+            if (scored.length > 0) return scored;
+        } catch {
+            // No embedding backend - keyword match below
+        }
+
+        const terms = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= 3).slice(0, 8);
+        if (terms.length === 0) return [];
+        const params = { guildId, scopeKey, limit };
+        terms.forEach((term, i) => { params[`t${i}`] = `%${term}%`; });
+        const rows = await db.all(
+            `SELECT c.content, n.label FROM kg_node_chunks c JOIN kg_nodes n ON n.id = c.nodeId
+             WHERE c.guildId = @guildId AND c.scopeKey = @scopeKey
+               AND (${terms.map((_, i) => `c.content LIKE @t${i}`).join(' OR ')})
+             ORDER BY n.salience DESC, c.chunkIndex LIMIT @limit`,
+            params
+        );
+        return rows.map(row => ({ label: row.label, content: row.content, score: null }));
+    }
+
+    formatPassages(rows, { maxChars = 2400 } = {}) {
+        if (!rows?.length) return null;
+        const lines = [];
+        let used = 0;
+        for (const row of rows) {
+            const line = `- from "${row.label}": ${row.content.replace(/\s+/g, ' ').trim()}`;
+            if (used + line.length > maxChars && lines.length > 0) break;
+            lines.push(line.slice(0, maxChars));
+            used += line.length;
+        }
+        return lines.join('\n');
+    }
+}
+
+module.exports = new KnowledgeImportService();
+module.exports.KnowledgeImportError = KnowledgeImportError;
@@ -635,9 +635,13 @@ class KnowledgeReflectionService {
     async _execute(runId, ctx) {
         const summary = {};
         try {
-            for (const name of ctx.passes) {
-                summary[name] = await this._passes.get(name).run(ctx) || {};
-            }
+            // Every graph write the passes make is journaled against this
+            // run, so the Map's history view can diff or roll it back.
+            await knowledgeGraphService.history.withBatch(`reflection:${runId}`, async () => {
+                for (const name of ctx.passes) {
+                    summary[name] = await this._passes.get(name).run(ctx) || {};
+                }
+            });
             await db.run(
                 `UPDATE kg_reflection_runs
                  SET status = 'completed', summary = @summary, finishedAt = CURRENT_TIMESTAMP
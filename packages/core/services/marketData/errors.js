@@ -0,0 +1,14 @@
+/**
+ * User-presentable stock errors (code + friendly message). Lives beside the
+ * providers so they can raise it without requiring stockService back;
+ * stockService re-exports it for every existing caller.
+ */
+class StockError extends Error {
+    constructor(code, message, options) {
+        super(message, options);
+        this.name = 'StockError';
+        this.code = code;
+    }
+}
+
+module.exports = { StockError };
@@ -0,0 +1,47 @@
+const marketDataConfig = require('../../config/marketDataConfig');
+const YahooProvider = require('./yahooProvider');
+const ReplayProvider = require('./replayProvider');
+const { StockError } = require('./errors');
+
+/**
+ * Market-data providers behind stockService. A provider is a plain object
+ * with this shape (stockService owns caching and the symbol database; a
+ * provider only answers questions):
+ *
+ *   name                                  'yahoo' | 'replay' | ...
+ *   cacheable                             quotes may be served by wall-clock age
+ *   now()                                 the provider's clock (Date)
+ *   fetchQuote(symbol)                    {symbol, name, price, currency, exchange, quoteType, asOf}
+ *   fetchHistory(symbol, range)           {symbol, currency, points: [{date, close}]}
+ *   search(query, limit)                  [{symbol, name, exchange, quoteType}]
+ *   fetchCorporateActions(symbol, {range}) {dividends: [{date, amount}], splits: [{date, ratio}]}
+ *
+ * Failures are StockErrors: UNKNOWN_SYMBOL, NO_DATA, or UNAVAILABLE.
+ */
+const PROVIDERS = {
+    yahoo: options => new YahooProvider(options),
+    replay: options => new ReplayProvider({ ...marketDataConfig.replay, ...options })
+};
+
+/** Build a provider by name. */
+function createProvider(name, options = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new StockError('BAD_PROVIDER', `Unknown market data provider "${name}". Choose one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return factory(options);
+}
+
+/** The provider the config selects. */
+function createConfiguredProvider() {
+    return createProvider(marketDataConfig.provider);
+}
+
+module.exports = {
+    PROVIDERS: Object.keys(PROVIDERS),
+    createProvider,
+    createConfiguredProvider,
+    YahooProvider,
+    ReplayProvider,
+    StockError
+};
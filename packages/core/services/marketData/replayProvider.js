@@ -0,0 +1,250 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { StockError } = require('./errors');
+
+const RANGE_MONTHS = { '1mo': 1, '3mo': 3, '6mo': 6, '1y': 12 };
+
+/**
+ * The offline market-data provider: serves quotes, daily history and
+ * corporate actions from local files at a simulated clock.
+ *
+ * One file per instrument in `dataDir`, named after the symbol:
+ *   - `<SYMBOL>.csv` with a header row. `Date` and `Close` are required;
+ *     `Dividends` and `Stock Splits` columns (the yfinance export layout)
+ *     become corporate actions when non-zero.
+ *   - `<SYMBOL>.json`: `{ name?, currency?, exchange?, quoteType?,
+ *     points: [{date, close}], dividends?: [{date, amount}],
+ *     splits?: [{date, ratio}] }`, or a bare array of points.
+ *
+ * The quote at simulated time T is the last close on or before T's date,
+ * and nothing dated after T is ever visible - history and corporate
+ * actions included - so a replay cannot leak the future into a
+ * liquidation. The clock starts at `startAt` and runs at `speed` simulated
+ * seconds per real second (0 freezes it; `setTime`/`advance` move it by
+ * hand for deterministic runs).
+ */
+class ReplayProvider {
+    constructor({ dataDir, startAt = null, speed = 1, clock = Date.now } = {}) {
+        this.name = 'replay';
+        // Simulated time moves independently of the wall clock, so a
+        // snapshot's wall-clock age says nothing about its freshness
+        this.cacheable = false;
+        this.dataDir = dataDir;
+        this.speed = speed;
+        this.clock = clock;
+        this.series = new Map();
+        this.listing = null;
+        this.setTime(startAt ? parseInstant(startAt) : new Date(clock()));
+    }
+
+    /** Current simulated instant. */
+    now() {
+        return new Date(this.simAnchor + (this.clock() - this.realAnchor) * this.speed);
+    }
+
+    /** Jump the simulated clock to an instant (Date or ISO string). */
+    setTime(instant) {
+        const date = instant instanceof Date ? instant : parseInstant(instant);
+        if (Number.isNaN(date.getTime())) {
+            throw new StockError('BAD_CLOCK', `"${instant}" is not a valid replay time.`);
+        }
+        this.simAnchor = date.getTime();
+        this.realAnchor = this.clock();
+        return this.now();
+    }
+
+    /** Move the simulated clock forward (or back) by `ms`. */
+    advance(ms) {
+        return this.setTime(new Date(this.now().getTime() + ms));
+    }
+
+    /** Forget every loaded file (after the data directory changes). */
+    reload() {
+        this.series.clear();
+        this.listing = null;
+    }
+
+    async fetchQuote(symbol) {
+        const series = await this._load(symbol);
+        const asOf = this.now();
+        const today = dateKey(asOf);
+        const visible = series.points.filter(point => point.date <= today);
+        const last = visible[visible.length - 1];
+        if (!last) {
+            throw new StockError('NO_DATA', `No replay price for ${symbol} on or before ${today}.`);
+        }
+        return {
+            symbol: series.symbol,
+            name: series.name,
+            price: last.close,
+            currency: series.currency,
+            exchange: series.exchange,
+            quoteType: series.quoteType,
+            asOf: asOf.toISOString().replace('T', ' ').slice(0, 19)
+        };
+    }
+
+    async fetchHistory(symbol, range) {
+        const series = await this._load(symbol);
+        const end = this.now();
+        const from = dateKey(rangeStart(end, range));
+        const to = dateKey(end);
+        return {
+            symbol: series.symbol,
+            currency: series.currency,
+            points: series.points
+                .filter(point => point.date >= from && point.date <= to)
+                .map(point => ({ date: point.date, close: point.close }))
+        };
+    }
+
+    async search(query, limit) {
+        const needle = String(query).toLowerCase();
+        const results = [];
+        for (const symbol of await this._symbols()) {
+            let series;
+            try {
+                series = await this._load(symbol);
+            } catch {
+                continue;
+            }
+            if (series.symbol.toLowerCase().includes(needle) || series.name.toLowerCase().includes(needle)) {
+                results.push({
+                    symbol: series.symbol, name: series.name,
+                    exchange: series.exchange, quoteType: series.quoteType
+                });
+            }
+            if (results.length >= limit) break;
+        }
+        return results;
+    }
+
+    async fetchCorporateActions(symbol, { range = '1mo' } = {}) {
+        const series = await this._load(symbol);
+        const end = this.now();
+        const from = dateKey(rangeStart(end, range));
+        const to = dateKey(end);
+        const inWindow = event => event.date >= from && event.date <= to;
+        return {
+            dividends: series.dividends.filter(inWindow),
+            splits: series.splits.filter(inWindow)
+        };
+    }
+
+    /** Symbols with a data file, sorted. */
+    async _symbols() {
+        if (!this.listing) {
+            let names;
+            try {
+                names = await fs.readdir(this.dataDir);
+            } catch (error) {
+                throw new StockError('UNAVAILABLE', 'The market replay data directory is missing.', { cause: error });
+            }
+            this.listing = [...new Set(names
+                .filter(name => /\.(csv|json)$/i.test(name))
+                .map(name => name.replace(/\.(csv|json)$/i, '').toUpperCase()))].sort();
+        }
+        return this.listing;
+    }
+
+    /** Parse (once) and return a symbol's series. */
+    async _load(symbol) {
+        if (this.series.has(symbol)) return this.series.get(symbol);
+
+        let parsed = null;
+        for (const ext of ['json', 'csv']) {
+            let text;
+            try {
+                text = await fs.readFile(path.join(this.dataDir, `${symbol}.${ext}`), 'utf8');
+            } catch {
+                continue;
+            }
+            try {
+                parsed = ext === 'json' ? parseJson(text) : parseCsv(text);
+            } catch (error) {
+                throw new StockError('NO_DATA', `The replay file for ${symbol} could not be read: ${error.message}`, { cause: error });
+            }
+            break;
+        }
+        if (!parsed) {
+            throw new StockError('UNKNOWN_SYMBOL', `No stock found for symbol ${symbol}.`);
+        }
+
+        const series = {
+            symbol,
+            name: parsed.name || symbol,
+            currency: parsed.currency || 'USD',
+            exchange: parsed.exchange || 'Replay',
+            quoteType: parsed.quoteType || 'EQUITY',
+            points: sortByDate(parsed.points.filter(point => Number.isFinite(point.close) && point.close > 0)),
+            dividends: sortByDate(parsed.dividends.filter(event => Number.isFinite(event.amount) && event.amount > 0)),
+            splits: sortByDate(parsed.splits.filter(event => Number.isFinite(event.ratio) && event.ratio > 0 && event.ratio !== 1))
+        };
+        this.series.set(symbol, series);
+        return series;
+    }
+}
+
+function parseJson(text) {
+    const data = JSON.parse(text);
+    const body = Array.isArray(data) ? { points: data } : data;
+    return {
+        name: body.name, currency: body.currency, exchange: body.exchange, quoteType: body.quoteType,
+        points: (body.points || []).map(point => ({ date: normalizeDate(point.date), close: Number(point.close) })),
+        dividends: (body.dividends || []).map(event => ({ date: normalizeDate(event.date), amount: Number(event.amount) })),
+        splits: (body.splits || []).map(event => ({ date: normalizeDate(event.date), ratio: Number(event.ratio) }))
+    };
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) throw new Error('empty file');
+    const header = lines[0].split(',').map(cell => cell.trim().toLowerCase());
+    const column = name => header.indexOf(name);
+    const dateCol = column('date');
+    const closeCol = column('close');
+    if (dateCol < 0 || closeCol < 0) throw new Error('a Date and a Close column are required');
+    const dividendCol = column('dividends');
+    const splitCol = column('stock splits');
+
+    const points = [];
+    const dividends = [];
+    const splits = [];
+    for (const line of lines.slice(1)) {
+        const cells = line.split(',').map(cell => cell.trim());
+        const date = normalizeDate(cells[dateCol]);
+        if (!date) continue;
+        points.push({ date, close: Number(cells[closeCol]) });
+        if (dividendCol >= 0) dividends.push({ date, amount: Number(cells[dividendCol]) });
+        if (splitCol >= 0) splits.push({ date, ratio: Number(cells[splitCol]) });
+    }
+    return { points, dividends, splits };
+}
+
+/** 'YYYY-MM-DD' from a date-ish cell (timestamps keep only their date). */
+function normalizeDate(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value || '').trim());
+    return match ? match[1] : null;
+}
+
+function sortByDate(items) {
+    return items.filter(item => item.date).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function parseInstant(value) {
+    const text = String(value).trim();
+    // A bare date means the start of that (UTC) day
+    return new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text);
+}
+
+function rangeStart(end, range) {
+    const start = new Date(end.getTime());
+    start.setUTCMonth(start.getUTCMonth() - (RANGE_MONTHS[range] ?? 1));
+    return start;
+}
+
+function dateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = ReplayProvider;
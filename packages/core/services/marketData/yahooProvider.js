@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { StockError } = require('./errors');
+
+// Yahoo Finance public endpoints (keyless). Network failures surface as
+// StockError('UNAVAILABLE'); stockService decides whether a cached snapshot
+// can stand in.
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const SEARCH_URL = 'https://query1.finance.yahoo.com/v1/finance/search';
+const HTTP_HEADERS = { 'User-Agent': 'Mozilla/5.0 (compatible; GoobsterBot/1.0)' };
+const HTTP_TIMEOUT_MS = 10_000;
+
+/**
+ * The live market-data provider: Yahoo's chart endpoint for quotes, daily
+ * history and corporate actions, and its search endpoint for symbols. Runs
+ * on the real clock, so its quotes are safe to cache by wall-clock age.
+ */
+class YahooProvider {
+    constructor({ http = axios } = {}) {
+        this.name = 'yahoo';
+        this.cacheable = true;
+        this.http = http;
+    }
+
+    now() {
+        return new Date();
+    }
+
+    async fetchQuote(symbol) {
+        const result = await this._fetchChart(symbol, { range: '1d', interval: '1d' });
+        const meta = result.meta;
+        const price = meta.regularMarketPrice;
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new StockError('NO_DATA', `No current price available for ${symbol}.`);
+        }
+        return {
+            symbol: meta.symbol || symbol,
+            name: meta.longName || meta.shortName || symbol,
+            price,
+            currency: meta.currency || null,
+            exchange: meta.fullExchangeName || meta.exchangeName || null,
+            quoteType: meta.instrumentType || null,
+            asOf: new Date((meta.regularMarketTime || Math.floor(Date.now() / 1000)) * 1000)
+                .toISOString().replace('T', ' ').slice(0, 19)
+        };
+    }
+
+    async fetchHistory(symbol, range) {
+        const result = await this._fetchChart(symbol, { range, interval: '1d' });
+        const timestamps = result.timestamp || [];
+        const closes = result.indicators?.quote?.[0]?.close || [];
+        const points = [];
+        for (let i = 0; i < timestamps.length; i++) {
+            if (closes[i] === null || closes[i] === undefined) continue;
+            points.push({
+                date: new Date(timestamps[i] * 1000).toISOString().slice(0, 10),
+                close: closes[i]
+            });
+        }
+        return { symbol, currency: result.meta?.currency || null, points };
+    }
+
+    async search(query, limit) {
+        let data;
+        try {
+            ({ data } = await this.http.get(SEARCH_URL, {
+                params: { q: query, quotesCount: limit, newsCount: 0 },
+                headers: HTTP_HEADERS,
+                timeout: HTTP_TIMEOUT_MS
+            }));
+        } catch (error) {
+            throw new StockError('UNAVAILABLE', 'Stock symbol search is unavailable right now.', { cause: error });
+        }
+        return (data?.quotes || [])
+            .filter(item => item.symbol)
+            .slice(0, limit)
+            .map(item => ({
+                symbol: item.symbol,
+                name: item.longname || item.shortname || item.symbol,
+                exchange: item.exchDisp || item.exchange || null,
+                quoteType: item.quoteType || null
+            }));
+    }
+
+    /** Dividends and splits reported by the chart endpoint (`events=div,splits`). */
+    async fetchCorporateActions(symbol, { range = '1mo' } = {}) {
+        const { data } = await this.http.get(`${CHART_URL}${encodeURIComponent(symbol)}`, {
+            params: { range, interval: '1d', events: 'div,splits' },
+            headers: HTTP_HEADERS,
+            timeout: HTTP_TIMEOUT_MS
+        });
+        const events = data?.chart?.result?.[0]?.events || {};
+        const dividends = Object.values(events.dividends || {})
+            .filter(event => Number.isFinite(event.amount) && event.amount > 0)
+            .map(event => ({ date: dateKey(event.date), amount: event.amount }));
+        const splits = Object.values(events.splits || {})
+            .filter(event => event.numerator > 0 && event.denominator > 0)
+            .map(event => ({ date: dateKey(event.date), ratio: event.numerator / event.denominator }));
+        return { dividends, splits };
+    }
+
+    /** Fetch the chart payload for a symbol (also used for plain quotes). */
+    async _fetchChart(symbol, params) {
+        let data;
+        try {
+            ({ data } = await this.http.get(`${CHART_URL}${encodeURIComponent(symbol)}`, {
+                params,
+                headers: HTTP_HEADERS,
+                timeout: HTTP_TIMEOUT_MS,
+                // Yahoo answers 404 with a JSON error body for unknown symbols
+                validateStatus: status => status === 200 || status === 404
+            }));
+        } catch (error) {
+            throw new StockError('UNAVAILABLE', `Couldn't reach the stock data service for ${symbol}.`, { cause: error });
+        }
+        const result = data?.chart?.result?.[0];
+        if (!result || !result.meta) {
+            throw new StockError('UNKNOWN_SYMBOL', `No stock found for symbol ${symbol}.`);
+        }
+        return result;
+    }
+}
+
+function dateKey(unixSeconds) {
+    return new Date(unixSeconds * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = YahooProvider;
@@ -2,6 +2,7 @@ const db = require('../db');
 const aiService = require('./aiService');
 const factsService = require('./factsService');
 const knowledgeGraphService = require('./knowledgeGraphService');
+const knowledgeImportService = require('./knowledgeImportService');
 const memoryService = require('./memoryService');
 const kgConfig = require('../config/knowledgeGraphConfig');
 const { isDmScopeId } = require('../utils/dmScope');
@@ -75,17 +76,39 @@ class MemoryConsolidationService {
             console.warn('[Consolidation] Distilled purge failed:', error.message);
         }
 
+        try {
+            const historyPruned = await knowledgeGraphService.history.prune();
+            if (historyPruned > 0) {
+                console.log(`[Consolidation] Graph history retention removed ${historyPruned} journal rows`);
+            }
+        } catch (error) {
+            console.warn('[Consolidation] Graph history prune failed:', error.message);
+        }
+
+        try {
+            const previewsPruned = await knowledgeImportService.pruneExpired();
+            if (previewsPruned > 0) {
+                console.log(`[Consolidation] Dropped ${previewsPruned} unstarted note import previews`);
+            }
+        } catch (error) {
+            console.warn('[Consolidation] Import preview prune failed:', error.message);
+        }
+
         const guilds = await db.all(
             `SELECT DISTINCT guildId FROM memory_embeddings
              WHERE createdAt >= datetime('now', '-1 day')`
         );
-        for (const { guildId } of guilds) {
-            try {
-                await this.consolidateGuild(guildId);
-            } catch (error) {
-                console.error(`[Consolidation] Guild ${guildId} failed:`, error.message);
+        // One batch per run: the graph history groups (and can roll back)
+        // everything this sleep cycle changed, scope by scope.
+        await knowledgeGraphService.history.withBatch(`consolidation:${new Date().toISOString()}`, async () => {
+            for (const { guildId } of guilds) {
+                try {
+                    await this.consolidateGuild(guildId);
+                } catch (error) {
+                    console.error(`[Consolidation] Guild ${guildId} failed:`, error.message);
+                }
             }
-        }
+        });
     }
 
     async consolidateGuild(guildId) {
@@ -92,9 +92,12 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
     const followupService = deps.followupService || require('./followupService');
     const activityService = deps.activityService || require('./activityService');
     const configPath = deps.configPath || require('../runtimePaths').configJsonPath;
+    const musicFxService = deps.musicFxService || require('./voice/musicFxService');
+    const backupService = deps.backupService || require('./backupService');
 
-    function music() {
-        return voiceService?.musicService || null;
+    /** A guild's music player if it has one (never creates one). */
+    function music(guildId) {
+        return voiceService?.musicPlayers?.peek(guildId) || null;
     }
 
     function requireReady() {
@@ -154,39 +157,28 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
     }
 
     /**
-     * Enforce the single-active-guild music model: acting on a different
-     * guild than the current connection requires explicit confirmation, and
-     * a live voice-chat session in the target guild always blocks music.
+     * Each guild has its own music player, so music elsewhere never blocks;
+     * a live voice-chat session in the target guild always does.
      */
-    function checkMusicTarget(guildId, confirmMove) {
+    function checkMusicTarget(guildId) {
         if (voiceSessionService.hasSession(guildId)) {
             throw new PanelError(409, 'VOICECHAT_ACTIVE', 'A live voice conversation is active in this server. Stop it before playing music.');
         }
-        const ms = music();
-        if (ms?.connection && ms.guildId && ms.guildId !== guildId && !confirmMove) {
-            const activeGuild = client.guilds.cache.get(ms.guildId);
-            throw new PanelError(409, 'MUSIC_ACTIVE_ELSEWHERE',
-                `Music is currently playing in ${activeGuild?.name || 'another server'}. Confirm to move Goobster.`, {
-                    requiresConfirmation: true,
-                    activeGuildId: ms.guildId,
-                    activeGuildName: activeGuild?.name || null
-                });
-        }
     }
 
-    function requireMusicService() {
-        const ms = music();
-        if (!ms) {
+    /** The guild's music player, created on first use. */
+    function requireMusicService(guildId) {
+        const players = voiceService?.musicPlayers;
+        if (!players) {
             throw new PanelError(503, 'MUSIC_UNAVAILABLE', 'The music service is not available (check FFmpeg).');
         }
-        return ms;
+        return players.get(guildId);
     }
 
     return {
         /** Bot readiness, latency, and optional-capability summary. */
         getStatus() {
             const ready = Boolean(client && typeof client.isReady === 'function' && client.isReady());
-            const ms = music();
             return {
                 ready,
                 botTag: ready ? client.user.tag : null,
@@ -196,7 +188,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
                 guildCount: ready ? client.guilds.cache.size : 0,
                 provider: aiService.getProvider(),
                 capabilities: {
-                    music: Boolean(ms),
+                    music: Boolean(voiceService?.musicPlayers),
                     tts: Boolean(voiceService?.tts),
                     stt: transcriptionService.isConfigured()
                 }
@@ -206,14 +198,13 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
         /** Guild cards with live music / voice-chat activity flags. */
         listGuilds() {
             requireReady();
-            const ms = music();
             return Array.from(client.guilds.cache.values())
                 .map(guild => ({
                     id: guild.id,
                     name: guild.name,
                     iconUrl: guild.iconURL?.({ size: 128 }) ?? null,
                     memberCount: guild.memberCount ?? null,
-                    musicActive: Boolean(ms?.connection) && ms.guildId === guild.id,
+                    musicActive: Boolean(music(guild.id)?.connection),
                     voiceChatActive: voiceSessionService.hasSession(guild.id)
                 }))
                 .sort((a, b) => a.name.localeCompare(b.name));
@@ -358,18 +349,20 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             if (voiceSessionService.hasSession(guildId)) {
                 throw new PanelError(409, 'SESSION_EXISTS', 'A voice conversation is already active in this server.');
             }
-            if (!voiceService?.tts) {
-                throw new PanelError(503, 'TTS_UNAVAILABLE', 'Voice conversations require ElevenLabs TTS (set ELEVENLABS_API_KEY).');
+            const ttsService = voiceService?.ttsFor('voicechat');
+            if (!ttsService) {
+                throw new PanelError(503, 'TTS_UNAVAILABLE', 'Voice conversations require text-to-speech (set ELEVENLABS_API_KEY, or install Piper voices).');
             }
-            if (engine === 'classic' && !transcriptionService.isConfigured()) {
-                throw new PanelError(503, 'STT_UNAVAILABLE', 'The classic voice engine requires an OpenAI API key for speech-to-text.');
+            // Without an ElevenLabs key there is no realtime Scribe either
+            if ((engine === 'classic' || !ttsService.apiKey) && !transcriptionService.isConfigured()) {
+                throw new PanelError(503, 'STT_UNAVAILABLE', `The ${engine} voice engine needs speech-to-text: an OpenAI API key or a local whisper backend.`);
             }
 
             const voiceChannel = requireVoiceChannel(guild, voiceChannelId);
             const textChannel = transcriptChannelId ? requireTextChannel(guild, transcriptChannelId) : null;
 
-            const ms = music();
-            if (ms?.connection && ms.guildId === guildId) {
+            const ms = music(guildId);
+            if (ms?.connection) {
                 if (!confirm) {
                     throw new PanelError(409, 'MUSIC_ACTIVE', 'Music is playing in this server. Confirm to stop it and start the voice conversation.', {
                         requiresConfirmation: true
@@ -388,7 +381,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
                     voiceChannel,
                     textChannel,
                     client,
-                    ttsService: voiceService.tts,
+                    ttsService,
                     mode,
                     engine
                 });
@@ -411,22 +404,29 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             return { stopped };
         },
 
-        /** Global music state: where Goobster is connected and what's playing. */
-        getMusicState() {
-            const ms = music();
-            if (!ms) {
+        /** A guild's music state: where Goobster is connected and what's playing. */
+        getMusicState(guildId) {
+            const guild = requireGuild(guildId);
+            if (!voiceService?.musicPlayers) {
                 return { available: false, connected: false };
             }
+            const ms = music(guildId);
+            if (!ms) {
+                return {
+                    available: true, connected: false, guildId, guildName: guild.name,
+                    channelId: null, channelName: null, isPlaying: false, isPaused: false,
+                    volume: 100, currentTrack: null, queue: []
+                };
+            }
             const state = ms.getState();
             const connected = Boolean(ms.connection);
-            const guild = connected && ms.guildId ? client?.guilds?.cache?.get(ms.guildId) : null;
             const channelId = ms.connection?.joinConfig?.channelId ?? null;
-            const channel = guild && channelId ? guild.channels.cache.get(channelId) : null;
+            const channel = channelId ? guild.channels.cache.get(channelId) : null;
             return {
                 available: true,
                 connected,
-                guildId: connected ? ms.guildId : null,
-                guildName: guild?.name ?? null,
+                guildId,
+                guildName: guild.name,
                 channelId,
                 channelName: channel?.name ?? null,
                 isPlaying: state.isPlaying,
@@ -453,7 +453,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
         /** Saved playlist names for a guild. */
         async listPlaylists(guildId) {
             requireGuild(guildId);
-            const ms = requireMusicService();
+            const ms = requireMusicService(guildId);
             const names = await ms.listPlaylists(guildId);
             return names || [];
         },
@@ -462,11 +462,11 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
          * Play a track in a guild voice channel (queues when already
          * playing in that guild, matching /playtrack behavior).
          */
-        async playTrack({ guildId, channelId, query, confirmMove = false }) {
+        async playTrack({ guildId, channelId, query }) {
             const guild = requireGuild(guildId);
             const search = assertText(query, 'query', SEARCH_MAX_LENGTH);
-            const ms = requireMusicService();
-            checkMusicTarget(guildId, confirmMove);
+            const ms = requireMusicService(guildId);
+            checkMusicTarget(guildId);
 
             const tracks = await spotdlService.listTracks();
             const matches = filterTracks(tracks, search);
@@ -475,7 +475,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             }
             const track = matches[0];
 
-            if (ms.connection && ms.guildId === guildId && ms.isPlaying) {
+            if (ms.connection && ms.isPlaying) {
                 const queued = await ms.addToQueue(track);
                 if (!queued) {
                     throw new PanelError(502, 'QUEUE_FAILED', 'Failed to add the track to the queue.');
@@ -495,10 +495,10 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
         },
 
         /** Play a saved playlist (or the whole library) in a voice channel. */
-        async playCollection({ guildId, channelId, playlist = null, shuffle = false, confirmMove = false }) {
+        async playCollection({ guildId, channelId, playlist = null, shuffle = false }) {
             const guild = requireGuild(guildId);
-            const ms = requireMusicService();
-            checkMusicTarget(guildId, confirmMove);
+            const ms = requireMusicService(guildId);
+            checkMusicTarget(guildId);
             const channel = requireVoiceChannel(guild, channelId);
 
             try {
@@ -522,9 +522,10 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             }
         },
 
-        /** Transport controls for the current music connection. */
-        async controlMusic(action) {
-            const ms = requireMusicService();
+        /** Transport controls for a guild's music player. */
+        async controlMusic(guildId, action) {
+            requireGuild(guildId);
+            const ms = requireMusicService(guildId);
             switch (action) {
                 case 'pause':
                     await ms.pause();
@@ -551,9 +552,10 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             return { action };
         },
 
-        /** Set playback volume (0-100). */
-        async setVolume(level) {
-            const ms = requireMusicService();
+        /** Set a guild's playback volume (0-100). */
+        async setVolume(guildId, level) {
+            requireGuild(guildId);
+            const ms = requireMusicService(guildId);
             if (!Number.isInteger(level) || level < 0 || level > 100) {
                 throw new PanelError(400, 'BAD_REQUEST', 'level must be an integer between 0 and 100.');
             }
@@ -561,6 +563,33 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             return { volume: level };
         },
 
+        /** A guild's audio effect settings (EQ preset, normalization, crossfade). */
+        async getMusicFx(guildId) {
+            requireGuild(guildId);
+            return musicFxService.getSettings(guildId);
+        },
+
+        /**
+         * Change a guild's audio effect settings. The track playing now is
+         * re-processed at its current position.
+         */
+        async setMusicFx(guildId, { preset, normalize, crossfadeSeconds } = {}) {
+            requireGuild(guildId);
+            let settings;
+            try {
+                settings = await musicFxService.setSettings({ guildId, preset, normalize, crossfadeSeconds });
+            } catch (error) {
+                if (error?.name === 'MusicFxError') throw new PanelError(400, error.code, error.message);
+                throw error;
+            }
+            try {
+                await music(guildId)?.applyFx?.();
+            } catch (error) {
+                logger.warn?.(`Panel music fx: failed to re-apply effects: ${error.message}`);
+            }
+            return settings;
+        },
+
         /**
          * Aggregate every per-guild setting the slash commands manage, plus
          * the context needed to render them (global defaults, memory stats,
@@ -624,6 +653,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
                     pendingFollowups: followupService.getPending(guildId).length
                 },
                 global: {
+                    ttsProvider: voiceService?.tts?.provider ?? null,
                     ttsVoiceId: voiceService?.tts?.voiceId ?? null,
                     ttsVoiceName: voiceService?.tts?.voiceName ?? null,
                     ttsAvailable: Boolean(voiceService?.tts)
@@ -806,12 +836,13 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
         },
 
         /**
-         * The account's ElevenLabs voice library, for the panel's voice picker.
+         * The default TTS backend's voices (the ElevenLabs account library,
+         * or the installed Piper voices), for the panel's voice picker.
          * @returns {Promise<Array<{id: string, name: string, category: string|null}>>}
          */
         async listTtsVoices() {
             if (!voiceService?.tts) {
-                throw new PanelError(503, 'TTS_UNAVAILABLE', 'ElevenLabs TTS is not configured.');
+                throw new PanelError(503, 'TTS_UNAVAILABLE', 'Text-to-speech is not configured.');
             }
             try {
                 return await voiceService.tts.listVoices();
@@ -821,16 +852,18 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
         },
 
         /**
-         * Set the global ElevenLabs TTS voice, mirroring /setvoice. The value
-         * is resolved against the account's voice library first (names are
+         * Set the default TTS backend's voice, mirroring /setvoice. The value
+         * is resolved against the backend's voice library first (names are
          * matched case-insensitively, tolerating display suffixes), so typos
          * fail here with a clear error instead of breaking TTS at speak time.
-         * The resolved voice ID (not the raw input) is persisted to
-         * config.json and applied to the live TTS service.
+         * The resolved voice ID (not the raw input) is persisted to the
+         * backend's config.json section (`elevenlabs` or `piper`) and applied
+         * to the live TTS service.
          */
         async setTtsVoice(voiceId) {
-            if (!voiceService?.tts) {
-                throw new PanelError(503, 'TTS_UNAVAILABLE', 'ElevenLabs TTS is not configured.');
+            const tts = voiceService?.tts;
+            if (!tts) {
+                throw new PanelError(503, 'TTS_UNAVAILABLE', 'Text-to-speech is not configured.');
             }
             if (typeof voiceId !== 'string' || !VOICE_ID_RE.test(voiceId.trim())) {
                 throw new PanelError(400, 'BAD_REQUEST', 'voiceId must be a voice name or ID (letters, digits, spaces, and basic punctuation).');
@@ -838,7 +871,7 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
 
             let resolved;
             try {
-                resolved = await voiceService.tts.resolveVoice(voiceId.trim());
+                resolved = await tts.resolveVoice(voiceId.trim());
             } catch (error) {
                 throw new PanelError(400, 'VOICE_NOT_FOUND', error.message, {}, { cause: error });
             }
@@ -846,20 +879,47 @@ function createPanelService({ client, voiceService, logger = console, deps = {}
             try {
                 const raw = fs.readFileSync(configPath, 'utf-8');
                 const parsedConfig = JSON.parse(raw);
-                if (!parsedConfig.elevenlabs) parsedConfig.elevenlabs = {};
-                parsedConfig.elevenlabs.voiceId = resolved.id;
-                parsedConfig.elevenlabs.voiceName = resolved.name;
+                if (!parsedConfig[tts.provider]) parsedConfig[tts.provider] = {};
+                parsedConfig[tts.provider].voiceId = resolved.id;
+                parsedConfig[tts.provider].voiceName = resolved.name;
                 fs.writeFileSync(configPath, JSON.stringify(parsedConfig, null, 2));
             } catch (error) {
                 throw new PanelError(500, 'CONFIG_WRITE_FAILED', `Could not persist the voice ID: ${error.message}`, {}, { cause: error });
             }
-            voiceService.tts.voiceId = resolved.id;
-            voiceService.tts.voiceName = resolved.name;
-            if (voiceService.config?.elevenlabs) {
-                voiceService.config.elevenlabs.voiceId = resolved.id;
-                voiceService.config.elevenlabs.voiceName = resolved.name;
+            tts.voiceId = resolved.id;
+            tts.voiceName = resolved.name;
+            if (voiceService.config?.[tts.provider]) {
+                voiceService.config[tts.provider].voiceId = resolved.id;
+                voiceService.config[tts.provider].voiceName = resolved.name;
             }
             return { voiceId: resolved.id, voiceName: resolved.name };
+        },
+
+        /** Database backups: the last good one, the last failure, the schedule, and the catalogue. */
+        getBackups() {
+            return {
+                ...backupService.status(),
+                backups: backupService.listBackups().map(backup => ({
+                    id: backup.id,
+                    kind: backup.kind,
+                    reason: backup.reason,
+                    createdAt: backup.createdAt,
+                    sizeBytes: backup.sizeBytes,
+                    schemaVersion: backup.schemaVersion
+                }))
+            };
+        },
+
+        /** Take a backup now (the same path as `/backup now`). */
+        async createBackup() {
+            try {
+                return await backupService.createBackup({ reason: 'manual' });
+            } catch (error) {
+                if (error?.name === 'BackupError') {
+                    throw new PanelError(error.status, error.code, error.message, {}, { cause: error });
+                }
+                throw error;
+            }
         }
     };
 }
@@ -14,9 +14,10 @@
  * Persona speech goes the other way: each completed persona reply is
  * reduced to speakable text (webVoiceService.speechTextFromMarkdown - the
  * voice-stack rule: code/math/URLs never reach audio, capped length) and
- * synthesized through the shared ElevenLabs TTS service with that
- * PERSONA'S voice (parlor_personas.voiceId, defaulting to a premade-voice
- * pool keyed by persona id so casts sound distinct out of the box). MP3
+ * synthesized through the Parlor TTS backend (ElevenLabs, or local Piper
+ * voices - voiceService.ttsFor('parlor')) with that PERSONA'S voice
+ * (parlor_personas.voiceId, defaulting to a pool keyed by persona id so
+ * casts sound distinct out of the box). MP3
  * chunks are fanned out to every connected member tagged with the
  * personaId, and replies play in order through a per-session speech queue.
  *
@@ -64,6 +65,7 @@ const WORDS_REGEX = /[\p{L}\p{N}]{2,}/u;
 // Personas without an explicit voice get one from this premade-voice pool
 // (stable ElevenLabs premade voice ids, available on every account),
 // picked by persona id - distinct voices are the point of the feature.
+// On Piper the pool is the installed voices.
 const DEFAULT_VOICE_POOL = [
     '21m00Tcm4TlvDq8ikWAM', // Rachel
     'pNInz6obpgDQGcFmaJgB', // Adam
@@ -125,15 +127,15 @@ class ParlorLiveService {
     }
 
     /**
-     * The TTS service live sessions synthesize through: the shared
-     * /setvoice-configured instance when the voice stack is up, else a
-     * direct instance built from the key (webVoiceService's ladder).
+     * The TTS service live sessions synthesize through: the shared Parlor
+     * backend when the voice stack is up, else a direct ElevenLabs instance
+     * built from the key (webVoiceService's ladder).
      */
     _tts() {
         if (this._deps.tts) return this._deps.tts();
         try {
             const { voiceService } = require('./serviceManager');
-            const tts = voiceService?.tts;
+            const tts = voiceService?.ttsFor('parlor');
             if (tts && !tts.disabled) return tts;
         } catch { /* voice stack unavailable */ }
         const key = this._elevenLabsKey();
@@ -160,18 +162,27 @@ class ParlorLiveService {
      * @returns {{ live: boolean }}
      */
     capabilities() {
-        return { live: Boolean(this._elevenLabsKey()) };
+        if (this._elevenLabsKey()) return { live: true };
+        // Keyless servers go live on local voices: Piper speaks, and every
+        // utterance takes the batch-STT fallback (whisper) since there is
+        // no Scribe
+        let stt = false;
+        try {
+            stt = this._webVoice().capabilities().stt;
+        } catch { /* unconfigured */ }
+        return { live: stt && Boolean(this._tts()) };
     }
 
     /**
-     * The ElevenLabs voice library for the persona voice picker.
+     * The Parlor TTS backend's voices (ElevenLabs library or installed
+     * Piper voices) for the persona voice picker.
      * @returns {Promise<Array<{id, name, category}>>}
      */
     async listVoices() {
         const tts = this._tts();
         if (!tts) {
             throw new ParlorLiveError(503, 'TTS_UNAVAILABLE',
-                'Persona voices need an ElevenLabs API key on this server.');
+                'Persona voices need text-to-speech on this server (an ElevenLabs API key or Piper voices).');
         }
         try {
             return await tts.listVoices();
@@ -181,9 +192,16 @@ class ParlorLiveService {
         }
     }
 
+    /** The voices default persona voices are drawn from on this backend. */
+    async _voicePool(tts) {
+        if (tts.provider !== 'piper') return DEFAULT_VOICE_POOL;
+        return (await tts.listVoices()).map(voice => voice.id);
+    }
+
     /** The voice a persona speaks with when none is configured. */
-    _defaultVoiceFor(personaId) {
-        return DEFAULT_VOICE_POOL[Math.abs(Number(personaId) || 0) % DEFAULT_VOICE_POOL.length];
+    _defaultVoiceFor(personaId, pool = DEFAULT_VOICE_POOL) {
+        if (pool.length === 0) return null;
+        return pool[Math.abs(Number(personaId) || 0) % pool.length];
     }
 
     // --- Connection handling -------------------------------------------------
@@ -280,7 +298,7 @@ class ParlorLiveService {
     async _handleJoin(socket, send, { userId, userName, conversationId }) {
         if (!this.capabilities().live) {
             throw new ParlorLiveError(503, 'LIVE_UNAVAILABLE',
-                'Live voice sessions need an ElevenLabs API key on this server.');
+                'Live voice sessions need an ElevenLabs API key, or Piper voices plus local speech-to-text, on this server.');
         }
         await this._checkJoinRateLimit(userId);
         // Owner OR member; strangers get the same 404 as a missing discussion
@@ -749,7 +767,6 @@ class ParlorLiveService {
         if (session.destroyed || session.speaking || session.speechQueue.length === 0) return;
         const job = session.speechQueue.shift();
         const streamId = ++session.speechCounter;
-        const voiceId = session.voiceById.get(job.personaId) || this._defaultVoiceFor(job.personaId);
         const speaking = { streamId, upstream: null, aborted: false };
         session.speaking = speaking;
 
@@ -759,6 +776,13 @@ class ParlorLiveService {
         try {
             const tts = this._tts();
             if (!tts) throw new Error('TTS unavailable');
+            const pool = await this._voicePool(tts);
+            // A voice saved under the other backend (an ElevenLabs id while
+            // Parlor speaks on Piper) gets a distinct pool voice instead
+            const saved = session.voiceById.get(job.personaId);
+            const voiceId = saved && (pool === DEFAULT_VOICE_POOL || pool.includes(saved))
+                ? saved
+                : this._defaultVoiceFor(job.personaId, pool);
             const response = await tts.fetchStream(job.text, { voiceId });
             if (speaking.aborted) {
                 try { response.body.destroy(); } catch { /* already gone */ }
@@ -775,13 +799,15 @@ class ParlorLiveService {
                 response.body.on('close', resolve);
                 response.body.on('error', reject);
             });
-            this._usage().log({
-                provider: 'elevenlabs',
-                model: tts.modelId,
-                operation: 'tts-live',
-                guildId: dmScopeId(session.ownerId),
-                userId: session.ownerId
-            });
+            if (!tts.isLocal?.()) {
+                this._usage().log({
+                    provider: 'elevenlabs',
+                    model: tts.modelId,
+                    operation: 'tts-live',
+                    guildId: dmScopeId(session.ownerId),
+                    userId: session.ownerId
+                });
+            }
             if (!speaking.aborted) this._broadcast(session, 'speech_end', { streamId });
         } catch (error) {
             this._logger().warn?.('[ParlorLive] Speech synthesis failed:', error.message);
@@ -293,13 +293,13 @@ class ParlorService {
         return { deleted: true };
     }
 
-    /** The live shared ElevenLabs TTS service, when the bot has one (lazy -
-     *  serviceManager boots the whole voice stack, so only touch it when a
-     *  voice feature is actually used). */
+    /** The live TTS backend Parlor voices speak through, when the bot has
+     *  one (lazy - serviceManager boots the whole voice stack, so only touch
+     *  it when a voice feature is actually used). */
     _ttsService() {
         try {
             const { voiceService } = require('./serviceManager');
-            const tts = voiceService?.tts;
+            const tts = voiceService?.ttsFor('parlor');
             return tts && !tts.disabled ? tts : null;
         } catch {
             return null;
@@ -307,11 +307,11 @@ class ParlorService {
     }
 
     /**
-     * Set (or clear) a persona's ElevenLabs voice for Parlor Live. The
-     * voice is resolved through elevenLabsTTSService.resolveVoice at save
-     * time - a misspelled name fails HERE, at edit time, never mid-session -
-     * and both the id and the display name are stored (the name is a
-     * snapshot for the picker UI).
+     * Set (or clear) a persona's voice for Parlor Live. The voice is
+     * resolved through the Parlor TTS backend's resolveVoice (ElevenLabs or
+     * Piper) at save time - a misspelled name fails HERE, at edit time,
+     * never mid-session - and both the id and the display name are stored
+     * (the name is a snapshot for the picker UI).
      * @param {Object} params - { ownerId, personaId, voice, tts? }
      *   voice: a voice name or id; empty/null clears back to the default.
      *   tts: injectable TTS service for tests (defaults to the live one).
@@ -327,7 +327,7 @@ class ParlorService {
             const service = tts || this._ttsService();
             if (!service) {
                 throw new ParlorError(503, 'TTS_UNAVAILABLE',
-                    'Persona voices need an ElevenLabs API key on this server.');
+                    'Persona voices need text-to-speech on this server (an ElevenLabs API key or Piper voices).');
             }
             try {
                 const resolved = await service.resolveVoice(query);
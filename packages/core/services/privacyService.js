@@ -4,6 +4,8 @@ const { dmScopeId } = require('../utils/dmScope');
 /**
  * Privacy controls as product features: the data transparency report behind
  * /what-do-you-know-about-me and the full per-user erasure behind /forget-me.
+ * (The portable copy behind /export-my-data is services/dataExportService.js;
+ * it exports every row auditUser counts.)
  *
  * Erasure scope (see documentation/differentiation_strategy.md):
  * - DELETE: memory_embeddings (by authorId, plus everything in the user's
@@ -26,9 +28,11 @@ const { dmScopeId } = require('../utils/dmScope');
  *   registry rows (web_generated_files), shared web rate-limit events
  *   (web_rate_events), in-flight web-chat turn rows (web_live_turns),
  *   and the user's Observatory (project registry, job records, and the
- *   whole on-disk workspace tree; live jobs are cancelled first).
+ *   whole on-disk workspace tree; live jobs are cancelled first), and
+ *   their /export-my-data archives (rows and zip files).
  * - ANONYMIZE: usage_log / command_log / guild_activity rows (userId nulled,
- *   counts kept), tavern adventure createdBy, and tavern log attribution.
+ *   counts kept), tavern adventure createdBy, tavern log attribution, and
+ *   the data-export audit trail (data_export_events).
  * - REVIEW: GUILD-subject facts, conversation_summaries, follow-up notes,
  *   internal-monologue thoughts/scratchpad notes, knowledge-graph nodes,
  *   and tavern adventure-log prose that mention the user by name without
@@ -208,7 +212,30 @@ class PrivacyService {
                  (SELECT COUNT(*) FROM prediction_positions WHERE guildId = @guildId AND userId = @userId) AS predictions,
                  (SELECT COUNT(*) FROM exchange_events WHERE guildId = @guildId AND userId = @userId) AS events,
                  (SELECT COUNT(*) FROM perp_positions WHERE guildId = @guildId AND userId = @userId) AS perps,
-                 (SELECT COUNT(*) FROM exchange_optins WHERE guildId = @guildId AND userId = @userId) AS optIns`,
+                 (SELECT COUNT(*) FROM exchange_optins WHERE guildId = @guildId AND userId = @userId) AS optIns,
+                 (SELECT COUNT(*) FROM exchange_season_entries WHERE guildId = @guildId AND userId = @userId) AS seasons,
+                 (SELECT COUNT(*) FROM book_orders WHERE guildId = @guildId AND userId = @userId) AS bookOrders`,
+            { guildId, userId }
+        );
+
+        // Table-game tournaments: the entries (finishing places, prizes) are
+        // the member's game history in this guild.
+        const tournaments = await db.get(
+            `SELECT COUNT(*) AS c, COALESCE(SUM(prize), 0) AS prizes FROM tournament_entries
+             WHERE guildId = @guildId AND userId = @userId`,
+            { guildId, userId }
+        );
+        // Provably-fair bookkeeping: the committed seed pair and the hands
+        // (/gamble and Activity tables) the member played.
+        const fairHands = await db.get(
+            `SELECT
+                 (SELECT COUNT(*) FROM fair_seeds WHERE guildId = @guildId AND userId = @userId) AS seeds,
+                 (SELECT COUNT(*) FROM fair_round_players WHERE guildId = @guildId AND userId = @userId) AS hands`,
+            { guildId, userId }
+        );
+        // Activity hand history: every logged hand the member sat in.
+        const tableHands = await db.get(
+            'SELECT COUNT(*) AS c FROM table_hand_players WHERE guildId = @guildId AND userId = @userId',
             { guildId, userId }
         );
 
@@ -366,7 +393,16 @@ class PrivacyService {
                 eventContracts: exchangeCounts?.predictions || 0,
                 engineEvents: exchangeCounts?.events || 0,
                 perpPositions: exchangeCounts?.perps || 0,
-                groupOptIns: exchangeCounts?.optIns || 0
+                groupOptIns: exchangeCounts?.optIns || 0,
+                seasonEntries: exchangeCounts?.seasons || 0,
+                bookOrders: exchangeCounts?.bookOrders || 0
+            },
+            tableGames: {
+                tournamentEntries: tournaments?.c || 0,
+                tournamentPrizes: tournaments?.prizes || 0,
+                fairSeeds: fairHands?.seeds || 0,
+                fairHands: fairHands?.hands || 0,
+                handHistory: tableHands?.c || 0
             },
             observatory: {
                 projects: observatory?.projects || 0,
@@ -465,6 +501,19 @@ class PrivacyService {
                 `DELETE FROM kg_nodes WHERE scopeKey = @userScope OR guildId = @dmScope`,
                 { userScope: `USER:${userId}`, dmScope }
             )).changes;
+            // The graph's history journal keeps retired knowledge on purpose;
+            // erasure takes it too
+            counts.kgHistory = (await db.run(
+                `DELETE FROM kg_history WHERE scopeKey = @userScope OR guildId = @dmScope`,
+                { userScope: `USER:${userId}`, dmScope }
+            )).changes;
+            // Staged bulk imports hold the uploaded text (their passages
+            // went with the nodes above)
+            counts.kgImports = (await db.run(
+                `DELETE FROM kg_imports
+                 WHERE requestedBy = @userId OR scopeKey = @userScope OR guildId = @dmScope`,
+                { userId, userScope: `USER:${userId}`, dmScope }
+            )).changes;
 
             // Follow-ups created by/about the user (any status - erasure is erasure)
             counts.followups = (await db.run(
@@ -583,6 +632,23 @@ class PrivacyService {
                         counts.reviewedGraphNodes++;
                     }
                 }
+                // ...and imported passages that do (the node itself may not)
+                const passages = await db.all('SELECT id, content FROM kg_node_chunks');
+                for (const row of passages) {
+                    if (nameMatcher.test(row.content)) {
+                        await db.run('DELETE FROM kg_node_chunks WHERE id = @id', { id: row.id });
+                        counts.reviewedGraphNodes++;
+                    }
+                }
+                // ...and graph history rows whose recorded state does
+                const historyRows = await db.all('SELECT id, stateBefore, stateAfter FROM kg_history');
+                for (const row of historyRows) {
+                    if ((row.stateBefore && nameMatcher.test(row.stateBefore))
+                        || (row.stateAfter && nameMatcher.test(row.stateAfter))) {
+                        await db.run('DELETE FROM kg_history WHERE id = @id', { id: row.id });
+                        counts.reviewedGraphNodes++;
+                    }
+                }
 
                 // Review pass 6: tavern adventure-log prose mentioning the
                 // user or their character by name (recaps, checks, beats),
@@ -789,7 +855,7 @@ class PrivacyService {
             for (const table of [
                 'exchange_accounts', 'short_positions', 'option_positions', 'option_trades',
                 'exchange_orders', 'prediction_positions', 'exchange_events',
-                'perp_positions', 'exchange_optins'
+                'perp_positions', 'exchange_optins', 'exchange_season_entries', 'book_orders'
             ]) {
                 counts.exchange += (await db.run(`DELETE FROM ${table} WHERE userId = @userId`, { userId })).changes;
             }
@@ -799,6 +865,32 @@ class PrivacyService {
                 'UPDATE prediction_markets SET createdBy = NULL WHERE createdBy = @userId', { userId }
             )).changes;
 
+            // Table-game tournaments: entries go; a tournament they organized
+            // keeps running (or stays in the record) without their name.
+            counts.tableGames = (await db.run(
+                'DELETE FROM tournament_entries WHERE userId = @userId', { userId }
+            )).changes;
+            counts.tableGames += (await db.run(
+                'UPDATE tournaments SET createdBy = NULL WHERE createdBy = @userId', { userId }
+            )).changes;
+            // Provably-fair records: seeds go, and so do their /gamble hands.
+            // A table hand stays verifiable for the others at the table, with
+            // this player's seat unlinked.
+            counts.tableGames += (await db.run(
+                'DELETE FROM fair_seeds WHERE userId = @userId', { userId }
+            )).changes;
+            counts.tableGames += (await db.run(
+                `DELETE FROM fair_rounds WHERE source = 'gamble'
+                 AND id IN (SELECT roundId FROM fair_round_players WHERE userId = @userId)`, { userId }
+            )).changes;
+            counts.tableGames += (await db.run(
+                'DELETE FROM fair_round_players WHERE userId = @userId', { userId }
+            )).changes;
+            // Hand history likewise: the hands stay replayable for the rest
+            // of the table, with this player anonymized in every frame.
+            const { HandHistory } = require('./tableGames/handHistory');
+            counts.tableGames += await new HandHistory().forgetUser(userId);
+
             // Tavern: the character sheet and party memberships are personal
             // data - deleted outright. Shared adventure records survive with
             // attribution removed (the review pass above already dropped
@@ -815,6 +907,9 @@ class PrivacyService {
             counts.tavern += (await db.run(
                 'DELETE FROM tavern_rooms WHERE userId = @userId', { userId }
             )).changes;
+            counts.tavern += (await db.run(
+                'DELETE FROM tavern_post_declarations WHERE userId = @userId', { userId }
+            )).changes;
             await db.run(
                 'UPDATE tavern_adventures SET createdBy = NULL WHERE createdBy = @userId', { userId }
             );
@@ -884,6 +979,13 @@ class PrivacyService {
         counts.sandboxRequests = sandboxRequests.requests;
         counts.anonymizedSandboxPackages = sandboxRequests.packagesAnonymized;
 
+        // Export archives are a full copy of everything above, so they go
+        // too; the export audit trail is anonymized, not deleted.
+        const dataExports = await require('./dataExportService').forgetUser(userId);
+        counts.dataExports = dataExports.exports;
+        counts.dataExportFiles = dataExports.files;
+        counts.anonymizedExportEvents = dataExports.anonymizedEvents;
+
         return counts;
     }
 
@@ -913,6 +1015,21 @@ class PrivacyService {
                 'SELECT COUNT(*) AS c FROM kg_artifacts WHERE authorId = @userId',
                 { userId }
             )).c,
+            kg_history: (await db.get(
+                `SELECT COUNT(*) AS c FROM kg_history
+                 WHERE scopeKey = @userScope OR guildId = @dmScope`,
+                { userScope: `USER:${userId}`, dmScope }
+            )).c,
+            kg_imports: (await db.get(
+                `SELECT COUNT(*) AS c FROM kg_imports
+                 WHERE requestedBy = @userId OR scopeKey = @userScope OR guildId = @dmScope`,
+                { userId, userScope: `USER:${userId}`, dmScope }
+            )).c,
+            kg_node_chunks: (await db.get(
+                `SELECT COUNT(*) AS c FROM kg_node_chunks
+                 WHERE scopeKey = @userScope OR guildId = @dmScope`,
+                { userScope: `USER:${userId}`, dmScope }
+            )).c,
             dm_conversations: (await db.get(
                 'SELECT COUNT(*) AS c FROM guild_conversations WHERE guildId = @dmScope', { dmScope }
             )).c,
@@ -1047,6 +1164,27 @@ class PrivacyService {
             exchange_optins: (await db.get(
                 'SELECT COUNT(*) AS c FROM exchange_optins WHERE userId = @userId', { userId }
             )).c,
+            exchange_season_entries: (await db.get(
+                'SELECT COUNT(*) AS c FROM exchange_season_entries WHERE userId = @userId', { userId }
+            )).c,
+            book_orders: (await db.get(
+                'SELECT COUNT(*) AS c FROM book_orders WHERE userId = @userId', { userId }
+            )).c,
+            tournament_entries: (await db.get(
+                'SELECT COUNT(*) AS c FROM tournament_entries WHERE userId = @userId', { userId }
+            )).c,
+            tournaments: (await db.get(
+                'SELECT COUNT(*) AS c FROM tournaments WHERE createdBy = @userId', { userId }
+            )).c,
+            fair_seeds: (await db.get(
+                'SELECT COUNT(*) AS c FROM fair_seeds WHERE userId = @userId', { userId }
+            )).c,
+            fair_round_players: (await db.get(
+                'SELECT COUNT(*) AS c FROM fair_round_players WHERE userId = @userId', { userId }
+            )).c,
+            table_hand_players: (await db.get(
+                'SELECT COUNT(*) AS c FROM table_hand_players WHERE userId = @userId', { userId }
+            )).c,
             tavern_characters: (await db.get(
                 'SELECT COUNT(*) AS c FROM tavern_characters WHERE userId = @userId', { userId }
             )).c,
@@ -1062,6 +1200,9 @@ class PrivacyService {
             tavern_rooms: (await db.get(
                 'SELECT COUNT(*) AS c FROM tavern_rooms WHERE userId = @userId', { userId }
             )).c,
+            tavern_post_declarations: (await db.get(
+                'SELECT COUNT(*) AS c FROM tavern_post_declarations WHERE userId = @userId', { userId }
+            )).c,
             observatory_projects: (await db.get(
                 'SELECT COUNT(*) AS c FROM observatory_projects WHERE userId = @userId', { userId }
             )).c,
@@ -1096,9 +1237,16 @@ class PrivacyService {
                 `SELECT COUNT(*) AS c FROM sandbox_packages
                  WHERE requestedBy = @userId OR approvedBy = @userId`, { userId }
             )).c,
+            data_exports: (await db.get(
+                'SELECT COUNT(*) AS c FROM data_exports WHERE userId = @userId', { userId }
+            )).c,
+            data_export_events: (await db.get(
+                'SELECT COUNT(*) AS c FROM data_export_events WHERE userId = @userId', { userId }
+            )).c,
             // Not tables: files still on disk keyed by the user
             observatory_workspaces: (await require('./observatoryService').countUserData(userId)).workspaceDirs,
-            web_upload_files: require('../utils/webUploads').countUserUploads(userId)
+            web_upload_files: require('../utils/webUploads').countUserUploads(userId),
+            data_export_files: require('./dataExportService').countUserFiles(userId)
         };
 
         const total = Object.values(byTable).reduce((sum, c) => sum + c, 0);
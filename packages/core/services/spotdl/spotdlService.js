@@ -546,6 +546,8 @@ class SpotDLService {
     async deleteTrack(trackName) {
         const filePath = path.join(this.musicDir, path.basename(trackName));
         await fs.unlink(filePath);
+        // Loaded lazily: the loudness cache pulls in the database
+        await require('../voice/musicFxService').forget(filePath);
     }
 
     /**
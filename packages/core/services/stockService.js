@@ -1,13 +1,6 @@
-const axios = require('axios');
 const db = require('../db');
-
-// Yahoo Finance public endpoints (keyless). All calls degrade gracefully:
-// network failures surface as StockError('UNAVAILABLE') and cached data is
-// used when it is fresh enough.
-const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-const SEARCH_URL = 'https://query1.finance.yahoo.com/v1/finance/search';
-const HTTP_HEADERS = { 'User-Agent': 'Mozilla/5.0 (compatible; GoobsterBot/1.0)' };
-const HTTP_TIMEOUT_MS = 10_000;
+const marketData = require('./marketData');
+const { StockError } = require('./marketData/errors');
 
 // A quote snapshot younger than this is served from SQLite without hitting
 // the network (the price checker refreshes when a user checks in).
@@ -15,22 +8,42 @@ const QUOTE_TTL_MINUTES = 5;
 
 const HISTORY_RANGES = { '1mo': '1mo', '3mo': '3mo', '6mo': '6mo', '1y': '1y' };
 
-/** User-presentable stock errors (code + friendly message). */
-class StockError extends Error {
-    constructor(code, message, options) {
-        super(message, options);
-        this.name = 'StockError';
-        this.code = code;
-    }
-}
-
 /**
  * Stock market data layer for the trading game: quote lookups with a
  * short-TTL SQLite cache, symbol search, and daily price history for graphs.
- * Every successful lookup grows the local symbol database (`stock_symbols`)
- * and records a price snapshot (`stock_prices`).
+ * Every successful lookup grows the local symbol database (`stock_symbols`);
+ * live lookups also record a price snapshot (`stock_prices`), which the
+ * backtests, VaR and timeline read as real dated closes.
+ *
+ * The data itself comes from a pluggable provider (services/marketData):
+ * the live Yahoo feed by default, or a file-backed replay at a simulated
+ * clock. Callers never see the difference.
  */
 class StockService {
+    constructor(provider = null) {
+        this._provider = provider;
+    }
+
+    /** The active market-data provider (resolved from config on first use). */
+    get provider() {
+        if (!this._provider) this._provider = marketData.createConfiguredProvider();
+        return this._provider;
+    }
+
+    /** Swap the market-data provider at runtime (operators, tests). */
+    setProvider(provider) {
+        this._provider = provider;
+        return provider;
+    }
+
+    /**
+     * The market clock: the real time on a live feed, the simulated time on
+     * a replay. Anything that settles against prices should read this.
+     */
+    now() {
+        return this.provider.now();
+    }
+
     /**
      * Normalize a ticker like " aapl " -> "AAPL".
      * @throws {StockError} BAD_SYMBOL
@@ -45,26 +58,30 @@ class StockService {
 
     /**
      * Current quote for a symbol. Serves the cached snapshot when fresh,
-     * otherwise fetches from Yahoo, upserts symbol metadata, and records a
+     * otherwise asks the provider, upserts symbol metadata, and records a
      * new snapshot. On network failure, falls back to the last snapshot of
-     * any age (flagged stale) before giving up.
+     * any age (flagged stale) before giving up. Providers on a simulated
+     * clock are never served from the wall-clock cache, nor written to it.
      * @param {string} rawSymbol
      * @param {{maxAgeMinutes?: number}} [opts]
      * @returns {Promise<{symbol, name, price, currency, asOf, cached: boolean, stale: boolean}>}
      */
     async getQuote(rawSymbol, { maxAgeMinutes = QUOTE_TTL_MINUTES } = {}) {
         const symbol = this.normalizeSymbol(rawSymbol);
+        const provider = this.provider;
 
-        const cached = await this._latestSnapshot(symbol, maxAgeMinutes);
-        if (cached) return { ...cached, cached: true, stale: false };
+        if (provider.cacheable) {
+            const cached = await this._latestSnapshot(symbol, maxAgeMinutes);
+            if (cached) return { ...cached, cached: true, stale: false };
+        }
 
         try {
-            const quote = await this._fetchQuote(symbol);
-            await this._recordQuote(quote);
+            const quote = await provider.fetchQuote(symbol);
+            await this._recordQuote(quote, { snapshot: provider.cacheable });
             return { ...quote, cached: false, stale: false };
         } catch (error) {
             if (error instanceof StockError && error.code === 'UNKNOWN_SYMBOL') throw error;
-            const last = await this._latestSnapshot(symbol, null);
+            const last = provider.cacheable ? await this._latestSnapshot(symbol, null) : null;
             if (last) return { ...last, cached: true, stale: true };
             throw error instanceof StockError
                 ? error
@@ -80,26 +97,7 @@ class StockService {
     async search(query, limit = 5) {
         const q = String(query || '').trim();
         if (!q) return [];
-        let data;
-        try {
-            ({ data } = await axios.get(SEARCH_URL, {
-                params: { q, quotesCount: limit, newsCount: 0 },
-                headers: HTTP_HEADERS,
-                timeout: HTTP_TIMEOUT_MS
-            }));
-        } catch (error) {
-            throw new StockError('UNAVAILABLE', 'Stock symbol search is unavailable right now.', { cause: error });
-        }
-
-        const results = (data?.quotes || [])
-            .filter(item => item.symbol)
-            .slice(0, limit)
-            .map(item => ({
-                symbol: item.symbol,
-                name: item.longname || item.shortname || item.symbol,
-                exchange: item.exchDisp || item.exchange || null,
-                quoteType: item.quoteType || null
-            }));
+        const results = await this.provider.search(q, limit);
 
         for (const item of results) {
             await db.run(
@@ -123,26 +121,26 @@ class StockService {
      */
     async getHistory(rawSymbol, range = '3mo') {
         const symbol = this.normalizeSymbol(rawSymbol);
-        const yahooRange = HISTORY_RANGES[range];
-        if (!yahooRange) {
+        const providerRange = HISTORY_RANGES[range];
+        if (!providerRange) {
             throw new StockError('BAD_RANGE', `Range must be one of: ${Object.keys(HISTORY_RANGES).join(', ')}.`);
         }
 
-        const result = await this._fetchChart(symbol, { range: yahooRange, interval: '1d' });
-        const timestamps = result.timestamp || [];
-        const closes = result.indicators?.quote?.[0]?.close || [];
-        const points = [];
-        for (let i = 0; i < timestamps.length; i++) {
-            if (closes[i] === null || closes[i] === undefined) continue;
-            points.push({
-                date: new Date(timestamps[i] * 1000).toISOString().slice(0, 10),
-                close: closes[i]
-            });
-        }
+        const { currency, points } = await this.provider.fetchHistory(symbol, providerRange);
         if (points.length === 0) {
             throw new StockError('NO_DATA', `No price history available for ${symbol}.`);
         }
-        return { symbol, currency: result.meta?.currency || null, points };
+        return { symbol, currency: currency || null, points };
+    }
+
+    /**
+     * Dividends and splits the provider reports for a symbol over a recent
+     * window (the corporate-actions sweep).
+     * @returns {Promise<{dividends: Array<{date, amount}>, splits: Array<{date, ratio}>}>}
+     */
+    async getCorporateActions(rawSymbol, { range = '1mo' } = {}) {
+        const symbol = this.normalizeSymbol(rawSymbol);
+        return await this.provider.fetchCorporateActions(symbol, { range });
     }
 
     /**
@@ -169,48 +167,12 @@ class StockService {
         return { symbol: row.symbol, name: row.name || row.symbol, price: row.price, currency: row.currency, asOf: row.asOf };
     }
 
-    /** Fetch the chart payload for a symbol (also used for plain quotes). */
-    async _fetchChart(symbol, params) {
-        let data;
-        try {
-            ({ data } = await axios.get(`${CHART_URL}${encodeURIComponent(symbol)}`, {
-                params,
-                headers: HTTP_HEADERS,
-                timeout: HTTP_TIMEOUT_MS,
-                // Yahoo answers 404 with a JSON error body for unknown symbols
-                validateStatus: status => status === 200 || status === 404
-            }));
-        } catch (error) {
-            throw new StockError('UNAVAILABLE', `Couldn't reach the stock data service for ${symbol}.`, { cause: error });
-        }
-        const result = data?.chart?.result?.[0];
-        if (!result || !result.meta) {
-            throw new StockError('UNKNOWN_SYMBOL', `No stock found for symbol ${symbol}.`);
-        }
-        return result;
-    }
-
-    async _fetchQuote(symbol) {
-        const result = await this._fetchChart(symbol, { range: '1d', interval: '1d' });
-        const meta = result.meta;
-        const price = meta.regularMarketPrice;
-        if (!Number.isFinite(price) || price <= 0) {
-            throw new StockError('NO_DATA', `No current price available for ${symbol}.`);
-        }
-        return {
-            symbol: meta.symbol || symbol,
-            name: meta.longName || meta.shortName || symbol,
-            price,
-            currency: meta.currency || null,
-            exchange: meta.fullExchangeName || meta.exchangeName || null,
-            quoteType: meta.instrumentType || null,
-            asOf: new Date((meta.regularMarketTime || Math.floor(Date.now() / 1000)) * 1000)
-                .toISOString().replace('T', ' ').slice(0, 19)
-        };
-    }
-
-    /** Upsert symbol metadata and record a price snapshot. */
-    async _recordQuote(quote) {
+    /**
+     * Upsert symbol metadata and, for a live quote, record a price snapshot.
+     * A replayed price is simulated and dated on the simulated clock, so it
+     * never lands among the wall-clock snapshots.
+     */
+    async _recordQuote(quote, { snapshot = true } = {}) {
         await db.transaction(async () => {
             await db.run(
                 `INSERT INTO stock_symbols (symbol, name, exchange, currency, quoteType)
@@ -226,6 +188,7 @@ class StockService {
                     currency: quote.currency, quoteType: quote.quoteType || null
                 }
             );
+            if (!snapshot) return;
             await db.run(
                 `INSERT INTO stock_prices (symbol, price, asOf) VALUES (@symbol, @price, CURRENT_TIMESTAMP)`,
                 { symbol: quote.symbol, price: quote.price }
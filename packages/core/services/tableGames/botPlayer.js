@@ -1,6 +1,7 @@
 const aiServiceSingleton = require('../aiService');
 const economyService = require('../economyService');
 const { GameError } = require('./gameError');
+const botStrategies = require('./botStrategies');
 
 // How long Goobster "thinks" before acting (feels human, batches updates)
 const ACT_DELAY_MS = 1500;
@@ -897,7 +898,9 @@ const ADVISORS = {
  * watches personalized views, and plays every game the way a person would -
  * the full game state and the same options a player has go to the AI
  * provider, whose response is validated/clamped before it touches the
- * table (a built-in fallback plays only when no provider responds). Table
+ * table (a built-in fallback plays only when no provider responds). A guild
+ * can instead pin a game to a fixed strategy profile (botStrategies.js),
+ * which plays without spending a model call per decision. Table
  * talk goes to the Activity clients, optionally the Discord channel, and -
  * whenever the bot is in a voice channel of that guild - the voice channel.
  */
@@ -936,7 +939,7 @@ class BotPlayer {
             ? botConfig.persona.trim().slice(0, 500)
             : DEFAULT_PERSONA;
 
-        this.tables = new Map(); // table.key -> { table, unsubscribe, thinking, lastCommentAt, skipKey, timer }
+        this.tables = new Map(); // table.key -> { table, unsubscribe, thinking, lastCommentAt, skipKey, timer, strategy, memory }
     }
 
     get userId() {
@@ -965,7 +968,10 @@ class BotPlayer {
 
         await this._ensureBankroll(table.guildId);
 
-        const record = { table, unsubscribe: () => {}, thinking: false, lastCommentAt: 0, skipKey: null, timer: null };
+        const record = {
+            table, unsubscribe: () => {}, thinking: false, lastCommentAt: 0, skipKey: null, timer: null,
+            strategy: null, memory: {}
+        };
         this.tables.set(table.key, record);
         record.unsubscribe = this.tableManager.subscribe(table, {
             userId: this.userId,
@@ -1049,6 +1055,7 @@ class BotPlayer {
 
         for (const event of message.events || []) {
             if (event.type === 'settled') {
+                record.strategy?.settle?.(view, record.memory);
                 await this._ensureBankroll(record.table.guildId);
                 await this._maybeCommentOnOutcome(record);
             }
@@ -1131,7 +1138,9 @@ class BotPlayer {
      * Ask the model to play the bot's turn: full game state + the player's
      * options go in, ONLY-JSON comes back, and the advisor's validator
      * repairs it into legal moves. The heuristic fallback plays only when
-     * no provider produces a usable answer.
+     * no provider produces a usable answer. A guild that picked a fixed
+     * strategy profile for the game (/gamble bot) skips the model: the
+     * profile decides, through the same validator.
      */
     async _decide(record, view) {
         const advisor = ADVISORS[view.gameType];
@@ -1144,6 +1153,15 @@ class BotPlayer {
             currencyName = (await this.economy.getSettings(guildId)).currencyName;
         } catch { /* decisions degrade fine without wallet context */ }
 
+        record.strategy = await this._strategyFor(guildId, view.gameType);
+        if (record.strategy) {
+            const decision = advisor.legalize(
+                record.strategy.decide(view, { memory: record.memory, balance, rng: this.rng }),
+                view
+            );
+            return decision ? { ...decision, comment: maybeLine(view.gameType, this.rng) } : null;
+        }
+
         let parsed = null;
         try {
             const context = advisor.buildDecisionContext(view, {
@@ -1180,6 +1198,16 @@ class BotPlayer {
         return fallback ? { ...fallback, comment: maybeLine(view.gameType, this.rng) } : null;
     }
 
+    /** The guild's strategy profile for a game, or null to let the model play. */
+    async _strategyFor(guildId, gameType) {
+        try {
+            return botStrategies.strategyFor(gameType, await botStrategies.getStrategy(guildId, gameType));
+        } catch (error) {
+            this.logger.warn?.('[BotPlayer] Strategy lookup failed; letting the model play:', error.message);
+            return null;
+        }
+    }
+
     // ------------------------------------------------------------------
     // Table talk
     // ------------------------------------------------------------------
@@ -1282,7 +1310,7 @@ class BotPlayer {
     _resolveTts() {
         if (this._ttsService) return this._ttsService;
         try {
-            return require('../serviceManager').voiceService?.tts || null;
+            return require('../serviceManager').voiceService?.ttsFor('games') || null;
         } catch {
             return null;
         }
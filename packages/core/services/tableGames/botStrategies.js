@@ -0,0 +1,292 @@
+const db = require('../../db');
+const { buildDeck, bestHand, compareHands } = require('../../utils/pokerHands');
+const { GameError } = require('./gameError');
+
+// The default: the model decides every move (see botPlayer.js ADVISORS)
+const AI_STRATEGY = 'ai';
+// Random run-outs per hold'em equity estimate - enough to separate "ahead"
+// from "drawing" without stalling a turn
+const EQUITY_SAMPLES = 100;
+// Stop doubling after this many losses in a row even below the table cap
+const MARTINGALE_MAX_DOUBLINGS = 10;
+
+/** Blackjack value of a dealer up card (aces 11, faces 10). */
+function upCardValue(card) {
+    if (!card) return 10;
+    return card.rank === 14 ? 11 : Math.min(10, card.rank);
+}
+
+/**
+ * Textbook basic strategy for this table's rules - dealer stands on all
+ * 17s, double on any first two cards, no splits (pairs play as their
+ * total). Returns 'hit' | 'stand' | 'double'; a double that is not allowed
+ * becomes a hit, except soft 18, which stands.
+ */
+function basicStrategyMove({ total, soft, canDouble }, upValue) {
+    const double = canDouble ? 'double' : 'hit';
+    if (soft) {
+        if (total >= 19) return 'stand';
+        if (total === 18) {
+            if (upValue >= 3 && upValue <= 6) return canDouble ? 'double' : 'stand';
+            return upValue <= 8 ? 'stand' : 'hit';
+        }
+        if (total === 17) return upValue >= 3 && upValue <= 6 ? double : 'hit';
+        if (total >= 15) return upValue >= 4 && upValue <= 6 ? double : 'hit';
+        if (total >= 13) return upValue >= 5 && upValue <= 6 ? double : 'hit';
+        return 'hit';
+    }
+    if (total >= 17) return 'stand';
+    if (total >= 13) return upValue <= 6 ? 'stand' : 'hit';
+    if (total === 12) return upValue >= 4 && upValue <= 6 ? 'stand' : 'hit';
+    if (total === 11) return upValue <= 10 ? double : 'hit';
+    if (total === 10) return upValue <= 9 ? double : 'hit';
+    if (total === 9) return upValue >= 3 && upValue <= 6 ? double : 'hit';
+    return 'hit';
+}
+
+/**
+ * Starting-hand tier for tight-aggressive preflop play: 3 premium (raise
+ * and re-raise), 2 strong (open-raise, call a modest raise), 1 speculative
+ * (see a cheap flop), 0 fold.
+ */
+function preflopTier(hole) {
+    if (hole.length < 2) return 0;
+    const [high, low] = [...hole].sort((a, b) => b.rank - a.rank);
+    const pair = high.rank === low.rank;
+    const suited = high.suit === low.suit;
+    const gap = high.rank - low.rank;
+
+    if (pair && high.rank >= 10) return 3;
+    if (high.rank === 14 && (low.rank === 13 || (low.rank === 12 && suited))) return 3;
+    if (pair && high.rank >= 7) return 2;
+    if (high.rank === 14 && (low.rank === 12 || (suited && low.rank >= 10))) return 2;
+    if (suited && high.rank >= 11 && low.rank >= 10) return 2;
+    if (high.rank === 13 && low.rank === 12) return 2;
+    if (pair) return 1;
+    if (suited && gap === 1 && low.rank >= 4) return 1;
+    if (high.rank === 14 && suited) return 1;
+    return 0;
+}
+
+/**
+ * Monte-Carlo showdown equity: deal the unseen cards at random `samples`
+ * times (the rest of the board plus two cards per live opponent) and score
+ * a win as 1, a split as a share. Uses the same evaluator the engine
+ * settles with.
+ * @returns {number} 0..1
+ */
+function holdemEquity(hole, community, opponents, rng = Math.random, samples = EQUITY_SAMPLES) {
+    const seen = new Set([...hole, ...community].map(c => `${c.rank}${c.suit}`));
+    const unseen = buildDeck().filter(c => !seen.has(`${c.rank}${c.suit}`));
+    const rivals = Math.max(1, opponents);
+    const needed = 5 - community.length + 2 * rivals;
+    let score = 0;
+
+    for (let n = 0; n < samples; n++) {
+        // Partial Fisher-Yates: only the cards this run-out draws
+        const deck = [...unseen];
+        for (let i = 0; i < needed; i++) {
+            const j = i + Math.floor(rng() * (deck.length - i));
+            [deck[i], deck[j]] = [deck[j], deck[i]];
+        }
+        const board = [...community, ...deck.slice(0, 5 - community.length)];
+        const mine = bestHand([...hole, ...board]).evaluation;
+        let best = 1;
+        let ties = 1;
+        for (let r = 0; r < rivals; r++) {
+            const offset = 5 - community.length + 2 * r;
+            const theirs = bestHand([deck[offset], deck[offset + 1], ...board]).evaluation;
+            const cmp = compareHands(mine, theirs);
+            if (cmp < 0) { best = 0; break; }
+            if (cmp === 0) ties++;
+        }
+        score += best / ties;
+    }
+    return score / samples;
+}
+
+/** Street total for a raise of `extra` over the current bet, kept legal. */
+function raiseTo(view, extra) {
+    const minRaiseTo = view.currentBet === 0 ? view.minBet : view.currentBet + view.minBet;
+    return Math.min(view.maxBet, Math.max(minRaiseTo, view.currentBet + Math.floor(extra)));
+}
+
+/**
+ * Fixed strategy profiles Goobster can play instead of asking the model,
+ * per game. A profile turns a view into a decision in the same shape the
+ * model returns, so the game's advisor legalizes it exactly like a model
+ * answer:
+ *   decide(view, { memory, balance, rng }) -> decision
+ *   settle(view, memory) -> optional, called with the bot's view when a
+ *     round settles (for profiles that remember results)
+ * `memory` is a per-table scratch object the profile owns.
+ *
+ * Adding a profile = adding an entry here; /gamble bot and the simulator
+ * pick it up by name.
+ */
+const STRATEGIES = {
+    blackjack: {
+        basic: {
+            label: 'Basic strategy',
+            description: 'Flat minimum bets and the textbook hit/stand/double chart for these rules.',
+            decide(view) {
+                if (view.phase !== 'acting') return { action: 'bet', amount: view.minBet };
+                const mySeat = view.seats[view.yourSeat];
+                const canDouble = mySeat.cards.length === 2 && !mySeat.doubled;
+                const move = basicStrategyMove(
+                    { total: mySeat.total, soft: mySeat.soft, canDouble },
+                    upCardValue(view.dealer.cards[0])
+                );
+                return { action: move };
+            }
+        }
+    },
+
+    holdem: {
+        tag: {
+            label: 'Tight-aggressive',
+            description: 'Plays few starting hands but raises them; after the flop, bets its equity and calls only with pot odds.',
+            decide(view, { rng = Math.random } = {}) {
+                const hole = view.seats[view.yourSeat].cards || [];
+
+                if (view.street === 'preflop') {
+                    const tier = preflopTier(hole);
+                    const unraised = view.currentBet <= view.minBet;
+                    if (tier === 3) {
+                        if (view.currentBet >= view.maxBet) return { action: 'call' };
+                        return { action: 'raise', amount: raiseTo(view, unraised ? 2 * view.minBet : 2 * view.currentBet) };
+                    }
+                    if (tier === 2) {
+                        if (unraised) return { action: 'raise', amount: raiseTo(view, 2 * view.minBet) };
+                        return view.toCall <= 3 * view.minBet ? { action: 'call' } : { action: 'fold' };
+                    }
+                    if (tier === 1 && view.toCall <= view.minBet) return { action: view.toCall > 0 ? 'call' : 'check' };
+                    return { action: view.toCall > 0 ? 'fold' : 'check' };
+                }
+
+                const opponents = view.seats.filter(s => s && s.seat !== view.yourSeat && s.cardCount > 0 && !s.folded).length;
+                const equity = holdemEquity(hole, view.community, opponents, rng);
+                const potOdds = view.toCall / (view.pot + view.toCall);
+                const value = equity >= 0.5 + 0.1 * Math.max(0, opponents - 1);
+
+                if (view.toCall === 0) {
+                    return value ? { action: 'raise', amount: raiseTo(view, view.pot / 2) } : { action: 'check' };
+                }
+                if (value && equity >= 0.7 && view.currentBet < view.maxBet) {
+                    return { action: 'raise', amount: raiseTo(view, view.currentBet + (2 * view.pot) / 3) };
+                }
+                return equity >= potOdds ? { action: 'call' } : { action: 'fold' };
+            }
+        },
+
+        station: {
+            label: 'Calling station',
+            description: 'Never raises, never folds: checks when it can and calls everything else.',
+            decide(view) {
+                return { action: view.toCall > 0 ? 'call' : 'check' };
+            }
+        }
+    },
+
+    roulette: {
+        martingale: {
+            label: 'Martingale',
+            description: 'Bets red; doubles the stake after every loss and drops back to the minimum after a win - until the table limit or its bankroll says no.',
+            decide(view, { memory, balance = null }) {
+                let stake = memory.stake || view.minBet;
+                const broke = balance !== null && stake > balance;
+                if (stake > view.maxBet || broke || (memory.losses || 0) > MARTINGALE_MAX_DOUBLINGS) {
+                    // The streak outran the table (or the wallet): eat it and start over
+                    stake = view.minBet;
+                    memory.losses = 0;
+                }
+                memory.stake = stake;
+                memory.roundBet = true;
+                return { bets: [{ kind: 'red', amount: stake }] };
+            },
+            settle(view, memory) {
+                if (!memory.roundBet) return;
+                memory.roundBet = false;
+                const mySeat = view.yourSeat !== null ? view.seats[view.yourSeat] : null;
+                if (mySeat?.outcome === 'win') {
+                    memory.stake = view.minBet;
+                    memory.losses = 0;
+                } else if (mySeat?.outcome === 'lose') {
+                    memory.stake = (memory.stake || view.minBet) * 2;
+                    memory.losses = (memory.losses || 0) + 1;
+                }
+            }
+        }
+    }
+};
+
+/** A profile by game and name, or null ('ai' and unknown names). */
+function strategyFor(gameType, name) {
+    return STRATEGIES[gameType]?.[name] || null;
+}
+
+/** The profile names a game offers, 'ai' first. */
+function strategyNames(gameType) {
+    return [AI_STRATEGY, ...Object.keys(STRATEGIES[gameType] || {})];
+}
+
+/**
+ * How Goobster plays a game in a guild: the stored profile name, or 'ai'.
+ * @returns {Promise<string>}
+ */
+async function getStrategy(guildId, gameType) {
+    const row = await db.get(
+        'SELECT strategy FROM table_bot_strategies WHERE guildId = @guildId AND gameType = @gameType',
+        { guildId, gameType }
+    );
+    return row && strategyFor(gameType, row.strategy) ? row.strategy : AI_STRATEGY;
+}
+
+/**
+ * Every game's setting in a guild, for the admin listing.
+ * @returns {Promise<Object<string, string>>} gameType -> strategy name
+ */
+async function listStrategies(guildId) {
+    const rows = await db.all('SELECT gameType, strategy FROM table_bot_strategies WHERE guildId = @guildId', { guildId });
+    const stored = new Map(rows.map(row => [row.gameType, row.strategy]));
+    return Object.fromEntries(Object.keys(STRATEGIES).map(gameType => [
+        gameType,
+        strategyFor(gameType, stored.get(gameType)) ? stored.get(gameType) : AI_STRATEGY
+    ]));
+}
+
+/**
+ * Choose how Goobster plays a game in a guild ('ai' clears the profile).
+ * @throws {GameError} BAD_STRATEGY
+ */
+async function setStrategy({ guildId, gameType, strategy, userId = null }) {
+    const name = String(strategy || '').trim().toLowerCase();
+    if (name === AI_STRATEGY) {
+        await db.run('DELETE FROM table_bot_strategies WHERE guildId = @guildId AND gameType = @gameType', { guildId, gameType });
+        return AI_STRATEGY;
+    }
+    if (!strategyFor(gameType, name)) {
+        throw new GameError('BAD_STRATEGY', `${gameType} strategies: ${strategyNames(gameType).join(', ')}.`);
+    }
+    await db.run(
+        `INSERT INTO table_bot_strategies (guildId, gameType, strategy, updatedBy)
+         VALUES (@guildId, @gameType, @name, @userId)
+         ON CONFLICT(guildId, gameType) DO UPDATE SET
+             strategy = @name, updatedBy = @userId, updatedAt = CURRENT_TIMESTAMP`,
+        { guildId, gameType, name, userId }
+    );
+    return name;
+}
+
+module.exports = {
+    AI_STRATEGY,
+    STRATEGIES,
+    strategyFor,
+    strategyNames,
+    getStrategy,
+    listStrategies,
+    setStrategy,
+    basicStrategyMove,
+    preflopTier,
+    holdemEquity
+};
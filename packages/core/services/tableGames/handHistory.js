@@ -0,0 +1,259 @@
+const db = require('../../db');
+const { ENGINES } = require('./tableManager');
+const { GameError } = require('./gameError');
+
+// Finished hands kept per table (guild + channel); older ones are pruned
+const HANDS_PER_TABLE = 200;
+// A hand that never ends (players sitting and leaving for hours before a
+// deal) keeps only its latest transitions
+const MAX_FRAMES = 200;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 50;
+const FORGOTTEN_ID = 'forgotten';
+const FORGOTTEN_NAME = 'A former player';
+
+function parseJson(text, fallback = null) {
+    if (!text) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+}
+
+/** What a frame keeps of engine state: everything but the undealt deck, which no view shows. */
+function storedState(state) {
+    return Array.isArray(state.deck) ? { ...state, deck: [] } : state;
+}
+
+/** The public part of an engine action (who did what), for the log. */
+function loggedAction(action) {
+    if (!action) return null;
+    const { userId = null, name = null, action: type, amount = null, kind = null, target = null, seat = null, isBot = false, system = false } = action;
+    return { type, userId, name, amount, kind, target, seat, isBot, system };
+}
+
+/**
+ * A copy of a stored value with one user taken out: their id (as a value
+ * or an object key) becomes FORGOTTEN_ID, and the `name` beside it goes.
+ */
+function scrubUser(value, userId) {
+    if (Array.isArray(value)) return value.map(item => scrubUser(item, userId));
+    if (value === userId) return FORGOTTEN_ID;
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    for (const [key, item] of Object.entries(value)) {
+        out[key === userId ? FORGOTTEN_ID : key] = scrubUser(item, userId);
+    }
+    if (value.userId === userId && 'name' in value) out.name = FORGOTTEN_NAME;
+    return out;
+}
+
+function seatsOf(state) {
+    return (state.seats || []).filter(Boolean);
+}
+
+/**
+ * Who played a hand and what it did to them: the hand's ledger charges, or
+ * at a tournament table (seats carry chip stacks that never touch the
+ * ledger) the stack's change over the hand.
+ */
+function handPlayers(frames, nets) {
+    const players = new Map();
+    for (const frame of frames) {
+        for (const seat of seatsOf(frame.state)) {
+            const player = players.get(seat.userId);
+            if (player) {
+                player.endStack = seat.stack ?? null;
+                continue;
+            }
+            players.set(seat.userId, {
+                userId: seat.userId,
+                name: seat.name || null,
+                isBot: seat.isBot === true,
+                startStack: seat.stack ?? null,
+                endStack: seat.stack ?? null
+            });
+        }
+    }
+    return [...players.values()].map(({ startStack, endStack, ...player }) => ({
+        ...player,
+        net: typeof startStack === 'number' ? endStack - startStack : nets.get(player.userId) || 0
+    }));
+}
+
+/**
+ * Hand history for Activity tables: a commit hook on TableManager records
+ * every transition of the hand in progress, and the transition that ends
+ * it (the engine's `settled` event, or a reset after the round drew) writes
+ * the hand to `table_hands` inside the same transaction that journals it.
+ *
+ *  - Frames hold engine state, not views: a replay renders each frame with
+ *    the engine's own `getView` for whoever is watching, so a player sees
+ *    their own hole cards and nobody sees anything they could not have seen
+ *    at the table.
+ *  - A hand links to its provably-fair record (`fairHandId`) when it drew.
+ *  - The hand in progress lives in memory; a hand cut off by a closed table
+ *    or a restart is not logged (its seeds still are, as a void round).
+ *
+ * Reading needs no TableManager - the web portal constructs a reader with
+ * `new HandHistory()`.
+ */
+class HandHistory {
+    constructor({ tableManager = null, engines = ENGINES } = {}) {
+        this.engines = engines;
+        // table -> { startedAt, frames, nets: Map<userId, points> }
+        this.pending = new WeakMap();
+        if (tableManager) {
+            tableManager.addCommitHook({ during: (table, transition) => this._record(table, transition) });
+        }
+    }
+
+    /** Commit hook: add the transition to its table's hand; write the hand when it ends. */
+    async _record(table, { state, events, charges, action }) {
+        let hand = this.pending.get(table);
+        if (!hand) {
+            hand = {
+                startedAt: new Date(),
+                frames: [{ action: null, events: [], state: storedState(table.state), at: new Date().toISOString() }],
+                nets: new Map()
+            };
+            this.pending.set(table, hand);
+        }
+        hand.frames.push({ action: loggedAction(action), events: [...events], state: storedState(state), at: new Date().toISOString() });
+        if (hand.frames.length > MAX_FRAMES) {
+            hand.frames.splice(0, hand.frames.length - MAX_FRAMES);
+            hand.frames[0] = { ...hand.frames[0], action: null, events: [] };
+        }
+        for (const charge of charges) {
+            hand.nets.set(charge.userId, (hand.nets.get(charge.userId) || 0) + charge.amount);
+        }
+
+        const settled = events.some(event => event.type === 'settled');
+        const reset = events.some(event => event.type === 'round-reset' || event.type === 'hand-reset');
+        if (!settled && !reset) return;
+        this.pending.delete(table);
+        const reveal = events.find(event => event.type === 'fair-reveal');
+        // A reset before anything was drawn ends nothing worth replaying
+        if (!settled && !reveal) return;
+
+        const players = handPlayers(hand.frames, hand.nets);
+        const id = await db.insert(
+            `INSERT INTO table_hands (guildId, channelId, gameType, status, fairHandId, botPlayed, frames, startedAt)
+             VALUES (@guildId, @channelId, @gameType, @status, @fairHandId, @botPlayed, @frames, @startedAt)`,
+            {
+                guildId: table.guildId,
+                channelId: table.channelId,
+                gameType: table.engine.gameType,
+                status: settled ? 'SETTLED' : 'VOID',
+                fairHandId: reveal?.handId ?? null,
+                botPlayed: players.some(p => p.isBot) ? 1 : 0,
+                frames: JSON.stringify(hand.frames),
+                startedAt: hand.startedAt
+            }
+        );
+        for (const player of players) {
+            await db.run(
+                `INSERT INTO table_hand_players (handId, guildId, userId, name, isBot, net)
+                 VALUES (@id, @guildId, @userId, @name, @isBot, @net)`,
+                { id, guildId: table.guildId, ...player, isBot: player.isBot ? 1 : 0 }
+            );
+        }
+        await db.run(
+            `DELETE FROM table_hands WHERE guildId = @guildId AND channelId = @channelId AND id <= (
+                 SELECT id FROM table_hands WHERE guildId = @guildId AND channelId = @channelId
+                 ORDER BY id DESC LIMIT 1 OFFSET @keep)`,
+            { guildId: table.guildId, channelId: table.channelId, keep: HANDS_PER_TABLE }
+        );
+    }
+
+    /**
+     * Recent hands, newest first: at one table (`channelId`), the ones a
+     * member played (`userId`), and/or only those Goobster sat in.
+     * @param {{guildId, channelId?, userId?, againstBot?, before?, limit?}} params
+     * @returns {Promise<Array<{id, channelId, gameType, status, fairHandId, botPlayed, startedAt, endedAt, players}>>}
+     */
+    async list({ guildId, channelId = null, userId = null, againstBot = false, before = null, limit = DEFAULT_LIST_LIMIT }) {
+        const rows = await db.all(
+            `SELECT id, channelId, gameType, status, fairHandId, botPlayed, startedAt, endedAt FROM table_hands h
+             WHERE guildId = @guildId
+               AND (@channelId IS NULL OR channelId = @channelId)
+               AND (@userId IS NULL OR EXISTS (
+                   SELECT 1 FROM table_hand_players p WHERE p.handId = h.id AND p.userId = @userId))
+               AND (@againstBot = 0 OR botPlayed = 1)
+               AND (@before IS NULL OR id < @before)
+             ORDER BY id DESC LIMIT @limit`,
+            {
+                guildId,
+                channelId,
+                userId,
+                againstBot: againstBot ? 1 : 0,
+                before: Number.isInteger(before) ? before : null,
+                limit: Math.min(MAX_LIST_LIMIT, Math.max(1, Number(limit) || DEFAULT_LIST_LIMIT))
+            }
+        );
+        return this._withPlayers(rows);
+    }
+
+    async _withPlayers(rows) {
+        if (rows.length === 0) return [];
+        const players = await db.all(
+            `SELECT handId, userId, name, isBot, net FROM table_hand_players
+             WHERE handId IN (${rows.map(row => Number(row.id)).join(', ')})`
+        );
+        return rows.map(({ frames, guildId, ...row }) => ({
+            ...row,
+            botPlayed: row.botPlayed === 1,
+            players: players
+                .filter(p => p.handId === row.id)
+                .map(p => ({ userId: p.userId, name: p.name, isBot: p.isBot === 1, net: p.net }))
+        }));
+    }
+
+    /**
+     * One hand for replay, every frame rendered as `viewerId` saw (or would
+     * have seen) the table: their own cards, everyone else's only where the
+     * game revealed them.
+     * @throws {GameError} NO_HAND
+     */
+    async get({ guildId, id, viewerId = null }) {
+        const row = await db.get('SELECT * FROM table_hands WHERE id = @id AND guildId = @guildId', { id, guildId });
+        if (!row) throw new GameError('NO_HAND', `There is no hand #${id} in this server's history.`);
+        const engine = this.engines[row.gameType];
+        if (!engine) throw new GameError('BAD_GAME', `Hand #${id} was played at a game this server no longer has.`);
+        const [summary] = await this._withPlayers([row]);
+        return {
+            ...summary,
+            frames: parseJson(row.frames, []).map(frame => ({
+                action: frame.action,
+                events: frame.events,
+                at: frame.at,
+                view: engine.getView(frame.state, viewerId)
+            }))
+        };
+    }
+
+    /**
+     * /forget-me: unlink a member from every hand they played. The hands
+     * stay replayable for everyone else at the table, with the member's
+     * seat anonymized in every frame.
+     * @returns {Promise<number>} hands rewritten
+     */
+    async forgetUser(userId) {
+        const rows = await db.all(
+            `SELECT id, frames FROM table_hands
+             WHERE id IN (SELECT handId FROM table_hand_players WHERE userId = @userId)`,
+            { userId }
+        );
+        for (const row of rows) {
+            await db.run('UPDATE table_hands SET frames = @frames WHERE id = @id', {
+                id: row.id,
+                frames: JSON.stringify(scrubUser(parseJson(row.frames, []), userId))
+            });
+        }
+        await db.run('DELETE FROM table_hand_players WHERE userId = @userId', { userId });
+        return rows.length;
+    }
+}
+
+module.exports = { HandHistory, HANDS_PER_TABLE };
@@ -6,6 +6,13 @@ const { GameError } = require('./gameError');
 // minBet/2 and minBet; raises must increase the street total by at least
 // the big blind; a street total is capped at maxBet. There are no side
 // pots: a player who cannot cover a call folds instead of going all-in.
+//
+// Tournament tables (createTable({ tournament })) play for chips instead:
+// every seat carries a stack, nothing touches the wallet, a player short
+// of a call or raise goes all-in for less, showdowns split into side pots,
+// and a seat whose stack hits zero busts at the next hand reset. Seating,
+// moves between tables, and blind levels are system actions driven by the
+// tournament director.
 const SEAT_COUNT = 6;
 const DEFAULT_MIN_BET = 10;      // big blind
 const DEFAULT_MAX_BET = 10000;   // per-street cap
@@ -14,6 +21,9 @@ const DEFAULT_MAX_BET = 10000;   // per-street cap
 const DEAL_DELAY_MS = 15000;
 const ACT_TIMEOUT_MS = 30000;
 const NEXT_HAND_DELAY_MS = 10000;
+// A tournament seat that timed out twice is "away": it still posts blinds
+// and its stack keeps playing, but its turns time out quickly
+const AWAY_ACT_TIMEOUT_MS = 3000;
 
 const STREETS = ['preflop', 'flop', 'turn', 'river'];
 
@@ -28,9 +38,10 @@ const holdemEngine = {
     seatCount: SEAT_COUNT,
 
     /**
-     * A fresh, empty table.
+     * A fresh, empty table. `tournament` ({ id, tableNo }) makes it a chip
+     * table: stacks instead of wallets, no street cap.
      */
-    createTable({ minBet = DEFAULT_MIN_BET, maxBet = DEFAULT_MAX_BET } = {}) {
+    createTable({ minBet = DEFAULT_MIN_BET, maxBet = DEFAULT_MAX_BET, tournament = null } = {}) {
         return {
             gameType: 'holdem',
             phase: 'waiting', // waiting -> acting (preflop..river) -> settled -> waiting
@@ -45,7 +56,9 @@ const holdemEngine = {
             activeSeat: null,
             handId: 0,
             minBet,
-            maxBet,
+            maxBet: tournament ? null : maxBet,
+            pendingMinBet: null, // next blind level, applied at the next deal
+            tournament,
             results: null,
             timer: null
         };
@@ -66,7 +79,7 @@ const holdemEngine = {
         const ctx = { next, events, charges, rng };
 
         switch (action) {
-            case 'sit': this._sit(ctx, { userId, name, seat, isBot }); break;
+            case 'sit': this._sit(ctx, { userId, name, seat, isBot, amount, system }); break;
             case 'leave': this._leave(ctx, { userId }); break;
             case 'deal': this._deal(ctx, { userId, system }); break;
             case 'fold': this._fold(ctx, { userId }); break;
@@ -75,6 +88,8 @@ const holdemEngine = {
             case 'bet': this._raise(ctx, { userId, amount }); break;
             case 'timeout-act': this._timeoutAct(ctx, { system }); break;
             case 'next-hand': this._nextHand(ctx, { system }); break;
+            case 'set-blinds': this._setBlinds(ctx, { amount, system }); break;
+            case 'unseat': this._unseat(ctx, { userId, system }); break;
             default: throw new GameError('BAD_ACTION', `Unknown action "${action}".`);
         }
 
@@ -98,6 +113,8 @@ const holdemEngine = {
             handId: state.handId,
             minBet: state.minBet,
             maxBet: state.maxBet,
+            pendingMinBet: state.pendingMinBet ?? null,
+            tournament: state.tournament ?? null,
             button: state.button,
             pot: state.pot,
             currentBet: state.currentBet,
@@ -117,6 +134,9 @@ const holdemEngine = {
                 folded: s.folded,
                 streetBet: s.streetBet,
                 totalWagered: s.totalWagered,
+                stack: s.stack ?? null,
+                allIn: s.allIn === true,
+                away: s.away === true,
                 cardCount: s.hand.length,
                 cards: s.userId === userId
                     ? s.hand.map(card => ({ ...card, label: formatCard(card) }))
@@ -137,7 +157,8 @@ const holdemEngine = {
      * @returns {Array<{userId: string, amount: number}>}
      */
     getEscrowRefunds(state) {
-        if (state.phase !== 'acting') return [];
+        // Tournament chips are not points; the director restores them
+        if (state.tournament || state.phase !== 'acting') return [];
         return Object.entries(state.contributions)
             .filter(([, amount]) => amount > 0)
             .map(([userId, amount]) => ({ userId, amount }));
@@ -148,6 +169,44 @@ const holdemEngine = {
         return state.seats.every(s => s === null);
     },
 
+    /**
+     * A tournament table's chip counts, counting chips a seat has in an
+     * unfinished hand's pot as still its own.
+     * @returns {Array<{userId: string, name: string, stack: number}>}
+     */
+    chipCounts(state) {
+        const inPot = state.phase === 'acting' ? state.contributions : {};
+        return state.seats
+            .filter(s => s !== null)
+            .map(s => ({ userId: s.userId, name: s.name, stack: (s.stack || 0) + (inPot[s.userId] || 0) }));
+    },
+
+    /**
+     * Undo an unfinished tournament hand (crash recovery): every chip in the
+     * pot goes back to the stack it came from and the table waits for a
+     * fresh deal. A settled hand is kept - its stacks are already final.
+     */
+    rollbackHand(state) {
+        const next = structuredClone(state);
+        if (next.phase !== 'acting') return next;
+        for (const s of next.seats) {
+            if (!s) continue;
+            s.stack += next.contributions[s.userId] || 0;
+            this._resetSeat(s);
+        }
+        next.phase = 'waiting';
+        next.street = null;
+        next.community = [];
+        next.deck = [];
+        next.pot = 0;
+        next.contributions = {};
+        next.currentBet = 0;
+        next.activeSeat = null;
+        next.results = null;
+        next.timer = this._seatedCount(next) >= 2 ? { action: 'deal', ms: DEAL_DELAY_MS } : null;
+        return next;
+    },
+
     // ------------------------------------------------------------------
     // Transitions
     // ------------------------------------------------------------------
@@ -176,8 +235,14 @@ const holdemEngine = {
             .filter(({ s }) => s && s.hand.length > 0 && !s.folded);
     },
 
-    _sit({ next, events }, { userId, name, seat, isBot = false }) {
+    _sit({ next, events }, { userId, name, seat, isBot = false, amount = null, system = false }) {
         if (!userId) throw new GameError('NO_USER', 'Sitting requires a user.');
+        if (next.tournament && !system) {
+            throw new GameError('TOURNAMENT_SEATING', 'Seats at a tournament table are assigned by the tournament.');
+        }
+        if (next.tournament && !(Number.isInteger(amount) && amount > 0)) {
+            throw new GameError('BAD_STACK', 'A tournament seat needs a chip stack.');
+        }
         if (this._seatOf(next, userId) !== -1) throw new GameError('ALREADY_SEATED', 'You are already at the table.');
 
         let index = seat;
@@ -201,7 +266,10 @@ const holdemEngine = {
             outcome: null,
             payout: null
         };
-        events.push({ type: 'sit', seat: index, userId, name });
+        if (next.tournament) {
+            Object.assign(next.seats[index], { stack: amount, allIn: false, away: false, handStartStack: amount });
+        }
+        events.push({ type: 'sit', seat: index, userId, name, stack: next.tournament ? amount : undefined });
 
         // A joiner mid-hand waits for the next deal; in waiting, reaching
         // two players arms the auto-deal timer.
@@ -228,12 +296,46 @@ const holdemEngine = {
 
         next.seats[index] = null;
         events.push({ type: 'leave', seat: index, userId });
+        // Walking away from a tournament forfeits the stack
+        if (next.tournament) {
+            events.push({ type: 'bust', userId, name: seatState.name, startStack: seatState.stack, forfeit: true });
+        }
 
         if (next.phase === 'waiting' && this._seatedCount(next) < 2) {
             next.timer = null;
         }
     },
 
+    /**
+     * Move a tournament player off this table between hands (balancing);
+     * the director seats them elsewhere with the stack from the event.
+     */
+    _unseat({ next, events }, { userId, system }) {
+        if (!system) throw new GameError('SYSTEM_ONLY', 'Not a player action.');
+        const index = this._seatOf(next, userId);
+        if (index === -1) throw new GameError('NOT_SEATED', 'That player is not at this table.');
+        const s = next.seats[index];
+        if (next.phase === 'acting' && s.hand.length > 0) {
+            throw new GameError('BAD_PHASE', 'Players move between hands.');
+        }
+        next.seats[index] = null;
+        events.push({ type: 'unseat', seat: index, userId, name: s.name, stack: s.stack });
+        if (next.phase === 'waiting' && this._seatedCount(next) < 2) next.timer = null;
+    },
+
+    /** New blind level (big blind = amount), effective from the next deal. */
+    _setBlinds({ next, events }, { amount, system }) {
+        if (!system) throw new GameError('SYSTEM_ONLY', 'Not a player action.');
+        if (!Number.isInteger(amount) || amount < 2) throw new GameError('BAD_BLINDS', 'The big blind must be at least 2.');
+        if (next.phase === 'waiting') {
+            next.minBet = amount;
+            next.pendingMinBet = null;
+        } else {
+            next.pendingMinBet = amount;
+        }
+        events.push({ type: 'blinds-up', small: Math.floor(amount / 2), big: amount, pending: next.phase !== 'waiting' });
+    },
+
     _deal(ctx, { userId, system }) {
         const { next, events, rng } = ctx;
         if (next.phase !== 'waiting') throw new GameError('BAD_PHASE', 'A hand is already running.');
@@ -250,15 +352,14 @@ const holdemEngine = {
         next.pot = 0;
         next.contributions = {};
         next.results = null;
+        if (next.pendingMinBet) {
+            next.minBet = next.pendingMinBet;
+            next.pendingMinBet = null;
+        }
         for (const s of next.seats) {
             if (!s) continue;
-            s.hand = [];
-            s.folded = false;
-            s.streetBet = 0;
-            s.totalWagered = 0;
-            s.acted = false;
-            s.outcome = null;
-            s.payout = null;
+            this._resetSeat(s);
+            if (next.tournament) s.handStartStack = s.stack;
         }
 
         next.button = this._nextOccupied(next, next.button === -1 ? SEAT_COUNT - 1 : next.button);
@@ -288,25 +389,69 @@ const holdemEngine = {
         events.push({ type: 'deal', handId: next.handId });
         events.push({ type: 'blinds', small: { seat: sbSeat, amount: sb }, big: { seat: bbSeat, amount: next.minBet } });
 
-        // First to act preflop: left of the big blind
-        next.activeSeat = this._nextOccupied(next, bbSeat, s => !s.folded && s.hand.length > 0);
-        next.timer = { action: 'timeout-act', ms: ACT_TIMEOUT_MS };
-        events.push({ type: 'turn', seat: next.activeSeat, userId: next.seats[next.activeSeat].userId });
+        // First to act preflop: left of the big blind (blinds can put a
+        // whole tournament table all-in, and then the board just runs out)
+        next.activeSeat = this._nextOccupied(next, bbSeat, s => this._canAct(s));
+        if (next.activeSeat === -1) {
+            this._runOut(ctx);
+            return;
+        }
+        this._armTurn(ctx);
     },
 
-    /** Move chips from a seat into the pot (escrow charge + bookkeeping). */
-    _commitChips({ next, charges }, seatIndex, amount, detail = {}) {
+    /**
+     * Move chips from a seat into the pot (escrow charge + bookkeeping). A
+     * tournament stack pays what it can instead: short means all-in.
+     * @returns {number} chips actually committed
+     */
+    _commitChips({ next, charges }, seatIndex, wanted, detail = {}) {
         const s = next.seats[seatIndex];
+        const amount = next.tournament ? Math.min(wanted, s.stack) : wanted;
+        if (next.tournament) {
+            s.stack -= amount;
+            if (s.stack === 0) s.allIn = true;
+        }
         s.streetBet += amount;
         s.totalWagered += amount;
         next.pot += amount;
         next.contributions[s.userId] = (next.contributions[s.userId] || 0) + amount;
+        if (next.tournament) return amount;
         charges.push({
             userId: s.userId,
             amount: -amount,
             type: 'table-holdem-bet',
             detail: { handId: next.handId, seat: seatIndex, street: next.street, ...detail }
         });
+        return amount;
+    },
+
+    /** Still has decisions to make this hand (in it, and not all-in). */
+    _canAct(s) {
+        return !s.folded && s.hand.length > 0 && !s.allIn;
+    },
+
+    /** Declare the active seat's turn and its timeout. */
+    _armTurn({ next, events }) {
+        const s = next.seats[next.activeSeat];
+        next.timer = { action: 'timeout-act', ms: s.away ? AWAY_ACT_TIMEOUT_MS : ACT_TIMEOUT_MS };
+        events.push({ type: 'turn', seat: next.activeSeat, userId: s.userId });
+    },
+
+    /** A voluntary action clears timeout strikes (and a tournament "away"). */
+    _clearStrikes(s) {
+        s.timeouts = 0;
+        if (s.away) s.away = false;
+    },
+
+    _resetSeat(s) {
+        s.hand = [];
+        s.folded = false;
+        s.streetBet = 0;
+        s.totalWagered = 0;
+        s.acted = false;
+        s.outcome = null;
+        s.payout = null;
+        if (s.allIn) s.allIn = false;
     },
 
     _requireTurn(next, userId) {
@@ -319,7 +464,7 @@ const holdemEngine = {
 
     _fold(ctx, { userId }) {
         const index = this._requireTurn(ctx.next, userId);
-        ctx.next.seats[index].timeouts = 0;
+        this._clearStrikes(ctx.next.seats[index]);
         this._foldSeat(ctx, index, {});
     },
 
@@ -347,7 +492,7 @@ const holdemEngine = {
             throw new GameError('CANT_CHECK', 'There is a bet to call.');
         }
         s.acted = true;
-        s.timeouts = 0;
+        this._clearStrikes(s);
         events.push({ type: 'check', seat: index, userId });
         this._advance(ctx);
     },
@@ -359,10 +504,10 @@ const holdemEngine = {
         const owed = next.currentBet - s.streetBet;
         if (owed <= 0) throw new GameError('NOTHING_TO_CALL', 'Nothing to call - check instead.');
 
-        this._commitChips(ctx, index, owed, { call: true });
+        const paid = this._commitChips(ctx, index, owed, { call: true });
         s.acted = true;
-        s.timeouts = 0;
-        events.push({ type: 'call', seat: index, userId, amount: owed });
+        this._clearStrikes(s);
+        events.push({ type: 'call', seat: index, userId, amount: paid, allIn: s.allIn === true });
         this._advance(ctx);
     },
 
@@ -373,20 +518,32 @@ const holdemEngine = {
         const s = next.seats[index];
 
         const minTotal = next.currentBet === 0 ? next.minBet : next.currentBet + next.minBet;
-        if (!Number.isInteger(amount) || amount < minTotal || amount > next.maxBet) {
-            throw new GameError('BAD_BET', `Raise to a whole number between ${minTotal} and ${next.maxBet}.`);
+        // A tournament stack may always shove, even for less than a full raise
+        const shove = next.tournament ? s.streetBet + s.stack : null;
+        const cap = next.tournament ? shove : next.maxBet;
+        const legal = Number.isInteger(amount) && amount <= cap && (amount >= minTotal || amount === shove);
+        if (!legal) {
+            throw new GameError('BAD_BET', minTotal >= cap
+                ? `You can only go all-in (${cap}).`
+                : `Raise to a whole number between ${minTotal} and ${cap}.`);
+        }
+        if (amount <= s.streetBet || amount <= next.currentBet) {
+            throw new GameError('BAD_BET', next.tournament ? 'That does not raise anything - call instead.' : 'That does not raise anything.');
         }
-        if (amount <= s.streetBet) throw new GameError('BAD_BET', 'That does not raise anything.');
 
         this._commitChips(ctx, index, amount - s.streetBet, { raiseTo: amount });
+        const fullRaise = amount >= minTotal;
         next.currentBet = amount;
         s.acted = true;
-        s.timeouts = 0;
-        // Everyone else must respond to the raise
-        for (const { s: other, i } of this._inHandSeats(next)) {
-            if (i !== index) other.acted = false;
+        this._clearStrikes(s);
+        // Everyone else must respond to a full raise; an all-in for less
+        // only makes them call the difference
+        if (fullRaise) {
+            for (const { s: other, i } of this._inHandSeats(next)) {
+                if (i !== index) other.acted = false;
+            }
         }
-        events.push({ type: 'raise', seat: index, userId, amount });
+        events.push({ type: 'raise', seat: index, userId, amount, allIn: s.allIn === true });
         this._advance(ctx);
     },
 
@@ -399,9 +556,15 @@ const holdemEngine = {
 
         // Blinds are forced, so an AFK player would bleed forever against
         // the auto-deal: two consecutive timeouts sit the player out (the
-        // seat clears when the hand ends).
+        // seat clears when the hand ends). A tournament stack stays and
+        // blinds away instead - it belongs to the tournament, not the table.
         s.timeouts = (s.timeouts || 0) + 1;
-        if (s.timeouts >= 2 && !s.left) {
+        if (next.tournament) {
+            if (s.timeouts >= 2 && !s.away) {
+                s.away = true;
+                events.push({ type: 'away', seat: index, userId: s.userId });
+            }
+        } else if (s.timeouts >= 2 && !s.left) {
             s.left = true;
             events.push({ type: 'sit-out', seat: index, userId: s.userId });
         }
@@ -417,27 +580,43 @@ const holdemEngine = {
 
     /** Move the turn on; close the betting round / hand when it completes. */
     _advance(ctx) {
-        const { next, events } = ctx;
+        const { next } = ctx;
         const alive = this._inHandSeats(next);
+        const pending = s => this._canAct(s) && (!s.acted || s.streetBet < next.currentBet);
 
-        const unresolved = alive.filter(({ s }) => !s.acted || s.streetBet < next.currentBet);
-        if (unresolved.length > 0) {
-            next.activeSeat = this._nextOccupied(
-                next, next.activeSeat,
-                s => !s.folded && s.hand.length > 0 && (!s.acted || s.streetBet < next.currentBet)
-            );
-            next.timer = { action: 'timeout-act', ms: ACT_TIMEOUT_MS };
-            events.push({ type: 'turn', seat: next.activeSeat, userId: next.seats[next.activeSeat].userId });
+        if (alive.some(({ s }) => pending(s))) {
+            next.activeSeat = this._nextOccupied(next, next.activeSeat, pending);
+            this._armTurn(ctx);
             return;
         }
 
-        // Betting round complete - next street or showdown
-        const streetIndex = STREETS.indexOf(next.street);
-        if (streetIndex === STREETS.length - 1) {
+        // Betting round complete - next street or showdown. With at most
+        // one player still able to bet, nobody is left to bet against.
+        if (alive.filter(({ s }) => this._canAct(s)).length <= 1) {
+            this._runOut(ctx);
+            return;
+        }
+        if (next.street === STREETS[STREETS.length - 1]) {
             this._showdown(ctx);
             return;
         }
+        this._dealStreet(ctx);
+
+        // First to act postflop: left of the button
+        next.activeSeat = this._nextOccupied(next, next.button, s => this._canAct(s));
+        this._armTurn(ctx);
+    },
+
+    /** Everyone left is all-in (or one player covers them): deal the rest, then show down. */
+    _runOut(ctx) {
+        while (ctx.next.street !== STREETS[STREETS.length - 1]) this._dealStreet(ctx);
+        this._showdown(ctx);
+    },
 
+    _dealStreet(ctx) {
+        const { next, events } = ctx;
+        const alive = this._inHandSeats(next);
+        const streetIndex = STREETS.indexOf(next.street);
         next.street = STREETS[streetIndex + 1];
         next.currentBet = 0;
         for (const { s } of alive) {
@@ -452,25 +631,15 @@ const holdemEngine = {
             cards: next.community.slice(-dealt).map(formatCard),
             community: next.community.map(formatCard)
         });
-
-        // First to act postflop: left of the button
-        next.activeSeat = this._nextOccupied(next, next.button, s => !s.folded && s.hand.length > 0);
-        next.timer = { action: 'timeout-act', ms: ACT_TIMEOUT_MS };
-        events.push({ type: 'turn', seat: next.activeSeat, userId: next.seats[next.activeSeat].userId });
     },
 
     /** Everyone else folded: the last player takes the pot without a reveal. */
     _awardUncontested(ctx, winnerIndex) {
-        const { next, events, charges } = ctx;
+        const { next, events } = ctx;
         const s = next.seats[winnerIndex];
         s.outcome = 'win';
         s.payout = next.pot;
-        charges.push({
-            userId: s.userId,
-            amount: next.pot,
-            type: 'table-holdem-payout',
-            detail: { handId: next.handId, seat: winnerIndex, uncontested: true }
-        });
+        this._pay(ctx, winnerIndex, next.pot, { uncontested: true });
 
         next.results = {
             handId: next.handId,
@@ -487,37 +656,79 @@ const holdemEngine = {
         events.push({ type: 'settled', pot: next.pot, uncontested: true });
     },
 
+    /** Credit a winner: a wallet payout at a cash table, chips at a tournament one. */
+    _pay({ next, charges }, seatIndex, amount, detail) {
+        const s = next.seats[seatIndex];
+        if (next.tournament) {
+            s.stack += amount;
+            return;
+        }
+        charges.push({
+            userId: s.userId,
+            amount,
+            type: 'table-holdem-payout',
+            detail: { handId: next.handId, seat: seatIndex, ...detail }
+        });
+    },
+
+    /**
+     * Split the pot by contribution level: each all-in caps a pot that only
+     * players who put in at least as much can win. Chips above the highest
+     * live contribution (an uncalled bet) form a last pot for whoever made it.
+     * A cash table never has all-ins, so it is always one pot.
+     * @returns {Array<{amount: number, eligible: Array<{s, i}>}>}
+     */
+    _pots(next, alive) {
+        if (!next.tournament) return [{ amount: next.pot, eligible: alive }];
+        const levels = [...new Set(alive.map(({ s }) => next.contributions[s.userId] || 0))].sort((a, b) => a - b);
+        const pots = [];
+        let floor = 0;
+        for (const level of levels) {
+            let amount = 0;
+            for (const paid of Object.values(next.contributions)) {
+                amount += Math.max(0, Math.min(paid, level) - floor);
+            }
+            const eligible = alive.filter(({ s }) => (next.contributions[s.userId] || 0) >= level);
+            if (amount > 0) pots.push({ amount, eligible });
+            floor = level;
+        }
+        // Folded chips above every live level still belong to the last pot
+        const leftover = next.pot - pots.reduce((sum, pot) => sum + pot.amount, 0);
+        if (leftover > 0 && pots.length > 0) pots[pots.length - 1].amount += leftover;
+        return pots;
+    },
+
     _showdown(ctx) {
-        const { next, events, charges } = ctx;
+        const { next, events } = ctx;
         const alive = this._inHandSeats(next);
 
         const ranked = alive.map(({ s, i }) => {
             const best = bestHand([...s.hand, ...next.community]);
-            return { s, i, best };
+            return { s, i, best, payout: 0, won: false };
         });
-        let top = ranked[0].best.evaluation;
-        for (const r of ranked) {
-            if (compareHands(r.best.evaluation, top) > 0) top = r.best.evaluation;
+        const byIndex = new Map(ranked.map(r => [r.i, r]));
+
+        for (const pot of this._pots(next, alive)) {
+            const contenders = pot.eligible.map(({ i }) => byIndex.get(i));
+            let top = contenders[0].best.evaluation;
+            for (const r of contenders) {
+                if (compareHands(r.best.evaluation, top) > 0) top = r.best.evaluation;
+            }
+            const winners = contenders.filter(r => compareHands(r.best.evaluation, top) === 0);
+            const share = Math.floor(pot.amount / winners.length);
+            let remainder = pot.amount - share * winners.length;
+            for (const r of winners) {
+                r.payout += share + (remainder > 0 ? 1 : 0);
+                if (remainder > 0) remainder--;
+                // Getting an uncalled bet back is not winning anything
+                if (contenders.length > 1) r.won = true;
+            }
         }
-        const winners = ranked.filter(r => compareHands(r.best.evaluation, top) === 0);
 
-        const share = Math.floor(next.pot / winners.length);
-        let remainder = next.pot - share * winners.length;
         const entries = [];
-
         for (const r of ranked) {
-            const won = winners.includes(r);
-            let payout = 0;
-            if (won) {
-                payout = share + (remainder > 0 ? 1 : 0);
-                if (remainder > 0) remainder--;
-                charges.push({
-                    userId: r.s.userId,
-                    amount: payout,
-                    type: 'table-holdem-payout',
-                    detail: { handId: next.handId, seat: r.i, hand: handName(r.best.evaluation) }
-                });
-            }
+            const { won, payout } = r;
+            if (payout > 0) this._pay(ctx, r.i, payout, { hand: handName(r.best.evaluation) });
             r.s.outcome = won ? 'win' : 'lose';
             r.s.payout = payout;
             entries.push({
@@ -561,14 +772,13 @@ const holdemEngine = {
         for (let i = 0; i < next.seats.length; i++) {
             const s = next.seats[i];
             if (!s) continue;
-            if (s.left) { next.seats[i] = null; continue; }
-            s.hand = [];
-            s.folded = false;
-            s.streetBet = 0;
-            s.totalWagered = 0;
-            s.acted = false;
-            s.outcome = null;
-            s.payout = null;
+            // A tournament seat leaves with its last chip (or forfeits by leaving)
+            const busted = next.tournament && (s.left || s.stack === 0);
+            if (busted) {
+                events.push({ type: 'bust', seat: i, userId: s.userId, name: s.name, startStack: s.handStartStack, forfeit: s.left });
+            }
+            if (s.left || busted) { next.seats[i] = null; continue; }
+            this._resetSeat(s);
         }
         next.community = [];
         next.pot = 0;
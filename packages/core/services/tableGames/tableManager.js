@@ -1,6 +1,8 @@
 const db = require('../../db');
 const economyService = require('../economyService');
 const { EconomyError } = require('../economyService');
+const fairnessService = require('../fairnessService');
+const provablyFair = require('../../utils/provablyFair');
 const blackjackEngine = require('./blackjack');
 const rouletteEngine = require('./roulette');
 const baccaratEngine = require('./baccarat');
@@ -25,6 +27,16 @@ const ENGINES = {
     letride: letRideEngine
 };
 
+/** Everyone seated at the round's start or end, or who acted in it. */
+function roundPlayers(steps, finalState = null) {
+    const players = new Set();
+    for (const seat of [...(steps[0]?.state.seats || []), ...(finalState?.seats || [])]) {
+        if (seat) players.add(seat.userId);
+    }
+    for (const step of steps) if (step.action.userId) players.add(step.action.userId);
+    return [...players];
+}
+
 /**
  * The generic multiplayer table layer for Activity games. Owns everything a
  * game engine must not touch:
@@ -35,35 +47,70 @@ const ENGINES = {
  *    taken without the state that took them being durable, and vice versa)
  *  - timers: engines declare `state.timer`; the manager schedules the system
  *    action and cancels stale ones on every transition
- *  - subscribers: connected clients get personalized views + event streams
+ *  - subscribers: connected clients get personalized views + event streams;
+ *    a spectator subscriber gets the public view (as if unseated) even when
+ *    its user holds a seat from another connection
  *  - crash recovery: on boot, escrowed bets from unfinished hands found in
  *    the journal are refunded and the rows cleared
+ *  - provably-fair randomness: every round draws from a committed server
+ *    seed (its hash is in every broadcast before the round starts) and the
+ *    seated players' client seeds. The seed context rides the journal; the
+ *    transition that settles a round reveals the seed and records every
+ *    step of the round through fairnessService, so it can be replayed
+ *  - extension points for layers above a single table (tournaments):
+ *    commit hooks that run inside the journaling transaction and after the
+ *    broadcast, and named timers that die with the manager
+ *
+ * Tournament tables (state.tournament set) hold chips, not escrowed points.
+ * Recovery leaves their journal rows alone for the TournamentDirector, which
+ * resumes them or refunds the whole tournament.
  *
  * Engines are pure state machines; this class is the only side-effect zone.
  */
 class TableManager {
     constructor({ engines = ENGINES } = {}) {
         this.engines = engines;
-        // key -> { key, guildId, channelId, engine, state, subscribers: Set, timer, emptySince }
+        // key -> { key, guildId, channelId, engine, state, fair, subscribers: Set, timer, emptySince }
         this.tables = new Map();
+        // [{ during?(table, transition), after?(table, transition) }]
+        this.commitHooks = [];
+        // name -> Timeout (schedule/cancel)
+        this.schedules = new Map();
     }
 
     _key(guildId, channelId) {
         return `${guildId}:${channelId}`;
     }
 
+    /** The channel's live table, if one is open (never creates or switches one). */
+    findTable({ guildId, channelId }) {
+        return this.tables.get(this._key(guildId, channelId)) || null;
+    }
+
     /**
      * Refund escrowed bets from unfinished hands left in the journal by a
      * crash/restart, then clear the journal. Call once on startup.
      * @returns {{tables: number, refunds: number}}
      */
     async recoverFromJournal() {
-        const rows = await db.all('SELECT guildId, channelId, gameType, state FROM table_games');
+        const rows = await db.all('SELECT guildId, channelId, gameType, state, fairness FROM table_games');
         let refunds = 0;
+        let held = 0;
         for (const row of rows) {
             const engine = this.engines[row.gameType];
             try {
+                // A round cut off by the restart is void either way (refunded
+                // here, rolled back by the tournament director); reveal it
+                await this._voidRound(row, row.fairness ? JSON.parse(row.fairness) : null);
                 const state = JSON.parse(row.state);
+                if (state.tournament) {
+                    await db.run(
+                        'UPDATE table_games SET fairness = NULL WHERE guildId = @guildId AND channelId = @channelId',
+                        { guildId: row.guildId, channelId: row.channelId }
+                    );
+                    held++;
+                    continue;
+                }
                 for (const refund of (engine?.getEscrowRefunds(state) || [])) {
                     await economyService.adjust({
                         guildId: row.guildId,
@@ -77,12 +124,15 @@ class TableManager {
             } catch (error) {
                 console.error('[TableManager] Journal recovery failed for a table:', error.message);
             }
+            await db.run(
+                'DELETE FROM table_games WHERE guildId = @guildId AND channelId = @channelId',
+                { guildId: row.guildId, channelId: row.channelId }
+            );
         }
-        await db.run('DELETE FROM table_games');
         if (rows.length > 0) {
-            console.log(`[TableManager] Recovered ${rows.length} journaled table(s), refunded ${refunds} escrowed bet(s).`);
+            console.log(`[TableManager] Recovered ${rows.length - held} journaled table(s), refunded ${refunds} escrowed bet(s); ${held} tournament table(s) left for the director.`);
         }
-        return { tables: rows.length, refunds };
+        return { tables: rows.length - held, refunds };
     }
 
     /**
@@ -111,15 +161,76 @@ class TableManager {
             channelId,
             engine,
             state: engine.createTable(),
+            fair: this._newFairness(),
+            subscribers: new Set(),
+            timer: null,
+            emptySince: Date.now()
+        };
+        this.tables.set(key, table);
+        await this._journal(table);
+        return table;
+    }
+
+    /**
+     * Open a table that is not the channel's cash table - a tournament
+     * table under a synthetic channel id - from fresh `options`, or from a
+     * journaled `state` being resumed. Journals it and arms its timer.
+     */
+    async openTable({ guildId, channelId, gameType, options = {}, state = null }) {
+        const key = this._key(guildId, channelId);
+        if (this.tables.has(key)) throw new GameError('TABLE_EXISTS', 'That table is already open.');
+        const engine = this.engines[gameType];
+        if (!engine) throw new GameError('BAD_GAME', `Unknown game "${gameType}".`);
+
+        const table = {
+            key,
+            guildId,
+            channelId,
+            engine,
+            state: state || engine.createTable(options),
+            fair: this._newFairness(),
             subscribers: new Set(),
             timer: null,
             emptySince: Date.now()
         };
         this.tables.set(key, table);
         await this._journal(table);
+        this._armTimer(table);
         return table;
     }
 
+    /**
+     * Register a commit hook. `during` runs inside the transaction that
+     * journals a transition (its writes commit or roll back with it);
+     * `after` runs once the new state is live and broadcast, and may act on
+     * other tables. Both receive (table, { state, events, charges, action })
+     * - `table.state` is still the pre-transition state during `during`.
+     */
+    addCommitHook({ during = null, after = null }) {
+        this.commitHooks.push({ during, after });
+    }
+
+    /** Run `fn` once after `ms`, replacing any timer with the same name. */
+    schedule(name, ms, fn) {
+        this.cancel(name);
+        const handle = setTimeout(async () => {
+            this.schedules.delete(name);
+            try {
+                await fn();
+            } catch (error) {
+                console.error(`[TableManager] Scheduled "${name}" failed:`, error);
+            }
+        }, Math.max(0, ms));
+        handle.unref?.();
+        this.schedules.set(name, handle);
+    }
+
+    cancel(name) {
+        const handle = this.schedules.get(name);
+        if (handle) clearTimeout(handle);
+        this.schedules.delete(name);
+    }
+
     /**
      * Swap an empty table's engine in place: cancel any pending timer,
      * journal the fresh state, and push it to attached subscribers. Only
@@ -138,7 +249,11 @@ class TableManager {
         await this._journal(table);
         for (const subscriber of table.subscribers) {
             try {
-                subscriber.send({ type: 'state', view: engine.getView(table.state, subscriber.userId) });
+                subscriber.send({
+                    type: 'state',
+                    view: this._viewFor(table, subscriber),
+                    fairness: this.fairnessView(table, subscriber.userId)
+                });
             } catch (error) {
                 console.warn('[TableManager] Broadcast to a subscriber failed:', error.message);
             }
@@ -147,14 +262,19 @@ class TableManager {
 
     /**
      * Subscribe a connection to a table. `subscriber` is
-     * { userId, name, send(message) } - send receives already-serializable
-     * objects ({ type: 'state', view } / { type: 'events', events }).
+     * { userId, name, spectator?, send(message) } - send receives
+     * already-serializable objects ({ type: 'state', view } /
+     * { type: 'events', events }).
      * @returns {Function} unsubscribe
      */
     subscribe(table, subscriber) {
         table.subscribers.add(subscriber);
         table.emptySince = null;
-        subscriber.send({ type: 'state', view: table.engine.getView(table.state, subscriber.userId) });
+        subscriber.send({
+            type: 'state',
+            view: this._viewFor(table, subscriber),
+            fairness: this.fairnessView(table, subscriber.userId)
+        });
 
         return () => {
             table.subscribers.delete(subscriber);
@@ -173,12 +293,165 @@ class TableManager {
      * @throws {GameError|EconomyError} presentable errors on illegal moves / no funds
      */
     async act({ table, userId, name, action, amount = null, seat = null, kind = null, target = null, isBot = false, system = false }) {
-        const result = table.engine.applyAction(
-            table.state,
-            { userId, name, action, amount, seat, kind, target, isBot, system }
-        );
-        await this._commit(table, result);
-        return result.events;
+        const transition = this._transition(table, { userId, name, action, amount, seat, kind, target, isBot, system });
+        await this._commit(table, transition);
+        return transition.events;
+    }
+
+    /**
+     * Move a player from one table to another: unseat them at `from` and
+     * sit them at `to` with the stack they left with, journaling both
+     * tables in ONE transaction. Neither table's in-memory state changes
+     * (nor anything broadcasts) until both are committed, so a failed sit
+     * leaves the player where they were.
+     * @returns {Array} the sit's events
+     * @throws {GameError} when either table refuses the move
+     */
+    async move({ from, to, userId, name }) {
+        const unseat = this._transition(from, { userId, name, action: 'unseat', system: true });
+        const [unseated] = unseat.events;
+        const sit = this._transition(to, { userId, name, action: 'sit', amount: unseated.stack, system: true });
+        const [fromFair, toFair] = await db.transaction(async () => [
+            await this._persist(from, unseat),
+            await this._persist(to, sit)
+        ]);
+        await this._apply(from, unseat, fromFair);
+        await this._apply(to, sit, toFair);
+        return sit.events;
+    }
+
+    /** Run the engine for one action; nothing is committed yet. */
+    _transition(table, engineAction) {
+        const fair = table.fair;
+        const clientSeed = fair.clientSeed ?? this._roundClientSeed(table);
+        const rng = provablyFair.rngStream({ serverSeed: fair.serverSeed, clientSeed, cursor: fair.cursor });
+        const before = table.state;
+        const result = table.engine.applyAction(before, engineAction, rng);
+        return {
+            ...result,
+            action: engineAction,
+            fairness: this._fairnessAfter(table, { engineAction, before, result, rng, clientSeed })
+        };
+    }
+
+    /**
+     * Choose a client seed for the next round (takes effect when the
+     * current round, if one is drawing, ends). Journaled with the table.
+     * @throws {GameError} BAD_SEED
+     */
+    async setClientSeed(table, userId, clientSeed) {
+        const seed = provablyFair.normalizeClientSeed(clientSeed);
+        if (!seed) {
+            throw new GameError('BAD_SEED', `A client seed is 1-${provablyFair.MAX_CLIENT_SEED_LENGTH} printable characters.`);
+        }
+        table.fair = { ...table.fair, clientSeeds: { ...table.fair.clientSeeds, [userId]: seed } };
+        await this._journal(table);
+        return this.fairnessView(table, userId);
+    }
+
+    /**
+     * What a player sees of the seeds: the commitment for the round being
+     * (or about to be) played, their own client seed, the combined client
+     * seed once the round has drawn, and the last revealed hand.
+     */
+    fairnessView(table, userId) {
+        const fair = table.fair;
+        return {
+            serverSeedHash: fair.serverSeedHash,
+            clientSeed: fair.clientSeeds[userId] ?? null,
+            roundClientSeed: fair.clientSeed,
+            lastHandId: fair.lastHandId
+        };
+    }
+
+    /** A fresh commitment; players' client seeds carry over. */
+    _newFairness(previous = null) {
+        const serverSeed = provablyFair.newServerSeed();
+        return {
+            serverSeed,
+            serverSeedHash: provablyFair.hashSeed(serverSeed),
+            committedAt: new Date().toISOString(),
+            clientSeeds: previous?.clientSeeds || {},
+            clientSeed: null,
+            cursor: 0,
+            steps: [],
+            lastHandId: previous?.lastHandId ?? null
+        };
+    }
+
+    /** Seated players' client seeds in seat order (a player who set none contributes their id). */
+    _roundClientSeed(table) {
+        const seeds = table.state.seats
+            .filter(Boolean)
+            .map(s => table.fair.clientSeeds[s.userId] || s.userId);
+        return seeds.length > 0 ? seeds.join(':') : table.channelId;
+    }
+
+    /**
+     * The seed context after a transition: the first transition that draws
+     * opens the round (its starting state recorded, its client seed fixed
+     * from then on), and every transition after it is a step of the round -
+     * drawing or not - so verification can replay it end to end. One that
+     * settles the round - or resets it unsettled - closes it for reveal and
+     * commits the next server seed.
+     * @returns {{next: Object, round: Object|null}}
+     */
+    _fairnessAfter(table, { engineAction, before, result, rng, clientSeed }) {
+        let next = table.fair;
+        if (rng.draws > 0 || next.steps.length > 0) {
+            next = {
+                ...next,
+                clientSeed,
+                cursor: next.cursor + rng.draws,
+                steps: [...next.steps, {
+                    action: engineAction,
+                    ...(next.steps.length === 0 ? { state: before } : {}),
+                    cursor: next.cursor,
+                    draws: rng.draws,
+                    events: [...result.events],
+                    charges: result.charges
+                }]
+            };
+        }
+        const settled = result.events.some(event => event.type === 'settled');
+        const reset = result.events.some(event => event.type === 'round-reset' || event.type === 'hand-reset');
+        if (next.steps.length === 0 || !(settled || reset)) return { next, round: null };
+
+        const players = roundPlayers(next.steps, result.state);
+        return {
+            next: this._newFairness(next),
+            round: {
+                guildId: table.guildId,
+                source: 'table',
+                game: table.engine.gameType,
+                channelId: table.channelId,
+                status: settled ? 'SETTLED' : 'VOID',
+                players,
+                serverSeed: next.serverSeed,
+                serverSeedHash: next.serverSeedHash,
+                clientSeed: next.clientSeed,
+                steps: next.steps,
+                committedAt: new Date(next.committedAt)
+            }
+        };
+    }
+
+    /** Reveal a journaled round that can no longer finish. */
+    async _voidRound(row, fair) {
+        if (!fair || fair.steps.length === 0) return;
+        await fairnessService.recordRound({
+            guildId: row.guildId,
+            source: 'table',
+            game: row.gameType,
+            channelId: row.channelId,
+            status: 'VOID',
+            players: roundPlayers(fair.steps),
+            serverSeed: fair.serverSeed,
+            serverSeedHash: fair.serverSeedHash,
+            clientSeed: fair.clientSeed,
+            steps: fair.steps,
+            committedAt: new Date(fair.committedAt)
+        });
     }
 
     /**
@@ -186,34 +459,73 @@ class TableManager {
      * state in ONE SQLite transaction, then swap in-memory state, broadcast,
      * and (re)arm the engine-declared timer.
      */
-    async _commit(table, { state, events, charges }) {
-        await db.transaction(async () => {
-            for (const charge of charges) {
-                await economyService.adjust({
-                    guildId: table.guildId,
-                    userId: charge.userId,
-                    amount: charge.amount,
-                    type: charge.type,
-                    detail: typeof charge.detail === 'string' ? charge.detail : JSON.stringify(charge.detail ?? null)
-                });
+    async _commit(table, transition) {
+        const fair = await db.transaction(() => this._persist(table, transition));
+        await this._apply(table, transition, fair);
+    }
+
+    /**
+     * The database half of a commit (run inside a transaction): charges,
+     * the fairness reveal, the journal row and `during` hooks.
+     * @returns {Object} the table's fairness record after the transition
+     */
+    async _persist(table, transition) {
+        const { state, events, charges, fairness = null } = transition;
+        const fair = fairness?.next || table.fair;
+        for (const charge of charges) {
+            await economyService.adjust({
+                guildId: table.guildId,
+                userId: charge.userId,
+                amount: charge.amount,
+                type: charge.type,
+                detail: typeof charge.detail === 'string' ? charge.detail : JSON.stringify(charge.detail ?? null)
+            });
+        }
+        if (fairness?.round) {
+            const round = fairness.round;
+            fair.lastHandId = await fairnessService.recordRound(round);
+            events.push({
+                type: 'fair-reveal',
+                handId: fair.lastHandId,
+                status: round.status,
+                serverSeed: round.serverSeed,
+                serverSeedHash: round.serverSeedHash,
+                clientSeed: round.clientSeed
+            });
+        }
+        await db.run(
+            `INSERT INTO table_games (guildId, channelId, gameType, state, fairness)
+             VALUES (@guildId, @channelId, @gameType, @state, @fairness)
+             ON CONFLICT(guildId, channelId) DO UPDATE SET
+                 gameType = @gameType, state = @state, fairness = @fairness, updatedAt = CURRENT_TIMESTAMP`,
+            {
+                guildId: table.guildId,
+                channelId: table.channelId,
+                gameType: table.engine.gameType,
+                state: JSON.stringify(state),
+                fairness: JSON.stringify(fair)
             }
-            await db.run(
-                `INSERT INTO table_games (guildId, channelId, gameType, state)
-                 VALUES (@guildId, @channelId, @gameType, @state)
-                 ON CONFLICT(guildId, channelId) DO UPDATE SET
-                     gameType = @gameType, state = @state, updatedAt = CURRENT_TIMESTAMP`,
-                {
-                    guildId: table.guildId,
-                    channelId: table.channelId,
-                    gameType: table.engine.gameType,
-                    state: JSON.stringify(state)
-                }
-            );
-        });
+        );
+        for (const hook of this.commitHooks) {
+            if (hook.during) await hook.during(table, transition);
+        }
+        return fair;
+    }
 
-        table.state = state;
-        this._broadcast(table, events);
+    /** The in-memory half, once the transition is committed. */
+    async _apply(table, transition, fair) {
+        table.state = transition.state;
+        table.fair = fair;
+        this._broadcast(table, transition.events);
         this._armTimer(table);
+        for (const hook of this.commitHooks) {
+            if (!hook.after) continue;
+            try {
+                await hook.after(table, transition);
+            } catch (error) {
+                console.error('[TableManager] Commit hook failed:', error);
+            }
+        }
     }
 
     /**
@@ -230,13 +542,19 @@ class TableManager {
         }
     }
 
+    /** A subscriber's view: personalized, or the public one for spectators. */
+    _viewFor(table, subscriber) {
+        return table.engine.getView(table.state, subscriber.spectator ? null : subscriber.userId);
+    }
+
     _broadcast(table, events) {
         for (const subscriber of table.subscribers) {
             try {
                 subscriber.send({
                     type: 'update',
                     events,
-                    view: table.engine.getView(table.state, subscriber.userId)
+                    view: this._viewFor(table, subscriber),
+                    fairness: this.fairnessView(table, subscriber.userId)
                 });
             } catch (error) {
                 console.warn('[TableManager] Broadcast to a subscriber failed:', error.message);
@@ -282,11 +600,12 @@ class TableManager {
     }
 
     /**
-     * Close a table: refund any escrowed bets, cancel timers, clear the
-     * journal row, drop it from memory.
+     * Close a table: refund any escrowed bets, reveal an unfinished round as
+     * void, cancel timers, clear the journal row, drop it from memory.
      */
     async closeTable(table) {
         if (table.timer) clearTimeout(table.timer);
+        table.timer = null;
         await db.transaction(async () => {
             for (const refund of table.engine.getEscrowRefunds(table.state)) {
                 await economyService.adjust({
@@ -297,6 +616,7 @@ class TableManager {
                     detail: JSON.stringify({ reason: 'table-closed' })
                 });
             }
+            await this._voidRound({ guildId: table.guildId, channelId: table.channelId, gameType: table.engine.gameType }, table.fair);
             await db.run(
                 'DELETE FROM table_games WHERE guildId = @guildId AND channelId = @channelId',
                 { guildId: table.guildId, channelId: table.channelId }
@@ -310,19 +630,21 @@ class TableManager {
         for (const table of this.tables.values()) {
             if (table.timer) clearTimeout(table.timer);
         }
+        for (const name of [...this.schedules.keys()]) this.cancel(name);
     }
 
     async _journal(table) {
         await db.run(
-            `INSERT INTO table_games (guildId, channelId, gameType, state)
-             VALUES (@guildId, @channelId, @gameType, @state)
+            `INSERT INTO table_games (guildId, channelId, gameType, state, fairness)
+             VALUES (@guildId, @channelId, @gameType, @state, @fairness)
              ON CONFLICT(guildId, channelId) DO UPDATE SET
-                 gameType = @gameType, state = @state, updatedAt = CURRENT_TIMESTAMP`,
+                 gameType = @gameType, state = @state, fairness = @fairness, updatedAt = CURRENT_TIMESTAMP`,
             {
                 guildId: table.guildId,
                 channelId: table.channelId,
                 gameType: table.engine.gameType,
-                state: JSON.stringify(table.state)
+                state: JSON.stringify(table.state),
+                fairness: JSON.stringify(table.fair)
             }
         );
     }
@@ -0,0 +1,241 @@
+const { ENGINES } = require('./tableManager');
+const { ADVISORS } = require('./botPlayer');
+const { STRATEGIES, strategyFor } = require('./botStrategies');
+const { GameError } = require('./gameError');
+const { rngStream } = require('../../utils/provablyFair');
+
+const DEFAULT_HANDS = 1000;
+const MAX_HANDS = 100000;
+const DEFAULT_BANKROLL = 10000;
+// Bankroll samples kept per player for the drift curve
+const DRIFT_POINTS = 50;
+// Transitions allowed per hand before the run is declared stuck
+const STEPS_PER_HAND = 200;
+
+/** Whether a seat has money down this round (every engine names it differently). */
+function hasWager(seat) {
+    return (seat.bet ?? 0) > 0 || (seat.totalWagered ?? 0) > 0 || (seat.bets?.length ?? 0) > 0;
+}
+
+/**
+ * Whether a simulated player owes a decision on this view. Betting rounds
+ * are opened by whoever bets first here - at a real table the bot follows
+ * a human into the betting window, but a simulated table has no humans.
+ */
+function owesDecision(view, advisor) {
+    const mySeat = view.yourSeat !== null ? view.seats[view.yourSeat] : null;
+    if (!mySeat) return false;
+    if (view.gameType !== 'holdem' && (view.phase === 'waiting' || view.phase === 'betting')) {
+        return !hasWager(mySeat);
+    }
+    return advisor.needsAction(view);
+}
+
+function roundOf(view) {
+    return view.handId ?? view.roundId ?? 0;
+}
+
+/**
+ * Play `hands` rounds of a table game headless: the engine itself, a
+ * seeded RNG, and seats played by strategy profiles - no database, no
+ * timers, no wallets. Each seat keeps a bankroll the engine's charges move;
+ * a move the bankroll cannot cover is rejected the way the wallet would
+ * reject it (the advisor's retreat plays instead), and a seat that cannot
+ * cover the minimum bet busts out.
+ *
+ * The same seed replays the same run. House edge is what the seats lost
+ * per point wagered (0 at hold'em, where seats only play each other);
+ * drift is each bankroll's path over the run.
+ *
+ * @param {Object} params
+ * @param {string} params.gameType
+ * @param {string} params.strategy - the profile under test (seat 0)
+ * @param {Array<string>} [params.opponents] - profiles for the other seats
+ *   (hold'em needs at least one; defaults to a calling station)
+ * @param {number} [params.hands]
+ * @param {string} [params.seed]
+ * @param {number} [params.bankroll] - starting bankroll per seat
+ * @param {number} [params.minBet]
+ * @param {number} [params.maxBet]
+ * @returns {{gameType, seed, hands, stuck, houseEdge, totalWagered, players: Array}}
+ * @throws {GameError} BAD_GAME / BAD_STRATEGY
+ */
+function simulate({
+    gameType,
+    strategy,
+    opponents = null,
+    hands = DEFAULT_HANDS,
+    seed = 'goobster-simulation',
+    bankroll = DEFAULT_BANKROLL,
+    minBet,
+    maxBet
+}) {
+    const engine = ENGINES[gameType];
+    const advisor = ADVISORS[gameType];
+    if (!engine || !advisor || !STRATEGIES[gameType]) {
+        throw new GameError('BAD_GAME', `Games with strategy profiles: ${Object.keys(STRATEGIES).join(', ')}.`);
+    }
+    const lineup = [strategy, ...(opponents ?? (gameType === 'holdem' ? ['station'] : []))];
+    for (const name of lineup) {
+        if (!strategyFor(gameType, name)) {
+            throw new GameError('BAD_STRATEGY', `${gameType} strategies: ${Object.keys(STRATEGIES[gameType]).join(', ')}.`);
+        }
+    }
+    const target = Math.min(MAX_HANDS, Math.max(1, Math.floor(Number(hands)) || DEFAULT_HANDS));
+    const rng = rngStream({ serverSeed: String(seed), clientSeed: `simulate:${gameType}` });
+
+    const players = lineup.map((name, i) => ({
+        userId: `sim-${i}`,
+        strategy: name,
+        profile: strategyFor(gameType, name),
+        memory: {},
+        bankroll: bankroll,
+        wagered: 0,
+        handsPlayed: 0,
+        low: bankroll,
+        high: bankroll,
+        maxDrawdown: 0,
+        bustedAt: null,
+        drift: [bankroll],
+        sitOut: null,
+        seated: true
+    }));
+    const byId = new Map(players.map(p => [p.userId, p]));
+
+    let state = engine.createTable({
+        ...(minBet !== undefined ? { minBet } : {}),
+        ...(maxBet !== undefined ? { maxBet } : {})
+    });
+    let settled = 0;
+    let stuck = false;
+
+    /** Apply a transition; a player move its bankroll cannot cover is refused. */
+    const apply = (action, { covered = false } = {}) => {
+        const result = engine.applyAction(state, action, rng);
+        if (covered) {
+            for (const charge of result.charges) {
+                if (byId.get(charge.userId) && byId.get(charge.userId).bankroll + charge.amount < 0) {
+                    throw new GameError('INSUFFICIENT_FUNDS', 'Not enough bankroll.');
+                }
+            }
+        }
+        state = result.state;
+        for (const charge of result.charges) {
+            const player = byId.get(charge.userId);
+            if (!player) continue;
+            player.bankroll += charge.amount;
+            if (charge.amount < 0) player.wagered -= charge.amount;
+        }
+        if (result.events.some(event => event.type === 'settled')) onSettled();
+    };
+
+    const onSettled = () => {
+        settled++;
+        const every = Math.max(1, Math.floor(target / DRIFT_POINTS));
+        for (const player of players) {
+            if (!player.seated) continue;
+            const view = engine.getView(state, player.userId);
+            const mySeat = view.yourSeat !== null ? view.seats[view.yourSeat] : null;
+            if (mySeat && (mySeat.outcome || hasWager(mySeat))) player.handsPlayed++;
+            player.profile.settle?.(view, player.memory);
+            player.low = Math.min(player.low, player.bankroll);
+            player.high = Math.max(player.high, player.bankroll);
+            player.maxDrawdown = Math.max(player.maxDrawdown, player.high - player.bankroll);
+            if (settled % every === 0) player.drift.push(player.bankroll);
+        }
+    };
+
+    /** One decision by one player; false when it had nothing to do. */
+    const play = (player) => {
+        const view = engine.getView(state, player.userId);
+        if (!owesDecision(view, advisor)) return false;
+        if (player.sitOut === `${roundOf(view)}:${view.phase}`) return false;
+
+        const decision = advisor.legalize(
+            player.profile.decide(view, { memory: player.memory, balance: player.bankroll, rng }),
+            view
+        );
+        if (!decision || decision.pass) {
+            player.sitOut = `${roundOf(view)}:${view.phase}`;
+            return true;
+        }
+        let acted = false;
+        for (const move of decision.actions) {
+            try {
+                apply({ userId: player.userId, name: player.strategy, isBot: true, ...move }, { covered: true });
+                acted = true;
+            } catch (error) {
+                if (!(error instanceof GameError)) throw error;
+                if (acted) break;
+                const retreat = advisor.retreat?.(view) ?? null;
+                try {
+                    if (!retreat) throw error;
+                    apply({ userId: player.userId, action: retreat }, { covered: true });
+                } catch {
+                    player.sitOut = `${roundOf(view)}:${view.phase}`;
+                }
+                break;
+            }
+        }
+        return true;
+    };
+
+    for (const player of players) {
+        apply({ userId: player.userId, name: player.strategy, action: 'sit', isBot: true });
+    }
+
+    let steps = 0;
+    while (settled < target) {
+        if (++steps > target * STEPS_PER_HAND) {
+            stuck = true;
+            break;
+        }
+        // Between rounds, a seat that cannot cover the minimum busts out
+        if (state.phase === 'waiting' || (state.phase === 'betting' && gameType !== 'holdem')) {
+            for (const player of players) {
+                const view = engine.getView(state, player.userId);
+                if (!player.seated || player.bankroll >= view.minBet) continue;
+                if (view.yourSeat !== null && hasWager(view.seats[view.yourSeat])) continue;
+                apply({ userId: player.userId, action: 'leave' });
+                player.seated = false;
+                player.bustedAt = settled;
+            }
+        }
+        if (!players.some(p => p.seated) || (gameType === 'holdem' && players.filter(p => p.seated).length < 2)) break;
+
+        if (players.some(player => player.seated && play(player))) continue;
+        if (!state.timer) {
+            stuck = true;
+            break;
+        }
+        apply({ action: state.timer.action, system: true });
+    }
+
+    const totalWagered = players.reduce((sum, p) => sum + p.wagered, 0);
+    const totalNet = players.reduce((sum, p) => sum + p.bankroll - bankroll, 0);
+    return {
+        gameType,
+        seed: String(seed),
+        hands: settled,
+        stuck,
+        totalWagered,
+        houseEdge: totalWagered > 0 ? (0 - totalNet) / totalWagered : 0,
+        players: players.map(p => ({
+            seat: Number(p.userId.slice(4)),
+            strategy: p.strategy,
+            handsPlayed: p.handsPlayed,
+            startBankroll: bankroll,
+            endBankroll: p.bankroll,
+            net: p.bankroll - bankroll,
+            wagered: p.wagered,
+            edge: p.wagered > 0 ? (p.bankroll - bankroll) / p.wagered : 0,
+            low: p.low,
+            high: p.high,
+            maxDrawdown: p.maxDrawdown,
+            bustedAt: p.bustedAt,
+            drift: p.drift
+        }))
+    };
+}
+
+module.exports = { simulate, DEFAULT_HANDS, MAX_HANDS };
@@ -0,0 +1,129 @@
+/**
+ * Tournament arithmetic - pure functions, no I/O: blind levels, how the
+ * prize pool splits, the opening seat draw, and which players move when
+ * tables get uneven or one can be broken.
+ */
+
+// Big blinds per level for a 1,500-chip starting stack; other stacks scale.
+// Past the last level the big blind keeps doubling.
+const BLIND_LEVELS = [20, 30, 40, 60, 80, 100, 150, 200, 300, 400, 600, 800, 1000, 1500, 2000, 3000];
+const REFERENCE_STACK = 1500;
+
+// Percent of the pool per finishing place, by field size (first match wins)
+const PAYOUT_TABLE = [
+    { maxEntrants: 4, percents: [100] },
+    { maxEntrants: 7, percents: [65, 35] },
+    { maxEntrants: 12, percents: [50, 30, 20] },
+    { maxEntrants: 20, percents: [40, 25, 17, 11, 7] },
+    { maxEntrants: Infinity, percents: [30, 20, 14, 10, 8, 6, 5, 4, 3] }
+];
+
+/**
+ * Big blind at a level (0-based), scaled to the starting stack and kept
+ * even so the small blind is exactly half.
+ */
+function bigBlind(level, startingStack = REFERENCE_STACK) {
+    const last = BLIND_LEVELS.length - 1;
+    const base = level <= last ? BLIND_LEVELS[level] : BLIND_LEVELS[last] * 2 ** (level - last);
+    const scaled = Math.round((base * startingStack) / REFERENCE_STACK);
+    return Math.max(2, scaled + (scaled % 2));
+}
+
+/**
+ * The prize for each paid place, best first. Amounts are whole points and
+ * always sum to the pool (rounding dust goes to first place).
+ * @returns {Array<number>}
+ */
+function payouts(entrants, pool) {
+    if (entrants <= 0 || pool <= 0) return [];
+    const { percents } = PAYOUT_TABLE.find(row => entrants <= row.maxEntrants);
+    const paid = percents.slice(0, Math.max(1, entrants - 1));
+    const total = paid.reduce((sum, p) => sum + p, 0);
+    const amounts = paid.map(p => Math.floor((pool * p) / total));
+    amounts[0] += pool - amounts.reduce((sum, a) => sum + a, 0);
+    return amounts;
+}
+
+/**
+ * The opening draw: shuffle the field, then deal players round-robin onto
+ * as few tables as fit, so table sizes differ by at most one.
+ * @returns {Array<Array<string>>} players per table, table 1 first
+ */
+function seatDraw(players, tableSize, rng = Math.random) {
+    const order = [...players];
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    const tables = Array.from({ length: Math.ceil(order.length / tableSize) }, () => []);
+    order.forEach((player, i) => tables[i % tables.length].push(player));
+    return tables;
+}
+
+/**
+ * Moves that keep a multi-table field even. Only `movable` tables (between
+ * hands) can give players up; any table can receive them.
+ *
+ *  - When the field fits on one table fewer, the table with the fewest
+ *    players (highest number on a tie) breaks and its players fill the
+ *    shortest tables first.
+ *  - Otherwise a movable table two or more players above the shortest
+ *    sends one player at a time until that is no longer true.
+ *
+ * @param {{tables: Array<{tableNo: number, count: number, movable: boolean}>, tableSize: number}} params
+ * @returns {Array<{from: number, to: number}>} one entry per player moved
+ */
+function rebalance({ tables, tableSize }) {
+    if (tables.length < 2) return [];
+    const counts = new Map(tables.map(t => [t.tableNo, t.count]));
+    const movable = new Set(tables.filter(t => t.movable).map(t => t.tableNo));
+    const total = tables.reduce((sum, t) => sum + t.count, 0);
+    const moves = [];
+    const shortest = (exclude = null) => [...counts.entries()]
+        .filter(([tableNo]) => tableNo !== exclude)
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0])[0];
+
+    if (Math.ceil(total / tableSize) < tables.length) {
+        const [breaking] = [...counts.entries()].sort((a, b) => a[1] - b[1] || b[0] - a[0])[0];
+        if (!movable.has(breaking)) return [];
+        for (let left = counts.get(breaking); left > 0; left--) {
+            const [to] = shortest(breaking);
+            counts.set(to, counts.get(to) + 1);
+            moves.push({ from: breaking, to });
+        }
+        return moves;
+    }
+
+    for (;;) {
+        const [minNo, min] = shortest();
+        const donor = [...counts.entries()]
+            .filter(([tableNo, count]) => movable.has(tableNo) && count - min >= 2)
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+        if (!donor) return moves;
+        counts.set(donor[0], donor[1] - 1);
+        counts.set(minNo, min + 1);
+        moves.push({ from: donor[0], to: minNo });
+    }
+}
+
+/**
+ * Finishing places for players who busted in the same hand: whoever
+ * started the hand with more chips finishes higher.
+ * @param {Array<{userId: string, startStack: number}>} busts
+ * @param {number} remaining - players still in before these busts
+ * @returns {Array<{userId: string, place: number}>}
+ */
+function bustPlaces(busts, remaining) {
+    return [...busts]
+        .sort((a, b) => (b.startStack || 0) - (a.startStack || 0))
+        .map((bust, i) => ({ userId: bust.userId, place: remaining - busts.length + 1 + i }));
+}
+
+module.exports = {
+    BLIND_LEVELS,
+    bigBlind,
+    payouts,
+    seatDraw,
+    rebalance,
+    bustPlaces
+};
@@ -0,0 +1,614 @@
+const db = require('../../db');
+const economyService = require('../economyService');
+const tournamentMath = require('./tournamentMath');
+const { GameError } = require('./gameError');
+
+// Games with a chip-stack (tournament) mode
+const TOURNAMENT_GAMES = new Set(['holdem']);
+const FORMATS = ['SNG', 'MTT'];
+const DEFAULT_STACK = 1500;
+const DEFAULT_LEVEL_MINUTES = 10;
+const DEFAULT_MTT_FIELD = 18;
+const MAX_MTT_FIELD = 60;
+
+/** Synthetic channel id a tournament table lives under in TableManager/table_games. */
+function tableChannelId(tournamentId, tableNo) {
+    return `tournament-${tournamentId}-${tableNo}`;
+}
+
+function parseSqlTime(text) {
+    return text ? new Date(`${text.replace(' ', 'T')}Z`) : null;
+}
+
+/**
+ * Sit-and-go and multi-table tournaments on top of TableManager.
+ *
+ *  - Buy-ins leave the wallet on registration (`tournament-buyin`) and form
+ *    the prize pool; players get a starting stack of tournament chips that
+ *    only exist inside the tables.
+ *  - A sit-and-go starts by itself when full; a multi-table tournament
+ *    starts when its organizer says so. Tables are ordinary TableManager
+ *    tables in chip mode, one per `tournament-<id>-<tableNo>`.
+ *  - Blind levels run on a manager timer; the next level's start is stored
+ *    so a restart re-arms the clock.
+ *  - Busts are recorded by a commit hook in the same transaction that
+ *    journals the hand, so a finishing place can never disagree with the
+ *    table. Between hands, players move to keep tables even and short
+ *    tables break until the final table; the last player standing ends it
+ *    and the pool pays out (`tournament-prize`).
+ *  - Recovery: a running tournament whose journaled tables account for
+ *    every remaining player resumes (an unfinished hand is rolled back into
+ *    the stacks); anything less is cancelled and every buy-in refunded.
+ */
+class TournamentDirector {
+    constructor({ tableManager, rng = Math.random }) {
+        this.tableManager = tableManager;
+        this.rng = rng;
+        // tournamentId -> tail of its serialized balancing work
+        this.queues = new Map();
+        tableManager.addCommitHook({
+            during: (table, transition) => this._recordBusts(table, transition),
+            after: (table, transition) => this._afterCommit(table, transition)
+        });
+    }
+
+    /**
+     * Announce a tournament; registration opens immediately.
+     * @returns {Promise<Object>} the tournaments row
+     */
+    async create({
+        guildId, channelId, createdBy, format = 'SNG', gameType = 'holdem', buyIn,
+        startingStack = DEFAULT_STACK, maxPlayers = null, tableSize = null, levelMinutes = DEFAULT_LEVEL_MINUTES
+    }) {
+        if (!TOURNAMENT_GAMES.has(gameType)) {
+            throw new GameError('BAD_GAME', 'Tournaments are hold\'em only for now.');
+        }
+        if (!FORMATS.includes(format)) throw new GameError('BAD_TOURNAMENT', 'Format must be SNG or MTT.');
+        const seats = this.tableManager.engines[gameType].seatCount;
+        const size = tableSize ?? seats;
+        if (!Number.isInteger(size) || size < 2 || size > seats) {
+            throw new GameError('BAD_TOURNAMENT', `Tables seat 2 to ${seats} players.`);
+        }
+        const field = maxPlayers ?? (format === 'SNG' ? size : DEFAULT_MTT_FIELD);
+        const fieldCap = format === 'SNG' ? size : MAX_MTT_FIELD;
+        if (!Number.isInteger(field) || field < 2 || field > fieldCap) {
+            throw new GameError('BAD_TOURNAMENT', format === 'SNG'
+                ? `A sit-and-go is one table: 2 to ${size} players.`
+                : `A multi-table tournament takes 2 to ${MAX_MTT_FIELD} players.`);
+        }
+        if (!Number.isInteger(buyIn) || buyIn < 0) throw new GameError('BAD_TOURNAMENT', 'The buy-in must be a whole number of points.');
+        if (!Number.isInteger(startingStack) || startingStack < 100) {
+            throw new GameError('BAD_TOURNAMENT', 'Starting stacks must be at least 100 chips.');
+        }
+        if (!(levelMinutes > 0 && levelMinutes <= 120)) {
+            throw new GameError('BAD_TOURNAMENT', 'Blind levels last at most 120 minutes.');
+        }
+
+        const id = await db.insert(
+            `INSERT INTO tournaments (guildId, channelId, gameType, format, buyIn, startingStack, maxPlayers, tableSize, levelMinutes, createdBy)
+             VALUES (@guildId, @channelId, @gameType, @format, @buyIn, @startingStack, @maxPlayers, @tableSize, @levelMinutes, @createdBy)`,
+            { guildId, channelId, gameType, format, buyIn, startingStack, maxPlayers: field, tableSize: size, levelMinutes, createdBy }
+        );
+        return this.get(guildId, id);
+    }
+
+    async get(guildId, tournamentId) {
+        const tournament = await db.get(
+            'SELECT * FROM tournaments WHERE id = @id AND guildId = @guildId',
+            { id: tournamentId, guildId }
+        );
+        if (!tournament) throw new GameError('NO_TOURNAMENT', `There is no tournament #${tournamentId} here.`);
+        return tournament;
+    }
+
+    /** Open and running tournaments in a guild, newest first. */
+    async list(guildId) {
+        return db.all(
+            `SELECT t.*, (SELECT COUNT(*) FROM tournament_entries e WHERE e.tournamentId = t.id AND e.status != 'REFUNDED') AS entrants
+             FROM tournaments t WHERE t.guildId = @guildId AND t.status IN ('REGISTERING', 'RUNNING')
+             ORDER BY t.id DESC`,
+            { guildId }
+        );
+    }
+
+    /**
+     * Pay the buy-in and take a spot. Filling a sit-and-go starts it.
+     * @returns {Promise<{tournament: Object, entrants: number, started: boolean}>}
+     */
+    async register({ guildId, tournamentId, userId, name }) {
+        const entrants = await db.transaction(async () => {
+            const tournament = await this.get(guildId, tournamentId);
+            if (tournament.status !== 'REGISTERING') throw new GameError('NOT_REGISTERING', 'Registration is closed.');
+            const existing = await db.get(
+                'SELECT 1 AS ok FROM tournament_entries WHERE tournamentId = @tournamentId AND userId = @userId',
+                { tournamentId, userId }
+            );
+            if (existing) throw new GameError('ALREADY_REGISTERED', 'You are already registered.');
+            const count = await this._entrantCount(tournamentId);
+            if (count >= tournament.maxPlayers) throw new GameError('TOURNAMENT_FULL', 'The tournament is full.');
+
+            if (tournament.buyIn > 0) {
+                await economyService.adjust({
+                    guildId, userId, amount: -tournament.buyIn, type: 'tournament-buyin',
+                    detail: JSON.stringify({ tournamentId })
+                });
+            }
+            await db.run(
+                `INSERT INTO tournament_entries (tournamentId, guildId, userId, name)
+                 VALUES (@tournamentId, @guildId, @userId, @name)`,
+                { tournamentId, guildId, userId, name: name || null }
+            );
+            await db.run(
+                'UPDATE tournaments SET prizePool = prizePool + @buyIn WHERE id = @tournamentId',
+                { tournamentId, buyIn: tournament.buyIn }
+            );
+            return count + 1;
+        });
+
+        let tournament = await this.get(guildId, tournamentId);
+        let started = false;
+        if (tournament.format === 'SNG' && entrants >= tournament.maxPlayers) {
+            await this.start({ guildId, tournamentId, byUserId: null, canManage: true });
+            tournament = await this.get(guildId, tournamentId);
+            started = true;
+        }
+        return { tournament, entrants, started };
+    }
+
+    /** Give the spot back before the start; the buy-in is refunded. */
+    async unregister({ guildId, tournamentId, userId }) {
+        await db.transaction(async () => {
+            const tournament = await this.get(guildId, tournamentId);
+            if (tournament.status !== 'REGISTERING') {
+                throw new GameError('NOT_REGISTERING', 'The tournament has started - forfeit from the table instead.');
+            }
+            const removed = (await db.run(
+                'DELETE FROM tournament_entries WHERE tournamentId = @tournamentId AND userId = @userId',
+                { tournamentId, userId }
+            )).changes;
+            if (removed === 0) throw new GameError('NOT_REGISTERED', 'You are not registered.');
+            if (tournament.buyIn > 0) {
+                await economyService.adjust({
+                    guildId, userId, amount: tournament.buyIn, type: 'tournament-refund',
+                    detail: JSON.stringify({ tournamentId, reason: 'unregistered' })
+                });
+            }
+            await db.run(
+                'UPDATE tournaments SET prizePool = prizePool - @buyIn WHERE id = @tournamentId',
+                { tournamentId, buyIn: tournament.buyIn }
+            );
+        });
+    }
+
+    /**
+     * Close registration, draw seats, open the tables, start the clock.
+     * Only the organizer (or a server manager) may start one by hand.
+     */
+    async start({ guildId, tournamentId, byUserId, canManage = false }) {
+        const tournament = await this.get(guildId, tournamentId);
+        this._assertOrganizer(tournament, byUserId, canManage);
+        if (tournament.status !== 'REGISTERING') throw new GameError('NOT_REGISTERING', 'The tournament already started.');
+        const entries = await db.all(
+            `SELECT userId, name FROM tournament_entries WHERE tournamentId = @tournamentId ORDER BY registeredAt, userId`,
+            { tournamentId }
+        );
+        if (entries.length < 2) throw new GameError('NOT_ENOUGH_PLAYERS', 'A tournament needs at least 2 players.');
+
+        const names = new Map(entries.map(entry => [entry.userId, entry.name]));
+        const draw = tournamentMath.seatDraw(entries.map(entry => entry.userId), tournament.tableSize, this.rng);
+        const levelEndsAt = new Date(Date.now() + tournament.levelMinutes * 60000);
+        const opened = [];
+
+        try {
+            await db.transaction(async () => {
+                await db.run(
+                    `UPDATE tournaments SET status = 'RUNNING', level = 0, levelEndsAt = @levelEndsAt, startedAt = CURRENT_TIMESTAMP
+                     WHERE id = @tournamentId`,
+                    { tournamentId, levelEndsAt }
+                );
+                await db.run(
+                    `UPDATE tournament_entries SET status = 'PLAYING' WHERE tournamentId = @tournamentId`,
+                    { tournamentId }
+                );
+                for (const [index, players] of draw.entries()) {
+                    const table = await this.tableManager.openTable({
+                        guildId,
+                        channelId: tableChannelId(tournamentId, index + 1),
+                        gameType: tournament.gameType,
+                        options: {
+                            minBet: tournamentMath.bigBlind(0, tournament.startingStack),
+                            tournament: { id: tournamentId, tableNo: index + 1 }
+                        }
+                    });
+                    opened.push(table);
+                    for (const userId of players) {
+                        await this.tableManager.act({
+                            table, userId, name: names.get(userId), action: 'sit',
+                            amount: tournament.startingStack, system: true
+                        });
+                    }
+                }
+            });
+        } catch (error) {
+            for (const table of opened) {
+                if (table.timer) clearTimeout(table.timer);
+                this.tableManager.tables.delete(table.key);
+            }
+            throw error;
+        }
+
+        this._scheduleLevel({ ...tournament, levelEndsAt });
+        return this.standings({ guildId, tournamentId });
+    }
+
+    /**
+     * Call it off: every buy-in goes back (busted players included - an
+     * unfinished tournament has no results) and its tables close.
+     */
+    async cancel({ guildId, tournamentId, byUserId = null, canManage = false, reason = 'cancelled' }) {
+        const tournament = await this.get(guildId, tournamentId);
+        this._assertOrganizer(tournament, byUserId, canManage);
+        if (!['REGISTERING', 'RUNNING'].includes(tournament.status)) {
+            throw new GameError('TOURNAMENT_OVER', 'That tournament is already over.');
+        }
+        const refunded = await this._refundAll(tournament, reason);
+        await this._closeTables(tournamentId);
+        return { tournament: await this.get(guildId, tournamentId), refunded };
+    }
+
+    /**
+     * The table a player should watch: their own seat while they are in,
+     * otherwise the lowest-numbered table still running.
+     */
+    async tableFor({ guildId, tournamentId, userId }) {
+        const tournament = await this.get(guildId, tournamentId);
+        if (tournament.status !== 'RUNNING') {
+            throw new GameError('NOT_RUNNING', tournament.status === 'REGISTERING'
+                ? 'The tournament has not started yet.'
+                : 'The tournament is over.');
+        }
+        const tables = this._tablesOf(tournamentId);
+        if (tables.length === 0) throw new GameError('NOT_RUNNING', 'The tournament has no open tables.');
+        return tables.find(table => table.state.seats.some(s => s && s.userId === userId)) || tables[0];
+    }
+
+    /**
+     * Who is still in (chip counts from the live tables), who went out
+     * where, the blinds, and what the pool pays.
+     */
+    async standings({ guildId, tournamentId }) {
+        const tournament = await this.get(guildId, tournamentId);
+        const entries = await db.all(
+            `SELECT userId, name, status, place, prize FROM tournament_entries
+             WHERE tournamentId = @tournamentId AND status != 'REFUNDED'`,
+            { tournamentId }
+        );
+        const chips = new Map();
+        const tableOf = new Map();
+        for (const table of this._tablesOf(tournamentId)) {
+            for (const count of table.engine.chipCounts(table.state)) {
+                chips.set(count.userId, count.stack);
+                tableOf.set(count.userId, table.state.tournament.tableNo);
+            }
+        }
+        const alive = entries
+            .filter(entry => entry.status === 'PLAYING' || entry.status === 'REGISTERED')
+            .map(entry => ({ ...entry, chips: chips.get(entry.userId) ?? null, tableNo: tableOf.get(entry.userId) ?? null }))
+            .sort((a, b) => (b.chips || 0) - (a.chips || 0));
+        const finished = entries
+            .filter(entry => entry.place !== null)
+            .sort((a, b) => a.place - b.place);
+
+        return {
+            tournament,
+            entrants: entries.length,
+            alive,
+            finished,
+            blinds: {
+                level: tournament.level + 1,
+                big: tournamentMath.bigBlind(tournament.level, tournament.startingStack),
+                nextBig: tournamentMath.bigBlind(tournament.level + 1, tournament.startingStack),
+                nextLevelAt: tournament.status === 'RUNNING' ? parseSqlTime(tournament.levelEndsAt) : null
+            },
+            payouts: tournamentMath.payouts(entries.length, tournament.prizePool),
+            tables: this._tablesOf(tournamentId).length
+        };
+    }
+
+    /**
+     * Boot-time recovery, after TableManager.recoverFromJournal() (which
+     * leaves tournament rows alone).
+     * @returns {Promise<{resumed: number, refunded: number}>}
+     */
+    async recover() {
+        const rows = await db.all('SELECT guildId, channelId, gameType, state FROM table_games');
+        const byTournament = new Map();
+        for (const row of rows) {
+            let state;
+            try {
+                state = JSON.parse(row.state);
+            } catch {
+                continue;
+            }
+            if (!state.tournament) continue;
+            const list = byTournament.get(state.tournament.id) || [];
+            list.push({ ...row, state });
+            byTournament.set(state.tournament.id, list);
+        }
+
+        let resumed = 0;
+        let refunded = 0;
+        const running = await db.all(`SELECT * FROM tournaments WHERE status = 'RUNNING'`);
+        for (const tournament of running) {
+            const journaled = byTournament.get(tournament.id) || [];
+            byTournament.delete(tournament.id);
+            if (await this._resumable(tournament, journaled)) {
+                for (const row of journaled) {
+                    const engine = this.tableManager.engines[row.gameType];
+                    await this.tableManager.openTable({
+                        guildId: row.guildId,
+                        channelId: row.channelId,
+                        gameType: row.gameType,
+                        state: engine.rollbackHand(row.state)
+                    });
+                }
+                this._scheduleLevel(tournament);
+                resumed++;
+            } else {
+                await this._refundAll(tournament, 'restart-recovery');
+                await this._deleteJournal(tournament.id);
+                refunded++;
+            }
+        }
+        // Rows left over belong to tournaments that are no longer running
+        for (const tournamentId of byTournament.keys()) await this._deleteJournal(tournamentId);
+
+        if (resumed + refunded > 0) {
+            console.log(`[Tournaments] Resumed ${resumed} running tournament(s), refunded ${refunded}.`);
+        }
+        return { resumed, refunded };
+    }
+
+    // ------------------------------------------------------------------
+    // Internals
+    // ------------------------------------------------------------------
+
+    _assertOrganizer(tournament, byUserId, canManage) {
+        if (!canManage && tournament.createdBy !== byUserId) {
+            throw new GameError('NOT_ORGANIZER', 'Only the organizer (or a server manager) can do that.');
+        }
+    }
+
+    async _entrantCount(tournamentId) {
+        return (await db.get(
+            `SELECT COUNT(*) AS c FROM tournament_entries WHERE tournamentId = @tournamentId AND status != 'REFUNDED'`,
+            { tournamentId }
+        )).c;
+    }
+
+    _tablesOf(tournamentId) {
+        return [...this.tableManager.tables.values()]
+            .filter(table => table.state.tournament?.id === tournamentId)
+            .sort((a, b) => a.state.tournament.tableNo - b.state.tournament.tableNo);
+    }
+
+    /** Every remaining player sits at exactly one journaled table. */
+    async _resumable(tournament, journaled) {
+        if (journaled.length === 0) return false;
+        const seated = journaled.flatMap(row => row.state.seats.filter(Boolean).map(s => s.userId));
+        const playing = (await db.all(
+            `SELECT userId FROM tournament_entries WHERE tournamentId = @id AND status = 'PLAYING'`,
+            { id: tournament.id }
+        )).map(row => row.userId);
+        return seated.length === playing.length
+            && new Set(seated).size === seated.length
+            && playing.every(userId => seated.includes(userId));
+    }
+
+    async _refundAll(tournament, reason) {
+        return db.transaction(async () => {
+            const entries = await db.all(
+                `SELECT userId FROM tournament_entries WHERE tournamentId = @id AND status != 'REFUNDED'`,
+                { id: tournament.id }
+            );
+            if (tournament.buyIn > 0) {
+                for (const entry of entries) {
+                    await economyService.adjust({
+                        guildId: tournament.guildId, userId: entry.userId, amount: tournament.buyIn,
+                        type: 'tournament-refund', detail: JSON.stringify({ tournamentId: tournament.id, reason })
+                    });
+                }
+            }
+            await db.run(
+                `UPDATE tournament_entries SET status = 'REFUNDED', place = NULL WHERE tournamentId = @id`,
+                { id: tournament.id }
+            );
+            await db.run(
+                `UPDATE tournaments SET status = 'CANCELLED', cancelReason = @reason, prizePool = 0,
+                     levelEndsAt = NULL, finishedAt = CURRENT_TIMESTAMP
+                 WHERE id = @id`,
+                { id: tournament.id, reason }
+            );
+            return entries.length;
+        });
+    }
+
+    async _closeTables(tournamentId) {
+        this.tableManager.cancel(`tournament-${tournamentId}-level`);
+        for (const table of this._tablesOf(tournamentId)) await this.tableManager.closeTable(table);
+        await this._deleteJournal(tournamentId);
+    }
+
+    async _deleteJournal(tournamentId) {
+        await db.run(
+            'DELETE FROM table_games WHERE channelId LIKE @pattern',
+            { pattern: `${tableChannelId(tournamentId, '')}%` }
+        );
+    }
+
+    _scheduleLevel(tournament) {
+        const endsAt = tournament.levelEndsAt instanceof Date
+            ? tournament.levelEndsAt
+            : parseSqlTime(tournament.levelEndsAt);
+        if (!endsAt) return;
+        this.tableManager.schedule(
+            `tournament-${tournament.id}-level`,
+            endsAt.getTime() - Date.now(),
+            () => this._levelUp(tournament.guildId, tournament.id)
+        );
+    }
+
+    /** The blind clock: next level, new blinds on every table (from each one's next deal). */
+    async _levelUp(guildId, tournamentId) {
+        const tournament = await this.get(guildId, tournamentId);
+        if (tournament.status !== 'RUNNING') return;
+        const level = tournament.level + 1;
+        const levelEndsAt = new Date(Date.now() + tournament.levelMinutes * 60000);
+        await db.run(
+            'UPDATE tournaments SET level = @level, levelEndsAt = @levelEndsAt WHERE id = @tournamentId',
+            { tournamentId, level, levelEndsAt }
+        );
+        const big = tournamentMath.bigBlind(level, tournament.startingStack);
+        for (const table of this._tablesOf(tournamentId)) {
+            await this.tableManager.act({ table, action: 'set-blinds', amount: big, system: true });
+        }
+        this._scheduleLevel({ ...tournament, levelEndsAt });
+    }
+
+    /**
+     * Commit hook, inside the journaling transaction: record this hand's
+     * busts and, when one player is left, finish and pay out.
+     */
+    async _recordBusts(table, { state, events }) {
+        const tournamentId = state.tournament?.id;
+        const busts = events.filter(event => event.type === 'bust');
+        if (!tournamentId || busts.length === 0) return;
+
+        const remaining = (await db.get(
+            `SELECT COUNT(*) AS c FROM tournament_entries WHERE tournamentId = @tournamentId AND status = 'PLAYING'`,
+            { tournamentId }
+        )).c;
+        for (const { userId, place } of tournamentMath.bustPlaces(busts, remaining)) {
+            await db.run(
+                `UPDATE tournament_entries SET status = 'BUSTED', place = @place, bustedAt = CURRENT_TIMESTAMP
+                 WHERE tournamentId = @tournamentId AND userId = @userId AND status = 'PLAYING'`,
+                { tournamentId, userId, place }
+            );
+        }
+        if (remaining - busts.length <= 1) await this._finish(table.guildId, tournamentId);
+    }
+
+    async _finish(guildId, tournamentId) {
+        const tournament = await this.get(guildId, tournamentId);
+        await db.run(
+            `UPDATE tournament_entries SET status = 'WON', place = 1
+             WHERE tournamentId = @tournamentId AND status = 'PLAYING'`,
+            { tournamentId }
+        );
+        const prizes = tournamentMath.payouts(await this._entrantCount(tournamentId), tournament.prizePool);
+        const placed = await db.all(
+            `SELECT userId, place FROM tournament_entries
+             WHERE tournamentId = @tournamentId AND place IS NOT NULL AND place <= @paid ORDER BY place`,
+            { tournamentId, paid: prizes.length }
+        );
+        for (const { userId, place } of placed) {
+            const prize = prizes[place - 1];
+            if (!prize) continue;
+            await economyService.adjust({
+                guildId, userId, amount: prize, type: 'tournament-prize',
+                detail: JSON.stringify({ tournamentId, place })
+            });
+            await db.run(
+                'UPDATE tournament_entries SET prize = @prize WHERE tournamentId = @tournamentId AND userId = @userId',
+                { tournamentId, userId, prize }
+            );
+        }
+        await db.run(
+            `UPDATE tournaments SET status = 'FINISHED', levelEndsAt = NULL, finishedAt = CURRENT_TIMESTAMP
+             WHERE id = @tournamentId`,
+            { tournamentId }
+        );
+    }
+
+    /**
+     * Commit hook, after the broadcast: a finished tournament closes its
+     * tables; otherwise every hand reset (or bust) is a chance to balance.
+     */
+    async _afterCommit(table, { state, events }) {
+        const tournamentId = state.tournament?.id;
+        if (!tournamentId) return;
+        if (!events.some(event => event.type === 'hand-reset' || event.type === 'bust')) return;
+
+        await this._serialize(tournamentId, async () => {
+            const tournament = await this.get(table.guildId, tournamentId);
+            if (tournament.status === 'FINISHED') {
+                const winner = await db.get(
+                    `SELECT userId, name FROM tournament_entries WHERE tournamentId = @tournamentId AND place = 1`,
+                    { tournamentId }
+                );
+                for (const open of this._tablesOf(tournamentId)) {
+                    this.tableManager.notify(open, {
+                        type: 'tournament-finished', tournamentId, winnerId: winner?.userId ?? null, winnerName: winner?.name ?? null
+                    });
+                }
+                await this._closeTables(tournamentId);
+                return;
+            }
+            if (tournament.status === 'RUNNING') await this._balance(tournament);
+        });
+    }
+
+    /** Run balancing for one tournament at a time, in arrival order. */
+    _serialize(tournamentId, work) {
+        const tail = (this.queues.get(tournamentId) || Promise.resolve()).then(work);
+        const settled = tail.catch(() => {});
+        this.queues.set(tournamentId, settled);
+        settled.then(() => {
+            if (this.queues.get(tournamentId) === settled) this.queues.delete(tournamentId);
+        });
+        return tail;
+    }
+
+    /**
+     * Move players off tables that are between hands until the field is
+     * even (or a short table has broken), then close emptied tables. Each
+     * move is one TableManager.move, so neither a crash nor a refused sit
+     * can leave a player at no table (or two).
+     */
+    async _balance(tournament) {
+        const tables = this._tablesOf(tournament.id);
+        const byNo = new Map(tables.map(table => [table.state.tournament.tableNo, table]));
+        const moves = tournamentMath.rebalance({
+            tableSize: tournament.tableSize,
+            tables: tables.map(table => ({
+                tableNo: table.state.tournament.tableNo,
+                count: table.state.seats.filter(Boolean).length,
+                movable: table.state.phase === 'waiting'
+            }))
+        });
+
+        for (const move of moves) {
+            const from = byNo.get(move.from);
+            const to = byNo.get(move.to);
+            // The highest occupied seat moves
+            const seat = [...from.state.seats].reverse().find(Boolean);
+            if (!seat) continue;
+            try {
+                await this.tableManager.move({ from, to, userId: seat.userId, name: seat.name });
+            } catch (error) {
+                // The source dealt a hand meanwhile; its next reset retries
+                if (error instanceof GameError) break;
+                throw error;
+            }
+            this.tableManager.notify(from, {
+                type: 'tournament-move', tournamentId: tournament.id, userId: seat.userId, tableNo: move.to
+            });
+        }
+
+        for (const table of tables) {
+            if (table.engine.isEmpty(table.state)) await this.tableManager.closeTable(table);
+        }
+    }
+}
+
+module.exports = { TournamentDirector, tableChannelId };
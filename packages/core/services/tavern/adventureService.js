@@ -11,6 +11,13 @@ const RECAP_MAX_BEATS = 20;
 const ATTACK_DAMAGE = 2;
 const CRIT_BONUS_DAMAGE = 1;
 
+/**
+ * How a party plays: LIVE at one sitting, or POSTED (play-by-post - each
+ * round is a posting window; services/tavern/playByPostService.js).
+ */
+const PACES = Object.freeze(['LIVE', 'POSTED']);
+const POST_HOURS = Object.freeze({ min: 1, max: 168, default: 24 });
+
 /**
  * Keyword fallback for freeform actions when no AI provider is available (or
  * the model answer is unusable). Deterministic and cheap.
@@ -33,9 +40,13 @@ const STAT_KEYWORDS = Object.freeze({
 class AdventureService {
     /**
      * @param {Function} [rng] - returns [0,1); injectable for tests
+     * @param {Object} [options]
+     * @param {Object<string, Object>} [options.quests] - questId -> quest
+     *   consulted before the loader (the web editor's sandbox plays drafts)
      */
-    constructor(rng = Math.random) {
+    constructor(rng = Math.random, { quests = null } = {}) {
         this.rng = rng;
+        this.quests = quests;
     }
 
     _d20() {
@@ -46,6 +57,15 @@ class AdventureService {
     // Lookups
     // ------------------------------------------------------------------
 
+    /**
+     * A quest by id: an injected draft first, then the loaded campaigns.
+     * @param {string} questId
+     * @returns {Object|undefined}
+     */
+    _quest(questId) {
+        return this.quests?.[questId] ?? questLoader.getQuest(questId);
+    }
+
     /**
      * An adventure row with parsed state, or null.
      * @param {number} adventureId
@@ -134,7 +154,7 @@ class AdventureService {
     async describe(adventureId) {
         const adventure = await this.getAdventure(adventureId);
         if (!adventure) throw new TavernError('NO_ADVENTURE', 'That adventure no longer exists.');
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         if (!quest) throw new TavernError('NO_QUEST', `The campaign '${adventure.questId}' is no longer installed.`);
         const scene = adventure.sceneId ? quest.scenes[adventure.sceneId] : null;
         return { adventure, quest, scene, members: await this.getMembers(adventureId) };
@@ -146,14 +166,16 @@ class AdventureService {
 
     /**
      * Post a party for a quest in a channel and join it as the first member.
-     * @param {Object} params - { guildId, channelId, questId, userId }
+     * @param {Object} params - { guildId, channelId, questId, userId, pace?, postHours? }
+     *   pace: 'LIVE' (default) or 'POSTED' with postHours-long posting windows
      * @returns {{adventure: Object, quest: Object, character: Object}}
      */
-    async createParty({ guildId, channelId, questId, userId }) {
-        const quest = questLoader.getQuest(questId);
+    async createParty({ guildId, channelId, questId, userId, pace = 'LIVE', postHours = null }) {
+        const { pace: cleanPace, postHours: cleanHours } = this.normalizePace(pace, postHours);
+        const quest = this._quest(questId);
         if (!quest || quest.hidden) throw new TavernError('NO_QUEST', 'No such quest on the board. `/adventure browse` lists them.');
         if (!await this.isQuestUnlocked(guildId, quest)) {
-            const required = questLoader.getQuest(quest.requires);
+            const required = this._quest(quest.requires);
             throw new TavernError(
                 'QUEST_LOCKED',
                 `That chapter isn't on the board yet - the server must first complete **${required?.title || quest.requires}**.`
@@ -162,7 +184,7 @@ class AdventureService {
 
         const busy = await this.getOpenAdventureInChannel(channelId);
         if (busy) {
-            throw new TavernError('CHANNEL_BUSY', `There is already an open adventure in this channel (**${questLoader.getQuest(busy.questId)?.title || busy.questId}**). One story per table.`);
+            throw new TavernError('CHANNEL_BUSY', `There is already an open adventure in this channel (**${this._quest(busy.questId)?.title || busy.questId}**). One story per table.`);
         }
         const elsewhere = await this.getOpenAdventureForUser(guildId, userId);
         if (elsewhere) {
@@ -175,9 +197,9 @@ class AdventureService {
 
         const adventureId = await db.transaction(async () => {
             const id = await db.insert(
-                `INSERT INTO tavern_adventures (guildId, channelId, questId, status, createdBy)
-                 VALUES (@guildId, @channelId, @questId, 'RECRUITING', @userId)`,
-                { guildId, channelId, questId, userId }
+                `INSERT INTO tavern_adventures (guildId, channelId, questId, status, createdBy, pace, postHours)
+                 VALUES (@guildId, @channelId, @questId, 'RECRUITING', @userId, @pace, @postHours)`,
+                { guildId, channelId, questId, userId, pace: cleanPace, postHours: cleanHours }
             );
             await db.run(
                 `INSERT INTO tavern_party_members (adventureId, userId, characterId)
@@ -190,6 +212,25 @@ class AdventureService {
         return { adventure: await this.getAdventure(adventureId), quest, character };
     }
 
+    /**
+     * Validate a pace choice. POSTED parties get a posting window length
+     * (whole hours, default 24); LIVE parties carry none.
+     * @param {string} pace - LIVE | POSTED (case-insensitive)
+     * @param {number|null} [postHours]
+     * @returns {{pace: string, postHours: number|null}}
+     * @throws {TavernError} BAD_PACE
+     */
+    normalizePace(pace, postHours = null) {
+        const clean = String(pace || 'LIVE').toUpperCase();
+        if (!PACES.includes(clean)) throw new TavernError('BAD_PACE', 'A party plays live or by post.');
+        if (clean === 'LIVE') return { pace: clean, postHours: null };
+        const hours = postHours === null || postHours === undefined ? POST_HOURS.default : Number(postHours);
+        if (!Number.isInteger(hours) || hours < POST_HOURS.min || hours > POST_HOURS.max) {
+            throw new TavernError('BAD_PACE', `A posting window is ${POST_HOURS.min}-${POST_HOURS.max} hours.`);
+        }
+        return { pace: clean, postHours: hours };
+    }
+
     /**
      * Whether a quest's chapter requirement is satisfied in this guild
      * (a completed adventure of the required quest exists).
@@ -224,7 +265,7 @@ class AdventureService {
         if (!adventure || adventure.status !== 'RECRUITING') {
             throw new TavernError('NOT_RECRUITING', 'Goobster can only be invited while the party is forming.');
         }
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         if (!quest) throw new TavernError('NO_QUEST', `The campaign '${adventure.questId}' is no longer installed.`);
 
         const members = await this.getMembers(adventureId);
@@ -263,7 +304,7 @@ class AdventureService {
         if (!adventure || adventure.status !== 'RECRUITING') {
             throw new TavernError('NOT_RECRUITING', 'That party is no longer recruiting.');
         }
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         if (!quest) throw new TavernError('NO_QUEST', `The campaign '${adventure.questId}' is no longer installed.`);
 
         const members = await this.getMembers(adventureId);
@@ -337,7 +378,7 @@ class AdventureService {
         const adventure = await this.getAdventure(adventureId);
         if (!adventure) throw new TavernError('NO_ADVENTURE', 'That adventure no longer exists.');
         if (adventure.status !== 'RECRUITING') throw new TavernError('NOT_RECRUITING', 'That adventure has already begun (or ended).');
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         if (!quest) throw new TavernError('NO_QUEST', `The campaign '${adventure.questId}' is no longer installed.`);
 
         const members = await this.getMembers(adventureId);
@@ -367,7 +408,11 @@ class AdventureService {
             { adventureId, sceneId: quest.start, state }
         );
         const scene = quest.scenes[quest.start];
-        await this._log(adventureId, 'SCENE', null, `${scene.title}: the party set out. (${members.map(m => m.character?.name || m.userId).join(', ')})`);
+        await this._log(
+            adventureId, 'SCENE', null,
+            `${scene.title}: the party set out. (${members.map(m => m.character?.name || m.userId).join(', ')})`,
+            JSON.stringify({ sceneId: scene.id })
+        );
 
         return await this.describe(adventureId);
     }
@@ -574,7 +619,7 @@ class AdventureService {
     async applyTwist(adventureId, forkQuestId, entrySceneId, note) {
         const adventure = await this.getAdventure(adventureId);
         if (!adventure || adventure.status !== 'ACTIVE') throw new TavernError('NOT_ACTIVE', 'That adventure is not in play right now.');
-        const quest = questLoader.getQuest(forkQuestId);
+        const quest = this._quest(forkQuestId);
         if (!quest || !quest.scenes[entrySceneId]) {
             throw new TavernError('NO_QUEST', 'The story fork failed to materialize.');
         }
@@ -661,6 +706,20 @@ class AdventureService {
         return { calling: character.calling };
     }
 
+    /**
+     * The play-by-post default for a member who did not post before the
+     * deadline: they follow the party's lead. No roll, no risk, and no
+     * spotlight turn - an absence never costs the character anything.
+     * @param {number} adventureId
+     * @param {string} userId
+     * @returns {{character: Object}}
+     */
+    async followParty(adventureId, userId) {
+        const { adventure, character } = await this._requireActiveTurn(adventureId, userId);
+        await this._log(adventure.id, 'ACTION', userId, `${character.name} followed the party's lead.`);
+        return { character };
+    }
+
     // ------------------------------------------------------------------
     // Recaps
     // ------------------------------------------------------------------
@@ -691,15 +750,25 @@ class AdventureService {
      */
     async buildRecap(adventureId) {
         const adventure = await this.getAdventure(adventureId);
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         const members = await this.getMembers(adventureId);
         const rows = await db.all(
-            `SELECT kind, content FROM tavern_adventure_log
+            `SELECT kind, content, createdAt FROM tavern_adventure_log
              WHERE adventureId = @adventureId AND kind IN ('SCENE', 'ACTION', 'CHECK', 'EVENT')
              ORDER BY id`,
             { adventureId }
         );
-        const beats = rows.slice(-RECAP_MAX_BEATS).map(row => `• ${row.content}`);
+        const recent = rows.slice(-RECAP_MAX_BEATS);
+        // A tale told over several days (play-by-post) is dated where the days turn
+        const days = new Set(recent.map(row => String(row.createdAt).slice(0, 10)));
+        const beats = [];
+        let day = null;
+        for (const row of recent) {
+            const date = String(row.createdAt).slice(0, 10);
+            if (days.size > 1 && date !== day) beats.push(`*— ${date} —*`);
+            day = date;
+            beats.push(`• ${row.content}`);
+        }
         const ending = adventure.endingId ? quest?.endings?.[adventure.endingId] : null;
         const partyLine = members.map(m => m.character?.name).filter(Boolean).join(', ') || 'a party of mysterious strangers';
 
@@ -749,7 +818,7 @@ class AdventureService {
         const adventure = await this.getAdventure(adventureId);
         if (!adventure) throw new TavernError('NO_ADVENTURE', 'That adventure no longer exists.');
         if (adventure.status !== 'ACTIVE') throw new TavernError('NOT_ACTIVE', 'That adventure is not in play right now.');
-        const quest = questLoader.getQuest(adventure.questId);
+        const quest = this._quest(adventure.questId);
         if (!quest) throw new TavernError('NO_QUEST', `The campaign '${adventure.questId}' is no longer installed.`);
         const scene = quest.scenes[adventure.sceneId];
         if (!scene) throw new TavernError('NO_SCENE', 'The scene is missing from the campaign files.');
@@ -891,7 +960,8 @@ class AdventureService {
         await this._log(
             adventure.id, 'CHECK', userId,
             `${character.name} tried "${actionLabel}" - ${rollText}: ${success ? 'success' : 'failure'}.`,
-            JSON.stringify({ stat, dc, roll, total, bonus, auto, success, reroll })
+            // The scene and prose outcome let a narrated table voice the beat
+            JSON.stringify({ stat, dc, roll, total, bonus, auto, success, reroll, sceneId: scene.id, outcome: outcomeText || null })
         );
 
         result.happenings = happenings;
@@ -1002,7 +1072,7 @@ class AdventureService {
         await this._log(
             adventure.id, 'CHECK', userId,
             `${character.name} attacked ${enemy.name} - ${rollText}: ${success ? 'hit' : 'miss'}.`,
-            JSON.stringify({ attack: enemy.id, stat, dc, roll, total, auto, success, reroll })
+            JSON.stringify({ attack: enemy.id, stat, dc, roll, total, auto, success, reroll, sceneId: scene.id })
         );
 
         result.happenings = happenings;
@@ -1175,7 +1245,7 @@ class AdventureService {
             const foes = scene.encounter.enemies.map(e => e.name).join(', ');
             happenings.push(`⚔️ An encounter begins: **${foes}**!`);
         }
-        await this._log(adventure.id, 'SCENE', null, `The party reached "${scene.title}".`);
+        await this._log(adventure.id, 'SCENE', null, `The party reached "${scene.title}".`, JSON.stringify({ sceneId }));
     }
 
     /**
@@ -1211,8 +1281,30 @@ class AdventureService {
         });
 
         await this._log(adventure.id, 'EVENT', null, `The adventure concluded: ${ending?.title || endingId}.`);
+        const wages = await this._payWages(adventure, quest, members, endingId);
         await this._log(adventure.id, 'RECAP', null, await this.buildRecap(adventure.id));
-        return { endingId, ending };
+        return { endingId, ending, wages };
+    }
+
+    /**
+     * Completion wages through the opt-in Tavern market. A wallet hiccup never
+     * un-finishes an adventure - the ending already happened.
+     * @returns {{amount: number, currencyName: string, paid: string[]}|null}
+     */
+    async _payWages(adventure, quest, members, endingId) {
+        // Lazy: the market reads unlock state from this service
+        const marketService = require('./marketService');
+        try {
+            const wages = await marketService.payWages(adventure, quest, members, endingId);
+            if (wages) {
+                await this._log(adventure.id, 'EVENT', null,
+                    `The Tavern paid ${wages.paid.length} adventurer(s) ${wages.amount.toLocaleString()} ${wages.currencyName} each.`);
+            }
+            return wages;
+        } catch (error) {
+            console.error(`Tavern wages for adventure ${adventure.id} failed:`, error.message);
+            return null;
+        }
     }
 
     /** Mark a once-option as used in the scene. */
@@ -1265,3 +1357,5 @@ class AdventureService {
 
 module.exports = new AdventureService();
 module.exports.AdventureService = AdventureService;
+module.exports.PACES = PACES;
+module.exports.POST_HOURS = POST_HOURS;
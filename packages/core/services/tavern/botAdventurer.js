@@ -26,6 +26,8 @@ const PERSONA =
  *  - He acts only when the spotlight rotation reaches him, never twice in a
  *    row, and never re-enters while already thinking.
  *  - His failed checks never show a Spark-reroll button to the players.
+ *  - At a play-by-post table he has no spotlight turns: he posts his move
+ *    as soon as a window opens, so the table never waits on him.
  */
 class BotAdventurer {
     constructor() {
@@ -57,9 +59,63 @@ class BotAdventurer {
         timer.unref?.();
     }
 
+    /**
+     * Fire-and-forget trigger for play-by-post tables, called when a posting
+     * window opens. Posts Goobster's move privately, like any member's.
+     * @param {number} adventureId
+     * @param {Object} channel - Discord channel to post into
+     */
+    async maybeDeclare(adventureId, channel) {
+        const botId = channel?.client?.user?.id;
+        if (!botId || this._thinking.has(adventureId)) return;
+        if (!await this._isBotAtPostedTable(adventureId, botId)) return;
+
+        this._thinking.add(adventureId);
+        const timer = setTimeout(async () => {
+            try {
+                await this._declare(adventureId, channel, botId);
+            } catch (error) {
+                console.error('Bot adventurer declaration failed:', error);
+            } finally {
+                this._thinking.delete(adventureId);
+            }
+        }, THINK_DELAY_MS);
+        timer.unref?.();
+    }
+
+    async _isBotAtPostedTable(adventureId, botId) {
+        const adventure = await adventureService.getAdventure(adventureId);
+        if (!adventure || adventure.status !== 'ACTIVE' || adventure.pace !== 'POSTED') return false;
+        return (await adventureService.getMembers(adventureId)).some(m => m.userId === botId);
+    }
+
+    async _declare(adventureId, channel, botId) {
+        if (!await this._isBotAtPostedTable(adventureId, botId)) return;
+        const { adventure, quest, scene } = await adventureService.describe(adventureId);
+        const character = await characterService.getCharacter(adventure.guildId, botId);
+        if (!scene || !character) return;
+
+        const candidates = adventureService.availableOptions(adventure, quest)
+            .filter(option => option.goto === undefined && option.end === undefined);
+        const enemies = adventureService.livingEnemies(adventure, quest);
+        const decision = await this._decide({ quest, scene, candidates, enemies, character, adventure });
+        const move = decision.attack
+            ? { type: 'attack', enemyId: decision.attack }
+            : decision.optionKey
+                ? { type: 'option', key: decision.optionKey }
+                : { type: 'freeform', text: decision.freeform };
+
+        const playByPostService = require('./playByPostService');
+        const { window, ready } = await playByPostService.declare(adventureId, botId, move, { botUserId: botId });
+        await channel.send('📮 *Goobster scribbles his move on a napkin and slides it under the door.*');
+        if (ready) await require('./interactionHandler').postRound(channel, window.id);
+    }
+
     async _isBotSpotlight(adventureId, botId) {
         const adventure = await adventureService.getAdventure(adventureId);
         if (!adventure || adventure.status !== 'ACTIVE') return false;
+        // Play-by-post rounds have no live turns (see maybeDeclare)
+        if (adventure.pace === 'POSTED') return false;
         if (adventureService.spotlightUser(adventure) !== botId) return false;
         return (await adventureService.getMembers(adventureId)).some(m => m.userId === botId);
     }
@@ -105,21 +105,44 @@ function toQuestShape(generated) {
     return quest;
 }
 
+/**
+ * A quest object as the loader's campaign files: quest.yaml, endings.yaml,
+ * and one scenes/<scene-id>.yaml per scene (the loader-assigned `source`
+ * is dropped).
+ * @param {Object} quest - loader-shaped quest
+ * @returns {Object<string, string>} relative path -> YAML text
+ */
+function campaignFiles(quest) {
+    const { scenes, endings, source, ...meta } = quest;
+    const files = {
+        'quest.yaml': YAML.stringify(meta),
+        'endings.yaml': YAML.stringify(Object.values(endings))
+    };
+    for (const scene of Object.values(scenes)) {
+        files[`scenes/${scene.id}.yaml`] = YAML.stringify(scene);
+    }
+    return files;
+}
+
 /**
  * Write a quest object to a campaign directory (quest.yaml, endings.yaml,
- * scenes/*.yaml) under the custom campaigns dir.
+ * scenes/*.yaml) under the custom campaigns dir. Scene files left over from
+ * an earlier write (a renamed or deleted scene) are removed so the loader
+ * doesn't resurrect them.
  * @param {Object} quest - loader-shaped quest
  * @returns {string} the directory written
  */
 function writeCampaignDir(quest) {
     const dir = path.join(questLoader.CUSTOM_DIR, quest.id);
-    fs.mkdirSync(path.join(dir, 'scenes'), { recursive: true });
+    const scenesDir = path.join(dir, 'scenes');
+    fs.mkdirSync(scenesDir, { recursive: true });
 
-    const { scenes, endings, source, ...meta } = quest;
-    fs.writeFileSync(path.join(dir, 'quest.yaml'), YAML.stringify(meta));
-    fs.writeFileSync(path.join(dir, 'endings.yaml'), YAML.stringify(Object.values(endings)));
-    for (const scene of Object.values(scenes)) {
-        fs.writeFileSync(path.join(dir, 'scenes', `${scene.id}.yaml`), YAML.stringify(scene));
+    const files = campaignFiles(quest);
+    for (const [file, text] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+    for (const file of fs.readdirSync(scenesDir)) {
+        if (/\.ya?ml$/.test(file) && !files[`scenes/${file}`]) fs.rmSync(path.join(scenesDir, file));
     }
     return dir;
 }
@@ -350,6 +373,7 @@ module.exports = {
     forgeCampaign,
     forgeTwist,
     checkTiesBack,
+    campaignFiles,
     writeCampaignDir,
     toQuestShape,
     parseModelJson,
@@ -0,0 +1,647 @@
+const path = require('node:path');
+const questLoader = require('./questLoader');
+
+/**
+ * The campaign linter: questLoader checks that every reference in a campaign
+ * resolves; this checks that the story built from those references can
+ * actually be played through.
+ *
+ * It builds the whole scene/effect graph the engine can walk:
+ *   - travel options (goto/end) and both branches of every check
+ *   - encounter onDefeat/onVictory blocks
+ *   - clocks: every positive tick (options, encounters, and the freeform
+ *     fallback that ticks a scene's progress/danger clock in ANY scene),
+ *     and each clock's onFull effects once the clock can really fill
+ *   - `requires` chapter gates and story-twist forks (`canonicalId`), whose
+ *     new scenes are entered from outside the start scene
+ * and then walks it from the start to report unreachable scenes and
+ * endings, soft-locks (scenes no path leads out of), exits that once-options
+ * can use up, clocks that can never fill, unused items, and endings with no
+ * trophy. Flags are reported as write-only: the engine records them but no
+ * option, scene, or gate reads them, so they cannot strand a party.
+ *
+ * Everything here is static analysis over the loader's quest shape - no
+ * database, no dice - so the script, the `/tavern lint` command, and the
+ * tests all see the same report.
+ */
+
+// Distinct start-to-ending paths counted before the count is reported as "N+"
+const MAX_PATHS = 500;
+const SEVERITIES = ['error', 'warning', 'info'];
+
+/** A finding in the report (`scene` set when it is about one scene). */
+function finding(severity, code, message, scene = null) {
+    return scene ? { severity, code, message, scene } : { severity, code, message };
+}
+
+/** The scene-local effect sources an option/encounter contributes. */
+function sceneSources(scene) {
+    const sources = [];
+    for (const option of scene.options || []) {
+        if (option.goto !== undefined || option.end !== undefined) {
+            const effects = { ...option.effects };
+            if (option.goto !== undefined) effects.goto = option.goto;
+            if (option.end !== undefined) effects.end = option.end;
+            sources.push({ via: 'option', key: option.key, label: option.label, once: Boolean(option.once), effects });
+        } else {
+            for (const branch of ['success', 'failure']) {
+                sources.push({
+                    via: 'check', key: option.key, branch,
+                    label: `${option.label} (${branch})`,
+                    once: Boolean(option.once),
+                    effects: option[branch]?.effects || null
+                });
+            }
+        }
+    }
+    for (const enemy of scene.encounter?.enemies || []) {
+        sources.push({ via: 'encounter', label: `${enemy.name} defeated`, once: false, effects: enemy.onDefeat?.effects || null });
+    }
+    if (scene.encounter?.onVictory) {
+        sources.push({ via: 'encounter', label: 'encounter won', once: false, effects: scene.encounter.onVictory.effects || null });
+    }
+    return sources;
+}
+
+/** The clock a scene's freeform success (progress) or failure (danger) ticks - mirrors adventureService._freeformEffects. */
+function freeformClock(quest, scene, kind) {
+    const named = kind === 'progress' ? scene.freeform?.progressClock : scene.freeform?.dangerClock;
+    return named || (quest.clocks || []).find(clock => clock.kind === kind)?.id || null;
+}
+
+/**
+ * Build the campaign graph.
+ * @param {Object} quest - loader-shaped, already valid
+ * @param {Object<string, Object>} [quests] - every loaded quest (twist forks)
+ * @returns {{roots: Array, edges: Array, ticks: Array, granted: Map, flags: Map, canonical: Object|null}}
+ *   edges: {from, fromClock, to: {type: 'scene'|'ending', id}, via, label, once, branch, key}
+ *   ticks: {clockId, delta, sceneId, fromClock, repeatable, encounter, label}
+ */
+function buildGraph(quest, quests = {}) {
+    const edges = [];
+    const ticks = [];
+    const granted = new Map(); // item -> where
+    const flags = new Map(); // flag key -> where[]
+    const note = (map, key, where) => map.set(key, [...(map.get(key) || []), where]);
+
+    const collect = (effects, base, where) => {
+        if (!effects) return;
+        if (effects.goto !== undefined) edges.push({ ...base, to: { type: 'scene', id: effects.goto } });
+        if (effects.end !== undefined) edges.push({ ...base, to: { type: 'ending', id: effects.end } });
+        if (effects.clock && effects.clock.delta > 0) {
+            ticks.push({
+                clockId: effects.clock.id, delta: effects.clock.delta,
+                sceneId: base.from, fromClock: base.fromClock,
+                repeatable: base.from !== null && !base.once && base.via !== 'encounter',
+                encounter: base.via === 'encounter',
+                label: where
+            });
+        }
+        if (effects.item) note(granted, effects.item, where);
+        if (effects.flag) note(flags, effects.flag.key, where);
+    };
+
+    for (const [sceneId, scene] of Object.entries(quest.scenes)) {
+        for (const source of sceneSources(scene)) {
+            const { effects, ...rest } = source;
+            collect(effects, { ...rest, from: sceneId, fromClock: null }, `scene '${sceneId}' ${source.label}`);
+        }
+        // Freeform actions work in every scene: success ticks the progress
+        // clock, failure (and nat 1s, staggers) the danger clock
+        for (const kind of ['progress', 'danger']) {
+            const clockId = freeformClock(quest, scene, kind);
+            if (clockId) {
+                ticks.push({
+                    clockId, delta: 1, sceneId, fromClock: null, repeatable: true, encounter: false,
+                    label: `scene '${sceneId}' freeform ${kind === 'progress' ? 'success' : 'failure'}`
+                });
+            }
+        }
+    }
+    for (const clock of quest.clocks || []) {
+        collect(clock.onFull, { from: null, fromClock: clock.id, via: 'clock', label: `${clock.name} full`, once: true }, `clock '${clock.id}' onFull`);
+    }
+    for (const [endingId, ending] of Object.entries(quest.endings)) {
+        if (ending.trophy) note(granted, ending.trophy, `ending '${endingId}' trophy`);
+    }
+
+    // A twist fork is entered mid-adventure at one of its new scenes
+    const canonical = quest.canonicalId ? quests[quest.canonicalId] || null : null;
+    const roots = [{ sceneId: quest.start, via: 'start' }];
+    if (canonical) {
+        for (const sceneId of Object.keys(quest.scenes)) {
+            if (!canonical.scenes?.[sceneId] && sceneId !== quest.start) roots.push({ sceneId, via: 'twist' });
+        }
+    }
+
+    return { roots, edges, ticks, granted, flags, canonical };
+}
+
+/** Scene ids reachable from `from` over the given scene -> targets function. */
+function walk(from, next) {
+    const seen = new Set();
+    const endings = new Set();
+    const queue = [...from];
+    while (queue.length > 0) {
+        const sceneId = queue.shift();
+        if (seen.has(sceneId)) continue;
+        seen.add(sceneId);
+        for (const to of next(sceneId)) {
+            if (to.type === 'ending') endings.add(to.id);
+            else if (!seen.has(to.id)) queue.push(to.id);
+        }
+    }
+    return { scenes: seen, endings };
+}
+
+/**
+ * Which clocks can fill, given the scenes a party can stand in. A repeatable
+ * tick (a reusable option, the freeform fallback, a re-enterable encounter)
+ * fills any clock eventually; one-shot ticks have to add up to its size.
+ * onFull ticks count once their own clock can fill.
+ * @returns {Object<string, {fillable: boolean, repeatable: boolean, max: number}>}
+ */
+function clockFill(quest, graph, scenes, reenterable) {
+    const fill = {};
+    for (const clock of quest.clocks || []) fill[clock.id] = { fillable: false, repeatable: false, max: 0 };
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const clock of quest.clocks || []) {
+            if (fill[clock.id].fillable) continue;
+            let repeatable = false;
+            let max = 0;
+            for (const tick of graph.ticks) {
+                if (tick.clockId !== clock.id) continue;
+                const live = tick.sceneId !== null ? scenes.has(tick.sceneId) : fill[tick.fromClock]?.fillable;
+                if (!live) continue;
+                if (tick.repeatable || (tick.encounter && reenterable.has(tick.sceneId))) repeatable = true;
+                else max += tick.delta;
+            }
+            fill[clock.id] = { fillable: repeatable || max >= clock.size, repeatable, max };
+            if (fill[clock.id].fillable) changed = true;
+        }
+    }
+    return fill;
+}
+
+/** Count start-to-ending simple paths (capped) and find the shortest one to each ending. */
+function enumeratePaths(roots, next) {
+    const counts = {};
+    const shortest = {};
+    let total = 0;
+    let capped = false;
+
+    const visit = (sceneId, trail) => {
+        if (capped) return;
+        for (const to of next(sceneId)) {
+            if (capped) return;
+            if (to.type === 'ending') {
+                counts[to.id] = (counts[to.id] || 0) + 1;
+                if (!shortest[to.id] || shortest[to.id].length > trail.length) shortest[to.id] = [...trail];
+                if (++total >= MAX_PATHS) capped = true;
+            } else if (!trail.includes(to.id)) {
+                visit(to.id, [...trail, to.id]);
+            }
+        }
+    };
+    for (const root of roots) visit(root.sceneId, [root.sceneId]);
+    return { counts, shortest, total, capped };
+}
+
+/** Dedupe targets (several options often lead to the same place). */
+function uniqueTargets(list) {
+    const seen = new Set();
+    return list.filter(to => {
+        const key = `${to.type}:${to.id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Check a quest's `requires` chain against the loaded quests.
+ * @returns {{chain: string[], findings: Array}}
+ */
+function checkRequires(quest, quests) {
+    const findings = [];
+    const chain = [];
+    const seen = new Set([quest.id]);
+    let current = quest;
+    while (current.requires) {
+        const requiredId = current.requires;
+        if (seen.has(requiredId)) {
+            findings.push(finding('error', 'requires-cycle',
+                `\`requires\` loops back on itself (${[quest.id, ...chain, requiredId].join(' → ')}): no guild can ever unlock it`));
+            break;
+        }
+        seen.add(requiredId);
+        chain.push(requiredId);
+        const required = quests[requiredId];
+        if (!required) {
+            findings.push(finding('error', 'requires-missing',
+                `requires '${requiredId}', which is not a loaded campaign: the quest can never be posted`));
+            break;
+        }
+        if (required.hidden) {
+            findings.push(finding('error', 'requires-hidden',
+                `requires '${requiredId}', a hidden quest nobody can start from the board`));
+            break;
+        }
+        current = required;
+    }
+    return { chain, findings };
+}
+
+/**
+ * Lint one quest.
+ * @param {Object} quest - loader-shaped quest (validated or not)
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.quests] - every loaded quest, for
+ *   `requires` gates and twist forks (defaults to the quest board)
+ * @returns {Object} report: {questId, title, valid, findings, counts, stats,
+ *   endings, reachability, requires}
+ */
+function lintQuest(quest, { quests = null } = {}) {
+    const report = {
+        questId: quest.id,
+        title: quest.title || quest.id,
+        valid: true,
+        findings: [],
+        counts: { error: 0, warning: 0, info: 0 },
+        stats: null,
+        endings: [],
+        reachability: null,
+        requires: []
+    };
+    const finish = () => {
+        report.findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+        for (const item of report.findings) report.counts[item.severity]++;
+        return report;
+    };
+
+    // The graph is only meaningful once every reference resolves
+    const errors = questLoader.validateQuest(quest);
+    if (errors.length > 0) {
+        report.valid = false;
+        report.findings = errors.map(message => finding('error', 'invalid', message));
+        return finish();
+    }
+
+    const allQuests = quests || questLoader.getQuests();
+    const graph = buildGraph(quest, allQuests);
+    const clocksById = Object.fromEntries((quest.clocks || []).map(clock => [clock.id, clock]));
+    const add = (severity, code, message, scene = null) => report.findings.push(finding(severity, code, message, scene));
+
+    // Edges out of each scene: authored ones, and clocks it can tick
+    const authored = new Map(Object.keys(quest.scenes).map(id => [id, []]));
+    for (const edge of graph.edges) {
+        if (edge.from !== null) authored.get(edge.from).push(edge);
+    }
+    const tickable = new Map(Object.keys(quest.scenes).map(id => [id, new Set()]));
+    for (const tick of graph.ticks) {
+        if (tick.sceneId !== null) tickable.get(tick.sceneId).add(tick.clockId);
+    }
+    const clockEdges = (clockId) => graph.edges.filter(edge => edge.fromClock === clockId);
+
+    // Scenes a party can come back to (re-entering refreshes an encounter)
+    const anyNext = (sceneId) => [
+        ...authored.get(sceneId).map(edge => edge.to),
+        ...[...tickable.get(sceneId)].flatMap(clockId => clockEdges(clockId).map(edge => edge.to))
+    ];
+    const reenterable = new Set(Object.keys(quest.scenes).filter(sceneId =>
+        walk(anyNext(sceneId).filter(to => to.type === 'scene').map(to => to.id), anyNext).scenes.has(sceneId)));
+
+    // Reachability: authored edges, then whatever newly fillable clocks open up
+    const rootIds = graph.roots.map(root => root.sceneId);
+    let fill;
+    let reached;
+    let frontier = rootIds;
+    const clockTargets = [];
+    for (;;) {
+        reached = walk(frontier, sceneId => authored.get(sceneId).map(edge => edge.to));
+        fill = clockFill(quest, graph, reached.scenes, reenterable);
+        const opened = clockTargets.length;
+        for (const clock of quest.clocks || []) {
+            if (!fill[clock.id].fillable) continue;
+            for (const edge of clockEdges(clock.id)) {
+                if (!clockTargets.some(to => to.type === edge.to.type && to.id === edge.to.id)) clockTargets.push(edge.to);
+            }
+        }
+        if (clockTargets.length === opened) break;
+        frontier = [...rootIds, ...clockTargets.filter(to => to.type === 'scene').map(to => to.id)];
+    }
+    for (const to of clockTargets) {
+        if (to.type === 'ending') reached.endings.add(to.id);
+    }
+
+    // From a scene: authored exits plus onFull exits of clocks it can fill
+    const nextAuthored = sceneId => uniqueTargets(authored.get(sceneId).map(edge => edge.to));
+    const nextAll = sceneId => uniqueTargets([
+        ...authored.get(sceneId).map(edge => edge.to),
+        ...[...tickable.get(sceneId)]
+            .filter(clockId => fill[clockId].fillable)
+            .flatMap(clockId => clockEdges(clockId).map(edge => edge.to))
+    ]);
+
+    // Unreachable scenes and endings
+    for (const sceneId of Object.keys(quest.scenes)) {
+        if (!reached.scenes.has(sceneId)) add('warning', 'unreachable-scene', `scene '${sceneId}' can never be reached from the start`, sceneId);
+    }
+    for (const endingId of Object.keys(quest.endings)) {
+        if (!reached.endings.has(endingId)) add('warning', 'unreachable-ending', `ending '${endingId}' can never be reached`);
+    }
+
+    // Soft-locks, clock-only exits, and exits once-options can use up
+    for (const sceneId of [...reached.scenes].sort()) {
+        const all = walk([sceneId], nextAll);
+        if (all.endings.size === 0) {
+            add('error', 'soft-lock', `scene '${sceneId}': no path from here reaches any ending - a party that arrives is stuck for good`, sceneId);
+            continue;
+        }
+        if (walk([sceneId], nextAuthored).endings.size === 0) {
+            const rescuers = [...tickable.get(sceneId)].filter(clockId => fill[clockId].fillable && clockEdges(clockId).length > 0);
+            add('warning', 'clock-only-exit',
+                `scene '${sceneId}': no option or encounter leads to an ending; only ${rescuers.length > 0
+                    ? `filling ${rescuers.map(id => `'${id}'`).join(' or ')}`
+                    : 'a clock filling further on'} ends the story`, sceneId);
+        }
+        const exits = authored.get(sceneId);
+        if (exits.length === 0) continue;
+        const durable = exits.some(edge => {
+            if (edge.via === 'encounter' || !edge.once) return true;
+            // A once-option is gone for good after one use: it only holds if
+            // the party can never come back, and (for a check) both branches
+            // leave
+            if (reenterable.has(sceneId)) return false;
+            return edge.via === 'option' || exits.some(other => other.key === edge.key && other.branch !== edge.branch);
+        });
+        if (!durable) {
+            add('warning', 'exhaustible-exits',
+                `scene '${sceneId}': every way out is a once-option that can be used up without leaving (a failed roll${reenterable.has(sceneId) ? ' or a second visit' : ''})`, sceneId);
+        }
+    }
+
+    // Clocks
+    for (const clock of quest.clocks || []) {
+        const state = fill[clock.id];
+        const ticked = graph.ticks.some(tick => tick.clockId === clock.id);
+        if (!ticked) {
+            add('warning', 'clock-never-ticks', `clock '${clock.id}' is never advanced by anything`);
+        } else if (!state.fillable) {
+            add('warning', 'clock-never-fills',
+                `clock '${clock.id}' can reach at most ${state.max}/${clock.size}${clock.onFull ? ' - its onFull never fires' : ''}`);
+        }
+    }
+
+    // Items: defined uses nobody is given, and gifts nothing uses
+    const bonusItems = new Map();
+    for (const [sceneId, scene] of Object.entries(quest.scenes)) {
+        for (const option of scene.options || []) {
+            if (option.bonus?.item) bonusItems.set(option.bonus.item, `scene '${sceneId}' option '${option.key}'`);
+        }
+    }
+    const usable = new Set(Object.keys(quest.items || {}));
+    for (const item of usable) {
+        if (!graph.granted.has(item)) add('warning', 'item-never-granted', `item '${item}' has a use but nothing in the campaign grants it`);
+    }
+    for (const [item, where] of graph.granted) {
+        if (!usable.has(item) && !bonusItems.has(item) && !where.every(w => w.endsWith('trophy'))) {
+            add('info', 'item-unused', `item '${item}' (${where[0]}) has no use and no check bonus - a keepsake`);
+        }
+    }
+    for (const [item, where] of bonusItems) {
+        if (!graph.granted.has(item)) {
+            add('info', 'bonus-item-not-granted', `${where} gives a bonus for '${item}', which this campaign never grants (it must come from elsewhere)`);
+        }
+    }
+
+    // Endings without a trophy
+    for (const [endingId, ending] of Object.entries(quest.endings)) {
+        if (!ending.trophy) add('info', 'no-trophy', `ending '${endingId}' awards no trophy`);
+    }
+
+    // Flags are recorded, never read
+    for (const [key, where] of graph.flags) {
+        add('info', 'write-only-flag',
+            `flag '${key}' is set in ${where.length} place(s) but nothing reads flags - it cannot gate a scene or soft-lock a party`);
+    }
+
+    // Chapter gates and twist forks
+    const gates = checkRequires(quest, allQuests);
+    report.requires = gates.chain;
+    report.findings.push(...gates.findings);
+    if (quest.canonicalId && !graph.canonical) {
+        add('warning', 'fork-orphaned', `twist fork of '${quest.canonicalId}', which is not loaded - its new scenes are linted from the start only`);
+    }
+
+    // Paths
+    const paths = enumeratePaths(graph.roots, nextAll);
+    report.endings = Object.entries(quest.endings).map(([endingId, ending]) => ({
+        id: endingId,
+        title: ending.title,
+        trophy: ending.trophy || null,
+        reachable: reached.endings.has(endingId),
+        viaClock: Object.keys(clocksById).filter(clockId => fill[clockId].fillable
+            && clockEdges(clockId).some(edge => edge.to.type === 'ending' && edge.to.id === endingId)),
+        paths: paths.counts[endingId] || 0,
+        shortest: paths.shortest[endingId] || null
+    }));
+    report.stats = {
+        scenes: Object.keys(quest.scenes).length,
+        reachableScenes: reached.scenes.size,
+        endings: Object.keys(quest.endings).length,
+        reachableEndings: reached.endings.size,
+        clocks: (quest.clocks || []).length,
+        paths: paths.total,
+        pathsCapped: paths.capped
+    };
+    report.reachability = {
+        roots: graph.roots,
+        scenes: [...reached.scenes].sort(),
+        endings: [...reached.endings].sort(),
+        clocks: fill
+    };
+    return finish();
+}
+
+/**
+ * Lint a campaign directory straight from disk - including custom campaigns
+ * the loader skipped as invalid (the report then lists why).
+ * @param {string} dir
+ * @param {Object} [options] - see lintQuest
+ * @returns {Object} report
+ */
+function lintCampaignDir(dir, options = {}) {
+    let quest;
+    try {
+        quest = questLoader.loadCampaignDir(dir);
+    } catch (error) {
+        return {
+            questId: path.basename(dir), title: path.basename(dir), valid: false,
+            findings: [finding('error', 'invalid', error.message)],
+            counts: { error: 1, warning: 0, info: 0 },
+            stats: null, endings: [], reachability: null, requires: []
+        };
+    }
+    return lintQuest(quest, options);
+}
+
+/** Mermaid/DOT-safe node ids. */
+function nodeId(kind, id) {
+    return `${kind}_${String(id).replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+/** Node ids a report marks unreachable / soft-locked, for diagram styling. */
+function highlights(quest, report) {
+    if (!report?.reachability) return { unreachable: new Set(), locked: new Set() };
+    return {
+        unreachable: new Set([
+            ...Object.keys(quest.scenes).filter(id => !report.reachability.scenes.includes(id)).map(id => nodeId('s', id)),
+            ...Object.keys(quest.endings).filter(id => !report.reachability.endings.includes(id)).map(id => nodeId('e', id))
+        ]),
+        locked: new Set(report.findings.filter(item => item.code === 'soft-lock').map(item => nodeId('s', item.scene)))
+    };
+}
+
+/** Collapse parallel edges into one, joining their labels. */
+function mergedEdges(graph) {
+    const merged = new Map();
+    for (const edge of graph.edges) {
+        const from = edge.from !== null ? nodeId('s', edge.from) : nodeId('c', edge.fromClock);
+        const to = nodeId(edge.to.type === 'scene' ? 's' : 'e', edge.to.id);
+        const key = `${from}>${to}`;
+        const entry = merged.get(key) || { from, to, labels: [], clock: edge.fromClock !== null };
+        if (edge.label && !entry.labels.includes(edge.label)) entry.labels.push(edge.label);
+        merged.set(key, entry);
+    }
+    return [...merged.values()];
+}
+
+/**
+ * A Mermaid flowchart of the campaign: scenes, endings (🏁), clocks with an
+ * onFull (dotted edges), with unreachable nodes dashed and soft-locks red.
+ * @param {Object} quest
+ * @param {Object} [report] - a lintQuest report, for the highlighting
+ * @returns {string}
+ */
+function toMermaid(quest, report = null) {
+    const graph = buildGraph(quest);
+    const quote = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+    const lines = ['flowchart TD'];
+    for (const root of report?.reachability?.roots || graph.roots) {
+        lines.push(`    ${nodeId('r', root.sceneId)}((${root.via})) --> ${nodeId('s', root.sceneId)}`);
+    }
+    for (const [sceneId, scene] of Object.entries(quest.scenes)) {
+        lines.push(`    ${nodeId('s', sceneId)}[${quote(scene.title || sceneId)}]`);
+    }
+    for (const [endingId, ending] of Object.entries(quest.endings)) {
+        lines.push(`    ${nodeId('e', endingId)}([${quote(`🏁 ${ending.title || endingId}${ending.trophy ? ` · 🏆 ${ending.trophy}` : ''}`)}])`);
+    }
+    for (const clock of quest.clocks || []) {
+        if (!clock.onFull) continue;
+        lines.push(`    ${nodeId('c', clock.id)}{{${quote(`${clock.kind === 'danger' ? '⚠️' : '🕰️'} ${clock.name} (${clock.size})`)}}}`);
+    }
+    for (const edge of mergedEdges(graph)) {
+        const label = edge.labels.length > 0 ? `|${quote(edge.labels.join(' / '))}|` : '';
+        lines.push(`    ${edge.from} ${edge.clock ? '-.->' : '-->'}${label} ${edge.to}`);
+    }
+    const { unreachable, locked } = highlights(quest, report);
+    if (unreachable.size > 0 || locked.size > 0) {
+        lines.push('    classDef unreachable stroke-dasharray: 5 5,color:#888');
+        lines.push('    classDef softlock stroke:#c00,stroke-width:3px');
+        if (unreachable.size > 0) lines.push(`    class ${[...unreachable].join(',')} unreachable`);
+        if (locked.size > 0) lines.push(`    class ${[...locked].join(',')} softlock`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The same graph as Graphviz DOT (`dot -Tsvg campaign.dot > campaign.svg`).
+ * @param {Object} quest
+ * @param {Object} [report] - a lintQuest report, for the highlighting
+ * @returns {string}
+ */
+function toDot(quest, report = null) {
+    const graph = buildGraph(quest);
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const { unreachable, locked } = highlights(quest, report);
+    const style = (id) => {
+        if (locked.has(id)) return ', color=red, penwidth=2';
+        if (unreachable.has(id)) return ', style=dashed, fontcolor=gray';
+        return '';
+    };
+
+    const lines = [`digraph ${quote(quest.id)} {`, '    rankdir=TB;', '    node [shape=box, fontname="Helvetica"];'];
+    for (const root of report?.reachability?.roots || graph.roots) {
+        lines.push(`    ${nodeId('r', root.sceneId)} [shape=circle, label=${quote(root.via)}];`);
+        lines.push(`    ${nodeId('r', root.sceneId)} -> ${nodeId('s', root.sceneId)};`);
+    }
+    for (const [sceneId, scene] of Object.entries(quest.scenes)) {
+        const id = nodeId('s', sceneId);
+        lines.push(`    ${id} [label=${quote(scene.title || sceneId)}${style(id)}];`);
+    }
+    for (const [endingId, ending] of Object.entries(quest.endings)) {
+        const id = nodeId('e', endingId);
+        const label = `${ending.title || endingId}${ending.trophy ? `\n🏆 ${ending.trophy}` : ''}`;
+        lines.push(`    ${id} [shape=doubleoctagon, label=${quote(label)}${style(id)}];`);
+    }
+    for (const clock of quest.clocks || []) {
+        if (!clock.onFull) continue;
+        lines.push(`    ${nodeId('c', clock.id)} [shape=hexagon, label=${quote(`${clock.name} (${clock.size})`)}];`);
+    }
+    for (const edge of mergedEdges(graph)) {
+        const attrs = [edge.labels.length > 0 ? `label=${quote(edge.labels.join('\n'))}` : null, edge.clock ? 'style=dotted' : null].filter(Boolean);
+        lines.push(`    ${edge.from} -> ${edge.to}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};`);
+    }
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Plain-text report for the script and the Discord command.
+ * @param {Object} report
+ * @param {{maxFindings?: number}} [options]
+ * @returns {string}
+ */
+function formatReport(report, { maxFindings = Infinity } = {}) {
+    const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const lines = [`📜 ${report.title} (${report.questId})`];
+    if (report.stats) {
+        const s = report.stats;
+        lines.push(`Scenes ${s.reachableScenes}/${s.scenes} reachable · endings ${s.reachableEndings}/${s.endings} reachable · ` +
+            `${s.paths}${s.pathsCapped ? '+' : ''} paths · ${plural(s.clocks, 'clock')}`);
+    }
+    if (report.requires.length > 0) lines.push(`Unlocks after: ${report.requires.join(' → ')}`);
+    lines.push(`${plural(report.counts.error, 'error')}, ${plural(report.counts.warning, 'warning')}, ${plural(report.counts.info, 'note')}`);
+
+    const shown = report.findings.slice(0, maxFindings);
+    for (const item of shown) lines.push(`${icons[item.severity]} [${item.code}] ${item.message}`);
+    if (shown.length < report.findings.length) lines.push(`… ${report.findings.length - shown.length} more`);
+
+    if (report.endings.length > 0) {
+        lines.push('Endings:');
+        for (const ending of report.endings) {
+            const how = !ending.reachable
+                ? 'unreachable'
+                : [
+                    ending.paths > 0 ? `${plural(ending.paths, 'path')}, shortest: ${ending.shortest.join(' → ')}` : null,
+                    ending.viaClock.length > 0 ? `when ${ending.viaClock.join('/')} fills` : null
+                ].filter(Boolean).join('; ');
+            lines.push(`  🏁 ${ending.id} - ${how}${ending.trophy ? ` (🏆 ${ending.trophy})` : ''}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    lintQuest,
+    lintCampaignDir,
+    buildGraph,
+    toMermaid,
+    toDot,
+    formatReport,
+    MAX_PATHS
+};
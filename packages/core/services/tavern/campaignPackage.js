@@ -0,0 +1,353 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const YAML = require('yaml');
+const { TavernError } = require('./tavernError');
+const questLoader = require('./questLoader');
+const campaignLinter = require('./campaignLinter');
+const assetService = require('./assetService');
+const { campaignFiles } = require('./campaignForge');
+
+/**
+ * Campaign packages: one signed file that carries a campaign between
+ * Goobster installs (`/tavern export` / `/tavern import`).
+ *
+ * A package is JSON: a manifest (quest id, title, version, author, export
+ * time, the signer's public key, and a SHA-256 per file), an Ed25519
+ * signature over the manifest, and the files themselves - the loader's
+ * YAML (quest.yaml, endings.yaml, scenes/*.yaml) plus scene art as
+ * art/<scene-id>.png. The signature makes a package tamper-evident and
+ * names the install that exported it (its key fingerprint); whether to
+ * trust that install is the operator's call, made on the preview.
+ *
+ * Each install signs with its own key, generated on first export into
+ * data/tavern/signing-key.pem. Imports are unpacked into a quarantine
+ * directory, loaded and validated there by questLoader, linted, and only
+ * copied into data/tavern/campaigns/ once an admin confirms the preview.
+ */
+
+const FORMAT = 'goobster-campaign';
+const FORMAT_VERSION = 1;
+// Discord's upload limit for bots in servers without boosts
+const MAX_PACKAGE_BYTES = 10 * 1024 * 1024;
+const MAX_FILES = 120;
+// An unconfirmed import is discarded after this long
+const STAGE_TTL_MS = 15 * 60 * 1000;
+
+const TAVERN_DATA_DIR = path.join(require('../../runtimePaths').dataDir, 'tavern');
+const KEY_PATH = path.join(TAVERN_DATA_DIR, 'signing-key.pem');
+const QUARANTINE_DIR = path.join(TAVERN_DATA_DIR, 'quarantine');
+const PROVENANCE_FILE = 'package.yaml';
+
+const FILE_PATTERN = /^(quest\.yaml|endings\.yaml|scenes\/[a-z0-9][a-z0-9-]*\.yaml|art\/[a-z0-9][a-z0-9-]*\.png)$/;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let signer = null;
+const staged = new Map();
+
+/** JSON with object keys sorted at every level - the bytes that get signed. */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/** A public key's short, human-comparable fingerprint. */
+function fingerprintOf(publicKeyDer) {
+    return sha256(publicKeyDer).slice(0, 32).match(/.{4}/g).join(':');
+}
+
+/**
+ * This install's signing key, created on first use.
+ * @returns {{privateKey: KeyObject, publicKey: string, fingerprint: string}}
+ */
+function getSigner() {
+    if (signer) return signer;
+    let privateKey;
+    if (fs.existsSync(KEY_PATH)) {
+        privateKey = crypto.createPrivateKey(fs.readFileSync(KEY_PATH));
+    } else {
+        privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+        fs.mkdirSync(path.dirname(KEY_PATH), { recursive: true });
+        fs.writeFileSync(KEY_PATH, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    }
+    const publicDer = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    signer = { privateKey, publicKey: publicDer.toString('base64'), fingerprint: fingerprintOf(publicDer) };
+    return signer;
+}
+
+/**
+ * Sign a set of files into a package.
+ * @param {Object<string, Buffer>} files - package path -> bytes
+ * @param {Object} meta - {questId, title, version, author, forkOf?}
+ * @param {{now?: Date}} [opts]
+ * @returns {Object} the package document
+ */
+function packFiles(files, meta, { now = new Date() } = {}) {
+    const key = getSigner();
+    const manifest = {
+        format: FORMAT,
+        formatVersion: FORMAT_VERSION,
+        ...meta,
+        exportedAt: now.toISOString(),
+        signer: { publicKey: key.publicKey, fingerprint: key.fingerprint },
+        files: Object.fromEntries(Object.entries(files).map(([file, bytes]) => [file, sha256(bytes)]))
+    };
+    return {
+        manifest,
+        signature: crypto.sign(null, Buffer.from(canonicalJson(manifest)), key.privateKey).toString('base64'),
+        files: Object.fromEntries(Object.entries(files).map(([file, bytes]) =>
+            [file, file.endsWith('.png') ? bytes.toString('base64') : bytes.toString('utf8')]))
+    };
+}
+
+/**
+ * Export a loaded campaign as a signed package. Twist forks and forged
+ * campaigns export like any other; a fork's art is its canonical
+ * campaign's.
+ * @param {string} questId
+ * @param {Object} [opts]
+ * @param {string} [opts.version] - defaults to quest.yaml's `version`, else 1.0.0
+ * @param {{name: string, server?: string}} [opts.author] - defaults to
+ *   the campaign's imported author, else "unknown"
+ * @param {boolean} [opts.includeArt=true]
+ * @param {Date} [opts.now]
+ * @returns {{buffer: Buffer, fileName: string, manifest: Object}}
+ * @throws {TavernError} NO_QUEST / PACKAGE_TOO_LARGE
+ */
+function exportCampaign(questId, { version = null, author = null, includeArt = true, now = new Date() } = {}) {
+    const quest = questLoader.getQuest(questId);
+    if (!quest) throw new TavernError('NO_QUEST', 'No such quest on the board (twist forks export by their full id).');
+
+    const files = Object.fromEntries(Object.entries(campaignFiles(quest)).map(([file, text]) => [file, Buffer.from(text, 'utf8')]));
+    if (includeArt) {
+        for (const scene of Object.values(quest.scenes)) {
+            const art = assetService.getSceneArt(quest.canonicalId || quest.id, scene.id);
+            if (art) files[`art/${scene.id}.png`] = fs.readFileSync(art);
+        }
+    }
+
+    const provenance = readProvenance(quest.id);
+    const pkg = packFiles(files, {
+        questId: quest.id,
+        title: quest.title,
+        version: String(version || quest.version || '1.0.0').slice(0, 32),
+        author: author || provenance?.author || { name: 'unknown' },
+        ...(quest.canonicalId ? { forkOf: quest.canonicalId } : {})
+    }, { now });
+    const buffer = Buffer.from(JSON.stringify(pkg, null, 1), 'utf8');
+    if (buffer.length > MAX_PACKAGE_BYTES) {
+        throw new TavernError('PACKAGE_TOO_LARGE',
+            `That package is ${(buffer.length / 1048576).toFixed(1)} MB - over the ${MAX_PACKAGE_BYTES / 1048576} MB upload limit. Export it without art.`);
+    }
+    return { buffer, fileName: `${quest.id}-v${pkg.manifest.version.replace(/[^a-zA-Z0-9.-]/g, '')}.campaign.json`, manifest: pkg.manifest };
+}
+
+/**
+ * Check a package's shape, signature, and file hashes.
+ * @param {Buffer} buffer
+ * @returns {{manifest: Object, files: Object<string, Buffer>}}
+ * @throws {TavernError} PACKAGE_TOO_LARGE / BAD_PACKAGE / BAD_SIGNATURE / TAMPERED
+ */
+function verifyPackage(buffer) {
+    if (buffer.length > MAX_PACKAGE_BYTES) {
+        throw new TavernError('PACKAGE_TOO_LARGE', `Campaign packages are at most ${MAX_PACKAGE_BYTES / 1048576} MB.`);
+    }
+    let pkg;
+    try {
+        pkg = JSON.parse(buffer.toString('utf8'));
+    } catch {
+        throw new TavernError('BAD_PACKAGE', 'That file is not a campaign package (`/tavern export` makes them).');
+    }
+    const manifest = pkg?.manifest;
+    if (manifest?.format !== FORMAT || typeof pkg.signature !== 'string' || !pkg.files || typeof pkg.files !== 'object') {
+        throw new TavernError('BAD_PACKAGE', 'That file is not a campaign package (`/tavern export` makes them).');
+    }
+    if (manifest.formatVersion !== FORMAT_VERSION) {
+        throw new TavernError('BAD_PACKAGE', `That package is format v${manifest.formatVersion}; this Goobster reads v${FORMAT_VERSION}.`);
+    }
+
+    let verified;
+    try {
+        const publicKey = crypto.createPublicKey({ key: Buffer.from(manifest.signer.publicKey, 'base64'), format: 'der', type: 'spki' });
+        verified = publicKey.asymmetricKeyType === 'ed25519'
+            && crypto.verify(null, Buffer.from(canonicalJson(manifest)), publicKey, Buffer.from(pkg.signature, 'base64'));
+    } catch {
+        verified = false;
+    }
+    if (!verified) throw new TavernError('BAD_SIGNATURE', 'The package signature does not check out - it was altered after export, or never signed.');
+
+    const listed = Object.keys(manifest.files || {});
+    const shipped = Object.keys(pkg.files);
+    if (listed.length > MAX_FILES) throw new TavernError('BAD_PACKAGE', `A package carries at most ${MAX_FILES} files.`);
+    if (listed.length !== shipped.length || shipped.some(file => !Object.hasOwn(manifest.files, file))) {
+        throw new TavernError('TAMPERED', 'The package contents do not match its signed manifest.');
+    }
+    const files = {};
+    for (const file of listed) {
+        if (!FILE_PATTERN.test(file)) throw new TavernError('BAD_PACKAGE', `The package lists an unexpected file: ${file.slice(0, 80)}`);
+        if (typeof pkg.files[file] !== 'string') throw new TavernError('TAMPERED', `${file} is not readable.`);
+        const bytes = Buffer.from(pkg.files[file], file.endsWith('.png') ? 'base64' : 'utf8');
+        if (sha256(bytes) !== manifest.files[file]) throw new TavernError('TAMPERED', `${file} was changed after the package was signed.`);
+        if (file.endsWith('.png') && !bytes.subarray(0, 8).equals(PNG_MAGIC)) {
+            throw new TavernError('BAD_PACKAGE', `${file} is not a PNG image.`);
+        }
+        files[file] = bytes;
+    }
+    if (!files['quest.yaml']) throw new TavernError('BAD_PACKAGE', 'The package has no quest.yaml.');
+    return { manifest, files };
+}
+
+/**
+ * Unpack a package into quarantine and preview it: the loader's
+ * validation, the story-graph lint, what it would replace, and what it
+ * depends on. Nothing reaches the quest board until installStaged.
+ * @param {Buffer} buffer
+ * @param {{now?: number}} [opts]
+ * @returns {Object} preview: {token, manifest, quest, valid, errors, lint,
+ *   art, localSigner, replaces, installedVersion, missing}
+ * @throws {TavernError} as verifyPackage, plus BAD_PACKAGE for a quest id mismatch
+ */
+function stageImport(buffer, { now = Date.now() } = {}) {
+    sweepQuarantine(now);
+    const { manifest, files } = verifyPackage(buffer);
+
+    const token = crypto.randomBytes(8).toString('hex');
+    const dir = path.join(QUARANTINE_DIR, token);
+    for (const [file, bytes] of Object.entries(files)) {
+        const target = path.join(dir, file.startsWith('art/') ? file : path.join('campaign', file));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, bytes);
+    }
+
+    let quest;
+    let errors;
+    try {
+        quest = questLoader.loadCampaignDir(path.join(dir, 'campaign'));
+        errors = questLoader.validateQuest(quest);
+    } catch (error) {
+        quest = null;
+        errors = [`The campaign files do not load: ${error.message.split('\n')[0]}`];
+    }
+    if (quest && quest.id !== manifest.questId) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        throw new TavernError('BAD_PACKAGE', `The package says '${manifest.questId}' but its quest.yaml is '${quest.id}'.`);
+    }
+
+    const quests = questLoader.getQuests();
+    const existing = quest ? quests[quest.id] : null;
+    const missing = [];
+    if (quest?.requires && !quests[quest.requires]) missing.push(`chapter gate: needs '${quest.requires}' completed first, and it is not installed here`);
+    if (quest?.canonicalId && !quests[quest.canonicalId]) missing.push(`twist fork of '${quest.canonicalId}', which is not installed here`);
+
+    const preview = {
+        token,
+        manifest,
+        quest,
+        valid: errors.length === 0,
+        errors,
+        lint: errors.length === 0 ? campaignLinter.lintQuest(quest, { quests }) : null,
+        art: Object.keys(files).filter(file => file.startsWith('art/')).length,
+        localSigner: manifest.signer.fingerprint === getSigner().fingerprint,
+        replaces: existing ? existing.source : null,
+        installedVersion: existing ? readProvenance(existing.id)?.version ?? null : null,
+        missing
+    };
+    staged.set(token, { dir, questId: manifest.questId, valid: preview.valid, manifest, stagedAt: now });
+    return preview;
+}
+
+/**
+ * Install a staged import: the campaign directory (replacing a custom one
+ * with the same id, or overriding a built-in), a provenance file, and its
+ * art; then reload the quest board. A fork's art goes under its canonical
+ * campaign and never overwrites art already there.
+ * @param {string} token - from stageImport
+ * @param {{now?: Date}} [opts]
+ * @returns {{quest: Object, art: number}}
+ * @throws {TavernError} NO_STAGED / INVALID_CAMPAIGN
+ */
+function installStaged(token, { now = new Date() } = {}) {
+    const stage = staged.get(token);
+    if (!stage || !fs.existsSync(stage.dir)) throw new TavernError('NO_STAGED', 'That import expired - upload the package again.');
+    if (!stage.valid) throw new TavernError('INVALID_CAMPAIGN', 'That campaign failed validation, so it cannot be installed.');
+
+    const target = path.join(questLoader.CUSTOM_DIR, stage.questId);
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.cpSync(path.join(stage.dir, 'campaign'), target, { recursive: true });
+    fs.writeFileSync(path.join(target, PROVENANCE_FILE), YAML.stringify({
+        version: stage.manifest.version,
+        author: stage.manifest.author,
+        signer: stage.manifest.signer.fingerprint,
+        exportedAt: stage.manifest.exportedAt,
+        importedAt: now.toISOString()
+    }));
+
+    const quest = questLoader.loadCampaignDir(target);
+    const artDir = path.join(stage.dir, 'art');
+    let art = 0;
+    for (const file of fs.existsSync(artDir) ? fs.readdirSync(artDir) : []) {
+        const destination = assetService.sceneArtPath(quest.canonicalId || quest.id, path.basename(file, '.png'));
+        if (quest.canonicalId && fs.existsSync(destination)) continue;
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.copyFileSync(path.join(artDir, file), destination);
+        art++;
+    }
+    discardStaged(token);
+    questLoader.reload();
+    return { quest: questLoader.getQuest(stage.questId), art };
+}
+
+/**
+ * Throw a staged import away.
+ * @param {string} token
+ */
+function discardStaged(token) {
+    const stage = staged.get(token);
+    staged.delete(token);
+    if (stage) fs.rmSync(stage.dir, { recursive: true, force: true });
+}
+
+/** The provenance an import left in a custom campaign's directory, or null. */
+function readProvenance(questId) {
+    const file = path.join(questLoader.CUSTOM_DIR, questId, PROVENANCE_FILE);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return YAML.parse(fs.readFileSync(file, 'utf8')) || null;
+    } catch {
+        return null;
+    }
+}
+
+/** Remove imports nobody confirmed (including ones a restart forgot). */
+function sweepQuarantine(now = Date.now()) {
+    for (const [token, stage] of staged) {
+        if (now - stage.stagedAt > STAGE_TTL_MS) discardStaged(token);
+    }
+    if (!fs.existsSync(QUARANTINE_DIR)) return;
+    for (const entry of fs.readdirSync(QUARANTINE_DIR)) {
+        const dir = path.join(QUARANTINE_DIR, entry);
+        if (!staged.has(entry) && now - fs.statSync(dir).mtimeMs > STAGE_TTL_MS) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = {
+    exportCampaign,
+    verifyPackage,
+    stageImport,
+    installStaged,
+    discardStaged,
+    readProvenance,
+    getSigner,
+    packFiles,
+    MAX_PACKAGE_BYTES,
+    FORMAT,
+    FORMAT_VERSION
+};
@@ -0,0 +1,201 @@
+const db = require('../../db');
+const { TavernError } = require('./tavernError');
+const { AdventureService } = require('./adventureService');
+const characterService = require('./characterService');
+const questLoader = require('./questLoader');
+const { rngStream } = require('../../utils/provablyFair');
+
+const SANDBOX_GUILD = 'tavern-sandbox';
+const MAX_MOVES = 60;
+const MAX_PARTY = 6;
+const MOVE_TYPES = ['option', 'freeform', 'attack', 'reroll', 'bigmove', 'item'];
+
+// Throwaway adventurers: legal spreads of the stat pool, cycled per seat
+const TESTERS = [
+    { calling: 'vanguard', stats: { might: 2, finesse: 2, wits: 1, heart: 1 } },
+    { calling: 'mystic', stats: { might: 1, finesse: 1, wits: 2, heart: 2 } },
+    { calling: 'scoundrel', stats: { might: 1, finesse: 2, wits: 2, heart: 1 } },
+    { calling: 'troubadour', stats: { might: 2, finesse: 1, wits: 1, heart: 2 } }
+];
+
+/** Thrown to unwind the sandbox transaction once the transcript is taken. */
+class SandboxRollback extends Error {}
+
+const seatUserId = seat => `sandbox-${seat}`;
+
+/**
+ * The play state a test-play frame shows: scene, clocks, flags, options
+ * still on offer, standing enemies, and each tester's sheet.
+ */
+function snapshot(engine, { adventure, quest, scene, members }) {
+    const active = adventure.status === 'ACTIVE';
+    const spotlight = engine.spotlightUser(adventure);
+    return {
+        status: adventure.status,
+        sceneId: adventure.sceneId,
+        sceneTitle: scene?.title ?? null,
+        sceneText: scene?.text ?? null,
+        endingId: adventure.endingId ?? null,
+        clocks: (quest.clocks || []).map(clock => ({
+            id: clock.id, name: clock.name, kind: clock.kind, size: clock.size,
+            value: adventure.state.clocks?.[clock.id] ?? 0
+        })),
+        flags: adventure.state.flags || {},
+        options: active
+            ? engine.availableOptions(adventure, quest).map(option => ({
+                key: option.key,
+                label: option.label,
+                kind: option.stat !== undefined ? 'check' : 'travel',
+                stat: option.stat ?? null,
+                dc: option.stat !== undefined ? questLoader.resolveDc(option.dc) : null
+            }))
+            : [],
+        enemies: active
+            ? engine.livingEnemies(adventure, quest).map(enemy => ({
+                id: enemy.id, name: enemy.name,
+                health: enemy.currentHealth, maxHealth: enemy.health,
+                intent: engine.telegraphedIntent(adventure, enemy)
+            }))
+            : [],
+        spotlight: spotlight ? Number(spotlight.slice('sandbox-'.length)) : null,
+        party: members.map(member => ({
+            seat: Number(member.userId.slice('sandbox-'.length)),
+            name: member.character?.name ?? member.userId,
+            calling: member.character?.calling ?? null,
+            health: member.character?.health ?? 0,
+            maxHealth: member.character?.maxHealth ?? 0,
+            spark: member.character?.spark ?? 0,
+            inventory: member.character?.inventory ?? []
+        }))
+    };
+}
+
+/** The parts of an engine result a frame keeps. */
+function summarize(result, quest) {
+    return {
+        kind: result.kind ?? null,
+        actionLabel: result.actionLabel ?? null,
+        outcomeText: result.outcomeText || null,
+        stat: result.stat ?? null,
+        dc: result.dc ?? null,
+        roll: result.roll ?? null,
+        total: result.total ?? null,
+        success: result.success ?? null,
+        happenings: result.happenings ?? [],
+        ended: result.ended ? { id: result.ended.endingId, title: quest.endings[result.ended.endingId]?.title ?? null } : null
+    };
+}
+
+/** Play one move through the engine. */
+async function play(engine, adventureId, userId, move) {
+    switch (move.type) {
+        case 'option': return engine.chooseOption(adventureId, userId, move.key);
+        case 'freeform': return engine.freeform(adventureId, userId, move.text, { stat: move.stat, dc: move.dc });
+        case 'attack': return engine.attack(adventureId, userId, move.enemyId, move.stat ?? null);
+        case 'reroll': return engine.sparkReroll(adventureId, userId);
+        case 'item': return engine.useItem(adventureId, userId, move.item);
+        case 'bigmove': return engine.useBigMove(adventureId, userId);
+        default: throw new TavernError('BAD_MOVE', `Moves are one of: ${MOVE_TYPES.join(', ')}.`);
+    }
+}
+
+/**
+ * Test-play a draft campaign: the real adventure engine, a party of
+ * throwaway testers, and a scripted list of moves - all inside one database
+ * transaction that is rolled back at the end, so no character, adventure,
+ * trophy, or lore entry survives the run.
+ *
+ * Runs are stateless and deterministic: the same draft, moves, and seed give
+ * the same transcript, so the editor replays from scratch after each step.
+ * A move may force its d20 (`roll: 1-20`) to test a branch; otherwise the
+ * seeded stream rolls. Moves act as the spotlight tester unless they name a
+ * `seat`. The first move the engine refuses stops the run (its frame
+ * carries the error).
+ *
+ * The draft's chapter gate (`requires`) and `hidden` flag are ignored - the
+ * sandbox plays a campaign before it is on any board.
+ *
+ * @param {Object} params
+ * @param {Object} params.quest - loader-shaped quest (validated here)
+ * @param {Array<Object>} [params.moves] - {type, key?, text?, enemyId?,
+ *   item?, stat?, dc?, roll?, seat?}
+ * @param {string} [params.seed]
+ * @param {number} [params.partySize] - clamped to the quest's players range
+ * @returns {{questId, seed, partySize, frames: Array, stoppedAt: number|null}}
+ * @throws {TavernError} INVALID_CAMPAIGN / TOO_MANY_MOVES
+ */
+async function playtest({ quest, moves = [], seed = 'tavern-sandbox', partySize = 1 }) {
+    const errors = questLoader.validateQuest(quest);
+    if (errors.length > 0) {
+        throw new TavernError('INVALID_CAMPAIGN', `Fix the campaign before test-playing it: ${errors[0]}`);
+    }
+    if (!Array.isArray(moves)) throw new TavernError('BAD_MOVE', 'Moves must be a list.');
+    if (moves.length > MAX_MOVES) {
+        throw new TavernError('TOO_MANY_MOVES', `A test play is at most ${MAX_MOVES} moves.`);
+    }
+
+    const draft = { ...quest, requires: undefined, hidden: false };
+    const seats = Math.min(MAX_PARTY, Math.max(quest.players.min, Math.min(quest.players.max, Math.floor(Number(partySize)) || 1)));
+
+    // Forced rolls jump the queue; everything else draws from the seed
+    const seeded = rngStream({ serverSeed: String(seed), clientSeed: `tavern-sandbox:${quest.id}` });
+    const forced = [];
+    const rng = () => (forced.length > 0 ? forced.shift() : seeded());
+    const engine = new AdventureService(rng, { quests: { [draft.id]: draft } });
+
+    let transcript = null;
+    try {
+        await db.transaction(async () => {
+            for (let seat = 1; seat <= seats; seat++) {
+                const tester = TESTERS[(seat - 1) % TESTERS.length];
+                await characterService.createCharacter({
+                    guildId: SANDBOX_GUILD,
+                    userId: seatUserId(seat),
+                    name: `Tester ${seat}`,
+                    origin: 'the test-play sandbox',
+                    calling: tester.calling,
+                    stats: tester.stats,
+                    complication: 'Exists only until the run ends'
+                });
+            }
+            const { adventure } = await engine.createParty({
+                guildId: SANDBOX_GUILD, channelId: SANDBOX_GUILD, questId: draft.id, userId: seatUserId(1)
+            });
+            for (let seat = 2; seat <= seats; seat++) await engine.join(adventure.id, seatUserId(seat));
+            await engine.begin(adventure.id, seatUserId(1));
+
+            const frames = [{ index: 0, move: null, result: null, error: null, state: snapshot(engine, await engine.describe(adventure.id)) }];
+            let stoppedAt = null;
+            for (const [i, move] of moves.entries()) {
+                const before = await engine.describe(adventure.id);
+                if (before.adventure.status !== 'ACTIVE') break;
+
+                const seat = Number.isInteger(move?.seat) && move.seat >= 1 && move.seat <= seats
+                    ? move.seat
+                    : Number(engine.spotlightUser(before.adventure).slice('sandbox-'.length));
+                forced.length = 0;
+                if (Number.isInteger(move?.roll) && move.roll >= 1 && move.roll <= 20) forced.push((move.roll - 0.5) / 20);
+
+                const frame = { index: i + 1, move: { ...move, seat }, result: null, error: null, state: null };
+                try {
+                    const result = await play(engine, adventure.id, seatUserId(seat), move || {});
+                    frame.result = summarize(result || {}, draft);
+                } catch (error) {
+                    if (!(error instanceof TavernError)) throw error;
+                    frame.error = error.message;
+                    stoppedAt = i + 1;
+                }
+                frame.state = snapshot(engine, await engine.describe(adventure.id));
+                frames.push(frame);
+                if (stoppedAt) break;
+            }
+            transcript = { questId: draft.id, seed: String(seed), partySize: seats, frames, stoppedAt };
+            throw new SandboxRollback();
+        });
+    } catch (error) {
+        if (!(error instanceof SandboxRollback)) throw error;
+    }
+    return transcript;
+}
+
+module.exports = { playtest, MAX_MOVES, MAX_PARTY, MOVE_TYPES };
@@ -388,3 +388,4 @@ class CharacterService {
 
 module.exports = new CharacterService();
 module.exports.CharacterService = CharacterService;
+module.exports.MAX_INVENTORY_ITEMS = MAX_INVENTORY_ITEMS;
@@ -108,7 +108,8 @@ const BOT_CHARACTER = Object.freeze({
 
 /**
  * The resident cast. Secrets are here as future adventure fuel - they are
- * never rendered to players by any view.
+ * never rendered to players by any view. `voice` is the ElevenLabs voice
+ * (premade id or library name) a narrated table speaks their lines in.
  */
 const NPCS = Object.freeze({
     marnie: {
@@ -120,7 +121,8 @@ const NPCS = Object.freeze({
             'The rain on those windows isn\'t always from this world\'s weather. Don\'t worry about it.',
             'I don\'t take sides. I take coats, and occasionally confessions.'
         ],
-        secret: 'The Tavern moves between worlds only because she permits it.'
+        secret: 'The Tavern moves between worlds only because she permits it.',
+        voice: 'XB0fDUnXU5powFXDhCwa' // Charlotte
     },
     bix: {
         key: 'bix', name: 'Bix Copperthumb', title: 'Quartermaster', emoji: '🪙',
@@ -131,7 +133,8 @@ const NPCS = Object.freeze({
             'Everything\'s inventoried. Some of it is inventoried as "misc, screaming".',
             'Adventurer discount today: same price, but I say something nice about your boots.'
         ],
-        secret: 'Owes money to a dragon-run logistics company.'
+        secret: 'Owes money to a dragon-run logistics company.',
+        voice: 'N2lVS1w4EtoT3dr4eOWO' // Callum
     },
     caldra: {
         key: 'caldra', name: 'Sister Caldra', title: 'Hearthkeeper', emoji: '🕯️',
@@ -142,7 +145,8 @@ const NPCS = Object.freeze({
             'I remember your story. Parts of it you haven\'t told yet, I think. Tea?',
             'The hearth never judges. That\'s my job, and I choose not to.'
         ],
-        secret: 'She is slowly forgetting her original name.'
+        secret: 'She is slowly forgetting her original name.',
+        voice: 'ThT5KcBeYPX3keUQqHPh' // Dorothy
     },
     albert: {
         key: 'albert', name: 'Albert E. Littlefield', title: 'Keeper of the Impractical Beacon', emoji: '🔦',
@@ -153,10 +157,17 @@ const NPCS = Object.freeze({
             'No, there\'s no sea nearby. Yes, the lamp points at one anyway. I have professional concerns.',
             'Lamp maintenance tip: never let it go out. That\'s the whole tip. No pressure.'
         ],
-        secret: 'The beacon calls something from beyond the known map, and the lamp must never be allowed to go out.'
+        secret: 'The beacon calls something from beyond the known map, and the lamp must never be allowed to go out.',
+        voice: 'JBFqnCBsd6RMkjVDRZzb' // George
     }
 });
 
+/**
+ * Ambient beds a scene may name with `ambience:` - the loops
+ * voice/ambientService generates (and caches under data/ambience/).
+ */
+const AMBIENCES = Object.freeze(['forest', 'cave', 'tavern', 'ocean', 'city', 'dungeon', 'camp', 'storm']);
+
 /** Daily rumor pool - one surfaces per guild per UTC day. */
 const RUMORS = Object.freeze([
     'They say the bell tower at Brinewatch has gone silent, and the tide sounds wrong without it.',
@@ -247,6 +258,7 @@ module.exports = {
     CALLINGS,
     BOT_CHARACTER,
     NPCS,
+    AMBIENCES,
     RUMORS,
     WEATHER_LINES,
     dailyRumor,
@@ -2,6 +2,7 @@ const { TavernError } = require('./tavernError');
 const adventureService = require('./adventureService');
 const questLoader = require('./questLoader');
 const narrator = require('./narrator');
+const playByPostService = require('./playByPostService');
 const views = require('../../utils/tavernViews');
 
 /**
@@ -22,6 +23,7 @@ async function buildSceneView(adventureId, lead = null) {
     const enemies = adventureService.livingEnemies(adventure, quest);
     const telegraphs = Object.fromEntries(enemies.map(enemy =>
         [enemy.id, adventureService.telegraphedIntent(adventure, enemy)]));
+    const postWindow = adventure.pace === 'POSTED' ? await playByPostService.getWindowStatus(adventureId) : null;
     return views.sceneMessage({
         adventure, quest, scene, members,
         options: adventureService.availableOptions(adventure, quest),
@@ -30,7 +32,8 @@ async function buildSceneView(adventureId, lead = null) {
         // Twist forks reuse the canonical campaign's art
         artPath: scene ? assetService.getSceneArt(quest.canonicalId || quest.id, scene.id) : null,
         enemies,
-        telegraphs
+        telegraphs,
+        postWindow
     });
 }
 
@@ -49,9 +52,109 @@ async function sendEnding(channel, quest, ended, guildId) {
     await channel.send({ embeds: [views.endingMessage(quest, ended, { polishedRecap })] });
 }
 
+/**
+ * Play-by-post: resolve a posting window and post the round - the summary
+ * (followers, lapsed moves), each move's outcome, then the ending, the next
+ * window's scene, or a note that the quiet table has paused.
+ * @param {Object} channel - the adventure's channel
+ * @param {number} windowId
+ * @returns {Object|null} the resolution (null when another resolver won)
+ */
+async function postRound(channel, windowId) {
+    const botUserId = channel.client?.user?.id ?? null;
+    const round = await playByPostService.resolveWindow(windowId, { botUserId });
+    if (!round) return null;
+    const { adventureId, quest } = round;
+    const adventure = await adventureService.getAdventure(adventureId);
+
+    await channel.send(views.roundSummary(round));
+    for (const { userId, move, result } of round.results) {
+        if (result.kind === 'freeform') {
+            try {
+                const narration = await narrator.narrateOutcome({
+                    quest, scene: quest.scenes[round.window.sceneId], character: result.character,
+                    actionText: move.text,
+                    stat: result.stat, dc: result.dc, roll: result.roll, total: result.total,
+                    success: result.success, happenings: result.happenings
+                }, { guildId: adventure.guildId, userId });
+                if (narration) result.outcomeText = narration;
+            } catch {
+                // keep the stock line
+            }
+        }
+        await channel.send(views.checkResultMessage(result, adventureId));
+    }
+
+    if (round.ended) {
+        await sendEnding(channel, quest, round.ended, adventure.guildId);
+    } else if (round.next) {
+        await channel.send(await buildSceneView(adventureId, round.sceneChanged ? null : '*The scene holds - a new round opens.*'));
+        await require('./botAdventurer').maybeDeclare(adventureId, channel);
+    } else if (round.paused) {
+        await channel.send('🕯️ The table has gone quiet for a few rounds, so the posting windows pause. ' +
+            'Post a move (a scene option or `/adventure act`) to open the next round.');
+    }
+    return round;
+}
+
+/**
+ * Play-by-post delivery, run by the heartbeat's minute loop: remind members
+ * who have not posted (with a "Previously" bridge over the gap) and post
+ * every window that is due to resolve.
+ * @param {Object} client - Discord client
+ * @param {{now?: Date}} [opts]
+ */
+async function deliverPostWindows(client, { now = new Date() } = {}) {
+    const botUserId = client?.user?.id ?? null;
+    const { reminders, resolutions } = await playByPostService.collectDue({ now, botUserId });
+    for (const { window, adventure, waitingOn } of reminders) {
+        const channel = await client.channels.fetch(adventure.channelId).catch(() => null);
+        if (!channel) continue;
+        const quest = questLoader.getQuest(adventure.questId);
+        if (!quest) continue;
+        await channel.send({
+            content: views.postReminderMessage({
+                quest, scene: quest.scenes[window.sceneId], window, waitingOn,
+                previously: await playByPostService.previously(adventure.id)
+            }),
+            allowedMentions: { users: waitingOn }
+        }).catch(error => console.error(`Tavern reminder for adventure ${adventure.id} failed:`, error.message));
+    }
+    for (const { windowId, channelId } of resolutions) {
+        const channel = await client.channels.fetch(channelId).catch(() => null);
+        if (!channel) continue;
+        try {
+            await postRound(channel, windowId);
+        } catch (error) {
+            console.error(`Tavern round ${windowId} failed to resolve:`, error);
+        }
+    }
+}
+
+/**
+ * Post a play-by-post move from a scene button; resolves the round when it
+ * was the last one the table was waiting on.
+ */
+async function postMoveFromButton(interaction, adventureId, move) {
+    const botUserId = interaction.client?.user?.id ?? null;
+    const { window, move: posted, posted: postedIds, ready } =
+        await playByPostService.declare(adventureId, interaction.user.id, move, { botUserId });
+    const members = await adventureService.getMembers(adventureId);
+    await interaction.reply({
+        content: views.postedMoveMessage({ window, move: posted, posted: postedIds, members }),
+        ephemeral: true
+    });
+    if (ready) {
+        await postRound(interaction.channel, window.id);
+    } else {
+        // Refresh the posted count on the scene message
+        await interaction.message?.edit({ ...await buildSceneView(adventureId), attachments: [] }).catch(() => {});
+    }
+}
+
 /**
  * Handle a tavern button click.
- * @param {string} action - join | begin | opt | spark
+ * @param {string} action - join | begin | opt | atk | spark
  * @param {string} requestId - "<adventureId>" or "<adventureId>-<optionKey>"
  * @param {Object} interaction
  */
@@ -74,12 +177,21 @@ async function handleButton(action, requestId, interaction) {
             const startedEmbed = views.partyMessage(adventure, quest, members).embeds[0]
                 .setFooter({ text: 'The adventure is underway!' });
             await interaction.update({ embeds: [startedEmbed], components: [] });
+            if (adventure.pace === 'POSTED') await playByPostService.openWindow(adventureId);
             await interaction.channel.send(await buildSceneView(adventureId, '*The tale begins.*'));
             await require('./botAdventurer').maybeTakeTurn(adventureId, interaction.channel);
+            await require('./botAdventurer').maybeDeclare(adventureId, interaction.channel);
             return;
         }
 
         if (action === 'opt' || action === 'atk') {
+            const adventure = await adventureService.getAdventure(adventureId);
+            if (adventure?.pace === 'POSTED') {
+                await postMoveFromButton(interaction, adventureId, action === 'atk'
+                    ? { type: 'attack', enemyId: optionKey }
+                    : { type: 'option', key: optionKey });
+                return;
+            }
             const result = action === 'atk'
                 ? await adventureService.attack(adventureId, userId, optionKey)
                 : await adventureService.chooseOption(adventureId, userId, optionKey);
@@ -141,4 +253,4 @@ async function handleButton(action, requestId, interaction) {
     }
 }
 
-module.exports = { handleButton, buildSceneView, sendEnding };
+module.exports = { handleButton, buildSceneView, sendEnding, postRound, deliverPostWindows };
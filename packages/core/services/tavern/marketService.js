@@ -0,0 +1,301 @@
+const db = require('../../db');
+const { TavernError } = require('./tavernError');
+const characterService = require('./characterService');
+const { MAX_INVENTORY_ITEMS } = require('./characterService');
+const questLoader = require('./questLoader');
+const adventureService = require('./adventureService');
+const economyService = require('../economyService');
+const { EconomyError } = require('../economyService');
+const { BOT_CHARACTER } = require('./content');
+
+// Admin guardrail for the default completion wage (matches the daily cap)
+const MAX_WAGE = 100_000;
+
+const DEFAULT_SETTINGS = Object.freeze({ enabled: false, wage: 50 });
+
+/**
+ * The Tavern market: the bridge between adventures and the guild economy.
+ * Campaigns stock shops (`shop:` in quest.yaml) and publish crafting recipes
+ * (`recipes:`); completing an adventure pays each adventurer a wage. Every
+ * coin moves through economyService.adjust, so each purchase, sale, crafting
+ * fee, and wage is a row in the guild ledger (types tavern-buy, tavern-sell,
+ * tavern-craft, tavern-wage).
+ *
+ * Opt-in per guild: with no tavern_economy_settings row (or enabled = 0) the
+ * market refuses trade and adventures never touch a wallet.
+ */
+class MarketService {
+    // ------------------------------------------------------------------
+    // Settings
+    // ------------------------------------------------------------------
+
+    /**
+     * The guild's market settings, falling back to defaults (disabled).
+     * @param {string} guildId
+     * @returns {{enabled: boolean, wage: number}}
+     */
+    async getSettings(guildId) {
+        const row = await db.get(
+            'SELECT enabled, wage FROM tavern_economy_settings WHERE guildId = @guildId',
+            { guildId }
+        );
+        return row ? { enabled: row.enabled === 1, wage: row.wage } : { ...DEFAULT_SETTINGS };
+    }
+
+    /**
+     * Toggle the market and/or set the default completion wage. Omitted
+     * fields keep their current value.
+     * @param {Object} params - { guildId, enabled?, wage? }
+     * @returns {{enabled: boolean, wage: number}}
+     */
+    async setSettings({ guildId, enabled, wage }) {
+        const current = await this.getSettings(guildId);
+        const next = {
+            enabled: enabled ?? current.enabled,
+            wage: wage ?? current.wage
+        };
+        if (!Number.isInteger(next.wage) || next.wage < 0 || next.wage > MAX_WAGE) {
+            throw new TavernError('BAD_WAGE', `The wage must be a whole number from 0 to ${MAX_WAGE.toLocaleString()}.`);
+        }
+        await db.run(
+            `INSERT INTO tavern_economy_settings (guildId, enabled, wage) VALUES (@guildId, @enabled, @wage)
+             ON CONFLICT(guildId) DO UPDATE SET enabled = @enabled, wage = @wage, updatedAt = CURRENT_TIMESTAMP`,
+            { guildId, enabled: next.enabled ? 1 : 0, wage: next.wage }
+        );
+        return next;
+    }
+
+    // ------------------------------------------------------------------
+    // Catalogue
+    // ------------------------------------------------------------------
+
+    /**
+     * Shop stock from every listed campaign the guild has unlocked.
+     * @param {string} guildId
+     * @returns {Array<{item: string, price: number, sellPrice: number, questId: string, questTitle: string}>}
+     */
+    async listShops(guildId) {
+        const stock = [];
+        for (const quest of await this._unlockedQuests(guildId)) {
+            for (const entry of quest.shop || []) {
+                stock.push({
+                    item: entry.item,
+                    price: entry.price,
+                    sellPrice: entry.sellPrice ?? Math.floor(entry.price / 2),
+                    questId: quest.id,
+                    questTitle: quest.title
+                });
+            }
+        }
+        return stock;
+    }
+
+    /**
+     * Crafting recipes from every listed campaign the guild has unlocked.
+     * @param {string} guildId
+     * @returns {Array<{makes: string, from: string[], fee: number, questId: string, questTitle: string}>}
+     */
+    async listRecipes(guildId) {
+        const recipes = [];
+        for (const quest of await this._unlockedQuests(guildId)) {
+            for (const recipe of quest.recipes || []) {
+                recipes.push({
+                    makes: recipe.makes,
+                    from: [...recipe.from],
+                    fee: recipe.fee || 0,
+                    questId: quest.id,
+                    questTitle: quest.title
+                });
+            }
+        }
+        return recipes;
+    }
+
+    // ------------------------------------------------------------------
+    // Trade
+    // ------------------------------------------------------------------
+
+    /**
+     * Buy an item into the character's pack. The cheapest shop stocking it
+     * wins; a full pack is refused rather than dropping an old item.
+     * @param {Object} params - { guildId, userId, item }
+     * @returns {{item: string, price: number, balance: number, currencyName: string}}
+     */
+    async buy({ guildId, userId, item }) {
+        const character = await this._tradingCharacter(guildId, userId);
+        const offers = (await this.listShops(guildId)).filter(entry => sameItem(entry.item, item));
+        if (offers.length === 0) throw new TavernError('NOT_STOCKED', `No shop at the Tavern stocks "${item}".`);
+        const offer = offers.reduce((best, entry) => (entry.price < best.price ? entry : best));
+
+        const balance = await this._trade(async () => {
+            // Re-read inside the trade: a concurrent buy may have filled the pack
+            const { inventory } = await characterService.getById(character.id);
+            if (inventory.length >= MAX_INVENTORY_ITEMS) {
+                throw new TavernError('PACK_FULL', `Your pack is full (${MAX_INVENTORY_ITEMS} items). Sell or give something away first.`);
+            }
+            const after = await economyService.adjust({
+                guildId, userId, amount: -offer.price, type: 'tavern-buy',
+                detail: JSON.stringify({ item: offer.item, questId: offer.questId })
+            });
+            await characterService.addItem(character.id, offer.item);
+            return after;
+        });
+        return { item: offer.item, price: offer.price, balance, currencyName: await this._currencyName(guildId) };
+    }
+
+    /**
+     * Sell an item from the pack back to the best-paying shop that stocks it.
+     * Only shop goods can be sold - trophies and story loot are not for sale.
+     * @param {Object} params - { guildId, userId, item }
+     * @returns {{item: string, price: number, balance: number, currencyName: string}}
+     */
+    async sell({ guildId, userId, item }) {
+        const character = await this._tradingCharacter(guildId, userId);
+        const offers = (await this.listShops(guildId)).filter(entry => sameItem(entry.item, item));
+        if (offers.length === 0) throw new TavernError('NOT_STOCKED', `No shop at the Tavern buys "${item}".`);
+        const offer = offers.reduce((best, entry) => (entry.sellPrice > best.sellPrice ? entry : best));
+
+        const result = await this._trade(async () => {
+            const removed = await characterService.removeItem(character.id, item);
+            if (!removed) throw new TavernError('NO_ITEM', `You are not carrying "${item}".`);
+            const balance = await economyService.adjust({
+                guildId, userId, amount: offer.sellPrice, type: 'tavern-sell',
+                detail: JSON.stringify({ item: removed, questId: offer.questId })
+            });
+            return { item: removed, balance };
+        });
+        return { ...result, price: offer.sellPrice, currencyName: await this._currencyName(guildId) };
+    }
+
+    /**
+     * Combine loot into something new: consumes every component (duplicates
+     * count), charges the recipe's fee, and adds the product.
+     * @param {Object} params - { guildId, userId, makes }
+     * @returns {{item: string, used: string[], fee: number, balance: number|null, currencyName: string}}
+     */
+    async craft({ guildId, userId, makes }) {
+        const character = await this._tradingCharacter(guildId, userId);
+        const recipe = (await this.listRecipes(guildId)).find(entry => sameItem(entry.makes, makes));
+        if (!recipe) throw new TavernError('NO_RECIPE', `Nobody at the Tavern knows how to make "${makes}".`);
+
+        const balance = await this._trade(async () => {
+            // Checked against the pack as it is now, not as it was read above
+            const { inventory } = await characterService.getById(character.id);
+            const missing = missingParts(inventory, recipe.from);
+            if (missing.length > 0) {
+                throw new TavernError('MISSING_PARTS', `${recipe.makes} needs ${recipe.from.join(' + ')}. You are missing: ${missing.join(', ')}.`);
+            }
+            let after = null;
+            if (recipe.fee > 0) {
+                after = await economyService.adjust({
+                    guildId, userId, amount: -recipe.fee, type: 'tavern-craft',
+                    detail: JSON.stringify({ item: recipe.makes, from: recipe.from, questId: recipe.questId })
+                });
+            }
+            for (const part of recipe.from) {
+                const removed = await characterService.removeItem(character.id, part);
+                if (!removed) throw new TavernError('NO_ITEM', `You are not carrying "${part}".`);
+            }
+            await characterService.addItem(character.id, recipe.makes);
+            return after;
+        });
+        return { item: recipe.makes, used: recipe.from, fee: recipe.fee, balance, currencyName: await this._currencyName(guildId) };
+    }
+
+    // ------------------------------------------------------------------
+    // Wages
+    // ------------------------------------------------------------------
+
+    /**
+     * Pay each adventurer for a completed quest (no-op while the market is
+     * disabled). The quest's own `wage:` overrides the guild default; the
+     * Tavern's own spirit drinks for free and draws no wage.
+     * @param {Object} adventure - the finished adventure row
+     * @param {Object} quest
+     * @param {Array<{userId: string, character: Object|null}>} members
+     * @param {string} endingId
+     * @returns {{amount: number, currencyName: string, paid: string[]}|null}
+     */
+    async payWages(adventure, quest, members, endingId) {
+        const settings = await this.getSettings(adventure.guildId);
+        if (!settings.enabled) return null;
+        const amount = quest.wage ?? settings.wage;
+        if (amount <= 0) return null;
+
+        const paid = [];
+        for (const member of members) {
+            if (!member.character || member.character.origin === BOT_CHARACTER.origin) continue;
+            await economyService.adjust({
+                guildId: adventure.guildId, userId: member.userId, amount, type: 'tavern-wage',
+                detail: JSON.stringify({ adventureId: adventure.id, questId: quest.id, endingId })
+            });
+            paid.push(member.userId);
+        }
+        if (paid.length === 0) return null;
+        return { amount, currencyName: await this._currencyName(adventure.guildId), paid };
+    }
+
+    // ------------------------------------------------------------------
+    // Internals
+    // ------------------------------------------------------------------
+
+    async _unlockedQuests(guildId) {
+        const quests = [];
+        for (const quest of questLoader.getVisibleQuests()) {
+            if (await adventureService.isQuestUnlocked(guildId, quest)) quests.push(quest);
+        }
+        return quests;
+    }
+
+    /** The caller's character, once the market is open in this guild. */
+    async _tradingCharacter(guildId, userId) {
+        const { enabled } = await this.getSettings(guildId);
+        if (!enabled) {
+            throw new TavernError('MARKET_CLOSED', 'The Tavern market is closed here. An admin can open it with `/tavern market settings`.');
+        }
+        const character = await characterService.getCharacter(guildId, userId);
+        if (!character) throw new TavernError('NO_CHARACTER', 'You have no character here yet - `/character create` takes about a minute.');
+        return character;
+    }
+
+    /** Run a trade atomically, surfacing economy refusals as Tavern copy. */
+    async _trade(work) {
+        try {
+            return await db.transaction(work);
+        } catch (error) {
+            if (error instanceof EconomyError) throw new TavernError(error.code, error.message);
+            throw error;
+        }
+    }
+
+    async _currencyName(guildId) {
+        return (await economyService.getSettings(guildId)).currencyName;
+    }
+}
+
+function sameItem(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Components the inventory cannot cover, counting duplicates (a recipe
+ * needing two bells wants two bells).
+ * @param {string[]} inventory
+ * @param {string[]} parts
+ * @returns {string[]}
+ */
+function missingParts(inventory, parts) {
+    const pool = inventory.map(entry => entry.toLowerCase());
+    const missing = [];
+    for (const part of parts) {
+        const index = pool.indexOf(part.trim().toLowerCase());
+        if (index === -1) missing.push(part);
+        else pool.splice(index, 1);
+    }
+    return missing;
+}
+
+module.exports = new MarketService();
+module.exports.MarketService = MarketService;
+module.exports.missingParts = missingParts;
+module.exports.MAX_WAGE = MAX_WAGE;
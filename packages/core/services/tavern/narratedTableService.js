@@ -0,0 +1,484 @@
+const db = require('../../db');
+const adventureService = require('./adventureService');
+const questLoader = require('./questLoader');
+const { TavernError } = require('./tavernError');
+const { NPCS } = require('./content');
+
+// How often a narrated table reads the adventure log for new beats
+const POLL_MS = 1500;
+// Narration waits this long at most for Goobster to finish a spoken reply
+const QUIET_WAIT_MS = 30_000;
+const QUIET_CHECK_MS = 250;
+// Beats read per poll (a long backlog is spoken over several polls)
+const MAX_ROWS_PER_POLL = 40;
+const AMBIENCE_VOLUME = 0.15;
+
+const LIVE_STATUSES = ['RECRUITING', 'ACTIVE'];
+const QUOTE_PATTERN = /"([^"]+)"|“([^”]+)”/g;
+// A speaker tag ("...," says Pell) is looked for this close after a quote;
+// a quote this close after the last one ("...," she says. "...") continues it
+const SPEAKER_TAG_CHARS = 30;
+const CONTINUED_QUOTE_CHARS = 60;
+const CHECK_LINE = /^(.+?) - (?:rolled [^:]+|auto-success \(big move\)): (success|failure|hit|miss)\.$/;
+const CHECK_PHRASES = { success: 'and it works', failure: 'and it goes wrong', hit: 'and lands the blow', miss: 'and misses' };
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Markdown emphasis and stray symbols read badly aloud. */
+function speakable(text) {
+    return String(text || '').replace(/[*_`~>#]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Who speaks in a campaign: the narrator's voice (quest `voices.narrator`,
+ * else null = the configured /setvoice voice) and every named character
+ * with a voice - the campaign's `voices:` first, so a campaign can recast
+ * a Tavern resident, then the residents from content.NPCS (matched by full
+ * name or first name).
+ * @param {Object} quest
+ * @returns {{narrator: string|null, cast: Array<{names: string[], voice: string}>}}
+ */
+function buildCast(quest) {
+    const voices = quest?.voices || {};
+    const cast = Object.entries(voices)
+        .filter(([name]) => name !== 'narrator')
+        .map(([name, voice]) => ({ names: [name], voice }));
+    for (const npc of Object.values(NPCS)) {
+        if (!npc.voice) continue;
+        cast.push({ names: [npc.name, npc.key.charAt(0).toUpperCase() + npc.key.slice(1)], voice: npc.voice });
+    }
+    return {
+        narrator: voices.narrator || null,
+        cast: cast.map(entry => ({
+            ...entry,
+            patterns: entry.names.map(name => new RegExp(`(?<![\\p{L}])${escapeRegExp(name)}(?![\\p{L}])`, 'giu'))
+        }))
+    };
+}
+
+/** Where a cast member is named in a stretch of prose: the last mention (or, with `first`, the first). */
+function mentionIn(text, cast, { first = false } = {}) {
+    let best = null;
+    for (const entry of cast) {
+        for (const pattern of entry.patterns) {
+            for (const match of text.matchAll(pattern)) {
+                if (!best || (first ? match.index < best.at : match.index > best.at)) best = { entry, at: match.index };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Who says a quoted line. A quote only counts as dialogue when it opens a
+ * sentence (a quote mid-sentence is the narrator's scare quotes). The
+ * speaker is the one a tag right after names - `"...," says Pell` or
+ * `"..." Pell mutters` - else the last one named before it, else (after
+ * a bare `she says.`) whoever spoke the quote before.
+ */
+function speakerOf(before, after, cast, previousSpeaker) {
+    if (before.trim() && !/[.!?:;)\u2014-]\s*$/u.test(before)) return null;
+    const clause = after.split(/[.!?]/)[0];
+    const tag = mentionIn(clause, cast, { first: true });
+    if (tag && (/^\s*[\p{Ll},]/u.test(after) || clause.slice(0, tag.at).trim() === '')) return tag.entry;
+    const named = mentionIn(before, cast);
+    if (named) return named.entry;
+    return before.trim().length <= CONTINUED_QUOTE_CHARS ? previousSpeaker : null;
+}
+
+/**
+ * Split prose into spoken lines: narration in the narrator's voice and
+ * dialogue in its speaker's (see speakerOf). Dialogue nobody can be found
+ * for, or whose speaker has no voice, stays with the narrator. Adjacent
+ * lines in one voice are merged.
+ * @param {string} text
+ * @param {{narrator: string|null, cast: Array}} voices - from buildCast
+ * @returns {Array<{text: string, voice: string|null}>}
+ */
+function scriptLines(text, { narrator, cast }) {
+    const prose = speakable(text);
+    const lines = [];
+    const push = (line, voice) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        const previous = lines[lines.length - 1];
+        if (previous && previous.voice === voice) previous.text = `${previous.text} ${trimmed}`;
+        else lines.push({ text: trimmed, voice });
+    };
+
+    let cursor = 0;
+    let lastSpeaker = null;
+    for (const match of prose.matchAll(QUOTE_PATTERN)) {
+        const end = match.index + match[0].length;
+        const before = prose.slice(cursor, match.index);
+        const speaker = speakerOf(before, prose.slice(end, end + SPEAKER_TAG_CHARS), cast, lastSpeaker);
+        push(before, narrator);
+        if (speaker) push(match[1] || match[2], speaker.voice);
+        else push(match[0], narrator);
+        if (speaker) lastSpeaker = speaker;
+        cursor = end;
+    }
+    push(prose.slice(cursor), narrator);
+    return lines;
+}
+
+/**
+ * The spoken form of one adventure log row, plus any prose it carries.
+ * Scenes are read in full (with their ambience), checks as a short line
+ * and their outcome, and the conclusion as the ending's text.
+ * @param {Object} row - {kind, content, detail}
+ * @param {Object} quest
+ * @param {Object} adventure
+ * @returns {Array<{text: string, voice: string|null}|{ambience: string|null}>}
+ */
+function narrationFor(row, quest, adventure) {
+    const voices = buildCast(quest);
+    if (row.kind === 'SCENE') {
+        const scene = sceneForRow(row, quest, adventure);
+        if (!scene) return [{ text: speakable(row.content), voice: voices.narrator }];
+        return sceneScript(scene, voices);
+    }
+    if (row.kind === 'CHECK') {
+        const detail = parseDetail(row.detail);
+        const match = row.content.match(CHECK_LINE);
+        const lines = [{ text: match ? `${speakable(match[1])}, ${CHECK_PHRASES[match[2]]}.` : speakable(row.content), voice: voices.narrator }];
+        if (detail.outcome) lines.push(...scriptLines(detail.outcome, voices));
+        return lines;
+    }
+    if (row.kind === 'EVENT' && row.content.startsWith('The adventure concluded')) {
+        const ending = adventure.endingId ? quest?.endings?.[adventure.endingId] : null;
+        if (!ending) return [{ text: speakable(row.content), voice: voices.narrator }];
+        return [{ text: `${speakable(ending.title)}.`, voice: voices.narrator }, ...scriptLines(ending.text, voices)];
+    }
+    if (row.kind === 'ACTION' || row.kind === 'EVENT') return [{ text: speakable(row.content), voice: voices.narrator }];
+    return []; // RECAP: the transcript has it; read aloud it is a wall of bullets
+}
+
+function sceneScript(scene, voices) {
+    return [
+        { ambience: scene.ambience || null },
+        { text: `${speakable(scene.title)}.`, voice: voices.narrator },
+        ...scriptLines(scene.text, voices)
+    ];
+}
+
+function parseDetail(detail) {
+    try {
+        return (detail && JSON.parse(detail)) || {};
+    } catch {
+        return {};
+    }
+}
+
+/** SCENE rows carry their scene id; older rows name it by title. */
+function sceneForRow(row, quest, adventure) {
+    const sceneId = parseDetail(row.detail).sceneId;
+    if (sceneId && quest?.scenes?.[sceneId]) return quest.scenes[sceneId];
+    return Object.values(quest?.scenes || {})
+        .find(scene => row.content.includes(`"${scene.title}"`) || row.content.startsWith(`${scene.title}:`))
+        || quest?.scenes?.[adventure.sceneId]
+        || null;
+}
+
+/**
+ * Speak in the order things happened at the table: a move's check is
+ * logged after the scene change or conclusion it caused, so its line is
+ * moved ahead of those rows (only when they came from that same move).
+ * @param {Array<Object>} rows - log rows in id order
+ * @returns {Array<Object>}
+ */
+function narrationOrder(rows) {
+    const ordered = [];
+    for (const row of rows) {
+        if (row.kind !== 'CHECK') {
+            ordered.push(row);
+            continue;
+        }
+        const sceneId = parseDetail(row.detail).sceneId;
+        let at = ordered.length;
+        let nextId = row.id;
+        while (at > 0) {
+            const previous = ordered[at - 1];
+            const causedByMove = previous.id === nextId - 1 && (
+                (previous.kind === 'SCENE' && parseDetail(previous.detail).sceneId !== sceneId) ||
+                previous.kind === 'RECAP' ||
+                (previous.kind === 'EVENT' && previous.content.startsWith('The adventure concluded'))
+            );
+            if (!causedByMove) break;
+            nextId = previous.id;
+            at--;
+        }
+        ordered.splice(at, 0, row);
+    }
+    return ordered;
+}
+
+/**
+ * Narrated tables (`/adventure narrate`): an adventure read aloud in a voice
+ * channel. Scene prose is spoken by a narrator voice and quoted lines by
+ * per-character voices (content.NPCS, or the campaign's `voices:`), over a
+ * looping ambient bed from voice/ambientService chosen by each scene's
+ * `ambience:`. Party members' spoken actions go through the `tavernAct`
+ * tool (voice/voiceTurnShared.playNarratedActions), so a move made by
+ * voice is the same move a typed one is.
+ *
+ * Narration rides an ordinary voice session (voiceSessionService - the
+ * session is what hears the party) and follows the adventure log rather
+ * than hooking every code path that moves the story: buttons, slash
+ * commands, chat tools, Goobster's own turns, and twist forks all end up as
+ * log rows, and each new row is read aloud once. Speech waits for any
+ * spoken reply Goobster is giving. Ambience plays between lines: speech
+ * borrows the connection and hands it back (voicePlaybackCoordinator).
+ *
+ * Table state is in memory (like voice sessions themselves); a restart ends
+ * the narration and the adventure carries on in text.
+ */
+class NarratedTableService {
+    /**
+     * @param {Object} [deps] - injectable for tests:
+     *   { voiceSessions, tts: () => service|null, createAmbient: () => ambient, pollMs }
+     */
+    constructor(deps = {}) {
+        this._deps = deps;
+        /** @type {Map<string, Object>} guildId -> narrated table */
+        this._tables = new Map();
+    }
+
+    _voiceSessions() {
+        return this._deps.voiceSessions || require('../voice/voiceSessionService');
+    }
+
+    _tts() {
+        if (this._deps.tts) return this._deps.tts();
+        const { voiceService } = require('../serviceManager');
+        return voiceService?.ttsFor('tavern') || null;
+    }
+
+    _createAmbient() {
+        if (this._deps.createAmbient) return this._deps.createAmbient();
+        const AmbientService = require('../voice/ambientService');
+        return new AmbientService(require('../../config'));
+    }
+
+    /** The narrated table in a guild, or null. */
+    getTable(guildId) {
+        return this._tables.get(guildId) || null;
+    }
+
+    /**
+     * Start narrating an adventure into a voice channel. Joins the guild's
+     * voice session when one is already listening in that channel and
+     * transcribing into the adventure's channel, otherwise starts one.
+     * @param {Object} params
+     * @param {number} params.adventureId
+     * @param {Object} params.voiceChannel
+     * @param {Object} params.textChannel - the adventure's channel
+     * @param {Object} params.client
+     * @param {string} [params.engine] - voice session engine for a new session
+     * @returns {Promise<Object>} the table
+     * @throws {TavernError} NO_ADVENTURE / POSTED_TABLE / NO_VOICE / ALREADY_NARRATING / VOICE_BUSY
+     */
+    async start({ adventureId, voiceChannel, textChannel, client, engine = 'realtime' }) {
+        const adventure = await adventureService.getAdventure(adventureId);
+        if (!adventure || !LIVE_STATUSES.includes(adventure.status)) {
+            throw new TavernError('NO_ADVENTURE', 'There is no adventure at this table to narrate.');
+        }
+        if (adventure.pace === 'POSTED') {
+            throw new TavernError('POSTED_TABLE', 'This table plays by post - nobody is sitting at it to hear the story. Switch it with `/adventure pace mode:Live` first.');
+        }
+        const guildId = adventure.guildId;
+        if (this._tables.has(guildId)) {
+            throw new TavernError('ALREADY_NARRATING', 'Goobster is already narrating a table in this server. `/adventure narrate stop:True` ends it.');
+        }
+        const tts = this._tts();
+        if (!tts) throw new TavernError('NO_VOICE', 'Narration needs ElevenLabs text-to-speech (set ELEVENLABS_API_KEY).');
+
+        const voiceSessions = this._voiceSessions();
+        let session = voiceSessions.getSession(guildId);
+        let ownsSession = false;
+        if (session) {
+            if (session.voiceChannel.id !== voiceChannel.id || session.textChannel?.id !== adventure.channelId || session.tavern) {
+                throw new TavernError('VOICE_BUSY',
+                    `Goobster is already in a voice conversation (in ${session.voiceChannel.name}). End it with \`/voicechat stop\`, or narrate from the channel it transcribes into.`);
+            }
+        } else {
+            try {
+                session = await voiceSessions.startSession({ voiceChannel, textChannel, client, ttsService: tts, mode: 'polite', engine });
+            } catch (error) {
+                throw new TavernError('NO_VOICE', error.message);
+            }
+            ownsSession = true;
+        }
+
+        const last = await db.get('SELECT MAX(id) AS id FROM tavern_adventure_log WHERE adventureId = @adventureId', { adventureId });
+        const members = await adventureService.getMembers(adventureId);
+        const table = {
+            guildId,
+            adventureId,
+            session,
+            ownsSession,
+            lastLogId: last?.id || 0,
+            ambience: null,
+            ambient: null,
+            queue: Promise.resolve(),
+            timer: null,
+            polling: false,
+            stopped: false
+        };
+        session.tavern = {
+            adventureId,
+            memberIds: new Set(members.map(member => member.userId)),
+            playing: adventure.status === 'ACTIVE'
+        };
+        this._tables.set(guildId, table);
+
+        // Open on wherever the party stands: the scene, or the hook while forming
+        const quest = questLoader.getQuest(adventure.questId);
+        const scene = adventure.status === 'ACTIVE' ? quest?.scenes?.[adventure.sceneId] : null;
+        const voices = buildCast(quest);
+        this._enqueue(table, scene
+            ? sceneScript(scene, voices)
+            : [{ text: `${speakable(quest?.title)}.`, voice: voices.narrator }, ...scriptLines(quest?.hook, voices)]);
+
+        table.timer = setInterval(() => {
+            this.poll(guildId).catch(error => console.error('[NarratedTable] Poll failed:', error.message));
+        }, this._deps.pollMs || POLL_MS);
+        table.timer.unref?.();
+        return table;
+    }
+
+    /**
+     * Stop narrating in a guild. The voice session ends too when narration
+     * started it.
+     * @param {string} guildId
+     * @returns {boolean} whether a table was being narrated
+     */
+    stop(guildId) {
+        const table = this._tables.get(guildId);
+        if (!table) return false;
+        table.stopped = true;
+        clearInterval(table.timer);
+        this._tables.delete(guildId);
+        try { table.ambient?.stopAmbience(); } catch { /* already stopped */ }
+        if (table.session.tavern?.adventureId === table.adventureId) delete table.session.tavern;
+        if (table.ownsSession) this._voiceSessions().stopSession(guildId);
+        return true;
+    }
+
+    /**
+     * Read the log rows written since the last poll and queue them for
+     * speech; refresh who counts as the party. Ends narration once the
+     * voice session is gone, or after the last words of a finished tale.
+     * @param {string} guildId
+     */
+    async poll(guildId) {
+        const table = this._tables.get(guildId);
+        if (!table || table.polling) return;
+        table.polling = true;
+        try {
+            const session = this._voiceSessions().getSession(guildId);
+            if (session !== table.session || session.stopped) {
+                this.stop(guildId);
+                return;
+            }
+            const adventure = await adventureService.getAdventure(table.adventureId);
+            if (!adventure) {
+                this.stop(guildId);
+                return;
+            }
+            const members = await adventureService.getMembers(table.adventureId);
+            session.tavern.memberIds = new Set(members.map(member => member.userId));
+            session.tavern.playing = adventure.status === 'ACTIVE';
+
+            const rows = await db.all(
+                `SELECT id, kind, userId, content, detail FROM tavern_adventure_log
+                 WHERE adventureId = @adventureId AND id > @after
+                 ORDER BY id LIMIT @limit`,
+                { adventureId: table.adventureId, after: table.lastLogId, limit: MAX_ROWS_PER_POLL }
+            );
+            if (rows.length > 0) {
+                table.lastLogId = rows[rows.length - 1].id;
+                // A twist moves the table onto its fork, so the quest is re-read every poll
+                const quest = questLoader.getQuest(adventure.questId);
+                this._enqueue(table, narrationOrder(rows).flatMap(row => narrationFor(row, quest, adventure)));
+            }
+            if (!LIVE_STATUSES.includes(adventure.status) && rows.length < MAX_ROWS_PER_POLL) {
+                const done = table.queue;
+                clearInterval(table.timer);
+                await done;
+                if (this._tables.get(guildId) === table) this.stop(guildId);
+            }
+        } finally {
+            table.polling = false;
+        }
+    }
+
+    /**
+     * Say one line in the narrator's voice at a narrated table (spoken
+     * refusals for moves made by voice).
+     * @param {string} guildId
+     * @param {string} text
+     */
+    say(guildId, text) {
+        const table = this._tables.get(guildId);
+        if (!table) return;
+        this._enqueue(table, [{ text: speakable(text), voice: null }]);
+    }
+
+    /** Stop every table (tests / shutdown). */
+    stopAll() {
+        for (const guildId of [...this._tables.keys()]) this.stop(guildId);
+    }
+
+    _enqueue(table, items) {
+        if (items.length === 0) return;
+        table.queue = table.queue
+            .then(() => this._play(table, items))
+            .catch(error => console.error('[NarratedTable] Narration failed:', error.message));
+    }
+
+    async _play(table, items) {
+        const tts = this._tts();
+        for (const item of items) {
+            if (table.stopped) return;
+            if ('ambience' in item) {
+                await this._setAmbience(table, item.ambience);
+                continue;
+            }
+            if (!item.text || !tts) continue;
+            await this._waitForQuiet(table);
+            if (table.stopped) return;
+            await tts.textToSpeech(item.text, table.session.voiceChannel, table.session.connection, { voiceId: item.voice });
+        }
+    }
+
+    /** Let a spoken reply from Goobster finish before narrating over it. */
+    async _waitForQuiet(table) {
+        const session = table.session;
+        const started = Date.now();
+        while (!table.stopped && (session.responding || session.engineImpl?.currentReply) && Date.now() - started < QUIET_WAIT_MS) {
+            await new Promise(resolve => setTimeout(resolve, QUIET_CHECK_MS));
+        }
+    }
+
+    async _setAmbience(table, ambience) {
+        if (ambience === table.ambience) return;
+        table.ambience = ambience;
+        try {
+            table.ambient?.stopAmbience();
+            if (!ambience) return;
+            table.ambient = table.ambient || this._createAmbient();
+            await table.ambient.playAmbience(ambience, table.session.connection, AMBIENCE_VOLUME);
+        } catch (error) {
+            // A missing bed (no ElevenLabs sound effects, say) never stops the story
+            console.warn(`[NarratedTable] Ambience '${ambience}' unavailable:`, error.message);
+        }
+    }
+}
+
+module.exports = new NarratedTableService();
+module.exports.NarratedTableService = NarratedTableService;
+module.exports.buildCast = buildCast;
+module.exports.scriptLines = scriptLines;
+module.exports.narrationFor = narrationFor;
+module.exports.narrationOrder = narrationOrder;
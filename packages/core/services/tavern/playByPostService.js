@@ -0,0 +1,439 @@
+const db = require('../../db');
+const { TavernError } = require('./tavernError');
+const adventureService = require('./adventureService');
+const { POST_HOURS } = require('./adventureService');
+const characterService = require('./characterService');
+const { STAT_KEYS } = require('./content');
+
+const DECLARATION_TYPES = Object.freeze(['option', 'freeform', 'attack', 'item']);
+// Stragglers are pinged once three quarters of a window has passed
+const REMIND_AFTER = 0.75;
+// This many windows in a row with nobody posting pauses the table
+const MAX_IDLE_WINDOWS = 3;
+const BRIDGE_BEATS = 6;
+
+/** 'YYYY-MM-DD HH:MM:SS' UTC text -> Date (null passes through). */
+function parseSqlTime(text) {
+    return text ? new Date(`${String(text).replace(' ', 'T')}Z`) : null;
+}
+
+/** A window row with its timestamps as Dates. */
+function hydrate(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        openedAt: parseSqlTime(row.openedAt),
+        deadlineAt: parseSqlTime(row.deadlineAt),
+        remindAt: parseSqlTime(row.remindAt),
+        remindedAt: parseSqlTime(row.remindedAt),
+        resolvedAt: parseSqlTime(row.resolvedAt)
+    };
+}
+
+/**
+ * Play-by-post adventures, for parties spread across time zones.
+ *
+ * A POSTED party plays each round of a scene as a posting window: members
+ * post their moves privately (a scene option, an attack, an item, or a
+ * freeform action), and the window resolves them together - in spotlight
+ * order, through the ordinary engine - once every human member has posted
+ * or the deadline passes. Absentees follow the party's lead (no roll, no
+ * risk). A move that stops fitting because an earlier one moved the story
+ * lapses. Then the next window opens, for the same scene or the new one.
+ *
+ * This service is pure game state; the Discord side (reminders, posting a
+ * resolved round) is interactionHandler.deliverPostWindows, driven by the
+ * heartbeat's minute loop alongside follow-up delivery.
+ */
+class PlayByPostService {
+    /**
+     * @param {Object} [engine] - an AdventureService (tests inject a seeded one)
+     */
+    constructor(engine = adventureService) {
+        this.engine = engine;
+    }
+
+    /**
+     * The open posting window of an adventure, or null.
+     * @param {number} adventureId
+     * @returns {Object|null}
+     */
+    async getOpenWindow(adventureId) {
+        return hydrate(await db.get(
+            `SELECT * FROM tavern_post_windows
+             WHERE adventureId = @adventureId AND status = 'OPEN'
+             ORDER BY id DESC LIMIT 1`,
+            { adventureId }
+        ));
+    }
+
+    /**
+     * Open the next posting window for the adventure's current scene (the
+     * open one, if there already is one).
+     * @param {number} adventureId
+     * @param {{now?: Date}} [opts]
+     * @returns {Object} window
+     * @throws {TavernError} NOT_ACTIVE / NOT_POSTED
+     */
+    async openWindow(adventureId, { now = new Date() } = {}) {
+        const adventure = await this.engine.getAdventure(adventureId);
+        if (!adventure || adventure.status !== 'ACTIVE') throw new TavernError('NOT_ACTIVE', 'That adventure is not in play right now.');
+        if (adventure.pace !== 'POSTED') throw new TavernError('NOT_POSTED', 'This table plays live - act directly.');
+
+        const open = await this.getOpenWindow(adventureId);
+        if (open) return open;
+
+        const hours = adventure.postHours || POST_HOURS.default;
+        const rounds = await db.get(
+            'SELECT COUNT(*) AS n FROM tavern_post_windows WHERE adventureId = @adventureId AND status = \'RESOLVED\'',
+            { adventureId }
+        );
+        const id = await db.insert(
+            `INSERT INTO tavern_post_windows (adventureId, sceneId, round, openedAt, deadlineAt, remindAt)
+             VALUES (@adventureId, @sceneId, @round, @openedAt, @deadlineAt, @remindAt)`,
+            {
+                adventureId,
+                sceneId: adventure.sceneId,
+                round: (rounds?.n || 0) + 1,
+                openedAt: now,
+                deadlineAt: new Date(now.getTime() + hours * 3_600_000),
+                remindAt: new Date(now.getTime() + hours * REMIND_AFTER * 3_600_000)
+            }
+        );
+        return hydrate(await db.get('SELECT * FROM tavern_post_windows WHERE id = @id', { id }));
+    }
+
+    /**
+     * Throw away the open window's moves and open a fresh one (the story
+     * changed under it - a twist re-pointed the scene).
+     * @param {number} adventureId
+     * @param {{now?: Date}} [opts]
+     * @returns {Object|null} the new window (null unless the party plays by post)
+     */
+    async restartWindow(adventureId, { now = new Date() } = {}) {
+        await this._cancelOpen(adventureId);
+        const adventure = await this.engine.getAdventure(adventureId);
+        if (adventure?.status !== 'ACTIVE' || adventure.pace !== 'POSTED') return null;
+        return await this.openWindow(adventureId, { now });
+    }
+
+    /**
+     * Switch a party between live play and play-by-post (the party founder,
+     * or a Manage Server override). Switching an adventure in play opens
+     * the first window, or cancels the open one when it goes live.
+     * @param {number} adventureId
+     * @param {string} userId
+     * @param {{pace: string, postHours?: number, force?: boolean, now?: Date}} params
+     * @returns {{adventure: Object, window: Object|null}}
+     * @throws {TavernError} NO_ADVENTURE / NOT_CREATOR / BAD_PACE
+     */
+    async setPace(adventureId, userId, { pace, postHours = null, force = false, now = new Date() }) {
+        const adventure = await this.engine.getAdventure(adventureId);
+        if (!adventure || !['RECRUITING', 'ACTIVE'].includes(adventure.status)) {
+            throw new TavernError('NO_ADVENTURE', 'That adventure is not open.');
+        }
+        if (!force && adventure.createdBy !== userId) {
+            throw new TavernError('NOT_CREATOR', 'Only the party founder (or a server admin) sets the table\'s pace.');
+        }
+        const clean = this.engine.normalizePace(pace, postHours);
+        await db.run(
+            `UPDATE tavern_adventures SET pace = @pace, postHours = @postHours, updatedAt = CURRENT_TIMESTAMP
+             WHERE id = @adventureId`,
+            { adventureId, ...clean }
+        );
+
+        let window = null;
+        if (adventure.status === 'ACTIVE') {
+            if (clean.pace === 'POSTED') {
+                window = await this.openWindow(adventureId, { now });
+            } else {
+                await this._cancelOpen(adventureId);
+            }
+        }
+        return { adventure: await this.engine.getAdventure(adventureId), window };
+    }
+
+    /**
+     * Post (or replace) a member's private move for the open window. A
+     * paused table (see MAX_IDLE_WINDOWS) reopens on the first new move.
+     * @param {number} adventureId
+     * @param {string} userId
+     * @param {Object} action - {type: option|freeform|attack|item, key?,
+     *   text?, stat?, dc?, enemyId?, item?, spark?}; spark = spend Spark
+     *   to reroll if the check fails
+     * @param {{now?: Date, botUserId?: string|null}} [opts] - the bot is
+     *   never waited on
+     * @returns {{window: Object, move: Object, posted: string[], waitingOn: string[], ready: boolean}}
+     * @throws {TavernError} NOT_ACTIVE / NOT_POSTED / NOT_MEMBER / BAD_MOVE / NO_OPTION / NO_ENEMY / BAD_ACTION / NOT_USABLE / NO_ITEM
+     */
+    async declare(adventureId, userId, action, { now = new Date(), botUserId = null } = {}) {
+        const { adventure, quest, members } = await this.engine.describe(adventureId);
+        if (adventure.status !== 'ACTIVE') throw new TavernError('NOT_ACTIVE', 'That adventure is not in play right now.');
+        if (adventure.pace !== 'POSTED') throw new TavernError('NOT_POSTED', 'This table plays live - act directly.');
+        const member = members.find(m => m.userId === userId);
+        if (!member?.character) throw new TavernError('NOT_MEMBER', 'You are not in this party. Join before the next one starts!');
+
+        const move = this._legalize(action, adventure, quest, member.character);
+        const window = await this.getOpenWindow(adventureId) || await this.openWindow(adventureId, { now });
+        await db.run(
+            `INSERT INTO tavern_post_declarations (windowId, userId, action, declaredAt)
+             VALUES (@windowId, @userId, @action, @declaredAt)
+             ON CONFLICT (windowId, userId) DO UPDATE SET action = excluded.action, declaredAt = excluded.declaredAt`,
+            { windowId: window.id, userId, action: move, declaredAt: now }
+        );
+        const { posted, waitingOn } = await this._tally(window, members, botUserId);
+        return { window, move, posted, waitingOn, ready: waitingOn.length === 0 };
+    }
+
+    /**
+     * Who has posted in the open window and who is still to (moves stay
+     * private until the round resolves).
+     * @param {number} adventureId
+     * @param {{botUserId?: string|null}} [opts]
+     * @returns {{window: Object, posted: string[], waitingOn: string[]}|null}
+     */
+    async getWindowStatus(adventureId, { botUserId = null } = {}) {
+        const window = await this.getOpenWindow(adventureId);
+        if (!window) return null;
+        const members = await this.engine.getMembers(adventureId);
+        return { window, ...await this._tally(window, members, botUserId) };
+    }
+
+    /**
+     * Resolve a posting window: every member in spotlight order plays their
+     * move (or follows the party), through the engine. Once a move ends the
+     * tale or moves the scene, the remaining moves lapse. A check posted
+     * with `spark` is rerolled once on failure. The next window opens unless
+     * the tale ended or the table went quiet for MAX_IDLE_WINDOWS rounds.
+     * Claims the window atomically, so a racing resolver gets null.
+     * @param {number} windowId
+     * @param {{now?: Date, botUserId?: string|null}} [opts]
+     * @returns {Object|null} {adventureId, quest, window, results[{userId,
+     *   move, result}], refused[{userId, name, move, message}],
+     *   followed[{userId, name}], lapsed[{userId, name, move}], ended,
+     *   sceneChanged, next, paused}
+     */
+    async resolveWindow(windowId, { now = new Date(), botUserId = null } = {}) {
+        const row = await db.get('SELECT * FROM tavern_post_windows WHERE id = @windowId', { windowId });
+        if (!row || row.status !== 'OPEN') return null;
+        const adventure = await this.engine.getAdventure(row.adventureId);
+        const playable = adventure?.status === 'ACTIVE' && adventure.pace === 'POSTED' && adventure.sceneId === row.sceneId;
+
+        const declarations = new Map((await db.all(
+            'SELECT userId, action FROM tavern_post_declarations WHERE windowId = @windowId',
+            { windowId }
+        )).map(d => [d.userId, JSON.parse(d.action)]));
+        const claimed = (await db.run(
+            `UPDATE tavern_post_windows SET status = @status, resolvedAt = @now, posts = @posts
+             WHERE id = @windowId AND status = 'OPEN'`,
+            { windowId, now, status: playable ? 'RESOLVED' : 'CANCELLED', posts: declarations.size }
+        )).changes;
+        if (!claimed || !playable) return null;
+
+        const adventureId = adventure.id;
+        const { quest, members } = await this.engine.describe(adventureId);
+        const round = { results: [], refused: [], followed: [], lapsed: [] };
+        for (const member of this._order(adventure, members)) {
+            const name = member.character?.name || member.userId;
+            const move = declarations.get(member.userId) || null;
+            const current = await this.engine.getAdventure(adventureId);
+            if (current.status !== 'ACTIVE' || current.sceneId !== row.sceneId) {
+                if (move) round.lapsed.push({ userId: member.userId, name, move });
+                continue;
+            }
+            if (!move) {
+                await this.engine.followParty(adventureId, member.userId);
+                round.followed.push({ userId: member.userId, name });
+                continue;
+            }
+            try {
+                const result = await this._play(adventureId, member.userId, move);
+                round.results.push({ userId: member.userId, move, result });
+                if (move.spark && result.canReroll) {
+                    const reroll = await this.engine.sparkReroll(adventureId, member.userId);
+                    round.results.push({ userId: member.userId, move: { ...move, reroll: true }, result: reroll });
+                }
+            } catch (error) {
+                if (!(error instanceof TavernError)) throw error;
+                round.refused.push({ userId: member.userId, name, move, message: error.message });
+            }
+        }
+        // A posted round has no live reroll buttons - `spark` covered it
+        for (const { result } of round.results) result.canReroll = false;
+
+        const after = await this.engine.getAdventure(adventureId);
+        const ended = round.results.map(r => r.result.ended).find(Boolean) || null;
+        let next = null;
+        let paused = false;
+        if (after.status === 'ACTIVE' && after.pace === 'POSTED') {
+            paused = declarations.size === 0 && await this._idleStreak(adventureId) >= MAX_IDLE_WINDOWS;
+            if (!paused) next = await this.openWindow(adventureId, { now });
+        }
+        return {
+            adventureId,
+            quest: this.engine._quest(after.questId) || quest,
+            window: hydrate({ ...row, status: 'RESOLVED', resolvedAt: now, posts: declarations.size }),
+            ...round,
+            ended,
+            sceneChanged: after.sceneId !== row.sceneId,
+            next,
+            paused
+        };
+    }
+
+    /**
+     * The minute loop's work list: windows whose deadline passed or whose
+     * party has all posted (to resolve), and stragglers due a reminder
+     * (each window reminds once - claimed here). Windows of adventures that
+     * are no longer in play by post are cancelled.
+     * @param {{now?: Date, botUserId?: string|null}} [opts]
+     * @returns {{reminders: Array<{window, adventure, waitingOn: string[], posted: string[]}>,
+     *   resolutions: Array<{windowId: number, channelId: string}>}}
+     */
+    async collectDue({ now = new Date(), botUserId = null } = {}) {
+        await db.run(
+            `UPDATE tavern_post_windows SET status = 'CANCELLED'
+             WHERE status = 'OPEN' AND adventureId IN (
+                 SELECT id FROM tavern_adventures WHERE status != 'ACTIVE' OR pace != 'POSTED'
+             )`
+        );
+        const open = await db.all(
+            `SELECT w.* FROM tavern_post_windows w
+             JOIN tavern_adventures a ON a.id = w.adventureId
+             WHERE w.status = 'OPEN'
+             ORDER BY w.deadlineAt`
+        );
+        const reminders = [];
+        const resolutions = [];
+        for (const row of open) {
+            const window = hydrate(row);
+            const adventure = await this.engine.getAdventure(window.adventureId);
+            const members = await this.engine.getMembers(window.adventureId);
+            const { posted, waitingOn } = await this._tally(window, members, botUserId);
+            if (window.deadlineAt <= now || (posted.length > 0 && waitingOn.length === 0)) {
+                resolutions.push({ windowId: window.id, channelId: adventure.channelId });
+                continue;
+            }
+            if (window.remindedAt || window.remindAt > now || waitingOn.length === 0) continue;
+            const claimed = (await db.run(
+                'UPDATE tavern_post_windows SET remindedAt = @now WHERE id = @id AND remindedAt IS NULL',
+                { id: window.id, now }
+            )).changes;
+            if (claimed) reminders.push({ window, adventure, waitingOn, posted });
+        }
+        return { reminders, resolutions };
+    }
+
+    /**
+     * "Previously..." - the last few story beats, to bridge the hours or
+     * days between rounds.
+     * @param {number} adventureId
+     * @param {{limit?: number}} [opts]
+     * @returns {string|null}
+     */
+    async previously(adventureId, { limit = BRIDGE_BEATS } = {}) {
+        const rows = await db.all(
+            `SELECT content FROM tavern_adventure_log
+             WHERE adventureId = @adventureId AND kind IN ('SCENE', 'ACTION', 'CHECK', 'EVENT')
+             ORDER BY id DESC LIMIT @limit`,
+            { adventureId, limit }
+        );
+        return rows.length > 0 ? rows.reverse().map(row => `• ${row.content}`).join('\n') : null;
+    }
+
+    // ------------------------------------------------------------------
+    // Internals
+    // ------------------------------------------------------------------
+
+    /** Validate a posted move against the scene as it stands now. */
+    _legalize(action, adventure, quest, character) {
+        const type = action?.type;
+        if (!DECLARATION_TYPES.includes(type)) {
+            throw new TavernError('BAD_MOVE', `A posted move is one of: ${DECLARATION_TYPES.join(', ')}.`);
+        }
+        const spark = Boolean(action.spark);
+        if (type === 'option') {
+            const option = this.engine.availableOptions(adventure, quest).find(o => o.key === action.key);
+            if (!option) throw new TavernError('NO_OPTION', 'That option is not available right now.');
+            return { type, key: option.key, label: option.label, spark: option.stat !== undefined && spark };
+        }
+        if (type === 'freeform') {
+            const text = String(action.text || '').trim();
+            if (!text) throw new TavernError('BAD_ACTION', 'Describe what you do.');
+            if (text.length > 300) throw new TavernError('BAD_ACTION', 'Keep an action under 300 characters - save the novel for the recap.');
+            const stat = STAT_KEYS.includes(action.stat) ? action.stat : null;
+            const dc = Number.isInteger(action.dc) && action.dc >= 2 && action.dc <= 30 ? action.dc : null;
+            return { type, text, label: text, stat, dc, spark };
+        }
+        if (type === 'attack') {
+            const enemy = this.engine.livingEnemies(adventure, quest).find(e => e.id === action.enemyId);
+            if (!enemy) throw new TavernError('NO_ENEMY', 'No such foe standing in this scene.');
+            const stat = STAT_KEYS.includes(action.stat) ? action.stat : null;
+            return { type, enemyId: enemy.id, label: `Attack ${enemy.name}`, stat, spark };
+        }
+        const defs = quest.items || {};
+        const item = Object.keys(defs).find(key => key.toLowerCase() === String(action.item || '').trim().toLowerCase());
+        if (!item) throw new TavernError('NOT_USABLE', `"${action.item}" does nothing here. (Not every keepsake is a tool.)`);
+        if (!characterService.hasItem(character, item)) throw new TavernError('NO_ITEM', `You are not carrying "${item}".`);
+        return { type, item, label: `Use ${item}`, spark: false };
+    }
+
+    /** Play one posted move through the engine. */
+    async _play(adventureId, userId, move) {
+        switch (move.type) {
+            case 'option': return this.engine.chooseOption(adventureId, userId, move.key);
+            case 'freeform': return this.engine.freeform(adventureId, userId, move.text, { stat: move.stat, dc: move.dc });
+            case 'attack': return this.engine.attack(adventureId, userId, move.enemyId, move.stat);
+            default: return this.engine.useItem(adventureId, userId, move.item);
+        }
+    }
+
+    /** Members in spotlight order, starting with whoever holds it. */
+    _order(adventure, members) {
+        const spotlight = adventure.state.spotlight || [];
+        const start = spotlight.length > 0 ? (adventure.state.spotlightIndex || 0) % spotlight.length : 0;
+        const rotated = [...spotlight.slice(start), ...spotlight.slice(0, start)];
+        const ordered = rotated.map(userId => members.find(m => m.userId === userId)).filter(Boolean);
+        return [...ordered, ...members.filter(m => !rotated.includes(m.userId))];
+    }
+
+    /** Posted vs still-to-post members of a window (the bot is never waited on). */
+    async _tally(window, members, botUserId) {
+        const declared = new Set((await db.all(
+            'SELECT userId FROM tavern_post_declarations WHERE windowId = @windowId',
+            { windowId: window.id }
+        )).map(row => row.userId));
+        const posted = members.filter(m => declared.has(m.userId)).map(m => m.userId);
+        const waitingOn = members.filter(m => !declared.has(m.userId) && m.userId !== botUserId).map(m => m.userId);
+        return { posted, waitingOn };
+    }
+
+    /** How many of the latest resolved windows in a row had no moves. */
+    async _idleStreak(adventureId) {
+        const recent = await db.all(
+            `SELECT posts FROM tavern_post_windows
+             WHERE adventureId = @adventureId AND status = 'RESOLVED'
+             ORDER BY id DESC LIMIT @limit`,
+            { adventureId, limit: MAX_IDLE_WINDOWS }
+        );
+        let streak = 0;
+        for (const window of recent) {
+            if (window.posts > 0) break;
+            streak++;
+        }
+        return streak;
+    }
+
+    async _cancelOpen(adventureId) {
+        await db.run(
+            `UPDATE tavern_post_windows SET status = 'CANCELLED'
+             WHERE adventureId = @adventureId AND status = 'OPEN'`,
+            { adventureId }
+        );
+    }
+}
+
+module.exports = new PlayByPostService();
+module.exports.PlayByPostService = PlayByPostService;
+module.exports.DECLARATION_TYPES = DECLARATION_TYPES;
+module.exports.MAX_IDLE_WINDOWS = MAX_IDLE_WINDOWS;
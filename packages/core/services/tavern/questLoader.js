@@ -42,12 +42,29 @@
  *               damage, cycling telegraphed `intents`, optional `onDefeat`
  *               effects (loot), plus a scene-level `onVictory` block fired
  *               when the last enemy falls.
+ *
+ * Market fields (the opt-in Tavern economy bridge, services/tavern/marketService):
+ *   quest.yaml  `shop:` - [{item, price, sellPrice?}] sold at the Tavern
+ *               market for the guild currency once the campaign is unlocked
+ *               (sellPrice defaults to half the price).
+ *               `recipes:` - [{makes, from: [2-4 items], fee?}] crafting
+ *               that combines loot into something new.
+ *               `wage:` - points paid to each adventurer when the quest is
+ *               completed (overrides the guild's default wage).
+ *
+ * Narration fields (/adventure narrate):
+ *   quest.yaml  `voices:` - name -> ElevenLabs voice (library name or id).
+ *               Quoted lines in scene prose are spoken in the voice of the
+ *               named character they follow; `narrator` sets the voice for
+ *               everything else. Tavern residents have voices already.
+ *   scenes      `ambience:` - the looping ambient bed under the scene (one
+ *               of content.AMBIENCES).
  */
 
 const fs = require('node:fs');
 const path = require('node:path');
 const YAML = require('yaml');
-const { STAT_KEYS, DIFFICULTY, NPCS } = require('./content');
+const { STAT_KEYS, DIFFICULTY, NPCS, AMBIENCES } = require('./content');
 
 const LORE_KINDS = ['location', 'faction', 'event', 'artifact', 'character'];
 
@@ -62,6 +79,15 @@ const MAX_CLOCK_SIZE = 12;
 const MAX_ENEMIES_PER_SCENE = 4;
 const MAX_ENEMY_HEALTH = 20;
 const MAX_ENEMY_DAMAGE = 5;
+const MAX_VOICES = 20;
+const VOICE_NAME_PATTERN = /^\p{L}[\p{L} .'-]{0,39}$/u;
+const MAX_SHOP_ITEMS = 20;
+const MAX_RECIPES = 20;
+const MAX_ITEM_NAME_LENGTH = 60;
+// Prices and wages share the economy's admin guardrail for daily amounts
+const MAX_PRICE = 100_000;
+const RECIPE_PARTS = { min: 2, max: 4 };
+const EFFECT_KEYS = Object.freeze(['clock', 'damage', 'heal', 'item', 'spark', 'goto', 'flag', 'end', 'npc']);
 
 let cache = null;
 
@@ -99,9 +125,8 @@ function validateEffects(effects, refs, where, errors) {
         errors.push(`${where}: effects must be a mapping`);
         return;
     }
-    const known = new Set(['clock', 'damage', 'heal', 'item', 'spark', 'goto', 'flag', 'end', 'npc']);
     for (const key of Object.keys(effects)) {
-        if (!known.has(key)) errors.push(`${where}: unknown effect '${key}' (allowed: ${[...known].join(', ')})`);
+        if (!EFFECT_KEYS.includes(key)) errors.push(`${where}: unknown effect '${key}' (allowed: ${EFFECT_KEYS.join(', ')})`);
     }
     if (effects.npc !== undefined) {
         const npc = effects.npc;
@@ -140,6 +165,51 @@ function validateEffects(effects, refs, where, errors) {
     }
 }
 
+const isItemName = name => typeof name === 'string' && Boolean(name.trim()) && name.length <= MAX_ITEM_NAME_LENGTH;
+const isPrice = (value, min = 1) => Number.isInteger(value) && value >= min && value <= MAX_PRICE;
+
+/** The market fields: shop stock, crafting recipes, and the completion wage. */
+function validateMarket(quest, errors) {
+    if (quest.shop !== undefined) {
+        if (!Array.isArray(quest.shop) || quest.shop.length > MAX_SHOP_ITEMS) {
+            errors.push(`quest.yaml: shop must be a list of at most ${MAX_SHOP_ITEMS} {item, price} entries`);
+        } else {
+            const stocked = new Set();
+            quest.shop.forEach((entry, index) => {
+                const sWhere = `quest.yaml shop[${index}]`;
+                if (!isItemName(entry?.item)) errors.push(`${sWhere}: item must be a name of 1-${MAX_ITEM_NAME_LENGTH} characters`);
+                else if (stocked.has(entry.item.toLowerCase())) errors.push(`${sWhere}: '${entry.item}' is already stocked`);
+                else stocked.add(entry.item.toLowerCase());
+                if (!isPrice(entry?.price)) errors.push(`${sWhere}: price must be a whole number 1-${MAX_PRICE}`);
+                if (entry?.sellPrice !== undefined && (!isPrice(entry.sellPrice, 0) || entry.sellPrice > entry.price)) {
+                    errors.push(`${sWhere}: sellPrice must be a whole number from 0 up to the price`);
+                }
+            });
+        }
+    }
+    if (quest.recipes !== undefined) {
+        if (!Array.isArray(quest.recipes) || quest.recipes.length > MAX_RECIPES) {
+            errors.push(`quest.yaml: recipes must be a list of at most ${MAX_RECIPES} {makes, from} entries`);
+        } else {
+            const made = new Set();
+            quest.recipes.forEach((recipe, index) => {
+                const rWhere = `quest.yaml recipes[${index}]`;
+                if (!isItemName(recipe?.makes)) errors.push(`${rWhere}: makes must be a name of 1-${MAX_ITEM_NAME_LENGTH} characters`);
+                else if (made.has(recipe.makes.toLowerCase())) errors.push(`${rWhere}: another recipe already makes '${recipe.makes}'`);
+                else made.add(recipe.makes.toLowerCase());
+                const from = recipe?.from;
+                if (!Array.isArray(from) || from.length < RECIPE_PARTS.min || from.length > RECIPE_PARTS.max || !from.every(isItemName)) {
+                    errors.push(`${rWhere}: from must list ${RECIPE_PARTS.min}-${RECIPE_PARTS.max} item names`);
+                }
+                if (recipe?.fee !== undefined && !isPrice(recipe.fee, 0)) errors.push(`${rWhere}: fee must be a whole number 0-${MAX_PRICE}`);
+            });
+        }
+    }
+    if (quest.wage !== undefined && !isPrice(quest.wage, 0)) {
+        errors.push(`quest.yaml: wage must be a whole number 0-${MAX_PRICE}`);
+    }
+}
+
 /**
  * Validate a fully assembled quest object.
  * @param {Object} quest
@@ -162,6 +232,20 @@ function validateQuest(quest) {
     if (quest.canonicalId !== undefined && (typeof quest.canonicalId !== 'string' || !ID_PATTERN.test(quest.canonicalId))) {
         errors.push('quest.yaml: canonicalId must be a quest id slug');
     }
+    if (quest.voices !== undefined) {
+        if (!quest.voices || typeof quest.voices !== 'object' || Array.isArray(quest.voices)) {
+            errors.push('quest.yaml: voices must be a mapping of character name -> ElevenLabs voice');
+        } else {
+            const entries = Object.entries(quest.voices);
+            if (entries.length > MAX_VOICES) errors.push(`quest.yaml: at most ${MAX_VOICES} voices`);
+            for (const [name, voice] of entries) {
+                if (!VOICE_NAME_PATTERN.test(name)) errors.push(`quest.yaml voice '${name}': names are 1-40 letters, spaces, dots, hyphens, apostrophes`);
+                if (typeof voice !== 'string' || !voice.trim() || voice.length > 80) {
+                    errors.push(`quest.yaml voice '${name}': needs an ElevenLabs voice name or id`);
+                }
+            }
+        }
+    }
 
     // Usable-item definitions
     if (quest.items !== undefined) {
@@ -191,6 +275,8 @@ function validateQuest(quest) {
         }
     }
 
+    validateMarket(quest, errors);
+
     const players = quest.players || {};
     if (!Number.isInteger(players.min) || !Number.isInteger(players.max) || players.min < 1 || players.max < players.min) {
         errors.push('quest.yaml: players needs integer min >= 1 and max >= min');
@@ -231,6 +317,9 @@ function validateQuest(quest) {
         if (!ID_PATTERN.test(sceneId)) errors.push(`${sWhere}: scene id must be a lowercase slug`);
         if (!scene.title) errors.push(`${sWhere}: title is required`);
         if (!scene.text || typeof scene.text !== 'string') errors.push(`${sWhere}: text is required`);
+        if (scene.ambience !== undefined && !AMBIENCES.includes(scene.ambience)) {
+            errors.push(`${sWhere}: ambience must be one of ${AMBIENCES.join('|')}`);
+        }
 
         const options = scene.options || [];
         if (!Array.isArray(options) || options.length === 0) {
@@ -513,5 +602,14 @@ module.exports = {
     loadCampaignDir,
     CUSTOM_DIR,
     BUILTIN_DIR,
-    LORE_KINDS
+    LORE_KINDS,
+    EFFECT_KEYS,
+    ID_PATTERN,
+    LIMITS: Object.freeze({
+        optionsPerScene: MAX_OPTIONS_PER_SCENE,
+        clockSize: MAX_CLOCK_SIZE,
+        enemiesPerScene: MAX_ENEMIES_PER_SCENE,
+        enemyHealth: MAX_ENEMY_HEALTH,
+        enemyDamage: MAX_ENEMY_DAMAGE
+    })
 };
@@ -1,36 +1,82 @@
 const { toFile } = require('openai');
 const aiConfig = require('../config/aiConfig');
 const openaiService = require('./openaiService');
+const whisperService = require('./whisperService');
+const { buildWav } = require('./voice/pcmUtils');
+
+const PROVIDERS = ['openai', 'whisper'];
 
 /**
- * Speech-to-text via OpenAI's transcription API.
+ * Speech-to-text, over one of two backends:
+ *   - 'openai'  - OpenAI's transcription API (needs an OpenAI key)
+ *   - 'whisper' - a local whisper.cpp / faster-whisper backend
+ *                 (services/whisperService), no cloud at all
+ * `ai.transcription.provider` / STT_PROVIDER picks one; 'auto' (the default)
+ * uses OpenAI when keyed and a configured whisper backend otherwise.
  *
  * Input is a WAV buffer (the voice session records 48kHz stereo 16-bit PCM
- * from Discord and wraps it in a RIFF header before calling this).
+ * from Discord and wraps it in a RIFF header before calling this), or raw
+ * PCM through transcribePcm().
  */
 class TranscriptionService {
+    /**
+     * @param {Object} [deps] - overrides for tests: { config, openai, whisper }
+     */
+    constructor(deps = {}) {
+        this.config = deps.config || aiConfig.transcription;
+        this.openai = deps.openai || openaiService;
+        this.whisper = deps.whisper || whisperService;
+    }
+
+    /**
+     * The backend transcriptions go to, or null when none is usable.
+     * @returns {'openai'|'whisper'|null}
+     */
+    getProvider() {
+        const requested = PROVIDERS.includes(this.config.provider) ? this.config.provider : 'auto';
+        const usable = {
+            openai: () => this.openai.isConfigured(),
+            whisper: () => this.whisper.isConfigured()
+        };
+        if (requested !== 'auto') return usable[requested]() ? requested : null;
+        return PROVIDERS.find(name => usable[name]()) || null;
+    }
+
     isConfigured() {
-        return openaiService.isConfigured();
+        return this.getProvider() !== null;
+    }
+
+    /** Whether speech stays on hardware this install runs (no cloud STT). */
+    isLocal() {
+        return this.getProvider() === 'whisper';
     }
 
     /**
      * Transcribe an audio buffer to text. Defaults to WAV (the voice
      * session's format); the web portal passes browser-recorded clips with
-     * their own filename/mimeType (webm/ogg/mp4 - all accepted by the API).
+     * their own filename/mimeType (webm/ogg/mp4 - all accepted by the API,
+     * and transcoded with ffmpeg for whisper).
      * @param {Buffer} wavBuffer
      * @param {Object} options - { model, prompt, filename, mimeType, usageContext }
      * @returns {Promise<string>} transcribed text (may be empty)
      */
     async transcribe(wavBuffer, options = {}) {
-        if (!this.isConfigured()) {
-            throw new Error('OpenAI API key not configured; speech-to-text is unavailable.');
+        const provider = this.getProvider();
+        if (!provider) {
+            throw new Error('Speech-to-text is unavailable: set an OpenAI API key or configure a local whisper backend.');
+        }
+        if (provider === 'whisper') {
+            return this.whisper.transcribe(wavBuffer, {
+                prompt: options.prompt,
+                mimeType: options.mimeType
+            });
         }
 
         const file = await toFile(wavBuffer, options.filename || 'audio.wav', {
             type: options.mimeType || 'audio/wav'
         });
         const model = options.model || aiConfig.openai.transcriptionModel;
-        const response = await openaiService.client.audio.transcriptions.create({
+        const response = await this.openai.client.audio.transcriptions.create({
             file,
             model,
             // Context prompt improves recognition of bot/server-specific terms
@@ -47,6 +93,18 @@ class TranscriptionService {
 
         return (response.text || '').trim();
     }
+
+    /**
+     * Transcribe raw s16le PCM (a realtime-engine segment).
+     * @param {Buffer} pcm
+     * @param {Object} [options] - transcribe() options plus { sampleRate, channels }
+     *   (default 48kHz stereo, Discord's decoded format)
+     * @returns {Promise<string>}
+     */
+    async transcribePcm(pcm, { sampleRate = 48000, channels = 2, ...options } = {}) {
+        return this.transcribe(buildWav(pcm, { sampleRate, channels }), options);
+    }
 }
 
 module.exports = new TranscriptionService();
+module.exports.TranscriptionService = TranscriptionService;
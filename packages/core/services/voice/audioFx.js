@@ -0,0 +1,129 @@
+/**
+ * FFmpeg filter building for music playback: EBU R128 loudness
+ * normalization, EQ presets, and the two-input crossfade graph. Pure
+ * functions only - measuring and settings live in musicFxService.
+ */
+
+// Normalization target (integrated loudness) and true-peak ceiling
+const TARGET_LUFS = -16;
+const TRUE_PEAK_CEILING_DB = -1.5;
+// A quiet track is lifted at most this far; a loud one cut at most this far
+const MAX_BOOST_DB = 10;
+const MAX_CUT_DB = 20;
+
+const MAX_CROSSFADE_SECONDS = 12;
+
+// Every stage runs at the rate Discord plays (asetrate needs a known input rate)
+const RESAMPLE = 'aresample=48000';
+
+/**
+ * EQ presets. `speed` is the playback-rate change a preset makes (nightcore
+ * pitches and speeds up together), used to keep position tracking honest.
+ */
+const EQ_PRESETS = Object.freeze({
+    off: { label: 'Off', speed: 1, filters: [] },
+    bass: {
+        label: 'Bass boost',
+        speed: 1,
+        filters: ['bass=g=8:f=110:w=0.6', 'alimiter=limit=0.95']
+    },
+    nightcore: {
+        label: 'Nightcore',
+        speed: 1.25,
+        filters: [RESAMPLE, 'asetrate=60000', RESAMPLE]
+    },
+    vocal: {
+        label: 'Vocal',
+        speed: 1,
+        filters: ['highpass=f=100', 'equalizer=f=250:t=q:w=1:g=-3', 'equalizer=f=2500:t=q:w=1:g=4', 'alimiter=limit=0.95']
+    }
+});
+
+/**
+ * The gain that brings a measured track to the target loudness without
+ * pushing its true peak past the ceiling. Silence (-inf LUFS) and missing
+ * measurements get no gain.
+ * @param {{integratedLufs: number, truePeakDb: number}|null} loudness
+ * @returns {number} gain in dB (one decimal)
+ */
+function normalizationGainDb(loudness) {
+    if (!loudness || !Number.isFinite(loudness.integratedLufs)) return 0;
+    let gain = TARGET_LUFS - loudness.integratedLufs;
+    if (Number.isFinite(loudness.truePeakDb)) {
+        gain = Math.min(gain, TRUE_PEAK_CEILING_DB - loudness.truePeakDb);
+    }
+    gain = Math.max(-MAX_CUT_DB, Math.min(MAX_BOOST_DB, gain));
+    return Math.round(gain * 10) / 10;
+}
+
+/**
+ * The per-track filter chain: normalization gain, then the EQ preset.
+ * @param {Object} params
+ * @param {string} [params.preset] - EQ_PRESETS key
+ * @param {number} [params.gainDb]
+ * @returns {string[]}
+ */
+function buildTrackFilters({ preset = 'off', gainDb = 0 } = {}) {
+    const filters = [];
+    if (gainDb !== 0) filters.push(`volume=${gainDb.toFixed(1)}dB`);
+    filters.push(...(EQ_PRESETS[preset] || EQ_PRESETS.off).filters);
+    return filters;
+}
+
+/**
+ * The -filter_complex graph that mixes the tail of one track into the start
+ * of the next: each input gets its own chain (its own loudness gain), both
+ * are brought to one format, then overlapped with acrossfade.
+ * @param {Object} params
+ * @param {string[]} params.fromFilters
+ * @param {string[]} params.toFilters
+ * @param {number} params.crossfadeMs
+ * @param {number} params.volume - 0-1 playback volume
+ * @returns {string}
+ */
+function crossfadeGraph({ fromFilters, toFilters, crossfadeMs, volume }) {
+    const chain = filters => [RESAMPLE, ...filters, 'aformat=sample_fmts=fltp:channel_layouts=stereo'].join(',');
+    const seconds = (crossfadeMs / 1000).toFixed(2);
+    return `[0:a]${chain(fromFilters)}[a];[1:a]${chain(toFilters)}[b];`
+        + `[a][b]acrossfade=d=${seconds}:c1=tri:c2=tri,volume=${volume}`;
+}
+
+/**
+ * Parse an `ffmpeg -af loudnorm=print_format=json -f null -` run: the
+ * loudnorm JSON block plus the input duration from the stream header.
+ * @param {string} stderr
+ * @returns {{integratedLufs: number, truePeakDb: number, lra: number, thresholdLufs: number, durationMs: number|null}|null}
+ */
+function parseLoudnessReport(stderr) {
+    const block = String(stderr).match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!block) return null;
+    let report;
+    try {
+        report = JSON.parse(block[0]);
+    } catch {
+        return null;
+    }
+    // loudnorm prints "-inf" for silence; Number() turns that into -Infinity
+    const number = value => (value === '-inf' ? -Infinity : Number(value));
+    const duration = String(stderr).match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    return {
+        integratedLufs: number(report.input_i),
+        truePeakDb: number(report.input_tp),
+        lra: number(report.input_lra),
+        thresholdLufs: number(report.input_thresh),
+        durationMs: duration
+            ? Math.round(((Number(duration[1]) * 60 + Number(duration[2])) * 60 + Number(duration[3])) * 1000)
+            : null
+    };
+}
+
+module.exports = {
+    EQ_PRESETS,
+    TARGET_LUFS,
+    TRUE_PEAK_CEILING_DB,
+    MAX_CROSSFADE_SECONDS,
+    normalizationGainDb,
+    buildTrackFilters,
+    crossfadeGraph,
+    parseLoudnessReport
+};
@@ -10,6 +10,7 @@ const {
 
 const { stripUrlsForSpeech } = require('./speechText');
 const { captureDisplacedPlayer, restoreDisplacedPlayer } = require('./voicePlaybackCoordinator');
+const { MultiContextTTSService } = require('./multiContextTTSService');
 
 const DEFAULT_VOICE_ID = '21m00Tcm4TlvDq8ikWAM'; // Rachel (premade voice)
 const DEFAULT_MODEL_ID = 'eleven_flash_v2_5';    // low latency, 32 languages
@@ -21,6 +22,7 @@ const VOICE_ID_PATTERN = /^[a-zA-Z0-9]{16,}$/;
 class ElevenLabsTTSService extends EventEmitter {
     constructor(config = {}) {
         super();
+        this.provider = 'elevenlabs';
         const apiKey = config.elevenlabs?.apiKey || process.env.ELEVENLABS_API_KEY;
         if (!apiKey) {
             console.warn('ElevenLabs API key not found – TTS disabled');
@@ -45,14 +47,27 @@ class ElevenLabsTTSService extends EventEmitter {
         this.activeResources = new Set();
     }
 
-    async textToSpeech(text, voiceChannel, connection) {
+    /** Speech is synthesized in the ElevenLabs cloud. */
+    isLocal() {
+        return false;
+    }
+
+    /**
+     * Speak text into a voice connection and resolve when playback ends.
+     * @param {string} text
+     * @param {Object} voiceChannel
+     * @param {Object} connection
+     * @param {Object} [opts] - { voiceId }: per-request voice override
+     *   (narrated Tavern tables' per-NPC voices)
+     */
+    async textToSpeech(text, voiceChannel, connection, { voiceId = null } = {}) {
         if (this.disabled) return;
 
         // Never narrate URLs - a spoken link is just a string of noise
         const speakable = stripUrlsForSpeech(text);
         if (!speakable) return;
 
-        const response = await this.fetchStream(speakable);
+        const response = await this.fetchStream(speakable, { voiceId });
 
         // Input is MP3; decode & resample to 48 kHz stereo raw PCM for Discord
         const transcoder = new prism.FFmpeg({
@@ -223,7 +238,7 @@ class ElevenLabsTTSService extends EventEmitter {
      * Fetch a streaming MP3 synthesis of `text`.
      * @param {string} text
      * @param {Object} [opts] - { voiceId }: per-request voice override
-     *   (Parlor Live's per-persona voices); defaults to the configured
+     *   (Parlor Live's per-persona voices, narrated tables' NPCs); defaults to the configured
      *   /setvoice voice.
      */
     async fetchStream(text, { voiceId: voiceOverride = null } = {}) {
@@ -268,6 +283,20 @@ class ElevenLabsTTSService extends EventEmitter {
         return res; // full response with body stream
     }
 
+    /**
+     * A streaming speech session for the realtime voice engine: one
+     * multi-context WebSocket, text in as the reply is generated.
+     * @param {Object} [opts] - { voiceId }: an already-resolved voice id
+     * @returns {MultiContextTTSService} connect() before speak()
+     */
+    createStreamingSession({ voiceId = null } = {}) {
+        return new MultiContextTTSService({
+            apiKey: this.apiKey,
+            voiceId: voiceId || this.voiceId,
+            modelId: this.modelId
+        });
+    }
+
     cleanup() {
         try { this.player.stop(); } catch {}
         this.activeResources.clear();
@@ -1,16 +1,24 @@
 const { EventEmitter } = require('events');
 const ElevenLabsTTSService = require('./elevenLabsTTSService');
+const PiperTTSService = require('./piperTTSService');
 const MusicService = require('./musicService');
+const MusicPlayerManager = require('./musicPlayerManager');
 const AmbientService = require('./ambientService');
 const { joinVoiceChannel, VoiceConnectionStatus } = require('@discordjs/voice');
 
+// Text-to-speech backends, in the order 'auto' tries them
+const TTS_PROVIDERS = ['elevenlabs', 'piper'];
+// Features that speak; `tts.features.<name>` pins one to a backend
+const TTS_FEATURES = ['speak', 'voicechat', 'dj', 'tavern', 'games', 'parlor', 'web'];
+
 class VoiceService extends EventEmitter {
     constructor(config = {}) {
         super();
         this.config = config;
         this.connections = new Map();
-        this.tts = null;
-        this.musicService = null;
+        this.tts = null;            // the default TTS backend (see ttsFor)
+        this.ttsProviders = {};     // 'elevenlabs' | 'piper' -> configured service
+        this.musicPlayers = null;
         this.ambientService = null;
         this._isInitialized = false;
     }
@@ -22,13 +30,21 @@ class VoiceService extends EventEmitter {
             // ElevenLabs powers TTS, music generation, and ambient sounds
             const hasElevenLabs = this.config.elevenlabs?.apiKey || process.env.ELEVENLABS_API_KEY;
             if (hasElevenLabs) {
-                this.tts = new ElevenLabsTTSService(this.config);
+                this.ttsProviders.elevenlabs = new ElevenLabsTTSService(this.config);
+            }
+            // Piper speaks on local ONNX voices (optional, no key needed)
+            const piper = new PiperTTSService(this.config);
+            if (!piper.disabled) {
+                this.ttsProviders.piper = piper;
             }
+            this.tts = this.ttsFor(null);
             
-            // Initialize music service for SpotDL playback (required)
-            this.musicService = new MusicService(this.config);
-            this.musicService.on('stateUpdate', (state) => {
-                this.emit('musicStateUpdate', state);
+            // Per-guild music players for SpotDL playback (required: fail
+            // fast here rather than on the first /music command)
+            MusicService.assertFfmpeg();
+            this.musicPlayers = new MusicPlayerManager(this.config);
+            this.musicPlayers.on('stateUpdate', (guildId, state) => {
+                this.emit('musicStateUpdate', guildId, state);
             });
             
             // Ambient sound generation also requires ElevenLabs (optional)
@@ -38,8 +54,8 @@ class VoiceService extends EventEmitter {
             
             this._isInitialized = true;
             console.log('Voice service initialized successfully' + 
-                (this.tts ? ' (TTS)' : '') + 
-                (this.musicService ? ' (SpotDL Music)' : '') + 
+                (this.tts ? ` (TTS: ${Object.keys(this.ttsProviders).join(', ')})` : '') + 
+                (this.musicPlayers ? ' (SpotDL Music)' : '') + 
                 (this.ambientService ? ' (Ambient)' : ''));
             
         } catch (error) {
@@ -48,17 +64,37 @@ class VoiceService extends EventEmitter {
         }
     }
 
+    /**
+     * The TTS backend a feature speaks through. `tts.features.<feature>`
+     * in config.json pins a feature to 'elevenlabs' or 'piper'; otherwise
+     * the default applies (TTS_PROVIDER / `tts.provider`, 'auto' = ElevenLabs
+     * when keyed, else Piper). A pinned backend that is not configured
+     * gives null - a feature pinned to free local voices never silently
+     * falls through to the paid API.
+     * @param {string|null} feature - one of TTS_FEATURES, or null for the default
+     * @returns {Object|null} an ElevenLabsTTSService or PiperTTSService
+     */
+    ttsFor(feature) {
+        const tts = this.config.tts || {};
+        const pinned = feature ? tts.features?.[feature] : null;
+        const requested = [pinned, process.env.TTS_PROVIDER, tts.provider]
+            .find(choice => TTS_PROVIDERS.includes(choice));
+        if (requested) return this.ttsProviders[requested] || null;
+        const first = TTS_PROVIDERS.find(name => this.ttsProviders[name]);
+        return first ? this.ttsProviders[first] : null;
+    }
+
     // Simple method to clean up connections
     async cleanup() {
         try {
             console.log('Cleaning up voice service...');
             
-            // Stop music and ambient sounds if active
-            if (this.musicService) {
+            // Stop music (saving each guild's queue for the next start) and ambient sounds
+            if (this.musicPlayers) {
                 try {
-                    this.musicService.stopMusic();
+                    await this.musicPlayers.disposeAll();
                 } catch (error) {
-                    console.error('Error stopping music service:', error);
+                    console.error('Error stopping music players:', error);
                 }
             }
             
@@ -86,9 +122,11 @@ class VoiceService extends EventEmitter {
         }
     }
 
-    getCurrentMusicState() {
-        return this.musicService.getState();
+    getCurrentMusicState(guildId) {
+        return this.musicPlayers?.peek(guildId)?.getState() ?? null;
     }
 }
 
-module.exports = VoiceService; 
\ No newline at end of file
+module.exports = VoiceService;
+module.exports.TTS_PROVIDERS = TTS_PROVIDERS;
+module.exports.TTS_FEATURES = TTS_FEATURES; 
\ No newline at end of file
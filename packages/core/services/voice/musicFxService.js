@@ -0,0 +1,233 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const db = require('../../db');
+const {
+    EQ_PRESETS,
+    TARGET_LUFS,
+    TRUE_PEAK_CEILING_DB,
+    MAX_CROSSFADE_SECONDS,
+    normalizationGainDb,
+    buildTrackFilters,
+    parseLoudnessReport
+} = require('./audioFx');
+
+// A measurement decodes the whole track; a runaway file must not pin the CPU
+const MEASURE_TIMEOUT_MS = 180_000;
+
+const DEFAULT_SETTINGS = Object.freeze({ preset: 'off', normalize: true, crossfadeSeconds: 0 });
+
+class MusicFxError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'MusicFxError';
+        this.code = code;
+    }
+}
+
+function isRemote(url) {
+    return /^https?:\/\//i.test(String(url || ''));
+}
+
+/**
+ * The music DSP chain's state: per-guild effect settings (EQ preset,
+ * loudness normalization, crossfade length) and the per-track EBU R128
+ * loudness cache.
+ *
+ * Loudness is measured with one ffmpeg loudnorm pass per local file and
+ * cached beside it as `<track>.loudness.json` (keyed to the file's size and
+ * mtime, so a re-download is re-measured). Measurement runs in the
+ * background, one file at a time: a track plays un-normalized the first
+ * time it is heard while its measurement runs, and the upcoming track is
+ * measured while the current one plays.
+ */
+class MusicFxService {
+    /**
+     * @param {Object} [deps]
+     * @param {Function} [deps.runFfmpeg] - (args) -> Promise<stderr>
+     */
+    constructor(deps = {}) {
+        this.runFfmpeg = deps.runFfmpeg || (args => new Promise((resolve, reject) => {
+            execFile(process.env.FFMPEG_PATH || 'ffmpeg', args, { timeout: MEASURE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) reject(error);
+                else resolve(stderr);
+            });
+        }));
+        this.pending = new Map(); // file -> measurement promise
+        this.chain = Promise.resolve(); // serializes measurements
+    }
+
+    // ------------------------------------------------------------------
+    // Settings
+    // ------------------------------------------------------------------
+
+    /**
+     * A guild's effect settings, falling back to defaults.
+     * @param {string} guildId
+     * @returns {{preset: string, normalize: boolean, crossfadeSeconds: number}}
+     */
+    async getSettings(guildId) {
+        const row = guildId
+            ? await db.get('SELECT preset, normalize, crossfadeSeconds FROM music_fx_settings WHERE guildId = @guildId', { guildId })
+            : null;
+        if (!row) return { ...DEFAULT_SETTINGS };
+        return {
+            preset: EQ_PRESETS[row.preset] ? row.preset : DEFAULT_SETTINGS.preset,
+            normalize: row.normalize === 1,
+            crossfadeSeconds: row.crossfadeSeconds
+        };
+    }
+
+    /**
+     * Change a guild's effect settings. Omitted fields keep their value.
+     * @param {Object} params - { guildId, preset?, normalize?, crossfadeSeconds? }
+     * @returns {{preset: string, normalize: boolean, crossfadeSeconds: number}}
+     */
+    async setSettings({ guildId, preset, normalize, crossfadeSeconds }) {
+        const current = await this.getSettings(guildId);
+        const next = {
+            preset: preset ?? current.preset,
+            normalize: normalize ?? current.normalize,
+            crossfadeSeconds: crossfadeSeconds ?? current.crossfadeSeconds
+        };
+        if (!EQ_PRESETS[next.preset]) {
+            throw new MusicFxError('BAD_PRESET', `Unknown EQ preset "${next.preset}". Choose one of: ${Object.keys(EQ_PRESETS).join(', ')}.`);
+        }
+        if (typeof next.normalize !== 'boolean') {
+            throw new MusicFxError('BAD_NORMALIZE', 'normalize must be true or false.');
+        }
+        if (!Number.isInteger(next.crossfadeSeconds) || next.crossfadeSeconds < 0 || next.crossfadeSeconds > MAX_CROSSFADE_SECONDS) {
+            throw new MusicFxError('BAD_CROSSFADE', `Crossfade must be a whole number of seconds from 0 to ${MAX_CROSSFADE_SECONDS}.`);
+        }
+        await db.run(
+            `INSERT INTO music_fx_settings (guildId, preset, normalize, crossfadeSeconds)
+             VALUES (@guildId, @preset, @normalize, @crossfadeSeconds)
+             ON CONFLICT(guildId) DO UPDATE SET preset = @preset, normalize = @normalize,
+                crossfadeSeconds = @crossfadeSeconds, updatedAt = CURRENT_TIMESTAMP`,
+            { guildId, ...next }
+        );
+        return next;
+    }
+
+    // ------------------------------------------------------------------
+    // Loudness
+    // ------------------------------------------------------------------
+
+    /** Where a track's loudness measurement is cached. */
+    loudnessPath(file) {
+        const parsed = path.parse(file);
+        return path.join(parsed.dir, `${parsed.name}.loudness.json`);
+    }
+
+    /**
+     * The cached measurement for a local file, or null when it has not been
+     * measured (or the file changed since).
+     * @param {string} file
+     */
+    async getLoudness(file) {
+        if (!file || isRemote(file)) return null;
+        try {
+            const [cached, stats] = await Promise.all([
+                fs.readFile(this.loudnessPath(file), 'utf8').then(JSON.parse),
+                fs.stat(file)
+            ]);
+            if (cached.size !== stats.size || cached.mtimeMs !== Math.round(stats.mtimeMs)) return null;
+            return cached;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Measure a local file now and cache the result beside it.
+     * @param {string} file
+     */
+    async measure(file) {
+        const stats = await fs.stat(file);
+        const stderr = await this.runFfmpeg([
+            '-hide_banner', '-nostdin', '-nostats', '-i', file, '-vn',
+            '-af', `loudnorm=I=${TARGET_LUFS}:TP=${TRUE_PEAK_CEILING_DB}:LRA=11:print_format=json`,
+            '-f', 'null', '-'
+        ]);
+        const report = parseLoudnessReport(stderr);
+        if (!report) throw new Error(`ffmpeg printed no loudness report for ${path.basename(file)}`);
+        const measured = {
+            ...report,
+            size: stats.size,
+            mtimeMs: Math.round(stats.mtimeMs),
+            measuredAt: new Date().toISOString()
+        };
+        await fs.writeFile(this.loudnessPath(file), JSON.stringify(measured, null, 2));
+        return measured;
+    }
+
+    /**
+     * Measure a file in the background unless it is cached or already
+     * queued. Never rejects; resolves to the measurement or null.
+     * @param {string} file
+     */
+    ensureLoudness(file) {
+        if (!file || isRemote(file)) return Promise.resolve(null);
+        if (this.pending.has(file)) return this.pending.get(file);
+        const job = this.chain.then(async () => {
+            try {
+                return (await this.getLoudness(file)) || (await this.measure(file));
+            } catch (error) {
+                console.error(`Loudness measurement failed for ${path.basename(file)}:`, error.message);
+                return null;
+            } finally {
+                this.pending.delete(file);
+            }
+        });
+        this.chain = job;
+        this.pending.set(file, job);
+        return job;
+    }
+
+    /** Drop a track's cached measurement (the track was deleted). */
+    async forget(file) {
+        try {
+            await fs.unlink(this.loudnessPath(file));
+        } catch {
+            // never measured
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Playback
+    // ------------------------------------------------------------------
+
+    /**
+     * Everything playAudio needs to process one track for one guild: the
+     * ffmpeg filters, the preset's speed, and (when measured) the track's
+     * duration for crossfade timing. An unmeasured local track is queued
+     * for measurement and plays without normalization this time. Never
+     * throws - effects fall back to none.
+     * @param {string} guildId
+     * @param {string} url - local path or http(s) url
+     * @returns {{settings: Object, filters: string[], speed: number, gainDb: number, durationMs: number|null}}
+     */
+    async trackFx(guildId, url) {
+        let settings = { ...DEFAULT_SETTINGS };
+        try {
+            settings = await this.getSettings(guildId);
+        } catch (error) {
+            console.error('Failed to load music effect settings:', error.message);
+        }
+        const loudness = await this.getLoudness(url);
+        if (!loudness && !isRemote(url)) this.ensureLoudness(url);
+        const gainDb = settings.normalize ? normalizationGainDb(loudness) : 0;
+        return {
+            settings,
+            filters: buildTrackFilters({ preset: settings.preset, gainDb }),
+            speed: EQ_PRESETS[settings.preset].speed,
+            gainDb,
+            durationMs: loudness?.durationMs ?? null
+        };
+    }
+}
+
+module.exports = new MusicFxService();
+module.exports.MusicFxService = MusicFxService;
+module.exports.MusicFxError = MusicFxError;
+module.exports.isRemote = isRemote;
@@ -0,0 +1,359 @@
+const { EventEmitter } = require('events');
+const db = require('../../db');
+
+// Coalesce bursts of player events (a skip fires several) into one write
+const SAVE_DEBOUNCE_MS = 1000;
+// How often a playing guild's position is checkpointed (crash recovery)
+const CHECKPOINT_INTERVAL_MS = 15000;
+
+// Player events that change what a restart has to restore
+const PERSISTED_EVENTS = ['stateUpdate', 'queueUpdate', 'trackChanged', 'shuffleToggled', 'repeatToggled', 'volumeUpdate'];
+
+/** The persistable part of a track (urls are re-resolved on resume). */
+function pickTrack(track) {
+    if (!track?.name) return null;
+    const picked = { name: track.name };
+    if (track.artist) picked.artist = track.artist;
+    if (track.title) picked.title = track.title;
+    // Ad-hoc tracks (/play) have no library entry to re-resolve from
+    if (track.url && !/^https?:\/\//i.test(track.url)) picked.url = track.url;
+    return picked;
+}
+
+const pickTracks = tracks => (tracks || []).map(pickTrack).filter(Boolean);
+
+/**
+ * Everything a restart needs to pick a guild's music back up: the voice
+ * channel, volume, repeat/shuffle, the current track and how far into it,
+ * the manual queue, and the playlist being walked. Null when there is
+ * nothing to resume (idle players leave no row behind).
+ * @param {Object} player - a MusicService
+ * @returns {Object|null}
+ */
+function snapshotPlayer(player) {
+    const currentTrack = pickTrack(player.currentTrack);
+    const queue = pickTracks(player.queue);
+    const playlist = player.currentPlaylist
+        ? { id: player.currentPlaylist.id ?? null, name: player.currentPlaylist.name, tracks: pickTracks(player.currentPlaylist.tracks) }
+        : null;
+    if (!currentTrack && queue.length === 0 && !playlist) return null;
+
+    const state = player.getState();
+    return {
+        channelId: player.connection?.joinConfig?.channelId ?? null,
+        volume: player.volume,
+        repeat: Boolean(player.isRepeatEnabled),
+        shuffle: Boolean(player.isShuffleEnabled),
+        paused: Boolean(state.isPaused),
+        currentTrack,
+        positionMs: currentTrack ? Math.max(0, Math.round(player.getPositionMs())) : 0,
+        queue,
+        playlist,
+        playlistIndex: player.currentTrackIndex || 0,
+        shuffledQueue: pickTracks(player.shuffledQueue)
+    };
+}
+
+/**
+ * Put a saved snapshot's queue state back on a fresh player (playback is
+ * started separately, once the voice channel is joined).
+ * @param {Object} player - a MusicService
+ * @param {Object} snapshot - from snapshotPlayer / a music_player_state row
+ */
+function applySnapshot(player, snapshot) {
+    player.volume = snapshot.volume;
+    player.isRepeatEnabled = snapshot.repeat;
+    player.isShuffleEnabled = snapshot.shuffle;
+    player.queue = snapshot.queue.map(track => ({ ...track }));
+    player.currentPlaylist = snapshot.playlist ? { ...snapshot.playlist, tracks: snapshot.playlist.tracks.map(track => ({ ...track })) } : null;
+    player.currentTrackIndex = snapshot.playlistIndex;
+    player.shuffledQueue = snapshot.shuffledQueue.map(track => ({ ...track }));
+}
+
+function parseList(text) {
+    try {
+        const value = JSON.parse(text);
+        return Array.isArray(value) ? value : [];
+    } catch {
+        return [];
+    }
+}
+
+function parseObject(text) {
+    if (!text) return null;
+    try {
+        const value = JSON.parse(text);
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/** A music_player_state row as a snapshot. */
+function rowToSnapshot(row) {
+    const playlist = parseObject(row.playlist);
+    return {
+        guildId: row.guildId,
+        channelId: row.channelId,
+        volume: row.volume,
+        repeat: row.repeatEnabled === 1,
+        shuffle: row.shuffleEnabled === 1,
+        paused: row.paused === 1,
+        currentTrack: parseObject(row.currentTrack),
+        positionMs: row.positionMs,
+        queue: parseList(row.queue),
+        playlist: playlist && Array.isArray(playlist.tracks) ? playlist : null,
+        playlistIndex: row.playlistIndex,
+        shuffledQueue: parseList(row.shuffledQueue)
+    };
+}
+
+/**
+ * One music player per guild. Each guild gets its own MusicService - its
+ * own audio player, queue, playlist, volume, repeat/shuffle state and voice
+ * connection - created on first use, so two servers listening at once never
+ * share a queue.
+ *
+ * Queue state is persisted to SQLite (music_player_state) whenever it
+ * changes, with the playback position checkpointed while a track plays;
+ * restore() rejoins each saved voice channel after a restart and resumes
+ * the track where it left off. Generated mood loops (/playmusic) are not
+ * resumed - they have no queue to come back to.
+ *
+ * Events: 'stateUpdate' (guildId, state) re-emitted from every player.
+ */
+class MusicPlayerManager extends EventEmitter {
+    /**
+     * @param {Object} config - the voice config each MusicService is built with
+     * @param {Object} [deps]
+     * @param {Function} [deps.createPlayer] - (config, {guildId, spotdlService}) -> MusicService
+     * @param {Function} [deps.createSpotdl] - () -> SpotDLService, shared by every player
+     */
+    constructor(config = {}, deps = {}) {
+        super();
+        this.config = config;
+        this.deps = {
+            createPlayer: (playerConfig, options) => {
+                const MusicService = require('./musicService');
+                return new MusicService(playerConfig, options);
+            },
+            createSpotdl: () => {
+                const SpotDLService = require('../spotdl/spotdlService');
+                return new SpotDLService();
+            },
+            ...deps
+        };
+        this.players = new Map();
+        this.client = null;
+        this.spotdlService = null;
+        this.saveTimers = new Map();
+        this.checkpointInterval = null;
+        this.shuttingDown = false;
+    }
+
+    /**
+     * The guild's player, created on first use.
+     * @param {string} guildId
+     * @returns {Object} MusicService
+     */
+    get(guildId) {
+        if (!guildId) throw new Error('A guild id is required for music playback');
+        let player = this.players.get(guildId);
+        if (player) return player;
+
+        if (!this.spotdlService) this.spotdlService = this.deps.createSpotdl();
+        player = this.deps.createPlayer(this.config, { guildId, spotdlService: this.spotdlService });
+        if (this.client) player.setClient(this.client);
+        for (const event of PERSISTED_EVENTS) {
+            player.on(event, () => this._scheduleSave(guildId));
+        }
+        player.on('stateUpdate', state => this.emit('stateUpdate', guildId, state));
+        this.players.set(guildId, player);
+        this._startCheckpoints();
+        return player;
+    }
+
+    /**
+     * The guild's player if one exists (never creates one).
+     * @param {string} guildId
+     * @returns {Object|null}
+     */
+    peek(guildId) {
+        return this.players.get(guildId) || null;
+    }
+
+    /** @returns {Array<[string, Object]>} [guildId, player] pairs */
+    entries() {
+        return Array.from(this.players.entries());
+    }
+
+    /** Hand the Discord client to every player (presence events). */
+    setClient(client) {
+        this.client = client;
+        for (const player of this.players.values()) player.setClient(client);
+    }
+
+    // ------------------------------------------------------------------
+    // Persistence
+    // ------------------------------------------------------------------
+
+    /**
+     * Write (or clear) a guild's saved state now.
+     * @param {string} guildId
+     */
+    async save(guildId) {
+        const timer = this.saveTimers.get(guildId);
+        if (timer) {
+            clearTimeout(timer);
+            this.saveTimers.delete(guildId);
+        }
+        const player = this.players.get(guildId);
+        const snapshot = player ? snapshotPlayer(player) : null;
+        if (!snapshot) {
+            await db.run('DELETE FROM music_player_state WHERE guildId = @guildId', { guildId });
+            return;
+        }
+        await db.run(
+            `INSERT INTO music_player_state (
+                guildId, channelId, volume, repeatEnabled, shuffleEnabled, paused,
+                currentTrack, positionMs, queue, playlist, playlistIndex, shuffledQueue
+             ) VALUES (
+                @guildId, @channelId, @volume, @repeat, @shuffle, @paused,
+                @currentTrack, @positionMs, @queue, @playlist, @playlistIndex, @shuffledQueue
+             )
+             ON CONFLICT(guildId) DO UPDATE SET
+                channelId = @channelId, volume = @volume, repeatEnabled = @repeat,
+                shuffleEnabled = @shuffle, paused = @paused, currentTrack = @currentTrack,
+                positionMs = @positionMs, queue = @queue, playlist = @playlist,
+                playlistIndex = @playlistIndex, shuffledQueue = @shuffledQueue,
+                updatedAt = CURRENT_TIMESTAMP`,
+            { guildId, ...snapshot }
+        );
+    }
+
+    /**
+     * Saved state for every guild with something to resume.
+     * @returns {Object[]} snapshots (with guildId)
+     */
+    async loadSaved() {
+        const rows = await db.all('SELECT * FROM music_player_state ORDER BY guildId');
+        return rows.map(rowToSnapshot);
+    }
+
+    /**
+     * After a restart: rejoin each saved guild's voice channel and resume
+     * playback where it left off. A guild whose channel is gone (or left the
+     * bot's reach) has its saved state dropped. Never throws.
+     * @param {Object} client - the ready Discord client
+     * @returns {{resumed: string[], dropped: string[]}}
+     */
+    async restore(client) {
+        const resumed = [];
+        const dropped = [];
+        let saved;
+        try {
+            saved = await this.loadSaved();
+        } catch (error) {
+            console.error('Failed to load saved music state:', error.message);
+            return { resumed, dropped };
+        }
+
+        for (const snapshot of saved) {
+            const channel = client.guilds.cache.get(snapshot.guildId)?.channels.cache.get(snapshot.channelId);
+            if (!channel?.isVoiceBased?.()) {
+                dropped.push(snapshot.guildId);
+                await db.run('DELETE FROM music_player_state WHERE guildId = @guildId', { guildId: snapshot.guildId });
+                continue;
+            }
+            try {
+                const player = this.get(snapshot.guildId);
+                applySnapshot(player, snapshot);
+                await player.joinChannel(channel);
+                await player.resumeFrom(snapshot.currentTrack, snapshot.positionMs, { paused: snapshot.paused });
+                resumed.push(snapshot.guildId);
+            } catch (error) {
+                console.error(`Failed to resume music in guild ${snapshot.guildId}:`, error.message);
+            }
+        }
+        if (resumed.length > 0) console.log(`Resumed music in ${resumed.length} guild(s) after restart`);
+        return { resumed, dropped };
+    }
+
+    /**
+     * Stop and forget a guild's player (the bot was removed from voice, or
+     * left the guild). Its saved state goes with it.
+     * @param {string} guildId
+     */
+    async release(guildId) {
+        const player = this.players.get(guildId);
+        if (!player || this.shuttingDown) return;
+        this.players.delete(guildId);
+        const timer = this.saveTimers.get(guildId);
+        if (timer) clearTimeout(timer);
+        this.saveTimers.delete(guildId);
+        try {
+            player.dispose();
+        } catch (error) {
+            console.error(`Error disposing music player for guild ${guildId}:`, error.message);
+        }
+        await db.run('DELETE FROM music_player_state WHERE guildId = @guildId', { guildId });
+        if (this.players.size === 0) this._stopCheckpoints();
+    }
+
+    /**
+     * Shutdown: checkpoint every guild (so a restart resumes it), then
+     * dispose every player. Disposal-time events no longer touch the saved
+     * state.
+     */
+    async disposeAll() {
+        this.shuttingDown = true;
+        this._stopCheckpoints();
+        for (const guildId of this.players.keys()) {
+            try {
+                await this.save(guildId);
+            } catch (error) {
+                console.error(`Failed to save music state for guild ${guildId}:`, error.message);
+            }
+        }
+        for (const timer of this.saveTimers.values()) clearTimeout(timer);
+        this.saveTimers.clear();
+        for (const player of this.players.values()) {
+            try {
+                player.dispose();
+            } catch (error) {
+                console.error('Error disposing music player:', error.message);
+            }
+        }
+        this.players.clear();
+    }
+
+    _scheduleSave(guildId) {
+        if (this.shuttingDown || this.saveTimers.has(guildId)) return;
+        const timer = setTimeout(() => {
+            this.saveTimers.delete(guildId);
+            this.save(guildId).catch(error => console.error(`Failed to save music state for guild ${guildId}:`, error.message));
+        }, SAVE_DEBOUNCE_MS);
+        timer.unref?.();
+        this.saveTimers.set(guildId, timer);
+    }
+
+    _startCheckpoints() {
+        if (this.checkpointInterval) return;
+        this.checkpointInterval = setInterval(() => {
+            for (const [guildId, player] of this.players) {
+                if (player.isPlaying) this._scheduleSave(guildId);
+            }
+        }, CHECKPOINT_INTERVAL_MS);
+        this.checkpointInterval.unref?.();
+    }
+
+    _stopCheckpoints() {
+        if (this.checkpointInterval) clearInterval(this.checkpointInterval);
+        this.checkpointInterval = null;
+    }
+}
+
+module.exports = MusicPlayerManager;
+module.exports.snapshotPlayer = snapshotPlayer;
+module.exports.applySnapshot = applySnapshot;
+module.exports.SAVE_DEBOUNCE_MS = SAVE_DEBOUNCE_MS;
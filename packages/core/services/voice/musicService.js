@@ -1,8 +1,6 @@
 // TODO: Add proper handling for music stream errors
 // TODO: Add proper handling for playlist management
 // TODO: Add proper handling for track transitions
-// TODO: Add proper handling for volume normalization
-// TODO: Add proper handling for audio effects
 // TODO: Add proper handling for music caching
 // TODO: Add proper handling for stream buffering
 // TODO: Add proper handling for playback state
@@ -28,12 +26,53 @@ const SpotDLService = require('../spotdl/spotdlService');
 const { parseTrackName } = require('../../utils/musicUtils');
 const { EmbedBuilder } = require('discord.js');
 const { generateMusic, resolveApiKey } = require('./elevenLabsAudioService');
+const musicFxService = require('./musicFxService');
+const { isRemote } = require('./musicFxService');
+const { crossfadeGraph } = require('./audioFx');
 
 // Length of generated mood-music tracks; also drives loop crossfade timing.
 const GENERATED_MUSIC_SECONDS = 60;
 
+// One memory monitor for the whole process, however many guild players exist
+let memoryMonitorInterval = null;
+let memoryMonitorUsers = 0;
+// The ffmpeg check runs once per process, not once per guild player
+let ffmpegChecked = false;
+
+// Start a track crossfade this far ahead of the fade window (ffmpeg spin-up)
+const CROSSFADE_LEAD_MS = 400;
+const CROSSFADE_POLL_MS = 250;
+
+/**
+ * One guild's music player: its audio player, voice connection, manual
+ * queue, playlist walk, volume and repeat/shuffle state. Instances are
+ * created per guild by MusicPlayerManager (voiceService.musicPlayers).
+ */
 class MusicService extends EventEmitter {
-    constructor(config) {
+    /**
+     * Throws when ffmpeg is not installed (it is required for all playback).
+     */
+    static assertFfmpeg() {
+        if (ffmpegChecked) return;
+        // Uses the system FFmpeg (apt install ffmpeg) which supports all
+        // architectures including ARM64, unlike the ffmpeg-static binary.
+        try {
+            const { execSync } = require('child_process');
+            execSync(`${process.env.FFMPEG_PATH || 'ffmpeg'} -version`, { stdio: 'ignore' });
+            ffmpegChecked = true;
+        } catch (error) {
+            console.error('FFmpeg installation check failed:', error.message);
+            throw new Error('FFmpeg is required for music playback but was not found. Install it with: sudo apt install ffmpeg', { cause: error });
+        }
+    }
+
+    /**
+     * @param {Object} config
+     * @param {Object} [options]
+     * @param {string} [options.guildId] - the guild this player serves
+     * @param {Object} [options.spotdlService] - shared SpotDLService (one is created if omitted)
+     */
+    constructor(config, { guildId = null, spotdlService = null } = {}) {
         super();
         
         // Validate required config
@@ -55,8 +94,8 @@ class MusicService extends EventEmitter {
         // Store config
         this.config = config;
         
-        // Initialize SpotDL service
-        this.spotdlService = new SpotDLService();
+        // Initialize SpotDL service (shared across guild players when provided)
+        this.spotdlService = spotdlService || new SpotDLService();
         
         // Add presence management
         this.statusMessages = [
@@ -85,16 +124,8 @@ class MusicService extends EventEmitter {
         }
         
         // Check FFmpeg installation (required for all audio playback).
-        // Uses the system FFmpeg (apt install ffmpeg) which supports all
-        // architectures including ARM64, unlike the ffmpeg-static binary.
         this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
-        try {
-            const { execSync } = require('child_process');
-            execSync(`${this.ffmpegPath} -version`, { stdio: 'ignore' });
-        } catch (error) {
-            console.error('FFmpeg installation check failed:', error.message);
-            throw new Error('FFmpeg is required for music playback but was not found. Install it with: sudo apt install ffmpeg', { cause: error });
-        }
+        MusicService.assertFfmpeg();
         
         // Initialize audio player
         this.player = createAudioPlayer({
@@ -118,7 +149,19 @@ class MusicService extends EventEmitter {
         this.currentMood = null;
         this.connection = null; // Store the voice connection
         this.client = null; // <-- ADDED: Store the Discord client instance
-        this.guildId = null; // <-- ADDED: Store the Guild ID for context
+        this.guildId = guildId; // <-- ADDED: Store the Guild ID for context
+        // Playback position bookkeeping (resume after restart). Position is
+        // offsetMs + (resource time - leadMs) * speed: a crossfaded resource
+        // starts with the previous track's tail (leadMs), and the nightcore
+        // preset plays source audio faster than real time (speed).
+        this.currentResource = null;
+        this.playbackOffsetMs = 0;
+        this.playbackLeadMs = 0;
+        this.playbackSpeed = 1;
+        // The resolved track + effects now playing (for crossfades / live fx changes)
+        this.currentPlayable = null;
+        this.currentFx = null;
+        this.trackCrossfadeTimer = null;
 
         // Set up player state change handler for looping
         this.player.on(AudioPlayerStatus.Idle, async () => {
@@ -147,8 +190,13 @@ class MusicService extends EventEmitter {
     }
     
     startMemoryMonitoring() {
-        // Monitor memory usage every 30 seconds (unref: never keeps the process alive)
-        this.memoryMonitorInterval = setInterval(() => {
+        // Monitor memory usage every 30 seconds (unref: never keeps the process alive).
+        // Shared by every guild player; the last one disposed stops it.
+        if (this.memoryMonitorStarted) return;
+        this.memoryMonitorStarted = true;
+        memoryMonitorUsers++;
+        if (memoryMonitorInterval) return;
+        memoryMonitorInterval = setInterval(() => {
             const memoryUsage = process.memoryUsage();
             console.debug('Memory usage:', {
                 rss: `${Math.round(memoryUsage.rss / 1024 / 1024)} MB`,
@@ -157,7 +205,17 @@ class MusicService extends EventEmitter {
                 external: `${Math.round(memoryUsage.external / 1024 / 1024)} MB`
             });
         }, 30000);
-        this.memoryMonitorInterval.unref?.();
+        memoryMonitorInterval.unref?.();
+    }
+
+    stopMemoryMonitoring() {
+        if (!this.memoryMonitorStarted) return;
+        this.memoryMonitorStarted = false;
+        memoryMonitorUsers--;
+        if (memoryMonitorUsers === 0 && memoryMonitorInterval) {
+            clearInterval(memoryMonitorInterval);
+            memoryMonitorInterval = null;
+        }
     }
 
     async ensureMusicCacheDir() {
@@ -436,8 +494,8 @@ class MusicService extends EventEmitter {
         }
     }
 
-    async createAudioResource(audioBuffer, isInitial = true, volume = 1.0) {
-        console.log('Creating audio resource:', { isInitial, volume });
+    async createAudioResource(audioBuffer, isInitial = true, volume = 1.0, { seekMs = 0, filters = [] } = {}) {
+        console.log('Creating audio resource:', { isInitial, volume, seekMs });
         
         // Ensure necessary configuration exists
         if (!this.config.audio) this.config.audio = {};
@@ -460,6 +518,7 @@ class MusicService extends EventEmitter {
 
         // Create FFmpeg transcoder with crossfade filters
         const filterArgs = [
+            ...filters,  // Per-guild DSP chain: loudness gain, EQ preset
             `volume=${volume}`,  // Use dynamic volume parameter
             isInitial ? 'afade=t=in:st=0:d=2' : '',  // Initial fade in
             this.loopingEnabled ? `afade=t=in:st=0:d=${crossfadeDuration/1000}` : '',  // Crossfade in
@@ -470,6 +529,8 @@ class MusicService extends EventEmitter {
 
         const transcoder = new prism.FFmpeg({
             args: [
+                // Input seek: start a resumed track where it left off
+                ...(seekMs > 0 ? ['-ss', (seekMs / 1000).toFixed(3)] : []),
                 '-i', '-',
                 '-analyzeduration', '0',
                 '-loglevel', '0',
@@ -640,6 +701,7 @@ class MusicService extends EventEmitter {
 
     stopMusic() {
         this.loopingEnabled = false;
+        this.disarmTrackCrossfade();
         if (this.crossfadeTimeout) {
             clearTimeout(this.crossfadeTimeout);
             this.crossfadeTimeout = null;
@@ -751,9 +813,8 @@ class MusicService extends EventEmitter {
     // Make sure to clean up resources properly when the bot is shutting down
     dispose() {
         // Clear all intervals
-        if (this.memoryMonitorInterval) {
-            clearInterval(this.memoryMonitorInterval);
-        }
+        this.stopMemoryMonitoring();
+        this.disarmTrackCrossfade();
         
         if (this.statusUpdateInterval) {
             clearInterval(this.statusUpdateInterval);
@@ -846,7 +907,14 @@ class MusicService extends EventEmitter {
         }
     }
 
-    async playAudio(track) {
+    /**
+     * Play a resolved track (name + url) on this guild's connection.
+     * @param {Object} track
+     * @param {Object} [options]
+     * @param {number} [options.startMs] - start this far into the track
+     */
+    async playAudio(track, { startMs = 0 } = {}) {
+        this.disarmTrackCrossfade();
         try {
             if (!this.connection) {
                 throw new Error('Not connected to a voice channel');
@@ -871,11 +939,18 @@ class MusicService extends EventEmitter {
                 audioBuffer = await fs.readFile(track.url);
             }
             
-            // Create and play the audio resource
-            const resource = await this.createAudioResource(audioBuffer, true, this.volume);
+            // Create and play the audio resource through the guild's DSP chain
+            const fx = await musicFxService.trackFx(this.guildId, track.url);
+            const resource = await this.createAudioResource(audioBuffer, startMs === 0, this.volume, { seekMs: startMs, filters: fx.filters });
             if (!resource) {
                 throw new Error('Failed to create audio resource');
             }
+            this.currentResource = resource;
+            this.playbackOffsetMs = startMs;
+            this.playbackLeadMs = 0;
+            this.playbackSpeed = fx.speed;
+            this.currentPlayable = track;
+            this.currentFx = fx;
             
             // Set volume
             if (resource.volume) {
@@ -892,6 +967,7 @@ class MusicService extends EventEmitter {
             this.currentTrack = track;
             this.isPlaying = true;
             this.emit('stateUpdate', { isPlaying: true, currentTrack: this.currentTrack });
+            this.armTrackCrossfade();
 
             // --> MODIFIED: Emit event instead of updating presence <--
             if (this.client && this.guildId && this.currentTrack) {
@@ -982,6 +1058,7 @@ class MusicService extends EventEmitter {
 
     async stop() {
         try {
+            this.disarmTrackCrossfade();
             // Stop the player, which triggers the 'idle' state, handled by handleTrackCompletion
             this.player.stop();
             // --> NOTE: musicTrackEnded will be emitted by handleTrackCompletion if it stops fully <--
@@ -1483,6 +1560,8 @@ class MusicService extends EventEmitter {
 
     getState() {
         return {
+            guildId: this.guildId,
+            channelId: this.connection?.joinConfig?.channelId ?? null,
             isPlaying: this.isPlaying,
             currentTrack: this.currentTrack,
             volume: this.volume,
@@ -1490,6 +1569,218 @@ class MusicService extends EventEmitter {
         };
     }
 
+    /**
+     * How far into the current track playback is, in milliseconds.
+     * @returns {number}
+     */
+    getPositionMs() {
+        if (!this.currentTrack || !this.currentResource) return 0;
+        const elapsed = Math.max(0, (this.currentResource.playbackDuration || 0) - this.playbackLeadMs);
+        return this.playbackOffsetMs + elapsed * this.playbackSpeed;
+    }
+
+    /**
+     * Re-apply the guild's effect settings to the track playing now (a
+     * /music fx change): the track restarts at the same position through the
+     * new chain. Paused or idle players pick the change up on the next track.
+     * @returns {boolean} whether the current track was re-processed
+     */
+    async applyFx() {
+        if (!this.currentPlayable || this.player.state.status !== AudioPlayerStatus.Playing) return false;
+        const track = this.currentTrack;
+        await this.playAudio(this.currentPlayable, { startMs: Math.round(this.getPositionMs()) });
+        this.currentTrack = track;
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // Track crossfade
+    // ------------------------------------------------------------------
+
+    /**
+     * What plays after the current track, without consuming it - the same
+     * order handleTrackCompletion uses (manual queue, then repeat, then the
+     * playlist). `take()` consumes it once the crossfade is committed.
+     * @returns {{track: Object, take: Function}|null}
+     */
+    upcomingTrack() {
+        if (this.queue.length > 0) {
+            return {
+                track: this.queue[0],
+                take: () => {
+                    this.queue.shift();
+                    this.emit('queueUpdate', this.queue);
+                }
+            };
+        }
+        if (this.isRepeatEnabled && this.currentTrack) {
+            return { track: this.currentTrack, take: () => {} };
+        }
+        const tracks = this.currentPlaylist?.tracks || [];
+        if (tracks.length === 0) return null;
+        if (this.isShuffleEnabled) {
+            // An exhausted shuffle reshuffles in playNextTrack; let that track start normally
+            if (this.shuffledQueue.length === 0) return null;
+            return { track: this.shuffledQueue[this.shuffledQueue.length - 1], take: () => this.shuffledQueue.pop() };
+        }
+        const index = this.currentTrackIndex;
+        return {
+            track: tracks[index],
+            take: () => {
+                this.currentTrackIndex = (index + 1) % tracks.length;
+            }
+        };
+    }
+
+    /**
+     * Watch the current track and mix the next one in when it reaches the
+     * crossfade window. Needs the guild's crossfade on, a local file, and a
+     * measured duration (the loudness pass records it); the upcoming track
+     * is measured meanwhile so it is ready when its turn comes.
+     */
+    armTrackCrossfade() {
+        this.disarmTrackCrossfade();
+        const fx = this.currentFx;
+        const playable = this.currentPlayable;
+        const crossfadeMs = (fx?.settings.crossfadeSeconds || 0) * 1000;
+        if (!crossfadeMs || !fx.durationMs || !playable || isRemote(playable.url)) return;
+        if (fx.durationMs < crossfadeMs * 2 + CROSSFADE_LEAD_MS) return;
+
+        const upcoming = this.upcomingTrack();
+        if (upcoming?.track?.name) {
+            this.spotdlService.getTrackUrl(upcoming.track.name)
+                .then(url => musicFxService.ensureLoudness(url))
+                .catch(() => { /* not in the library: resolved again at crossfade time */ });
+        }
+
+        const resource = this.currentResource;
+        this.trackCrossfadeTimer = setInterval(() => {
+            if (this.currentResource !== resource) {
+                this.disarmTrackCrossfade();
+                return;
+            }
+            if (this.player.state.status !== AudioPlayerStatus.Playing) return;
+            if (this.getPositionMs() < fx.durationMs - crossfadeMs * this.playbackSpeed - CROSSFADE_LEAD_MS) return;
+            this.disarmTrackCrossfade();
+            this.crossfadeToNext(resource, crossfadeMs).catch(error => {
+                // The current track simply plays out and the next starts normally
+                console.error('Track crossfade failed:', error.message);
+            });
+        }, CROSSFADE_POLL_MS);
+        this.trackCrossfadeTimer.unref?.();
+    }
+
+    disarmTrackCrossfade() {
+        if (this.trackCrossfadeTimer) clearInterval(this.trackCrossfadeTimer);
+        this.trackCrossfadeTimer = null;
+    }
+
+    /**
+     * Replace the playing resource with one ffmpeg graph that plays the rest
+     * of the current track overlapped into the next (acrossfade), so the
+     * hand-off has no gap. The next track becomes current immediately.
+     * @param {Object} resource - the resource the crossfade was armed for
+     * @param {number} crossfadeMs
+     */
+    async crossfadeToNext(resource, crossfadeMs) {
+        const upcoming = this.upcomingTrack();
+        if (!upcoming?.track?.name) return;
+        const nextUrl = await this.spotdlService.getTrackUrl(upcoming.track.name);
+        if (!nextUrl || isRemote(nextUrl)) return;
+        const nextFx = await musicFxService.trackFx(this.guildId, nextUrl);
+        // Skipped, stopped, or re-processed while the next track resolved
+        if (this.currentResource !== resource || this.player.state.status !== AudioPlayerStatus.Playing) return;
+
+        const from = this.currentPlayable;
+        const fromFx = this.currentFx;
+        const fromMs = Math.round(this.getPositionMs());
+        const transcoder = new prism.FFmpeg({
+            args: [
+                '-nostdin',
+                '-ss', (fromMs / 1000).toFixed(3), '-i', from.url,
+                '-i', nextUrl,
+                '-filter_complex', crossfadeGraph({
+                    fromFilters: fromFx.filters,
+                    toFilters: nextFx.filters,
+                    crossfadeMs,
+                    volume: this.volume
+                }),
+                '-loglevel', '0',
+                '-acodec', 'pcm_s16le',
+                '-f', 's16le',
+                '-ar', '48000',
+                '-ac', '2'
+            ]
+        });
+        transcoder.on('error', error => {
+            console.error('Crossfade transcoder error:', error);
+            this.emit('transcoderError', error);
+        });
+        const mixed = createAudioResource(transcoder, { inputType: StreamType.Raw, inlineVolume: true });
+        mixed.volume?.setVolume(this.volume);
+        this.activeResources.add(mixed);
+
+        upcoming.take();
+        const playable = {
+            name: upcoming.track.name,
+            url: nextUrl,
+            artist: upcoming.track.artist || parseTrackName(upcoming.track.name).artist,
+            title: upcoming.track.title || parseTrackName(upcoming.track.name).title
+        };
+        // The old track's remaining audio (in output time) plays before the
+        // overlap; the next track's own clock starts where the overlap does
+        const tailMs = Math.max(0, (fromFx.durationMs - fromMs) / fromFx.speed);
+        this.player.play(mixed);
+        this.currentResource = mixed;
+        this.playbackOffsetMs = 0;
+        this.playbackLeadMs = Math.max(0, tailMs - crossfadeMs);
+        this.playbackSpeed = nextFx.speed;
+        this.currentPlayable = playable;
+        this.currentFx = nextFx;
+        this.currentTrack = upcoming.track;
+        this.isPlaying = true;
+        console.log(`Crossfading into: ${playable.title} by ${playable.artist} in guild: ${this.guildId}`);
+        this.emit('stateUpdate', { isPlaying: true, currentTrack: this.currentTrack });
+        this.emit('trackChanged', upcoming.track);
+        if (this.client && this.guildId) {
+            this.client.emit('musicTrackStarted', this.guildId, this.currentTrack);
+        }
+        this.armTrackCrossfade();
+    }
+
+    /**
+     * Pick playback back up after a restart: replay the saved track from the
+     * saved position (paused again if it was paused), or start the next
+     * queued/playlist track when nothing was mid-play.
+     * @param {Object|null} track - saved track ({name, artist?, title?, url?})
+     * @param {number} positionMs
+     * @param {Object} [options]
+     * @param {boolean} [options.paused]
+     */
+    async resumeFrom(track, positionMs = 0, { paused = false } = {}) {
+        if (!track) {
+            if (this.queue.length > 0) await this.playNextInQueue();
+            else if (this.currentPlaylist) await this.playNextTrack();
+            return;
+        }
+        const url = track.url || await this.spotdlService.getTrackUrl(track.name);
+        if (!url) {
+            throw new Error(`Failed to get URL for track: ${track.name}`);
+        }
+        await this.playAudio({
+            name: track.name,
+            url,
+            artist: track.artist || parseTrackName(track.name).artist,
+            title: track.title || parseTrackName(track.name).title
+        }, { startMs: positionMs });
+        this.currentTrack = track;
+        this.emit('trackChanged', track);
+        if (paused) {
+            await entersState(this.player, AudioPlayerStatus.Playing, 15_000);
+            await this.pause();
+        }
+    }
+
     // --> ADDED: Method to add a track to the manual queue <--
     async addToQueue(track) {
         if (!track) return false;
@@ -1502,6 +1793,7 @@ class MusicService extends EventEmitter {
 
         this.queue.push(queueItem);
         console.log(`Added to queue: ${parseTrackName(track.name).title}, Queue size: ${this.queue.length}`);
+        this.emit('queueUpdate', this.queue);
         
         // If nothing is playing, start playing the queued item immediately
         if (!this.isPlaying) {
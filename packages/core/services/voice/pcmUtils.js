@@ -52,4 +52,65 @@ function pcmRms(pcmBuffer, stride = 8) {
     return Math.sqrt(sumSquares / counted);
 }
 
-module.exports = { stereo48kToMono16k, pcmRms, TARGET_RATE };
+/**
+ * Wrap s16le PCM in a 44-byte RIFF/WAVE header.
+ * @param {Buffer} pcm - 16-bit little-endian PCM
+ * @param {Object} [format] - { sampleRate, channels }
+ * @returns {Buffer}
+ */
+function buildWav(pcm, { sampleRate = SOURCE_RATE, channels = 2 } = {}) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Read a 16-bit PCM WAV's format and samples (walks the chunk list, so
+ * LIST/fact chunks before `data` are fine).
+ * @param {Buffer} buffer
+ * @returns {{sampleRate: number, channels: number, pcm: Buffer}|null} null
+ *   when this is not 16-bit PCM WAV
+ */
+function parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === 'fmt ' && size >= 16) {
+            format = {
+                audioFormat: buffer.readUInt16LE(body),
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data') {
+            if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) return null;
+            return {
+                sampleRate: format.sampleRate,
+                channels: format.channels,
+                pcm: buffer.subarray(body, Math.min(buffer.length, body + size))
+            };
+        }
+        offset = body + size + (size % 2); // chunks are word-aligned
+    }
+    return null;
+}
+
+module.exports = { stereo48kToMono16k, pcmRms, buildWav, parseWav, TARGET_RATE };
@@ -0,0 +1,547 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const prism = require('prism-media');
+const {
+    createAudioResource,
+    createAudioPlayer,
+    StreamType,
+    NoSubscriberBehavior
+} = require('@discordjs/voice');
+
+const { stripUrlsForSpeech } = require('./speechText');
+const { captureDisplacedPlayer, restoreDisplacedPlayer } = require('./voicePlaybackCoordinator');
+
+const DEFAULT_SAMPLE_RATE = 22050; // piper "medium" and "high" voices
+// A streamed reply is fed to piper one line per sentence; text that never
+// reaches a sentence end is cut at a word boundary past this length so a
+// long unpunctuated run still starts speaking.
+const MAX_PENDING_CHARS = 220;
+const SENTENCE_END_RE = /[.!?…;:](?:["')\]]*)\s+|\n+/g;
+
+/**
+ * Split streamed text into whole sentences plus the unfinished remainder.
+ * @param {string} text
+ * @returns {{sentences: string[], rest: string}}
+ */
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+    for (const match of text.matchAll(SENTENCE_END_RE)) {
+        const end = match.index + match[0].length;
+        const sentence = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        if (sentence) sentences.push(sentence);
+        start = end;
+    }
+    let rest = text.slice(start);
+    while (rest.length > MAX_PENDING_CHARS) {
+        const cut = rest.lastIndexOf(' ', MAX_PENDING_CHARS);
+        const at = cut > 0 ? cut : MAX_PENDING_CHARS;
+        sentences.push(rest.slice(0, at).trim());
+        rest = rest.slice(at).replace(/^\s+/, '');
+    }
+    return { sentences, rest };
+}
+
+/** ffmpeg input args for piper's raw output (s16le mono at the voice's rate). */
+function rawInputArgs(sampleRate) {
+    return ['-f', 's16le', '-ar', String(sampleRate), '-ac', '1', '-i', 'pipe:0'];
+}
+
+/** Decode piper's raw output to 48kHz stereo PCM for Discord. */
+function createDiscordDecoder(sampleRate) {
+    return new prism.FFmpeg({
+        args: [
+            ...rawInputArgs(sampleRate),
+            '-analyzeduration', '0',
+            '-loglevel', '0',
+            '-acodec', 'pcm_s16le',
+            '-f', 's16le',
+            '-ar', '48000',
+            '-ac', '2'
+        ]
+    });
+}
+
+/**
+ * Piper TTS - local text-to-speech on ONNX voices, a drop-in alternative to
+ * ElevenLabsTTSService (same method surface, so /speak, voice replies, the
+ * AI DJ, Tavern narration and Parlor Live work on either).
+ *
+ * Voices are the `<name>.onnx` + `<name>.onnx.json` pairs in
+ * `piper.voicesDir`; a voice's id is its file name without `.onnx`
+ * (e.g. `en_US-lessac-medium`). Each synthesis runs one `piper` process
+ * with `--output_raw`: piper reads text line by line from stdin and writes
+ * s16le mono PCM for each line as soon as it is synthesized, which is what
+ * makes streamed replies (createStreamingSession) start speaking after the
+ * first sentence.
+ *
+ * Configuration (config.json first, then the environment):
+ *   piper.path      / PIPER_PATH       - piper binary (default 'piper' on PATH)
+ *   piper.voicesDir / PIPER_VOICES_DIR - directory of .onnx voices (required)
+ *   piper.voiceId   / PIPER_VOICE      - default voice (default: the first one)
+ */
+class PiperTTSService extends EventEmitter {
+    /**
+     * @param {Object} [config] - the bot config (reads `config.piper`)
+     * @param {Object} [deps] - overrides for tests
+     * @param {Function} [deps.spawn] - child_process.spawn
+     * @param {Function} [deps.decoder] - (sampleRate) -> Duplex raw PCM -> 48kHz stereo
+     */
+    constructor(config = {}, deps = {}) {
+        super();
+        this.provider = 'piper';
+        this._spawn = deps.spawn || spawn;
+        this._decoder = deps.decoder || createDiscordDecoder;
+        this.voicesDir = config.piper?.voicesDir || process.env.PIPER_VOICES_DIR || null;
+        if (!this.voicesDir) {
+            this.disabled = true;
+            return;
+        }
+        this.binary = config.piper?.path || process.env.PIPER_PATH || 'piper';
+        this.voiceId = config.piper?.voiceId || process.env.PIPER_VOICE || null;
+        this.voiceName = config.piper?.voiceName || null;
+        // Usage logs and the panel show a model; for piper it is the engine
+        this.modelId = 'piper';
+
+        this.voiceCache = null; // [{ id, name, category, modelPath, sampleRate }]
+
+        this.player = createAudioPlayer({
+            behaviors: { noSubscriber: NoSubscriberBehavior.Pause }
+        });
+        this.activeResources = new Set();
+    }
+
+    /** Speech never leaves this machine. */
+    isLocal() {
+        return true;
+    }
+
+    /**
+     * Scan voicesDir for voices. Cached; `refresh` re-reads the directory
+     * (the voice picker does, so a newly downloaded voice shows up).
+     */
+    async _loadVoices({ refresh = false } = {}) {
+        if (this.voiceCache && !refresh) return this.voiceCache;
+        let entries;
+        try {
+            entries = await fs.readdir(this.voicesDir);
+        } catch (error) {
+            throw new Error(`Piper voices directory ${this.voicesDir} is not readable: ${error.message}`, { cause: error });
+        }
+        const voices = [];
+        for (const file of entries.filter(name => name.endsWith('.onnx')).sort()) {
+            const modelPath = path.join(this.voicesDir, file);
+            let meta;
+            try {
+                meta = JSON.parse(await fs.readFile(`${modelPath}.json`, 'utf8'));
+            } catch {
+                // piper refuses a model without its config; skip it
+                continue;
+            }
+            voices.push({
+                id: file.slice(0, -'.onnx'.length),
+                name: voiceDisplayName(file.slice(0, -'.onnx'.length), meta),
+                category: 'piper',
+                modelPath,
+                sampleRate: meta.audio?.sample_rate || DEFAULT_SAMPLE_RATE
+            });
+        }
+        this.voiceCache = voices;
+        return voices;
+    }
+
+    /**
+     * The installed voices: [{ id, name, category }].
+     */
+    async listVoices() {
+        const voices = await this._loadVoices({ refresh: true });
+        return voices.map(({ id, name, category }) => ({ id, name, category }));
+    }
+
+    /**
+     * Look up a single installed voice by id.
+     * @returns {Promise<{id: string, name: string, category: string}|null>}
+     */
+    async getVoiceInfo(voiceId) {
+        const voice = (await this._loadVoices()).find(v => v.id === voiceId);
+        return voice ? { id: voice.id, name: voice.name, category: voice.category } : null;
+    }
+
+    /**
+     * Resolve a voice name or id to { id, name }: exact id or name first
+     * (case-insensitive), then a unique partial match on the id ("lessac"
+     * matches en_US-lessac-medium). Throws listing the installed voices
+     * when nothing matches.
+     */
+    async resolveVoice(nameOrId) {
+        const voices = await this._loadVoices({ refresh: true });
+        if (voices.length === 0) {
+            throw new Error(`No Piper voices installed in ${this.voicesDir} (each voice is a .onnx file plus its .onnx.json).`);
+        }
+        const query = String(nameOrId || '').trim().toLowerCase();
+        if (!query) {
+            const fallback = this._defaultVoice(voices);
+            return { id: fallback.id, name: fallback.name };
+        }
+        const exact = voices.find(v => v.id.toLowerCase() === query || v.name.toLowerCase() === query);
+        if (exact) return { id: exact.id, name: exact.name };
+
+        const partial = voices.filter(v => v.id.toLowerCase().includes(query) || v.name.toLowerCase().startsWith(query));
+        if (partial.length === 1) return { id: partial[0].id, name: partial[0].name };
+        if (partial.length > 1) {
+            throw new Error(`Piper voice "${nameOrId}" is ambiguous: ${partial.map(v => v.id).join(', ')}`);
+        }
+        const available = voices.map(v => v.id).slice(0, 25).join(', ');
+        throw new Error(`Piper voice "${nameOrId}" is not installed. Available: ${available}`);
+    }
+
+    async resolveVoiceId(nameOrId) {
+        const { id } = await this.resolveVoice(nameOrId);
+        return id;
+    }
+
+    _defaultVoice(voices) {
+        return voices.find(v => v.id === this.voiceId) || voices[0];
+    }
+
+    /**
+     * The installed voice to speak with. A stale or foreign voice id (a
+     * persona saved with an ElevenLabs voice, say) falls back to the
+     * default voice rather than silencing speech.
+     */
+    async _voiceFor(voiceOverride) {
+        const voices = await this._loadVoices();
+        if (voices.length === 0) {
+            throw new Error(`No Piper voices installed in ${this.voicesDir}`);
+        }
+        const requested = voiceOverride || this.voiceId;
+        const voice = voices.find(v => v.id === requested);
+        if (voice || !requested) return voice || this._defaultVoice(voices);
+        try {
+            // A name or partial id ("/speak voice:lessac")
+            const { id } = await this.resolveVoice(requested);
+            return this.voiceCache.find(v => v.id === id);
+        } catch (error) {
+            console.warn(`[TTS] Piper voice "${requested}" could not be resolved (${error.message}); falling back to the default voice`);
+            return this._defaultVoice(voices);
+        }
+    }
+
+    /**
+     * Start piper on a voice. Resolves once the process is running (a
+     * missing binary rejects here, not mid-stream).
+     * @returns {Promise<ChildProcess>} stdin takes lines, stdout yields raw PCM
+     */
+    async _startPiper(voice) {
+        const piper = this._spawn(this.binary, ['--model', voice.modelPath, '--output_raw'], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        await new Promise((resolve, reject) => {
+            piper.once('spawn', resolve);
+            piper.once('error', error => reject(new Error(`Piper could not start (${this.binary}): ${error.message}`, { cause: error })));
+        });
+        let stderr = '';
+        piper.stderr?.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+        piper.on('close', code => {
+            if (code && !piper.killed) {
+                const detail = stderr.trim().split('\n').pop();
+                piper.stdout.destroy(new Error(`Piper exited with code ${code}${detail ? `: ${detail}` : ''}`));
+            }
+        });
+        piper.stdin.on('error', () => { /* piper exited early; reported on close */ });
+        return piper;
+    }
+
+    /**
+     * Synthesize `text` to a streaming MP3, shaped like the fetch Response
+     * ElevenLabsTTSService.fetchStream returns (`body` is the MP3 stream),
+     * so the web read-aloud and Parlor Live paths are provider-agnostic.
+     * @param {string} text
+     * @param {Object} [opts] - { voiceId }: per-request voice override
+     */
+    async fetchStream(text, { voiceId = null } = {}) {
+        const voice = await this._voiceFor(voiceId);
+        const piper = await this._startPiper(voice);
+        const encoder = this._spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+            '-hide_banner', '-loglevel', 'error',
+            ...rawInputArgs(voice.sampleRate),
+            '-f', 'mp3', '-b:a', '128k', 'pipe:1'
+        ], { stdio: ['pipe', 'pipe', 'ignore'] });
+        encoder.on('error', error => encoder.stdout.destroy(new Error(`ffmpeg is needed to encode Piper audio: ${error.message}`, { cause: error })));
+        encoder.stdin.on('error', () => { /* ffmpeg exited early */ });
+        piper.stdout.on('error', error => encoder.stdout.destroy(error));
+        piper.stdout.pipe(encoder.stdin);
+        // Tearing down the response (barge-in, a closed browser tab) stops both processes
+        encoder.stdout.once('close', () => {
+            try { piper.kill(); } catch { /* already exited */ }
+            try { encoder.kill(); } catch { /* already exited */ }
+        });
+        piper.stdin.end(`${toLine(text)}\n`);
+        return { ok: true, status: 200, body: encoder.stdout };
+    }
+
+    /**
+     * Speak text into a voice connection and resolve when playback ends.
+     * @param {string} text
+     * @param {Object} voiceChannel
+     * @param {Object} connection
+     * @param {Object} [opts] - { voiceId }: per-request voice override
+     */
+    async textToSpeech(text, voiceChannel, connection, { voiceId = null } = {}) {
+        if (this.disabled) return;
+
+        // Never narrate URLs - a spoken link is just a string of noise
+        const speakable = stripUrlsForSpeech(text);
+        if (!speakable) return;
+
+        const voice = await this._voiceFor(voiceId);
+        const piper = await this._startPiper(voice);
+        const transcoder = this._decoder(voice.sampleRate);
+        piper.stdout.pipe(transcoder);
+        piper.stdin.end(`${toLine(speakable)}\n`);
+
+        const resource = createAudioResource(transcoder, {
+            inputType: StreamType.Raw,
+            inlineVolume: true
+        });
+        this.activeResources.add(resource);
+
+        await new Promise((resolve, reject) => {
+            transcoder.once('readable', resolve);
+            piper.stdout.once('error', reject);
+        });
+
+        // Speech borrows the connection; hand it back (usually to music) after
+        const displacedPlayer = captureDisplacedPlayer(connection, this.player);
+        this.player.play(resource);
+        connection.subscribe(this.player);
+
+        try {
+            await new Promise((resolve) => {
+                const handler = (oldState, newState) => {
+                    if (newState.status !== 'idle') return;
+                    this.activeResources.delete(resource);
+                    try { transcoder.destroy(); } catch { /* already gone */ }
+                    try { piper.kill(); } catch { /* already exited */ }
+                    this.player.removeListener('stateChange', handler);
+                    resolve();
+                };
+                this.player.on('stateChange', handler);
+            });
+        } finally {
+            restoreDisplacedPlayer(connection, this.player, displacedPlayer);
+        }
+    }
+
+    /**
+     * A streaming speech session for the realtime voice engine, with
+     * MultiContextTTSService's interface.
+     * @param {Object} [opts] - { voiceId }
+     * @returns {PiperStreamingSession}
+     */
+    createStreamingSession({ voiceId = null } = {}) {
+        return new PiperStreamingSession({ service: this, voiceId });
+    }
+
+    cleanup() {
+        try { this.player.stop(); } catch { /* already stopped */ }
+        this.activeResources.clear();
+    }
+}
+
+/**
+ * Streamed replies on Piper: MultiContextTTSService's contract (connect,
+ * isConnected, speak -> { appendText, finish, abort }, destroy, the
+ * 'playbackStart' event) with one piper process per reply. Appended LLM
+ * deltas are cut at sentence boundaries and written to piper's stdin a
+ * line at a time, so the first sentence plays while the rest is still
+ * being generated.
+ */
+class PiperStreamingSession extends EventEmitter {
+    constructor({ service, voiceId }) {
+        super();
+        this.service = service;
+        this.voiceId = voiceId;
+        this.voice = null;
+        this.closed = false;
+        this.contexts = new Map(); // contextId -> { piper, transcoder, resource, pending, ... }
+        this.contextCounter = 0;
+        this.player = createAudioPlayer({
+            behaviors: { noSubscriber: NoSubscriberBehavior.Pause }
+        });
+        this.displaced = null; // { connection, player } - see MultiContextTTSService
+    }
+
+    /** Nothing to dial: check the voice is installed so start() fails fast. */
+    async connect() {
+        this.voice = await this.service._voiceFor(this.voiceId);
+    }
+
+    isConnected() {
+        return !this.closed && this.voice !== null;
+    }
+
+    _restoreDisplaced() {
+        const displaced = this.displaced;
+        if (!displaced) return;
+        this.displaced = null;
+        restoreDisplacedPlayer(displaced.connection, this.player, displaced.player);
+    }
+
+    /**
+     * Begin a spoken reply.
+     * @param {Object} connection - Discord voice connection to play into
+     * @returns {{contextId: string, appendText: Function, finish: Function, abort: Function}}
+     */
+    speak(connection) {
+        if (!this.isConnected()) {
+            throw new Error('Piper speech session is closed');
+        }
+        const contextId = `reply-${++this.contextCounter}`;
+        const displacedPlayer = captureDisplacedPlayer(connection, this.player);
+        if (displacedPlayer) {
+            this.displaced = { connection, player: displacedPlayer };
+        }
+
+        const transcoder = this.service._decoder(this.voice.sampleRate);
+        const resource = createAudioResource(transcoder, {
+            inputType: StreamType.Raw,
+            inlineVolume: false
+        });
+        const ctx = {
+            piper: null,
+            transcoder,
+            resource,
+            pending: '',
+            done: false,
+            playbackStarted: false,
+            exited: null
+        };
+        // Piper loads its model while the first sentence is still streaming in
+        ctx.ready = this.service._startPiper(this.voice).then((piper) => {
+            if (ctx.done && !ctx.finishing) {
+                piper.kill();
+                return null;
+            }
+            ctx.piper = piper;
+            ctx.exited = new Promise(resolve => piper.once('close', resolve));
+            piper.stdout.pipe(transcoder);
+            piper.stdout.on('error', (error) => {
+                console.error(`[PiperTTS] Context ${contextId} error:`, error.message);
+                this.emit('error', error);
+            });
+            return piper;
+        }).catch((error) => {
+            this.emit('error', error);
+            try { transcoder.end(); } catch { /* already gone */ }
+            return null;
+        });
+        this.contexts.set(contextId, ctx);
+
+        transcoder.once('readable', () => {
+            if (ctx.done && !ctx.finishing) return; // aborted before audio arrived
+            if (transcoder.readableLength === 0) return; // ended without audio
+            ctx.playbackStarted = true;
+            this.player.play(resource);
+            connection.subscribe(this.player);
+            this.emit('playbackStart', contextId);
+        });
+
+        const session = this;
+        const writeLines = async (lines) => {
+            if (lines.length === 0) return;
+            const piper = await ctx.ready;
+            if (!piper || (ctx.done && !ctx.finishing)) return;
+            piper.stdin.write(lines.map(line => `${toLine(line)}\n`).join(''));
+        };
+        return {
+            contextId,
+            appendText(text) {
+                if (!text || ctx.done) return;
+                const { sentences, rest } = splitSentences(ctx.pending + text);
+                ctx.pending = rest;
+                writeLines(sentences);
+            },
+            /** End of input: speak the remainder and resolve once playback has finished. */
+            async finish() {
+                if (ctx.done) return;
+                ctx.finishing = true;
+                ctx.done = true;
+                const tail = ctx.pending.trim();
+                ctx.pending = '';
+                await writeLines(tail ? [tail] : []);
+                const piper = await ctx.ready;
+                piper?.stdin.end();
+                if (piper) await ctx.exited;
+                await session._waitForPlaybackEnd(ctx);
+                session.contexts.delete(contextId);
+                session._restoreDisplaced();
+            },
+            /** Barge-in: stop synthesis and playback instantly. */
+            abort() {
+                ctx.finishing = false;
+                ctx.done = true;
+                session._stopPlayback(ctx);
+                session.contexts.delete(contextId);
+                session._restoreDisplaced();
+            }
+        };
+    }
+
+    _waitForPlaybackEnd(ctx) {
+        return new Promise((resolve) => {
+            if (!ctx.playbackStarted) {
+                this._stopPlayback(ctx);
+                return resolve();
+            }
+            if (ctx.resource.ended) return resolve();
+            const handler = (oldState, newState) => {
+                if (newState.status === 'idle') {
+                    this.player.removeListener('stateChange', handler);
+                    resolve();
+                }
+            };
+            this.player.on('stateChange', handler);
+        });
+    }
+
+    _stopPlayback(ctx) {
+        try { ctx.piper?.kill(); } catch { /* already exited */ }
+        try { ctx.transcoder.destroy(); } catch { /* already gone */ }
+        if (ctx.playbackStarted) {
+            try { this.player.stop(true); } catch { /* already stopped */ }
+        }
+    }
+
+    destroy() {
+        for (const ctx of this.contexts.values()) {
+            ctx.done = true;
+            ctx.finishing = false;
+            this._stopPlayback(ctx);
+        }
+        this.contexts.clear();
+        try { this.player.stop(true); } catch { /* already stopped */ }
+        this._restoreDisplaced();
+        this.closed = true;
+    }
+}
+
+/** piper reads one utterance per line; keep a line a line. */
+function toLine(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/** "Lessac (en_US, medium)" from a voice's .onnx.json. */
+function voiceDisplayName(id, meta) {
+    const dataset = meta.dataset || id.split('-')[1] || id;
+    const label = dataset.replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    const details = [meta.language?.code, meta.audio?.quality].filter(Boolean);
+    return details.length ? `${label} (${details.join(', ')})` : label;
+}
+
+module.exports = PiperTTSService;
+module.exports.PiperTTSService = PiperTTSService;
+module.exports.PiperStreamingSession = PiperStreamingSession;
+module.exports.splitSentences = splitSentences;
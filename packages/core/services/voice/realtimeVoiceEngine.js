@@ -5,7 +5,6 @@ const transcriptionService = require('../transcriptionService');
 const toolsRegistry = require('../../utils/toolsRegistry');
 const usageTracker = require('../usageTracker');
 const { ScribeRealtimeConnection } = require('./scribeRealtimeService');
-const { MultiContextTTSService } = require('./multiContextTTSService');
 const { stereo48kToMono16k, pcmRms } = require('./pcmUtils');
 const { playResponseCue, playErrorCue } = require('./notificationSounds');
 const { createStreamingUrlStripper } = require('./speechText');
@@ -19,6 +18,8 @@ const {
     formatScreenContextBlock,
     recordScreenMemories,
     createVoiceToolRunner,
+    takeNarratedActions,
+    playNarratedActions,
     buildVoiceSystemPrompt
 } = require('./voiceTurnShared');
 const { runAgentLoop } = require('../../utils/chat/agentOrchestrator');
@@ -80,7 +81,7 @@ class RealtimeVoiceEngine {
      */
     constructor(session) {
         this.session = session;
-        this.tts = null;            // MultiContextTTSService
+        this.tts = null;            // streaming speech session (MultiContextTTSService or Piper's)
         this.currentReply = null;   // active speak() handle
         this.interrupted = false;   // barge-in flag for the in-flight reply
         this.sttFailures = 0;       // consecutive realtime STT failures
@@ -95,11 +96,8 @@ class RealtimeVoiceEngine {
         const ttsService = session.ttsService;
         const voiceId = await ttsService.resolveVoiceId(ttsService.voiceId);
 
-        this.tts = new MultiContextTTSService({
-            apiKey: ttsService.apiKey,
-            voiceId,
-            modelId: ttsService.modelId
-        });
+        // ElevenLabs: a multi-context WebSocket; Piper: sentence-chunked local synthesis
+        this.tts = ttsService.createStreamingSession({ voiceId });
         this.tts.on('error', (error) => {
             console.error('[RealtimeVoice] TTS socket error:', error.message);
         });
@@ -213,7 +211,14 @@ class RealtimeVoiceEngine {
      * RMS energy gate; pure mic noise never opens an STT connection at all.
      * Reliability: the raw PCM is also kept (bounded) so that when the
      * realtime STT fails mid-segment, the segment falls back to the classic
-     * batch transcription path (OpenAI) when configured.
+     * batch transcription path (OpenAI or whisper) when configured.
+     *
+     * Local STT: when transcription is configured to a local whisper
+     * backend, no audio leaves the LAN - Scribe is never opened and the
+     * segment's PCM is transcribed by whisper at segment end. Sessions on
+     * Piper voices with no ElevenLabs key take the same batch path (through
+     * whichever STT backend is configured). Barge-in then relies on the
+     * sustained-energy window alone (no partials).
      */
     async _captureSegment(userId, member) {
         const session = this.session;
@@ -230,6 +235,7 @@ class RealtimeVoiceEngine {
         let scribeReady = null;        // promise resolving when connected
         let scribeFailed = false;
         const preBuffer = [];          // 16k mono chunks awaiting connection
+        const localStt = transcriptionService.isLocal() || !session.ttsService.apiKey;
         const speakerName = member.displayName || member.user.username;
 
         const speakerInfo = session.speakers.get(userId) || { emptyStreak: 0 };
@@ -291,6 +297,7 @@ class RealtimeVoiceEngine {
 
                     if (!hot && pcmRms(chunk, 4) >= NOISE_RMS_THRESHOLD) {
                         hot = true;
+                        if (localStt) return;
                         openScribe();
                         // Stream everything captured so far (context helps accuracy)
                         for (const buffered of pcmChunks) {
@@ -300,7 +307,7 @@ class RealtimeVoiceEngine {
                         }
                         return;
                     }
-                    if (hot) {
+                    if (hot && !localStt) {
                         const mono = stereo48kToMono16k(chunk);
                         if (scribe.ready) scribe.sendAudio(mono);
                         else preBuffer.push(mono);
@@ -331,24 +338,38 @@ class RealtimeVoiceEngine {
         }
 
         let transcript = '';
-        try {
-            await scribeReady;
-            if (!scribeFailed) {
-                transcript = await scribe.commit();
-                await usageTracker.log({
-                    provider: 'elevenlabs',
-                    model: scribe.modelId,
-                    operation: 'transcription-realtime',
-                    guildId: session.guildId,
-                    userId
+        if (localStt) {
+            try {
+                transcript = await transcriptionService.transcribePcm(Buffer.concat(pcmChunks, totalBytes), {
+                    sampleRate: SAMPLE_RATE,
+                    channels: CHANNELS,
+                    usageContext: { guildId: session.guildId, userId }
                 });
                 this.sttFailures = 0;
+            } catch (error) {
+                this.sttFailures++;
+                console.error('[RealtimeVoice] Local transcription failed:', error.message);
+            }
+        } else {
+            try {
+                await scribeReady;
+                if (!scribeFailed) {
+                    transcript = await scribe.commit();
+                    await usageTracker.log({
+                        provider: 'elevenlabs',
+                        model: scribe.modelId,
+                        operation: 'transcription-realtime',
+                        guildId: session.guildId,
+                        userId
+                    });
+                    this.sttFailures = 0;
+                }
+            } catch (error) {
+                scribeFailed = true;
+                console.warn('[RealtimeVoice] Realtime STT commit failed:', error.message);
+            } finally {
+                scribe?.close();
             }
-        } catch (error) {
-            scribeFailed = true;
-            console.warn('[RealtimeVoice] Realtime STT commit failed:', error.message);
-        } finally {
-            scribe?.close();
         }
 
         // Fallback: batch-transcribe the buffered PCM when realtime STT
@@ -405,6 +426,10 @@ class RealtimeVoiceEngine {
         const session = this.session;
         if (session.stopped || session.responding || session.turnBuffer.length === 0) return;
 
+        // At a narrated table, spoken moves go to the adventure, not to a reply
+        playNarratedActions(session, takeNarratedActions(session));
+        if (session.turnBuffer.length === 0) return;
+
         session.responding = true;
         this.interrupted = false;
         const turnText = session.turnBuffer
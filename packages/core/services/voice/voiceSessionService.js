@@ -21,6 +21,8 @@ const {
     formatScreenContextBlock,
     recordScreenMemories,
     createVoiceToolRunner,
+    takeNarratedActions,
+    playNarratedActions,
     buildVoiceSystemPrompt
 } = require('./voiceTurnShared');
 const { runAgentLoop } = require('../../utils/chat/agentOrchestrator');
@@ -79,11 +81,14 @@ function buildWavBuffer(pcmBuffer) {
  *
  * Two engines share this manager (one session per guild either way):
  *
- * - 'classic': capture a whole speech segment, batch-transcribe it (OpenAI),
+ * - 'classic': capture a whole speech segment, batch-transcribe it (OpenAI
+ *   or a local whisper backend, see transcriptionService),
  *   generate the full reply, then speak it (ElevenLabs HTTP streaming TTS).
  * - 'realtime': stream audio into ElevenLabs Scribe v2 Realtime while the
  *   user is still talking, stream LLM deltas straight into a multi-context
- *   TTS WebSocket, and support true barge-in. See realtimeVoiceEngine.js.
+ *   TTS WebSocket, and support true barge-in. With local (whisper) STT
+ *   configured, segments are transcribed locally instead of by Scribe.
+ *   See realtimeVoiceEngine.js.
  *
  * Instead of replying to every pause, the session continuously captures and
  * transcribes speech SEGMENTS into a turn buffer, and only generates one
@@ -117,10 +122,13 @@ class VoiceSessionService {
             throw new Error('A voice conversation is already active in this server. Use /voicechat stop first.');
         }
         if (!ttsService || ttsService.disabled) {
-            throw new Error('Voice conversations require ElevenLabs TTS to be configured.');
+            throw new Error('Voice conversations require text-to-speech: an ElevenLabs API key or local Piper voices.');
         }
-        if (engine === 'classic' && !transcriptionService.isConfigured()) {
-            throw new Error('The classic voice engine requires an OpenAI API key for speech-to-text.');
+        // Realtime STT is ElevenLabs Scribe, keyed by the TTS service; a
+        // Piper session without one batch-transcribes like classic does
+        const batchStt = engine === 'classic' || !ttsService.apiKey;
+        if (batchStt && !transcriptionService.isConfigured()) {
+            throw new Error(`The ${engine} voice engine needs speech-to-text: an OpenAI API key or a local whisper backend.`);
         }
 
         const connection = joinVoiceChannel({
@@ -254,14 +262,15 @@ class VoiceSessionService {
     }
 
     /**
-     * The shared music service, when it holds a live claim on this exact
-     * connection (something loaded or queued). Lazily required to avoid a
-     * load-time cycle with serviceManager.
+     * The connection's guild music player, when it holds a live claim on this
+     * exact connection (something loaded or queued). Lazily required to avoid
+     * a load-time cycle with serviceManager.
      */
     _activeMusicService(connection) {
         let musicService;
         try {
-            musicService = require('../serviceManager').voiceService?.musicService || null;
+            const musicPlayers = require('../serviceManager').voiceService?.musicPlayers;
+            musicService = musicPlayers?.peek(connection?.joinConfig?.guildId) || null;
         } catch {
             return null;
         }
@@ -446,6 +455,10 @@ class VoiceSessionService {
     async _respondToTurn(session) {
         if (session.stopped || session.responding || session.turnBuffer.length === 0) return;
 
+        // At a narrated table, spoken moves go to the adventure, not to a reply
+        playNarratedActions(session, takeNarratedActions(session));
+        if (session.turnBuffer.length === 0) return;
+
         session.responding = true;
         const snapshotLength = session.turnBuffer.length;
         const turnText = session.turnBuffer
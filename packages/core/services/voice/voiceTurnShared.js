@@ -25,7 +25,7 @@ const VOICE_TOOL_NAMES = [
     // audit tools are read-only, so "how bad is my account" always has an answer
     'optionChain', 'tradeOption', 'shortStock', 'marginAccount', 'exchangeOrder',
     'eventContracts', 'tradeSpread', 'tradePerp', 'goblinWheel',
-    'auditAccount', 'auditExchange',
+    'auditAccount', 'auditExchange', 'backtestStrategy',
     // Tavern: read-only info and dice work anywhere by voice
     'tavernInfo', 'rollDice'
 ];
@@ -269,6 +269,62 @@ function createVoiceToolRunner(session, toolContext) {
     };
 }
 
+// At a narrated table (tavern/narratedTableService), a party member's speech
+// is a move when it is phrased as one - "I kick the door", "we run for it" -
+// and table talk otherwise. Naming Goobster always means talking to him.
+const SPOKEN_ACTION_PATTERN = /^(?:i|i'm|i'll|we|we're|we'll|let's|let us|my|our)\b/i;
+const MAX_SPOKEN_ACTION_CHARS = 300;
+
+/**
+ * Take the spoken moves out of a narrated table's turn buffer: segments from
+ * party members, phrased as actions, not addressed to Goobster. One move per
+ * speaker (their segments joined). Synchronous, so the buffer is settled
+ * before the caller decides whether anything is left to answer.
+ * @returns {Array<{userId: string, action: string, segments: Array}>}
+ */
+function takeNarratedActions(session) {
+    const table = session.tavern;
+    if (!table?.playing) return [];
+    const bySpeaker = new Map();
+    const kept = session.turnBuffer.filter(segment => {
+        const lowered = segment.text.toLowerCase();
+        const isMove = table.memberIds.has(segment.userId)
+            && SPOKEN_ACTION_PATTERN.test(segment.text.trim())
+            && !session.botNames?.some(name => lowered.includes(name));
+        if (!isMove) return true;
+        if (!bySpeaker.has(segment.userId)) bySpeaker.set(segment.userId, []);
+        bySpeaker.get(segment.userId).push(segment);
+        return false;
+    });
+    session.turnBuffer.splice(0, session.turnBuffer.length, ...kept);
+    return [...bySpeaker].map(([userId, segments]) => ({
+        userId,
+        segments,
+        action: segments.map(s => s.text.trim()).join(' ').slice(0, MAX_SPOKEN_ACTION_CHARS)
+    }));
+}
+
+/**
+ * Play spoken moves through the tavernAct tool, exactly as if Goobster had
+ * called it for the speaker: the check is rolled and posted to the table's
+ * channel, and the narrated table reads the outcome aloud from the log.
+ * Refusals ("not your turn", "no adventure here") are spoken instead.
+ * Moves run one after another, in the order they were said.
+ */
+function playNarratedActions(session, actions) {
+    const table = session.tavern;
+    if (!table || actions.length === 0) return;
+    const narratedTableService = require('../tavern/narratedTableService');
+    for (const { action, segments } of actions) {
+        table.moves = (table.moves || Promise.resolve()).then(async () => {
+            if (session.stopped) return;
+            const { context } = buildToolContext(session, segments);
+            const result = String(await toolsRegistry.execute('tavernAct', { action, interactionContext: context }));
+            if (/^(?:🍺|❌)/u.test(result)) narratedTableService.say(session.guildId, result.replace(/^(?:🍺|❌)\s*/u, ''));
+        }).catch(error => console.error('[VoiceSession] Spoken tavern move failed:', error.message));
+    }
+}
+
 /**
  * Shared voice system prompt: same retrieval contract as text chat, tighter
  * budget, speakable instructions.
@@ -319,5 +375,7 @@ module.exports = {
     formatScreenContextBlock,
     recordScreenMemories,
     createVoiceToolRunner,
+    takeNarratedActions,
+    playNarratedActions,
     buildVoiceSystemPrompt
 };
@@ -0,0 +1,78 @@
+/**
+ * Web casino room: the browser view of Activity table hand history. Every
+ * method verifies live guild membership first (utils/webGuildAccess), then
+ * reads through the same HandHistory the Activity uses, so a replay in the
+ * browser follows the table's own view rules - the caller's hole cards, and
+ * nobody else's the hand did not reveal.
+ *
+ * The history is written by the Activity host's TableManager hook; the
+ * portal only reads it, so this works from the api process too.
+ */
+
+const { HandHistory } = require('./tableGames/handHistory');
+const { requireGuildMember } = require('../utils/webGuildAccess');
+
+/** Machine-readable web casino error (HTTP status + code). */
+class WebCasinoError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'WebCasinoError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/** Domain errors (GameError) become 404/400s; anything with a status passes through. */
+function translate(error) {
+    if (error?.status && error?.code) return error;
+    if (error?.code === 'NO_HAND') return new WebCasinoError(404, error.code, error.message);
+    if (error?.code && error?.message) return new WebCasinoError(400, error.code, error.message);
+    return error;
+}
+
+class WebCasinoService {
+    constructor({ history = new HandHistory() } = {}) {
+        this.history = history;
+    }
+
+    /**
+     * Recent hands in a guild, newest first.
+     * @param {Object} params - { gateway, guildId, userId, mine?, againstBot?, channelId?, before? }
+     */
+    async listHands({ gateway, client, guildId, userId, mine = false, againstBot = false, channelId = null, before = null }) {
+        await requireGuildMember({ gateway: gateway || client, guildId, userId });
+        try {
+            return {
+                hands: await this.history.list({
+                    guildId,
+                    channelId: /^\d{5,20}$/.test(String(channelId || '')) ? String(channelId) : null,
+                    userId: mine ? userId : null,
+                    againstBot,
+                    before
+                })
+            };
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+
+    /**
+     * One hand, every frame as the caller saw it.
+     * @param {Object} params - { gateway, guildId, userId, handId }
+     */
+    async getHand({ gateway, client, guildId, userId, handId }) {
+        await requireGuildMember({ gateway: gateway || client, guildId, userId });
+        if (!Number.isInteger(handId) || handId <= 0) {
+            throw new WebCasinoError(400, 'BAD_HAND', 'Give a hand number to replay.');
+        }
+        try {
+            return { hand: await this.history.get({ guildId, id: handId, viewerId: userId }) };
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+}
+
+module.exports = new WebCasinoService();
+module.exports.WebCasinoService = WebCasinoService;
+module.exports.WebCasinoError = WebCasinoError;
@@ -26,6 +26,25 @@ const { toGateway, isGatewayUnavailable } = require('../gateway');
 const MEMORY_PAGE_LIMIT = 500;
 const USAGE_MAX_DAYS = 365;
 const RETENTION_MAX_DAYS = 3650; // the /privacy retention ceiling
+// Graph history error codes -> HTTP status (knowledgeGraphHistory)
+const HISTORY_ERROR_STATUS = {
+    BAD_DATE: 400,
+    BAD_RANGE: 400,
+    BAD_BATCH: 400,
+    NO_BATCH: 404,
+    ALREADY_ROLLED_BACK: 409
+};
+// Bulk knowledge import error codes -> HTTP status (knowledgeImportService)
+const IMPORT_ERROR_STATUS = {
+    BAD_FILE: 400,
+    BAD_ARCHIVE: 400,
+    BAD_SCOPE: 400,
+    NOTHING_TO_IMPORT: 400,
+    TOO_LARGE: 413,
+    NO_IMPORT: 404,
+    IMPORT_BUSY: 409,
+    ALREADY_IMPORTED: 409
+};
 
 /** Machine-readable web app error (HTTP status + code). */
 class WebDashboardError extends Error {
@@ -343,10 +362,11 @@ class WebDashboardService {
 
     /**
      * The guild's knowledge graph + inner life, for the visualization.
-     * Manage Server only (parity with /monologue graph|thoughts).
-     * @param {Object} params - { gateway, guildId, userId }
+     * Manage Server only (parity with /monologue graph|thoughts). With
+     * `asOf` the graph is the one reconstructed for that moment.
+     * @param {Object} params - { gateway, guildId, userId, asOf }
      */
-    async getGraph({ gateway, client, guildId, userId }) {
+    async getGraph({ gateway, client, guildId, userId, asOf = null }) {
         if (isDmScopeId(guildId)) {
             throw new WebDashboardError(400, 'BAD_SCOPE',
                 'The knowledge graph is a server feature - DMs do not have one.');
@@ -363,18 +383,27 @@ class WebDashboardService {
                 'Viewing the knowledge graph requires Manage Server.');
         }
 
-        const nodes = await db.all(
-            `SELECT id, type, label, content, salience, confidence, updatedAt FROM kg_nodes
-             WHERE guildId = @guildId AND scopeKey = ''
-             ORDER BY salience DESC, updatedAt DESC LIMIT 300`,
-            { guildId }
-        );
+        const past = asOf
+            ? await this._codedCall('KnowledgeHistoryError', HISTORY_ERROR_STATUS, () => knowledgeGraphService.history.snapshot({ guildId, scopeKey: '', asOf }))
+            : null;
+        const nodes = past
+            ? past.nodes.slice(0, 300).map(({ id, type, label, content, salience, confidence }) =>
+                ({ id, type, label, content, salience, confidence }))
+            : await db.all(
+                `SELECT id, type, label, content, salience, confidence, updatedAt FROM kg_nodes
+                 WHERE guildId = @guildId AND scopeKey = ''
+                 ORDER BY salience DESC, updatedAt DESC LIMIT 300`,
+                { guildId }
+            );
         const nodeIds = new Set(nodes.map(n => n.id));
-        const edges = (await db.all(
-            `SELECT sourceId, targetId, relation, relationKind, weight FROM kg_edges
-             WHERE guildId = @guildId AND scopeKey = ''`,
-            { guildId }
-        )).filter(e => nodeIds.has(e.sourceId) && nodeIds.has(e.targetId));
+        const edges = (past
+            ? past.edges.map(({ sourceId, targetId, relation, relationKind, weight }) =>
+                ({ sourceId, targetId, relation, relationKind, weight }))
+            : await db.all(
+                `SELECT sourceId, targetId, relation, relationKind, weight FROM kg_edges
+                 WHERE guildId = @guildId AND scopeKey = ''`,
+                { guildId }
+            )).filter(e => nodeIds.has(e.sourceId) && nodeIds.has(e.targetId));
 
         const thoughts = await db.all(
             `SELECT thought, createdAt FROM monologue_thoughts
@@ -387,6 +416,9 @@ class WebDashboardService {
             { guildId }
         );
 
+        if (past) {
+            return { asOf: past.asOf, historyStartsAt: past.historyStartsAt, nodes, edges, thoughts: [], scratchpad: [] };
+        }
         return { nodes, edges, thoughts, scratchpad };
     }
 
@@ -483,20 +515,22 @@ class WebDashboardService {
      * satellites. Available in every scope the user can browse — DM is
      * wholly theirs; a guild shows only facts/memories about them.
      * The guild knowledge graph stays Manage Server and is a separate call.
-     * @param {Object} params - { gateway, scope, userId }
+     * `asOf` reconstructs the graph part as it stood then.
+     * @param {Object} params - { gateway, scope, userId, asOf }
      */
-    async getConstellation({ gateway, client, scope, userId }) {
+    async getConstellation({ gateway, client, scope, userId, asOf = null }) {
         const resolved = gateway || client;
         await this._requireScopeAccess({ gateway: resolved, scope, userId });
         const isDm = isDmScopeId(scope);
         const youLabel = isDm ? 'You' : 'You, here';
 
         const knowledgeGraphService = require('./knowledgeGraphService');
-        const graph = await knowledgeGraphService.getPersonalGraphView({
+        const graph = await this._codedCall('KnowledgeHistoryError', HISTORY_ERROR_STATUS, () => knowledgeGraphService.getPersonalGraphView({
             guildId: scope,
             userId,
-            userLabel: youLabel
-        });
+            userLabel: youLabel,
+            asOf
+        }));
 
         const memories = await this.listMemories({ gateway: resolved, scope, userId, limit: 80 });
         graph.counts = {
@@ -513,9 +547,9 @@ class WebDashboardService {
      * the same access rules as the views the button sits on: 'personal' is
      * any browsable scope (the Map tab); 'guild' is the guild-wide graph and
      * requires Manage Server (the Server graph tab).
-     * @param {Object} params - { gateway, scope, userId, target }
+     * @param {Object} params - { gateway, scope, userId, target, action }
      */
-    async _resolveReflectionTarget({ gateway, client, scope, userId, target = 'personal' }) {
+    async _resolveReflectionTarget({ gateway, client, scope, userId, target = 'personal', action = 'Reflecting on' }) {
         const reflection = require('./knowledgeReflectionService');
         const resolved = toGateway(gateway || client);
         if (target === 'guild') {
@@ -529,7 +563,7 @@ class WebDashboardService {
                 : false;
             if (!manageGuild) {
                 throw new WebDashboardError(403, 'FORBIDDEN',
-                    'Reflecting on the server graph requires Manage Server.');
+                    `${action} the server graph requires Manage Server.`);
             }
             // The guild-wide graph ('' scope). No distill here: the nightly
             // consolidation owns turning raw memories into distilled notes.
@@ -597,6 +631,127 @@ class WebDashboardService {
         return { run: await reflection.getLatestRun(scope, scopeKey) };
     }
 
+    /**
+     * Graph history between two dates for the personal or guild graph (same
+     * access rules as reflection): what was added, retired, revised and
+     * contradicted, and the runs that did it.
+     * @param {Object} params - { gateway, scope, userId, target, from, to }
+     */
+    async getGraphHistory({ gateway, client, scope, userId, target = 'personal', from, to }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Auditing'
+        });
+        return await this._codedCall('KnowledgeHistoryError', HISTORY_ERROR_STATUS, () => knowledgeGraphService.history.diff({
+            guildId: scope,
+            scopeKey,
+            from,
+            to: to || new Date()
+        }));
+    }
+
+    /**
+     * Undo one reflection or consolidation run in the personal or guild graph.
+     * @param {Object} params - { gateway, scope, userId, target, batchKey }
+     */
+    async rollbackGraphBatch({ gateway, client, scope, userId, target = 'personal', batchKey }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Rolling back'
+        });
+        return await this._codedCall('KnowledgeHistoryError', HISTORY_ERROR_STATUS, () => knowledgeGraphService.history.rollbackBatch({
+            guildId: scope,
+            scopeKey,
+            batchKey
+        }));
+    }
+
+    /**
+     * Bulk knowledge import into the personal or guild graph (same targets
+     * and access as reflection): stage an uploaded vault, Notion export, PDF
+     * or zip of PDFs and return its preview. `data` is the file as base64
+     * (a data: URL prefix is accepted).
+     * @param {Object} params - { gateway, scope, userId, target, fileName, data }
+     */
+    async stageKnowledgeImport({ gateway, client, scope, userId, target = 'personal', fileName, data }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Importing into'
+        });
+        const encoded = String(data || '').replace(/^data:[^,]*,/, '');
+        if (!encoded) throw new WebDashboardError(400, 'BAD_FILE', 'Choose a file to import.');
+        const knowledgeImportService = require('./knowledgeImportService');
+        return await this._codedCall('KnowledgeImportError', IMPORT_ERROR_STATUS, () => knowledgeImportService.stageArchive({
+            guildId: scope,
+            scopeKey,
+            requestedBy: userId,
+            fileName,
+            buffer: Buffer.from(encoded, 'base64')
+        }));
+    }
+
+    /**
+     * One import's preview and progress (polled while it runs), or with no
+     * importId the scope's recent imports (a failed one offers Resume).
+     * @param {Object} params - { gateway, scope, userId, target, importId }
+     */
+    async getKnowledgeImport({ gateway, client, scope, userId, target = 'personal', importId = null }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Importing into'
+        });
+        const knowledgeImportService = require('./knowledgeImportService');
+        if (importId === null) {
+            return { imports: await knowledgeImportService.listImports({ guildId: scope, scopeKey, limit: 5 }) };
+        }
+        return await this._codedCall('KnowledgeImportError', IMPORT_ERROR_STATUS, () => knowledgeImportService.getImport({
+            importId, guildId: scope, scopeKey
+        }));
+    }
+
+    /**
+     * Apply a previewed import (or resume a failed one). Returns at once;
+     * the notes are written in the background.
+     * @param {Object} params - { gateway, scope, userId, target, importId }
+     */
+    async startKnowledgeImport({ gateway, client, scope, userId, target = 'personal', importId }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Importing into'
+        });
+        const knowledgeImportService = require('./knowledgeImportService');
+        const { import: started, execution } = await this._codedCall('KnowledgeImportError', IMPORT_ERROR_STATUS,
+            () => knowledgeImportService.startImport({ importId, guildId: scope, scopeKey }));
+        execution.catch(() => { /* settled into the import row by _execute */ });
+        return { import: started };
+    }
+
+    /**
+     * Throw away a preview or a failed import's staging (notes it already
+     * wrote stay - roll those back from the graph's history).
+     * @param {Object} params - { gateway, scope, userId, target, importId }
+     */
+    async discardKnowledgeImport({ gateway, client, scope, userId, target = 'personal', importId }) {
+        const { scopeKey } = await this._resolveReflectionTarget({
+            gateway: gateway || client, scope, userId, target, action: 'Importing into'
+        });
+        const knowledgeImportService = require('./knowledgeImportService');
+        return await this._codedCall('KnowledgeImportError', IMPORT_ERROR_STATUS, () => knowledgeImportService.discardImport({
+            importId, guildId: scope, scopeKey
+        }));
+    }
+
+    /**
+     * Run a service call, surfacing its coded errors (by error class name)
+     * as WebDashboardErrors with the mapped HTTP status.
+     */
+    async _codedCall(errorName, statuses, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            const status = statuses[error?.code];
+            if (error?.name === errorName && status) {
+                throw new WebDashboardError(status, error.code, error.message);
+            }
+            throw error;
+        }
+    }
+
     /**
      * Web face of /forget-me. Requires typing FORGET ME. Sessions die
      * inside forgetUser; the current request still finishes with counts.
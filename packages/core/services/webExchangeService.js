@@ -3,7 +3,7 @@
  * Jimbucks Exchange. Every method verifies live guild membership first
  * (utils/webGuildAccess), then delegates to the SAME services the slash
  * commands use - stockPortfolioService, shortService, optionsService,
- * orderService, auditService - so every invariant they enforce (all point
+ * orderService, auditService, riskService - so every invariant they enforce (all point
  * movement through economyService.adjust, feature gates, margin
  * requirements, ledger completeness) holds for web trades by construction.
  *
@@ -21,6 +21,9 @@ const optionsService = require('./exchange/optionsService');
 const optionsMarket = require('./exchange/optionsMarket');
 const orderService = require('./exchange/orderService');
 const auditService = require('./exchange/auditService');
+const riskService = require('./exchange/riskService');
+const timelineService = require('./exchange/timelineService');
+const { toCsv } = require('./exchange/timelineMath');
 const { requireGuildMember } = require('../utils/webGuildAccess');
 const { toGateway } = require('../gateway');
 
@@ -49,6 +52,28 @@ function translate(error) {
 
 const STOCK_SIDES = new Set(['buy', 'sell', 'short', 'cover']);
 const OPTION_ACTIONS = new Set(['buy', 'close', 'write', 'buyback']);
+const MAX_SCENARIO_LENGTH = 200;
+const TIMELINE_FORMATS = new Set(['csv', 'json']);
+
+/**
+ * Display names for a batch of user ids, best-effort: a user who left (or an
+ * unreachable gateway) leaves an id-only row, never an error.
+ */
+async function displayNames(gateway, guildId, userIds) {
+    let members = {};
+    let botId = null;
+    try {
+        members = await gateway.getGuildMembers(guildId, userIds);
+        botId = (await gateway.botUser())?.id || null;
+    } catch { /* degraded - id-only rows */ }
+    return userId => {
+        const member = members[userId];
+        return {
+            name: member ? (member.displayName || member.username || null) : null,
+            isBot: userId === botId
+        };
+    };
+}
 
 class WebExchangeService {
     /**
@@ -260,22 +285,95 @@ class WebExchangeService {
         await requireGuildMember({ gateway: resolved, guildId, userId });
         try {
             const rows = await auditService.leaderboard({ guildId, limit: 15 });
-            // Display names resolved best-effort: a user who left (or an
-            // unreachable gateway) leaves an id-only row, never an error.
-            let members = {};
-            let botId = null;
-            try {
-                members = await resolved.getGuildMembers(guildId, rows.map(row => row.userId));
-                botId = (await resolved.botUser())?.id || null;
-            } catch { /* degraded - id-only rows */ }
-            const named = rows.map((row) => {
-                const member = members[row.userId];
-                const name = member ? (member.displayName || member.username || null) : null;
-                return { ...row, name, isBot: row.userId === botId };
+            const nameOf = await displayNames(resolved, guildId, rows.map(row => row.userId));
+            return {
+                currencyName: (await economyService.getSettings(guildId)).currencyName,
+                rows: rows.map(row => ({ ...row, ...nameOf(row.userId) }))
+            };
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+
+    /**
+     * Book-wide risk: net greeks, historical VaR, and - when a scenario is
+     * given - which accounts would be called or liquidated, with names
+     * resolved the way the leaderboard does. The caller's own greeks come
+     * back separately as `mine`.
+     * @param {Object} params - { gateway, guildId, userId, scenario? }
+     */
+    async risk({ gateway, client, guildId, userId, scenario = null }) {
+        const resolved = toGateway(gateway || client);
+        await requireGuildMember({ gateway: resolved, guildId, userId });
+        const text = String(scenario || '').trim();
+        if (text.length > MAX_SCENARIO_LENGTH) {
+            throw new WebExchangeError(400, 'BAD_SCENARIO', `A scenario can be at most ${MAX_SCENARIO_LENGTH} characters.`);
+        }
+        try {
+            const report = await riskService.report({ guildId, scenario: text || null });
+            const nameOf = await displayNames(resolved, guildId, (report.scenario?.atRisk || []).map(outcome => outcome.userId));
+            return {
+                currencyName: (await economyService.getSettings(guildId)).currencyName,
+                ...report,
+                mine: report.accounts.find(account => account.userId === userId) || null,
+                scenario: report.scenario && {
+                    ...report.scenario,
+                    atRisk: report.scenario.atRisk.map(outcome => ({ ...outcome, ...nameOf(outcome.userId) }))
+                }
+            };
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+
+    /**
+     * The forensic timeline as a download: the caller's own account, or -
+     * with Manage Server, as on Discord - the whole guild.
+     * @param {Object} params - { gateway, guildId, userId, scope: 'mine'|'guild', from?, to?, format: 'csv'|'json' }
+     * @returns {Promise<{filename: string, contentType: string, body: string, count: number, truncated: boolean}>}
+     */
+    async timelineExport({ gateway, client, guildId, userId, scope = 'mine', from = null, to = null, format = 'csv' }) {
+        const resolved = toGateway(gateway || client);
+        await requireGuildMember({ gateway: resolved, guildId, userId });
+        if (!TIMELINE_FORMATS.has(format)) {
+            throw new WebExchangeError(400, 'BAD_FORMAT', 'Format must be csv or json.');
+        }
+        const wholeGuild = scope === 'guild';
+        if (wholeGuild && !await resolved.memberHasPermission(guildId, userId, 'ManageGuild').catch(() => false)) {
+            throw new WebExchangeError(403, 'FORBIDDEN', 'The server-wide timeline needs the Manage Server permission.');
+        }
+        try {
+            const timeline = await timelineService.timeline({
+                guildId,
+                userId: wholeGuild ? null : userId,
+                from: from || null,
+                to: to || null,
+                limit: timelineService.MAX_LIMIT
             });
+            return {
+                filename: `timeline_${wholeGuild ? guildId : userId}.${format}`,
+                contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+                body: format === 'csv' ? toCsv(timeline.entries) : JSON.stringify(timeline, null, 2),
+                count: timeline.entries.length,
+                truncated: timeline.truncated
+            };
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+
+    /**
+     * The caller's account rebuilt at `at`, diffed against today and
+     * checked against reconcile.
+     * @param {Object} params - { gateway, guildId, userId, at }
+     */
+    async replay({ gateway, client, guildId, userId, at }) {
+        await requireGuildMember({ gateway: gateway || client, guildId, userId });
+        if (!at) throw new WebExchangeError(400, 'BAD_TIME', 'Pick a moment to replay to.');
+        try {
             return {
                 currencyName: (await economyService.getSettings(guildId)).currencyName,
-                rows: named
+                ...await timelineService.replay({ guildId, userId, at })
             };
         } catch (error) {
             throw translate(error);
@@ -0,0 +1,209 @@
+/**
+ * Web Tavern room: the portal's campaign editor. Drafts travel as the
+ * loader's own quest shape (quest metadata + `scenes` and `endings` maps),
+ * are checked by the same validateQuest the loader runs plus the story-graph
+ * linter, test-played through the real adventure engine in a rolled-back
+ * sandbox, and saved as the YAML campaign directory the loader reads.
+ *
+ * Campaign files are shared by every server Goobster is in, so every method
+ * needs live guild membership AND Manage Server in the guild the editor is
+ * opened from - the same bar as `/tavern reload` and `/tavern lint`.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const questLoader = require('./tavern/questLoader');
+const campaignLinter = require('./tavern/campaignLinter');
+const campaignSandbox = require('./tavern/campaignSandbox');
+const { writeCampaignDir } = require('./tavern/campaignForge');
+const { STAT_KEYS, DIFFICULTY, NPCS, AMBIENCES } = require('./tavern/content');
+const { toGateway } = require('../gateway');
+const { requireGuildMember } = require('../utils/webGuildAccess');
+
+// A draft bigger than this is not a hand-edited campaign
+const MAX_DRAFT_BYTES = 256 * 1024;
+
+/** Machine-readable web tavern error (HTTP status + code). */
+class WebTavernError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'WebTavernError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/** Domain errors (TavernError) become 400s; anything with a status passes through. */
+function translate(error) {
+    if (error?.status && error?.code) return error;
+    if (error?.code && error?.message) return new WebTavernError(400, error.code, error.message);
+    return error;
+}
+
+const isMapping = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Bring a browser draft into the loader's shape: a plain JSON copy with
+ * `scenes`/`endings` maps whose entries carry their own ids (the scene id
+ * names the YAML file), and no loader-assigned `source`.
+ * @param {*} input
+ * @returns {Object} quest
+ * @throws {WebTavernError} BAD_DRAFT
+ */
+function normalizeDraft(input) {
+    if (!isMapping(input)) throw new WebTavernError(400, 'BAD_DRAFT', 'Send the campaign as an object.');
+    const json = JSON.stringify(input);
+    if (json.length > MAX_DRAFT_BYTES) {
+        throw new WebTavernError(400, 'BAD_DRAFT', `A campaign is at most ${MAX_DRAFT_BYTES / 1024} KB.`);
+    }
+    const quest = JSON.parse(json);
+    delete quest.source;
+    quest.clocks = Array.isArray(quest.clocks) ? quest.clocks.filter(isMapping) : [];
+    quest.tags = Array.isArray(quest.tags) ? quest.tags : [];
+    for (const part of ['scenes', 'endings']) {
+        const entries = isMapping(quest[part]) ? Object.entries(quest[part]).filter(([, value]) => isMapping(value)) : [];
+        quest[part] = Object.fromEntries(entries.map(([id, value]) => [id, { ...value, id }]));
+    }
+    for (const scene of Object.values(quest.scenes)) {
+        if (Array.isArray(scene.options)) scene.options = scene.options.filter(isMapping);
+        if (isMapping(scene.encounter) && Array.isArray(scene.encounter.enemies)) {
+            scene.encounter.enemies = scene.encounter.enemies.filter(isMapping);
+        }
+    }
+    return quest;
+}
+
+/** validateQuest's errors for a normalized draft. */
+function validate(quest) {
+    try {
+        return questLoader.validateQuest(quest);
+    } catch (error) {
+        // A shape the validator does not expect (a string where a mapping goes)
+        return [`${quest.id || '?'}: malformed campaign (${error.message})`];
+    }
+}
+
+class WebTavernService {
+    /** Membership plus Manage Server in the editor's guild. */
+    async _requireEditor({ gateway, client, guildId, userId }) {
+        const resolved = toGateway(gateway || client);
+        await requireGuildMember({ gateway: resolved, guildId, userId });
+        if (!await resolved.memberHasPermission(guildId, userId, 'ManageGuild').catch(() => false)) {
+            throw new WebTavernError(403, 'FORBIDDEN', 'Editing Tavern campaigns needs the Manage Server permission.');
+        }
+    }
+
+    /**
+     * The campaigns on disk and the vocabulary the editor's forms offer.
+     * @param {Object} params - { gateway, guildId, userId }
+     * @returns {{campaigns: Array, vocabulary: Object}}
+     */
+    async listCampaigns({ gateway, client, guildId, userId }) {
+        await this._requireEditor({ gateway, client, guildId, userId });
+        const campaigns = Object.values(questLoader.getQuests())
+            .map(quest => ({
+                id: quest.id,
+                title: quest.title,
+                source: quest.source,
+                hidden: Boolean(quest.hidden),
+                scenes: Object.keys(quest.scenes).length,
+                endings: Object.keys(quest.endings).length
+            }))
+            .sort((a, b) => a.title.localeCompare(b.title));
+        return {
+            campaigns,
+            vocabulary: {
+                stats: STAT_KEYS,
+                difficulty: DIFFICULTY,
+                npcs: Object.values(NPCS).map(npc => ({ key: npc.key, name: npc.name })),
+                effects: questLoader.EFFECT_KEYS,
+                loreKinds: questLoader.LORE_KINDS,
+                clockKinds: ['progress', 'danger'],
+                ambiences: AMBIENCES,
+                limits: { ...questLoader.LIMITS, playtestMoves: campaignSandbox.MAX_MOVES },
+                moveTypes: campaignSandbox.MOVE_TYPES
+            }
+        };
+    }
+
+    /**
+     * One loaded campaign as an editable draft.
+     * @param {Object} params - { gateway, guildId, userId, questId }
+     * @returns {{quest: Object, source: string}}
+     */
+    async getCampaign({ gateway, client, guildId, userId, questId }) {
+        await this._requireEditor({ gateway, client, guildId, userId });
+        const quest = questLoader.getQuest(String(questId || ''));
+        if (!quest) throw new WebTavernError(404, 'NO_QUEST', `No campaign '${questId}' is loaded.`);
+        const { source, ...draft } = quest;
+        return { quest: structuredClone(draft), source };
+    }
+
+    /**
+     * Live validation: the loader's errors, and - once those are clear - the
+     * story-graph lint (soft-locks, unreachable scenes, idle clocks...).
+     * @param {Object} params - { gateway, guildId, userId, quest }
+     * @returns {{valid: boolean, errors: string[], lint: Object|null}}
+     */
+    async check({ gateway, client, guildId, userId, quest }) {
+        await this._requireEditor({ gateway, client, guildId, userId });
+        const draft = normalizeDraft(quest);
+        const errors = validate(draft);
+        const lint = errors.length === 0 ? campaignLinter.lintQuest(draft, { quests: questLoader.getQuests() }) : null;
+        return { valid: errors.length === 0, errors, lint };
+    }
+
+    /**
+     * Save a draft as a custom campaign directory and reload the quest
+     * board. A draft with a built-in's id becomes that campaign's override.
+     * Loader errors refuse the save; lint findings never do.
+     * @param {Object} params - { gateway, guildId, userId, quest }
+     * @returns {{questId: string, overridesBuiltIn: boolean, lint: Object}}
+     */
+    async save({ gateway, client, guildId, userId, quest }) {
+        await this._requireEditor({ gateway, client, guildId, userId });
+        const draft = normalizeDraft(quest);
+        const errors = validate(draft);
+        if (errors.length > 0) {
+            throw new WebTavernError(400, 'INVALID_CAMPAIGN', `The campaign has ${errors.length} error(s) - fix them before saving.`, { errors });
+        }
+        const overridesBuiltIn = fs.existsSync(path.join(questLoader.BUILTIN_DIR, draft.id, 'quest.yaml'));
+        writeCampaignDir(draft);
+        questLoader.reload();
+        return {
+            questId: draft.id,
+            overridesBuiltIn,
+            lint: campaignLinter.lintQuest(draft, { quests: questLoader.getQuests() })
+        };
+    }
+
+    /**
+     * Test-play a draft in the rolled-back sandbox (services/tavern/campaignSandbox.js).
+     * @param {Object} params - { gateway, guildId, userId, quest, moves?, seed?, partySize? }
+     * @returns {Object} the sandbox transcript
+     */
+    async playtest({ gateway, client, guildId, userId, quest, moves = [], seed, partySize }) {
+        await this._requireEditor({ gateway, client, guildId, userId });
+        const draft = normalizeDraft(quest);
+        const errors = validate(draft);
+        if (errors.length > 0) {
+            throw new WebTavernError(400, 'INVALID_CAMPAIGN', 'Fix the campaign errors before test-playing it.', { errors });
+        }
+        try {
+            return await campaignSandbox.playtest({
+                quest: draft,
+                moves,
+                seed: typeof seed === 'string' && seed.trim() ? seed.trim().slice(0, 64) : undefined,
+                partySize
+            });
+        } catch (error) {
+            throw translate(error);
+        }
+    }
+}
+
+module.exports = new WebTavernService();
+module.exports.WebTavernService = WebTavernService;
+module.exports.WebTavernError = WebTavernError;
+module.exports.normalizeDraft = normalizeDraft;
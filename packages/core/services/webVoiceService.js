@@ -3,13 +3,15 @@
  * read-aloud text-to-speech for replies.
  *
  * Reuses the bot's existing voice stack instead of growing a parallel one:
- *  - STT prefers OpenAI batch transcription (services/transcriptionService,
- *    the same service classic /voicechat uses), falling back to ElevenLabs
+ *  - STT prefers batch transcription (services/transcriptionService, the
+ *    same service classic /voicechat uses - OpenAI or a local whisper
+ *    backend), falling back to ElevenLabs
  *    Scribe batch transcription when only an ElevenLabs key is configured.
- *  - TTS reuses the live ElevenLabs TTS service (serviceManager.voiceService
- *    .tts) so the web voice matches the /setvoice-configured Discord voice;
- *    when the shared service is unavailable it degrades to a direct
- *    ElevenLabs call with the same config resolution.
+ *  - TTS reuses the live TTS backend (serviceManager.voiceService
+ *    .ttsFor('web') - ElevenLabs or local Piper voices) so the web voice
+ *    matches the /setvoice-configured Discord voice; when the shared
+ *    service is unavailable it degrades to a direct ElevenLabs call with
+ *    the same config resolution.
  *
  * Everything degrades gracefully: no keys means capabilities() reports both
  * features off and the client hides the buttons - never an error. Nothing
@@ -113,14 +115,14 @@ class WebVoiceService {
         return this._deps.fetch || fetch;
     }
 
-    /** The live shared ElevenLabs TTS service, when the bot has one. */
+    /** The live shared TTS backend for read-aloud, when the bot has one. */
     _ttsService() {
         if (this._deps.ttsService) return this._deps.ttsService();
         try {
             // Lazy: serviceManager instantiates the whole voice stack; only
             // touch it when a voice feature is actually used.
             const { voiceService } = require('./serviceManager');
-            const tts = voiceService?.tts;
+            const tts = voiceService?.ttsFor('web');
             return tts && !tts.disabled ? tts : null;
         } catch {
             return null;
@@ -219,7 +221,7 @@ class WebVoiceService {
         }
 
         throw new WebVoiceError(503, 'STT_UNAVAILABLE',
-            'Speech-to-text needs an OpenAI or ElevenLabs API key on this server.');
+            'Speech-to-text needs an OpenAI or ElevenLabs API key, or a local whisper backend, on this server.');
     }
 
     /**
@@ -287,7 +289,7 @@ class WebVoiceService {
         const apiKey = this._elevenLabsKey();
         if (!apiKey) {
             throw new WebVoiceError(503, 'TTS_UNAVAILABLE',
-                'Read-aloud needs an ElevenLabs API key on this server.');
+                'Read-aloud needs an ElevenLabs API key or Piper voices on this server.');
         }
         return await this._directElevenLabsTts({ text: speakable, apiKey });
     }
@@ -0,0 +1,222 @@
+const fs = require('node:fs').promises;
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { spawn, execFile } = require('node:child_process');
+const fetch = require('node-fetch');
+const aiConfig = require('../config/aiConfig');
+const { stereo48kToMono16k, buildWav, parseWav, TARGET_RATE } = require('./voice/pcmUtils');
+
+// whisper.cpp marks non-speech with bracketed tags ([BLANK_AUDIO], [MUSIC],
+// (wind blowing)); a segment of only tags is silence, not words
+const NON_SPEECH_RE = /\[[^\]]*\]|\([^)]*\)|\*[^*]*\*/g;
+
+/**
+ * Whisper service - local speech-to-text.
+ *
+ * Transcribes on hardware you run, so voice works with no OpenAI key. Two
+ * ways to reach whisper:
+ *   - a server on the LAN (`whisper.url`): whisper.cpp's `server` example
+ *     (`api: 'whispercpp'`, POST /inference) or an OpenAI-compatible
+ *     faster-whisper server (`api: 'openai'`, POST /v1/audio/transcriptions);
+ *   - the whisper.cpp CLI on this machine (`whisper.cliPath` + a ggml
+ *     `whisper.model` file), one process per utterance.
+ * A configured url wins over the CLI.
+ *
+ * whisper wants 16kHz mono WAV. Discord's 48kHz stereo WAV/PCM is
+ * downmixed in-process (pcmUtils); anything else (browser webm/ogg/mp4
+ * clips) is transcoded with ffmpeg first.
+ *
+ * Configuration (environment takes precedence over config.json):
+ *   WHISPER_URL      / config.whisper.url      - server base url
+ *   WHISPER_API      / config.whisper.api      - 'whispercpp' (default) | 'openai'
+ *   WHISPER_CLI_PATH / config.whisper.cliPath  - whisper.cpp CLI binary
+ *   WHISPER_MODEL    / config.whisper.model    - ggml model file (CLI) or model name (openai api)
+ *   WHISPER_LANGUAGE / config.whisper.language - default 'en' ('auto' to detect)
+ */
+class WhisperService {
+    /**
+     * @param {Object} [deps] - overrides for tests
+     * @param {Object} [deps.config] - shaped like aiConfig.whisper
+     * @param {Function} [deps.fetch]
+     * @param {Function} [deps.runCli] - (binary, args, timeoutMs) -> Promise<stdout>
+     * @param {Function} [deps.transcode] - (buffer) -> Promise<16kHz mono WAV buffer>
+     */
+    constructor(deps = {}) {
+        this.config = deps.config || aiConfig.whisper;
+        this._fetch = deps.fetch || fetch;
+        this._runCli = deps.runCli || runCli;
+        this._transcode = deps.transcode || transcodeToWav16k;
+    }
+
+    /** 'server' | 'cli' | null (not configured) */
+    getMode() {
+        if (this.config.url) return 'server';
+        if (this.config.cliPath && this.config.model) return 'cli';
+        return null;
+    }
+
+    isConfigured() {
+        return this.getMode() !== null;
+    }
+
+    /**
+     * Transcribe a clip to text.
+     * @param {Buffer} audio - WAV (any 16-bit PCM), or another container
+     *   ffmpeg can read when `mimeType` says so
+     * @param {Object} [options] - { prompt, mimeType, language }
+     * @returns {Promise<string>} transcribed text ('' for silence)
+     */
+    async transcribe(audio, options = {}) {
+        const mode = this.getMode();
+        if (!mode) {
+            throw new Error('No local whisper backend configured (set whisper.url, or whisper.cliPath and whisper.model).');
+        }
+        const wav = await this.toWav16k(audio, options.mimeType);
+        const language = options.language || this.config.language;
+        const text = mode === 'server'
+            ? await this._transcribeServer(wav, { prompt: options.prompt, language })
+            : await this._transcribeCli(wav, { prompt: options.prompt, language });
+        return cleanTranscript(text);
+    }
+
+    /**
+     * 16kHz mono 16-bit WAV for whisper. Discord PCM is converted here;
+     * other audio goes through ffmpeg.
+     * @param {Buffer} audio
+     * @param {string} [mimeType]
+     * @returns {Promise<Buffer>}
+     */
+    async toWav16k(audio, mimeType) {
+        const wav = parseWav(audio);
+        if (wav?.sampleRate === TARGET_RATE && wav.channels === 1) return audio;
+        if (wav?.sampleRate === 48000 && wav.channels === 2) {
+            return buildWav(stereo48kToMono16k(wav.pcm), { sampleRate: TARGET_RATE, channels: 1 });
+        }
+        return this._transcode(audio);
+    }
+
+    async _transcribeServer(wav, { prompt, language }) {
+        const openaiApi = this.config.api === 'openai';
+        const fields = openaiApi
+            ? { model: this.config.model || 'Systran/faster-whisper-small', response_format: 'json' }
+            : { response_format: 'json', temperature: '0.0' };
+        if (language && language !== 'auto') fields.language = language;
+        if (prompt) fields.prompt = prompt;
+
+        const { body, contentType } = multipart(fields, { name: 'file', filename: 'audio.wav', type: 'audio/wav', data: wav });
+        const url = `${this.config.url}${openaiApi ? '/v1/audio/transcriptions' : '/inference'}`;
+        let res;
+        try {
+            res = await this._fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': contentType },
+                body,
+                timeout: this.config.timeoutMs
+            });
+        } catch (error) {
+            throw new Error(`Whisper server not reachable at ${this.config.url}: ${error.message}`, { cause: error });
+        }
+        if (!res.ok) {
+            let detail = '';
+            try { detail = ` - ${await res.text()}`; } catch { /* no body */ }
+            throw new Error(`Whisper server returned ${res.status}${detail.slice(0, 200)}`);
+        }
+        const data = await res.json();
+        return String(data.text || '');
+    }
+
+    async _transcribeCli(wav, { prompt, language }) {
+        const file = path.join(os.tmpdir(), `goobster-stt-${crypto.randomBytes(6).toString('hex')}.wav`);
+        await fs.writeFile(file, wav);
+        try {
+            const args = [
+                '-m', this.config.model,
+                '-f', file,
+                '-l', language || 'auto',
+                '-t', String(this.config.threads),
+                '-nt', // no timestamps: stdout is just the text
+                '-np' // no progress/system prints
+            ];
+            if (prompt) args.push('--prompt', prompt);
+            return await this._runCli(this.config.cliPath, args, this.config.timeoutMs);
+        } finally {
+            await fs.unlink(file).catch(() => {});
+        }
+    }
+}
+
+/** Drop non-speech tags and collapse whitespace. */
+function cleanTranscript(text) {
+    return String(text || '').replace(NON_SPEECH_RE, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** A multipart/form-data body built by hand (as webVoiceService does). */
+function multipart(fields, file) {
+    const boundary = `goobster-${crypto.randomBytes(12).toString('hex')}`;
+    const parts = Object.entries(fields).map(([name, value]) =>
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    parts.push(
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\nContent-Type: ${file.type}\r\n\r\n`),
+        file.data,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    );
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+function runCli(binary, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        execFile(binary, args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const detail = String(stderr || '').trim().split('\n').pop();
+                reject(new Error(`whisper.cpp failed: ${detail || error.message}`, { cause: error }));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/** Transcode any ffmpeg-readable clip to 16kHz mono WAV. */
+function transcodeToWav16k(buffer) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+            '-hide_banner', '-loglevel', 'error', '-i', 'pipe:0',
+            '-ar', String(TARGET_RATE), '-ac', '1', '-c:a', 'pcm_s16le', '-f', 'wav', 'pipe:1'
+        ]);
+        const chunks = [];
+        let stderr = '';
+        ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', error => reject(new Error(`ffmpeg is needed to transcode audio for whisper: ${error.message}`, { cause: error })));
+        ffmpeg.on('close', code => {
+            if (code === 0) resolve(fixStreamedWavSizes(Buffer.concat(chunks)));
+            else reject(new Error(`ffmpeg could not decode the audio: ${stderr.trim().slice(0, 200)}`));
+        });
+        ffmpeg.stdin.on('error', () => { /* ffmpeg exited early; reported on close */ });
+        ffmpeg.stdin.end(buffer);
+    });
+}
+
+/**
+ * ffmpeg writing WAV to a pipe cannot seek back to fill in the sizes, so
+ * they are left as 0xFFFFFFFF; whisper.cpp trusts them. Patch the header.
+ */
+function fixStreamedWavSizes(wav) {
+    if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF') return wav;
+    wav.writeUInt32LE(wav.length - 8, 4);
+    let offset = 12;
+    while (offset + 8 <= wav.length) {
+        const id = wav.toString('ascii', offset, offset + 4);
+        if (id === 'data') {
+            wav.writeUInt32LE(wav.length - offset - 8, offset + 4);
+            break;
+        }
+        offset += 8 + wav.readUInt32LE(offset + 4);
+    }
+    return wav;
+}
+
+module.exports = new WhisperService();
+module.exports.WhisperService = WhisperService;
+module.exports.cleanTranscript = cleanTranscript;
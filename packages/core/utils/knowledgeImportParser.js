@@ -0,0 +1,342 @@
+/**
+ * Parsers behind bulk knowledge imports (services/knowledgeImportService.js):
+ * turn the files of an Obsidian or plain Markdown vault, a Notion export or
+ * a folder of PDFs into proposed graph notes.
+ *
+ * Each note becomes { label, type, summary, body, tags, aliases, links }:
+ *
+ *   - label    frontmatter `title`, Notion's `# Title`, else the file name
+ *              (Notion's 32-hex page id stripped)
+ *   - summary  frontmatter `description`/`summary`, else the first real
+ *              paragraph - it becomes the node's content
+ *   - body     the full text, cut into embedded passages by chunkText
+ *   - tags     frontmatter `tags`, inline #tags, Notion's `Tags:` property
+ *   - links    raw link targets: [[wikilinks]] (embeds of notes included,
+ *              of images and other files not) and relative `.md` links
+ *              (Notion's, and Obsidian's with wikilinks off). The service
+ *              resolves them against the import's own file names, aliases
+ *              and the existing graph.
+ *
+ * Frontmatter is read with a small YAML subset (scalars, [inline] lists and
+ * `- item` lists), which is what vault frontmatter is in practice. Parsing
+ * is deterministic and never calls a model. PDFs are extracted by the
+ * service (it needs pdf-parse); parsePdfNote shapes their text.
+ */
+
+const { MAX_LABEL_LENGTH, MAX_TAGS_PER_NODE, MAX_TAG_LENGTH, NODE_TYPES } = require('../config/knowledgeGraphConfig');
+
+const SUMMARY_CHARS = 600;
+const NOTION_ID = /\s+[0-9a-f]{32}$/i;
+const FENCE = /^(```|~~~)[\s\S]*?^\1[^\n]*$/gm;
+const WIKILINK = /(!?)\[\[([^\]|#^\n]+)(?:[#^][^\]|\n]*)?(?:\|[^\]\n]*)?\]\]/g;
+const MD_LINK = /\[([^\]\n]*)\]\(([^)\s]+)\)/g;
+const INLINE_TAG = /(?:^|[\s(])#([\p{L}\p{N}_/-]*[\p{L}_][\p{L}\p{N}_/-]*)/gu;
+const IGNORED_SEGMENT = /^(\.|__MACOSX$|node_modules$)/;
+
+function extensionOf(name) {
+    const base = String(name).split('/').pop();
+    const idx = base.lastIndexOf('.');
+    return idx > 0 ? base.slice(idx + 1).toLowerCase() : '';
+}
+
+function baseName(name) {
+    const base = String(name).replace(/\\/g, '/').split('/').pop();
+    const idx = base.lastIndexOf('.');
+    return idx > 0 ? base.slice(0, idx) : base;
+}
+
+/**
+ * What an archive entry is to an import: 'markdown', 'pdf', 'zip' (Notion
+ * splits large exports into nested part archives), or null to leave it -
+ * attachments, canvases, databases as CSV, and anything under a dot folder
+ * (.obsidian, .trash, .git) or __MACOSX.
+ */
+function classifyEntry(name) {
+    const segments = String(name).replace(/\\/g, '/').split('/').filter(Boolean);
+    if (segments.length === 0 || String(name).endsWith('/')) return null;
+    if (segments.some(segment => IGNORED_SEGMENT.test(segment))) return null;
+    const ext = extensionOf(name);
+    if (ext === 'md' || ext === 'markdown') return 'markdown';
+    if (ext === 'pdf') return 'pdf';
+    if (ext === 'zip') return 'zip';
+    return null;
+}
+
+/**
+ * Which kind of source a set of entry names is: an Obsidian vault (it has
+ * a .obsidian folder), a Notion export (page files carry a 32-hex id),
+ * plain Markdown, or PDFs only. Null when nothing is importable.
+ */
+function detectSourceKind(names) {
+    const list = [...names].map(name => String(name).replace(/\\/g, '/'));
+    if (list.some(name => name.split('/').includes('.obsidian'))) return 'obsidian';
+    const kinds = list.map(classifyEntry);
+    if (list.some((name, i) => kinds[i] === 'markdown' && NOTION_ID.test(baseName(name)))) return 'notion';
+    if (kinds.includes('markdown')) return 'markdown';
+    if (kinds.includes('pdf')) return 'pdf';
+    return null;
+}
+
+function unquote(value) {
+    const trimmed = String(value).trim();
+    const quoted = /^(['"])([\s\S]*)\1$/.exec(trimmed);
+    return quoted ? quoted[2] : trimmed;
+}
+
+/**
+ * Split leading YAML frontmatter off a note.
+ * @returns {{ data: Object<string, string|string[]>, body: string }} keys lowercased
+ */
+function parseFrontmatter(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const match = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(source);
+    if (!match) return { data: {}, body: source };
+
+    const data = {};
+    let listKey = null;
+    for (const line of match[1].split(/\r?\n/)) {
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            data[listKey].push(unquote(item[1]));
+            continue;
+        }
+        const pair = /^([A-Za-z0-9_-]+)\s*:\s*(.*)$/.exec(line);
+        if (!pair) continue;
+        const key = pair[1].toLowerCase();
+        const value = pair[2].trim();
+        listKey = null;
+        if (!value) {
+            data[key] = [];
+            listKey = key;
+        } else if (/^\[.*\]$/.test(value)) {
+            data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+        } else {
+            data[key] = unquote(value);
+        }
+    }
+    return { data, body: source.slice(match[0].length) };
+}
+
+/** YAML separates tags with spaces or commas; Notion properties only with commas. */
+function asList(value, separator = /[,\s]+/) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || !value.trim()) return [];
+    return value.split(separator);
+}
+
+function cleanTags(raw) {
+    const seen = new Set();
+    const tags = [];
+    for (const entry of raw) {
+        const tag = String(entry || '').trim().replace(/^#/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+        if (!tag || seen.has(tag)) continue;
+        seen.add(tag);
+        tags.push(tag);
+    }
+    return tags.slice(0, MAX_TAGS_PER_NODE);
+}
+
+/** Link target -> the name a note would be found under. */
+function linkName(target) {
+    let name = String(target).trim();
+    try { name = decodeURIComponent(name); } catch { /* keep it encoded */ }
+    return name.replace(/\\/g, '/').split('/').pop().replace(/\.(md|markdown)$/i, '').replace(NOTION_ID, '').trim();
+}
+
+function extractLinks(text) {
+    const links = new Set();
+    for (const match of text.matchAll(WIKILINK)) {
+        // ![[diagram.png]] and [[paper.pdf]] point at attachments, not notes
+        const ext = extensionOf(match[2]);
+        if (/^[a-z0-9]{1,5}$/.test(ext) && ext !== 'md') continue;
+        const name = linkName(match[2]);
+        if (name) links.add(name);
+    }
+    for (const match of text.matchAll(MD_LINK)) {
+        const target = match[2];
+        if (/^[a-z][a-z0-9+.-]*:/i.test(target) || extensionOf(target.split('#')[0]) !== 'md') continue;
+        const name = linkName(target.split('#')[0]);
+        if (name) links.add(name);
+    }
+    return [...links];
+}
+
+/** Markdown -> plain prose, for summaries. */
+function plainText(markdown) {
+    return String(markdown)
+        .replace(WIKILINK, (link, embed, target) => {
+            const alias = /\|([^\]]*)\]\]$/.exec(link);
+            return alias ? alias[1] : linkName(target);
+        })
+        .replace(MD_LINK, '$1')
+        .replace(/^\s{0,3}(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/gm, '')
+        .replace(/^\s{0,3}>\s?/gm, '')
+        .replace(/[*_`~]{1,3}/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+function clip(text, max) {
+    const value = String(text || '').trim();
+    if (value.length <= max) return value;
+    const cut = value.slice(0, max - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > max * 0.6 ? cut.slice(0, space) : cut).trim()}…`;
+}
+
+/** The first paragraph that reads like prose (no headings, rules or tables). */
+function firstParagraph(markdown) {
+    for (const block of String(markdown).replace(FENCE, '').split(/\r?\n\s*\r?\n/)) {
+        const lines = block.split(/\r?\n/).filter(line => !/^\s*(#{1,6}\s|\||---+\s*$|!\[)/.test(line));
+        const text = plainText(lines.join(' ').replace(INLINE_TAG, tag => (tag[0] === '#' ? '' : tag[0])));
+        if (text.length >= 12) return clip(text, SUMMARY_CHARS);
+    }
+    return '';
+}
+
+function noteType(value) {
+    const type = String(value || '').trim().toLowerCase();
+    return NODE_TYPES.includes(type) && type !== 'artifact' ? type : 'concept';
+}
+
+/**
+ * Notion puts the page title in a leading `# Heading` and the page's
+ * properties in `Key: value` lines right after it.
+ */
+function splitNotionHeader(body) {
+    const lines = body.split(/\r?\n/);
+    let title = null;
+    let i = 0;
+    while (i < lines.length && !lines[i].trim()) i++;
+    const heading = /^#\s+(.+)$/.exec(lines[i] || '');
+    if (heading) {
+        title = heading[1].trim();
+        i++;
+    }
+    while (i < lines.length && !lines[i].trim()) i++;
+    const properties = {};
+    let end = i;
+    while (end < lines.length) {
+        const property = /^([^:\n]{1,40}):\s+(.+)$/.exec(lines[end]);
+        if (!property) break;
+        properties[property[1].trim().toLowerCase()] = property[2].trim();
+        end++;
+    }
+    // A lone "Key: value" sentence is prose, not a property block
+    if (Object.keys(properties).length > 0 && end < lines.length && lines[end].trim()) return { title, properties: {}, body: lines.slice(i).join('\n') };
+    return { title, properties, body: lines.slice(end).join('\n') };
+}
+
+/**
+ * One Markdown note (Obsidian, plain Markdown or a Notion page).
+ * @param {Object} params
+ * @param {string} params.path - archive-relative path
+ * @param {string} params.text
+ * @param {'obsidian'|'markdown'|'notion'} params.sourceKind
+ * @param {number} [params.maxText] - cap on the kept body
+ */
+function parseMarkdownNote({ path, text, sourceKind, maxText = Infinity }) {
+    const { data, body: afterFrontmatter } = parseFrontmatter(text);
+    let body = afterFrontmatter;
+    let title = data.title && !Array.isArray(data.title) ? data.title : null;
+    const rawTags = [...asList(data.tags), ...asList(data.tag)];
+
+    if (sourceKind === 'notion') {
+        const header = splitNotionHeader(body);
+        body = header.body;
+        title = title || header.title;
+        rawTags.push(...asList(header.properties.tags || header.properties.tag || '', /,/));
+        if (!data.type && header.properties.type) data.type = header.properties.type;
+    }
+
+    const withoutCode = body.replace(FENCE, '');
+    for (const match of withoutCode.matchAll(INLINE_TAG)) rawTags.push(match[1]);
+
+    const fileTitle = baseName(path).replace(NOTION_ID, '').trim();
+    const description = [data.description, data.summary].find(value => typeof value === 'string' && value.trim());
+    const label = clip(title || fileTitle, MAX_LABEL_LENGTH);
+
+    return {
+        label,
+        fileTitle,
+        type: noteType(data.type),
+        summary: description ? clip(description, SUMMARY_CHARS) : firstParagraph(body),
+        body: String(body).trim().slice(0, maxText),
+        tags: cleanTags(rawTags),
+        aliases: asList(data.aliases || data.alias).filter(alias => typeof alias === 'string' && alias.trim()),
+        links: extractLinks(withoutCode)
+            .filter(name => name.toLowerCase() !== label.toLowerCase() && name.toLowerCase() !== fileTitle.toLowerCase())
+    };
+}
+
+/**
+ * One PDF's extracted text. The folders it sat in (below the archive's
+ * common root) become its tags, which is how a folder of papers is sorted.
+ */
+function parsePdfNote({ path, text, maxText = Infinity }) {
+    const segments = String(path).split('/').slice(0, -1);
+    return {
+        label: clip(baseName(path), MAX_LABEL_LENGTH),
+        fileTitle: baseName(path),
+        type: 'concept',
+        summary: firstParagraph(text),
+        body: String(text || '').trim().slice(0, maxText),
+        tags: cleanTags(segments.slice(-2)),
+        aliases: [],
+        links: []
+    };
+}
+
+/**
+ * Cut text into passages of about `size` characters on paragraph, then
+ * sentence, then word boundaries; each passage after the first repeats the
+ * last `overlap` characters of the one before, so a fact split across a
+ * boundary is still found whole.
+ */
+function chunkText(text, { size = 1200, overlap = 150, max = Infinity } = {}) {
+    const pieces = [];
+    for (const paragraph of String(text || '').split(/\r?\n\s*\r?\n/)) {
+        const trimmed = paragraph.trim();
+        if (!trimmed) continue;
+        if (trimmed.length <= size) {
+            pieces.push(trimmed);
+            continue;
+        }
+        let rest = trimmed;
+        while (rest.length > size) {
+            const window = rest.slice(0, size);
+            const cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'), window.lastIndexOf(' '));
+            const at = cut > size * 0.5 ? cut + 1 : size;
+            pieces.push(rest.slice(0, at).trim());
+            rest = rest.slice(at).trim();
+        }
+        if (rest) pieces.push(rest);
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 2 > size) {
+            chunks.push(current);
+            if (chunks.length >= max) return chunks;
+            const tail = current.slice(-overlap);
+            const space = tail.indexOf(' ');
+            current = overlap > 0 && space >= 0 ? `${tail.slice(space + 1)}\n\n${piece}` : piece;
+        } else {
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    }
+    if (current && chunks.length < max) chunks.push(current);
+    return chunks;
+}
+
+module.exports = {
+    classifyEntry,
+    detectSourceKind,
+    parseFrontmatter,
+    parseMarkdownNote,
+    parsePdfNote,
+    chunkText,
+    linkName,
+    baseName
+};
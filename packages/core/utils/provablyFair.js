@@ -0,0 +1,80 @@
+/**
+ * Provably-fair randomness: commit-reveal seeds and the RNG stream they
+ * produce. Pure (node:crypto only), so anyone holding a revealed seed pair
+ * can recompute a hand with nothing but this file.
+ *
+ * The house picks a secret server seed and publishes its SHA-256 hash
+ * before the hand; players contribute a client seed; after settlement the
+ * server seed is revealed. Float number `i` of a hand is
+ *
+ *     HMAC-SHA256(key = serverSeed, message = `${clientSeed}:${floor(i / 8)}`)
+ *
+ * read as eight big-endian uint32s, taking word `i % 8` and dividing by
+ * 2^32 - so every draw lands in [0, 1) and the stream can resume at any
+ * cursor, which is how a multi-step round (a craps point, a war) keeps one
+ * stream across several transitions.
+ */
+const crypto = require('node:crypto');
+
+const FLOATS_PER_BLOCK = 8;
+const UINT32_RANGE = 2 ** 32;
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+/** A fresh secret server seed (64 hex chars). */
+function newServerSeed() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/** The public commitment to a server seed. */
+function hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/** A random client seed, for players who never chose one. */
+function newClientSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Trim a player-supplied client seed; null when it is unusable (empty, too
+ * long, or containing anything but printable ASCII).
+ */
+function normalizeClientSeed(seed) {
+    const text = String(seed ?? '').trim();
+    if (text.length === 0 || text.length > MAX_CLIENT_SEED_LENGTH) return null;
+    return /^[\x20-\x7e]+$/.test(text) ? text : null;
+}
+
+/**
+ * The RNG for one seed pair, a drop-in `() => number` for every engine and
+ * game. `rng.draws` counts the floats taken since `cursor`.
+ * @param {{serverSeed: string, clientSeed: string, cursor?: number}} params
+ * @returns {(() => number) & {draws: number}}
+ */
+function rngStream({ serverSeed, clientSeed, cursor = 0 }) {
+    let position = cursor;
+    let blockIndex = -1;
+    let block = null;
+    const rng = () => {
+        const wanted = Math.floor(position / FLOATS_PER_BLOCK);
+        if (wanted !== blockIndex) {
+            block = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${wanted}`).digest();
+            blockIndex = wanted;
+        }
+        const value = block.readUInt32BE((position % FLOATS_PER_BLOCK) * 4) / UINT32_RANGE;
+        position++;
+        rng.draws++;
+        return value;
+    };
+    rng.draws = 0;
+    return rng;
+}
+
+module.exports = {
+    MAX_CLIENT_SEED_LENGTH,
+    newServerSeed,
+    newClientSeed,
+    hashSeed,
+    normalizeClientSeed,
+    rngStream
+};
@@ -179,6 +179,39 @@ function loreEmbed(lore) {
         .setFooter({ text: `${lore.kind} · first recorded ${lore.createdAt} UTC${lore.sourceQuestId ? ` · from "${lore.sourceQuestId}"` : ''}` });
 }
 
+/** The Tavern market: shop stock and crafting recipes, priced in the guild currency. */
+function marketBoard({ shops, recipes, currencyName, wage, balance = null }) {
+    const embed = new EmbedBuilder()
+        .setColor(TAVERN_COLOR)
+        .setTitle('🛒 The Tavern Market')
+        .setDescription(
+            `Prices in **${currencyName}**. \`/tavern market buy\`, \`sell\`, and \`craft\` trade from your pack. ` +
+            `Finishing an adventure pays **${wage.toLocaleString()} ${currencyName}** (unless the campaign pays its own rate).`
+        );
+    if (shops.length === 0 && recipes.length === 0) {
+        embed.addFields({ name: 'Empty stalls', value: 'No unlocked campaign stocks a shop yet. Adventure on; the merchants follow the stories.' });
+    }
+    const byQuest = new Map();
+    for (const entry of shops) {
+        if (!byQuest.has(entry.questTitle)) byQuest.set(entry.questTitle, []);
+        byQuest.get(entry.questTitle).push(entry);
+    }
+    for (const [questTitle, stock] of [...byQuest].slice(0, 20)) {
+        embed.addFields({
+            name: `🏪 ${questTitle}`,
+            value: stock.map(entry => `• **${entry.item}** — ${entry.price.toLocaleString()} (sells back for ${entry.sellPrice.toLocaleString()})`).join('\n').slice(0, 1024)
+        });
+    }
+    if (recipes.length > 0) {
+        embed.addFields({
+            name: '⚒️ Crafting',
+            value: recipes.map(recipe => `• **${recipe.makes}** ← ${recipe.from.join(' + ')}${recipe.fee ? ` · fee ${recipe.fee.toLocaleString()}` : ''}`).join('\n').slice(0, 1024)
+        });
+    }
+    if (balance !== null) embed.setFooter({ text: `Your purse: ${balance.toLocaleString()} ${currencyName}` });
+    return embed;
+}
+
 /** A character sheet / tavern profile embed. */
 function characterSheet(character, { asProfile = false } = {}) {
     const calling = CALLINGS[character.calling];
@@ -232,7 +265,10 @@ function partyMessage(adventure, quest, members) {
             {
                 name: 'The notice reads',
                 value: `👥 ${quest.players.recommended || `${quest.players.min}-${quest.players.max}`} players · ⏱️ ${quest.duration} · 🎯 ${quest.difficulty}\n` +
-                    `🏷️ ${quest.tags.join(', ')}\n🎁 ${quest.reward || 'A story worth telling.'}`
+                    `🏷️ ${quest.tags.join(', ')}\n🎁 ${quest.reward || 'A story worth telling.'}\n` +
+                    (adventure.pace === 'POSTED'
+                        ? `📮 Play-by-post: each round is a ${adventure.postHours}-hour posting window`
+                        : '🕯️ Played live, at one sitting')
             },
             {
                 name: `Party (${members.length}/${quest.players.max})`,
@@ -262,8 +298,18 @@ function enemyBar(current, max) {
     return '▮'.repeat(current) + '▯'.repeat(Math.max(0, max - current));
 }
 
-/** A live scene: narration, clocks, party, spotlight, options, combat, art. */
-function sceneMessage({ adventure, quest, scene, members, options, spotlightUserId, lead, artPath = null, enemies = [], telegraphs = {} }) {
+/** Discord timestamp markup: full date plus relative ("in 5 hours"). */
+function deadlineText(date) {
+    const unix = Math.floor(date.getTime() / 1000);
+    return `<t:${unix}:f> (<t:${unix}:R>)`;
+}
+
+/**
+ * A live scene: narration, clocks, party, spotlight, options, combat, art.
+ * A play-by-post scene shows its posting window (`postWindow`: {window,
+ * posted, waitingOn}) in place of the spotlight.
+ */
+function sceneMessage({ adventure, quest, scene, members, options, spotlightUserId, lead, artPath = null, enemies = [], telegraphs = {}, postWindow = null }) {
     const embed = new EmbedBuilder()
         .setColor(SCENE_COLOR)
         .setTitle(`📖 ${quest.title} — ${scene.title}`)
@@ -288,10 +334,20 @@ function sceneMessage({ adventure, quest, scene, members, options, spotlightUser
         });
     }
     embed.addFields({ name: 'Party', value: renderParty(members) });
-    if (spotlightUserId) {
-        embed.addFields({ name: 'Spotlight', value: `<@${spotlightUserId}> — the scene turns to you (anyone may act).` });
+    if (postWindow) {
+        const { window, posted } = postWindow;
+        embed.addFields({
+            name: `📮 Round ${window.round} — posting window`,
+            value: `Post your move by ${deadlineText(window.deadlineAt)} · ${posted.length}/${members.length} posted\n` +
+                '*Moves stay private until everyone has posted or time runs out; anyone silent follows the party\'s lead.*'
+        });
+        embed.setFooter({ text: 'Press an option to post it, or post something else: /adventure act' });
+    } else {
+        if (spotlightUserId) {
+            embed.addFields({ name: 'Spotlight', value: `<@${spotlightUserId}> — the scene turns to you (anyone may act).` });
+        }
+        embed.setFooter({ text: 'Or do something else entirely: /adventure act' });
     }
-    embed.setFooter({ text: 'Or do something else entirely: /adventure act' });
 
     const rows = [];
     if (enemies.length > 0) {
@@ -355,6 +411,43 @@ function checkResultMessage(result, adventureId) {
     return message;
 }
 
+/** The private receipt for a posted play-by-post move. */
+function postedMoveMessage({ window, move, posted, members }) {
+    const spark = move.spark ? ' (spending Spark to reroll if it fails)' : '';
+    return `📮 Your move for round ${window.round} is in: *${move.label}*${spark}.\n` +
+        `It stays private until the round resolves - when everyone has posted, or ${deadlineText(window.deadlineAt)}. ` +
+        `Post again to change it. (${posted.length}/${members.length} posted)`;
+}
+
+/**
+ * The round header for a resolved posting window: who followed the party,
+ * whose moves lapsed or were refused as the story moved.
+ */
+function roundSummary(round) {
+    const lines = [`🕯️ **Round ${round.window.round} resolves** — ${round.window.posts} move(s) posted.`];
+    if (round.followed.length > 0) {
+        lines.push(`🚶 ${round.followed.map(f => `**${f.name}**`).join(', ')} followed the party's lead.`);
+    }
+    for (const lapsed of round.lapsed) {
+        lines.push(`💨 **${lapsed.name}**'s move (*${lapsed.move.label}*) lapsed - the story had already moved on.`);
+    }
+    for (const refused of round.refused) {
+        lines.push(`🍺 **${refused.name}**'s move (*${refused.move.label}*) no longer fit: ${refused.message}`);
+    }
+    return lines.join('\n');
+}
+
+/** The reminder pinged at members who have not posted yet, with a "Previously" bridge. */
+function postReminderMessage({ quest, scene, window, waitingOn, previously }) {
+    const parts = [
+        `⏳ **${quest.title}** — round ${window.round} of *${scene?.title || 'the scene'}* closes ${deadlineText(window.deadlineAt)}.`,
+        `Still to post: ${waitingOn.map(userId => `<@${userId}>`).join(', ')} — press a scene option or use \`/adventure act\`. ` +
+            'Anyone silent at the deadline follows the party\'s lead.'
+    ];
+    if (previously) parts.push(`\n📜 **Previously...**\n${previously}`);
+    return parts.join('\n').slice(0, 2000);
+}
+
 /** The completion embed for an ending. */
 function endingMessage(quest, ended, { polishedRecap = null } = {}) {
     const ending = ended.ending || { title: ended.endingId, text: '' };
@@ -365,6 +458,13 @@ function endingMessage(quest, ended, { polishedRecap = null } = {}) {
     if (ending.trophy) {
         embed.addFields({ name: '🏆 Trophy', value: `Each survivor carries away **${ending.trophy}**.` });
     }
+    if (ended.wages) {
+        embed.addFields({
+            name: '💰 Wages',
+            value: (`${ended.wages.paid.map(userId => `<@${userId}>`).join(', ')} each pocket ` +
+                `**${ended.wages.amount.toLocaleString()} ${ended.wages.currencyName}** for the job.`).slice(0, 1024)
+        });
+    }
     embed.addFields({
         name: 'Back at the Tavern',
         value: 'The hearth restores you: full health, +1 Spark, and a milestone to spend (`/character advance`). ' +
@@ -376,6 +476,57 @@ function endingMessage(quest, ended, { polishedRecap = null } = {}) {
     return embed;
 }
 
+/** The preview of a campaign package waiting in quarantine for an admin's go-ahead. */
+function campaignPackagePreview(preview) {
+    const { manifest, quest, lint } = preview;
+    const embed = new EmbedBuilder()
+        .setColor(preview.valid ? TAVERN_COLOR : FAILURE_COLOR)
+        .setTitle(`📦 ${manifest.title || manifest.questId} — v${manifest.version}`)
+        .setDescription(quest?.hook ? String(quest.hook).trim().slice(0, 600) : '*No hook to read.*');
+    const author = manifest.author?.name
+        ? `${manifest.author.name}${manifest.author.server ? ` (${manifest.author.server})` : ''}`
+        : 'unknown';
+    embed.addFields(
+        {
+            name: 'Package',
+            value: `🆔 \`${manifest.questId}\`${manifest.forkOf ? ` · twist fork of \`${manifest.forkOf}\`` : ''}\n` +
+                `✍️ ${author} · exported ${String(manifest.exportedAt).slice(0, 10)}\n` +
+                `🔏 Signature verified · signer \`${manifest.signer.fingerprint}\`${preview.localSigner ? ' (this install)' : ''}`
+        },
+        {
+            name: 'Contents',
+            value: quest
+                ? `👥 ${quest.players?.min}-${quest.players?.max} players · ⏱️ ${quest.duration || '?'} · ` +
+                    `${Object.keys(quest.scenes).length} scenes, ${Object.keys(quest.endings).length} endings, ` +
+                    `${(quest.clocks || []).length} clocks · 🎨 ${preview.art} scene painting(s)`
+                : '*The campaign files do not load.*'
+        }
+    );
+    if (lint) {
+        embed.addFields({
+            name: 'Story-graph lint',
+            value: lint.counts.error + lint.counts.warning === 0
+                ? '✅ No errors or warnings.'
+                : `${lint.counts.error} error(s), ${lint.counts.warning} warning(s) - \`/tavern lint\` after installing for the details.`
+        });
+    }
+    const notes = [];
+    if (preview.replaces === 'built-in') notes.push('⚠️ Overrides the built-in campaign with this id.');
+    if (preview.replaces === 'custom') {
+        notes.push(`⚠️ Replaces the installed custom campaign${preview.installedVersion ? ` (v${preview.installedVersion})` : ''}.`);
+    }
+    for (const missing of preview.missing) notes.push(`⚠️ ${missing}.`);
+    if (notes.length > 0) embed.addFields({ name: 'Before you install', value: notes.join('\n').slice(0, 1024) });
+    if (!preview.valid) {
+        embed.addFields({
+            name: '❌ Failed validation (cannot install)',
+            value: preview.errors.slice(0, 8).map(error => `• ${error}`).join('\n').slice(0, 1024)
+        });
+    }
+    embed.setFooter({ text: 'Campaign files are shared by every server this Goobster is in. Only install packages from signers you trust.' });
+    return embed;
+}
+
 /** A stored recap embed. */
 function recapEmbed(recap, questTitle) {
     return new EmbedBuilder()
@@ -392,11 +543,16 @@ module.exports = {
     roomEmbed,
     worldEmbed,
     loreEmbed,
+    marketBoard,
     characterSheet,
     partyMessage,
     sceneMessage,
     checkResultMessage,
+    postedMoveMessage,
+    roundSummary,
+    postReminderMessage,
     endingMessage,
+    campaignPackagePreview,
     recapEmbed,
     renderClocks,
     renderParty,
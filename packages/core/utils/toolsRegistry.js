@@ -971,14 +971,26 @@ const tools = {
                 includeMemories: true
             });
             const block = formatRetrievedBlock(result, { heading: 'LOOKUP' });
-            if (block) return block;
 
-            const kgArtifactService = require('../services/kgArtifactService');
+            // Imported notes keep their full text as passages; the graph
+            // node only holds the summary
             const knowledgeGraphService = require('../services/knowledgeGraphService');
+            const knowledgeImportService = require('../services/knowledgeImportService');
             const scopeKey = knowledgeGraphService.resolveScopeKey({
                 subjectType: 'USER',
                 subjectId: userId
             });
+            const passages = knowledgeImportService.formatPassages(await knowledgeImportService.searchPassages({
+                guildId,
+                scopeKey: scopeAbout === 'server' ? '' : scopeKey,
+                query,
+                limit: 3
+            }).catch(() => []));
+            const passageBlock = passages ? `LOOKUP — IMPORTED NOTES:\n${passages}` : null;
+            if (block) return passageBlock ? `${block}\n\n${passageBlock}` : block;
+            if (passageBlock) return passageBlock;
+
+            const kgArtifactService = require('../services/kgArtifactService');
             const artifacts = await kgArtifactService.searchArtifacts({
                 guildId,
                 scopeKey,
@@ -1049,20 +1061,21 @@ const tools = {
             const account = resolveEconomyAccount(interactionContext, 'user');
             if (account.error) return account.error;
             const { guildId, userId } = account;
+            const handNote = r => (r.fair ? ` (Hand #${r.fair.handId} - /gamble verify hand:${r.fair.handId} checks it.)` : '');
 
             try {
                 const base = { guildId, userId, bet: Number(bet) };
                 if (game === 'coinflip') {
                     const r = await gamblingService.coinflip({ ...base, choice: call });
-                    return `🪙 The coin landed ${r.result} - you ${r.won ? 'won' : 'lost'} ${bet.toLocaleString()} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.`;
+                    return `🪙 The coin landed ${r.result} - you ${r.won ? 'won' : 'lost'} ${bet.toLocaleString()} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.${handNote(r)}`;
                 }
                 if (game === 'd20') {
                     const r = await gamblingService.d20(base);
-                    return `🎲 You rolled ${r.playerRoll}, Goobster rolled ${r.botRoll} - ${r.outcome === 'push' ? 'a tie, bet returned' : r.outcome === 'win' ? `you won ${bet.toLocaleString()}` : `you lost ${bet.toLocaleString()}`} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.`;
+                    return `🎲 You rolled ${r.playerRoll}, Goobster rolled ${r.botRoll} - ${r.outcome === 'push' ? 'a tie, bet returned' : r.outcome === 'win' ? `you won ${bet.toLocaleString()}` : `you lost ${bet.toLocaleString()}`} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.${handNote(r)}`;
                 }
                 if (game === 'poker') {
                     const r = await gamblingService.poker(base);
-                    return `🃏 Your hand: ${formatHand(r.playerHand)} (${r.playerHandName}) vs dealer: ${formatHand(r.dealerHand)} (${r.dealerHandName}) - ${r.outcome === 'push' ? 'a tie, bet returned' : r.outcome === 'win' ? `you won ${bet.toLocaleString()}` : `you lost ${bet.toLocaleString()}`} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.`;
+                    return `🃏 Your hand: ${formatHand(r.playerHand)} (${r.playerHandName}) vs dealer: ${formatHand(r.dealerHand)} (${r.dealerHandName}) - ${r.outcome === 'push' ? 'a tie, bet returned' : r.outcome === 'win' ? `you won ${bet.toLocaleString()}` : `you lost ${bet.toLocaleString()}`} ${r.currencyName}. New balance: ${r.balance.toLocaleString()}.${handNote(r)}`;
                 }
                 return `❌ Unknown game "${game}". Choose coinflip, d20, or poker.`;
             } catch (error) {
@@ -2337,6 +2350,49 @@ const tools = {
             }
         }
     },
+    backtestStrategy: {
+        definition: {
+            name: 'backtestStrategy',
+            description: 'Backtest a rule-based strategy over real daily closes: "what would have happened if I sold covered calls on SPY every Friday". Strategies: periodic buys, covered calls, iron condors, and the wheel. Reports the equity change vs buy-and-hold, max drawdown, win rate, fees (house spread plus any commission), and an equity sparkline. Premiums are simulated from trailing realized volatility. Read-only - nothing is traded.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    symbol: { type: 'string', description: 'Ticker, e.g. SPY, AAPL, or SPX' },
+                    strategy: { type: 'string', enum: ['periodic', 'covered-call', 'iron-condor', 'wheel'] },
+                    range: { type: 'string', enum: ['1mo', '3mo', '6mo', '1y'], description: 'How far back (default 1y)' },
+                    source: { type: 'string', enum: ['live', 'cached'], description: 'live = price history from the feed (default); cached = the prices the bot already stored, deterministic and offline' },
+                    capital: { type: 'number', description: 'Starting points (default 10,000, or exactly one 100-share lot for covered calls and the wheel)' },
+                    days: { type: 'number', description: 'Contract tenor in days, or days between periodic buys (default 7 = weekly)' },
+                    otmPct: { type: 'number', description: 'Percent out of the money for the short strikes (default 5)' },
+                    wingPct: { type: 'number', description: 'Iron condor wing width in percent beyond the short strikes (default 5)' },
+                    contracts: { type: 'number', description: 'Contracts per cycle (default 1)' },
+                    amount: { type: 'number', description: 'Points per periodic buy (default: the capital spread evenly)' },
+                    feePerContract: { type: 'number', description: 'Commission per contract on top of the house spread (default 0)' }
+                },
+                required: ['symbol', 'strategy']
+            }
+        },
+        execute: async ({ symbol, strategy, range = '1y', source = 'live', capital, days, otmPct, wingPct, contracts, amount, feePerContract }) => {
+            const backtestService = require('../services/exchange/backtestService');
+            const { sparkline } = require('./stockChart');
+            const toNumber = value => (value === undefined || value === null ? null : Number(value));
+            try {
+                const result = await backtestService.run({
+                    symbol, strategy, range, source,
+                    capital: toNumber(capital),
+                    days: toNumber(days),
+                    otmPct: toNumber(otmPct),
+                    wingPct: toNumber(wingPct),
+                    contracts: toNumber(contracts),
+                    amount: toNumber(amount),
+                    feePerContract: toNumber(feePerContract)
+                });
+                return backtestService.renderSummary(result, { spark: sparkline(result.curve.map(point => point.close)) });
+            } catch (error) {
+                return `❌ ${error.message}`;
+            }
+        }
+    },
     manageAutomations: {
         definition: {
             name: 'manageAutomations',
@@ -0,0 +1,246 @@
+/**
+ * Minimal ZIP (PKZIP 2.0) writer and reader - not worth a dependency.
+ *
+ * Enough for the archives Goobster hands out (the /export-my-data bundle):
+ * deflate or stored entries, UTF-8 names, no ZIP64, no encryption. Entries
+ * are written to disk as they are added so an archive of a large Observatory
+ * workspace never has to fit in memory; only the central directory does.
+ */
+
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_SIG = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+// Without ZIP64 every size/offset is 32-bit and the entry count 16-bit
+const MAX_ZIP32 = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/** CRC-32 as ZIP uses it (zlib.crc32 is not in every supported Node 20). */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** MS-DOS date/time words (local time, 2-second resolution, 1980 floor). */
+function dosDateTime(date) {
+    const d = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+/** Archive names are forward-slash relative paths with no `..` segments. */
+function normalizeName(name) {
+    const clean = String(name || '').replace(/\\/g, '/').split('/')
+        .filter(part => part && part !== '.' && part !== '..')
+        .join('/');
+    if (!clean) throw new Error(`Invalid archive entry name: ${JSON.stringify(name)}`);
+    return clean;
+}
+
+class ZipWriter {
+    /** @param {string} filePath - created (or truncated) immediately */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = fs.openSync(filePath, 'w');
+        this.offset = 0;
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /** Bytes written so far (a lower bound on the finished archive's size). */
+    get size() {
+        return this.offset;
+    }
+
+    _write(buffer) {
+        fs.writeSync(this.fd, buffer);
+        this.offset += buffer.length;
+    }
+
+    /**
+     * Add one entry. Compressible data is deflated; data that would not
+     * shrink (images, already-compressed files) is stored as-is.
+     * @param {string} name - path inside the archive
+     * @param {Buffer|string} data
+     * @param {Object} [options] - { mtime: Date }
+     */
+    addBuffer(name, data, { mtime = new Date() } = {}) {
+        if (this.fd === null) throw new Error('Archive is already closed.');
+        const entryName = normalizeName(name);
+        if (this.names.has(entryName)) throw new Error(`Duplicate archive entry: ${entryName}`);
+        if (this.entries.length >= MAX_ENTRIES) throw new Error('Too many entries for a ZIP archive.');
+
+        const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        const deflated = zlib.deflateRawSync(raw);
+        const method = deflated.length < raw.length ? METHOD_DEFLATE : METHOD_STORED;
+        const body = method === METHOD_DEFLATE ? deflated : raw;
+        const nameBytes = Buffer.from(entryName, 'utf8');
+        if (raw.length > MAX_ZIP32 || this.offset + 30 + nameBytes.length + body.length > MAX_ZIP32) {
+            throw new Error('Archive would exceed the 4 GB ZIP limit.');
+        }
+
+        const entry = {
+            nameBytes,
+            method,
+            crc: crc32(raw),
+            compressedSize: body.length,
+            size: raw.length,
+            offset: this.offset,
+            ...dosDateTime(mtime)
+        };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER_SIG, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(FLAG_UTF8, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        header.writeUInt16LE(0, 28);
+        this._write(header);
+        this._write(nameBytes);
+        this._write(body);
+
+        this.entries.push(entry);
+        this.names.add(entryName);
+    }
+
+    /**
+     * Add a file from disk under `name`, keeping its modification time.
+     * @param {string} name
+     * @param {string} absolutePath
+     */
+    addFile(name, absolutePath) {
+        const stat = fs.statSync(absolutePath);
+        this.addBuffer(name, fs.readFileSync(absolutePath), { mtime: stat.mtime });
+    }
+
+    /**
+     * Write the central directory and close the file.
+     * @returns {number} final archive size in bytes
+     */
+    close() {
+        if (this.fd === null) return this.offset;
+        const centralStart = this.offset;
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER_SIG, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(FLAG_UTF8, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBytes.length, 28);
+            // extra, comment, disk number, internal and external attributes: 0
+            header.writeUInt32LE(entry.offset, 42);
+            this._write(header);
+            this._write(entry.nameBytes);
+        }
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_SIG, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        this._write(end);
+        fs.closeSync(this.fd);
+        this.fd = null;
+        return this.offset;
+    }
+
+    /** Close and delete a half-written archive (the failure path). */
+    abort() {
+        if (this.fd !== null) {
+            try { fs.closeSync(this.fd); } catch { /* already gone */ }
+            this.fd = null;
+        }
+        fs.rmSync(this.filePath, { force: true });
+    }
+}
+
+function inflateEntry(body, size, name) {
+    try {
+        return zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry is larger than it claims: ${name}`, { cause: error });
+        throw error;
+    }
+}
+
+/**
+ * Read every entry of a ZIP archive into memory.
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {(name: string, size: number) => boolean} [options.skip] - called
+ *   with each entry's name and declared size before it is inflated; true
+ *   leaves it out (uploaded archives skip what they will not use unread)
+ * @returns {Map<string, Buffer>} entry name -> contents
+ */
+function readZip(buffer, { skip = null } = {}) {
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_SIG) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('Not a ZIP archive (no end-of-central-directory record).');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let cursor = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(cursor) !== CENTRAL_HEADER_SIG) throw new Error('Corrupt ZIP central directory.');
+        const method = buffer.readUInt16LE(cursor + 10);
+        const crc = buffer.readUInt32LE(cursor + 16);
+        const compressedSize = buffer.readUInt32LE(cursor + 20);
+        const size = buffer.readUInt32LE(cursor + 24);
+        const nameLength = buffer.readUInt16LE(cursor + 28);
+        const extraLength = buffer.readUInt16LE(cursor + 30);
+        const commentLength = buffer.readUInt16LE(cursor + 32);
+        const localOffset = buffer.readUInt32LE(cursor + 42);
+        const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+        cursor += 46 + nameLength + extraLength + commentLength;
+        if (skip && skip(name, size)) continue;
+
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIG) throw new Error(`Corrupt ZIP entry: ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const body = buffer.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === METHOD_STORED) data = Buffer.from(body);
+        // Never inflate past the declared size: a lying header is corrupt, not a bomb
+        else if (method === METHOD_DEFLATE) data = inflateEntry(body, size, name);
+        else throw new Error(`Unsupported ZIP compression method ${method} (${name}).`);
+        if (crc32(data) !== crc) throw new Error(`ZIP entry failed its checksum: ${name}`);
+        entries.set(name, data);
+    }
+    return entries;
+}
+
+module.exports = { ZipWriter, readZip, crc32 };
@@ -145,8 +145,9 @@ function showDiscussions() {
 
 /* ---------- persona create / edit modal ---------- */
 
-// The ElevenLabs voice library for the voice picker, fetched once per page
-// load. null = voices unavailable (no key) - the picker simply never shows.
+// The Parlor TTS voice library (ElevenLabs or Piper) for the voice picker,
+// fetched once per page load. null = voices unavailable (no TTS) - the
+// picker simply never shows.
 let voicesPromise = null;
 function loadVoices() {
     if (!voicesPromise) {
@@ -194,8 +195,8 @@ function openPersonaModal(persona = null, { onSaved = null } = {}) {
         colorEl.value = defaultColor;
         charterEl.value = persona?.charter || '';
 
-        // Voice picker (Parlor Live): fed by the ElevenLabs voice library;
-        // hidden when the server has no key (graceful degradation).
+        // Voice picker (Parlor Live): fed by the TTS voice library; hidden
+        // when the server has no TTS (graceful degradation).
         const voiceRow = dialog.querySelector('#pm-voice-row');
         const voiceSel = dialog.querySelector('#pm-voice');
         let voicesLoaded = false;
@@ -240,7 +241,7 @@ function openPersonaModal(persona = null, { onSaved = null } = {}) {
                 const saved = persona
                     ? await api.parlorUpdatePersona(persona.id, fields)
                     : await api.parlorCreatePersona(fields);
-                // Voice resolves against ElevenLabs at save time - a bad
+                // Voice resolves against the TTS backend at save time - a bad
                 // pick fails loudly here, never mid-session.
                 if (voicesLoaded && voiceSel.value !== (persona?.voiceId || '')) {
                     try {
@@ -766,7 +767,7 @@ function renderHeader() {
     // Persona seats are the owner's to manage; members get the roster view
     addParticipantBtn.classList.toggle('hidden', !conversation || !mine);
     membersBtn.classList.toggle('hidden', !conversation);
-    // Parlor Live: no ElevenLabs key means the button never renders
+    // Parlor Live: no live capability (TTS + STT) means the button never renders
     const liveBtn = document.getElementById('parlor-live-btn');
     const liveHere = Boolean(conversation) && liveActive() && liveConversationId() === conversation.id;
     liveBtn.classList.toggle('hidden', !conversation || !liveCaps);
@@ -26,6 +26,7 @@ const eventBusService = require('../services/eventBusService');
 const webSessionService = require('../services/webSessionService');
 const webChatService = require('../services/webChatService');
 const webDashboardService = require('../services/webDashboardService');
+const dataExportService = require('../services/dataExportService');
 const parlorService = require('../services/parlorService');
 const parlorLiveService = require('../services/parlorLiveService');
 const friendService = require('../services/friendService');
@@ -33,6 +34,8 @@ const userIntegrationService = require('../services/userIntegrationService');
 const webVoiceService = require('../services/webVoiceService');
 const webTaskService = require('../services/webTaskService');
 const webExchangeService = require('../services/webExchangeService');
+const webCasinoService = require('../services/webCasinoService');
+const webTavernService = require('../services/webTavernService');
 const observatoryService = require('../services/observatoryService');
 const mtgaService = require('../services/mtgaService');
 const { LOOKUP_BATCH_DEFAULT } = require('../services/mtgaCardService');
@@ -81,6 +84,7 @@ function createWebAppContext({ client = null, gateway = null, config, logger = c
         sessions: deps.sessions || webSessionService,
         chat: deps.chat || webChatService,
         dashboard: deps.dashboard || webDashboardService,
+        exports: deps.exports || dataExportService,
         parlor: deps.parlor || parlorService,
         parlorLive: deps.parlorLive || parlorLiveService,
         friends: deps.friends || friendService,
@@ -88,6 +92,8 @@ function createWebAppContext({ client = null, gateway = null, config, logger = c
         voice: deps.voice || webVoiceService,
         tasks: deps.tasks || webTaskService,
         exchange: deps.exchange || webExchangeService,
+        casino: deps.casino || webCasinoService,
+        tavern: deps.tavern || webTavernService,
         observatory: deps.observatory || observatoryService,
         spitball: deps.spitball || spitballExpeditionService,
         spitballRunner: deps.spitballRunner || spitballExpeditionRunner,
@@ -1089,7 +1095,8 @@ function createWebAppApp(ctx) {
         ctx.dashboard.getGraph({
             gateway: ctx.gateway,
             guildId: String(req.query.guildId || ''),
-            userId: req.webUser.userId
+            userId: req.webUser.userId,
+            asOf: req.query.asOf ? String(req.query.asOf) : null
         })
     ));
 
@@ -1106,7 +1113,8 @@ function createWebAppApp(ctx) {
         ctx.dashboard.getConstellation({
             gateway: ctx.gateway,
             scope: String(req.query.scope || ''),
-            userId: req.webUser.userId
+            userId: req.webUser.userId,
+            asOf: req.query.asOf ? String(req.query.asOf) : null
         })
     ));
 
@@ -1131,6 +1139,82 @@ function createWebAppApp(ctx) {
         })
     ));
 
+    // Graph history: what changed between two dates (and which runs did
+    // it), and rolling one run back. Same targets and access as reflection.
+    app.get('/api/app/memory/history', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.getGraphHistory({
+            gateway: ctx.gateway,
+            scope: String(req.query.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.query.target || 'personal'),
+            from: String(req.query.from || ''),
+            to: req.query.to ? String(req.query.to) : null
+        })
+    ));
+
+    app.post('/api/app/memory/history/rollback', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.rollbackGraphBatch({
+            gateway: ctx.gateway,
+            scope: String(req.body?.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.body?.target || 'personal'),
+            batchKey: String(req.body?.batchKey || '')
+        })
+    ));
+
+    // Bulk knowledge import: upload a vault / Notion export / PDFs (base64)
+    // for a preview, then start (or resume) it and poll. Same targets and
+    // access as reflection.
+    app.get('/api/app/memory/imports', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.getKnowledgeImport({
+            gateway: ctx.gateway,
+            scope: String(req.query.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.query.target || 'personal')
+        })
+    ));
+
+    app.post('/api/app/memory/imports', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.stageKnowledgeImport({
+            gateway: ctx.gateway,
+            scope: String(req.body?.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.body?.target || 'personal'),
+            fileName: String(req.body?.fileName || ''),
+            data: req.body?.data
+        })
+    ));
+
+    app.get('/api/app/memory/imports/:id', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.getKnowledgeImport({
+            gateway: ctx.gateway,
+            scope: String(req.query.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.query.target || 'personal'),
+            importId: Number(req.params.id)
+        })
+    ));
+
+    app.post('/api/app/memory/imports/:id/start', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.startKnowledgeImport({
+            gateway: ctx.gateway,
+            scope: String(req.body?.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.body?.target || 'personal'),
+            importId: Number(req.params.id)
+        })
+    ));
+
+    app.delete('/api/app/memory/imports/:id', requireAuth, dashboardRoute((req) =>
+        ctx.dashboard.discardKnowledgeImport({
+            gateway: ctx.gateway,
+            scope: String(req.query.scope || ''),
+            userId: req.webUser.userId,
+            target: String(req.query.target || 'personal'),
+            importId: Number(req.params.id)
+        })
+    ));
+
     // Web face of /forget-me. Type FORGET ME. Sessions die inside the call.
     app.post('/api/app/privacy/forget', requireAuth, dashboardRoute((req) =>
         ctx.dashboard.forgetMe({
@@ -1140,6 +1224,27 @@ function createWebAppApp(ctx) {
         })
     ));
 
+    // Web face of /export-my-data: builds the archive and hands back its
+    // time-limited link (GET /app/export/:token serves it).
+    app.post('/api/app/privacy/export', requireAuth, dashboardRoute(async (req) => {
+        const created = await ctx.exports.createExport({ userId: req.webUser.userId, via: 'web' });
+        return {
+            id: created.id,
+            url: created.url,
+            fileName: created.fileName,
+            sizeBytes: created.sizeBytes,
+            rowCount: created.rowCount,
+            fileCount: created.fileCount,
+            skipped: created.skipped.length,
+            expiresAt: created.expiresAt
+        };
+    }));
+
+    // The user's own export history and its audit trail.
+    app.get('/api/app/privacy/exports', requireAuth, dashboardRoute((req) =>
+        ctx.exports.listExports(req.webUser.userId)
+    ));
+
     // --- The Assistant Inbox (attention) -------------------------------------
 
     // Everything the Noticed pane renders in one shape: the initiative
@@ -1363,6 +1468,91 @@ function createWebAppApp(ctx) {
         ctx.exchange.leaderboard(exchangeScope(req))
     ));
 
+    app.get('/api/app/exchange/risk', requireAuth, exchangeRoute((req) =>
+        ctx.exchange.risk({ ...exchangeScope(req), scenario: req.query.scenario ? String(req.query.scenario) : null })
+    ));
+
+    // The forensic timeline is a file, not JSON: errors still come back as the
+    // usual JSON envelope, success is an attachment the browser saves.
+    app.get('/api/app/exchange/timeline/export', requireAuth, async (req, res) => {
+        try {
+            const file = await ctx.exchange.timelineExport({
+                ...exchangeScope(req),
+                scope: String(req.query.scope || 'mine'),
+                from: req.query.from ? String(req.query.from) : null,
+                to: req.query.to ? String(req.query.to) : null,
+                format: String(req.query.format || 'csv')
+            });
+            res.status(200).set({
+                'Content-Type': file.contentType,
+                'Content-Disposition': `attachment; filename="${file.filename}"`,
+                'Cache-Control': 'no-store',
+                'X-Timeline-Truncated': file.truncated ? '1' : '0'
+            }).send(file.body);
+        } catch (error) {
+            if (error?.status && error?.code) {
+                sendError(res, error.status, error.code, error.message, error.details || null);
+                return;
+            }
+            ctx.logger.error?.('Web timeline export failed:', error.message);
+            sendError(res, 500, 'INTERNAL', 'Something went wrong.');
+        }
+    });
+
+    app.get('/api/app/exchange/replay', requireAuth, exchangeRoute((req) =>
+        ctx.exchange.replay({ ...exchangeScope(req), at: req.query.at ? String(req.query.at) : null })
+    ));
+
+    // --- The casino (Activity table hand history) ----------------------------
+    // Guild-scoped exactly like the exchange: the service checks membership
+    // before it reads a hand.
+
+    app.get('/api/app/casino/hands', requireAuth, exchangeRoute((req) =>
+        ctx.casino.listHands({
+            ...exchangeScope(req),
+            mine: req.query.mine === '1',
+            againstBot: req.query.againstBot === '1',
+            channelId: req.query.channelId ? String(req.query.channelId) : null,
+            before: req.query.before ? Number(req.query.before) : null
+        })
+    ));
+
+    app.get('/api/app/casino/hands/:handId', requireAuth, exchangeRoute((req) =>
+        ctx.casino.getHand({ ...exchangeScope(req), handId: Number(req.params.handId) })
+    ));
+
+    // --- The Tavern (campaign editor) ------------------------------------------
+    // Campaign files are global, so the service wants Manage Server in the
+    // guild the editor was opened from, on top of membership.
+
+    app.get('/api/app/tavern/campaigns', requireAuth, exchangeRoute((req) =>
+        ctx.tavern.listCampaigns(exchangeScope(req))
+    ));
+
+    app.get('/api/app/tavern/campaigns/:questId', requireAuth, exchangeRoute((req) =>
+        ctx.tavern.getCampaign({ ...exchangeScope(req), questId: String(req.params.questId) })
+    ));
+
+    // Live validation + story-graph lint of a draft (nothing is written)
+    app.post('/api/app/tavern/check', requireAuth, exchangeRoute((req) =>
+        ctx.tavern.check({ ...exchangeScope(req, req.body?.guildId), quest: req.body?.quest })
+    ));
+
+    app.post('/api/app/tavern/campaigns', requireAuth, exchangeRoute((req) =>
+        ctx.tavern.save({ ...exchangeScope(req, req.body?.guildId), quest: req.body?.quest })
+    ));
+
+    // Test-play in a rolled-back sandbox: throwaway party, scripted moves
+    app.post('/api/app/tavern/playtest', requireAuth, exchangeRoute((req) =>
+        ctx.tavern.playtest({
+            ...exchangeScope(req, req.body?.guildId),
+            quest: req.body?.quest,
+            moves: req.body?.moves,
+            seed: req.body?.seed,
+            partySize: req.body?.partySize
+        })
+    ));
+
     // --- The Parlor (multi-persona workspace) --------------------------------
 
     /** Translate ParlorError into JSON; everything else is a 500. */
@@ -1413,7 +1603,7 @@ function createWebAppApp(ctx) {
         })
     ));
 
-    // Persona voice for Parlor Live: resolved through the ElevenLabs voice
+    // Persona voice for Parlor Live: resolved through the Parlor TTS voice
     // library at save time, so a bad name fails here, never mid-session.
     // An empty voice clears back to the default pool.
     app.put('/api/app/parlor/personas/:personaId/voice', requireAuth, parlorRoute(async (req) =>
@@ -1424,7 +1614,7 @@ function createWebAppApp(ctx) {
         })
     ));
 
-    // The ElevenLabs voice library (feeds the persona voice picker)
+    // The Parlor TTS voice library (feeds the persona voice picker)
     app.get('/api/app/parlor/voices', requireAuth, parlorRoute(async () => ({
         voices: await ctx.parlorLive.listVoices()
     })));
@@ -1851,6 +2041,29 @@ function createWebAppApp(ctx) {
         }
     });
 
+    // Data export download. No session needed: the link goes out in a
+    // Discord reply too, so the unguessable token (hash-stored, expiring)
+    // is the credential - the observatory share pattern, time-limited.
+    app.get('/app/export/:token', async (req, res) => {
+        try {
+            const file = await ctx.exports.resolveDownload(req.params.token, { via: 'web' });
+            res.status(200).set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${file.fileName}"`,
+                'Cache-Control': 'no-store',
+                'Referrer-Policy': 'no-referrer'
+            });
+            res.sendFile(file.path);
+        } catch (error) {
+            if (error?.status && error?.code) {
+                sendError(res, error.status, error.code, error.message);
+                return;
+            }
+            ctx.logger.error?.('Data export download failed:', error.message);
+            sendError(res, 500, 'INTERNAL', 'Something went wrong.');
+        }
+    });
+
     // Bookmarks to /app/next land on the flipped React client.
     app.get(/^\/app\/next(\/.*)?$/, (req, res) => {
         const rest = String(req.path || '').replace(/^\/app\/next\/?/, '');
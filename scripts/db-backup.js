@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Database backup / restore / cross-engine migration CLI
+ * (services/backupService.js, db/logicalDump.js). The engine is whatever
+ * the environment selects, exactly as for the bot: GOOBSTER_DB_URL for
+ * Postgres, otherwise the SQLite file at GOOBSTER_DB_PATH.
+ *
+ * Usage:
+ *   npm run db-backup -- status
+ *   npm run db-backup -- backup                 take a backup now
+ *   npm run db-backup -- list
+ *   npm run db-backup -- verify [id]            checksum, integrity, schema version
+ *   npm run db-backup -- restore [id] [--at "2026-10-18 21:00"] --yes
+ *                                               (stop the bot first)
+ *   npm run db-backup -- dump <file.jsonl.gz>   engine-neutral logical dump
+ *   npm run db-backup -- load <file.jsonl.gz> [--replace] --yes
+ *
+ * Moving engines: `dump` with the source selected, then `load` with the
+ * target selected (e.g. unset GOOBSTER_DB_URL to load into SQLite).
+ */
+
+const fs = require('node:fs');
+
+function parseArgs(argv) {
+    const args = { _: [], yes: false, replace: false, at: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--yes' || arg === '-y') args.yes = true;
+        else if (arg === '--replace') args.replace = true;
+        else if (arg === '--at') args.at = argv[++i];
+        else args._.push(arg);
+    }
+    return args;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function describe(backup) {
+    return `${backup.id}  ${backup.createdAt} UTC  ${backup.kind.padEnd(6)}  ${formatBytes(backup.sizeBytes).padStart(9)}  schema v${backup.schemaVersion}  (${backup.reason})`;
+}
+
+function refuseWithoutYes(args, what) {
+    if (args.yes) return;
+    console.error(`${what}\nRe-run with --yes to go ahead.`);
+    process.exit(64);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, target] = args._;
+    const db = require('@goobster/core/db');
+    const backupService = require('@goobster/core/services/backupService');
+    const { loadDump } = require('@goobster/core/db/logicalDump');
+
+    switch (command) {
+        case 'status': {
+            const status = backupService.status();
+            console.log(`Engine: ${status.engine} (schema v${status.schemaVersion})`);
+            console.log(`Backups: ${status.dir} - ${status.count} kept, ${formatBytes(status.totalBytes)}`);
+            console.log(`Schedule: ${status.enabled ? `every ${status.intervalHours}h, keep ${status.keep} + ${status.keepWeekly} weekly` : 'disabled'}`);
+            console.log(`Last good: ${status.lastGood ? describe(status.lastGood) : 'none yet'}`);
+            if (status.lastFailure) {
+                console.log(`Last failure: ${status.lastFailure.failedAt} UTC - ${status.lastFailure.message}`);
+            }
+            break;
+        }
+        case 'backup': {
+            const manifest = await backupService.createBackup({ reason: 'cli' });
+            console.log(`✔ ${describe(manifest)}`);
+            break;
+        }
+        case 'list': {
+            const backups = backupService.listBackups();
+            if (backups.length === 0) console.log(`No backups in ${backupService.dir}.`);
+            for (const backup of backups) console.log(describe(backup));
+            break;
+        }
+        case 'verify': {
+            const manifest = backupService.resolveBackup({ id: target });
+            const check = await backupService.verifyBackup(manifest);
+            console.log(`✔ ${manifest.id} is intact (schema v${check.schemaVersion}${check.upgrade ? ', migrates forward on open' : ''}).`);
+            break;
+        }
+        case 'restore': {
+            const manifest = backupService.resolveBackup({ id: target, at: args.at });
+            refuseWithoutYes(args, manifest.kind === 'sqlite'
+                ? `This replaces ${backupService.dbPath} with ${manifest.id} (${manifest.createdAt} UTC). Stop the bot first; the current file is kept as *.pre-restore-*.`
+                : `This deletes every row in the ${db.engine} database and loads ${manifest.id} (${manifest.createdAt} UTC). Stop the bot first.`);
+            const result = await backupService.restore({ id: manifest.id });
+            console.log(`✔ Restored ${manifest.id}.`);
+            if (result.previous) console.log(`  The previous database is at ${result.previous}`);
+            if (result.upgrade) console.log(`  It was taken at schema v${result.schemaVersion}; migrations bring it to the current schema on the next start.`);
+            break;
+        }
+        case 'dump': {
+            if (!target) throw new Error('dump needs an output file, e.g. goobster.jsonl.gz');
+            const result = await backupService.dumpTo(target);
+            console.log(`✔ Dumped ${result.rowCount} row(s) from ${result.tableCount} table(s) (${db.engine}) to ${target}`);
+            break;
+        }
+        case 'load': {
+            if (!target || !fs.existsSync(target)) throw new Error('load needs an existing dump file');
+            refuseWithoutYes(args, `This loads ${target} into the ${db.engine} database${args.replace ? ', deleting every row already there' : ' (it must be empty)'}.`);
+            const report = await loadDump(db, target, { replace: args.replace });
+            console.log(`✔ Loaded ${report.rowCount} row(s) from a schema v${report.schemaVersion} ${report.engine} dump into ${db.engine}.`);
+            if (report.skippedTables.length > 0) console.log(`  Skipped tables this schema no longer has: ${report.skippedTables.join(', ')}`);
+            for (const [table, columns] of Object.entries(report.droppedColumns)) {
+                console.log(`  Dropped ${table} column(s) this schema no longer has: ${columns.join(', ')}`);
+            }
+            console.log('The vector index rebuilds itself from memory_embeddings on first recall.');
+            break;
+        }
+        default:
+            console.error('Usage: db-backup <status|backup|list|verify|restore|dump|load> (see scripts/db-backup.js)');
+            process.exit(64);
+    }
+    await db.closeConnection();
+}
+
+main().catch(error => {
+    console.error(`✖ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Portable server archives from the host (services/guildTransferService.js)
+ * - the same export and import as /server export and /server import, for
+ * archives too large for a Discord upload or a bot that is not running.
+ * The engine is whatever the environment selects, exactly as for the bot.
+ *
+ * Usage:
+ *   npm run guild-transfer -- export <guildId> [--out <file.zip>]
+ *   npm run guild-transfer -- import <file.zip> --guild <guildId> [--replace] [--yes]
+ *
+ * Without --yes, import is a dry run: it prints what it would add, keep,
+ * skip and replace, and writes nothing. Channel ids cannot be checked
+ * from the host, so automations and repo watches keep theirs.
+ */
+
+const fs = require('node:fs');
+
+function parseArgs(argv) {
+    const args = { _: [], yes: false, replace: false, guild: null, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--yes' || arg === '-y') args.yes = true;
+        else if (arg === '--replace') args.replace = true;
+        else if (arg === '--guild') args.guild = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else args._.push(arg);
+    }
+    return args;
+}
+
+function printReport(report, applied) {
+    console.log(`Archive: ${report.archive.guild.name || report.archive.guild.id} (${report.archive.guild.id}), exported ${report.archive.exportedAt}, schema v${report.archive.schemaVersion}`);
+    console.log(`Mode: ${report.mode}${report.sameGuild ? ' (same server)' : ''}`);
+    for (const area of report.areas) {
+        const { inserted, kept, skipped, deleted } = area.totals;
+        const status = area.status === 'conflict' ? '  KEPT AS IS - this server already has one (use --replace)' : area.status === 'empty' ? '  (empty)' : '';
+        console.log(`  ${area.label.padEnd(32)} ${applied ? 'added' : 'add'} ${inserted}, here ${kept}, skip ${skipped}, replace ${deleted}${status}`);
+    }
+    for (const campaign of report.campaigns) console.log(`  Campaign ${campaign.questId}: ${campaign.action}`);
+    for (const warning of report.warnings) console.log(`  ! ${warning}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, target] = args._;
+    const db = require('@goobster/core/db');
+    const guildTransferService = require('@goobster/core/services/guildTransferService');
+
+    switch (command) {
+        case 'export': {
+            if (!target) throw new Error('export needs a guild id');
+            const result = await guildTransferService.exportGuild(target);
+            if (args.out) fs.copyFileSync(result.filePath, args.out);
+            const rows = Object.values(result.manifest.tables).reduce((sum, n) => sum + n, 0);
+            console.log(`✔ Exported ${rows} row(s) and ${result.manifest.campaigns.length} campaign(s) to ${args.out || result.filePath} (${(result.sizeBytes / 1048576).toFixed(1)} MB)`);
+            for (const warning of result.manifest.warnings) console.log(`  ! ${warning}`);
+            break;
+        }
+        case 'import': {
+            if (!target || !fs.existsSync(target)) throw new Error('import needs an existing archive file');
+            if (!args.guild) throw new Error('import needs --guild <id> (the server to import into)');
+            const plan = await guildTransferService.planImport(fs.readFileSync(target), {
+                guildId: args.guild,
+                mode: args.replace ? 'replace' : 'merge'
+            });
+            if (!args.yes) {
+                printReport(plan, false);
+                guildTransferService.discardImport(plan.token);
+                console.log('Dry run - nothing was written. Re-run with --yes to import.');
+                break;
+            }
+            const applied = await guildTransferService.applyImport(plan.token, { guildId: args.guild });
+            printReport(applied, true);
+            console.log(`✔ Imported into ${args.guild}.`);
+            break;
+        }
+        default:
+            console.error('Usage: guild-transfer <export|import> (see scripts/guild-transfer.js)');
+            process.exit(64);
+    }
+    await db.closeConnection();
+}
+
+main().catch(error => {
+    console.error(`✖ ${error.message}`);
+    process.exit(1);
+});
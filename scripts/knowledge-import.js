@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Bulk knowledge import from the host (services/knowledgeImportService.js)
+ * - the same import as the Spitball "Import notes" panel, for a vault
+ * folder on disk or an archive too large to upload.
+ *
+ * Usage:
+ *   npm run knowledge-import -- <folder|file.zip|file.md|file.pdf> --user <userId> [--guild <guildId>] [--yes]
+ *   npm run knowledge-import -- <folder|file> --guild <guildId> --server [--yes]
+ *   npm run knowledge-import -- --resume <importId> (--user <userId> [--guild <guildId>] | --guild <guildId> --server)
+ *
+ * --user imports into that person's graph (in --guild, or their DMs
+ * without one); --server into the guild-wide graph. Without --yes it is a
+ * dry run: it prints what would be created, linked and skipped, and keeps
+ * nothing. A failed import resumes where it stopped with --resume.
+ */
+
+const fs = require('node:fs');
+
+function parseArgs(argv) {
+    const args = { _: [], yes: false, server: false, user: null, guild: null, resume: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--yes' || arg === '-y') args.yes = true;
+        else if (arg === '--server') args.server = true;
+        else if (arg === '--user') args.user = argv[++i];
+        else if (arg === '--guild') args.guild = argv[++i];
+        else if (arg === '--resume') args.resume = Number(argv[++i]);
+        else args._.push(arg);
+    }
+    return args;
+}
+
+function resolveTarget(args) {
+    const { dmScopeId } = require('@goobster/core/utils/dmScope');
+    const knowledgeGraphService = require('@goobster/core/services/knowledgeGraphService');
+    if (args.server) {
+        if (!args.guild) throw new Error('--server needs --guild <id>');
+        return { guildId: args.guild, scopeKey: '', requestedBy: args.user };
+    }
+    if (!args.user) throw new Error('say whose graph: --user <id> (or --guild <id> --server)');
+    return {
+        guildId: args.guild || dmScopeId(args.user),
+        scopeKey: knowledgeGraphService.resolveScopeKey({ subjectType: 'USER', subjectId: args.user }),
+        requestedBy: args.user
+    };
+}
+
+function printPreview(result) {
+    const { import: item, preview } = result;
+    console.log(`Source: ${item.sourceName} (${item.sourceKind})`);
+    console.log(`  ${preview.notes} note(s): ${preview.notes - (preview.updates || 0)} new, ${preview.updates || 0} update(s); ${preview.tags} tag(s), ${preview.links} link(s)`);
+    for (const note of result.notes.slice(0, 20)) {
+        console.log(`  ${note.exists ? '~' : '+'} ${note.label} [${note.type}]${note.links.length ? ` -> ${note.links.join(', ')}` : ''}`);
+    }
+    if (result.notes.length > 20) console.log(`  ...and ${preview.notes - 20} more`);
+    for (const file of result.skipped) console.log(`  - ${file.path}: ${file.note}`);
+}
+
+function printOutcome(result) {
+    const { import: item } = result;
+    const { notes, tags, links, passages, embedded } = item.summary;
+    if (item.status === 'completed') {
+        console.log(`✔ Import ${item.id} complete: ${notes} note(s), ${tags} tag(s), ${links} link(s), ${passages} passage(s) (${embedded} embedded).`);
+        console.log(`  Undo it from the graph's history (batch ${item.batchKey}).`);
+    } else {
+        console.log(`✖ Import ${item.id} stopped at ${item.progress.done}/${item.progress.total}: ${item.error || item.status}`);
+        console.log(`  Resume with --resume ${item.id}.`);
+        process.exitCode = 1;
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const db = require('@goobster/core/db');
+    const knowledgeImportService = require('@goobster/core/services/knowledgeImportService');
+    const target = resolveTarget(args);
+
+    if (args.resume) {
+        printOutcome(await knowledgeImportService.runImport({ importId: args.resume, ...target }));
+    } else {
+        const [source] = args._;
+        if (!source || !fs.existsSync(source)) {
+            console.error('Usage: knowledge-import <folder|file> --user <id> [--guild <id>] [--yes] (see scripts/knowledge-import.js)');
+            process.exit(64);
+        }
+        const staged = fs.statSync(source).isDirectory()
+            ? await knowledgeImportService.stageFolder({ ...target, dir: source })
+            : await knowledgeImportService.stageArchive({ ...target, fileName: source, buffer: fs.readFileSync(source) });
+        printPreview(staged);
+        if (!args.yes) {
+            await knowledgeImportService.discardImport({ importId: staged.import.id, ...target });
+            console.log('Dry run - nothing was written. Re-run with --yes to import.');
+        } else {
+            printOutcome(await knowledgeImportService.runImport({ importId: staged.import.id, ...target }));
+        }
+    }
+    await db.closeConnection();
+}
+
+main().catch(error => {
+    console.error(`✖ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Tavern campaign linter: walk each campaign's scene/effect graph and report
+ * unreachable scenes and endings, soft-locks, clocks that can never fill,
+ * unused items, and endings with no trophy
+ * (services/tavern/campaignLinter.js). No database or AI provider involved.
+ *
+ * Usage:
+ *   npm run lint-campaigns                          every built-in + custom campaign
+ *   npm run lint-campaigns -- rat-problem           one campaign by id
+ *   npm run lint-campaigns -- path/to/campaign-dir  a campaign directory (even one the loader skips)
+ *   npm run lint-campaigns -- rat-problem --mermaid > rat-problem.mmd
+ *   npm run lint-campaigns -- rat-problem --dot | dot -Tsvg > rat-problem.svg
+ *
+ * Options: --mermaid / --dot (print the diagram instead of the report),
+ * --json (print the full report). Exits 1 when any campaign has errors.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const campaignLinter = require('@goobster/core/services/tavern/campaignLinter');
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const targets = args.filter(arg => !arg.startsWith('--'));
+
+/** Campaign directories to lint: a path, a quest id, or everything on disk. */
+function resolveDirs() {
+    const roots = [questLoader.BUILTIN_DIR, questLoader.CUSTOM_DIR];
+    const campaignDirs = root => (fs.existsSync(root)
+        ? fs.readdirSync(root, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(root, entry.name, 'quest.yaml')))
+            .map(entry => path.join(root, entry.name))
+            .sort()
+        : []);
+    if (targets.length === 0) return roots.flatMap(campaignDirs);
+
+    return targets.map(target => {
+        if (fs.existsSync(path.join(target, 'quest.yaml'))) return path.resolve(target);
+        // Custom first: a custom campaign with a built-in's id overrides it
+        const dir = [...roots].reverse().map(root => path.join(root, target)).find(d => fs.existsSync(path.join(d, 'quest.yaml')));
+        if (!dir) {
+            console.error(`❌ No campaign '${target}' in ${roots.join(' or ')}`);
+            process.exit(1);
+        }
+        return dir;
+    });
+}
+
+const dirs = resolveDirs();
+let failed = false;
+for (const dir of dirs) {
+    const report = campaignLinter.lintCampaignDir(dir);
+    if (report.counts.error > 0) failed = true;
+
+    if (flags.has('--mermaid') || flags.has('--dot')) {
+        if (!report.valid) {
+            console.error(campaignLinter.formatReport(report));
+            continue;
+        }
+        const quest = questLoader.loadCampaignDir(dir);
+        process.stdout.write(flags.has('--dot') ? campaignLinter.toDot(quest, report) : campaignLinter.toMermaid(quest, report));
+    } else if (flags.has('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`${campaignLinter.formatReport(report)}\n`);
+    }
+}
+process.exit(failed ? 1 : 0);
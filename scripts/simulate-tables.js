@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Headless table-game simulation: play thousands of hands of a casino
+ * table game with Goobster's strategy profiles and report the house edge
+ * and each seat's bankroll drift (services/tableGames/tableSimulator.js).
+ * No database, Discord, or AI provider involved.
+ *
+ * Usage:
+ *   npm run simulate-tables -- --game blackjack --strategy basic --hands 20000
+ *   npm run simulate-tables -- --game holdem --strategy tag --opponents station,station
+ *   npm run simulate-tables -- --game roulette --strategy martingale --bankroll 2000 --json
+ *
+ * Options: --game, --strategy, --opponents (comma-separated profiles),
+ * --hands, --seed (same seed = same run), --bankroll, --min-bet, --max-bet,
+ * --json (print the full result, drift curve included).
+ */
+
+const { simulate } = require('@goobster/core/services/tableGames/tableSimulator');
+const { STRATEGIES } = require('@goobster/core/services/tableGames/botStrategies');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (!flag.startsWith('--')) continue;
+        const key = flag.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function usage() {
+    const profiles = Object.entries(STRATEGIES)
+        .map(([game, list]) => `  ${game}: ${Object.keys(list).join(', ')}`)
+        .join('\n');
+    console.log(`Usage: npm run simulate-tables -- --game <game> --strategy <profile> [--hands N] [--seed S]\n\nProfiles:\n${profiles}`);
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(2)}%`;
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.game || !args.strategy || args.help) {
+    usage();
+    process.exit(args.help ? 0 : 1);
+}
+
+const optionalInt = value => (value === undefined ? undefined : Number.parseInt(value, 10));
+
+let result;
+try {
+    result = simulate({
+        gameType: String(args.game),
+        strategy: String(args.strategy),
+        opponents: typeof args.opponents === 'string' ? args.opponents.split(',').map(s => s.trim()).filter(Boolean) : null,
+        hands: optionalInt(args.hands),
+        seed: typeof args.seed === 'string' ? args.seed : undefined,
+        bankroll: optionalInt(args.bankroll),
+        minBet: optionalInt(args['min-bet']),
+        maxBet: optionalInt(args['max-bet'])
+    });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+}
+
+console.log(`🎰 ${result.gameType} · ${result.hands.toLocaleString()} hands · seed "${result.seed}"${result.stuck ? ' · STOPPED EARLY (table stuck)' : ''}`);
+console.log(`House edge: ${percent(result.houseEdge)} of ${result.totalWagered.toLocaleString()} wagered`);
+for (const player of result.players) {
+    console.log([
+        `  Seat ${player.seat} (${player.strategy}):`,
+        `${player.startBankroll.toLocaleString()} → ${player.endBankroll.toLocaleString()}`,
+        `(${player.net >= 0 ? '+' : ''}${player.net.toLocaleString()}, ${percent(player.edge)} per point wagered)`,
+        `· ${player.handsPlayed.toLocaleString()} hands played`,
+        `· low ${player.low.toLocaleString()} / high ${player.high.toLocaleString()}`,
+        `· worst drawdown ${player.maxDrawdown.toLocaleString()}`,
+        player.bustedAt !== null ? `· BUSTED after hand ${player.bustedAt.toLocaleString()}` : ''
+    ].filter(Boolean).join(' '));
+}
@@ -0,0 +1,294 @@
+/**
+ * Tests for Goobster's fixed table strategies
+ * (services/tableGames/botStrategies.js) and the headless simulator
+ * (services/tableGames/tableSimulator.js): the basic-strategy chart,
+ * tight-aggressive hold'em with pot odds, martingale staking, per-guild
+ * selection, BotPlayer playing a profile without the model, and seeded
+ * simulation runs - against a throwaway SQLite database.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-botstrategies-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+jest.mock('@goobster/core/services/aiService', () => ({
+    chat: jest.fn(),
+    chatText: jest.fn(),
+    generateText: jest.fn()
+}));
+
+const db = require('@goobster/core/db');
+const aiService = require('@goobster/core/services/aiService');
+const { TableManager } = require('@goobster/core/services/tableGames/tableManager');
+const { BotPlayer } = require('@goobster/core/services/tableGames/botPlayer');
+const {
+    STRATEGIES, getStrategy, setStrategy, listStrategies, basicStrategyMove, preflopTier, holdemEquity
+} = require('@goobster/core/services/tableGames/botStrategies');
+const { simulate } = require('@goobster/core/services/tableGames/tableSimulator');
+const { rngStream } = require('@goobster/core/utils/provablyFair');
+
+const GUILD = '810000000000000001';
+const ALICE = '810000000000000011';
+const BOT_ID = '810000000000000099';
+
+const card = (rank, suit) => ({ rank, suit, label: `${rank}${suit}` });
+const seededRng = () => rngStream({ serverSeed: 'strategy-tests', clientSeed: 'equity' });
+
+beforeEach(async () => {
+    for (const table of ['economy_wallets', 'economy_transactions', 'economy_settings', 'table_games', 'table_bot_strategies']) {
+        await db.run(`DELETE FROM ${table}`);
+    }
+    jest.clearAllMocks();
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(TEST_DB + suffix, { force: true });
+    }
+});
+
+describe('blackjack basic strategy', () => {
+    test('follows the chart for hard, soft, and doubling hands', () => {
+        const hard = (total, up, canDouble = true) => basicStrategyMove({ total, soft: false, canDouble }, up);
+        const soft = (total, up, canDouble = true) => basicStrategyMove({ total, soft: true, canDouble }, up);
+
+        expect(hard(16, 10)).toBe('hit');
+        expect(hard(16, 6)).toBe('stand');
+        expect(hard(12, 3)).toBe('hit');
+        expect(hard(12, 4)).toBe('stand');
+        expect(hard(11, 6)).toBe('double');
+        expect(hard(11, 11)).toBe('hit');
+        expect(hard(10, 6, false)).toBe('hit');
+        expect(hard(9, 2)).toBe('hit');
+        expect(soft(18, 9)).toBe('hit');
+        expect(soft(18, 7)).toBe('stand');
+        expect(soft(18, 4)).toBe('double');
+        expect(soft(18, 4, false)).toBe('stand');
+        expect(soft(15, 5)).toBe('double');
+        expect(soft(19, 6)).toBe('stand');
+    });
+
+    test('bets the table minimum and reads the dealer up card', () => {
+        const { decide } = STRATEGIES.blackjack.basic;
+        expect(decide({ phase: 'betting', minBet: 10 })).toEqual({ action: 'bet', amount: 10 });
+        const view = {
+            phase: 'acting',
+            yourSeat: 0,
+            seats: [{ cards: [card(10, 'S'), card(6, 'H')], total: 16, soft: false, doubled: false }],
+            dealer: { cards: [card(14, 'C')] }
+        };
+        expect(decide(view)).toEqual({ action: 'hit' });
+    });
+});
+
+describe("tight-aggressive hold'em", () => {
+    const tag = STRATEGIES.holdem.tag;
+
+    function holdemView({ hole, community = [], toCall = 0, pot = 30, currentBet = 0, street = 'flop' }) {
+        return {
+            gameType: 'holdem',
+            phase: 'acting',
+            street,
+            minBet: 20,
+            maxBet: 1000,
+            pot,
+            currentBet,
+            toCall,
+            yourSeat: 0,
+            activeSeat: 0,
+            community,
+            seats: [
+                { seat: 0, cards: hole, cardCount: 2, folded: false },
+                { seat: 1, cards: null, cardCount: 2, folded: false }
+            ]
+        };
+    }
+
+    test('preflop tiers rank premium, playable, and junk hands', () => {
+        expect(preflopTier([card(14, 'S'), card(14, 'H')])).toBe(3);
+        expect(preflopTier([card(13, 'S'), card(12, 'H')])).toBe(2);
+        expect(preflopTier([card(6, 'S'), card(5, 'S')])).toBe(1);
+        expect(preflopTier([card(7, 'S'), card(2, 'H')])).toBe(0);
+    });
+
+    test('equity comes out of run-outs with the engine evaluator', () => {
+        const aces = holdemEquity([card(14, 'S'), card(14, 'H')], [], 1, seededRng(), 400);
+        expect(aces).toBeGreaterThan(0.75);
+        const nuts = holdemEquity([card(14, 'S'), card(13, 'S')], [card(12, 'S'), card(11, 'S'), card(10, 'S')], 2, seededRng(), 50);
+        expect(nuts).toBe(1);
+    });
+
+    test('raises premium hands and folds junk to a raise preflop', () => {
+        const raise = tag.decide(holdemView({ hole: [card(14, 'S'), card(14, 'H')], street: 'preflop', currentBet: 20, toCall: 10 }), { rng: seededRng() });
+        expect(raise).toEqual({ action: 'raise', amount: expect.any(Number) });
+        expect(raise.amount).toBeGreaterThanOrEqual(40);
+
+        const junk = tag.decide(holdemView({ hole: [card(7, 'S'), card(2, 'H')], street: 'preflop', currentBet: 80, toCall: 70 }), { rng: seededRng() });
+        expect(junk).toEqual({ action: 'fold' });
+    });
+
+    test('calls only when equity beats the pot odds', () => {
+        // Four high with no draw facing a pot-sized bet: not enough equity
+        const weak = holdemView({
+            hole: [card(3, 'S'), card(4, 'H')],
+            community: [card(14, 'D'), card(13, 'C'), card(9, 'H')],
+            pot: 200, currentBet: 100, toCall: 100
+        });
+        expect(tag.decide(weak, { rng: seededRng() })).toEqual({ action: 'fold' });
+
+        // The same hand facing a tiny bet into a big pot is a call
+        const cheap = { ...weak, pot: 1000, currentBet: 20, toCall: 20 };
+        expect(tag.decide(cheap, { rng: seededRng() })).toEqual({ action: 'call' });
+
+        // A made flush bets when checked to
+        const flush = holdemView({
+            hole: [card(14, 'S'), card(9, 'S')],
+            community: [card(2, 'S'), card(7, 'S'), card(11, 'S')]
+        });
+        expect(tag.decide(flush, { rng: seededRng() }).action).toBe('raise');
+    });
+});
+
+describe('martingale roulette', () => {
+    const martingale = STRATEGIES.roulette.martingale;
+    const view = (outcome = null) => ({
+        minBet: 10, maxBet: 100, yourSeat: 0, seats: [{ outcome }]
+    });
+
+    test('doubles after each loss and resets after a win', () => {
+        const memory = {};
+        expect(martingale.decide(view(), { memory })).toEqual({ bets: [{ kind: 'red', amount: 10 }] });
+        martingale.settle(view('lose'), memory);
+        expect(martingale.decide(view(), { memory }).bets[0].amount).toBe(20);
+        martingale.settle(view('lose'), memory);
+        expect(martingale.decide(view(), { memory }).bets[0].amount).toBe(40);
+        martingale.settle(view('win'), memory);
+        expect(martingale.decide(view(), { memory }).bets[0].amount).toBe(10);
+    });
+
+    test('starts over when the table limit or the bankroll ends the streak', () => {
+        const memory = { stake: 160, losses: 4 };
+        expect(martingale.decide(view(), { memory }).bets[0].amount).toBe(10);
+
+        const broke = { stake: 80, losses: 3 };
+        expect(martingale.decide(view(), { memory: broke, balance: 50 }).bets[0].amount).toBe(10);
+    });
+});
+
+describe('per-guild selection', () => {
+    test('defaults to the AI and stores a profile per game', async () => {
+        expect(await getStrategy(GUILD, 'blackjack')).toBe('ai');
+        expect(await setStrategy({ guildId: GUILD, gameType: 'blackjack', strategy: 'Basic', userId: ALICE })).toBe('basic');
+        expect(await getStrategy(GUILD, 'blackjack')).toBe('basic');
+        expect(await listStrategies(GUILD)).toEqual({ blackjack: 'basic', holdem: 'ai', roulette: 'ai' });
+
+        await setStrategy({ guildId: GUILD, gameType: 'blackjack', strategy: 'ai' });
+        expect(await getStrategy(GUILD, 'blackjack')).toBe('ai');
+    });
+
+    test('a profile from another game is rejected', async () => {
+        await expect(setStrategy({ guildId: GUILD, gameType: 'roulette', strategy: 'basic' }))
+            .rejects.toMatchObject({ code: 'BAD_STRATEGY' });
+    });
+});
+
+describe('BotPlayer with a profile', () => {
+    let manager;
+    let bot;
+
+    beforeEach(() => {
+        manager = new TableManager();
+        bot = new BotPlayer({
+            tableManager: manager,
+            client: { user: { id: BOT_ID } },
+            config: { activity: { bot: { enabled: true, voiceComments: false } } },
+            logger: { info() {}, warn() {}, error() {} },
+            actDelayMs: 0,
+            commentCooldownMs: 0,
+            rng: () => 0.99,
+            voiceSessions: { getSession: () => null },
+            getVoiceConnection: () => null
+        });
+    });
+
+    afterEach(() => {
+        bot.stop();
+        manager.stop();
+        jest.restoreAllMocks();
+    });
+
+    async function waitUntil(predicate, timeoutMs = 3000) {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            if (await predicate()) return true;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return false;
+    }
+
+    test('plays a blackjack hand by the chart without asking the model', async () => {
+        await setStrategy({ guildId: GUILD, gameType: 'blackjack', strategy: 'basic' });
+        const table = await manager.getTable({ guildId: GUILD, channelId: '810000000000000020', gameType: 'blackjack' });
+        const original = table.engine.applyAction.bind(table.engine);
+        jest.spyOn(table.engine, 'applyAction').mockImplementation((state, action) => original(state, action, () => 0.999999));
+
+        await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit' });
+        await bot.invite(table);
+        await manager.act({ table, userId: ALICE, action: 'bet', amount: 100 });
+
+        expect(await waitUntil(() => table.state.phase === 'settled')).toBe(true);
+        const botSeat = table.state.seats.find(s => s && s.userId === BOT_ID);
+        // Flat minimum bet, and a stand on 20
+        expect(botSeat.totalWagered).toBe(table.state.minBet);
+        expect(botSeat.standing).toBe(true);
+        expect(aiService.chatText).not.toHaveBeenCalled();
+    });
+});
+
+describe('simulation harness', () => {
+    test('the same seed replays the same run', () => {
+        const run = () => simulate({ gameType: 'blackjack', strategy: 'basic', hands: 300, seed: 'replay' });
+        const first = run();
+        expect(first.hands).toBe(300);
+        expect(first.stuck).toBe(false);
+        expect(run()).toEqual(first);
+        expect(simulate({ gameType: 'blackjack', strategy: 'basic', hands: 300, seed: 'other' }).players[0].net)
+            .not.toBe(first.players[0].net);
+    });
+
+    test('reports the house edge and bankroll drift', () => {
+        const result = simulate({ gameType: 'blackjack', strategy: 'basic', hands: 1000, seed: 'edge' });
+        const [seat] = result.players;
+        expect(seat.handsPlayed).toBe(1000);
+        expect(seat.wagered).toBeGreaterThanOrEqual(1000 * 10);
+        expect(result.houseEdge).toBeCloseTo(-seat.net / seat.wagered, 10);
+        expect(Math.abs(result.houseEdge)).toBeLessThan(0.1);
+        expect(seat.low).toBeLessThanOrEqual(Math.min(seat.startBankroll, seat.endBankroll));
+        expect(seat.drift[0]).toBe(seat.startBankroll);
+        expect(seat.drift.length).toBeGreaterThan(10);
+    });
+
+    test('a martingale on a short bankroll busts out', () => {
+        const result = simulate({ gameType: 'roulette', strategy: 'martingale', hands: 5000, bankroll: 300, seed: 'tilt' });
+        const [seat] = result.players;
+        expect(seat.bustedAt).not.toBeNull();
+        expect(seat.endBankroll).toBeLessThan(10);
+        expect(result.hands).toBe(seat.bustedAt);
+    });
+
+    test("hold'em is zero-sum between the seats", () => {
+        const result = simulate({ gameType: 'holdem', strategy: 'tag', opponents: ['station'], hands: 40, seed: 'heads-up' });
+        expect(result.hands).toBe(40);
+        expect(result.players.map(p => p.strategy)).toEqual(['tag', 'station']);
+        expect(result.players[0].net + result.players[1].net).toBe(0);
+        expect(result.houseEdge).toBe(0);
+    });
+
+    test('unknown games and profiles are rejected', () => {
+        expect(() => simulate({ gameType: 'baccarat', strategy: 'basic' })).toThrow(expect.objectContaining({ code: 'BAD_GAME' }));
+        expect(() => simulate({ gameType: 'roulette', strategy: 'basic' })).toThrow(expect.objectContaining({ code: 'BAD_STRATEGY' }));
+    });
+});
@@ -0,0 +1,324 @@
+/**
+ * The campaign linter: story-graph analysis on top of questLoader's
+ * per-file validation - reachability, soft-locks, clocks that can never
+ * fill, items, trophies, chapter gates, twist forks, and the diagrams.
+ */
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const YAML = require('yaml');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const campaignLinter = require('@goobster/core/services/tavern/campaignLinter');
+
+/** start -> middle -> (end) finale; plus a danger clock that ends it. */
+const baseQuest = () => ({
+    id: 'lint-quest',
+    title: 'Lint Quest',
+    hook: 'Testing.',
+    players: { min: 1, max: 2 },
+    start: 'start',
+    clocks: [
+        { id: 'progress', name: 'Progress', size: 3, kind: 'progress' },
+        { id: 'doom', name: 'Doom', size: 4, kind: 'danger', onFull: { end: 'ruin' } }
+    ],
+    scenes: {
+        start: {
+            id: 'start', title: 'Start', text: 'A scene.',
+            options: [{ key: 'go', label: 'Go on', goto: 'middle' }]
+        },
+        middle: {
+            id: 'middle', title: 'Middle', text: 'A scene.',
+            options: [
+                { key: 'win', label: 'Win', stat: 'might', dc: 'routine',
+                    success: { text: 'yes', effects: { end: 'triumph', item: 'Shiny Rock' } },
+                    failure: { text: 'no', effects: { damage: 1 } } },
+                { key: 'leave', label: 'Leave', end: 'triumph' }
+            ]
+        }
+    },
+    endings: {
+        triumph: { id: 'triumph', title: 'Triumph', text: 'Yay.', trophy: 'Medal' },
+        ruin: { id: 'ruin', title: 'Ruin', text: 'Boo.', trophy: 'Ashes' }
+    }
+});
+
+const codes = report => report.findings.map(item => item.code);
+const byCode = (report, code) => report.findings.filter(item => item.code === code);
+
+describe('built-in campaigns', () => {
+    test('every built-in campaign lints with zero errors and zero warnings', () => {
+        for (const quest of Object.values(questLoader.getQuests())) {
+            const report = campaignLinter.lintQuest(quest);
+            expect({ quest: quest.id, counts: report.counts }).toEqual({
+                quest: quest.id,
+                counts: expect.objectContaining({ error: 0, warning: 0 })
+            });
+            expect(report.stats.reachableScenes).toBe(report.stats.scenes);
+            expect(report.stats.reachableEndings).toBe(report.stats.endings);
+        }
+    });
+
+    test('Signal in the Salt reports its chapter gate', () => {
+        const report = campaignLinter.lintQuest(questLoader.getQuest('signal-in-the-salt'));
+        expect(report.requires).toEqual(['missing-bell-of-brinewatch']);
+    });
+});
+
+describe('lintQuest', () => {
+    test('a clean quest: every scene and ending reachable, paths enumerated', () => {
+        const report = campaignLinter.lintQuest(baseQuest(), { quests: {} });
+        expect(report.valid).toBe(true);
+        expect(report.counts.error).toBe(0);
+        expect(report.counts.warning).toBe(0);
+        const triumph = report.endings.find(e => e.id === 'triumph');
+        expect(triumph.reachable).toBe(true);
+        expect(triumph.shortest).toEqual(['start', 'middle']);
+        // The danger clock fills from freeform failures anywhere
+        const ruin = report.endings.find(e => e.id === 'ruin');
+        expect(ruin.viaClock).toEqual(['doom']);
+        expect(report.reachability.clocks.doom).toEqual(expect.objectContaining({ fillable: true, repeatable: true }));
+    });
+
+    test('invalid quests report the loader errors instead of a graph', () => {
+        const quest = baseQuest();
+        quest.scenes.start.options[0].goto = 'nowhere';
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(report.valid).toBe(false);
+        expect(codes(report)).toEqual(['invalid']);
+        expect(report.findings[0].message).toMatch(/unknown scene 'nowhere'/);
+    });
+
+    test('unreachable scenes and endings', () => {
+        const quest = baseQuest();
+        quest.scenes.attic = {
+            id: 'attic', title: 'Attic', text: 'Dusty.',
+            options: [{ key: 'down', label: 'Down', end: 'secret' }]
+        };
+        quest.endings.secret = { id: 'secret', title: 'Secret', text: 'Shh.', trophy: 'Key' };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(byCode(report, 'unreachable-scene').map(f => f.scene)).toEqual(['attic']);
+        expect(byCode(report, 'unreachable-ending')[0].message).toMatch(/'secret'/);
+    });
+
+    test('a scene with no way to any ending is a soft-lock', () => {
+        const quest = baseQuest();
+        quest.clocks = [{ id: 'progress', name: 'Progress', size: 3, kind: 'progress' }];
+        quest.scenes.start.options.push({ key: 'pit', label: 'Jump in the pit', goto: 'pit' });
+        quest.scenes.pit = {
+            id: 'pit', title: 'Pit', text: 'Deep.',
+            options: [{ key: 'wail', label: 'Wail', stat: 'heart', dc: 'routine',
+                success: { text: 'echo', effects: { goto: 'pit' } }, failure: { text: 'silence' } }]
+        };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(byCode(report, 'soft-lock').map(f => f.scene)).toEqual(['pit']);
+        expect(report.findings[0].severity).toBe('error');
+    });
+
+    test('a scene only a danger clock can end warns as a clock-only exit', () => {
+        const quest = baseQuest();
+        quest.scenes.start.options.push({ key: 'pit', label: 'Jump in the pit', goto: 'pit' });
+        quest.scenes.pit = {
+            id: 'pit', title: 'Pit', text: 'Deep.',
+            options: [{ key: 'wail', label: 'Wail', stat: 'heart', dc: 'routine',
+                success: { text: 'echo' }, failure: { text: 'silence' } }]
+        };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(codes(report)).not.toContain('soft-lock');
+        const warning = byCode(report, 'clock-only-exit');
+        expect(warning.map(f => f.scene)).toEqual(['pit']);
+        expect(warning[0].message).toMatch(/filling 'doom'/);
+    });
+
+    test('exits that once-options can use up without leaving', () => {
+        const quest = baseQuest();
+        quest.scenes.middle.options = [
+            { key: 'win', label: 'Win', stat: 'might', dc: 'routine', once: true,
+                success: { text: 'yes', effects: { end: 'triumph' } }, failure: { text: 'no' } }
+        ];
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(byCode(report, 'exhaustible-exits').map(f => f.scene)).toEqual(['middle']);
+
+        // A once-check that travels on both branches always gets the party out
+        quest.scenes.middle.options[0].failure.effects = { end: 'ruin' };
+        expect(codes(campaignLinter.lintQuest(quest, { quests: {} }))).not.toContain('exhaustible-exits');
+    });
+
+    test('a once travel option in a scene the party can return to is exhaustible', () => {
+        const quest = baseQuest();
+        quest.scenes.start.options = [{ key: 'go', label: 'Go on', goto: 'middle', once: true }];
+        quest.scenes.middle.options.push({ key: 'back', label: 'Back', goto: 'start' });
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        const warning = byCode(report, 'exhaustible-exits');
+        expect(warning.map(f => f.scene)).toEqual(['start']);
+        expect(warning[0].message).toMatch(/second visit/);
+    });
+
+    test('clocks: never ticked, and one-shot ticks that cannot add up to the size', () => {
+        const quest = baseQuest();
+        // Freeform ticks the FIRST progress clock, so a second one relies on authored ticks
+        quest.clocks.push({ id: 'ritual', name: 'Ritual', size: 4, kind: 'progress', onFull: { goto: 'start' } });
+        quest.clocks.push({ id: 'idle', name: 'Idle', size: 2, kind: 'progress' });
+        quest.scenes.middle.options[0].failure.effects = { clock: { id: 'ritual', delta: 2 } };
+        quest.scenes.middle.options[0].once = true;
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(byCode(report, 'clock-never-ticks')[0].message).toMatch(/'idle'/);
+        const dead = byCode(report, 'clock-never-fills');
+        expect(dead).toHaveLength(1);
+        expect(dead[0].message).toMatch(/'ritual' can reach at most 2\/4 - its onFull never fires/);
+
+        // Make the option reusable and the ritual fills
+        quest.scenes.middle.options[0].once = false;
+        const fixed = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(codes(fixed)).not.toContain('clock-never-fills');
+        expect(fixed.reachability.clocks.ritual.fillable).toBe(true);
+    });
+
+    test('a clock that fills opens the scene its onFull points at', () => {
+        const quest = baseQuest();
+        quest.clocks[1].onFull = { goto: 'vault' };
+        quest.scenes.vault = {
+            id: 'vault', title: 'Vault', text: 'Gold.',
+            options: [{ key: 'out', label: 'Out', end: 'ruin' }]
+        };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(report.reachability.scenes).toContain('vault');
+        expect(codes(report)).not.toContain('unreachable-scene');
+    });
+
+    test('items, trophies, and flags', () => {
+        const quest = baseQuest();
+        quest.items = { 'Healing Salve': { use: { heal: 2 } } };
+        quest.scenes.middle.options[0].failure.effects = { flag: { key: 'fled', value: true } };
+        quest.scenes.middle.options.push({ key: 'pray', label: 'Pray', stat: 'heart', dc: 'routine',
+            bonus: { item: 'Holy Symbol', value: 2 },
+            success: { text: 'ok' }, failure: { text: 'hm' } });
+        delete quest.endings.ruin.trophy;
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(byCode(report, 'item-never-granted')[0].message).toMatch(/'Healing Salve'/);
+        expect(byCode(report, 'item-unused')[0].message).toMatch(/'Shiny Rock'/);
+        expect(byCode(report, 'bonus-item-not-granted')[0].message).toMatch(/'Holy Symbol'/);
+        expect(byCode(report, 'no-trophy')[0].message).toMatch(/'ruin'/);
+        expect(byCode(report, 'write-only-flag')[0].message).toMatch(/'fled'.*nothing reads flags/);
+    });
+
+    test('requires gates: missing, hidden, and cyclic chapters', () => {
+        const quest = { ...baseQuest(), requires: 'prequel' };
+        expect(codes(campaignLinter.lintQuest(quest, { quests: {} }))).toContain('requires-missing');
+
+        const hidden = { ...baseQuest(), id: 'prequel', hidden: true };
+        expect(codes(campaignLinter.lintQuest(quest, { quests: { prequel: hidden } }))).toContain('requires-hidden');
+
+        const looping = { ...baseQuest(), id: 'prequel', requires: 'lint-quest' };
+        const report = campaignLinter.lintQuest(quest, { quests: { prequel: looping, 'lint-quest': quest } });
+        expect(byCode(report, 'requires-cycle')[0].message).toMatch(/lint-quest → prequel → lint-quest/);
+    });
+
+    test('twist forks are entered at their new scenes', () => {
+        const canonical = baseQuest();
+        const fork = baseQuest();
+        fork.id = 'lint-quest--twist-7';
+        fork.canonicalId = 'lint-quest';
+        fork.hidden = true;
+        fork.scenes.detour = {
+            id: 'detour', title: 'Detour', text: 'A twist.',
+            options: [{ key: 'rejoin', label: 'Rejoin', goto: 'middle' }]
+        };
+        const report = campaignLinter.lintQuest(fork, { quests: { 'lint-quest': canonical } });
+        expect(report.reachability.roots).toEqual([
+            { sceneId: 'start', via: 'start' },
+            { sceneId: 'detour', via: 'twist' }
+        ]);
+        expect(codes(report)).not.toContain('unreachable-scene');
+
+        // Without its canonical quest the fork's new scene looks orphaned
+        const orphan = campaignLinter.lintQuest(fork, { quests: {} });
+        expect(codes(orphan)).toEqual(expect.arrayContaining(['fork-orphaned', 'unreachable-scene']));
+    });
+
+    test('path counts stop at the cap', () => {
+        const quest = baseQuest();
+        // A chain of diamonds (fork into two scenes that rejoin) doubles the paths per diamond
+        const diamonds = 10;
+        const join = i => (i < diamonds ? { goto: `join-${i}` } : { end: 'triumph' });
+        quest.scenes.start.options = [{ key: 'go', label: 'Go', goto: 'join-0' }];
+        for (let i = 0; i < diamonds; i++) {
+            quest.scenes[`join-${i}`] = {
+                id: `join-${i}`, title: `Join ${i}`, text: 'A fork.',
+                options: [{ key: 'left', label: 'Left', goto: `left-${i}` }, { key: 'right', label: 'Right', goto: `right-${i}` }]
+            };
+            for (const side of ['left', 'right']) {
+                quest.scenes[`${side}-${i}`] = {
+                    id: `${side}-${i}`, title: `${side} ${i}`, text: 'Onward.',
+                    options: [{ key: 'on', label: 'On', ...join(i + 1) }]
+                };
+            }
+        }
+        quest.scenes[`join-${diamonds}`] = {
+            id: `join-${diamonds}`, title: 'Last', text: 'Done.',
+            options: [{ key: 'finish', label: 'Finish', end: 'triumph' }]
+        };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        expect(report.stats.pathsCapped).toBe(true);
+        expect(report.stats.paths).toBe(campaignLinter.MAX_PATHS);
+    });
+});
+
+describe('diagrams and reports', () => {
+    test('Mermaid: scenes, endings, dotted clock edges, and highlighted problems', () => {
+        const quest = baseQuest();
+        quest.scenes.attic = {
+            id: 'attic', title: 'The "Attic"', text: 'Dusty.',
+            options: [{ key: 'down', label: 'Down', goto: 'start' }]
+        };
+        const report = campaignLinter.lintQuest(quest, { quests: {} });
+        const mermaid = campaignLinter.toMermaid(quest, report);
+        expect(mermaid).toMatch(/^flowchart TD/);
+        expect(mermaid).toContain('s_start -->|"Go on"| s_middle');
+        expect(mermaid).toContain('s_middle -->|"Win (success) / Leave"| e_triumph');
+        expect(mermaid).toContain('c_doom -.->|"Doom full"| e_ruin');
+        expect(mermaid).toContain('s_attic["The #quot;Attic#quot;"]');
+        expect(mermaid).toContain('class s_attic unreachable');
+    });
+
+    test('DOT: a digraph with escaped labels', () => {
+        const quest = baseQuest();
+        const dot = campaignLinter.toDot(quest, campaignLinter.lintQuest(quest, { quests: {} }));
+        expect(dot).toMatch(/^digraph "lint-quest" \{/);
+        expect(dot).toContain('s_start -> s_middle [label="Go on"];');
+        expect(dot).toContain('e_triumph [shape=doubleoctagon, label="Triumph\\n🏆 Medal"];');
+        expect(dot).toContain('c_doom -> e_ruin [label="Doom full", style=dotted];');
+        expect(dot.trim().endsWith('}')).toBe(true);
+    });
+
+    test('formatReport summarizes counts, findings, and endings', () => {
+        const quest = baseQuest();
+        delete quest.endings.ruin.trophy;
+        const text = campaignLinter.formatReport(campaignLinter.lintQuest(quest, { quests: {} }));
+        expect(text).toContain('📜 Lint Quest (lint-quest)');
+        expect(text).toContain('Scenes 2/2 reachable · endings 2/2 reachable');
+        expect(text).toContain('[no-trophy]');
+        expect(text).toContain('🏁 triumph - 1 path, shortest: start → middle (🏆 Medal)');
+    });
+
+    test('lintCampaignDir lints a directory the loader would skip', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-lint-'));
+        try {
+            const { scenes, endings, ...meta } = baseQuest();
+            meta.start = 'missing';
+            fs.mkdirSync(path.join(dir, 'scenes'));
+            fs.writeFileSync(path.join(dir, 'quest.yaml'), YAML.stringify(meta));
+            fs.writeFileSync(path.join(dir, 'endings.yaml'), YAML.stringify(Object.values(endings)));
+            for (const scene of Object.values(scenes)) {
+                fs.writeFileSync(path.join(dir, 'scenes', `${scene.id}.yaml`), YAML.stringify(scene));
+            }
+            const report = campaignLinter.lintCampaignDir(dir, { quests: {} });
+            expect(report.valid).toBe(false);
+            expect(report.findings[0].message).toMatch(/start must name an existing scene/);
+
+            fs.writeFileSync(path.join(dir, 'quest.yaml'), YAML.stringify({ ...meta, start: 'start' }));
+            expect(campaignLinter.lintCampaignDir(dir, { quests: {} }).valid).toBe(true);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Self-service data export (services/dataExportService.js, /export-my-data)
+ * and the ZIP writer it packs with (utils/zipArchive.js), against a
+ * throwaway SQLite database and temporary export/upload directories.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-export-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+// Seeded ids look like real snowflakes: keep every file under tmp
+const TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-export-test-'));
+process.env.GOOBSTER_UPLOADS_DIR = path.join(TEST_ROOT, 'uploads');
+process.env.GOOBSTER_EXPORTS_DIR = path.join(TEST_ROOT, 'exports');
+
+const db = require('@goobster/core/db');
+const { ZipWriter, readZip } = require('@goobster/core/utils/zipArchive');
+const { DataExportService, SECTIONS } = require('@goobster/core/services/dataExportService');
+const privacyService = require('@goobster/core/services/privacyService');
+const webUploads = require('@goobster/core/utils/webUploads');
+
+const USER = '100000000000000001';
+const OTHER = '100000000000000002';
+const GUILD = '200000000000000001';
+const EXPORTS = process.env.GOOBSTER_EXPORTS_DIR;
+
+// 1x1 transparent PNG
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+async function seed() {
+    await db.run(`INSERT INTO users (discordUsername, discordId, username) VALUES ('rob', @id, 'rob')`, { id: USER });
+    const rob = (await db.get('SELECT id FROM users WHERE discordId = @id', { id: USER })).id;
+    await db.run(`INSERT INTO conversations (id, userId) VALUES (10, @rob)`, { rob });
+    await db.run(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, 'hi from rob', 0, @rob)`, { rob });
+
+    for (const [userId, content] of [[USER, 'rob memory'], [OTHER, 'alice memory']]) {
+        await db.run(`INSERT INTO memory_embeddings (guildId, authorId, authorName, content, embedding, dims, model)
+                VALUES (@g, @u, 'x', @content, x'00000000', 1, 'test/model')`, { g: GUILD, u: userId, content });
+    }
+    await db.run(`INSERT INTO facts (guildId, subjectType, subjectId, content) VALUES (@g, 'USER', @u, 'Rob likes trains')`, { g: GUILD, u: USER });
+
+    await db.run(`INSERT INTO kg_nodes (id, guildId, scopeKey, label) VALUES (1, @g, @s, 'trains'), (2, @g, @s, 'Pi cluster')`,
+        { g: GUILD, s: `USER:${USER}` });
+    await db.run(`INSERT INTO kg_edges (guildId, scopeKey, sourceId, targetId, relation) VALUES (@g, @s, 1, 2, 'powers')`,
+        { g: GUILD, s: `USER:${USER}` });
+
+    const persona = await db.get(`INSERT INTO parlor_personas (ownerId, name, charter) VALUES (@u, 'Sage', 'be wise') RETURNING id`, { u: USER });
+    await db.run(`INSERT INTO parlor_notes (personaId, title, content, embedding) VALUES (@p, 'Stoics', 'Marcus Aurelius', x'00000000')`, { p: persona.id });
+
+    await db.run(`INSERT INTO mtga_decks (userId, name, rawText) VALUES (@u, 'Mono Red', '20 Mountain')`, { u: USER });
+    await db.run(`INSERT INTO economy_wallets (guildId, userId, balance) VALUES (@g, @u, 1200)`, { g: GUILD, u: USER });
+    await db.run(`INSERT INTO economy_transactions (guildId, userId, amount, balanceAfter, type) VALUES (@g, @u, 200, 1200, 'daily')`, { g: GUILD, u: USER });
+    await db.run(`INSERT INTO economy_transactions (guildId, userId, amount, balanceAfter, type) VALUES (@g, @u, 50, 50, 'daily')`, { g: GUILD, u: OTHER });
+    await db.run(`INSERT INTO tavern_characters (guildId, userId, name, origin, calling, complication)
+            VALUES (@g, @u, 'Brakka', 'Hill clan', 'Warden', 'Owes the guild')`, { g: GUILD, u: USER });
+
+    // Credentials and a not-yet-revealed seed must never leave the database
+    await db.run(`INSERT INTO user_integrations (userId, provider, token) VALUES (@u, 'github', 'ghp_secret')`, { u: USER });
+    await db.run(`INSERT INTO fair_seeds (guildId, userId, serverSeed, serverSeedHash, clientSeed)
+            VALUES (@g, @u, 'unrevealed-seed', 'hash', 'client')`, { g: GUILD, u: USER });
+
+    webUploads.saveDataUrlImage(USER, PNG_DATA_URL);
+}
+
+beforeAll(async () => {
+    await seed();
+});
+
+afterAll(async () => {
+    fs.rmSync(TEST_ROOT, { recursive: true, force: true });
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        fs.rmSync(TEST_DB + suffix, { force: true });
+    }
+});
+
+function service(overrides = {}) {
+    return new DataExportService({ cooldownMs: 0, publicUrl: null, ...overrides });
+}
+
+function unpack(created) {
+    return readZip(fs.readFileSync(created.path));
+}
+
+function json(entries, name) {
+    return JSON.parse(entries.get(name).toString('utf8'));
+}
+
+describe('zipArchive', () => {
+    test('round-trips deflated and stored entries with UTF-8 names', () => {
+        const file = path.join(TEST_ROOT, 'roundtrip.zip');
+        const zip = new ZipWriter(file);
+        const text = 'the same line\n'.repeat(200);
+        const random = require('node:crypto').randomBytes(512);
+        zip.addBuffer('data/notes.json', text);
+        zip.addBuffer('files/ünïcode naïve.bin', random);
+        zip.addBuffer('../../escape/attempt.txt', 'contained');
+        const size = zip.close();
+
+        expect(fs.statSync(file).size).toBe(size);
+        // Repetitive text deflates; random bytes are stored as-is
+        expect(size).toBeLessThan(text.length + random.length);
+        const entries = readZip(fs.readFileSync(file));
+        expect([...entries.keys()]).toEqual(['data/notes.json', 'files/ünïcode naïve.bin', 'escape/attempt.txt']);
+        expect(entries.get('data/notes.json').toString()).toBe(text);
+        expect(entries.get('files/ünïcode naïve.bin').equals(random)).toBe(true);
+    });
+
+    test('rejects duplicate names and corrupt archives', () => {
+        const zip = new ZipWriter(path.join(TEST_ROOT, 'dupes.zip'));
+        zip.addBuffer('a.txt', 'one');
+        expect(() => zip.addBuffer('./a.txt', 'two')).toThrow(/Duplicate/);
+        zip.abort();
+        expect(fs.existsSync(path.join(TEST_ROOT, 'dupes.zip'))).toBe(false);
+        expect(() => readZip(Buffer.from('not a zip at all'))).toThrow(/Not a ZIP/);
+    });
+});
+
+describe('archive contents', () => {
+    test('covers every table privacyService.auditUser counts', async () => {
+        const { byTable } = await privacyService.auditUser({ userId: USER });
+        const exported = new Set(SECTIONS.flatMap(section => section.tables.map(table => table.audit).filter(Boolean)));
+        // Counters of files on disk are covered by the files/ tree (or are the archives themselves)
+        const fileCounters = ['observatory_workspaces', 'web_upload_files', 'data_export_files'];
+        const missing = Object.keys(byTable).filter(key => !exported.has(key) && !fileCounters.includes(key));
+        expect(missing).toEqual([]);
+    });
+
+    test('JSON per area plus original files, with credentials redacted', async () => {
+        const created = await service().createExport({ userId: USER, via: 'web' });
+        const entries = unpack(created);
+
+        const manifest = json(entries, 'manifest.json');
+        expect(manifest).toMatchObject({ format: 'goobster-data-export', version: 1, userId: USER });
+        expect(manifest.rowCount).toBe(created.rowCount);
+        expect(entries.has('README.txt')).toBe(true);
+
+        const memories = json(entries, 'data/memories.json');
+        expect(memories.memories.map(m => m.content)).toEqual(['rob memory']);
+        expect(memories.memories[0]).not.toHaveProperty('embedding');
+        expect(memories.facts[0].content).toBe('Rob likes trains');
+
+        const graph = json(entries, 'data/knowledge_graph.json');
+        expect(graph.nodes.map(n => n.label)).toEqual(['trains', 'Pi cluster']);
+        expect(graph.edges[0]).toMatchObject({ sourceId: 1, targetId: 2, relation: 'powers' });
+
+        expect(json(entries, 'data/conversations.json').messages.map(m => m.message)).toEqual(['hi from rob']);
+        const parlor = json(entries, 'data/parlor.json');
+        expect(parlor.personas[0].name).toBe('Sage');
+        expect(parlor.notes[0]).toMatchObject({ title: 'Stoics', content: 'Marcus Aurelius' });
+        expect(json(entries, 'data/mtga.json').decks[0].rawText).toBe('20 Mountain');
+        const economy = json(entries, 'data/economy.json');
+        expect(economy.transactions).toHaveLength(1);
+        expect(economy.wallets[0].balance).toBe(1200);
+        expect(economy.fairSeeds[0].serverSeed).toBe('[redacted]');
+        expect(economy.fairSeeds[0].serverSeedHash).toBe('hash');
+        expect(json(entries, 'data/tavern.json').characters[0].name).toBe('Brakka');
+        expect(json(entries, 'data/profile.json').integrations[0]).toMatchObject({ provider: 'github', token: '[redacted]' });
+        expect(manifest.redacted).toEqual(expect.arrayContaining(['profile.integrations.token', 'economy.fairSeeds.serverSeed']));
+
+        // The uploaded chat image, byte for byte
+        const upload = [...entries.keys()].find(name => name.startsWith('files/web-uploads/'));
+        expect(upload).toBeDefined();
+        const png = Buffer.from(PNG_DATA_URL.split(',')[1], 'base64');
+        expect(entries.get(upload).equals(png)).toBe(true);
+        expect(manifest.files).toEqual([{ path: upload, bytes: png.length }]);
+
+        expect([...entries.values()].some(data => data.includes('ghp_secret') || data.includes('unrevealed-seed'))).toBe(false);
+        expect([...entries.values()].some(data => data.includes('alice memory'))).toBe(false);
+    });
+
+    test('symlinks in a workspace are not followed', async () => {
+        const workspace = path.join(TEST_ROOT, 'workspace');
+        fs.mkdirSync(workspace, { recursive: true });
+        fs.writeFileSync(path.join(workspace, 'result.csv'), 'x,y\n1,2\n');
+        fs.symlinkSync('/etc/hostname', path.join(workspace, 'sneaky'));
+        const created = await service({
+            fileSources: async () => [
+                { archivePath: 'files/observatory/projects/sim/result.csv', absolutePath: path.join(workspace, 'result.csv') },
+                { archivePath: 'files/observatory/projects/sim/sneaky', absolutePath: path.join(workspace, 'sneaky') }
+            ]
+        }).createExport({ userId: USER, via: 'discord' });
+
+        const entries = unpack(created);
+        expect(entries.get('files/observatory/projects/sim/result.csv').toString()).toBe('x,y\n1,2\n');
+        expect(entries.has('files/observatory/projects/sim/sneaky')).toBe(false);
+        expect(created.fileCount).toBe(1);
+    });
+});
+
+describe('download links and the audit trail', () => {
+    test('a link downloads until it expires; each attempt is logged', async () => {
+        const exporter = service({ publicUrl: 'https://goob.example/' });
+        const created = await exporter.createExport({ userId: USER, via: 'discord' });
+        expect(created.link).toBe(`https://goob.example/app/export/${created.token}`);
+        expect(created.token).toMatch(/^[0-9a-f]{64}$/);
+        // Only the hash is stored
+        expect(await db.get('SELECT id FROM data_exports WHERE tokenHash = @t', { t: created.token })).toBeUndefined();
+
+        const file = await exporter.resolveDownload(created.token);
+        expect(file).toMatchObject({ exportId: created.id, fileName: created.fileName, path: created.path });
+        await expect(exporter.resolveDownload('f'.repeat(64))).rejects.toMatchObject({ status: 404, code: 'NOT_FOUND' });
+
+        await db.run(`UPDATE data_exports SET expiresAt = '2000-01-01 00:00:00' WHERE id = @id`, { id: created.id });
+        await expect(exporter.resolveDownload(created.token)).rejects.toMatchObject({ status: 410, code: 'EXPIRED' });
+        expect(fs.existsSync(created.path)).toBe(false);
+
+        const { exports } = await exporter.listExports(USER);
+        const entry = exports.find(item => item.id === created.id);
+        expect(entry).toMatchObject({ status: 'EXPIRED', downloadCount: 1, via: 'discord' });
+        expect(entry.events.map(event => event.action).reverse()).toEqual(['created', 'downloaded', 'denied', 'expired']);
+    });
+
+    test('expired archives are pruned from disk', async () => {
+        const exporter = service();
+        const created = await exporter.createExport({ userId: USER, via: 'web' });
+        await db.run(`UPDATE data_exports SET expiresAt = '2000-01-01 00:00:00' WHERE id = @id`, { id: created.id });
+        expect(await exporter.pruneExpired()).toBe(1);
+        expect(fs.existsSync(created.path)).toBe(false);
+    });
+
+    test('one fresh export per cooldown window', async () => {
+        const exporter = service({ cooldownMs: 10 * 60 * 1000 });
+        await expect(exporter.createExport({ userId: USER, via: 'web' })).rejects.toMatchObject({ status: 429, code: 'TOO_SOON' });
+        await expect(exporter.createExport({ userId: 'nope', via: 'web' })).rejects.toMatchObject({ code: 'BAD_USER' });
+    });
+});
+
+describe('/forget-me', () => {
+    test('deletes every archive and anonymizes the audit trail', async () => {
+        const created = await service().createExport({ userId: USER, via: 'web' });
+        expect(fs.existsSync(created.path)).toBe(true);
+
+        const counts = await privacyService.forgetUser({ userId: USER });
+        expect(counts.dataExports).toBeGreaterThan(0);
+        expect(counts.dataExportFiles).toBeGreaterThan(0);
+        expect(fs.existsSync(path.join(EXPORTS, USER))).toBe(false);
+
+        const { byTable } = await privacyService.auditUser({ userId: USER });
+        expect(byTable).toMatchObject({ data_exports: 0, data_export_events: 0, data_export_files: 0 });
+        // The trail survives without the user's id
+        const anonymous = await db.get(`SELECT COUNT(*) AS c FROM data_export_events WHERE userId IS NULL AND action = 'deleted'`);
+        expect(anonymous.c).toBe(counts.dataExports);
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * Database backups (services/backupService.js) and the engine-neutral dump
+ * format (db/logicalDump.js): online SQLite snapshots, retention rotation,
+ * schema-version checks, point-in-time restore, and dump -> load round
+ * trips - against throwaway SQLite files in a temporary directory.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+const zlib = require('node:zlib');
+const Database = require('better-sqlite3');
+
+const TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-backup-test-'));
+const TEST_DB = path.join(TEST_ROOT, 'live.sqlite');
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const { SCHEMA_VERSION } = require('@goobster/core/db/migrations');
+const logicalDump = require('@goobster/core/db/logicalDump');
+const { BackupService, selectForRetention } = require('@goobster/core/services/backupService');
+
+const GUILD = '200000000000000001';
+let dirCount = 0;
+
+/** A service writing into its own fresh directory. */
+function service(config = {}, deps = {}) {
+    const dir = path.join(TEST_ROOT, `backups-${++dirCount}`);
+    return new BackupService({
+        config: { enabled: true, dir, intervalHours: 24, keep: 7, keepWeekly: 4, ...config },
+        ...deps
+    });
+}
+
+/** Point the facade at another SQLite file (it reopens lazily). */
+async function useDatabase(filePath) {
+    await db.closeConnection();
+    process.env.GOOBSTER_DB_PATH = filePath;
+}
+
+async function seed() {
+    await db.run(`INSERT INTO users (id, discordUsername, discordId, username) VALUES (1, 'rob', '100000000000000001', 'rob')`);
+    await db.run(`INSERT INTO conversations (id, userId) VALUES (10, 1)`);
+    for (let i = 0; i < 3; i++) {
+        await db.run(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, @m, 0, 1)`, { m: `hello ${i}` });
+    }
+    await db.run(`INSERT INTO memory_embeddings (guildId, authorId, authorName, content, embedding, dims, model)
+            VALUES (@g, '100000000000000001', 'rob', 'likes trains', @e, 2, 'test/model')`,
+    { g: GUILD, e: Buffer.from(new Float32Array([0.25, -1]).buffer) });
+}
+
+beforeAll(async () => {
+    await seed();
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    fs.rmSync(TEST_ROOT, { recursive: true, force: true });
+});
+
+describe('retention and ordering', () => {
+    test('keeps the newest N plus the newest backup of each recent week', () => {
+        const now = Date.parse('2026-10-19T12:00:00Z'); // a Monday
+        const backups = [
+            '2026-10-19 03:00:00', '2026-10-18 03:00:00', '2026-10-17 03:00:00',
+            '2026-10-14 03:00:00', '2026-10-12 03:00:00',
+            '2026-10-08 03:00:00', '2026-09-01 03:00:00'
+        ].map((createdAt, i) => ({ id: `b${i}`, createdAt }));
+        const kept = selectForRetention(backups, { keep: 1, keepWeekly: 3, now });
+        // b0 newest (and this week's); b1 newest of the week of Oct 12; b5 of Oct 5; September is too old
+        expect([...kept].sort()).toEqual(['b0', 'b1', 'b5']);
+        expect([...selectForRetention(backups, { keep: 4, keepWeekly: 3, now })].sort()).toEqual(['b0', 'b1', 'b2', 'b3', 'b5']);
+        expect([...selectForRetention(backups, { keep: 1, keepWeekly: 0, now })]).toEqual(['b0']);
+    });
+
+    test('dump order puts referenced tables first', () => {
+        const parents = new Map([
+            ['messages', new Set(['conversations', 'users'])],
+            ['conversations', new Set(['users'])],
+            ['users', new Set()],
+            ['kg_nodes', new Set(['kg_nodes'])]
+        ]);
+        const order = logicalDump.orderTables(['messages', 'conversations', 'users', 'kg_nodes'], parents);
+        expect(order.indexOf('users')).toBeLessThan(order.indexOf('conversations'));
+        expect(order.indexOf('conversations')).toBeLessThan(order.indexOf('messages'));
+        expect(order).toContain('kg_nodes');
+    });
+});
+
+describe('online snapshots', () => {
+    test('a snapshot is consistent, verified, versioned and catalogued', async () => {
+        if (db.vecAvailable()) {
+            await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS memory_vec_2 USING vec0(
+                mem_id INTEGER PRIMARY KEY, bucket TEXT partition key, embedding float[2] distance_metric=cosine)`);
+        }
+        const backups = service();
+        const manifest = await backups.createBackup({ reason: 'cli' });
+        expect(manifest).toMatchObject({ kind: 'sqlite', engine: 'sqlite', reason: 'cli', integrity: 'ok', schemaVersion: SCHEMA_VERSION });
+        expect(manifest.sha256).toMatch(/^[0-9a-f]{64}$/);
+        if (db.vecAvailable()) expect(manifest.vecTables).toContain('memory_vec_2');
+
+        // Writes after the snapshot are not in it
+        await db.run(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, 'later', 0, 1)`);
+        const copy = new Database(path.join(backups.dir, manifest.fileName), { readonly: true });
+        expect(copy.prepare('SELECT COUNT(*) AS c FROM messages').get().c).toBe(3);
+        expect(copy.pragma('user_version', { simple: true })).toBe(SCHEMA_VERSION);
+        copy.close();
+        await db.run(`DELETE FROM messages WHERE message = 'later'`);
+
+        const status = backups.status();
+        expect(status.lastGood.id).toBe(manifest.id);
+        expect(status.count).toBe(1);
+        expect(status.lastFailure).toBeNull();
+        expect(await backups.verifyBackup(manifest)).toEqual({ schemaVersion: SCHEMA_VERSION, upgrade: false });
+    });
+
+    test('manual backups have a cooldown; rotation drops what the policy does not keep', async () => {
+        const backups = service({ keep: 2, keepWeekly: 0 });
+        await backups.createBackup({ reason: 'manual' });
+        await expect(backups.createBackup({ reason: 'manual' })).rejects.toMatchObject({ status: 429, code: 'TOO_SOON' });
+        await backups.createBackup({ reason: 'cli' });
+        const third = await backups.createBackup({ reason: 'cli' });
+        const kept = backups.listBackups();
+        expect(kept).toHaveLength(2);
+        expect(kept[0].id).toBe(third.id);
+        expect(fs.readdirSync(backups.dir).filter(name => name.endsWith('.sqlite'))).toHaveLength(2);
+    });
+
+    test('a failed run is recorded until the next good one', async () => {
+        const backups = service();
+        const realGetDb = db.getDb;
+        const spy = jest.spyOn(db, 'getDb').mockImplementation(() => {
+            const raw = realGetDb();
+            return { pragma: (...args) => raw.pragma(...args), backup: () => Promise.reject(new Error('disk I/O error')) };
+        });
+        await expect(backups.createBackup({ reason: 'scheduled' })).rejects.toMatchObject({ code: 'BACKUP_FAILED' });
+        spy.mockRestore();
+        expect(backups.status().lastFailure).toMatchObject({ reason: 'scheduled', message: expect.stringContaining('disk I/O error') });
+        expect(fs.readdirSync(backups.dir).filter(name => name.includes('.sqlite'))).toEqual([]);
+
+        await backups.createBackup({ reason: 'cli' });
+        expect(backups.status().lastFailure).toBeNull();
+    });
+
+    test('a scheduled run only happens once the interval has passed', async () => {
+        const backups = service({ intervalHours: 24 });
+        expect(await backups.runIfDue()).toMatchObject({ reason: 'scheduled' });
+        expect(await backups.runIfDue()).toBeNull();
+    });
+});
+
+describe('restore', () => {
+    test('tampered files and newer schemas are refused', async () => {
+        const backups = service();
+        const manifest = await backups.createBackup({ reason: 'cli' });
+        const file = path.join(backups.dir, manifest.fileName);
+
+        const handle = new Database(file);
+        handle.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+        handle.close();
+        await expect(backups.verifyBackup(manifest)).rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+
+        // Re-sign it: now only the schema version is wrong
+        const resigned = { ...manifest, sha256: require('node:crypto').createHash('sha256').update(fs.readFileSync(file)).digest('hex') };
+        fs.writeFileSync(path.join(backups.dir, `${manifest.id}.json`), JSON.stringify(resigned));
+        await expect(backups.restore({ id: manifest.id })).rejects.toMatchObject({ status: 409, code: 'SCHEMA_TOO_NEW' });
+    });
+
+    test('point-in-time restore picks the newest backup at or before the time and keeps the old file', async () => {
+        const backups = service();
+        const early = await backups.createBackup({ reason: 'cli' });
+        // Pretend the first one was taken yesterday
+        const earlyManifest = { ...early, createdAt: '2026-10-18 03:00:00' };
+        fs.writeFileSync(path.join(backups.dir, `${early.id}.json`), JSON.stringify(earlyManifest));
+        await db.run(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, 'after yesterday', 0, 1)`);
+        const late = await backups.createBackup({ reason: 'cli' });
+
+        expect(backups.resolveBackup({ at: '2026-10-18T12:00:00Z' }).id).toBe(early.id);
+        expect(backups.resolveBackup({}).id).toBe(late.id);
+        expect(() => backups.resolveBackup({ at: '2020-01-01T00:00:00Z' })).toThrow(/No backup was taken/);
+
+        const target = path.join(TEST_ROOT, 'restored.sqlite');
+        fs.writeFileSync(target, 'the database before the restore');
+        const restorer = new BackupService({ config: { ...backups.config }, dbPath: target });
+        const result = await restorer.restore({ at: '2026-10-18T12:00:00Z' });
+        expect(result.backup.id).toBe(early.id);
+        expect(fs.readFileSync(result.previous, 'utf8')).toBe('the database before the restore');
+
+        const restored = new Database(target, { readonly: true });
+        expect(restored.prepare(`SELECT COUNT(*) AS c FROM messages WHERE message = 'after yesterday'`).get().c).toBe(0);
+        restored.close();
+        await db.run(`DELETE FROM messages WHERE message = 'after yesterday'`);
+    });
+});
+
+describe('logical dumps', () => {
+    let dumpFile;
+
+    beforeAll(async () => {
+        dumpFile = path.join(TEST_ROOT, 'live.jsonl.gz');
+        await service().dumpTo(dumpFile);
+    });
+
+    afterAll(async () => {
+        await useDatabase(TEST_DB);
+    });
+
+    test('the facade source (the Postgres path) pages to the same rows as the snapshot source', async () => {
+        for (let i = 0; i < 620; i++) {
+            await db.run(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, @m, 1, 1)`, { m: `bulk ${i}` });
+        }
+        const viaFacade = await logicalDump.writeDump(logicalDump.facadeSource(db), path.join(TEST_ROOT, 'facade.jsonl.gz'));
+        const viaSnapshot = await service().dumpTo(path.join(TEST_ROOT, 'snapshot.jsonl.gz'));
+        expect(viaFacade.tables.messages).toBe(623);
+        expect(viaFacade.rowCount).toBe(viaSnapshot.rowCount);
+        await db.run(`DELETE FROM messages WHERE message LIKE 'bulk %'`);
+    });
+
+    test('a dump loads into an empty database with ids, foreign keys and blobs intact', async () => {
+        const header = await logicalDump.readDumpHeader(dumpFile);
+        expect(header).toMatchObject({ format: 'goobster-db-dump', version: 1, schemaVersion: SCHEMA_VERSION, engine: 'sqlite' });
+
+        await useDatabase(path.join(TEST_ROOT, 'fresh.sqlite'));
+        const report = await logicalDump.loadDump(db, dumpFile);
+        expect(report.tables.messages).toBe(3);
+        expect(report.skippedTables).toEqual([]);
+
+        expect((await db.all('SELECT message FROM messages ORDER BY id')).map(r => r.message)).toEqual(['hello 0', 'hello 1', 'hello 2']);
+        const memory = await db.get('SELECT embedding FROM memory_embeddings');
+        expect(Array.from(new Float32Array(memory.embedding.buffer, memory.embedding.byteOffset, 2))).toEqual([0.25, -1]);
+        // Sequences continue past the loaded ids
+        const next = await db.insert(`INSERT INTO messages (conversationId, message, isBot, createdBy) VALUES (10, 'new', 0, 1)`);
+        expect(next).toBeGreaterThan(3);
+
+        await expect(logicalDump.loadDump(db, dumpFile)).rejects.toMatchObject({ code: 'NOT_EMPTY' });
+        const replaced = await logicalDump.loadDump(db, dumpFile, { replace: true });
+        expect(replaced.rowCount).toBe(report.rowCount);
+        expect((await db.get('SELECT COUNT(*) AS c FROM messages')).c).toBe(3);
+    });
+
+    test('truncated, newer-schema and foreign dumps are refused without touching the target', async () => {
+        await useDatabase(path.join(TEST_ROOT, 'guarded.sqlite'));
+
+        const lines = zlib.gunzipSync(fs.readFileSync(dumpFile)).toString('utf8').trimEnd().split('\n');
+        const truncated = path.join(TEST_ROOT, 'truncated.jsonl.gz');
+        fs.writeFileSync(truncated, zlib.gzipSync(lines.slice(0, -1).join('\n')));
+        await expect(logicalDump.loadDump(db, truncated)).rejects.toMatchObject({ code: 'TRUNCATED' });
+        expect((await db.get('SELECT COUNT(*) AS c FROM users')).c).toBe(0);
+
+        const header = JSON.parse(lines[0]);
+        const newer = path.join(TEST_ROOT, 'newer.jsonl.gz');
+        fs.writeFileSync(newer, zlib.gzipSync([JSON.stringify({ ...header, schemaVersion: SCHEMA_VERSION + 1 }), ...lines.slice(1)].join('\n')));
+        await expect(logicalDump.loadDump(db, newer)).rejects.toMatchObject({ code: 'SCHEMA_TOO_NEW' });
+
+        const foreign = path.join(TEST_ROOT, 'foreign.jsonl.gz');
+        fs.writeFileSync(foreign, zlib.gzipSync('{"hello":"world"}\n'));
+        await expect(logicalDump.loadDump(db, foreign)).rejects.toMatchObject({ code: 'NOT_A_DUMP' });
+    });
+
+    test('tables and columns the target no longer has are skipped and reported', async () => {
+        await useDatabase(path.join(TEST_ROOT, 'older.sqlite'));
+        const file = path.join(TEST_ROOT, 'legacy.jsonl.gz');
+        fs.writeFileSync(file, zlib.gzipSync([
+            JSON.stringify({ format: 'goobster-db-dump', version: 1, schemaVersion: 0, engine: 'postgres', createdAt: '2026-01-01T00:00:00Z' }),
+            JSON.stringify({ table: 'users', columns: ['id', 'discordUsername', 'discordId', 'username', 'retiredColumn'] }),
+            JSON.stringify([7, 'alice', '100000000000000002', 'alice', 'gone']),
+            JSON.stringify({ table: 'retired_table', columns: ['id'] }),
+            JSON.stringify([1]),
+            JSON.stringify({ end: true, rowCount: 2, tables: { users: 1, retired_table: 1 } })
+        ].join('\n')));
+
+        const report = await logicalDump.loadDump(db, file);
+        expect(report).toMatchObject({ engine: 'postgres', rowCount: 1, skippedTables: ['retired_table'], droppedColumns: { users: ['retiredColumn'] } });
+        expect(await db.get('SELECT username FROM users WHERE id = 7')).toEqual({ username: 'alice' });
+    });
+});
@@ -15,7 +15,7 @@ process.env.GOOBSTER_DB_PATH = path.join(os.tmpdir(), `goobster-dm-commands-test
 // async side effects at load time. Mock it out - this spec only checks
 // command metadata. (config.json is provided by tests/setup/globalSetup.js.)
 jest.mock('@goobster/core/services/serviceManager', () => ({
-    voiceService: { musicService: null }
+    voiceService: { musicPlayers: null }
 }));
 jest.mock('@goobster/core/services/spotdl/spotdlService', () => class SpotDLServiceMock {});
 
@@ -35,6 +35,7 @@ const DM_ALLOWED = [
     'commands/utility/memeMode.js',
     'commands/utility/forgetMe.js',
     'commands/utility/whatDoYouKnowAboutMe.js',
+    'commands/utility/exportMyData.js',
     // The "DM admin" settings: the DM user administers their own scope
     'commands/settings/personalitydirective.js',
     'commands/settings/aisettings.js',
@@ -0,0 +1,195 @@
+/**
+ * Backtests: rule-based strategies replayed over daily closes with premiums
+ * priced off trailing realized volatility, and the cached mode that rebuilds
+ * closes from stored `stock_prices` snapshots so a run is reproducible
+ * offline. Nothing here trades.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-exchange-backtest-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const stockService = require('@goobster/core/services/stockService');
+const optionsMarket = require('@goobster/core/services/exchange/optionsMarket');
+const backtestMath = require('@goobster/core/services/exchange/backtestMath');
+const backtestService = require('@goobster/core/services/exchange/backtestService');
+const toolsRegistry = require('@goobster/core/utils/toolsRegistry');
+const { VOICE_TOOL_NAMES } = require('@goobster/core/services/voice/voiceTurnShared');
+
+const MARKET = {
+    strikeIncrement: spot => optionsMarket.strikeIncrement(spot),
+    halfSpread: quote => optionsMarket.halfSpread(quote)
+};
+
+/** Weekday closes starting Monday 2026-01-05, one per value. */
+function weekdays(closes) {
+    const points = [];
+    let day = Date.UTC(2026, 0, 5);
+    for (const close of closes) {
+        while ([0, 6].includes(new Date(day).getUTCDay())) day += 86_400_000;
+        points.push({ date: new Date(day).toISOString().slice(0, 10), close });
+        day += 86_400_000;
+    }
+    return points;
+}
+
+/** A choppy but trendless series: +-3% swings around 100, ending on a Friday. */
+function chop(weeks) {
+    return weekdays(Array.from({ length: weeks * 5 }, (_, i) => 100 * (1 + 0.03 * Math.sin(i * 1.7))));
+}
+
+function run(strategy, points, overrides = {}) {
+    return backtestMath.simulate({ points, strategy, capital: 20_000, market: MARKET, ...overrides });
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+});
+
+describe('the simulation', () => {
+    test('cycles snap to the Friday expiry calendar', () => {
+        expect(backtestMath.expiryAfter('2026-01-09', 7)).toBe('2026-01-16');
+        // Opened on a Monday after a holiday: back onto that week's Friday
+        expect(backtestMath.expiryAfter('2026-01-05', 7)).toBe('2026-01-09');
+        expect(backtestMath.expiryAfter('2026-01-09', 30)).toBe('2026-02-06');
+        expect(backtestMath.expiryAfter('2026-01-09', 1)).toBe('2026-01-16');
+    });
+
+    test('periodic buys spread the capital and score each lot against the last close', () => {
+        const points = weekdays([...Array(10).fill(100), ...Array(10).fill(80), ...Array(5).fill(120)]);
+        const result = run('periodic', points, { capital: 5_000 });
+        // Weekly on 2026-01-05, 12, 19, 26, and 2026-02-02
+        expect(result.trades).toBe(5);
+        expect(result.lots.map(lot => lot.spend)).toEqual(Array(5).fill(1_000));
+        expect(result.winRate).toBe(100);
+        expect(result.end).toBeCloseTo(120 * (20 + 2 * 1_000 / 80 + 1_000 / 120), 6);
+        expect(result.buyHoldPct).toBeCloseTo(20, 6);
+    });
+
+    test('a covered call gives up the rally above its strike', () => {
+        const points = weekdays(Array.from({ length: 20 }, (_, i) => 100 + i * 2));
+        const result = run('covered-call', points, { capital: 12_000 });
+        const [first] = result.cycles;
+        expect(first).toMatchObject({ structure: 'covered call', opened: '2026-01-05', expiry: '2026-01-09', strikes: [105] });
+        // Cash-settled: the call pays out its intrinsic value at the close
+        expect(first.payoff).toBeCloseTo(-(first.close - 105) * 100, 6);
+        expect(result.cycles.every(cycle => cycle.pl < 0)).toBe(true);
+        expect(result.winRate).toBe(0);
+        expect(result.shares).toBe(100);
+    });
+
+    test('iron condors on a range-bound market: every cycle is accounted for', () => {
+        const result = run('iron-condor', chop(12));
+        expect(result.cycles.length).toBeGreaterThanOrEqual(10);
+        for (const cycle of result.cycles) {
+            expect(cycle.strikes[0]).toBeLessThan(cycle.strikes[1]);
+            expect(cycle.strikes[2]).toBeLessThan(cycle.strikes[3]);
+        }
+        expect(result.premium).toBeGreaterThan(0);
+        // The last bar is a Friday expiry, so nothing is left open and every
+        // point of equity change is a settled cycle
+        const total = result.cycles.reduce((sum, cycle) => sum + cycle.pl, 0);
+        expect(result.end - result.start).toBeCloseTo(total, 6);
+        expect(result.fees).toBeCloseTo(result.spreadCost, 6);
+    });
+
+    test('the wheel is assigned on the way down and called away on the way up', () => {
+        const points = weekdays([...Array(5).fill(100), ...Array(10).fill(85), ...Array(10).fill(115)]);
+        const result = run('wheel', points, { capital: 10_000 });
+        expect(result.cycles.map(cycle => [cycle.structure, cycle.assigned])).toEqual([
+            ['cash-secured put', false],
+            ['cash-secured put', true],
+            ['covered call', false],
+            ['covered call', true],
+            ['cash-secured put', false]
+        ]);
+        // Calls are never struck below what the assigned shares cost
+        expect(result.cycles[2].strikes[0]).toBeGreaterThanOrEqual(result.cycles[1].strikes[0]);
+        expect(result.shares).toBe(0);
+    });
+
+    test('commissions are counted on top of the house spread', () => {
+        const result = run('iron-condor', chop(4), { feePerContract: 1.5 });
+        expect(result.commissions).toBeCloseTo(result.cycles.length * 4 * 1.5, 6);
+        expect(result.fees).toBeCloseTo(result.commissions + result.spreadCost, 6);
+    });
+
+    test('drawdown is measured peak to trough', () => {
+        const curve = [100, 120, 90, 110, 60, 130].map((close, i) => ({ date: `d${i}`, close }));
+        expect(backtestMath.maxDrawdown(curve)).toEqual({ points: 60, pct: 50, peakDate: 'd1', troughDate: 'd4' });
+    });
+
+    test('bad inputs are refused', () => {
+        expect(() => run('martingale', chop(4))).toThrow(expect.objectContaining({ code: 'BAD_BACKTEST' }));
+        expect(() => run('periodic', chop(4).slice(0, 5))).toThrow(expect.objectContaining({ code: 'BAD_BACKTEST' }));
+        expect(() => run('covered-call', chop(4), { capital: 1_000 })).toThrow(expect.objectContaining({ code: 'BAD_BACKTEST' }));
+    });
+});
+
+describe('the service', () => {
+    beforeEach(async () => {
+        await db.run('DELETE FROM stock_prices');
+    });
+
+    async function snapshot(symbol, asOf, price) {
+        await db.run('INSERT INTO stock_prices (symbol, price, asOf) VALUES (@symbol, @price, @asOf)', { symbol, price, asOf });
+    }
+
+    test('cached mode rebuilds daily closes from stored snapshots, with no network', async () => {
+        const history = jest.spyOn(stockService, 'getHistory');
+        for (const point of chop(6)) {
+            await snapshot('SPY', `${point.date} 14:30:00`, point.close * 0.9);
+            await snapshot('SPY', `${point.date} 20:00:00`, point.close);
+        }
+
+        const { points } = await backtestService.loadCloses({ symbol: 'spy', range: '1mo', source: 'cached' });
+        // The last snapshot of each day, for the month before the newest one
+        expect(points[points.length - 1]).toEqual(chop(6).at(-1));
+        expect(points[0].date >= '2026-01-13').toBe(true);
+
+        const first = await backtestService.run({ symbol: 'SPY', strategy: 'iron-condor', source: 'cached', range: '3mo' });
+        const again = await backtestService.run({ symbol: 'SPY', strategy: 'iron-condor', source: 'cached', range: '3mo' });
+        expect(again).toEqual(first);
+        expect(first).toMatchObject({ symbol: 'SPY', source: 'cached', start: 10_000 });
+        expect(history).not.toHaveBeenCalled();
+    });
+
+    test('cached mode says so when nothing is stored', async () => {
+        await expect(backtestService.run({ symbol: 'SPY', strategy: 'wheel', source: 'cached' }))
+            .rejects.toMatchObject({ code: 'NO_DATA' });
+    });
+
+    test('live mode reads the provider history and sizes share strategies to one lot', async () => {
+        jest.spyOn(stockService, 'getHistory').mockResolvedValue({ symbol: '^GSPC', currency: 'USD', points: chop(6) });
+        const result = await backtestService.run({ symbol: 'SPX', strategy: 'covered-call', range: '6mo' });
+        expect(stockService.getHistory).toHaveBeenCalledWith('^GSPC', '6mo');
+        expect(result.start).toBe(10_000);
+        expect(result.cycles.length).toBeGreaterThan(0);
+
+        const summary = backtestService.renderSummary(result);
+        expect(summary).toContain('Covered calls on ^GSPC');
+        expect(summary).toMatch(/Max drawdown/);
+        expect(summary).toMatch(/win rate/);
+        expect(summary).toMatch(/Fees \d/);
+    });
+
+    test('parameters are validated before anything is loaded', async () => {
+        const history = jest.spyOn(stockService, 'getHistory');
+        await expect(backtestService.run({ symbol: 'SPY', strategy: 'wheel', days: 0 })).rejects.toMatchObject({ code: 'BAD_BACKTEST' });
+        await expect(backtestService.run({ symbol: 'SPY', strategy: 'wheel', otmPct: -1 })).rejects.toMatchObject({ code: 'BAD_BACKTEST' });
+        await expect(backtestService.run({ symbol: 'SPY', strategy: 'wheel', range: '5y' })).rejects.toMatchObject({ code: 'BAD_BACKTEST' });
+        expect(history).not.toHaveBeenCalled();
+    });
+});
+
+test('the backtestStrategy tool is registered and reachable by voice', async () => {
+    const [definition] = await toolsRegistry.getDefinitions(['backtestStrategy']);
+    expect(definition.parameters.required).toEqual(['symbol', 'strategy']);
+    expect(VOICE_TOOL_NAMES).toContain('backtestStrategy');
+});
@@ -0,0 +1,253 @@
+/**
+ * The member-to-member order book: bids escrow through the economy, asks
+ * need the contracts behind them, matching is price-time priority at the
+ * resting price, positions move between traders, every fill is journaled in
+ * exchange_events, and expiry/cancel/void always return the escrow.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-exchange-book-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
+const exchangeEvents = require('@goobster/core/services/exchange/exchangeEvents');
+const bookService = require('@goobster/core/services/exchange/bookService');
+const predictionService = require('@goobster/core/services/exchange/predictionService');
+const auditService = require('@goobster/core/services/exchange/auditService');
+const privacyService = require('@goobster/core/services/privacyService');
+
+const GUILD = '980000000000000001';
+const ALICE = '980000000000000002';
+const BOB = '980000000000000003';
+const CAROL = '980000000000000004';
+
+const NOW = new Date('2026-07-29T14:00:00Z');
+const EXPIRY = '2026-08-21';
+let marketId;
+
+beforeEach(async () => {
+    for (const table of [
+        'economy_wallets', 'economy_transactions', 'economy_settings', 'exchange_accounts', 'exchange_settings',
+        'option_positions', 'option_trades', 'prediction_markets', 'prediction_positions', 'exchange_events', 'book_orders'
+    ]) {
+        await db.run(`DELETE FROM ${table}`);
+    }
+    await exchangeConfig.set(GUILD, { optionsEnabled: true, predictionsEnabled: true });
+    for (const userId of [ALICE, BOB, CAROL]) {
+        await economyService.getWallet(GUILD, userId);
+        await db.run('UPDATE economy_wallets SET balance = 10000 WHERE guildId = @g AND userId = @u', { g: GUILD, u: userId });
+    }
+    marketId = await db.insert(
+        `INSERT INTO prediction_markets (guildId, question, symbol, comparator, threshold, closesAt, resolvesAt, positionCap)
+         VALUES (@g, 'Will ACME close above $100?', 'ACME', 'ABOVE', 100, '2026-08-01 20:00:00', '2026-08-01 20:00:00', 50)`,
+        { g: GUILD }
+    );
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+});
+
+async function holdEvent(userId, contracts, avgPrice = 40) {
+    await db.run(
+        `INSERT INTO prediction_positions (marketId, guildId, userId, side, contracts, avgPrice, cost)
+         VALUES (@marketId, @g, @userId, 'YES', @contracts, @avgPrice, @cost)`,
+        { marketId, g: GUILD, userId, contracts, avgPrice, cost: contracts * avgPrice }
+    );
+}
+
+async function holdOption(userId, contracts) {
+    await db.run(
+        `INSERT INTO option_positions (guildId, userId, underlying, optionType, strike, expiry, contracts, openPremium, costBasis)
+         VALUES (@g, @userId, 'AAPL', 'CALL', 200, @expiry, @contracts, 3, @basis)`,
+        { g: GUILD, userId, expiry: EXPIRY, contracts, basis: contracts * 300 }
+    );
+}
+
+function event(userId, side, contracts, price) {
+    return bookService.placeEventOrder({ guildId: GUILD, userId, marketId, outcome: 'YES', side, contracts, price, now: NOW });
+}
+
+const balance = userId => economyService.getBalance(GUILD, userId);
+const yesHeld = async userId => (await db.get(
+    `SELECT contracts FROM prediction_positions WHERE marketId = @marketId AND userId = @userId AND status = 'OPEN'`,
+    { marketId, userId }
+))?.contracts || 0;
+
+describe('placing orders', () => {
+    test('a bid escrows its full cost through the economy', async () => {
+        const { order, fills } = await event(ALICE, 'BID', 10, 55);
+        expect(fills).toEqual([]);
+        expect(order).toMatchObject({ status: 'OPEN', escrow: 550 });
+        expect(await balance(ALICE)).toBe(9_450);
+        expect(await bookService.escrowed({ guildId: GUILD, userId: ALICE })).toBe(550);
+        const ledger = await db.get(`SELECT type, amount FROM economy_transactions WHERE userId = @u ORDER BY id DESC LIMIT 1`, { u: ALICE });
+        expect(ledger).toEqual({ type: 'book-escrow', amount: -550 });
+    });
+
+    test('an ask needs the contracts behind it, counting what is already offered', async () => {
+        await expect(event(BOB, 'ASK', 5, 60)).rejects.toMatchObject({ code: 'NO_POSITION' });
+        await holdEvent(BOB, 8);
+        await event(BOB, 'ASK', 5, 60);
+        await expect(event(BOB, 'ASK', 4, 61)).rejects.toMatchObject({ code: 'NO_POSITION' });
+    });
+
+    test('prices, caps, and closed markets are enforced', async () => {
+        await expect(event(ALICE, 'BID', 1, 100)).rejects.toMatchObject({ code: 'BAD_PRICE' });
+        await expect(event(ALICE, 'BID', 51, 10)).rejects.toMatchObject({ code: 'POSITION_CAP' });
+        await expect(event(ALICE, 'BID', 1_000, 50)).rejects.toMatchObject({ code: 'POSITION_CAP' });
+        await db.run(`UPDATE prediction_markets SET status = 'CLOSED' WHERE id = @marketId`, { marketId });
+        await expect(event(ALICE, 'BID', 1, 50)).rejects.toMatchObject({ code: 'MARKET_CLOSED' });
+    });
+});
+
+describe('matching', () => {
+    test('price-time priority, executing at the resting price', async () => {
+        await holdEvent(BOB, 5);
+        await holdEvent(CAROL, 10);
+        const { order: bobAsk } = await event(BOB, 'ASK', 5, 58);
+        const { order: carolAsk } = await event(CAROL, 'ASK', 5, 55); // better price, later
+        const { order: carolAsk2 } = await event(CAROL, 'ASK', 5, 58); // same price as Bob, later
+
+        const { order, fills } = await event(ALICE, 'BID', 12, 60);
+        expect(fills.map(fill => [fill.askId, fill.contracts, fill.price])).toEqual([
+            [carolAsk.id, 5, 55],
+            [bobAsk.id, 5, 58],
+            [carolAsk2.id, 2, 58]
+        ]);
+        expect(order.status).toBe('FILLED');
+        expect(order.escrow).toBe(0);
+
+        // Paid 5x55 + 7x58 = 681; the 12x60 escrow is released and the
+        // price improvement refunded
+        expect(await balance(ALICE)).toBe(10_000 - 681);
+        expect(await balance(BOB)).toBe(10_000 + 290);
+        expect(await balance(CAROL)).toBe(10_000 + 275 + 116);
+        expect(await yesHeld(ALICE)).toBe(12);
+        expect(await yesHeld(CAROL)).toBe(3);
+        // Bob sold his whole lot: the sale is recorded as its payout
+        expect(await db.get(`SELECT status, payout FROM prediction_positions WHERE userId = @u`, { u: BOB }))
+            .toEqual({ status: 'SETTLED', payout: 290 });
+    });
+
+    test('two takers hitting one maker at once never overfill it', async () => {
+        await holdEvent(BOB, 5);
+        const { order: ask } = await event(BOB, 'ASK', 5, 50);
+
+        const [alice, carol] = await Promise.all([event(ALICE, 'BID', 5, 50), event(CAROL, 'BID', 5, 50)]);
+        const traded = [...alice.fills, ...carol.fills].reduce((sum, fill) => sum + fill.contracts, 0);
+        expect(traded).toBe(5);
+        expect(await bookService.get({ guildId: GUILD, id: ask.id })).toMatchObject({ status: 'FILLED', filled: 5 });
+        expect(await yesHeld(ALICE) + await yesHeld(CAROL)).toBe(5);
+        expect(await balance(BOB)).toBe(10_000 + 250);
+    });
+
+    test('every fill is journaled for both sides', async () => {
+        await holdEvent(BOB, 5);
+        const { order: ask } = await event(BOB, 'ASK', 5, 50);
+        const { order: bid } = await event(ALICE, 'BID', 5, 50);
+
+        const [aliceFill] = await exchangeEvents.list({ guildId: GUILD, userId: ALICE, types: ['book-fill'] });
+        const [bobFill] = await exchangeEvents.list({ guildId: GUILD, userId: BOB, types: ['book-fill'] });
+        expect(aliceFill).toMatchObject({ symbol: `EVENT:${marketId}:YES`, amount: -250 });
+        expect(aliceFill.detail).toMatchObject({ orderId: bid.id, counterOrderId: ask.id, contracts: 5, price: 50, liquidity: 'taker' });
+        expect(bobFill.detail).toMatchObject({ orderId: ask.id, liquidity: 'maker' });
+
+        const depth = await bookService.depth({ guildId: GUILD, instrument: bookService.eventInstrument(marketId, 'YES') });
+        expect(depth).toMatchObject({ bestBid: null, bestAsk: null, last: 50 });
+    });
+
+    test('nobody trades against themselves, and a non-crossing order rests', async () => {
+        await holdEvent(ALICE, 5);
+        await event(ALICE, 'ASK', 5, 50);
+        expect((await event(ALICE, 'BID', 5, 60)).fills).toEqual([]);
+        expect((await event(BOB, 'BID', 5, 40)).fills).toEqual([]);
+
+        const depth = await bookService.depth({ guildId: GUILD, instrument: bookService.eventInstrument(marketId, 'YES') });
+        expect(depth.bids).toEqual([{ price: 60, contracts: 5, orders: 1 }, { price: 40, contracts: 5, orders: 1 }]);
+        expect(depth.asks).toEqual([{ price: 50, contracts: 5, orders: 1 }]);
+    });
+
+    test('an ask whose contracts are gone is rejected instead of filled', async () => {
+        await holdEvent(BOB, 5);
+        const { order: ask } = await event(BOB, 'ASK', 5, 50);
+        await db.run('DELETE FROM prediction_positions WHERE userId = @u', { u: BOB });
+
+        const { fills } = await event(ALICE, 'BID', 5, 50);
+        expect(fills).toEqual([]);
+        expect(await bookService.get({ guildId: GUILD, id: ask.id })).toMatchObject({ status: 'REJECTED' });
+    });
+
+    test('options move between lots with their trade records', async () => {
+        await holdOption(BOB, 3);
+        await bookService.placeOptionOrder({
+            guildId: GUILD, userId: BOB, symbol: 'AAPL', optionType: 'CALL', strike: 200, expiry: EXPIRY,
+            side: 'ASK', contracts: 2, price: 450, now: NOW
+        });
+        const { fills } = await bookService.placeOptionOrder({
+            guildId: GUILD, userId: ALICE, symbol: 'aapl', optionType: 'call', strike: 200, expiry: EXPIRY,
+            side: 'BID', contracts: 2, price: 500, now: NOW
+        });
+        expect(fills).toHaveLength(1);
+        expect(fills[0]).toMatchObject({ contracts: 2, price: 450, proceeds: 900 });
+
+        const lots = await db.all(`SELECT userId, contracts, openPremium, costBasis FROM option_positions WHERE status = 'OPEN' ORDER BY userId`);
+        expect(lots).toEqual([
+            { userId: ALICE, contracts: 2, openPremium: 4.5, costBasis: 900 },
+            { userId: BOB, contracts: 1, openPremium: 3, costBasis: 300 }
+        ]);
+        const trades = await db.all('SELECT userId, action, contracts, premium FROM option_trades ORDER BY id');
+        expect(trades).toEqual([
+            { userId: BOB, action: 'SELL_TO_CLOSE', contracts: 2, premium: 4.5 },
+            { userId: ALICE, action: 'BUY_TO_OPEN', contracts: 2, premium: 4.5 }
+        ]);
+        expect(await balance(ALICE)).toBe(9_100);
+    });
+});
+
+describe('getting escrow back', () => {
+    test('cancelling a bid refunds what is left of it', async () => {
+        await holdEvent(BOB, 2);
+        await event(BOB, 'ASK', 2, 50);
+        const { order } = await event(ALICE, 'BID', 5, 50);
+        expect(order).toMatchObject({ filled: 2, escrow: 150 });
+
+        const cancelled = await bookService.cancel({ guildId: GUILD, userId: ALICE, id: order.id });
+        expect(cancelled.refunded).toBe(150);
+        expect(await balance(ALICE)).toBe(9_900);
+        await expect(bookService.cancel({ guildId: GUILD, userId: BOB, id: order.id })).rejects.toMatchObject({ code: 'NO_ORDER' });
+    });
+
+    test('orders expire when their market closes, and voiding a market clears its book', async () => {
+        await event(ALICE, 'BID', 5, 50);
+        const expired = await bookService.expireDue({ guildId: GUILD, now: new Date('2026-08-01T21:00:00Z') });
+        expect(expired).toHaveLength(1);
+        expect(await balance(ALICE)).toBe(10_000);
+
+        await event(BOB, 'BID', 5, 30);
+        await predictionService.voidMarket({ guildId: GUILD, id: marketId, now: NOW });
+        expect(await balance(BOB)).toBe(10_000);
+        expect((await bookService.list({ guildId: GUILD, userId: BOB, status: 'all' }))[0]).toMatchObject({ status: 'EXPIRED', escrow: 0 });
+    });
+
+    test('the reconciler sees escrow that does not match the book', async () => {
+        const { order } = await event(ALICE, 'BID', 5, 50);
+        let report = await auditService.reconcile({ guildId: GUILD, now: NOW });
+        expect(report.checks.find(check => check.name === 'book-escrow-drift').ok).toBe(true);
+
+        await db.run('UPDATE book_orders SET escrow = 1 WHERE id = @id', { id: order.id });
+        report = await auditService.reconcile({ guildId: GUILD, now: NOW });
+        expect(report.checks.find(check => check.name === 'book-escrow-drift').count).toBe(1);
+    });
+});
+
+test('forget-me removes book orders', async () => {
+    await event(ALICE, 'BID', 5, 50);
+    await privacyService.forgetUser({ userId: ALICE });
+    expect((await privacyService.auditUser({ userId: ALICE })).total).toBe(0);
+});
@@ -0,0 +1,257 @@
+/**
+ * Risk analytics: net greeks folded across stock, shorts, option legs and
+ * perps; historical-simulation VaR over cached closes; and shock scenarios
+ * that re-margin every account and name what the risk engine would sell.
+ * Nothing here trades.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-exchange-risk-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
+const stockPortfolioService = require('@goobster/core/services/stockPortfolioService');
+const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
+const accountService = require('@goobster/core/services/exchange/accountService');
+const shortService = require('@goobster/core/services/exchange/shortService');
+const optionsMath = require('@goobster/core/services/exchange/optionsMath');
+const marginMath = require('@goobster/core/services/exchange/marginMath');
+const riskMath = require('@goobster/core/services/exchange/riskMath');
+const riskService = require('@goobster/core/services/exchange/riskService');
+
+const GUILD = '960000000000000001';
+const SHORTER = '960000000000000002';
+const HOLDER = '960000000000000003';
+
+const SETTINGS = { maintenanceMargin: 0.25, shortMaintenanceMargin: 0.35 };
+
+/** A hand-built accountService.getSnapshot() with only what the math reads. */
+function snapshot(overrides = {}) {
+    return {
+        userId: 'u1', settings: SETTINGS, longs: [], shorts: [], options: [], perps: [],
+        longValue: 0, shortValue: 0, equity: 0, debt: 0, pricingGaps: 0,
+        ...overrides
+    };
+}
+
+function day(index) {
+    return new Date(Date.UTC(2026, 0, 1) + index * 86_400_000).toISOString().slice(0, 10);
+}
+
+/** Closes that produce exactly the given daily returns. */
+function series(returns, start = 100) {
+    const points = [{ date: day(0), close: start }];
+    returns.forEach((ret, i) => points.push({ date: day(i + 1), close: points[i].close * (1 + ret) }));
+    return points;
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+});
+
+describe('net greeks', () => {
+    test('stock, shorts, option legs and perps fold into one row per underlying', () => {
+        const greeks = { delta: 0.5, gamma: 0.02, vega: 0.1, theta: -0.05 };
+        const rows = riskMath.netGreeks([
+            snapshot({
+                longs: [{ symbol: 'AAPL', units: 10, price: 200, priced: true }],
+                shorts: [{ symbol: 'TSLA', units: 5, price: 100, priced: true }],
+                options: [
+                    { underlying: 'AAPL', side: 'LONG', contracts: 2, contractSize: 100, spot: 200, priced: true, greeks },
+                    { underlying: 'AAPL', side: 'SHORT', contracts: 1, contractSize: 100, spot: 200, priced: true, greeks: { ...greeks, delta: -0.3 } }
+                ]
+            }),
+            snapshot({
+                userId: 'u2',
+                perps: [{ symbol: 'TSLA', direction: 'SHORT', units: 3, price: 100, priced: true }],
+                longs: [{ symbol: 'MEME', units: 1, price: null, priced: false }]
+            })
+        ]);
+
+        const aapl = rows.find(row => row.symbol === 'AAPL');
+        // 10 shares + two long calls (+100) + a short put at -0.3 (+30)
+        expect(aapl.delta).toBeCloseTo(140, 6);
+        expect(aapl.gamma).toBeCloseTo(0.02 * 200 - 0.02 * 100, 6);
+        expect(aapl.theta).toBeCloseTo(-0.05 * 100, 6);
+        expect(aapl.deltaDollars).toBeCloseTo(140 * 200, 6);
+        expect(aapl.gammaDollars).toBeCloseTo(2 * 200 * 200 / 100, 6);
+        expect(aapl).toMatchObject({ stockUnits: 10, optionContracts: 1 });
+
+        const tsla = rows.find(row => row.symbol === 'TSLA');
+        expect(tsla).toMatchObject({ delta: -8, stockUnits: -5, perpUnits: -3 });
+        // Unpriced positions stay out, as they do in the snapshot totals
+        expect(rows.map(row => row.symbol)).toEqual(['AAPL', 'TSLA']);
+        expect(riskMath.totalGreeks(rows).deltaDollars).toBeCloseTo(140 * 200 - 800, 6);
+    });
+});
+
+describe('historical VaR', () => {
+    const exposure = { symbol: 'A', spot: 100, delta: 10, gamma: 0 };
+    // Forty days whose P/L on 10 shares of a 100 stock is -20 ... +19
+    const returns = Array.from({ length: 40 }, (_, i) => ((i * 7) % 40 - 20) / 1000);
+
+    test('the loss quantile and tail average of today\'s book over past returns', () => {
+        const result = riskMath.historicalVar({ exposures: [exposure], history: { A: series(returns) } });
+        expect(result.observations).toBe(40);
+        const [ninetyFive, ninetyNine] = result.levels;
+        expect(ninetyFive.var).toBeCloseTo(18, 6);
+        expect(ninetyFive.expectedShortfall).toBeCloseTo(19, 6);
+        expect(ninetyNine.var).toBeCloseTo(20, 6);
+        expect(result.worst.pl).toBeCloseTo(-20, 6);
+    });
+
+    test('only days every exposed symbol traded count, and too few is no answer', () => {
+        const a = series(returns);
+        const b = series(returns.map(ret => -ret));
+        const result = riskMath.historicalVar({
+            exposures: [exposure, { symbol: 'B', spot: 100, delta: 10, gamma: 0 }],
+            history: { A: a, B: b.slice(10) }
+        });
+        // B's closes start ten days late
+        expect(result.observations).toBe(30);
+        // A perfect hedge replays as no risk at all
+        expect(result.levels[0].var).toBeCloseTo(0, 6);
+
+        expect(riskMath.historicalVar({ exposures: [exposure], history: { A: a.slice(0, 10) } })).toBeNull();
+        expect(riskMath.historicalVar({ exposures: [exposure], history: {} })).toBeNull();
+    });
+});
+
+describe('scenarios', () => {
+    test('parses per-symbol, market-wide, and volatility shocks', () => {
+        const scenario = riskMath.parseScenario('SPX -10%, vol +20; market -5; AAPL vol -5', {
+            resolve: symbol => (symbol.toUpperCase() === 'SPX' ? '^GSPC' : symbol.toUpperCase())
+        });
+        expect(scenario.spot).toEqual({ '^GSPC': -0.1, '*': -0.05 });
+        expect(scenario.vol).toEqual({ '*': 0.2, AAPL: -0.05 });
+        expect(scenario.text).toBe('SPX -10%, vol +20, market -5, AAPL vol -5');
+
+        for (const bad of ['', 'crash everything', 'SPY -100%', 'vol +900']) {
+            expect(() => riskMath.parseScenario(bad)).toThrow(expect.objectContaining({ code: 'BAD_SCENARIO' }));
+        }
+    });
+
+    // 100 AAPL at 200 with 15,000 borrowed: equity 5,000 against 5,000 maintenance
+    const levered = snapshot({
+        longs: [{ symbol: 'AAPL', units: 100, price: 200, value: 20_000, priced: true }],
+        longValue: 20_000, equity: 5_000, debt: 15_000
+    });
+
+    test('a levered long is called, and the plan is the engine\'s own liquidationPlan', () => {
+        const outcome = riskMath.shockAccount({ snapshot: levered, scenario: riskMath.parseScenario('AAPL -10%') });
+        expect(outcome).toMatchObject({ status: 'margin-call' });
+        expect(outcome.equity).toBeCloseTo(3_000, 6);
+        expect(outcome.maintenance).toBeCloseTo(4_500, 6);
+        expect(outcome.plan).toEqual(marginMath.liquidationPlan({
+            positions: [{ key: 'AAPL', direction: 'LONG', units: 100, value: 18_000 }],
+            shortfall: 1_500,
+            ...SETTINGS
+        }));
+        expect(outcome.plan[0].value).toBeCloseTo(6_000, 6);
+
+        const wiped = riskMath.shockAccount({ snapshot: levered, scenario: riskMath.parseScenario('market -30%') });
+        expect(wiped.status).toBe('liquidation');
+        expect(riskMath.shockAccount({ snapshot: levered, scenario: riskMath.parseScenario('AAPL +10%') }).status).toBe('ok');
+    });
+
+    test('options are fully repriced under the volatility shock', () => {
+        const base = { spot: 100, strike: 100, timeYears: 30 / 365, rate: 0, optionType: 'CALL' };
+        const mark = optionsMath.price({ ...base, vol: 0.3 });
+        const book = snapshot({
+            options: [{
+                id: 1, underlying: 'SPY', optionType: 'CALL', strike: 100, expiry: '2026-02-01', side: 'LONG',
+                contracts: 1, contractSize: 100, spot: 100, iv: 0.3, daysToExpiry: 30, mark, markAsk: mark + 0.1,
+                value: mark * 100, priced: true, greeks: { delta: 0.5, gamma: 0.05, vega: 0.11, theta: -0.05 }
+            }],
+            equity: 1_000 + mark * 100
+        });
+        const outcome = riskMath.shockAccount({ snapshot: book, scenario: riskMath.parseScenario('vol +20') });
+        expect(outcome.pl).toBeCloseTo((optionsMath.price({ ...base, vol: 0.5 }) - mark) * 100, 6);
+        expect(outcome.status).toBe('ok');
+    });
+
+    test('a perp past its liquidation price is flagged on its own', () => {
+        const book = snapshot({
+            perps: [{
+                id: 7, symbol: 'TSLA', direction: 'LONG', units: 10, entryPrice: 100, margin: 200,
+                leverage: 5, fundingAccrued: 0, price: 100, value: 200, priced: true
+            }],
+            equity: 1_200
+        });
+        const outcome = riskMath.shockAccount({ snapshot: book, scenario: riskMath.parseScenario('TSLA -20%') });
+        expect(outcome.perpLiquidations).toEqual([expect.objectContaining({ id: 7, symbol: 'TSLA' })]);
+        // Isolated margin: the whole loss is the 200 posted
+        expect(outcome.pl).toBeCloseTo(-200, 6);
+        expect(outcome.status).toBe('ok');
+    });
+});
+
+describe('the service', () => {
+    const PRICES = { AAPL: 200, MEME: 50 };
+
+    beforeEach(async () => {
+        for (const table of [
+            'economy_wallets', 'economy_transactions', 'economy_settings', 'stock_holdings', 'stock_trades',
+            'exchange_accounts', 'exchange_settings', 'short_positions', 'exchange_events', 'stock_prices'
+        ]) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+        jest.spyOn(stockService, 'getQuote').mockImplementation(async symbol => {
+            const resolved = stockService.normalizeSymbol(symbol);
+            return { symbol: resolved, name: resolved, price: PRICES[resolved], currency: 'USD', asOf: '2026-07-29 14:00:00', cached: false, stale: false };
+        });
+        await exchangeConfig.set(GUILD, { marginEnabled: true, maxLeverage: 4 });
+        for (const userId of [SHORTER, HOLDER]) {
+            await economyService.getWallet(GUILD, userId);
+            await db.run('UPDATE economy_wallets SET balance = 3000 WHERE guildId = @g AND userId = @u', { g: GUILD, u: userId });
+        }
+        await accountService.setAccountType({ guildId: GUILD, userId: SHORTER, accountType: 'MARGIN' });
+        await accountService.setLeverage({ guildId: GUILD, userId: SHORTER, leverage: 2 });
+        await shortService.openShort({ guildId: GUILD, userId: SHORTER, symbol: 'MEME', units: 100 });
+        await stockPortfolioService.buy({ guildId: GUILD, userId: HOLDER, symbol: 'AAPL', units: 10 });
+        // Thirty cached closes for AAPL, none for MEME
+        for (const point of series(Array.from({ length: 30 }, (_, i) => (i % 2 ? 0.01 : -0.012)), 200)) {
+            await db.run('INSERT INTO stock_prices (symbol, price, asOf) VALUES (@symbol, @price, @asOf)',
+                { symbol: 'AAPL', price: point.close, asOf: `${point.date} 20:00:00` });
+        }
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('the guild book: stockholders count, and VaR says what it could not replay', async () => {
+        const report = await riskService.report({ guildId: GUILD });
+        expect(report.scope).toBe('guild');
+        expect(report.accounts.map(account => account.userId).sort()).toEqual([SHORTER, HOLDER].sort());
+        expect(report.greeks.find(row => row.symbol === 'MEME').delta).toBe(-100);
+        expect(report.totals.deltaDollars).toBeCloseTo(10 * 200 - 100 * 50, 6);
+        expect(report.var.symbols).toEqual(['AAPL']);
+        expect(report.missingHistory).toEqual(['MEME']);
+        expect(report.scenario).toBeNull();
+    });
+
+    test('a scenario names the accounts that break, and moves nothing', async () => {
+        const ledger = await db.get('SELECT COUNT(*) AS n FROM economy_transactions');
+        const called = await riskService.report({ guildId: GUILD, scenario: 'MEME +50%' });
+        expect(called.scenario.atRisk).toEqual([expect.objectContaining({ userId: SHORTER, status: 'margin-call' })]);
+        expect(called.scenario.atRisk[0].plan).toEqual([expect.objectContaining({ key: 'MEME', direction: 'SHORT' })]);
+
+        const wiped = await riskService.report({ guildId: GUILD, userId: SHORTER, scenario: 'MEME +150%' });
+        expect(wiped.scope).toBe('account');
+        expect(wiped.scenario.atRisk[0].status).toBe('liquidation');
+
+        expect(await db.get('SELECT COUNT(*) AS n FROM economy_transactions')).toEqual(ledger);
+        expect((await accountService.getAccount(GUILD, SHORTER)).marginCallAt).toBeNull();
+    });
+
+    test('a bad scenario is refused before any account is marked', async () => {
+        stockService.getQuote.mockClear();
+        await expect(riskService.report({ guildId: GUILD, scenario: 'MEME to the moon' }))
+            .rejects.toMatchObject({ code: 'BAD_SCENARIO' });
+        expect(stockService.getQuote).not.toHaveBeenCalled();
+    });
+});
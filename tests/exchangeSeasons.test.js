@@ -0,0 +1,225 @@
+/**
+ * Exchange seasons: a season is a ledger partition. Entrants trade a
+ * sandboxed bankroll under the season's scope id with the season's rules,
+ * the real wallet never moves, standings rank by the auditor's equity, and
+ * ending the season freezes the results, awards the podium, and pays the
+ * prize pool into the real economy.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-exchange-seasons-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
+const stockPortfolioService = require('@goobster/core/services/stockPortfolioService');
+const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
+const accountService = require('@goobster/core/services/exchange/accountService');
+const seasonService = require('@goobster/core/services/exchange/seasonService');
+const auditService = require('@goobster/core/services/exchange/auditService');
+const RiskEngine = require('@goobster/core/services/exchange/riskEngine');
+const privacyService = require('@goobster/core/services/privacyService');
+
+const GUILD = '970000000000000001';
+const ADMIN = '970000000000000002';
+const ALICE = '970000000000000003';
+const BOB = '970000000000000004';
+const CAROL = '970000000000000005';
+
+const NOW = new Date('2026-07-29T14:00:00Z');
+const PRICES = { AAPL: 200, TSLA: 100 };
+
+beforeEach(async () => {
+    for (const table of [
+        'economy_wallets', 'economy_transactions', 'economy_settings', 'stock_holdings', 'stock_trades',
+        'exchange_accounts', 'exchange_settings', 'short_positions', 'option_positions', 'perp_positions',
+        'exchange_orders', 'prediction_markets', 'exchange_events', 'exchange_season_entries', 'exchange_seasons'
+    ]) {
+        await db.run(`DELETE FROM ${table}`);
+    }
+    Object.assign(PRICES, { AAPL: 200, TSLA: 100 });
+    jest.spyOn(stockService, 'getQuote').mockImplementation(async symbol => {
+        const resolved = stockService.normalizeSymbol(symbol);
+        return { symbol: resolved, name: resolved, price: PRICES[resolved], currency: 'USD', asOf: '2026-07-29 14:00:00' };
+    });
+    await exchangeConfig.set(GUILD, { marginEnabled: true, maxLeverage: 2 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+});
+
+function startSeason(overrides = {}) {
+    return seasonService.start({
+        guildId: GUILD, name: 'Summer Cup', bankroll: 10_000, createdBy: ADMIN, now: NOW, ...overrides
+    });
+}
+
+describe('starting and joining', () => {
+    test('a season gets its own scope, bankroll, and rules', async () => {
+        const season = await startSeason({ maxLeverage: 5, goblinRule: 'EVERYONE' });
+        expect(season.scopeId).toBe(`${GUILD}:season:${season.id}`);
+        expect(seasonService.isSeasonScope(season.scopeId)).toBe(true);
+
+        const rules = await exchangeConfig.get(season.scopeId);
+        expect(rules).toMatchObject({ marginEnabled: true, maxLeverage: 5, optionsEnabled: true, zeroDteEnabled: true });
+        // The guild's own rules are untouched
+        expect((await exchangeConfig.get(GUILD)).maxLeverage).toBe(2);
+
+        await expect(startSeason()).rejects.toMatchObject({ code: 'SEASON_RUNNING' });
+    });
+
+    test('joining grants the bankroll without touching the real wallet', async () => {
+        const season = await startSeason({ goblinRule: 'EVERYONE' });
+        const realBefore = (await economyService.getWallet(GUILD, ALICE)).balance;
+
+        const { balance } = await seasonService.join({ guildId: GUILD, userId: ALICE });
+        expect(balance).toBe(10_000);
+        expect((await accountService.getAccount(season.scopeId, ALICE)).goblinMode).toBeTruthy();
+        // Joining twice is harmless
+        expect((await seasonService.join({ guildId: GUILD, userId: ALICE })).balance).toBe(10_000);
+
+        expect(await seasonService.tradingScope(GUILD, ALICE)).toBe(season.scopeId);
+        expect(await seasonService.tradingScope(GUILD, BOB)).toBe(GUILD);
+
+        await stockPortfolioService.buy({ guildId: season.scopeId, userId: ALICE, symbol: 'AAPL', units: 10 });
+        expect((await economyService.getWallet(GUILD, ALICE)).balance).toBe(realBefore);
+        expect((await economyService.getWallet(season.scopeId, ALICE)).balance).toBe(8_000);
+    });
+
+    test('the desk switches trading between the season and the real account', async () => {
+        const season = await startSeason();
+        await expect(seasonService.setDesk({ guildId: GUILD, userId: ALICE, desk: 'MAIN' }))
+            .rejects.toMatchObject({ code: 'NOT_ENTERED' });
+        await seasonService.join({ guildId: GUILD, userId: ALICE });
+
+        await seasonService.setDesk({ guildId: GUILD, userId: ALICE, desk: 'MAIN' });
+        expect(await seasonService.tradingScope(GUILD, ALICE)).toBe(GUILD);
+        await seasonService.setDesk({ guildId: GUILD, userId: ALICE, desk: 'season' });
+        expect(await seasonService.tradingScope(GUILD, ALICE)).toBe(season.scopeId);
+        expect(await seasonService.resolveScope({ guildId: GUILD, user: { id: ALICE } }))
+            .toEqual({ guildId: season.scopeId, currencyName: expect.any(String) });
+    });
+
+    test('bad parameters are rejected', async () => {
+        await expect(startSeason({ bankroll: 5 })).rejects.toMatchObject({ code: 'BAD_SEASON' });
+        await expect(startSeason({ goblinRule: 'SOMETIMES' })).rejects.toMatchObject({ code: 'BAD_SEASON' });
+        await expect(startSeason({ maxLeverage: 50 })).rejects.toMatchObject({ code: 'BAD_SEASON' });
+        await expect(startSeason({ endsAt: '2020-01-01 00:00' })).rejects.toMatchObject({ code: 'BAD_SEASON' });
+        await expect(seasonService.join({ guildId: GUILD, userId: ALICE })).rejects.toMatchObject({ code: 'NO_SEASON' });
+    });
+});
+
+describe('standings and the finish', () => {
+    async function playSeason(prizePool) {
+        const season = await startSeason({ prizePool });
+        for (const userId of [ALICE, BOB, CAROL]) await seasonService.join({ guildId: GUILD, userId });
+        await stockPortfolioService.buy({ guildId: season.scopeId, userId: ALICE, symbol: 'AAPL', units: 40 });
+        await stockPortfolioService.buy({ guildId: season.scopeId, userId: BOB, symbol: 'TSLA', units: 50 });
+        PRICES.AAPL = 250; // Alice +2,000
+        PRICES.TSLA = 90; // Bob -500
+        return season;
+    }
+
+    test('live standings rank by equity with the return on the bankroll', async () => {
+        await playSeason(0);
+        const { final, standings } = await seasonService.standings({ guildId: GUILD, now: NOW });
+        expect(final).toBe(false);
+        expect(standings.map(row => [row.userId, row.rank, Math.round(row.equity), row.returnPct])).toEqual([
+            [ALICE, 1, 12_000, 20],
+            [CAROL, 2, 10_000, 0],
+            [BOB, 3, 9_500, -5]
+        ]);
+    });
+
+    test('ending freezes the results, awards trophies, and pays the pool', async () => {
+        const season = await playSeason(1_000);
+        await db.run(
+            `INSERT INTO exchange_orders (guildId, userId, symbol, side, orderType, units, limitPrice)
+             VALUES (@guildId, @userId, 'AAPL', 'BUY', 'LIMIT', 1, 150)`,
+            { guildId: season.scopeId, userId: BOB }
+        );
+        const aliceReal = (await economyService.getWallet(GUILD, ALICE)).balance;
+
+        const { standings } = await seasonService.end({ guildId: GUILD, endedBy: ADMIN, now: NOW });
+        expect(standings.map(row => [row.userId, row.trophy, row.payout])).toEqual([
+            [ALICE, '🥇 Champion', 500],
+            [CAROL, '🥈 Runner-up', 300],
+            [BOB, '🥉 Third place', 200]
+        ]);
+        expect((await economyService.getWallet(GUILD, ALICE)).balance).toBe(aliceReal + 500);
+        expect((await db.get(`SELECT status FROM exchange_orders WHERE guildId = @g`, { g: season.scopeId })).status).toBe('CANCELLED');
+
+        // Prices moving afterwards do not change the frozen results
+        PRICES.AAPL = 1;
+        const after = await seasonService.standings({ guildId: GUILD, now: NOW });
+        expect(after.final).toBe(true);
+        expect(after.standings[0]).toMatchObject({ userId: ALICE, rank: 1, equity: 12_000, returnPct: 20, payout: 500 });
+
+        expect(await seasonService.tradingScope(GUILD, ALICE)).toBe(GUILD);
+        await expect(seasonService.end({ guildId: GUILD, now: NOW })).rejects.toMatchObject({ code: 'NO_SEASON' });
+    });
+
+    test('a failed payout leaves the season running so ending can be retried', async () => {
+        const season = await playSeason(1_000);
+        const adjust = economyService.adjust.bind(economyService);
+        const spy = jest.spyOn(economyService, 'adjust').mockImplementation(async (params) => {
+            if (params.type === 'season-prize' && params.userId === CAROL) throw new Error('ledger offline');
+            return await adjust(params);
+        });
+        const aliceReal = (await economyService.getWallet(GUILD, ALICE)).balance;
+
+        await expect(seasonService.end({ guildId: GUILD, now: NOW })).rejects.toThrow('ledger offline');
+        expect((await seasonService.getSeason({ guildId: GUILD, id: season.id })).status).toBe('ACTIVE');
+        expect((await economyService.getWallet(GUILD, ALICE)).balance).toBe(aliceReal);
+
+        spy.mockRestore();
+        const { standings } = await seasonService.end({ guildId: GUILD, now: NOW });
+        expect(standings.map(row => row.payout)).toEqual([500, 300, 200]);
+        expect((await economyService.getWallet(GUILD, ALICE)).balance).toBe(aliceReal + 500);
+    });
+
+    test('an entrant who cannot be priced takes no trophy or prize', async () => {
+        const season = await playSeason(1_000);
+        const leaderboard = auditService.leaderboard.bind(auditService);
+        jest.spyOn(auditService, 'leaderboard').mockImplementation(async (params) =>
+            (await leaderboard(params)).filter(row => row.userId !== CAROL));
+
+        const { standings } = await seasonService.end({ guildId: GUILD, now: NOW });
+        expect(standings.map(row => [row.userId, row.equity === null, row.trophy, row.payout])).toEqual([
+            [ALICE, false, '🥇 Champion', 500],
+            [BOB, false, '🥈 Runner-up', 300],
+            [CAROL, true, null, 0]
+        ]);
+        const carol = await db.get(
+            'SELECT finalRank, finalEquity FROM exchange_season_entries WHERE seasonId = @id AND userId = @userId',
+            { id: season.id, userId: CAROL }
+        );
+        expect(carol).toEqual({ finalRank: 3, finalEquity: null });
+    });
+
+    test('the risk engine ends an expired season and stops ticking it', async () => {
+        const season = await startSeason({ endsAt: '2026-07-30 00:00' });
+        await seasonService.join({ guildId: GUILD, userId: ALICE });
+        const engine = new RiskEngine(null);
+
+        expect(await engine.activeGuilds()).toContain(season.scopeId);
+        await engine.runOnce({ now: new Date('2026-07-31T00:00:00Z') });
+
+        expect((await seasonService.getSeason({ guildId: GUILD, id: season.id })).status).toBe('ENDED');
+        expect(await engine.activeGuilds()).not.toContain(season.scopeId);
+    });
+});
+
+test('forget-me removes season entries', async () => {
+    await startSeason();
+    await seasonService.join({ guildId: GUILD, userId: ALICE });
+    await privacyService.forgetUser({ userId: ALICE });
+    expect((await privacyService.auditUser({ userId: ALICE })).total).toBe(0);
+});
@@ -0,0 +1,231 @@
+/**
+ * The forensic timeline: the wallet ledger and the engine log merged into one
+ * ordered stream with the quote each step used, exported as CSV/JSON, and
+ * folded back into account state at any past moment ("replay to T") with a
+ * diff against today's tables and the account's slice of reconcile.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-exchange-timeline-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
+const stockPortfolioService = require('@goobster/core/services/stockPortfolioService');
+const timelineMath = require('@goobster/core/services/exchange/timelineMath');
+const timelineService = require('@goobster/core/services/exchange/timelineService');
+
+const GUILD = '970000000000000001';
+const TRADER = '970000000000000002';
+const OTHER = '970000000000000003';
+const BEFORE = '2026-10-01 10:00:00';
+
+function ledgerRow(id, createdAt, type, amount, balanceAfter, detail = null) {
+    return { id, userId: TRADER, createdAt, type, amount, balanceAfter, detail };
+}
+
+function eventRow(id, createdAt, eventType, { symbol = null, amount = null, detail = null, userId = TRADER } = {}) {
+    return { id, userId, createdAt, eventType, symbol, amount, detail };
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+});
+
+describe('merging the streams', () => {
+    test('orders by time, puts the ledger row before the event that explains it, and names fill prices', () => {
+        const entries = timelineMath.mergeStreams({
+            ledger: [
+                ledgerRow(7, '2026-10-01 10:00:05', 'stock-sell', 400, 1400, { symbol: 'AAPL', units: 2, price: 200 }),
+                ledgerRow(3, '2026-10-01 09:00:00', 'daily', 100, 1000)
+            ],
+            events: [
+                eventRow(4, '2026-10-01 10:00:05', 'liquidation', { symbol: 'AAPL', amount: 400, detail: { direction: 'LONG', units: 2, price: 200 } }),
+                eventRow(2, '2026-10-01 09:30:00', 'perp-close', { symbol: 'TSLA', detail: { id: 1, entry: 90, exit: 95 } })
+            ]
+        });
+
+        expect(entries.map(entry => `${entry.source}:${entry.kind}`))
+            .toEqual(['ledger:daily', 'engine:perp-close', 'ledger:stock-sell', 'engine:liquidation']);
+        expect(entries[0].quote).toBeNull();
+        // The exit, not the entry, is what a close executed at
+        expect(entries[1].quote).toEqual({ price: 95, source: 'fill', asOf: '2026-10-01 09:30:00' });
+        expect(entries[2]).toMatchObject({ symbol: 'AAPL', balanceAfter: 1400, quote: { price: 200 } });
+    });
+
+    test('CSV keeps one row per step and quotes what needs quoting', () => {
+        const [entry] = timelineMath.mergeStreams({
+            ledger: [ledgerRow(1, BEFORE, 'stock-buy', -400, 600, { symbol: 'AAPL', units: 2, price: 200, note: 'a "big", bet' })]
+        });
+        const lines = timelineMath.toCsv([entry]).trimEnd().split('\r\n');
+
+        expect(lines[0]).toBe(timelineMath.CSV_COLUMNS.join(','));
+        expect(lines[1]).toBe(
+            `${BEFORE},ledger,1,${TRADER},stock-buy,AAPL,-400,600,200,fill,${BEFORE},` +
+            '"{""symbol"":""AAPL"",""units"":2,""price"":200,""note"":""a \\""big\\"", bet""}"'
+        );
+    });
+});
+
+describe('replaying an account', () => {
+    const entries = timelineMath.mergeStreams({
+        ledger: [
+            ledgerRow(1, '2026-10-01 09:00:00', 'starting-balance', 1000, 1000),
+            ledgerRow(2, '2026-10-01 09:01:00', 'stock-buy', -1000, 0, { symbol: 'AAPL', units: 5, price: 200 }),
+            ledgerRow(3, '2026-10-01 09:02:00', 'margin-borrow', 500, 500, { reason: 'buying power' }),
+            ledgerRow(4, '2026-10-01 09:03:00', 'stock-short-open', 300, 800, { symbol: 'MEME', units: 10, price: 30 }),
+            ledgerRow(5, '2026-10-01 09:04:00', 'perp-open', -100, 700, { symbol: 'TSLA', direction: 'LONG', leverage: 5, entry: 100 }),
+            ledgerRow(6, '2026-10-02 09:00:00', 'stock-sell', 600, 1300, { symbol: 'AAPL', units: 6, price: 100 })
+        ],
+        events: [
+            eventRow(1, '2026-10-01 09:02:00', 'margin-borrow', { amount: 500 }),
+            eventRow(2, '2026-10-01 09:04:00', 'perp-open', { symbol: 'TSLA', amount: -100, detail: { id: 9, direction: 'LONG', units: 5, entry: 100 } }),
+            eventRow(3, '2026-10-01 12:00:00', 'margin-interest', { amount: 4 }),
+            eventRow(4, '2026-10-01 20:00:00', 'margin-call', { amount: 50 }),
+            eventRow(5, '2026-10-01 23:00:00', 'stock-split', { symbol: 'AAPL', detail: { ratio: 2 }, userId: null }),
+            eventRow(6, '2026-10-02 09:00:00', 'liquidation', { symbol: 'AAPL', detail: { direction: 'LONG', units: 6, price: 100 } }),
+            eventRow(7, '2026-10-02 09:05:00', 'perp-liquidation', { symbol: 'TSLA', detail: { id: 9, exit: 80 } }),
+            eventRow(8, '2026-10-02 09:06:00', 'margin-call-cleared', { amount: 900 }),
+            eventRow(9, '2026-10-02 09:07:00', 'margin-repay', { amount: 504 })
+        ]
+    });
+    const optionTrades = [
+        { id: 1, positionId: 4, underlying: 'AAPL', optionType: 'CALL', strike: 210, expiry: '2026-10-16', action: 'BUY_TO_OPEN', contracts: 2, createdAt: '2026-10-01 09:05:00' },
+        { id: 2, positionId: 4, underlying: 'AAPL', optionType: 'CALL', strike: 210, expiry: '2026-10-16', action: 'SELL_TO_CLOSE', contracts: 1, createdAt: '2026-10-01 09:06:00' },
+        { id: 3, positionId: 4, underlying: 'AAPL', optionType: 'CALL', strike: 105, expiry: '2026-10-16', action: 'EXPIRE', contracts: 2, createdAt: '2026-10-16 20:00:00' }
+    ];
+
+    test('the night before: a margin call, a split, and every position still open', () => {
+        const state = timelineMath.replayAccount({ entries, optionTrades, at: '2026-10-01 23:30:00' });
+
+        expect(state).toMatchObject({ cash: 700, marginLoan: 504, marginCall: true, liquidations: 0 });
+        // 2-for-1: five shares became ten, one call became two at half the strike
+        expect(state.longs).toEqual({ AAPL: 10 });
+        expect(state.shorts).toEqual({ MEME: 10 });
+        expect(state.options['4']).toMatchObject({ contracts: 2, strike: 105, side: 'LONG' });
+        expect(state.perps['9']).toMatchObject({ symbol: 'TSLA', units: 5 });
+    });
+
+    test('the morning after: the liquidation, the cleared call, and a diff that says so', () => {
+        const before = timelineMath.replayAccount({ entries, optionTrades, at: '2026-10-01 23:30:00' });
+        const after = timelineMath.replayAccount({ entries, optionTrades, at: '2026-10-02 10:00:00' });
+
+        expect(after).toMatchObject({ cash: 1300, marginLoan: 0, marginCall: false, liquidations: 1, longs: { AAPL: 4 }, perps: {} });
+        expect(timelineMath.diffStates(before, after)).toEqual(expect.arrayContaining([
+            { field: 'cash', key: null, before: 700, after: 1300 },
+            { field: 'marginCall', key: null, before: true, after: false },
+            { field: 'longs', key: 'AAPL', before: 10, after: 4 },
+            { field: 'perps', key: '9', before: 5, after: 0 }
+        ]));
+        expect(timelineMath.replayAccount({ entries, optionTrades, at: '2026-10-17 00:00:00' }).options).toEqual({});
+    });
+});
+
+describe('timeline and replay against the database', () => {
+    const PRICES = { AAPL: 200, MSFT: 400 };
+
+    beforeEach(async () => {
+        for (const table of [
+            'economy_wallets', 'economy_transactions', 'economy_settings', 'stock_holdings', 'stock_trades',
+            'stock_prices', 'short_positions', 'option_positions', 'option_trades', 'perp_positions',
+            'exchange_accounts', 'exchange_events', 'exchange_settings'
+        ]) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+        jest.spyOn(stockService, 'getQuote').mockImplementation(async symbol => {
+            const resolved = stockService.normalizeSymbol(symbol);
+            return { symbol: resolved, name: resolved, price: PRICES[resolved], currency: 'USD', asOf: BEFORE, cached: false, stale: false };
+        });
+
+        await economyService.adjust({ guildId: GUILD, userId: TRADER, amount: 5000, type: 'test-grant' });
+        await economyService.adjust({ guildId: GUILD, userId: OTHER, amount: 5000, type: 'test-grant' });
+        await stockPortfolioService.buy({ guildId: GUILD, userId: TRADER, symbol: 'AAPL', units: 10 });
+        await stockPortfolioService.buy({ guildId: GUILD, userId: OTHER, symbol: 'MSFT', units: 1 });
+        // A dividend names its symbol but no price: the timeline falls back to the cached quote
+        await economyService.adjust({
+            guildId: GUILD, userId: TRADER, amount: 10, type: 'dividend',
+            detail: JSON.stringify({ symbol: 'AAPL', perShare: 1, units: 10, date: '2026-10-01' })
+        });
+        // Everything so far happened "last week"
+        await db.run('UPDATE economy_transactions SET createdAt = @at', { at: BEFORE });
+        await db.run('UPDATE exchange_events SET createdAt = @at', { at: BEFORE });
+        await db.run(
+            `INSERT INTO stock_prices (symbol, price, asOf) VALUES ('AAPL', 190, '2026-10-01 09:00:00'),
+                 ('AAPL', 999, '2026-10-01 11:00:00')`
+        );
+
+        await stockPortfolioService.sell({ guildId: GUILD, userId: TRADER, symbol: 'AAPL', units: 4 });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('one account\'s stream, oldest first, with the quote behind every step', async () => {
+        const timeline = await timelineService.timeline({ guildId: GUILD, userId: TRADER });
+
+        expect(timeline.scope).toBe('account');
+        expect(timeline.truncated).toBe(false);
+        expect(timeline.entries.every(entry => entry.userId === TRADER)).toBe(true);
+        expect(timeline.entries.map(entry => entry.kind))
+            .toEqual(['starting-balance', 'test-grant', 'stock-buy', 'dividend', 'stock-sell']);
+        expect(timeline.entries[2].quote).toMatchObject({ price: 200, source: 'fill' });
+        // The newest snapshot at or before the step - never one from after it
+        expect(timeline.entries[3].quote).toEqual({ price: 190, source: 'snapshot', asOf: '2026-10-01 09:00:00' });
+
+        const windowed = await timelineService.timeline({ guildId: GUILD, userId: TRADER, from: '2026-10-02' });
+        expect(windowed.entries.map(entry => entry.kind)).toEqual(['stock-sell']);
+    });
+
+    test('the whole guild, cut at the limit and flagged', async () => {
+        const full = await timelineService.timeline({ guildId: GUILD });
+        expect(full.scope).toBe('guild');
+        expect(new Set(full.entries.map(entry => entry.userId))).toEqual(new Set([TRADER, OTHER]));
+
+        const cut = await timelineService.timeline({ guildId: GUILD, limit: 3 });
+        expect(cut.entries).toHaveLength(3);
+        expect(cut.truncated).toBe(true);
+        expect(cut.entries).toEqual(full.entries.slice(0, 3));
+    });
+
+    test('replay rebuilds last week, diffs it against today, and finds no drift', async () => {
+        const replay = await timelineService.replay({ guildId: GUILD, userId: TRADER, at: '2026-10-01 12:00' });
+
+        expect(replay.at).toBe('2026-10-01 12:00:00');
+        expect(replay.state.longs).toEqual({ AAPL: 10 });
+        // Starting balance + grant - ten shares + the dividend
+        expect(replay.state.cash).toBe(1000 + 5000 - 2000 + 10);
+        expect(replay.recent.map(entry => entry.kind)).toEqual(['starting-balance', 'test-grant', 'stock-buy', 'dividend']);
+        expect(replay.changes).toEqual(expect.arrayContaining([
+            { field: 'longs', key: 'AAPL', before: 10, after: 6 },
+            { field: 'cash', key: null, before: 4010, after: 4810 }
+        ]));
+        expect(replay.drift).toEqual([]);
+        expect(replay.reconcile.length).toBeGreaterThan(0);
+        expect(replay.reconcile.every(check => check.ok)).toBe(true);
+    });
+
+    test('a table edited behind the ledger\'s back shows up as drift', async () => {
+        await db.run('UPDATE stock_holdings SET units = 99 WHERE userId = @userId', { userId: TRADER });
+        await db.run('UPDATE economy_wallets SET balance = balance + 1 WHERE userId = @userId', { userId: TRADER });
+
+        const replay = await timelineService.replay({ guildId: GUILD, userId: TRADER, at: new Date() });
+
+        expect(replay.drift).toEqual(expect.arrayContaining([
+            { field: 'longs', key: 'AAPL', before: 6, after: 99 },
+            { field: 'cash', key: null, before: 4810, after: 4811 }
+        ]));
+        expect(replay.reconcile.find(check => check.name === 'wallet-ledger-drift').ok).toBe(false);
+    });
+
+    test('refuses the future and times it cannot read', async () => {
+        await expect(timelineService.replay({ guildId: GUILD, userId: TRADER, at: new Date(Date.now() + 86_400_000) }))
+            .rejects.toMatchObject({ code: 'BAD_TIME' });
+        await expect(timelineService.replay({ guildId: GUILD, userId: TRADER, at: 'yesterday-ish' }))
+            .rejects.toMatchObject({ code: 'BAD_TIME' });
+        await expect(timelineService.timeline({ guildId: GUILD, from: '2026-10-05', to: '2026-10-01' }))
+            .rejects.toMatchObject({ code: 'BAD_TIME' });
+    });
+});
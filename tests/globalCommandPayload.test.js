@@ -13,7 +13,7 @@ process.env.GOOBSTER_DB_PATH = path.join(os.tmpdir(), `goobster-payload-test-${p
 // Loading every command module pulls the voice/music stack through
 // serviceManager, which has load-time side effects - mock it out.
 jest.mock('@goobster/core/services/serviceManager', () => ({
-    voiceService: { musicService: null }
+    voiceService: { musicPlayers: null }
 }));
 jest.mock('@goobster/core/services/spotdl/spotdlService', () => class SpotDLServiceMock {});
 
@@ -28,7 +28,7 @@ const {
 
 const EXPECTED_GLOBAL_NAMES = [
     'chat', 'joke', 'poem', 'generate', 'help', 'ping', 'mememode',
-    'forget-me', 'what-do-you-know-about-me',
+    'forget-me', 'what-do-you-know-about-me', 'export-my-data',
     'personalitydirective', 'aisettings', 'thoughtfulmode', 'nickname',
     'screenvision', 'integrations', 'instructions',
     // Web-portal parity: DM-scope retention + DM-scope scheduled tasks
@@ -0,0 +1,339 @@
+/**
+ * Portable server archives (services/guildTransferService.js): the table
+ * inventory held against schema.sql, export -> dry run -> apply into
+ * another server with every id remapped, merge conflicts, replace mode,
+ * channel checks, repeat and tampered archives, and custom campaigns that
+ * travel with their adventures.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const Database = require('better-sqlite3');
+
+const TEST_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-guild-transfer-test-'));
+const CAMPAIGNS_DIR = path.join(TEST_ROOT, 'campaigns');
+fs.mkdirSync(CAMPAIGNS_DIR);
+process.env.GOOBSTER_DB_PATH = path.join(TEST_ROOT, 'goobster.sqlite');
+process.env.GOOBSTER_DATA_DIR = path.join(TEST_ROOT, 'data');
+process.env.GOOBSTER_TAVERN_CAMPAIGNS_DIR = CAMPAIGNS_DIR;
+
+const db = require('@goobster/core/db');
+const { ZipWriter, readZip } = require('@goobster/core/utils/zipArchive');
+const artifactStorage = require('@goobster/core/utils/kgArtifactStorage');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const { writeCampaignDir } = require('@goobster/core/services/tavern/campaignForge');
+const {
+    GuildTransferService, GUILD_TABLES, EXCLUDED_TABLES
+} = require('@goobster/core/services/guildTransferService');
+
+const SOURCE = '300000000000000001';
+const TARGET = '300000000000000002';
+const ROB = '100000000000000001';
+const SCHEMA = fs.readFileSync(path.join(__dirname, '..', 'packages', 'core', 'db', 'schema.sql'), 'utf8');
+
+let service;
+
+function count(table, where = 'guildId = @g', params = { g: TARGET }) {
+    return db.get(`SELECT COUNT(*) AS c FROM ${table} WHERE ${where}`, params).then(row => row.c);
+}
+
+/** Re-zip an archive after changing its entries. */
+function rezip(buffer, poke) {
+    const entries = readZip(buffer);
+    poke(entries);
+    const file = path.join(TEST_ROOT, `rezip-${Date.now()}-${Math.random().toString(16).slice(2)}.zip`);
+    const zip = new ZipWriter(file);
+    for (const [name, data] of entries) zip.addBuffer(name, data);
+    zip.close();
+    return fs.readFileSync(file);
+}
+
+function patchManifest(entries, patch) {
+    const manifest = JSON.parse(entries.get('manifest.json').toString('utf8'));
+    patch(manifest);
+    entries.set('manifest.json', Buffer.from(JSON.stringify(manifest)));
+}
+
+async function seedSource() {
+    await db.run(`INSERT INTO guild_settings (guildId, thread_preference) VALUES (@g, 'ALWAYS_THREAD')`, { g: SOURCE });
+    await db.run(`INSERT INTO user_nicknames (userId, guildId, nickname) VALUES (@u, @g, 'Robbo')`, { u: ROB, g: SOURCE });
+
+    const memory = await db.insert(`INSERT INTO memory_embeddings (guildId, authorId, authorName, content, embedding, dims, model)
+        VALUES (@g, @u, 'rob', 'likes trains', @e, 2, 'test/model')`, { g: SOURCE, u: ROB, e: Buffer.from(new Float32Array([0.25, -1]).buffer) });
+    const fact = await db.insert(`INSERT INTO facts (guildId, subjectType, subjectId, content)
+        VALUES (@g, 'USER', @u, 'Rob drives the 8:15')`, { g: SOURCE, u: ROB });
+
+    const trains = await db.insert(`INSERT INTO kg_nodes (guildId, scopeKey, label, content) VALUES (@g, 'GUILD', 'Trains', 'Rob''s thing')`, { g: SOURCE });
+    const station = await db.insert(`INSERT INTO kg_nodes (guildId, scopeKey, label) VALUES (@g, 'GUILD', 'Central Station')`, { g: SOURCE });
+    const map = await db.insert(`INSERT INTO kg_nodes (guildId, scopeKey, type, label) VALUES (@g, 'GUILD', 'artifact', 'Line map')`, { g: SOURCE });
+    await db.run(`INSERT INTO kg_edges (guildId, scopeKey, sourceId, targetId, relation) VALUES (@g, 'GUILD', @a, @b, 'stops at')`,
+        { g: SOURCE, a: trains, b: station });
+    const saved = artifactStorage.saveBuffer({ guildId: SOURCE, authorId: ROB, originalName: 'map.md', buffer: Buffer.from('# The line\n') });
+    const artifact = await db.insert(`INSERT INTO kg_artifacts (nodeId, guildId, scopeKey, authorId, originalName, artifactKind, relativePath, sizeBytes)
+        VALUES (@n, @g, 'GUILD', @u, 'map.md', 'markdown', @p, 11)`, { n: map, g: SOURCE, u: ROB, p: saved.relativePath });
+    await db.run(`INSERT INTO kg_provenance (nodeId, sourceKind, sourceId) VALUES (@n, 'memory', @s)`, { n: trains, s: memory });
+    await db.run(`INSERT INTO kg_provenance (nodeId, sourceKind, sourceId) VALUES (@n, 'fact', @s)`, { n: trains, s: fact });
+    await db.run(`INSERT INTO kg_provenance (nodeId, sourceKind, sourceId) VALUES (@n, 'artifact', @s)`, { n: map, s: artifact });
+    await db.run(`INSERT INTO kg_provenance (nodeId, sourceKind, sourceId) VALUES (@n, 'research_claim', 999)`, { n: station });
+
+    await db.run(`INSERT INTO economy_wallets (guildId, userId, balance) VALUES (@g, @u, 500)`, { g: SOURCE, u: ROB });
+    const season = await db.insert(`INSERT INTO exchange_seasons (guildId, name, bankroll) VALUES (@g, 'Autumn', 10000)`, { g: SOURCE });
+    await db.run('UPDATE exchange_seasons SET scopeId = @s WHERE id = @id', { s: `${SOURCE}:season:${season}`, id: season });
+    await db.run(`INSERT INTO exchange_season_entries (seasonId, guildId, userId) VALUES (@s, @g, @u)`, { s: season, g: SOURCE, u: ROB });
+    await db.run(`INSERT INTO economy_wallets (guildId, userId, balance) VALUES (@g, @u, 10000)`, { g: `${SOURCE}:season:${season}`, u: ROB });
+
+    const character = await db.insert(`INSERT INTO tavern_characters (guildId, userId, name, origin, calling, complication)
+        VALUES (@g, @u, 'Bram', 'docks', 'sailor', 'owes the harbourmaster')`, { g: SOURCE, u: ROB });
+    const adventure = await db.insert(`INSERT INTO tavern_adventures (guildId, channelId, questId, status)
+        VALUES (@g, '400000000000000001', 'transfer-test', 'ACTIVE')`, { g: SOURCE });
+    await db.run(`INSERT INTO tavern_party_members (adventureId, userId, characterId) VALUES (@a, @u, @c)`, { a: adventure, u: ROB, c: character });
+    await db.run(`INSERT INTO tavern_lore (guildId, kind, name, content, sourceAdventureId) VALUES (@g, 'location', 'The Wharf', 'Wet.', @a)`,
+        { g: SOURCE, a: adventure });
+
+    await db.run(`INSERT INTO automations (userId, guildId, channelId, name, promptText, schedule)
+        VALUES (@u, @g, '400000000000000001', 'Morning trains', 'Post the departures', '0 8 * * *')`, { u: ROB, g: SOURCE });
+    await db.run(`INSERT INTO repo_watches (guildId, channelId, repo) VALUES (@g, '400000000000000001', 'rob/trains')`, { g: SOURCE });
+}
+
+function installCampaign() {
+    writeCampaignDir({
+        id: 'transfer-test',
+        title: 'The Transfer Test',
+        hook: 'A crate changes hands.',
+        players: { min: 1, max: 3 },
+        duration: '10 min',
+        difficulty: 'routine',
+        clocks: [],
+        tags: ['test'],
+        start: 'dock',
+        scenes: { dock: { id: 'dock', title: 'The Dock', text: 'A crate.', options: [{ key: 'open', label: 'Open it', end: 'done' }] } },
+        endings: { done: { id: 'done', title: 'Done', text: 'It was fish.', trophy: 'Fishy' } }
+    });
+    questLoader.reload();
+}
+
+async function clearGuild(guildId) {
+    for (const spec of [...GUILD_TABLES].reverse()) {
+        await db.run(`DELETE FROM ${spec.table} WHERE ${spec.where}`, { guildId, seasonScopes: `${guildId}:season:%` });
+    }
+    await db.run('DELETE FROM guild_imports WHERE guildId = @g', { g: guildId });
+}
+
+let archive;
+
+beforeAll(async () => {
+    installCampaign();
+    await seedSource();
+    service = new GuildTransferService({ exportsDir: path.join(TEST_ROOT, 'exports') });
+    const exported = await service.exportGuild(SOURCE, { guildName: 'Rail Fans', now: new Date('2026-10-19T10:00:00Z') });
+    archive = fs.readFileSync(exported.filePath);
+});
+
+afterEach(async () => {
+    await clearGuild(TARGET);
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    fs.rmSync(TEST_ROOT, { recursive: true, force: true });
+});
+
+describe('inventory', () => {
+    test('every guild-scoped table in schema.sql either travels or is excluded with a reason', () => {
+        const schema = new Database(':memory:');
+        schema.exec(SCHEMA);
+        const travelling = new Set(GUILD_TABLES.map(spec => spec.table));
+        const placed = new Set([...travelling, ...Object.keys(EXCLUDED_TABLES)]);
+        const tables = schema.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all().map(row => row.name);
+        const unplaced = tables.filter(table => {
+            if (placed.has(table)) return false;
+            const columns = schema.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+            const parents = schema.prepare(`PRAGMA foreign_key_list(${table})`).all().map(fk => fk.table);
+            // A child of a travelling table would be left dangling
+            return columns.includes('guildId') || parents.some(parent => travelling.has(parent));
+        });
+        schema.close();
+        expect(unplaced).toEqual([]);
+        for (const table of [...GUILD_TABLES.map(spec => spec.table), ...Object.keys(EXCLUDED_TABLES)]) {
+            expect(tables).toContain(table);
+        }
+    });
+});
+
+describe('export', () => {
+    test('the archive has a manifest with counts, hashes, artifact files and the custom campaign', () => {
+        const entries = readZip(archive);
+        const manifest = JSON.parse(entries.get('manifest.json').toString('utf8'));
+        expect(manifest).toMatchObject({
+            format: 'goobster-guild-archive', formatVersion: 1, guild: { id: SOURCE, name: 'Rail Fans' },
+            campaigns: ['transfer-test']
+        });
+        expect(manifest.tables).toMatchObject({ kg_nodes: 3, kg_edges: 1, economy_wallets: 2, exchange_seasons: 1 });
+        expect(manifest.tables).not.toHaveProperty('guild_conversations');
+        expect(entries.has('campaigns/transfer-test.campaign.json')).toBe(true);
+        expect([...entries.keys()].some(name => name.startsWith('files/kg-artifacts/'))).toBe(true);
+        for (const name of Object.keys(manifest.files)) expect(entries.has(name)).toBe(true);
+    });
+});
+
+describe('import into another server', () => {
+    test('a dry run writes nothing and its counts are what apply writes', async () => {
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        expect(plan.sameGuild).toBe(false);
+        expect(plan.areas.every(area => area.status === 'import')).toBe(true);
+        expect(plan.totals.inserted).toBeGreaterThan(15);
+        expect(await count('kg_nodes')).toBe(0);
+        expect(await count('guild_imports')).toBe(0);
+        expect(questLoader.getQuest('transfer-test')).toBeTruthy();
+
+        const applied = await service.applyImport(plan.token, { guildId: TARGET });
+        expect(applied.totals).toEqual(plan.totals);
+        expect(await count('kg_nodes')).toBe(3);
+        expect(await count('guild_imports')).toBe(1);
+    });
+
+    test('ids are remapped: edges, provenance, season scopes and party members follow their rows', async () => {
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        await service.applyImport(plan.token, { guildId: TARGET });
+
+        const edge = await db.get(`SELECT s.label AS source, t.label AS target FROM kg_edges e
+            JOIN kg_nodes s ON s.id = e.sourceId JOIN kg_nodes t ON t.id = e.targetId WHERE e.guildId = @g`, { g: TARGET });
+        expect(edge).toEqual({ source: 'Trains', target: 'Central Station' });
+
+        const provenance = await db.all(`SELECT p.sourceKind, p.sourceId FROM kg_provenance p
+            JOIN kg_nodes n ON n.id = p.nodeId WHERE n.guildId = @g ORDER BY p.sourceKind`, { g: TARGET });
+        const memory = await db.get('SELECT id FROM memory_embeddings WHERE guildId = @g', { g: TARGET });
+        const fact = await db.get('SELECT id FROM facts WHERE guildId = @g', { g: TARGET });
+        const artifact = await db.get('SELECT id, relativePath FROM kg_artifacts WHERE guildId = @g', { g: TARGET });
+        expect(provenance).toEqual([
+            { sourceKind: 'artifact', sourceId: artifact.id },
+            { sourceKind: 'fact', sourceId: fact.id },
+            { sourceKind: 'memory', sourceId: memory.id },
+            { sourceKind: 'research_claim', sourceId: null }
+        ]);
+        expect(artifactStorage.readBuffer(artifact.relativePath).toString()).toBe('# The line\n');
+        expect(artifact.relativePath).toContain(TARGET);
+
+        const season = await db.get('SELECT id, scopeId FROM exchange_seasons WHERE guildId = @g', { g: TARGET });
+        expect(season.scopeId).toBe(`${TARGET}:season:${season.id}`);
+        expect(await count('economy_wallets', 'guildId = @g', { g: season.scopeId })).toBe(1);
+        expect(await count('exchange_season_entries', 'seasonId = @s', { s: season.id })).toBe(1);
+
+        const member = await db.get(`SELECT c.name, a.guildId FROM tavern_party_members m
+            JOIN tavern_characters c ON c.id = m.characterId JOIN tavern_adventures a ON a.id = m.adventureId WHERE a.guildId = @g`, { g: TARGET });
+        expect(member).toEqual({ name: 'Bram', guildId: TARGET });
+        const lore = await db.get('SELECT l.sourceAdventureId, a.guildId FROM tavern_lore l JOIN tavern_adventures a ON a.id = l.sourceAdventureId WHERE l.guildId = @g', { g: TARGET });
+        expect(lore.guildId).toBe(TARGET);
+    });
+
+    test('merging the same archive twice is refused', async () => {
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        await service.applyImport(plan.token, { guildId: TARGET });
+        await expect(service.planImport(archive, { guildId: TARGET })).rejects.toMatchObject({ code: 'ALREADY_IMPORTED', status: 409 });
+    });
+
+    test('a preview applies only to the server that made it', async () => {
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        await expect(service.applyImport(plan.token, { guildId: SOURCE })).rejects.toMatchObject({ code: 'WRONG_GUILD' });
+        service.discardImport(plan.token);
+        await expect(service.applyImport(plan.token, { guildId: TARGET })).rejects.toMatchObject({ code: 'NO_STAGED' });
+    });
+});
+
+describe('conflicts', () => {
+    test('merge keeps an existing economy and attaches imported edges to existing nodes', async () => {
+        await db.run(`INSERT INTO economy_wallets (guildId, userId, balance) VALUES (@g, @u, 42)`, { g: TARGET, u: ROB });
+        const trains = await db.insert(`INSERT INTO kg_nodes (guildId, scopeKey, label) VALUES (@g, 'GUILD', 'trains')`, { g: TARGET });
+
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        const economy = plan.areas.find(area => area.id === 'economy');
+        expect(economy).toMatchObject({ status: 'conflict', existing: 1 });
+        expect(economy.totals.inserted).toBe(0);
+        const nodes = plan.areas.find(area => area.id === 'knowledge').tables.find(table => table.table === 'kg_nodes');
+        expect(nodes).toMatchObject({ rows: 3, inserted: 2, kept: 1 });
+
+        await service.applyImport(plan.token, { guildId: TARGET });
+        expect((await db.get('SELECT balance FROM economy_wallets WHERE guildId = @g', { g: TARGET })).balance).toBe(42);
+        expect(await count('kg_edges', 'sourceId = @n', { n: trains })).toBe(1);
+        expect(await count('kg_nodes')).toBe(3);
+    });
+
+    test('replace clears the areas the archive brings before loading them', async () => {
+        await db.run(`INSERT INTO economy_wallets (guildId, userId, balance) VALUES (@g, @u, 42)`, { g: TARGET, u: ROB });
+        await db.run(`INSERT INTO kg_nodes (guildId, scopeKey, label) VALUES (@g, 'GUILD', 'Buses')`, { g: TARGET });
+
+        const plan = await service.planImport(archive, { guildId: TARGET, mode: 'replace' });
+        const economy = plan.areas.find(area => area.id === 'economy');
+        expect(economy.status).toBe('import');
+        expect(economy.totals.deleted).toBe(1);
+        await service.applyImport(plan.token, { guildId: TARGET });
+
+        expect((await db.get('SELECT balance FROM economy_wallets WHERE guildId = @g', { g: TARGET })).balance).toBe(500);
+        expect(await count('kg_nodes', "guildId = @g AND label = 'Buses'")).toBe(0);
+        // Replace may reload an archive that was merged before
+        const again = await service.planImport(archive, { guildId: TARGET, mode: 'replace' });
+        service.discardImport(again.token);
+    });
+
+    test("rows pointing at channels this server lacks are skipped, automations disabled", async () => {
+        const plan = await service.planImport(archive, { guildId: TARGET, channelIds: ['400000000000000009'] });
+        const tables = plan.areas.find(area => area.id === 'automations').tables;
+        expect(tables.find(table => table.table === 'repo_watches')).toMatchObject({ rows: 1, skipped: 1 });
+        await service.applyImport(plan.token, { guildId: TARGET });
+        expect((await db.get('SELECT isEnabled FROM automations WHERE guildId = @g', { g: TARGET })).isEnabled).toBe(0);
+        expect(await count('repo_watches')).toBe(0);
+    });
+});
+
+describe('campaigns', () => {
+    test('a custom campaign the host lacks is staged and installed with the import', async () => {
+        fs.rmSync(path.join(CAMPAIGNS_DIR, 'transfer-test'), { recursive: true, force: true });
+        questLoader.reload();
+
+        const plan = await service.planImport(archive, { guildId: TARGET });
+        expect(plan.campaigns).toEqual([expect.objectContaining({ questId: 'transfer-test', action: 'install' })]);
+        expect(questLoader.getQuest('transfer-test')).toBeFalsy();
+
+        const applied = await service.applyImport(plan.token, { guildId: TARGET });
+        expect(applied.campaigns[0].action).toBe('installed-now');
+        expect(questLoader.getQuest('transfer-test')).toBeTruthy();
+    });
+});
+
+describe('bad archives', () => {
+    test('not an archive, edited entries and newer schemas are refused before anything runs', async () => {
+        await expect(service.planImport(Buffer.from('hello'), { guildId: TARGET })).rejects.toMatchObject({ code: 'BAD_ARCHIVE' });
+
+        const tampered = rezip(archive, entries => {
+            const name = [...entries.keys()].find(entry => entry.startsWith('tables/economy_wallets/'));
+            entries.set(name, Buffer.from(entries.get(name).toString('utf8').replace('500', '5000000')));
+        });
+        await expect(service.planImport(tampered, { guildId: TARGET })).rejects.toMatchObject({ code: 'TAMPERED', status: 422 });
+
+        const newer = rezip(archive, entries => patchManifest(entries, manifest => { manifest.schemaVersion += 1; }));
+        await expect(service.planImport(newer, { guildId: TARGET })).rejects.toMatchObject({ code: 'SCHEMA_TOO_NEW' });
+        expect(await count('guild_imports')).toBe(0);
+    });
+
+    test('entries are only inflated when the manifest lists them and they fit the unpacked limits', async () => {
+        // A 4 GB declared size in the central directory, as a zip bomb would claim
+        const declareHuge = (buffer, name) => {
+            const at = buffer.lastIndexOf(Buffer.from(name, 'utf8'));
+            buffer.writeUInt32LE(0xF0000000, at - 46 + 24);
+            return buffer;
+        };
+        const bomb = Buffer.from('boom');
+
+        const listed = declareHuge(rezip(archive, entries => {
+            entries.set('files/bomb', bomb);
+            patchManifest(entries, manifest => { manifest.files['files/bomb'] = crypto.createHash('sha256').update(bomb).digest('hex'); });
+        }), 'files/bomb');
+        await expect(service.planImport(listed, { guildId: TARGET })).rejects.toMatchObject({ code: 'TOO_LARGE', status: 413 });
+
+        const stray = declareHuge(rezip(archive, entries => { entries.set('files/bomb', bomb); }), 'files/bomb');
+        const { entries } = service.readArchive(stray);
+        expect(entries.has('files/bomb')).toBe(false);
+        expect(await count('guild_imports')).toBe(0);
+    });
+});
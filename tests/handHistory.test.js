@@ -0,0 +1,171 @@
+/**
+ * Tests for Activity table spectators and hand history
+ * (services/tableGames/handHistory.js): the public view spectators get,
+ * hands recorded frame by frame with their nets, per-viewer replays,
+ * filtering, pruning, and /forget-me anonymization - against a throwaway
+ * SQLite database.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-hands-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const { TableManager } = require('@goobster/core/services/tableGames/tableManager');
+const { HandHistory, HANDS_PER_TABLE } = require('@goobster/core/services/tableGames/handHistory');
+
+const GUILD = '730000000000000001';
+const CHANNEL = '730000000000000002';
+const ALICE = '730000000000000011';
+const BOB = '730000000000000012';
+const GOOBSTER = '730000000000000099';
+
+let manager;
+let history;
+
+beforeEach(async () => {
+    for (const table of ['economy_wallets', 'economy_transactions', 'economy_settings', 'table_games', 'fair_rounds', 'table_hands']) {
+        await db.run(`DELETE FROM ${table}`);
+    }
+    manager = new TableManager();
+    history = new HandHistory({ tableManager: manager });
+});
+
+afterEach(() => {
+    manager.stop();
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(TEST_DB + suffix, { force: true });
+    }
+});
+
+function subscriberFor(userId, extra = {}) {
+    const messages = [];
+    return { userId, name: userId, send: m => messages.push(m), messages, ...extra };
+}
+
+/** Alice and Bob sit at hold'em, Alice deals, and whoever acts first folds. */
+async function foldedHoldemHand() {
+    const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'holdem' });
+    await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit' });
+    await manager.act({ table, userId: BOB, name: 'Bob', action: 'sit' });
+    await manager.act({ table, userId: ALICE, action: 'deal' });
+    const folder = table.state.seats[table.state.activeSeat].userId;
+    await manager.act({ table, userId: folder, action: 'fold' });
+    return { table, folder };
+}
+
+describe('spectators', () => {
+    test('see the public view of a running table, never hole cards', async () => {
+        expect(manager.findTable({ guildId: GUILD, channelId: CHANNEL })).toBeNull();
+        const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'holdem' });
+        expect(manager.findTable({ guildId: GUILD, channelId: CHANNEL })).toBe(table);
+
+        await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit' });
+        await manager.act({ table, userId: BOB, name: 'Bob', action: 'sit' });
+        await manager.act({ table, userId: ALICE, action: 'deal' });
+
+        // Even a spectator who shares a seated player's id sees no cards
+        const watcher = subscriberFor(ALICE, { spectator: true });
+        const player = subscriberFor(ALICE);
+        manager.subscribe(table, watcher);
+        manager.subscribe(table, player);
+
+        const watched = watcher.messages[0].view;
+        expect(watched.yourSeat).toBeNull();
+        expect(watched.seats.filter(Boolean).every(s => s.cards === null)).toBe(true);
+        expect(player.messages[0].view.seats[player.messages[0].view.yourSeat].cards).toHaveLength(2);
+    });
+});
+
+describe('hand history', () => {
+    test('a settled hand is logged with every transition and its nets', async () => {
+        const { folder } = await foldedHoldemHand();
+
+        const [hand] = await history.list({ guildId: GUILD });
+        expect(hand).toMatchObject({ channelId: CHANNEL, gameType: 'holdem', status: 'SETTLED', botPlayed: false });
+        expect(hand.fairHandId).toEqual(expect.any(Number));
+        const nets = Object.fromEntries(hand.players.map(p => [p.userId, p.net]));
+        expect(nets[folder]).toBeLessThan(0);
+        expect(nets[folder === ALICE ? BOB : ALICE]).toBe(-nets[folder]);
+
+        const replay = await history.get({ guildId: GUILD, id: hand.id, viewerId: ALICE });
+        // Before the hand, two sits, the deal, the fold
+        expect(replay.frames.map(f => f.action?.type ?? null)).toEqual([null, 'sit', 'sit', 'deal', 'fold']);
+        expect(replay.frames.at(-1).events.some(e => e.type === 'settled')).toBe(true);
+    });
+
+    test('a replay shows the viewer their own hole cards and nobody else\'s', async () => {
+        await foldedHoldemHand();
+        const [{ id }] = await history.list({ guildId: GUILD });
+
+        const dealt = async (viewerId) => (await history.get({ guildId: GUILD, id, viewerId })).frames[3].view;
+        const asAlice = await dealt(ALICE);
+        const aliceSeat = asAlice.seats[asAlice.yourSeat];
+        expect(aliceSeat.cards).toHaveLength(2);
+        expect(asAlice.seats.filter(s => s && s.userId === BOB)[0].cards).toBeNull();
+
+        const asStranger = await dealt(null);
+        expect(asStranger.seats.filter(Boolean).every(s => s.cards === null)).toBe(true);
+        await expect(history.get({ guildId: '730000000000000077', id, viewerId: ALICE }))
+            .rejects.toMatchObject({ code: 'NO_HAND' });
+    });
+
+    test('lists filter by player and by Goobster sitting in', async () => {
+        await foldedHoldemHand();
+        await manager.closeTable(manager.findTable({ guildId: GUILD, channelId: CHANNEL }));
+
+        const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'roulette' });
+        await manager.act({ table, userId: GOOBSTER, name: 'Goobster', action: 'sit', isBot: true });
+        await manager.act({ table, userId: GOOBSTER, action: 'bet', amount: 50, kind: 'red', isBot: true });
+        await manager.act({ table, userId: GOOBSTER, action: 'spin', isBot: true });
+
+        expect((await history.list({ guildId: GUILD })).map(h => h.gameType)).toEqual(['roulette', 'holdem']);
+        expect((await history.list({ guildId: GUILD, userId: ALICE })).map(h => h.gameType)).toEqual(['holdem']);
+        const [botHand] = await history.list({ guildId: GUILD, againstBot: true });
+        expect(botHand).toMatchObject({ gameType: 'roulette', botPlayed: true });
+        expect(botHand.players).toEqual([{ userId: GOOBSTER, name: 'Goobster', isBot: true, net: expect.any(Number) }]);
+        expect(await history.list({ guildId: GUILD, before: botHand.id })).toHaveLength(1);
+    });
+
+    test('a reset before anything was drawn logs nothing', async () => {
+        const { table } = await foldedHoldemHand();
+        await manager.act({ table, action: 'next-hand', system: true });
+        expect(await history.list({ guildId: GUILD })).toHaveLength(1);
+    });
+
+    test('each table keeps only its most recent hands', async () => {
+        for (let i = 0; i < HANDS_PER_TABLE; i++) {
+            await db.run(
+                `INSERT INTO table_hands (guildId, channelId, gameType, status, frames, startedAt)
+                 VALUES (@guildId, @channelId, 'holdem', 'SETTLED', '[]', CURRENT_TIMESTAMP)`,
+                { guildId: GUILD, channelId: CHANNEL }
+            );
+        }
+        const oldest = await db.get('SELECT MIN(id) AS id FROM table_hands');
+        await foldedHoldemHand();
+
+        const { c } = await db.get('SELECT COUNT(*) AS c FROM table_hands WHERE guildId = @g', { g: GUILD });
+        expect(c).toBe(HANDS_PER_TABLE);
+        expect(await db.get('SELECT id FROM table_hands WHERE id = @id', { id: oldest.id })).toBeUndefined();
+    });
+
+    test('forgetting a player anonymizes them and keeps the hand for the others', async () => {
+        await foldedHoldemHand();
+        expect(await history.forgetUser(ALICE)).toBe(1);
+
+        const row = await db.get('SELECT frames FROM table_hands');
+        // As a value or a key anywhere (the revealed seeds are the fair record's, not hers)
+        expect(row.frames).not.toContain(`"${ALICE}"`);
+        expect(row.frames).not.toContain('"Alice"');
+        const [hand] = await history.list({ guildId: GUILD });
+        expect(hand.players.map(p => p.userId)).toEqual([BOB]);
+        const replay = await history.get({ guildId: GUILD, id: hand.id, viewerId: BOB });
+        expect(replay.frames[1].action).toMatchObject({ type: 'sit', userId: 'forgotten', name: 'A former player' });
+    });
+});
@@ -323,3 +323,111 @@ describe('leaving, refunds, and views', () => {
         expect(view.seats[0].isBot).toBe(false);
     });
 });
+
+describe('tournament chip mode', () => {
+    const TOURNAMENT = { id: 1, tableNo: 1 };
+
+    function tournamentTable(stacks, minBet = 10) {
+        let state = engine.createTable({ minBet, tournament: TOURNAMENT });
+        for (const [userId, stack] of stacks) {
+            ({ state } = engine.applyAction(state, { userId, name: `p${userId.slice(-1)}`, action: 'sit', amount: stack, system: true }));
+        }
+        return state;
+    }
+
+    const stackOf = (state, userId) => state.seats.find(s => s && s.userId === userId).stack;
+
+    test('seats are assigned by the tournament and carry a stack', () => {
+        const state = tournamentTable([]);
+        expect(() => engine.applyAction(state, { userId: ALICE, action: 'sit' }))
+            .toThrow(expect.objectContaining({ code: 'TOURNAMENT_SEATING' }));
+        expect(() => engine.applyAction(state, { userId: ALICE, action: 'sit', system: true }))
+            .toThrow(expect.objectContaining({ code: 'BAD_STACK' }));
+    });
+
+    test('blinds come out of the stack with no ledger charges', () => {
+        const state = tournamentTable([[ALICE, 1000], [BOB, 1000]]);
+        const { state: dealt, charges } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng);
+        expect(charges).toEqual([]);
+        expect(stackOf(dealt, ALICE)).toBe(995);
+        expect(stackOf(dealt, BOB)).toBe(990);
+        expect(engine.getEscrowRefunds(dealt)).toEqual([]);
+    });
+
+    test('calling all-in for less returns the unmatched chips and busts the loser at the next hand', () => {
+        let state = tournamentTable([[ALICE, 300], [BOB, 100]]);
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'bet', amount: 300 }));
+        const called = engine.applyAction(state, { userId: BOB, action: 'call' });
+        state = called.state;
+
+        // Nobody can act any more: the board runs out and Alice's straight flush wins
+        expect(state.phase).toBe('settled');
+        expect(stackOf(state, ALICE)).toBe(400);
+        expect(stackOf(state, BOB)).toBe(0);
+
+        const reset = engine.applyAction(state, { action: 'next-hand', system: true });
+        expect(reset.events).toContainEqual(expect.objectContaining({ type: 'bust', userId: BOB, startStack: 100, forfeit: false }));
+        expect(reset.state.seats.filter(Boolean).map(s => s.userId)).toEqual([ALICE]);
+    });
+
+    test('a short all-in wins only the main pot; the side pot splits between the others', () => {
+        // Button seat 0 (Alice); Bob posts SB, Carol BB. Alice makes a 9-high
+        // straight flush; Bob and Carol both play the 8-high one on the board.
+        let state = tournamentTable([[ALICE, 50], [BOB, 200], [CAROL, 200]]);
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'bet', amount: 50 }));
+        ({ state } = engine.applyAction(state, { userId: BOB, action: 'call' }));
+        ({ state } = engine.applyAction(state, { userId: CAROL, action: 'call' }));
+        expect(state.street).toBe('flop');
+        ({ state } = engine.applyAction(state, { userId: BOB, action: 'bet', amount: 40 }));
+        ({ state } = engine.applyAction(state, { userId: CAROL, action: 'call' }));
+        for (const street of ['turn', 'river']) {
+            expect(state.street).toBe(street);
+            ({ state } = engine.applyAction(state, { userId: BOB, action: 'check' }));
+            ({ state } = engine.applyAction(state, { userId: CAROL, action: 'check' }));
+        }
+
+        expect(state.phase).toBe('settled');
+        expect(stackOf(state, ALICE)).toBe(150);
+        expect(stackOf(state, BOB)).toBe(150);
+        expect(stackOf(state, CAROL)).toBe(150);
+    });
+
+    test('a new blind level waits for the next deal', () => {
+        let state = tournamentTable([[ALICE, 1000], [BOB, 1000]]);
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        ({ state } = engine.applyAction(state, { action: 'set-blinds', amount: 40, system: true }));
+        expect(state.minBet).toBe(10);
+        expect(state.pendingMinBet).toBe(40);
+
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'fold' }));
+        ({ state } = engine.applyAction(state, { action: 'next-hand', system: true }));
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        expect(state.minBet).toBe(40);
+        expect(state.pendingMinBet).toBeNull();
+    });
+
+    test('players are unseated between hands only', () => {
+        let state = tournamentTable([[ALICE, 1000], [BOB, 1000], [CAROL, 1000]]);
+        const moved = engine.applyAction(state, { userId: CAROL, action: 'unseat', system: true });
+        expect(moved.events).toContainEqual(expect.objectContaining({ type: 'unseat', userId: CAROL, stack: 1000 }));
+
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        expect(() => engine.applyAction(state, { userId: CAROL, action: 'unseat', system: true }))
+            .toThrow(expect.objectContaining({ code: 'BAD_PHASE' }));
+    });
+
+    test('rolling back an unfinished hand returns the pot to the stacks', () => {
+        let state = tournamentTable([[ALICE, 1000], [BOB, 1000]]);
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'deal' }, identityRng));
+        ({ state } = engine.applyAction(state, { userId: ALICE, action: 'bet', amount: 60 }));
+        expect(engine.chipCounts(state).map(c => c.stack)).toEqual([1000, 1000]);
+
+        const rolled = engine.rollbackHand(state);
+        expect(rolled.phase).toBe('waiting');
+        expect(stackOf(rolled, ALICE)).toBe(1000);
+        expect(stackOf(rolled, BOB)).toBe(1000);
+        expect(rolled.timer).toEqual(expect.objectContaining({ action: 'deal' }));
+    });
+});
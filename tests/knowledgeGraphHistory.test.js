@@ -0,0 +1,267 @@
+/**
+ * Knowledge-graph time travel (services/knowledgeGraphHistory.js): the
+ * kg_history journal, "as of" reconstruction, diffs between two dates, batch
+ * rollback of a reflection run, retention and privacy - against a throwaway
+ * SQLite database with the AI provider and embeddings mocked (no network).
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-kg-history-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+jest.mock('@goobster/core/services/aiService', () => ({
+    generateText: jest.fn()
+}));
+jest.mock('@goobster/core/services/embeddingService', () => ({
+    embed: jest.fn(() => { throw new Error('no embeddings in tests'); }),
+    embedBatch: jest.fn(() => { throw new Error('no embeddings in tests'); }),
+    cosineSimilarity: jest.fn(() => 0)
+}));
+
+const db = require('@goobster/core/db');
+const aiService = require('@goobster/core/services/aiService');
+const kg = require('@goobster/core/services/knowledgeGraphService');
+const reflection = require('@goobster/core/services/knowledgeReflectionService');
+const privacyService = require('@goobster/core/services/privacyService');
+const webDashboardService = require('@goobster/core/services/webDashboardService');
+
+const USER = '600000000000000007';
+const GUILD = '500000000000000007';
+const DM_SCOPE = `dm:${USER}`;
+const SCOPE_KEY = `USER:${USER}`;
+const PAST = '2026-01-01 00:00:00';
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        fs.rmSync(TEST_DB + suffix, { force: true });
+    }
+});
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    for (const table of ['kg_history', 'kg_reflection_runs', 'kg_provenance', 'kg_edges', 'kg_node_tags',
+        'kg_tags', 'kg_nodes', 'memory_embeddings']) {
+        await db.run(`DELETE FROM ${table}`, {});
+    }
+});
+
+const node = (label, extra = {}) => kg.upsertNode({
+    guildId: DM_SCOPE, scopeKey: SCOPE_KEY, subjectType: 'USER', subjectId: USER, label, ...extra
+});
+
+/** Move everything written so far to PAST, as if it had happened then. */
+async function backdate(stamp = PAST) {
+    for (const table of ['kg_history', 'kg_nodes', 'kg_edges', 'kg_tags']) {
+        await db.run(`UPDATE ${table} SET createdAt = @stamp`, { stamp });
+    }
+}
+
+/** A telescope note (tagged), linked to astronomy, all as of PAST. */
+async function seedPast() {
+    await node('telescope', { type: 'thing', content: 'owns a 6 inch dobsonian' });
+    await kg.link({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, source: 'telescope', target: 'astronomy', relation: 'used_for' });
+    await kg.addTagsToNode({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, label: 'telescope', tags: ['gear'] });
+    await backdate();
+}
+
+describe('journal', () => {
+    test('records adds, material revisions and retirements with the active batch', async () => {
+        await kg.history.withBatch('test:1', async () => {
+            await node('telescope', { type: 'thing', content: 'owns a 6 inch dobsonian' });
+            await node('telescope', { content: 'owns an 8 inch dobsonian' });
+            await node('telescope', { salience: 0.9 });
+            await kg.link({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, source: 'telescope', target: 'astronomy', relation: 'used_for' });
+            await kg.addTagsToNode({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, label: 'telescope', tags: ['gear'] });
+            await kg.deleteNode(DM_SCOPE, 'astronomy', SCOPE_KEY);
+        });
+        await node('unbatched');
+
+        const rows = await db.all('SELECT entity, action, batchKey, stateBefore, stateAfter FROM kg_history ORDER BY id');
+        expect(rows.map(r => `${r.entity}:${r.action}`)).toEqual([
+            'node:add', 'node:revise', 'node:add', 'edge:add', 'tag:add', 'edge:retire', 'node:retire', 'node:add'
+        ]);
+        expect(rows.slice(0, -1).every(r => r.batchKey === 'test:1')).toBe(true);
+        expect(rows.at(-1).batchKey).toBeNull();
+        expect(JSON.parse(rows[1].stateBefore).content).toBe('owns a 6 inch dobsonian');
+        expect(JSON.parse(rows[1].stateAfter).content).toBe('owns an 8 inch dobsonian');
+        expect(JSON.parse(rows[5].stateBefore)).toMatchObject({ sourceLabel: 'telescope', targetLabel: 'astronomy' });
+    });
+});
+
+describe('as of', () => {
+    test('reconstructs retired, revised and not-yet-added knowledge', async () => {
+        await seedPast();
+        await db.run(
+            `INSERT INTO kg_nodes (guildId, scopeKey, type, label, createdAt)
+             VALUES (@g, @s, 'fact', 'predates the journal', '2025-12-01 00:00:00')`,
+            { g: DM_SCOPE, s: SCOPE_KEY }
+        );
+        await node('telescope', { content: 'owns an 8 inch dobsonian' });
+        await kg.deleteNode(DM_SCOPE, 'astronomy', SCOPE_KEY);
+        await node('new eyepiece');
+
+        const then = await kg.history.snapshot({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, asOf: '2026-01-15T00:00:00Z' });
+        expect(then.nodes.map(n => n.label).sort()).toEqual(['astronomy', 'predates the journal', 'telescope']);
+        expect(then.nodes.find(n => n.label === 'telescope').content).toBe('owns a 6 inch dobsonian');
+        expect(then.edges).toEqual([expect.objectContaining({ sourceLabel: 'telescope', targetLabel: 'astronomy' })]);
+        expect([...then.tags.values()]).toEqual([['gear']]);
+        expect(then.historyStartsAt).toBe(PAST);
+
+        const now = await kg.history.snapshot({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, asOf: new Date() });
+        expect(now.nodes.map(n => n.label).sort()).toEqual(['new eyepiece', 'predates the journal', 'telescope']);
+        expect(now.nodes.find(n => n.label === 'telescope').content).toBe('owns an 8 inch dobsonian');
+        expect(now.edges).toEqual([]);
+
+        const before = await kg.history.snapshot({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, asOf: '2025-12-15' });
+        expect(before.nodes.map(n => n.label)).toEqual(['predates the journal']);
+    });
+
+    test('the Map view travels through the dashboard and rejects bad dates', async () => {
+        await seedPast();
+        await kg.deleteNode(DM_SCOPE, 'telescope', SCOPE_KEY);
+
+        const view = await webDashboardService.getConstellation({
+            gateway: null, scope: DM_SCOPE, userId: USER, asOf: '2026-01-02'
+        });
+        expect(view.asOf).toBe('2026-01-02 00:00:00');
+        const telescope = view.nodes.find(n => n.label === 'telescope');
+        expect(telescope.tags).toEqual(['gear']);
+        expect(view.edges).toEqual(expect.arrayContaining([expect.objectContaining({ relation: 'used_for' })]));
+
+        const present = await webDashboardService.getConstellation({ gateway: null, scope: DM_SCOPE, userId: USER });
+        expect(present.nodes.map(n => n.label)).not.toContain('telescope');
+
+        await expect(webDashboardService.getConstellation({
+            gateway: null, scope: DM_SCOPE, userId: USER, asOf: 'last tuesday-ish'
+        })).rejects.toMatchObject({ status: 400, code: 'BAD_DATE' });
+    });
+});
+
+describe('diff and rollback', () => {
+    async function reflect() {
+        await db.insert(
+            `INSERT INTO memory_embeddings (guildId, channelId, authorId, authorName, content, embedding, dims, model)
+             VALUES (@g, 'chan-1', @u, 'tester', 'upgraded the scope, sky is darker out west', @e, 2, 'test-embed')`,
+            { g: DM_SCOPE, u: USER, e: Buffer.alloc(8) }
+        );
+        aiService.generateText.mockResolvedValue(JSON.stringify({
+            mutations: {
+                upsert: [
+                    { type: 'thing', label: 'telescope', content: 'owns a 10 inch dobsonian' },
+                    { type: 'place', label: 'dark site', content: 'drives west for darker skies' }
+                ],
+                contradict: [{ source: 'dark site', target: 'telescope' }],
+                delete: ['astronomy']
+            }
+        }));
+        return await reflection.runScope({
+            guildId: DM_SCOPE,
+            scopeKey: SCOPE_KEY,
+            subjectType: 'USER',
+            subjectId: USER,
+            passes: ['distill']
+        });
+    }
+
+    test('reports what a reflection run changed, attributed to the run', async () => {
+        await seedPast();
+        const run = await reflect();
+        expect(run.status).toBe('completed');
+
+        const diff = await webDashboardService.getGraphHistory({
+            gateway: null, scope: DM_SCOPE, userId: USER, target: 'personal', from: '2026-01-02'
+        });
+        expect(diff.nodes.added.map(n => n.label)).toEqual(['dark site']);
+        expect(diff.nodes.retired.map(n => n.label)).toEqual(['astronomy']);
+        expect(diff.nodes.revised).toEqual([expect.objectContaining({
+            label: 'telescope',
+            before: expect.objectContaining({ content: 'owns a 6 inch dobsonian' }),
+            after: expect.objectContaining({ content: 'owns a 10 inch dobsonian' }),
+            batchKey: `reflection:${run.id}`
+        })]);
+        expect(diff.contradicted).toEqual([expect.objectContaining({ source: 'dark site', target: 'telescope' })]);
+        expect(diff.edges.retired).toEqual([expect.objectContaining({ relation: 'used_for' })]);
+        expect(diff.batches).toEqual([expect.objectContaining({
+            batchKey: `reflection:${run.id}`,
+            kind: 'reflection',
+            run: expect.objectContaining({ id: run.id, passes: ['distill'] }),
+            rollbackable: true
+        })]);
+    });
+
+    test('rolls a run back, once, and the rollback is journaled', async () => {
+        await seedPast();
+        const run = await reflect();
+        const batchKey = `reflection:${run.id}`;
+
+        const result = await webDashboardService.rollbackGraphBatch({
+            gateway: null, scope: DM_SCOPE, userId: USER, target: 'personal', batchKey
+        });
+        expect(result.undone.nodes).toBeGreaterThanOrEqual(3);
+
+        const labels = (await db.all('SELECT label FROM kg_nodes WHERE guildId = @g ORDER BY label', { g: DM_SCOPE }))
+            .map(r => r.label);
+        expect(labels).toEqual(['astronomy', 'telescope']);
+        expect((await kg.getNode(DM_SCOPE, 'telescope', SCOPE_KEY)).content).toBe('owns a 6 inch dobsonian');
+        const restored = await kg.getNeighborhood({ guildId: DM_SCOPE, label: 'telescope', scopeKey: SCOPE_KEY });
+        expect(restored.edges).toEqual([expect.objectContaining({ relation: 'used_for', targetLabel: 'astronomy' })]);
+        expect(await kg.getTagsForNodes([restored.nodes[0].id])).toEqual(new Map([[restored.nodes[0].id, ['gear']]]));
+
+        const diff = await kg.history.diff({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, from: '2026-01-02' });
+        expect(diff.batches.map(b => [b.batchKey, b.rolledBack, b.rollbackable])).toEqual([
+            [`rollback:${batchKey}`, false, false],
+            [batchKey, true, false]
+        ]);
+
+        await expect(webDashboardService.rollbackGraphBatch({
+            gateway: null, scope: DM_SCOPE, userId: USER, target: 'personal', batchKey
+        })).rejects.toMatchObject({ status: 409, code: 'ALREADY_ROLLED_BACK' });
+        await expect(kg.history.rollbackBatch({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, batchKey: `rollback:${batchKey}` }))
+            .rejects.toMatchObject({ code: 'BAD_BATCH' });
+        await expect(kg.history.rollbackBatch({ guildId: DM_SCOPE, scopeKey: SCOPE_KEY, batchKey: 'reflection:999999' }))
+            .rejects.toMatchObject({ code: 'NO_BATCH' });
+    });
+
+    test('the server graph history needs Manage Server', async () => {
+        const gateway = {
+            isGoobsterGateway: true,
+            getGuildMember: async (guildId) => ({
+                guild: { id: guildId, name: 'Test' },
+                member: { id: USER, displayName: 'Tester', permissions: [] }
+            }),
+            memberHasPermission: async () => false
+        };
+        await expect(webDashboardService.getGraphHistory({
+            gateway, scope: GUILD, userId: USER, target: 'guild', from: '2026-01-01'
+        })).rejects.toMatchObject({ status: 403, code: 'FORBIDDEN', message: expect.stringMatching(/^Auditing/) });
+        await expect(webDashboardService.getGraph({
+            gateway, guildId: GUILD, userId: USER, asOf: '2026-01-01'
+        })).rejects.toMatchObject({ status: 403 });
+    });
+});
+
+describe('retention and privacy', () => {
+    test('prune drops journal rows past the retention window', async () => {
+        await seedPast();
+        await node('fresh');
+        expect(await kg.history.prune(30)).toBe(4);
+        expect((await db.all('SELECT action FROM kg_history')).map(r => r.action)).toEqual(['add']);
+    });
+
+    test('forgetting a user takes their graph history with it', async () => {
+        await seedPast();
+        await node('kept elsewhere', {});
+        await kg.upsertNode({ guildId: GUILD, scopeKey: '', label: 'server lore' });
+        expect((await privacyService.auditUser({ userId: USER })).byTable.kg_history).toBeGreaterThan(0);
+
+        await privacyService.forgetUser({ userId: USER });
+        expect((await privacyService.auditUser({ userId: USER })).byTable.kg_history).toBe(0);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_history WHERE guildId = @g', { g: GUILD })).c).toBe(1);
+
+        await kg.forgetGuild(GUILD);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_history', {})).c).toBe(0);
+    });
+});
@@ -0,0 +1,302 @@
+/**
+ * Bulk knowledge import (services/knowledgeImportService.js and
+ * utils/knowledgeImportParser.js): Obsidian and Notion archives staged into a
+ * preview, applied with per-file provenance, passages and links, resumed
+ * after a failure, capped, searched and forgotten - against a throwaway
+ * SQLite database with embeddings mocked (no network).
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-kg-import-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+jest.mock('@goobster/core/services/aiService', () => ({
+    generateText: jest.fn()
+}));
+jest.mock('@goobster/core/services/embeddingService', () => ({
+    embed: jest.fn(() => { throw new Error('no embeddings in tests'); }),
+    embedBatch: jest.fn(() => { throw new Error('no embeddings in tests'); }),
+    cosineSimilarity: jest.fn(() => 0)
+}));
+
+const db = require('@goobster/core/db');
+const embeddingService = require('@goobster/core/services/embeddingService');
+const kg = require('@goobster/core/services/knowledgeGraphService');
+const kgConfig = require('@goobster/core/config/knowledgeGraphConfig');
+const knowledgeImportService = require('@goobster/core/services/knowledgeImportService');
+const parser = require('@goobster/core/utils/knowledgeImportParser');
+const privacyService = require('@goobster/core/services/privacyService');
+const webDashboardService = require('@goobster/core/services/webDashboardService');
+const { ZipWriter } = require('@goobster/core/utils/zipArchive');
+
+const USER = '600000000000000008';
+const GUILD = '500000000000000008';
+const DM_SCOPE = `dm:${USER}`;
+const SCOPE_KEY = `USER:${USER}`;
+const SCOPE = { guildId: DM_SCOPE, scopeKey: SCOPE_KEY };
+const ZIP_PATH = path.join(os.tmpdir(), `goobster-kg-import-test-${process.pid}.zip`);
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const file of [TEST_DB, `${TEST_DB}-shm`, `${TEST_DB}-wal`, ZIP_PATH]) {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    for (const table of ['kg_imports', 'kg_node_chunks', 'kg_history', 'kg_provenance', 'kg_edges', 'kg_node_tags',
+        'kg_tags', 'kg_nodes']) {
+        await db.run(`DELETE FROM ${table}`, {});
+    }
+});
+
+/** Build a zip in memory from { name: content }. */
+function zipOf(files) {
+    const writer = new ZipWriter(ZIP_PATH);
+    for (const [name, content] of Object.entries(files)) writer.addBuffer(name, content);
+    writer.close();
+    return fs.readFileSync(ZIP_PATH);
+}
+
+const VAULT = {
+    'Garden/.obsidian/app.json': '{}',
+    'Garden/Sourdough.md': [
+        '---',
+        'tags: [baking, fermentation]',
+        'aliases:',
+        '  - Levain',
+        '---',
+        'A wild-yeast bread I bake every weekend with a 75% hydration dough. #kitchen',
+        '',
+        'Feed the [[Starter]] the night before; see [[Oven Setup|the oven notes]] and ![[crumb.png]].'
+    ].join('\n'),
+    'Garden/Starter.md': 'My starter is a rye culture kept in the fridge and fed weekly with equal weights.',
+    'Garden/Gear/Oven Setup.md': 'Dutch oven preheated to 250C for forty minutes, lid on for the first twenty.',
+    'Garden/attachments/crumb.png': 'not really a png'
+};
+
+async function stageVault(files = VAULT) {
+    return await knowledgeImportService.stageArchive({
+        ...SCOPE, requestedBy: USER, fileName: 'Garden.zip', buffer: zipOf(files)
+    });
+}
+
+describe('parser', () => {
+    test('reads frontmatter, inline tags, wikilinks and Notion headers', () => {
+        const note = parser.parseMarkdownNote({ path: 'Sourdough.md', text: VAULT['Garden/Sourdough.md'], sourceKind: 'obsidian' });
+        expect(note.label).toBe('Sourdough');
+        expect(note.tags).toEqual(['baking', 'fermentation', 'kitchen']);
+        expect(note.aliases).toEqual(['Levain']);
+        expect(note.links).toEqual(['Starter', 'Oven Setup']);
+        expect(note.summary).toBe('A wild-yeast bread I bake every weekend with a 75% hydration dough.');
+
+        const page = parser.parseMarkdownNote({
+            path: `Projects/Alpha ${'a'.repeat(32)}.md`,
+            text: `# Project Alpha\n\nStatus: Active\nTags: work, q3 plans\n\nShip the thing. See [Beta](Beta%20${'b'.repeat(32)}.md).`,
+            sourceKind: 'notion'
+        });
+        expect(page).toMatchObject({ label: 'Project Alpha', tags: ['work', 'q3 plans'], links: ['Beta'], summary: 'Ship the thing. See Beta.' });
+        expect(parser.detectSourceKind([`Alpha ${'a'.repeat(32)}.md`])).toBe('notion');
+        expect(parser.detectSourceKind(['vault/.obsidian/app.json', 'vault/a.md'])).toBe('obsidian');
+        expect(parser.classifyEntry('__MACOSX/._a.md')).toBeNull();
+    });
+
+    test('chunks long text with overlap on word boundaries', () => {
+        const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} talks about bread.`).join(' ');
+        const chunks = parser.chunkText(text, { size: 200, overlap: 40 });
+        expect(chunks.length).toBeGreaterThan(5);
+        expect(chunks.every(chunk => chunk.length <= 240)).toBe(true);
+        // Each passage opens with the tail of the one before
+        expect(chunks[0].endsWith(chunks[1].split('\n\n')[0])).toBe(true);
+        expect(parser.chunkText(text, { size: 200, overlap: 40, max: 2 })).toHaveLength(2);
+    });
+});
+
+describe('staging', () => {
+    test('previews an Obsidian vault without touching the graph', async () => {
+        await kg.upsertNode({ ...SCOPE, subjectType: 'USER', subjectId: USER, label: 'Starter', content: 'older note' });
+        const staged = await stageVault();
+
+        expect(staged.import).toMatchObject({ sourceKind: 'obsidian', sourceName: 'Garden.zip', status: 'preview' });
+        expect(staged.preview).toMatchObject({ notes: 3, updates: 1, links: 2 });
+        expect(staged.notes.map(note => [note.path, note.exists])).toEqual([
+            ['Gear/Oven Setup.md', false],
+            ['Sourdough.md', false],
+            ['Starter.md', true]
+        ]);
+        expect(staged.notes[1].links).toEqual(['Starter', 'Oven Setup']);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_nodes')).c).toBe(1);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_history')).c).toBe(1);
+    });
+
+    test('rejects archives with nothing to import', async () => {
+        await expect(knowledgeImportService.stageArchive({
+            ...SCOPE, fileName: 'photos.zip', buffer: zipOf({ 'a.png': 'x' })
+        })).rejects.toMatchObject({ name: 'KnowledgeImportError', code: 'NOTHING_TO_IMPORT' });
+        await expect(knowledgeImportService.stageArchive({
+            ...SCOPE, fileName: 'notes.docx', buffer: Buffer.from('plain')
+        })).rejects.toMatchObject({ code: 'BAD_FILE' });
+    });
+
+    test('caps the files per import and the room left in the graph', async () => {
+        const maxFiles = kgConfig.IMPORT.maxFiles;
+        kgConfig.IMPORT.maxFiles = 2;
+        try {
+            const staged = await stageVault();
+            expect(staged.preview).toMatchObject({ notes: 2, skipped: 1 });
+            expect(staged.skipped).toEqual([{ path: 'Starter.md', note: 'over the 2-note limit per import' }]);
+        } finally {
+            kgConfig.IMPORT.maxFiles = maxFiles;
+        }
+
+        const maxNodes = kgConfig.MAX_NODES_USER;
+        kgConfig.MAX_NODES_USER = 1;
+        try {
+            const staged = await stageVault();
+            expect(staged.preview.notes).toBe(1);
+            expect(staged.skipped.map(file => file.note)).toEqual(['the graph is full', 'the graph is full']);
+        } finally {
+            kgConfig.MAX_NODES_USER = maxNodes;
+        }
+    });
+
+    test('reads a Notion export, including its nested part archives', async () => {
+        const alpha = `Workspace/Project Alpha ${'a'.repeat(32)}.md`;
+        const beta = `Workspace/Beta ${'b'.repeat(32)}.md`;
+        const part = zipOf({
+            [beta]: '# Beta\n\nTags: work\n\nThe follow-up project for the second half of the year.'
+        });
+        const outer = zipOf({
+            [alpha]: `# Project Alpha\n\nStatus: Active\nTags: work, q3\n\nShip the first version. Next: [Beta](Beta%20${'b'.repeat(32)}.md).`,
+            'Export-Part-2.zip': part
+        });
+        const staged = await knowledgeImportService.stageArchive({ ...SCOPE, fileName: 'Export.zip', buffer: outer });
+        expect(staged.import.sourceKind).toBe('notion');
+        expect(staged.notes.map(note => note.label).sort()).toEqual(['Beta', 'Project Alpha']);
+        expect(staged.notes.find(note => note.label === 'Project Alpha')).toMatchObject({ tags: ['work', 'q3'], links: ['Beta'] });
+    });
+});
+
+describe('running', () => {
+    test('writes notes, tags, links and passages with per-file provenance', async () => {
+        embeddingService.embedBatch.mockImplementation(async (texts) => texts.map(() => ({
+            vector: new Float32Array([1, 0, 0]), model: 'test-embed'
+        })));
+        const staged = await stageVault();
+        const done = await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+
+        expect(done.import).toMatchObject({ status: 'completed', progress: { total: 6, done: 6 } });
+        expect(done.import.summary).toMatchObject({ notes: 3, links: 2, passages: 3, embedded: 3 });
+
+        const sourdough = await kg.getNode(DM_SCOPE, 'Sourdough', SCOPE_KEY);
+        expect(sourdough.content).toMatch(/^A wild-yeast bread/);
+        const tags = await db.all(
+            `SELECT t.name FROM kg_node_tags nt JOIN kg_tags t ON t.id = nt.tagId WHERE nt.nodeId = @id ORDER BY t.name`,
+            { id: sourdough.id }
+        );
+        expect(tags.map(tag => tag.name)).toEqual(['baking', 'fermentation', 'kitchen']);
+
+        const edges = await db.all(
+            `SELECT s.label AS source, t.label AS target, e.relation FROM kg_edges e
+             JOIN kg_nodes s ON s.id = e.sourceId JOIN kg_nodes t ON t.id = e.targetId ORDER BY t.label`
+        );
+        expect(edges).toEqual([
+            { source: 'Sourdough', target: 'Oven Setup', relation: 'links_to' },
+            { source: 'Sourdough', target: 'Starter', relation: 'links_to' }
+        ]);
+        const provenance = await db.all(`SELECT sourceKind FROM kg_provenance WHERE nodeId = @id`, { id: sourdough.id });
+        expect(provenance.map(row => row.sourceKind)).toEqual(['import']);
+        const chunk = await db.get('SELECT content, dims, model FROM kg_node_chunks WHERE nodeId = @id', { id: sourdough.id });
+        expect(chunk).toMatchObject({ dims: 3, model: 'test-embed' });
+        expect(chunk.content).toContain('hydration');
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_import_files WHERE body IS NOT NULL')).c).toBe(0);
+
+        await expect(knowledgeImportService.startImport({ importId: staged.import.id, ...SCOPE }))
+            .rejects.toMatchObject({ code: 'ALREADY_IMPORTED' });
+    });
+
+    test('resumes a failed import where it stopped', async () => {
+        const staged = await stageVault();
+        const apply = kg.applyMutations.bind(kg);
+        let calls = 0;
+        jest.spyOn(kg, 'applyMutations').mockImplementation(async (params) => {
+            if (++calls === 2) throw new Error('database went away');
+            return await apply(params);
+        });
+
+        const failed = await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+        expect(failed.import).toMatchObject({ status: 'failed', error: 'database went away', progress: { done: 1 } });
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_nodes')).c).toBe(1);
+
+        const resumed = await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+        expect(resumed.import).toMatchObject({ status: 'completed', summary: { notes: 3, links: 2 } });
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_nodes')).c).toBe(3);
+    });
+
+    test('is one rollbackable batch in the graph history', async () => {
+        const staged = await stageVault();
+        await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+        const result = await kg.history.rollbackBatch({ ...SCOPE, batchKey: staged.import.batchKey });
+        expect(result.undone.nodes).toBe(3);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_nodes')).c).toBe(0);
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_node_chunks')).c).toBe(0);
+    });
+
+    test('finds passages by keyword when no embedding backend answers', async () => {
+        const staged = await stageVault();
+        await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+        const rows = await knowledgeImportService.searchPassages({ ...SCOPE, query: 'dutch oven temperature' });
+        expect(rows[0]).toMatchObject({ label: 'Oven Setup', score: null });
+        expect(knowledgeImportService.formatPassages(rows)).toContain('from "Oven Setup": Dutch oven preheated');
+        expect(await knowledgeImportService.searchPassages({ guildId: DM_SCOPE, scopeKey: '', query: 'oven' })).toEqual([]);
+    });
+});
+
+describe('privacy and access', () => {
+    test('forget-me removes the imports and their passages', async () => {
+        const staged = await stageVault();
+        await knowledgeImportService.runImport({ importId: staged.import.id, ...SCOPE });
+        const audit = await privacyService.auditUser({ userId: USER });
+        expect(audit.byTable.kg_imports).toBe(1);
+        expect(audit.byTable.kg_node_chunks).toBe(3);
+
+        await privacyService.forgetUser({ userId: USER });
+        const after = await privacyService.auditUser({ userId: USER });
+        expect(after.byTable.kg_imports).toBe(0);
+        expect(after.byTable.kg_node_chunks).toBe(0);
+    });
+
+    test('importing into the server graph needs Manage Server', async () => {
+        const gateway = {
+            isGoobsterGateway: true,
+            getGuildMember: async (guildId) => ({
+                guild: { id: guildId, name: 'Test' },
+                member: { id: USER, displayName: 'Tester', permissions: [] }
+            }),
+            memberHasPermission: async () => false
+        };
+        await expect(webDashboardService.stageKnowledgeImport({
+            gateway, scope: GUILD, userId: USER, target: 'guild', fileName: 'a.md', data: Buffer.from('# A').toString('base64')
+        })).rejects.toMatchObject({ status: 403, code: 'FORBIDDEN', message: expect.stringMatching(/^Importing into/) });
+    });
+
+    test('the dashboard stages a base64 upload and maps import errors', async () => {
+        const data = `data:application/zip;base64,${zipOf(VAULT).toString('base64')}`;
+        const staged = await webDashboardService.stageKnowledgeImport({
+            gateway: null, scope: DM_SCOPE, userId: USER, fileName: 'Garden.zip', data
+        });
+        expect(staged.preview.notes).toBe(3);
+        const { imports } = await webDashboardService.getKnowledgeImport({ gateway: null, scope: DM_SCOPE, userId: USER });
+        expect(imports.map(item => item.id)).toEqual([staged.import.id]);
+
+        await expect(webDashboardService.getKnowledgeImport({
+            gateway: null, scope: DM_SCOPE, userId: USER, importId: staged.import.id + 100
+        })).rejects.toMatchObject({ status: 404, code: 'NO_IMPORT' });
+        await webDashboardService.discardKnowledgeImport({ gateway: null, scope: DM_SCOPE, userId: USER, importId: staged.import.id });
+        expect((await db.get('SELECT COUNT(*) AS c FROM kg_import_files')).c).toBe(0);
+    });
+});
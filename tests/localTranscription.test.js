@@ -0,0 +1,170 @@
+/**
+ * Local speech-to-text (services/whisperService.js) and the provider choice
+ * in services/transcriptionService.js. The whisper server, CLI and ffmpeg
+ * are injected fakes; the assertions are on what they are handed.
+ */
+const { WhisperService, cleanTranscript } = require('@goobster/core/services/whisperService');
+const { TranscriptionService } = require('@goobster/core/services/transcriptionService');
+const { buildWav, parseWav } = require('@goobster/core/services/voice/pcmUtils');
+
+const SERVER = { url: 'http://whisper.lan:8080', api: 'whispercpp', cliPath: null, model: null, language: 'en', threads: 4, timeoutMs: 5000 };
+const CLI = { url: null, api: 'whispercpp', cliPath: '/opt/whisper.cpp/whisper-cli', model: '/opt/models/ggml-base.en.bin', language: 'en', threads: 2, timeoutMs: 5000 };
+
+/** 48kHz stereo s16le, the format voiceSessionService records. */
+function discordPcm(ms, amplitude = 1200) {
+    const buf = Buffer.alloc(ms * 192);
+    for (let i = 0; i < buf.length; i += 2) buf.writeInt16LE(amplitude, i);
+    return buf;
+}
+
+function fakeFetch(text = ' Hey Goobster, play something. ') {
+    const calls = [];
+    const fn = jest.fn(async (url, init) => {
+        calls.push({ url, init });
+        return { ok: true, status: 200, json: async () => ({ text }), text: async () => '' };
+    });
+    fn.calls = calls;
+    return fn;
+}
+
+/** The file part of a hand-built multipart body. */
+function uploadedWav(body) {
+    const start = body.indexOf(Buffer.from('RIFF'));
+    return parseWav(body.subarray(start));
+}
+
+describe('WAV helpers', () => {
+    test('buildWav and parseWav round-trip', () => {
+        const pcm = discordPcm(20);
+        const parsed = parseWav(buildWav(pcm, { sampleRate: 48000, channels: 2 }));
+        expect(parsed.sampleRate).toBe(48000);
+        expect(parsed.channels).toBe(2);
+        expect(parsed.pcm.equals(pcm)).toBe(true);
+    });
+
+    test('parseWav rejects non-WAV and non-16-bit input', () => {
+        expect(parseWav(Buffer.from('OggS not a wave file'))).toBeNull();
+        const float = buildWav(Buffer.alloc(8), { sampleRate: 16000, channels: 1 });
+        float.writeUInt16LE(3, 20); // IEEE float
+        expect(parseWav(float)).toBeNull();
+    });
+});
+
+describe('WhisperService', () => {
+    test('is configured by a server url, or by a CLI binary plus a model file', () => {
+        expect(new WhisperService({ config: SERVER }).getMode()).toBe('server');
+        expect(new WhisperService({ config: CLI }).getMode()).toBe('cli');
+        expect(new WhisperService({ config: { ...CLI, model: null } }).isConfigured()).toBe(false);
+    });
+
+    test('sends Discord audio to a whisper.cpp server as 16kHz mono WAV', async () => {
+        const fetch = fakeFetch();
+        const whisper = new WhisperService({ config: SERVER, fetch });
+        const text = await whisper.transcribe(buildWav(discordPcm(300)), { prompt: 'Goobster is listening.' });
+
+        expect(text).toBe('Hey Goobster, play something.');
+        const [{ url, init }] = fetch.calls;
+        expect(url).toBe('http://whisper.lan:8080/inference');
+        expect(init.headers['Content-Type']).toMatch(/^multipart\/form-data; boundary=/);
+        const body = init.body.toString('latin1');
+        expect(body).toContain('name="language"\r\n\r\nen');
+        expect(body).toContain('name="prompt"\r\n\r\nGoobster is listening.');
+
+        const wav = uploadedWav(init.body);
+        expect(wav.sampleRate).toBe(16000);
+        expect(wav.channels).toBe(1);
+        expect(wav.pcm.length).toBe(300 * 32); // 16000Hz * 2 bytes / 1000ms
+    });
+
+    test('an OpenAI-compatible (faster-whisper) server gets the transcriptions route and a model', async () => {
+        const fetch = fakeFetch('hello');
+        const whisper = new WhisperService({ config: { ...SERVER, api: 'openai', model: 'Systran/faster-whisper-base', language: 'auto' }, fetch });
+        await whisper.transcribe(buildWav(discordPcm(100)));
+        const [{ url, init }] = fetch.calls;
+        expect(url).toBe('http://whisper.lan:8080/v1/audio/transcriptions');
+        const body = init.body.toString('latin1');
+        expect(body).toContain('name="model"\r\n\r\nSystran/faster-whisper-base');
+        expect(body).not.toContain('name="language"');
+    });
+
+    test('a server error surfaces its status', async () => {
+        const fetch = jest.fn(async () => ({ ok: false, status: 500, text: async () => 'model not loaded' }));
+        const whisper = new WhisperService({ config: SERVER, fetch });
+        await expect(whisper.transcribe(buildWav(discordPcm(50)))).rejects.toThrow(/500 - model not loaded/);
+    });
+
+    test('runs the CLI on a temporary 16kHz WAV and reads stdout', async () => {
+        let seen = null;
+        const runCli = jest.fn(async (binary, args) => {
+            const file = args[args.indexOf('-f') + 1];
+            seen = { binary, args, wav: parseWav(require('node:fs').readFileSync(file)), file };
+            return '\n [BLANK_AUDIO] \n Roll for initiative. \n';
+        });
+        const whisper = new WhisperService({ config: CLI, runCli });
+        const text = await whisper.transcribe(buildWav(discordPcm(60)));
+
+        expect(text).toBe('Roll for initiative.');
+        expect(seen.binary).toBe(CLI.cliPath);
+        expect(seen.args).toEqual(expect.arrayContaining(['-m', CLI.model, '-l', 'en', '-t', '2', '-nt']));
+        expect(seen.wav.sampleRate).toBe(16000);
+        expect(require('node:fs').existsSync(seen.file)).toBe(false);
+    });
+
+    test('16kHz mono input passes through; other audio is transcoded', async () => {
+        const transcode = jest.fn(async () => buildWav(Buffer.alloc(320), { sampleRate: 16000, channels: 1 }));
+        const whisper = new WhisperService({ config: SERVER, fetch: fakeFetch(), transcode });
+
+        const mono = buildWav(Buffer.alloc(640), { sampleRate: 16000, channels: 1 });
+        expect(await whisper.toWav16k(mono, 'audio/wav')).toBe(mono);
+        expect(transcode).not.toHaveBeenCalled();
+
+        const webm = Buffer.from('\x1aE\xdf\xa3 webm clip');
+        await whisper.transcribe(webm, { mimeType: 'audio/webm' });
+        expect(transcode).toHaveBeenCalledWith(webm);
+    });
+
+    test('a transcript of only non-speech tags is empty', () => {
+        expect(cleanTranscript(' [BLANK_AUDIO] ')).toBe('');
+        expect(cleanTranscript('(wind blowing) [MUSIC]')).toBe('');
+        expect(cleanTranscript(' So,\n  what now? ')).toBe('So, what now?');
+    });
+});
+
+describe('TranscriptionService provider choice', () => {
+    function service(provider, { openai = false, whisper = false } = {}) {
+        const whisperFake = { isConfigured: () => whisper, transcribe: jest.fn().mockResolvedValue('local words') };
+        const openaiFake = { isConfigured: () => openai, client: null };
+        return {
+            stt: new TranscriptionService({ config: { provider }, openai: openaiFake, whisper: whisperFake }),
+            whisperFake
+        };
+    }
+
+    test('auto prefers OpenAI when keyed and falls back to local whisper', () => {
+        expect(service('auto', { openai: true, whisper: true }).stt.getProvider()).toBe('openai');
+        expect(service('auto', { whisper: true }).stt.getProvider()).toBe('whisper');
+        expect(service('auto').stt.isConfigured()).toBe(false);
+    });
+
+    test('an explicit provider is used only when it is configured', () => {
+        const { stt } = service('whisper', { openai: true, whisper: true });
+        expect(stt.getProvider()).toBe('whisper');
+        expect(stt.isLocal()).toBe(true);
+        expect(service('whisper', { openai: true }).stt.isConfigured()).toBe(false);
+        expect(service('openai', { whisper: true }).stt.isConfigured()).toBe(false);
+    });
+
+    test('whisper transcriptions get the clip format; PCM segments are wrapped as WAV', async () => {
+        const { stt, whisperFake } = service('whisper', { whisper: true });
+        expect(await stt.transcribe(Buffer.from('clip'), { mimeType: 'audio/webm', prompt: 'p' })).toBe('local words');
+        expect(whisperFake.transcribe).toHaveBeenCalledWith(Buffer.from('clip'), { prompt: 'p', mimeType: 'audio/webm' });
+
+        await stt.transcribePcm(discordPcm(40), { usageContext: { guildId: 'g' } });
+        const wav = parseWav(whisperFake.transcribe.mock.calls[1][0]);
+        expect(wav).toMatchObject({ sampleRate: 48000, channels: 2 });
+    });
+
+    test('with no backend, transcribe explains what to configure', async () => {
+        await expect(service('auto').stt.transcribe(Buffer.alloc(4))).rejects.toThrow(/OpenAI API key or configure a local whisper backend/);
+    });
+});
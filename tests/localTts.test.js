@@ -0,0 +1,252 @@
+/**
+ * Local text-to-speech (services/voice/piperTTSService.js) and the per-feature
+ * TTS backend choice (VoiceService.ttsFor). piper and ffmpeg are injected
+ * fake processes; the assertions are on what they are handed.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+const { EventEmitter } = require('node:events');
+const { PassThrough } = require('node:stream');
+
+const { PiperTTSService, splitSentences } = require('@goobster/core/services/voice/piperTTSService');
+const ElevenLabsTTSService = require('@goobster/core/services/voice/elevenLabsTTSService');
+const { MultiContextTTSService } = require('@goobster/core/services/voice/multiContextTTSService');
+const VoiceService = require('@goobster/core/services/voice');
+const { ParlorLiveService } = require('@goobster/core/services/parlorLiveService');
+
+let voicesDir;
+
+beforeAll(() => {
+    voicesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-piper-'));
+    installVoice('en_US-lessac-medium', { dataset: 'lessac', language: { code: 'en_US' }, audio: { quality: 'medium', sample_rate: 22050 } });
+    installVoice('en_GB-alan-low', { dataset: 'alan', language: { code: 'en_GB' }, audio: { quality: 'low', sample_rate: 16000 } });
+    installVoice('de_DE-thorsten-high', { dataset: 'thorsten', language: { code: 'de_DE' }, audio: { quality: 'high', sample_rate: 22050 } });
+    // A model without its .onnx.json is not a usable voice
+    fs.writeFileSync(path.join(voicesDir, 'broken.onnx'), 'onnx');
+});
+
+afterAll(() => {
+    fs.rmSync(voicesDir, { recursive: true, force: true });
+});
+
+function installVoice(id, meta) {
+    fs.writeFileSync(path.join(voicesDir, `${id}.onnx`), 'onnx');
+    fs.writeFileSync(path.join(voicesDir, `${id}.onnx.json`), JSON.stringify(meta));
+}
+
+/** A child process stand-in: records stdin, emits 'spawn' (or 'error'). */
+function fakeProcess({ fail = null } = {}) {
+    const proc = new EventEmitter();
+    proc.stdin = new PassThrough();
+    proc.stdout = new PassThrough();
+    proc.stderr = new PassThrough();
+    proc.killed = false;
+    proc.written = '';
+    proc.stdin.on('data', chunk => { proc.written += chunk; });
+    // piper exits once its input is done
+    proc.stdin.on('end', () => setImmediate(() => {
+        proc.stdout.end();
+        proc.emit('close', 0);
+    }));
+    proc.kill = jest.fn(() => { proc.killed = true; });
+    setImmediate(() => (fail ? proc.emit('error', fail) : proc.emit('spawn')));
+    return proc;
+}
+
+function fakeSpawn(options) {
+    const calls = [];
+    const fn = jest.fn((binary, args) => {
+        const proc = fakeProcess(options);
+        calls.push({ binary, args, proc });
+        return proc;
+    });
+    fn.calls = calls;
+    return fn;
+}
+
+function piper(spawn = fakeSpawn(), extra = {}) {
+    return new PiperTTSService({ piper: { voicesDir, path: '/opt/piper/piper', ...extra } }, {
+        spawn,
+        decoder: () => new PassThrough()
+    });
+}
+
+describe('PiperTTSService voices', () => {
+    test('is disabled without a voices directory', () => {
+        const previous = process.env.PIPER_VOICES_DIR;
+        delete process.env.PIPER_VOICES_DIR;
+        expect(new PiperTTSService({}).disabled).toBe(true);
+        if (previous !== undefined) process.env.PIPER_VOICES_DIR = previous;
+    });
+
+    test('lists the .onnx voices that have their config', async () => {
+        const voices = await piper().listVoices();
+        expect(voices).toEqual([
+            { id: 'de_DE-thorsten-high', name: 'Thorsten (de_DE, high)', category: 'piper' },
+            { id: 'en_GB-alan-low', name: 'Alan (en_GB, low)', category: 'piper' },
+            { id: 'en_US-lessac-medium', name: 'Lessac (en_US, medium)', category: 'piper' }
+        ]);
+    });
+
+    test('resolves ids, display names and unique partial ids', async () => {
+        const tts = piper();
+        expect(await tts.resolveVoice('en_GB-alan-low')).toEqual({ id: 'en_GB-alan-low', name: 'Alan (en_GB, low)' });
+        expect(await tts.resolveVoice('lessac (en_us, medium)')).toMatchObject({ id: 'en_US-lessac-medium' });
+        expect(await tts.resolveVoice('Thorsten')).toMatchObject({ id: 'de_DE-thorsten-high' });
+        await expect(tts.resolveVoice('en_')).rejects.toThrow(/ambiguous/);
+        await expect(tts.resolveVoice('Rachel')).rejects.toThrow(/not installed\. Available: de_DE-thorsten-high/);
+        // Empty resolves to the configured default
+        expect(await piper(fakeSpawn(), { voiceId: 'en_GB-alan-low' }).resolveVoice('')).toMatchObject({ id: 'en_GB-alan-low' });
+    });
+});
+
+describe('PiperTTSService synthesis', () => {
+    test('fetchStream pipes piper raw audio through an ffmpeg MP3 encoder', async () => {
+        const spawn = fakeSpawn();
+        const tts = piper(spawn, { voiceId: 'en_GB-alan-low' });
+        const response = await tts.fetchStream('Hello there.\nGeneral   Kenobi.');
+
+        const [piperCall, ffmpegCall] = spawn.calls;
+        expect(piperCall.binary).toBe('/opt/piper/piper');
+        expect(piperCall.args).toEqual(['--model', path.join(voicesDir, 'en_GB-alan-low.onnx'), '--output_raw']);
+        // One utterance = one stdin line
+        expect(piperCall.proc.written).toBe('Hello there. General Kenobi.\n');
+        expect(ffmpegCall.args).toEqual(expect.arrayContaining(['-f', 's16le', '-ar', '16000', '-ac', '1', '-i', 'pipe:0']));
+        expect(ffmpegCall.args.slice(-5)).toEqual(['-f', 'mp3', '-b:a', '128k', 'pipe:1']);
+        expect(response.ok).toBe(true);
+        expect(response.body).toBe(ffmpegCall.proc.stdout);
+    });
+
+    test('a persona voice from another backend falls back to the default voice', async () => {
+        const spawn = fakeSpawn();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await piper(spawn, { voiceId: 'en_US-lessac-medium' }).fetchStream('Hi.', { voiceId: '21m00Tcm4TlvDq8ikWAM' });
+        expect(spawn.calls[0].args[1]).toBe(path.join(voicesDir, 'en_US-lessac-medium.onnx'));
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    test('a missing piper binary fails the request, not the stream', async () => {
+        const error = Object.assign(new Error('spawn /opt/piper/piper ENOENT'), { code: 'ENOENT' });
+        await expect(piper(fakeSpawn({ fail: error })).fetchStream('Hi.')).rejects.toThrow(/Piper could not start/);
+    });
+});
+
+describe('streamed replies', () => {
+    test('text is cut into whole sentences; long unpunctuated runs are split at a word', () => {
+        expect(splitSentences('Sure! The dragon sleeps. It wakes')).toEqual({
+            sentences: ['Sure!', 'The dragon sleeps.'],
+            rest: 'It wakes'
+        });
+        expect(splitSentences('He said "go." Then: ')).toEqual({ sentences: ['He said "go."', 'Then:'], rest: '' });
+        const long = splitSentences(`${'word '.repeat(60)}end`);
+        expect(long.sentences).toHaveLength(1);
+        expect(long.sentences[0].length).toBeLessThanOrEqual(220);
+        expect(long.rest.endsWith('end')).toBe(true);
+    });
+
+    test('a reply streams sentence lines into one piper process and finishes when it exits', async () => {
+        const spawn = fakeSpawn();
+        const session = piper(spawn).createStreamingSession({ voiceId: 'en_US-lessac-medium' });
+        await session.connect();
+        expect(session.isConnected()).toBe(true);
+
+        const reply = session.speak({ subscribe: jest.fn(), state: {} });
+        reply.appendText('The tavern door ');
+        reply.appendText('creaks open. A hooded ');
+        reply.appendText('figure waves');
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+
+        const proc = spawn.calls[0].proc;
+        expect(spawn).toHaveBeenCalledTimes(1);
+        expect(proc.written).toBe('The tavern door creaks open.\n');
+
+        await reply.finish();
+        expect(proc.written).toBe('The tavern door creaks open.\nA hooded figure waves\n');
+        session.destroy();
+        expect(session.isConnected()).toBe(false);
+    });
+
+    test('barge-in kills the reply\'s piper process', async () => {
+        const spawn = fakeSpawn();
+        const session = piper(spawn).createStreamingSession();
+        await session.connect();
+        const reply = session.speak({ subscribe: jest.fn(), state: {} });
+        reply.appendText('One. Two. ');
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+        reply.abort();
+        expect(spawn.calls[0].proc.kill).toHaveBeenCalled();
+        reply.appendText('Three.');
+        expect(spawn.calls[0].proc.written).toBe('One.\nTwo.\n');
+        session.destroy();
+    });
+
+    test('ElevenLabs streams through a multi-context socket with the same interface', () => {
+        const tts = new ElevenLabsTTSService({ elevenlabs: { apiKey: 'xi-key', voiceId: 'voiceABC123', modelId: 'eleven_flash_v2_5' } });
+        const session = tts.createStreamingSession({ voiceId: 'resolvedVoice99' });
+        expect(session).toBeInstanceOf(MultiContextTTSService);
+        expect(session).toMatchObject({ apiKey: 'xi-key', voiceId: 'resolvedVoice99', modelId: 'eleven_flash_v2_5' });
+        expect(tts.isLocal()).toBe(false);
+        expect(piper().isLocal()).toBe(true);
+    });
+});
+
+describe('per-feature backends', () => {
+    const elevenlabs = { provider: 'elevenlabs' };
+    const local = { provider: 'piper' };
+    let previous;
+
+    beforeEach(() => {
+        previous = process.env.TTS_PROVIDER;
+        delete process.env.TTS_PROVIDER;
+    });
+
+    afterEach(() => {
+        if (previous === undefined) delete process.env.TTS_PROVIDER;
+        else process.env.TTS_PROVIDER = previous;
+    });
+
+    function voiceService(tts, providers) {
+        const service = new VoiceService({ tts });
+        service.ttsProviders = providers;
+        return service;
+    }
+
+    test('auto prefers ElevenLabs when keyed and falls back to Piper', () => {
+        expect(voiceService({}, { elevenlabs, piper: local }).ttsFor('speak')).toBe(elevenlabs);
+        expect(voiceService({}, { piper: local }).ttsFor('speak')).toBe(local);
+        expect(voiceService({}, {}).ttsFor('speak')).toBeNull();
+    });
+
+    test('features pin a backend; the default covers the rest', () => {
+        const service = voiceService(
+            { provider: 'piper', features: { parlor: 'elevenlabs', web: 'auto' } },
+            { elevenlabs, piper: local }
+        );
+        expect(service.ttsFor('parlor')).toBe(elevenlabs);
+        expect(service.ttsFor('voicechat')).toBe(local);
+        expect(service.ttsFor('web')).toBe(local);
+        expect(service.ttsFor(null)).toBe(local);
+
+        process.env.TTS_PROVIDER = 'elevenlabs';
+        expect(service.ttsFor('voicechat')).toBe(elevenlabs);
+        expect(service.ttsFor('parlor')).toBe(elevenlabs);
+    });
+
+    test('a feature pinned to an unconfigured backend gets no TTS, not the paid one', () => {
+        const service = voiceService({ features: { dj: 'piper' } }, { elevenlabs });
+        expect(service.ttsFor('dj')).toBeNull();
+        expect(service.ttsFor('speak')).toBe(elevenlabs);
+    });
+
+    test('Parlor Live draws default persona voices from the installed Piper voices', async () => {
+        const live = new ParlorLiveService({ tts: () => null, elevenLabsKey: () => null });
+        const pool = await live._voicePool(piper());
+        expect(pool).toEqual(['de_DE-thorsten-high', 'en_GB-alan-low', 'en_US-lessac-medium']);
+        expect(live._defaultVoiceFor(4, pool)).toBe('en_GB-alan-low');
+        expect(live._defaultVoiceFor(4)).toMatch(/^[A-Za-z0-9]{20}$/);
+    });
+});
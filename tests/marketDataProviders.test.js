@@ -0,0 +1,222 @@
+/**
+ * Market-data providers: the file-backed replay (clock, visibility window,
+ * CSV/JSON parsing, corporate actions), the Yahoo adapter's payload
+ * mapping, and stockService delegating to whichever provider is active -
+ * including a liquidation replayed deterministically on simulated time.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-market-data-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+const REPLAY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-replay-'));
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const stockService = require('@goobster/core/services/stockService');
+const stockPortfolioService = require('@goobster/core/services/stockPortfolioService');
+const exchangeConfig = require('@goobster/core/services/exchange/exchangeConfig');
+const accountService = require('@goobster/core/services/exchange/accountService');
+const corporateActionsService = require('@goobster/core/services/exchange/corporateActionsService');
+const RiskEngine = require('@goobster/core/services/exchange/riskEngine');
+const { createProvider, ReplayProvider, YahooProvider, StockError } = require('@goobster/core/services/marketData');
+
+const GUILD = '960000000000000001';
+const USER = '960000000000000002';
+
+fs.writeFileSync(path.join(REPLAY_DIR, 'ACME.csv'), [
+    'Date,Open,High,Low,Close,Volume,Dividends,Stock Splits',
+    '2020-02-18,100,101,99,100,1000,0,0',
+    '2020-02-19,100,101,99,102,1000,0,0',
+    '2020-02-20,100,101,99,101,1000,0.5,0',
+    '2020-02-21,100,101,99,90,1000,0,0',
+    '2020-02-24,100,101,99,40,1000,0,0',
+    '2020-02-25,100,101,99,20,1000,0,2'
+].join('\n'));
+fs.writeFileSync(path.join(REPLAY_DIR, 'WIDG.json'), JSON.stringify({
+    name: 'Widget Corp',
+    points: [{ date: '2020-01-02', close: 10 }, { date: '2020-02-18', close: 12 }]
+}));
+
+function replay(startAt = '2020-02-19T15:00:00Z') {
+    return new ReplayProvider({ dataDir: REPLAY_DIR, startAt, speed: 0 });
+}
+
+const DAY_MS = 24 * 3_600_000;
+
+beforeEach(async () => {
+    for (const table of [
+        'economy_wallets', 'economy_transactions', 'economy_settings', 'stock_holdings', 'stock_trades',
+        'exchange_accounts', 'exchange_settings', 'short_positions', 'option_positions', 'perp_positions',
+        'exchange_orders', 'prediction_markets', 'corporate_actions', 'exchange_events',
+        'stock_symbols', 'stock_prices'
+    ]) {
+        await db.run(`DELETE FROM ${table}`);
+    }
+});
+
+afterEach(() => {
+    stockService.setProvider(null);
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(TEST_DB + suffix, { force: true });
+    fs.rmSync(REPLAY_DIR, { recursive: true, force: true });
+});
+
+describe('the replay provider', () => {
+    test('quotes the last close on or before the simulated date', async () => {
+        const provider = replay();
+        expect(await provider.fetchQuote('ACME')).toMatchObject({ symbol: 'ACME', price: 102, asOf: '2020-02-19 15:00:00' });
+        // A weekend serves Friday's close
+        provider.setTime('2020-02-23');
+        expect((await provider.fetchQuote('ACME')).price).toBe(90);
+    });
+
+    test('never shows anything dated after the simulated clock', async () => {
+        const provider = replay();
+        const history = await provider.fetchHistory('ACME', '1mo');
+        expect(history.points.map(point => point.date)).toEqual(['2020-02-18', '2020-02-19']);
+        expect(await provider.fetchCorporateActions('ACME')).toEqual({ dividends: [], splits: [] });
+
+        provider.advance(7 * DAY_MS);
+        expect(await provider.fetchCorporateActions('ACME')).toEqual({
+            dividends: [{ date: '2020-02-20', amount: 0.5 }],
+            splits: [{ date: '2020-02-25', ratio: 2 }]
+        });
+    });
+
+    test('the clock runs at the configured speed from its anchor', () => {
+        let realNow = Date.parse('2026-01-01T00:00:00Z');
+        const provider = new ReplayProvider({ dataDir: REPLAY_DIR, startAt: '2020-02-18', speed: 1440, clock: () => realNow });
+        realNow += 60_000; // one real minute is one simulated day
+        expect(provider.now().toISOString()).toBe('2020-02-19T00:00:00.000Z');
+    });
+
+    test('reads JSON files and searches by name', async () => {
+        const provider = replay();
+        expect(await provider.fetchQuote('WIDG')).toMatchObject({ name: 'Widget Corp', price: 12 });
+        expect(await provider.search('widget', 5)).toEqual([
+            { symbol: 'WIDG', name: 'Widget Corp', exchange: 'Replay', quoteType: 'EQUITY' }
+        ]);
+    });
+
+    test('unknown symbols and dates before the first bar are StockErrors', async () => {
+        const provider = replay('2019-01-01');
+        await expect(provider.fetchQuote('NOPE')).rejects.toMatchObject({ code: 'UNKNOWN_SYMBOL' });
+        await expect(provider.fetchQuote('ACME')).rejects.toMatchObject({ code: 'NO_DATA' });
+        expect(() => provider.setTime('not a date')).toThrow(StockError);
+    });
+});
+
+describe('the yahoo provider', () => {
+    test('maps chart payloads into quotes, history, and corporate actions', async () => {
+        const chart = {
+            meta: { symbol: 'AAPL', longName: 'Apple Inc.', regularMarketPrice: 201.5, currency: 'USD', regularMarketTime: 1785333600 },
+            timestamp: [1785283200, 1785369600],
+            indicators: { quote: [{ close: [200, null] }] },
+            events: {
+                dividends: { a: { date: 1785283200, amount: 0.26 } },
+                splits: { b: { date: 1785369600, numerator: 4, denominator: 1 } }
+            }
+        };
+        const http = { get: jest.fn().mockResolvedValue({ data: { chart: { result: [chart] } } }) };
+        const provider = new YahooProvider({ http });
+
+        expect(await provider.fetchQuote('AAPL')).toMatchObject({ symbol: 'AAPL', name: 'Apple Inc.', price: 201.5 });
+        expect((await provider.fetchHistory('AAPL', '1mo')).points).toEqual([{ date: '2026-07-29', close: 200 }]);
+        expect(await provider.fetchCorporateActions('AAPL')).toEqual({
+            dividends: [{ date: '2026-07-29', amount: 0.26 }],
+            splits: [{ date: '2026-07-30', ratio: 4 }]
+        });
+    });
+
+    test('an unreachable feed is UNAVAILABLE and an empty chart is UNKNOWN_SYMBOL', async () => {
+        const down = new YahooProvider({ http: { get: jest.fn().mockRejectedValue(new Error('ECONNRESET')) } });
+        await expect(down.fetchQuote('AAPL')).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+        const empty = new YahooProvider({ http: { get: jest.fn().mockResolvedValue({ data: { chart: { result: [] } } }) } });
+        await expect(empty.fetchQuote('ZZZZ')).rejects.toMatchObject({ code: 'UNKNOWN_SYMBOL' });
+    });
+
+    test('providers are built by name', () => {
+        expect(createProvider('yahoo')).toBeInstanceOf(YahooProvider);
+        expect(createProvider('replay', { dataDir: REPLAY_DIR })).toBeInstanceOf(ReplayProvider);
+        expect(() => createProvider('bloomberg')).toThrow(/Unknown market data provider/);
+    });
+});
+
+describe('stockService on a replay', () => {
+    test('quotes follow the simulated clock instead of the snapshot cache', async () => {
+        const provider = stockService.setProvider(replay());
+        expect((await stockService.getQuote('acme')).price).toBe(102);
+        provider.advance(DAY_MS);
+        // The replay is never served from the snapshot cache
+        expect((await stockService.getQuote('ACME')).price).toBe(101);
+        expect(stockService.now().toISOString()).toBe('2020-02-20T15:00:00.000Z');
+        expect(await stockService.getSymbolInfo('ACME')).toMatchObject({ name: 'ACME', currency: 'USD' });
+    });
+
+    test('replayed quotes never become dated price snapshots', async () => {
+        const provider = stockService.setProvider(replay());
+        await stockService.getQuote('ACME');
+        provider.advance(DAY_MS);
+        await stockService.getQuote('ACME');
+        await stockService.getQuote('ACME');
+        // Backtests, VaR and the timeline read stock_prices as real closes
+        expect(await db.all('SELECT * FROM stock_prices')).toEqual([]);
+        expect(await stockService.getSymbolInfo('ACME')).toMatchObject({ symbol: 'ACME' });
+    });
+
+    test('the corporate-action sweep pays a replayed dividend', async () => {
+        const provider = stockService.setProvider(replay());
+        await economyService.getWallet(GUILD, USER);
+        await db.run('UPDATE economy_wallets SET balance = 10000 WHERE guildId = @g AND userId = @u', { g: GUILD, u: USER });
+        await stockPortfolioService.buy({ guildId: GUILD, userId: USER, symbol: 'ACME', units: 10 });
+
+        await corporateActionsService.sweep(); // primes the symbol at the simulated clock
+        provider.advance(DAY_MS);
+        const result = await corporateActionsService.sweep();
+
+        expect(result.applied).toHaveLength(1);
+        expect(result.applied[0]).toMatchObject({ symbol: 'ACME', type: 'DIVIDEND', date: '2020-02-20', paid: 5 });
+    });
+
+    test('commands default to the simulated clock too', async () => {
+        stockService.setProvider(replay());
+        await exchangeConfig.set(GUILD, { predictionsEnabled: true });
+        const predictionService = require('@goobster/core/services/exchange/predictionService');
+        const optionsMarket = require('@goobster/core/services/exchange/optionsMarket');
+
+        // A week after the simulated now: in the future for the replay,
+        // years in the past on the wall clock
+        const market = await predictionService.createMarket({
+            guildId: GUILD, symbol: 'ACME', comparator: 'ABOVE', threshold: 100, resolvesAt: '2020-02-26 15:00'
+        });
+        expect(market.status).toBe('OPEN');
+        expect(optionsMarket.hasExpired('2020-02-21')).toBe(false);
+        expect(optionsMarket.listExpiries({ limit: 1 })[0].expiry).toBe('2020-02-19');
+    });
+
+    test('a crash liquidates a leveraged account on simulated time', async () => {
+        const provider = stockService.setProvider(replay());
+        await exchangeConfig.set(GUILD, { marginEnabled: true, maxLeverage: 4, corporateActionsEnabled: false });
+        await economyService.getWallet(GUILD, USER);
+        await db.run('UPDATE economy_wallets SET balance = 1000 WHERE guildId = @g AND userId = @u', { g: GUILD, u: USER });
+        await accountService.setAccountType({ guildId: GUILD, userId: USER, accountType: 'MARGIN' });
+        await accountService.setLeverage({ guildId: GUILD, userId: USER, leverage: 4 });
+        // 3060 of stock at 102 on 1000 of equity
+        await stockPortfolioService.buy({ guildId: GUILD, userId: USER, symbol: 'ACME', units: 30 });
+
+        const engine = new RiskEngine(null);
+        expect((await engine.checkMargin({ guildId: GUILD, now: stockService.now() })).liquidations).toHaveLength(0);
+
+        provider.setTime('2020-02-24T15:00:00Z'); // 40: 1200 of stock against 2060 of debt
+        const health = await engine.checkMargin({ guildId: GUILD, now: stockService.now() });
+        expect(health.liquidations).toHaveLength(1);
+        const events = await require('@goobster/core/services/exchange/exchangeEvents')
+            .list({ guildId: GUILD, userId: USER, types: ['liquidation'] });
+        expect(events[0].detail).toMatchObject({ reason: 'negative-equity' });
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * Music DSP chain: EBU R128 loudness normalization (measured once per track
+ * and cached beside the file), per-guild EQ presets, and the crossfade
+ * graph. ffmpeg is injected - the measurement is a canned loudnorm report.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-music-fx-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const { MusicFxService, MusicFxError } = require('@goobster/core/services/voice/musicFxService');
+const {
+    EQ_PRESETS,
+    normalizationGainDb,
+    buildTrackFilters,
+    crossfadeGraph,
+    parseLoudnessReport
+} = require('@goobster/core/services/voice/audioFx');
+
+const GUILD_A = '630000000000000001';
+const GUILD_B = '630000000000000002';
+
+// What `ffmpeg -af loudnorm=print_format=json -f null -` prints, trimmed
+function loudnormStderr({ input_i = '-23.40', input_tp = '-6.10', duration = '00:03:25.50' } = {}) {
+    return `Input #0, mp3, from 'track.mp3':
+  Duration: ${duration}, start: 0.025057, bitrate: 320 kb/s
+  Stream #0:0: Audio: mp3, 44100 Hz, stereo, fltp, 320 kb/s
+[Parsed_loudnorm_0 @ 0x5581]
+{
+	"input_i" : "${input_i}",
+	"input_tp" : "${input_tp}",
+	"input_lra" : "7.20",
+	"input_thresh" : "-33.80",
+	"output_i" : "-16.02",
+	"output_tp" : "-1.50",
+	"output_lra" : "6.10",
+	"output_thresh" : "-26.40",
+	"normalization_type" : "dynamic",
+	"target_offset" : "0.02"
+}
+`;
+}
+
+let tmpDir;
+
+beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-music-fx-'));
+});
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    await db.run('DELETE FROM music_fx_settings');
+});
+
+function writeTrack(name, bytes = 'ID3 fake mp3 data') {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, bytes);
+    return file;
+}
+
+describe('filters', () => {
+    test('normalization targets -16 LUFS without pushing the true peak past the ceiling', () => {
+        expect(normalizationGainDb({ integratedLufs: -23.4, truePeakDb: -9 })).toBe(7.4);
+        // Limited by headroom: -6.1 dBTP + 4.6 dB = -1.5 dBTP
+        expect(normalizationGainDb({ integratedLufs: -23.4, truePeakDb: -6.1 })).toBe(4.6);
+        expect(normalizationGainDb({ integratedLufs: -8, truePeakDb: 0.5 })).toBe(-8);
+        expect(normalizationGainDb({ integratedLufs: -60, truePeakDb: -40 })).toBe(10);
+        expect(normalizationGainDb({ integratedLufs: -Infinity, truePeakDb: -Infinity })).toBe(0);
+        expect(normalizationGainDb(null)).toBe(0);
+    });
+
+    test('a track chain is the gain, then the preset', () => {
+        expect(buildTrackFilters({ preset: 'off', gainDb: 0 })).toEqual([]);
+        expect(buildTrackFilters({ preset: 'bass', gainDb: -3.25 })).toEqual(['volume=-3.3dB', ...EQ_PRESETS.bass.filters]);
+        expect(buildTrackFilters({ preset: 'nope', gainDb: 2 })).toEqual(['volume=2.0dB']);
+        expect(EQ_PRESETS.nightcore.speed).toBeGreaterThan(1);
+    });
+
+    test('the crossfade graph gives each input its own chain and overlaps them', () => {
+        const graph = crossfadeGraph({
+            fromFilters: ['volume=2.0dB'],
+            toFilters: ['volume=-1.0dB', ...EQ_PRESETS.vocal.filters],
+            crossfadeMs: 6000,
+            volume: 0.4
+        });
+        expect(graph).toMatch(/^\[0:a\]aresample=48000,volume=2\.0dB,aformat=[^;]+\[a\];/);
+        expect(graph).toContain('[1:a]aresample=48000,volume=-1.0dB,highpass=f=100');
+        expect(graph).toMatch(/\[a\]\[b\]acrossfade=d=6\.00:c1=tri:c2=tri,volume=0\.4$/);
+    });
+
+    test('parses the loudnorm report and the input duration', () => {
+        expect(parseLoudnessReport(loudnormStderr())).toEqual({
+            integratedLufs: -23.4,
+            truePeakDb: -6.1,
+            lra: 7.2,
+            thresholdLufs: -33.8,
+            durationMs: 205_500
+        });
+        expect(parseLoudnessReport(loudnormStderr({ input_i: '-inf', input_tp: '-inf' })).integratedLufs).toBe(-Infinity);
+        expect(parseLoudnessReport('Output file is empty, nothing was encoded')).toBeNull();
+    });
+});
+
+describe('per-guild settings', () => {
+    test('default, then change one field at a time, per guild', async () => {
+        const service = new MusicFxService({ runFfmpeg: jest.fn() });
+        expect(await service.getSettings(GUILD_A)).toEqual({ preset: 'off', normalize: true, crossfadeSeconds: 0 });
+
+        await service.setSettings({ guildId: GUILD_A, preset: 'nightcore' });
+        await service.setSettings({ guildId: GUILD_A, crossfadeSeconds: 6 });
+        expect(await service.getSettings(GUILD_A)).toEqual({ preset: 'nightcore', normalize: true, crossfadeSeconds: 6 });
+        expect(await service.getSettings(GUILD_B)).toEqual({ preset: 'off', normalize: true, crossfadeSeconds: 0 });
+    });
+
+    test('rejects unknown presets and out-of-range crossfades', async () => {
+        const service = new MusicFxService({ runFfmpeg: jest.fn() });
+        await expect(service.setSettings({ guildId: GUILD_A, preset: 'loud' })).rejects.toMatchObject({ code: 'BAD_PRESET' });
+        await expect(service.setSettings({ guildId: GUILD_A, crossfadeSeconds: 13 })).rejects.toBeInstanceOf(MusicFxError);
+        await expect(service.setSettings({ guildId: GUILD_A, crossfadeSeconds: 1.5 })).rejects.toMatchObject({ code: 'BAD_CROSSFADE' });
+        await expect(service.setSettings({ guildId: GUILD_A, normalize: 'yes' })).rejects.toMatchObject({ code: 'BAD_NORMALIZE' });
+        expect(await service.getSettings(GUILD_A)).toEqual({ preset: 'off', normalize: true, crossfadeSeconds: 0 });
+    });
+});
+
+describe('loudness cache', () => {
+    test('measures a track once and caches the result beside it', async () => {
+        const runFfmpeg = jest.fn().mockResolvedValue(loudnormStderr());
+        const service = new MusicFxService({ runFfmpeg });
+        const file = writeTrack('Artist - Song.mp3');
+
+        const first = await service.ensureLoudness(file);
+        expect(first).toMatchObject({ integratedLufs: -23.4, durationMs: 205_500 });
+        expect(fs.existsSync(path.join(tmpDir, 'Artist - Song.loudness.json'))).toBe(true);
+        expect(runFfmpeg.mock.calls[0][0]).toEqual(expect.arrayContaining(['-i', file, '-f', 'null']));
+
+        // A fresh service (a restart) reads the sidecar instead of re-measuring
+        const restarted = new MusicFxService({ runFfmpeg });
+        expect(await restarted.ensureLoudness(file)).toMatchObject({ integratedLufs: -23.4 });
+        expect(runFfmpeg).toHaveBeenCalledTimes(1);
+    });
+
+    test('concurrent requests share one measurement and a changed file is re-measured', async () => {
+        const runFfmpeg = jest.fn().mockResolvedValue(loudnormStderr());
+        const service = new MusicFxService({ runFfmpeg });
+        const file = writeTrack('Band - Tune.mp3');
+
+        await Promise.all([service.ensureLoudness(file), service.ensureLoudness(file)]);
+        expect(runFfmpeg).toHaveBeenCalledTimes(1);
+
+        fs.writeFileSync(file, 'ID3 a re-downloaded, longer file');
+        expect(await service.getLoudness(file)).toBeNull();
+        await service.ensureLoudness(file);
+        expect(runFfmpeg).toHaveBeenCalledTimes(2);
+
+        await service.forget(file);
+        expect(fs.existsSync(service.loudnessPath(file))).toBe(false);
+    });
+
+    test('a failed measurement resolves to null', async () => {
+        const service = new MusicFxService({ runFfmpeg: jest.fn().mockRejectedValue(new Error('ffmpeg not found')) });
+        const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(await service.ensureLoudness(writeTrack('Broken - File.mp3'))).toBeNull();
+        errors.mockRestore();
+    });
+});
+
+describe('trackFx', () => {
+    test('an unmeasured track plays with the preset only and is queued for measurement', async () => {
+        const runFfmpeg = jest.fn().mockResolvedValue(loudnormStderr({ input_tp: '-12.00' }));
+        const service = new MusicFxService({ runFfmpeg });
+        await service.setSettings({ guildId: GUILD_A, preset: 'bass', crossfadeSeconds: 4 });
+        const file = writeTrack('New - Track.mp3');
+
+        const first = await service.trackFx(GUILD_A, file);
+        expect(first).toMatchObject({ gainDb: 0, durationMs: null, speed: 1, filters: EQ_PRESETS.bass.filters });
+        expect(first.settings.crossfadeSeconds).toBe(4);
+
+        await service.ensureLoudness(file);
+        const second = await service.trackFx(GUILD_A, file);
+        expect(second.gainDb).toBe(7.4);
+        expect(second.filters[0]).toBe('volume=7.4dB');
+        expect(second.durationMs).toBe(205_500);
+    });
+
+    test('normalization off applies no gain; remote urls are never measured', async () => {
+        const runFfmpeg = jest.fn().mockResolvedValue(loudnormStderr());
+        const service = new MusicFxService({ runFfmpeg });
+        const file = writeTrack('Quiet - Track.mp3');
+        await service.ensureLoudness(file);
+        await service.setSettings({ guildId: GUILD_A, normalize: false });
+        expect((await service.trackFx(GUILD_A, file)).filters).toEqual([]);
+
+        const remote = await service.trackFx(GUILD_A, 'https://cdn.example/track.mp3');
+        expect(remote.filters).toEqual([]);
+        expect(runFfmpeg).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,298 @@
+/**
+ * Per-guild music players: each guild gets its own player (queue, volume,
+ * repeat/shuffle, connection), queue state is persisted to
+ * music_player_state, and restore() rejoins and resumes after a restart.
+ * Players are fakes - MusicService itself needs ffmpeg and a voice gateway.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+const { EventEmitter } = require('node:events');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-music-players-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const MusicPlayerManager = require('@goobster/core/services/voice/musicPlayerManager');
+const { snapshotPlayer, applySnapshot } = require('@goobster/core/services/voice/musicPlayerManager');
+
+const GUILD_A = '620000000000000001';
+const GUILD_B = '620000000000000002';
+const VOICE_A = '620000000000000011';
+
+class FakePlayer extends EventEmitter {
+    constructor(guildId) {
+        super();
+        this.guildId = guildId;
+        this.queue = [];
+        this.currentTrack = null;
+        this.isPlaying = false;
+        this.paused = false;
+        this.volume = 1;
+        this.isRepeatEnabled = false;
+        this.isShuffleEnabled = false;
+        this.currentPlaylist = null;
+        this.currentTrackIndex = 0;
+        this.shuffledQueue = [];
+        this.connection = null;
+        this.positionMs = 0;
+        this.setClient = jest.fn();
+        this.dispose = jest.fn();
+        this.joinChannel = jest.fn(async channel => {
+            this.connection = { joinConfig: { channelId: channel.id, guildId: channel.guild.id } };
+            return this.connection;
+        });
+        this.resumeFrom = jest.fn(async (track, positionMs, { paused }) => {
+            this.currentTrack = track;
+            this.positionMs = positionMs;
+            this.isPlaying = !paused;
+            this.paused = paused;
+        });
+    }
+
+    getState() {
+        return { guildId: this.guildId, isPlaying: this.isPlaying, currentTrack: this.currentTrack, volume: this.volume, isPaused: this.paused };
+    }
+
+    getPositionMs() {
+        return this.positionMs;
+    }
+}
+
+function makeManager() {
+    const created = [];
+    const manager = new MusicPlayerManager({}, {
+        createPlayer: (config, { guildId }) => {
+            const player = new FakePlayer(guildId);
+            created.push(player);
+            return player;
+        },
+        createSpotdl: () => ({})
+    });
+    return { manager, created };
+}
+
+function makeClient(voiceChannels = []) {
+    const guilds = new Map();
+    for (const channel of voiceChannels) {
+        if (!guilds.has(channel.guildId)) guilds.set(channel.guildId, { id: channel.guildId, channels: { cache: new Map() } });
+        const guild = guilds.get(channel.guildId);
+        guild.channels.cache.set(channel.id, { id: channel.id, guild, isVoiceBased: () => true });
+    }
+    return { guilds: { cache: guilds } };
+}
+
+function playing(player, overrides = {}) {
+    Object.assign(player, {
+        connection: { joinConfig: { channelId: VOICE_A, guildId: player.guildId } },
+        currentTrack: { name: 'Queen - Bohemian Rhapsody', artist: 'Queen', title: 'Bohemian Rhapsody', url: 'https://cdn.example/track.mp3' },
+        isPlaying: true,
+        positionMs: 61_500,
+        volume: 0.4,
+        isRepeatEnabled: true,
+        queue: [{ name: 'Daft Punk - Around the World', addedAt: new Date() }],
+        ...overrides
+    });
+    return player;
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+});
+
+beforeEach(async () => {
+    await db.run('DELETE FROM music_player_state');
+});
+
+describe('per-guild players', () => {
+    test('each guild gets its own player with independent state', () => {
+        const { manager, created } = makeManager();
+        const a = manager.get(GUILD_A);
+        const b = manager.get(GUILD_B);
+        expect(a).not.toBe(b);
+        expect(manager.get(GUILD_A)).toBe(a);
+        expect(created).toHaveLength(2);
+
+        a.queue.push({ name: 'A - One' });
+        a.volume = 0.2;
+        expect(b.queue).toEqual([]);
+        expect(b.volume).toBe(1);
+    });
+
+    test('peek never creates a player and get requires a guild', () => {
+        const { manager, created } = makeManager();
+        expect(manager.peek(GUILD_A)).toBeNull();
+        expect(created).toHaveLength(0);
+        expect(() => manager.get(null)).toThrow(/guild id/);
+    });
+
+    test('state updates are re-emitted with the guild id, and the client reaches every player', () => {
+        const { manager } = makeManager();
+        const seen = [];
+        manager.on('stateUpdate', (guildId, state) => seen.push([guildId, state.isPlaying]));
+        const a = manager.get(GUILD_A);
+        const client = { id: 'client' };
+        manager.setClient(client);
+        const b = manager.get(GUILD_B);
+
+        a.emit('stateUpdate', { isPlaying: true });
+        expect(seen).toEqual([[GUILD_A, true]]);
+        expect(a.setClient).toHaveBeenCalledWith(client);
+        expect(b.setClient).toHaveBeenCalledWith(client);
+    });
+});
+
+describe('snapshots', () => {
+    test('keep what a restart needs and drop resolved library urls', () => {
+        const player = playing(new FakePlayer(GUILD_A), {
+            currentPlaylist: { id: 'p1', name: 'chill', tracks: [{ name: 'A - One', url: 'https://x/1.mp3' }] },
+            currentTrackIndex: 1
+        });
+        const snapshot = snapshotPlayer(player);
+        expect(snapshot).toEqual({
+            channelId: VOICE_A,
+            volume: 0.4,
+            repeat: true,
+            shuffle: false,
+            paused: false,
+            currentTrack: { name: 'Queen - Bohemian Rhapsody', artist: 'Queen', title: 'Bohemian Rhapsody' },
+            positionMs: 61_500,
+            queue: [{ name: 'Daft Punk - Around the World' }],
+            playlist: { id: 'p1', name: 'chill', tracks: [{ name: 'A - One' }] },
+            playlistIndex: 1,
+            shuffledQueue: []
+        });
+    });
+
+    test('keep local urls for ad-hoc tracks with no library entry', () => {
+        const player = playing(new FakePlayer(GUILD_A), {
+            currentTrack: { name: 'Some Upload', url: '/data/downloads/upload.mp3' }
+        });
+        expect(snapshotPlayer(player).currentTrack).toEqual({ name: 'Some Upload', url: '/data/downloads/upload.mp3' });
+    });
+
+    test('an idle player has nothing to resume', () => {
+        expect(snapshotPlayer(new FakePlayer(GUILD_A))).toBeNull();
+    });
+
+    test('applySnapshot restores queue state onto a fresh player', () => {
+        const snapshot = snapshotPlayer(playing(new FakePlayer(GUILD_A), { isShuffleEnabled: true }));
+        const fresh = new FakePlayer(GUILD_A);
+        applySnapshot(fresh, snapshot);
+        expect(fresh.volume).toBe(0.4);
+        expect(fresh.isRepeatEnabled).toBe(true);
+        expect(fresh.isShuffleEnabled).toBe(true);
+        expect(fresh.queue).toEqual([{ name: 'Daft Punk - Around the World' }]);
+        expect(fresh.queue).not.toBe(snapshot.queue);
+    });
+});
+
+describe('persistence and restore', () => {
+    test('save writes one row per active guild and deletes it once idle', async () => {
+        const { manager } = makeManager();
+        playing(manager.get(GUILD_A));
+        manager.get(GUILD_B);
+        await manager.save(GUILD_A);
+        await manager.save(GUILD_B);
+
+        const saved = await manager.loadSaved();
+        expect(saved.map(row => row.guildId)).toEqual([GUILD_A]);
+        expect(saved[0]).toEqual(expect.objectContaining({ channelId: VOICE_A, volume: 0.4, repeat: true, positionMs: 61_500 }));
+
+        Object.assign(manager.get(GUILD_A), { currentTrack: null, isPlaying: false, queue: [] });
+        await manager.save(GUILD_A);
+        expect(await manager.loadSaved()).toEqual([]);
+    });
+
+    test('player events schedule a debounced save', async () => {
+        jest.useFakeTimers();
+        try {
+            const { manager } = makeManager();
+            const player = playing(manager.get(GUILD_A));
+            const save = jest.spyOn(manager, 'save').mockResolvedValue();
+            player.emit('queueUpdate', player.queue);
+            player.emit('trackChanged', player.currentTrack);
+            player.emit('volumeUpdate', 40);
+            expect(save).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(MusicPlayerManager.SAVE_DEBOUNCE_MS);
+            expect(save).toHaveBeenCalledTimes(1);
+            expect(save).toHaveBeenCalledWith(GUILD_A);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('restore rejoins the saved channel and resumes at the saved position', async () => {
+        const before = makeManager().manager;
+        playing(before.get(GUILD_A), { paused: true, isPlaying: false });
+        await before.save(GUILD_A);
+
+        const { manager } = makeManager();
+        const client = makeClient([{ id: VOICE_A, guildId: GUILD_A }]);
+        const result = await manager.restore(client);
+        expect(result).toEqual({ resumed: [GUILD_A], dropped: [] });
+
+        const player = manager.peek(GUILD_A);
+        expect(player.joinChannel).toHaveBeenCalledWith(client.guilds.cache.get(GUILD_A).channels.cache.get(VOICE_A));
+        expect(player.resumeFrom).toHaveBeenCalledWith(
+            { name: 'Queen - Bohemian Rhapsody', artist: 'Queen', title: 'Bohemian Rhapsody' },
+            61_500,
+            { paused: true }
+        );
+        expect(player.volume).toBe(0.4);
+        expect(player.queue).toEqual([{ name: 'Daft Punk - Around the World' }]);
+    });
+
+    test('restore drops saved state whose voice channel is gone', async () => {
+        const before = makeManager().manager;
+        playing(before.get(GUILD_A));
+        await before.save(GUILD_A);
+
+        const { manager, created } = makeManager();
+        const result = await manager.restore(makeClient([]));
+        expect(result).toEqual({ resumed: [], dropped: [GUILD_A] });
+        expect(created).toHaveLength(0);
+        expect(await manager.loadSaved()).toEqual([]);
+    });
+
+    test('a failed resume in one guild does not stop the others', async () => {
+        const before = makeManager().manager;
+        playing(before.get(GUILD_A));
+        playing(before.get(GUILD_B));
+        await before.save(GUILD_A);
+        await before.save(GUILD_B);
+
+        const { manager } = makeManager();
+        const original = manager.get.bind(manager);
+        jest.spyOn(manager, 'get').mockImplementation(guildId => {
+            const player = original(guildId);
+            if (guildId === GUILD_A) player.joinChannel.mockRejectedValue(new Error('missing permissions'));
+            return player;
+        });
+        const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const client = makeClient([{ id: VOICE_A, guildId: GUILD_A }, { id: VOICE_A, guildId: GUILD_B }]);
+        const result = await manager.restore(client);
+        errors.mockRestore();
+        expect(result.resumed).toEqual([GUILD_B]);
+    });
+
+    test('release disposes one guild and forgets its queue; disposeAll saves the rest', async () => {
+        const { manager } = makeManager();
+        const a = playing(manager.get(GUILD_A));
+        const b = playing(manager.get(GUILD_B));
+        await manager.save(GUILD_A);
+
+        await manager.release(GUILD_A);
+        expect(a.dispose).toHaveBeenCalled();
+        expect(manager.peek(GUILD_A)).toBeNull();
+        expect(await manager.loadSaved()).toEqual([]);
+
+        await manager.disposeAll();
+        expect(b.dispose).toHaveBeenCalled();
+        expect(manager.peek(GUILD_B)).toBeNull();
+        expect((await manager.loadSaved()).map(row => row.guildId)).toEqual([GUILD_B]);
+    });
+});
@@ -83,6 +83,18 @@ function makeMusicService(overrides = {}) {
     };
 }
 
+/** Fake per-guild player manager: `players` maps guildId -> fake player. */
+function makeMusicPlayers(players = {}) {
+    return {
+        players,
+        get: jest.fn(guildId => {
+            if (!players[guildId]) players[guildId] = makeMusicService({ guildId });
+            return players[guildId];
+        }),
+        peek: jest.fn(guildId => players[guildId] || null)
+    };
+}
+
 function build({ musicService, sessions = new Set(), aiReply = 'generated draft' } = {}) {
     const textChannel = makeTextChannel({ id: TEXT_CH, name: 'general' });
     const lockedChannel = makeTextChannel({ id: NOPERM_CH, name: 'secret', canSend: false });
@@ -91,7 +103,8 @@ function build({ musicService, sessions = new Set(), aiReply = 'generated draft'
     const guildB = makeGuild({ id: GUILD_B, name: 'Beta' });
     const client = makeClient([guildA, guildB]);
 
-    const ms = musicService || makeMusicService();
+    const ms = musicService || makeMusicService({ guildId: GUILD_A });
+    const musicPlayers = makeMusicPlayers({ [ms.guildId]: ms });
     const voiceSessionService = {
         hasSession: jest.fn(id => sessions.has(id)),
         getSession: jest.fn(() => null),
@@ -166,6 +179,32 @@ function build({ musicService, sessions = new Set(), aiReply = 'generated draft'
         followupService: { getPending: jest.fn(() => [{ id: 1 }]) },
         activityService: { purgeChannel: jest.fn(() => 5) },
         transcriptionService: { isConfigured: () => true },
+        musicFxService: {
+            getSettings: jest.fn(async () => ({ preset: 'off', normalize: true, crossfadeSeconds: 0 })),
+            setSettings: jest.fn(async ({ preset }) => {
+                if (preset === 'loud') {
+                    const error = new Error('Unknown EQ preset "loud".');
+                    error.name = 'MusicFxError';
+                    error.code = 'BAD_PRESET';
+                    throw error;
+                }
+                return { preset: preset ?? 'off', normalize: true, crossfadeSeconds: 0 };
+            })
+        },
+        backupService: {
+            status: jest.fn(() => ({ engine: 'sqlite', enabled: true, lastGood: null, lastFailure: null, count: 1, totalBytes: 4096 })),
+            listBackups: jest.fn(() => [{
+                id: 'goobster-20261019-030000', kind: 'sqlite', reason: 'scheduled', createdAt: '2026-10-19 03:00:00',
+                sizeBytes: 4096, schemaVersion: 60, sha256: 'abc', fileName: 'goobster-20261019-030000.sqlite'
+            }]),
+            createBackup: jest.fn(async () => {
+                const error = new Error('The last backup (goobster-20261019-030000) is less than 10 minutes old.');
+                error.name = 'BackupError';
+                error.status = 429;
+                error.code = 'TOO_SOON';
+                throw error;
+            })
+        },
         spotdlService: {
             listTracks: jest.fn().mockResolvedValue([
                 { name: 'Daft Punk - Around the World.mp3', url: '/music/a.mp3', lastModified: new Date() },
@@ -177,12 +216,12 @@ function build({ musicService, sessions = new Set(), aiReply = 'generated draft'
 
     const service = createPanelService({
         client,
-        voiceService: { musicService: ms, tts: {} },
+        voiceService: { musicPlayers, tts: {}, ttsFor() { return this.tts; } },
         logger: { warn: () => {}, error: () => {} },
         deps
     });
 
-    return { service, client, ms, deps, textChannel, lockedChannel, voiceChannel, guildSettingsState };
+    return { service, client, ms, musicPlayers, deps, textChannel, lockedChannel, voiceChannel, guildSettingsState };
 }
 
 async function expectPanelError(promise, status, code) {
@@ -298,29 +337,40 @@ describe('panelService AI drafts', () => {
     });
 });
 
-describe('panelService music single-active-guild model', () => {
-    test('moving music to another guild requires confirmation', async () => {
+describe('panelService per-guild music players', () => {
+    test('music in another guild never blocks: each guild plays on its own player', async () => {
         const ms = makeMusicService({ connection: {}, guildId: GUILD_B, isPlaying: true });
-        const { service } = build({ musicService: ms });
-        const error = await expectPanelError(
-            service.playTrack({ guildId: GUILD_A, channelId: VOICE_CH, query: 'daft punk' }),
-            409, 'MUSIC_ACTIVE_ELSEWHERE'
-        );
-        expect(error.details.requiresConfirmation).toBe(true);
-        expect(error.details.activeGuildId).toBe(GUILD_B);
+        const { service, voiceChannel, musicPlayers } = build({ musicService: ms });
+        const result = await service.playTrack({ guildId: GUILD_A, channelId: VOICE_CH, query: 'daft punk' });
+
+        const playerA = musicPlayers.players[GUILD_A];
+        expect(playerA).not.toBe(ms);
+        expect(playerA.joinChannel).toHaveBeenCalledWith(voiceChannel);
+        expect(playerA.playAudio).toHaveBeenCalled();
         expect(ms.joinChannel).not.toHaveBeenCalled();
+        expect(result.queued).toBe(false);
+        expect(result.track.artist).toBe('Daft Punk');
     });
 
-    test('confirmed move joins the new guild and plays', async () => {
-        const ms = makeMusicService({ connection: {}, guildId: GUILD_B, isPlaying: true });
-        const { service, voiceChannel } = build({ musicService: ms });
-        const result = await service.playTrack({
-            guildId: GUILD_A, channelId: VOICE_CH, query: 'daft punk', confirmMove: true
+    test('music state and activity flags are reported per guild', () => {
+        const ms = makeMusicService({
+            connection: { joinConfig: { channelId: VOICE_CH } },
+            guildId: GUILD_A,
+            isPlaying: true,
+            getState: jest.fn(() => ({ isPlaying: true, currentTrack: { name: 'Queen - Bohemian Rhapsody.mp3' }, volume: 1, isPaused: false }))
         });
-        expect(ms.joinChannel).toHaveBeenCalledWith(voiceChannel);
-        expect(ms.playAudio).toHaveBeenCalled();
-        expect(result.queued).toBe(false);
-        expect(result.track.artist).toBe('Daft Punk');
+        const { service } = build({ musicService: ms });
+
+        const stateA = service.getMusicState(GUILD_A);
+        expect(stateA).toEqual(expect.objectContaining({ connected: true, guildId: GUILD_A, channelName: 'Lounge' }));
+        expect(stateA.currentTrack.title).toBe('Bohemian Rhapsody');
+
+        const stateB = service.getMusicState(GUILD_B);
+        expect(stateB).toEqual(expect.objectContaining({ available: true, connected: false, guildId: GUILD_B, currentTrack: null }));
+
+        const guilds = service.listGuilds();
+        expect(guilds.find(g => g.id === GUILD_A).musicActive).toBe(true);
+        expect(guilds.find(g => g.id === GUILD_B).musicActive).toBe(false);
     });
 
     test('queues instead of restarting when already playing in the same guild', async () => {
@@ -517,6 +567,7 @@ describe('panelService global TTS voice', () => {
             { id: 'pMsXgVXv3BLzUgSXRplE', name: 'Serena', category: 'premade' }
         ];
         const tts = {
+            provider: 'elevenlabs',
             voiceId: 'Rachel',
             voiceName: null,
             listVoices: jest.fn(async () => library),
@@ -530,7 +581,7 @@ describe('panelService global TTS voice', () => {
         };
         const service = createPanelService({
             client: makeClient([guild]),
-            voiceService: { musicService: makeMusicService(), tts, config: { elevenlabs: { voiceId: 'Rachel' } } },
+            voiceService: { musicPlayers: makeMusicPlayers(), tts, config: { elevenlabs: { voiceId: 'Rachel' } } },
             logger: { warn: () => {}, error: () => {} },
             deps: {
                 configPath,
@@ -598,14 +649,56 @@ describe('panelService global TTS voice', () => {
 describe('panelService transport and volume', () => {
     test('rejects unknown transport actions', async () => {
         const { service } = build();
-        await expectPanelError(service.controlMusic('explode'), 400, 'BAD_REQUEST');
+        await expectPanelError(service.controlMusic(GUILD_A, 'explode'), 400, 'BAD_REQUEST');
     });
 
     test('validates the volume range', async () => {
         const { service, ms } = build();
-        await expectPanelError(service.setVolume(150), 400, 'BAD_REQUEST');
-        await expectPanelError(service.setVolume('50'), 400, 'BAD_REQUEST');
-        await service.setVolume(35);
+        await expectPanelError(service.setVolume(GUILD_A, 150), 400, 'BAD_REQUEST');
+        await expectPanelError(service.setVolume(GUILD_A, '50'), 400, 'BAD_REQUEST');
+        await service.setVolume(GUILD_A, 35);
         expect(ms.setVolume).toHaveBeenCalledWith(35);
     });
+
+    test('transport controls act on the named guild only', async () => {
+        const msB = makeMusicService({ connection: {}, guildId: GUILD_B, isPlaying: true });
+        const { service, musicPlayers } = build({ musicService: msB });
+        await service.controlMusic(GUILD_A, 'pause');
+        expect(musicPlayers.players[GUILD_A].pause).toHaveBeenCalled();
+        expect(msB.pause).not.toHaveBeenCalled();
+    });
+
+    test('audio effect changes are saved per guild and re-applied to the playing track', async () => {
+        const { service, ms, deps } = build({ musicService: makeMusicService({ guildId: GUILD_A, applyFx: jest.fn().mockResolvedValue(true) }) });
+        expect(await service.getMusicFx(GUILD_A)).toEqual({ preset: 'off', normalize: true, crossfadeSeconds: 0 });
+        const settings = await service.setMusicFx(GUILD_A, { preset: 'bass' });
+        expect(settings.preset).toBe('bass');
+        expect(deps.musicFxService.setSettings).toHaveBeenCalledWith({ guildId: GUILD_A, preset: 'bass', normalize: undefined, crossfadeSeconds: undefined });
+        expect(ms.applyFx).toHaveBeenCalled();
+    });
+
+    test('invalid audio effect settings are a 400 and need no player', async () => {
+        const { service, musicPlayers } = build();
+        await expectPanelError(service.setMusicFx(GUILD_A, { preset: 'loud' }), 400, 'BAD_PRESET');
+        await service.setMusicFx(GUILD_B, { preset: 'vocal' });
+        expect(musicPlayers.players[GUILD_B]).toBeUndefined();
+    });
+});
+
+describe('panelService database backups', () => {
+    test('reports the catalogue without file names or checksums', () => {
+        const { service } = build();
+        const result = service.getBackups();
+        expect(result.count).toBe(1);
+        expect(result.backups).toEqual([{
+            id: 'goobster-20261019-030000', kind: 'sqlite', reason: 'scheduled',
+            createdAt: '2026-10-19 03:00:00', sizeBytes: 4096, schemaVersion: 60
+        }]);
+    });
+
+    test('a refused manual backup keeps its status and code', async () => {
+        const { service, deps } = build();
+        await expectPanelError(service.createBackup(), 429, 'TOO_SOON');
+        expect(deps.backupService.createBackup).toHaveBeenCalledWith({ reason: 'manual' });
+    });
 });
@@ -0,0 +1,205 @@
+/**
+ * Tests for provably-fair randomness: the seed stream in
+ * utils/provablyFair.js, and the commit-reveal bookkeeping in
+ * services/fairnessService.js for /gamble hands and Activity table rounds -
+ * against a throwaway SQLite database.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-fair-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const provablyFair = require('@goobster/core/utils/provablyFair');
+const fairnessService = require('@goobster/core/services/fairnessService');
+const gamblingService = require('@goobster/core/services/gamblingService');
+const { TableManager } = require('@goobster/core/services/tableGames/tableManager');
+
+const GUILD = '720000000000000001';
+const CHANNEL = '720000000000000002';
+const ALICE = '720000000000000011';
+const BOB = '720000000000000012';
+
+const SEEDS = { serverSeed: 'a'.repeat(64), clientSeed: 'lucky' };
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(TEST_DB + suffix, { force: true });
+    }
+});
+
+describe('the seed stream', () => {
+    test('is deterministic, in [0, 1), and counts its draws', () => {
+        const first = provablyFair.rngStream(SEEDS);
+        const second = provablyFair.rngStream(SEEDS);
+        const values = Array.from({ length: 20 }, () => first());
+        expect(Array.from({ length: 20 }, () => second())).toEqual(values);
+        expect(first.draws).toBe(20);
+        expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+        expect(new Set(values).size).toBe(20);
+    });
+
+    test('resumes at any cursor, across block boundaries', () => {
+        const full = provablyFair.rngStream(SEEDS);
+        const values = Array.from({ length: 20 }, () => full());
+        const resumed = provablyFair.rngStream({ ...SEEDS, cursor: 7 });
+        expect(Array.from({ length: 13 }, () => resumed())).toEqual(values.slice(7));
+    });
+
+    test('a different client seed gives a different stream', () => {
+        const a = provablyFair.rngStream(SEEDS);
+        const b = provablyFair.rngStream({ ...SEEDS, clientSeed: 'unlucky' });
+        expect(a()).not.toBe(b());
+    });
+
+    test('client seeds are trimmed printable text of bounded length', () => {
+        expect(provablyFair.normalizeClientSeed('  my seed ')).toBe('my seed');
+        expect(provablyFair.normalizeClientSeed('')).toBeNull();
+        expect(provablyFair.normalizeClientSeed('x'.repeat(65))).toBeNull();
+        expect(provablyFair.normalizeClientSeed('tab\there')).toBeNull();
+    });
+});
+
+describe('/gamble hands', () => {
+    beforeEach(async () => {
+        for (const table of ['economy_wallets', 'economy_transactions', 'economy_settings', 'fair_seeds', 'fair_rounds']) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+    });
+
+    test('a hand reveals the committed seed, verifies, and rotates the commitment', async () => {
+        const before = await fairnessService.getCommitment(GUILD, ALICE);
+        const game = await gamblingService.d20({ guildId: GUILD, userId: ALICE, bet: 10 });
+
+        expect(game.fair.serverSeedHash).toBe(before.serverSeedHash);
+        expect(provablyFair.hashSeed(game.fair.serverSeed)).toBe(before.serverSeedHash);
+        expect(game.fair.clientSeed).toBe(before.clientSeed);
+        const after = await fairnessService.getCommitment(GUILD, ALICE);
+        expect(after.serverSeedHash).toBe(game.fair.nextServerSeedHash);
+        expect(after.serverSeedHash).not.toBe(before.serverSeedHash);
+
+        const result = await fairnessService.verify(GUILD, game.fair.handId);
+        expect(result).toMatchObject({ hashMatches: true, outcomeMatches: true, draws: 2 });
+        expect(result.round).toMatchObject({
+            source: 'gamble', game: 'd20', status: 'SETTLED', players: [ALICE],
+            outcome: { playerRoll: game.playerRoll, botRoll: game.botRoll }
+        });
+    });
+
+    test('a chosen client seed drives the next hand', async () => {
+        await expect(fairnessService.setClientSeed(GUILD, ALICE, '   '))
+            .rejects.toMatchObject({ code: 'BAD_SEED' });
+        const { serverSeedHash } = await fairnessService.setClientSeed(GUILD, ALICE, 'my own seed');
+        const { serverSeed } = await fairnessService.getSeeds(GUILD, ALICE);
+
+        const game = await gamblingService.coinflip({ guildId: GUILD, userId: ALICE, bet: 10, choice: 'heads' });
+        expect(game.fair).toMatchObject({ clientSeed: 'my own seed', serverSeedHash, serverSeed });
+        const rng = provablyFair.rngStream({ serverSeed, clientSeed: 'my own seed' });
+        expect(game.result).toBe(rng() < 0.5 ? 'heads' : 'tails');
+    });
+
+    test('a tampered record fails verification', async () => {
+        const game = await gamblingService.poker({ guildId: GUILD, userId: ALICE, bet: 10 });
+        const round = await fairnessService.getRound(GUILD, game.fair.handId);
+        const swapped = { playerHand: round.outcome.dealerHand, dealerHand: round.outcome.playerHand };
+        await db.run('UPDATE fair_rounds SET outcome = @outcome WHERE id = @id', { id: round.id, outcome: JSON.stringify(swapped) });
+        expect(await fairnessService.verify(GUILD, round.id)).toMatchObject({ hashMatches: true, outcomeMatches: false });
+
+        await db.run('UPDATE fair_rounds SET serverSeed = @seed WHERE id = @id', { id: round.id, seed: 'b'.repeat(64) });
+        expect((await fairnessService.verify(GUILD, round.id)).hashMatches).toBe(false);
+    });
+
+    test('hands belong to their server', async () => {
+        const game = await gamblingService.d20({ guildId: GUILD, userId: ALICE, bet: 10 });
+        await expect(fairnessService.verify('720000000000000099', game.fair.handId))
+            .rejects.toMatchObject({ code: 'NO_HAND' });
+    });
+});
+
+describe('Activity table rounds', () => {
+    let manager;
+
+    beforeEach(async () => {
+        for (const table of ['economy_wallets', 'economy_transactions', 'economy_settings', 'table_games', 'fair_rounds']) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+        manager = new TableManager();
+    });
+
+    afterEach(() => {
+        manager.stop();
+    });
+
+    test('a settled round is revealed to the table and verifies', async () => {
+        const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'roulette' });
+        const subscriber = { userId: ALICE, name: 'Alice', messages: [], send(m) { this.messages.push(m); } };
+        manager.subscribe(table, subscriber);
+        const committed = manager.fairnessView(table, ALICE).serverSeedHash;
+
+        await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit' });
+        await manager.setClientSeed(table, ALICE, 'alice-seed');
+        await manager.act({ table, userId: ALICE, action: 'bet', amount: 50, kind: 'red' });
+        await manager.act({ table, userId: ALICE, action: 'spin' });
+        expect(table.state.phase).toBe('settled');
+
+        const reveal = subscriber.messages.flatMap(m => m.events || []).find(e => e.type === 'fair-reveal');
+        expect(reveal).toMatchObject({ status: 'SETTLED', serverSeedHash: committed, clientSeed: 'alice-seed' });
+        expect(manager.fairnessView(table, ALICE)).toMatchObject({ lastHandId: reveal.handId });
+        expect(manager.fairnessView(table, ALICE).serverSeedHash).not.toBe(committed);
+
+        const result = await fairnessService.verify(GUILD, reveal.handId);
+        expect(result).toMatchObject({ hashMatches: true, outcomeMatches: true });
+        expect(result.round).toMatchObject({ source: 'table', game: 'roulette', channelId: CHANNEL, players: [ALICE] });
+    });
+
+    test('a table round replays end to end, so tampering after the deal fails verification', async () => {
+        const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'blackjack' });
+        await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit' });
+        // Bet until a hand deals into play (a natural settles on the deal)
+        async function dealIntoPlay() {
+            for (;;) {
+                await manager.act({ table, userId: ALICE, action: 'bet', amount: 10 });
+                if (table.state.phase === 'acting') return;
+                await manager.act({ table, action: 'next-hand', system: true });
+            }
+        }
+        async function playOut() {
+            await manager.act({ table, userId: ALICE, action: 'hit' });
+            if (table.state.phase === 'acting') await manager.act({ table, userId: ALICE, action: 'stand' });
+            expect(table.state.phase).toBe('settled');
+            return table.fair.lastHandId;
+        }
+
+        await dealIntoPlay();
+        const honest = await fairnessService.verify(GUILD, await playOut());
+        expect(honest).toMatchObject({ hashMatches: true, outcomeMatches: true });
+        expect(honest.round.steps.length).toBeGreaterThan(1);
+
+        await manager.act({ table, action: 'next-hand', system: true });
+        await dealIntoPlay();
+        // Swap the shoe's next card after the deal: the hit draws it without the rng
+        const deck = [...table.state.deck];
+        const top = deck.at(-1);
+        deck[deck.length - 1] = { rank: top.rank === 2 ? 3 : 2, suit: top.suit };
+        table.state = { ...table.state, deck };
+        const tampered = await fairnessService.verify(GUILD, await playOut());
+        expect(tampered).toMatchObject({ hashMatches: true, outcomeMatches: false });
+    });
+
+    test('a round cut short by closing the table is recorded void and still verifies', async () => {
+        const table = await manager.getTable({ guildId: GUILD, channelId: CHANNEL, gameType: 'holdem' });
+        await manager.act({ table, userId: ALICE, name: 'Alice', action: 'sit', amount: 200 });
+        await manager.act({ table, userId: BOB, name: 'Bob', action: 'sit', amount: 200 });
+        await manager.act({ table, userId: ALICE, action: 'deal' });
+        await manager.closeTable(table);
+
+        const row = await db.get('SELECT id FROM fair_rounds WHERE guildId = @g', { g: GUILD });
+        const result = await fairnessService.verify(GUILD, row.id);
+        expect(result).toMatchObject({ hashMatches: true, outcomeMatches: true });
+        expect(result.round).toMatchObject({ status: 'VOID', game: 'holdem' });
+        expect(result.round.players.sort()).toEqual([ALICE, BOB].sort());
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Campaign packages (services/tavern/campaignPackage): signed export with
+ * art and a manifest, signature and hash checks on import, quarantine
+ * validation and preview, install on confirmation with provenance, and
+ * packages from another install's key.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-campaign-pkg-data-'));
+const CAMPAIGNS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-campaign-pkg-campaigns-'));
+process.env.GOOBSTER_DATA_DIR = DATA_DIR;
+process.env.GOOBSTER_TAVERN_CAMPAIGNS_DIR = CAMPAIGNS_DIR;
+
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const assetService = require('@goobster/core/services/tavern/assetService');
+const { writeCampaignDir, campaignFiles } = require('@goobster/core/services/tavern/campaignForge');
+const campaignPackage = require('@goobster/core/services/tavern/campaignPackage');
+
+// The eight PNG signature bytes plus a little body - enough to pass as art
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('not-really-pixels')]);
+const AUTHOR = { name: 'marnie', server: 'The Other Tavern' };
+
+function draft(id = 'package-test') {
+    return {
+        id,
+        title: 'The Package Test',
+        hook: 'A parcel arrives, ticking politely.',
+        players: { min: 1, max: 3 },
+        duration: '10 min',
+        difficulty: 'routine',
+        clocks: [],
+        tags: ['test'],
+        start: 'porch',
+        scenes: {
+            porch: {
+                id: 'porch', title: 'The Porch', text: 'A parcel sits on the step.',
+                options: [
+                    { key: 'open', label: 'Open it', end: 'surprise' },
+                    { key: 'inside', label: 'Carry it inside', goto: 'parlour' }
+                ]
+            },
+            parlour: {
+                id: 'parlour', title: 'The Parlour', text: 'It ticks louder indoors.',
+                options: [{ key: 'open', label: 'Open it now', end: 'surprise' }]
+            }
+        },
+        endings: {
+            surprise: { id: 'surprise', title: 'Surprise', text: 'It was a clock. It was always a clock.', trophy: 'Polite Clock' }
+        }
+    };
+}
+
+function install(quest = draft()) {
+    writeCampaignDir(quest);
+    questLoader.reload();
+}
+
+function removeCampaign(questId) {
+    fs.rmSync(path.join(CAMPAIGNS_DIR, questId), { recursive: true, force: true });
+    questLoader.reload();
+}
+
+/** A draft's loader files as package bytes. */
+function filesOf(quest) {
+    return Object.fromEntries(Object.entries(campaignFiles(quest)).map(([file, text]) => [file, Buffer.from(text)]));
+}
+
+/** Re-serialize a package document after poking at it. */
+function repack(buffer, poke) {
+    const pkg = JSON.parse(buffer.toString('utf8'));
+    poke(pkg);
+    return Buffer.from(JSON.stringify(pkg));
+}
+
+afterAll(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+    fs.rmSync(CAMPAIGNS_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    for (const entry of fs.readdirSync(CAMPAIGNS_DIR)) fs.rmSync(path.join(CAMPAIGNS_DIR, entry), { recursive: true, force: true });
+    fs.rmSync(assetService.ASSETS_DIR, { recursive: true, force: true });
+    questLoader.reload();
+});
+
+describe('export', () => {
+    test('a package carries the campaign files, its art, and a signed manifest', () => {
+        install();
+        const artPath = assetService.sceneArtPath('package-test', 'porch');
+        fs.mkdirSync(path.dirname(artPath), { recursive: true });
+        fs.writeFileSync(artPath, PNG);
+
+        const { buffer, fileName, manifest } = campaignPackage.exportCampaign('package-test', {
+            version: '2.1.0', author: AUTHOR, now: new Date('2026-10-19T10:00:00Z')
+        });
+        expect(fileName).toBe('package-test-v2.1.0.campaign.json');
+        expect(manifest).toMatchObject({
+            format: 'goobster-campaign', formatVersion: 1, questId: 'package-test', title: 'The Package Test',
+            version: '2.1.0', author: AUTHOR, exportedAt: '2026-10-19T10:00:00.000Z'
+        });
+        expect(Object.keys(manifest.files).sort()).toEqual([
+            'art/porch.png', 'endings.yaml', 'quest.yaml', 'scenes/parlour.yaml', 'scenes/porch.yaml'
+        ]);
+        expect(manifest.signer.fingerprint).toBe(campaignPackage.getSigner().fingerprint);
+        expect(campaignPackage.verifyPackage(buffer).files['art/porch.png']).toEqual(PNG);
+
+        // The install's key was created once, private to the owner
+        const keyFile = path.join(DATA_DIR, 'tavern', 'signing-key.pem');
+        expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+
+        const withoutArt = campaignPackage.exportCampaign('package-test', { includeArt: false });
+        expect(Object.keys(withoutArt.manifest.files)).not.toContain('art/porch.png');
+        expect(withoutArt.manifest.version).toBe('1.0.0');
+    });
+
+    test('an unknown quest is refused', () => {
+        expect(() => campaignPackage.exportCampaign('no-such-quest')).toThrow(expect.objectContaining({ code: 'NO_QUEST' }));
+    });
+});
+
+describe('verification', () => {
+    let buffer;
+    beforeEach(() => {
+        install();
+        buffer = campaignPackage.exportCampaign('package-test', { author: AUTHOR }).buffer;
+    });
+
+    test('edited files, an edited manifest, and smuggled files are all caught', () => {
+        const editedScene = repack(buffer, pkg => { pkg.files['scenes/porch.yaml'] += '\n# sneaky'; });
+        expect(() => campaignPackage.verifyPackage(editedScene)).toThrow(expect.objectContaining({ code: 'TAMPERED' }));
+
+        const editedManifest = repack(buffer, pkg => { pkg.manifest.author.name = 'someone famous'; });
+        expect(() => campaignPackage.verifyPackage(editedManifest)).toThrow(expect.objectContaining({ code: 'BAD_SIGNATURE' }));
+
+        const smuggled = repack(buffer, pkg => { pkg.files['scenes/extra.yaml'] = 'id: extra'; });
+        expect(() => campaignPackage.verifyPackage(smuggled)).toThrow(expect.objectContaining({ code: 'TAMPERED' }));
+
+        expect(() => campaignPackage.verifyPackage(Buffer.from('hello'))).toThrow(expect.objectContaining({ code: 'BAD_PACKAGE' }));
+    });
+
+    test('a properly signed package still may not name files outside the campaign layout', () => {
+        const pkg = campaignPackage.packFiles(
+            { 'quest.yaml': Buffer.from('id: evil'), '../../escape.yaml': Buffer.from('boo') },
+            { questId: 'evil', title: 'Evil', version: '1', author: AUTHOR }
+        );
+        expect(() => campaignPackage.verifyPackage(Buffer.from(JSON.stringify(pkg))))
+            .toThrow(expect.objectContaining({ code: 'BAD_PACKAGE' }));
+    });
+});
+
+describe('import', () => {
+    test('a package is previewed from quarantine and installed on confirmation', () => {
+        install();
+        const artPath = assetService.sceneArtPath('package-test', 'parlour');
+        fs.mkdirSync(path.dirname(artPath), { recursive: true });
+        fs.writeFileSync(artPath, PNG);
+        const { buffer } = campaignPackage.exportCampaign('package-test', { version: '3.0.0', author: AUTHOR });
+
+        // Pretend this is a different server's install: no campaign, no art
+        removeCampaign('package-test');
+        fs.rmSync(assetService.ASSETS_DIR, { recursive: true, force: true });
+
+        const preview = campaignPackage.stageImport(buffer);
+        expect(preview).toMatchObject({ valid: true, errors: [], art: 1, localSigner: true, replaces: null, missing: [] });
+        expect(preview.quest.title).toBe('The Package Test');
+        expect(preview.lint.counts.error).toBe(0);
+        // Quarantined, not installed
+        expect(questLoader.getQuest('package-test')).toBeUndefined();
+
+        const { quest, art } = campaignPackage.installStaged(preview.token);
+        expect(quest).toMatchObject({ id: 'package-test', source: 'custom' });
+        expect(art).toBe(1);
+        expect(fs.readFileSync(artPath)).toEqual(PNG);
+        expect(campaignPackage.readProvenance('package-test')).toMatchObject({ version: '3.0.0', author: AUTHOR });
+        expect(fs.readdirSync(path.join(DATA_DIR, 'tavern', 'quarantine'))).toEqual([]);
+        expect(() => campaignPackage.installStaged(preview.token)).toThrow(expect.objectContaining({ code: 'NO_STAGED' }));
+
+        // Importing it again shows what it replaces
+        const again = campaignPackage.stageImport(buffer);
+        expect(again).toMatchObject({ replaces: 'custom', installedVersion: '3.0.0' });
+        campaignPackage.discardStaged(again.token);
+        expect(fs.readdirSync(path.join(DATA_DIR, 'tavern', 'quarantine'))).toEqual([]);
+    });
+
+    test('a signed campaign that fails the loader previews its errors and will not install', () => {
+        const broken = draft('broken-test');
+        broken.scenes.porch.options[0].end = 'nowhere';
+        const pkg = campaignPackage.packFiles(filesOf(broken), { questId: 'broken-test', title: 'Broken', version: '1', author: AUTHOR });
+
+        const preview = campaignPackage.stageImport(Buffer.from(JSON.stringify(pkg)));
+        expect(preview.valid).toBe(false);
+        expect(preview.lint).toBeNull();
+        expect(preview.errors.join('\n')).toMatch(/unknown ending 'nowhere'/);
+        expect(() => campaignPackage.installStaged(preview.token)).toThrow(expect.objectContaining({ code: 'INVALID_CAMPAIGN' }));
+        campaignPackage.discardStaged(preview.token);
+    });
+
+    test('a package from another install shows its signer, and a fork never overwrites its canonical art', () => {
+        install();
+        const canonicalArt = assetService.sceneArtPath('package-test', 'porch');
+        fs.mkdirSync(path.dirname(canonicalArt), { recursive: true });
+        fs.writeFileSync(canonicalArt, PNG);
+
+        // The other install: its own data dir, so its own signing key
+        const otherData = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-campaign-pkg-other-'));
+        let foreign;
+        jest.isolateModules(() => {
+            process.env.GOOBSTER_DATA_DIR = otherData;
+            const otherPackage = require('@goobster/core/services/tavern/campaignPackage');
+            const fork = { ...draft('package-test-fork-1'), hidden: true, canonicalId: 'package-test' };
+            const forkFiles = filesOf(fork);
+            forkFiles['art/porch.png'] = Buffer.concat([PNG, Buffer.from('theirs')]);
+            foreign = otherPackage.packFiles(forkFiles, {
+                questId: fork.id, title: fork.title, version: '1', author: AUTHOR, forkOf: 'package-test'
+            });
+            process.env.GOOBSTER_DATA_DIR = DATA_DIR;
+        });
+
+        const preview = campaignPackage.stageImport(Buffer.from(JSON.stringify(foreign)));
+        expect(preview.localSigner).toBe(false);
+        expect(preview.manifest.signer.fingerprint).not.toBe(campaignPackage.getSigner().fingerprint);
+        expect(preview.manifest.forkOf).toBe('package-test');
+
+        const { quest, art } = campaignPackage.installStaged(preview.token);
+        expect(quest.hidden).toBe(true);
+        expect(art).toBe(0);
+        expect(fs.readFileSync(canonicalArt)).toEqual(PNG);
+        fs.rmSync(otherData, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,293 @@
+/**
+ * The Tavern market: the opt-in toggle, campaign shops and crafting priced in
+ * the guild currency, completion wages, the ledger rows each one journals,
+ * and the loader's validation of `shop:` / `recipes:` / `wage:`.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-tavern-market-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const marketService = require('@goobster/core/services/tavern/marketService');
+const { missingParts } = require('@goobster/core/services/tavern/marketService');
+const characterService = require('@goobster/core/services/tavern/characterService');
+const economyService = require('@goobster/core/services/economyService');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const { AdventureService } = require('@goobster/core/services/tavern/adventureService');
+const { BOT_CHARACTER } = require('@goobster/core/services/tavern/content');
+const views = require('@goobster/core/utils/tavernViews');
+
+const GUILD = '610000000000000001';
+const CHANNEL = '610000000000000010';
+const ALICE = '610000000000000101';
+const BOT = '610000000000000999';
+
+function rollQueue(...rolls) {
+    const queue = [...rolls];
+    return () => ((queue.length ? queue.shift() : 10) - 1) / 20;
+}
+
+async function makeAlice() {
+    return await characterService.createCharacter({
+        guildId: GUILD, userId: ALICE, name: 'Alice Vell', origin: 'Clockwork pilgrim',
+        calling: 'guide', complication: 'Cannot resist a dare',
+        stats: { might: 0, finesse: 1, wits: 2, heart: 3 }
+    });
+}
+
+async function ledger(type) {
+    return await db.all(
+        'SELECT userId, amount, balanceAfter, type, detail FROM economy_transactions WHERE guildId = @guildId AND type = @type ORDER BY id',
+        { guildId: GUILD, type }
+    );
+}
+
+/** Play rat-problem straight to its management-wins ending. */
+async function finishRatProblem() {
+    const service = new AdventureService(rollQueue());
+    const { adventure } = await service.createParty({ guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE });
+    await service.begin(adventure.id, ALICE);
+    await service.chooseOption(adventure.id, ALICE, 'to-verdict');
+    const result = await service.chooseOption(adventure.id, ALICE, 'side-with-bix');
+    return { adventure, result };
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+});
+
+beforeEach(async () => {
+    await db.run('DELETE FROM tavern_adventure_log');
+    await db.run('DELETE FROM tavern_party_members');
+    await db.run('DELETE FROM tavern_adventures');
+    await db.run('DELETE FROM tavern_characters');
+    await db.run('DELETE FROM tavern_lore');
+    await db.run('DELETE FROM tavern_economy_settings');
+    await db.run('DELETE FROM economy_transactions');
+    await db.run('DELETE FROM economy_wallets');
+});
+
+describe('opt-in toggle', () => {
+    test('closed by default: trade is refused and adventures never touch a wallet', async () => {
+        await makeAlice();
+        expect(await marketService.getSettings(GUILD)).toEqual({ enabled: false, wage: 50 });
+        await expect(marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Lease-Sealed Poultice' }))
+            .rejects.toMatchObject({ code: 'MARKET_CLOSED' });
+
+        const { result } = await finishRatProblem();
+        expect(result.ended.wages).toBeNull();
+        expect(await db.all('SELECT * FROM economy_transactions')).toEqual([]);
+    });
+
+    test('settings keep omitted fields and guard the wage', async () => {
+        expect(await marketService.setSettings({ guildId: GUILD, enabled: true })).toEqual({ enabled: true, wage: 50 });
+        expect(await marketService.setSettings({ guildId: GUILD, wage: 10 })).toEqual({ enabled: true, wage: 10 });
+        await expect(marketService.setSettings({ guildId: GUILD, wage: -1 })).rejects.toMatchObject({ code: 'BAD_WAGE' });
+        expect(await marketService.setSettings({ guildId: GUILD, enabled: false })).toEqual({ enabled: false, wage: 10 });
+    });
+});
+
+describe('shops', () => {
+    beforeEach(async () => {
+        await marketService.setSettings({ guildId: GUILD, enabled: true });
+    });
+
+    test('lists stock from unlocked campaigns only, with default sell prices', async () => {
+        const shops = await marketService.listShops(GUILD);
+        expect(shops).toEqual(expect.arrayContaining([
+            expect.objectContaining({ item: 'Lease-Sealed Poultice', price: 60, sellPrice: 30, questId: 'dungeon-tenant-rights' }),
+            expect.objectContaining({ item: 'Waterlogged Hymnal', price: 40, sellPrice: 15 })
+        ]));
+        // signal-in-the-salt requires Brinewatch first
+        expect(shops.every(entry => entry.questId !== 'signal-in-the-salt')).toBe(true);
+    });
+
+    test('buy and sell move items and points, each journaled in the ledger', async () => {
+        const alice = await makeAlice();
+        const bought = await marketService.buy({ guildId: GUILD, userId: ALICE, item: 'lease-sealed poultice' });
+        expect(bought).toEqual({ item: 'Lease-Sealed Poultice', price: 60, balance: 940, currencyName: 'points' });
+        expect((await characterService.getById(alice.id)).inventory).toEqual(['Lease-Sealed Poultice']);
+
+        const sold = await marketService.sell({ guildId: GUILD, userId: ALICE, item: 'Lease-Sealed Poultice' });
+        expect(sold).toMatchObject({ item: 'Lease-Sealed Poultice', price: 30, balance: 970 });
+        expect((await characterService.getById(alice.id)).inventory).toEqual([]);
+
+        const [buyRow] = await ledger('tavern-buy');
+        expect(buyRow).toMatchObject({ userId: ALICE, amount: -60, balanceAfter: 940 });
+        expect(JSON.parse(buyRow.detail)).toEqual({ item: 'Lease-Sealed Poultice', questId: 'dungeon-tenant-rights' });
+        expect(await ledger('tavern-sell')).toEqual([expect.objectContaining({ amount: 30, balanceAfter: 970 })]);
+    });
+
+    test('refusals leave the pack and the purse untouched', async () => {
+        const alice = await makeAlice();
+        await economyService.adjust({ guildId: GUILD, userId: ALICE, amount: -990, type: 'test' });
+        await expect(marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Lease-Sealed Poultice' }))
+            .rejects.toMatchObject({ name: 'TavernError', code: 'INSUFFICIENT_FUNDS' });
+        expect((await characterService.getById(alice.id)).inventory).toEqual([]);
+
+        await expect(marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Moon Cheese' }))
+            .rejects.toMatchObject({ code: 'NOT_STOCKED' });
+        await expect(marketService.sell({ guildId: GUILD, userId: ALICE, item: 'Waterlogged Hymnal' }))
+            .rejects.toMatchObject({ code: 'NO_ITEM' });
+        // Trophies are not shop goods
+        await characterService.addItem(alice.id, 'Gavel-Dented Coin');
+        await expect(marketService.sell({ guildId: GUILD, userId: ALICE, item: 'Gavel-Dented Coin' }))
+            .rejects.toMatchObject({ code: 'NOT_STOCKED' });
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(10);
+        expect(await ledger('tavern-sell')).toEqual([]);
+    });
+
+    test('a full pack refuses a purchase instead of dropping an old item', async () => {
+        const alice = await makeAlice();
+        for (let i = 0; i < characterService.MAX_INVENTORY_ITEMS; i++) await characterService.addItem(alice.id, `Pebble ${i}`);
+        await expect(marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Waterlogged Hymnal' }))
+            .rejects.toMatchObject({ code: 'PACK_FULL' });
+        expect((await characterService.getById(alice.id)).inventory[0]).toBe('Pebble 0');
+        expect(await ledger('tavern-buy')).toEqual([]);
+    });
+
+    test('two purchases at once cannot overfill the pack', async () => {
+        const alice = await makeAlice();
+        for (let i = 1; i < characterService.MAX_INVENTORY_ITEMS; i++) await characterService.addItem(alice.id, `Pebble ${i}`);
+        const results = await Promise.allSettled([
+            marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Waterlogged Hymnal' }),
+            marketService.buy({ guildId: GUILD, userId: ALICE, item: 'Waterlogged Hymnal' })
+        ]);
+        expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ code: 'PACK_FULL' });
+        const { inventory } = await characterService.getById(alice.id);
+        expect(inventory).toHaveLength(characterService.MAX_INVENTORY_ITEMS);
+        expect(inventory[0]).toBe('Pebble 1');
+        expect(await ledger('tavern-buy')).toHaveLength(1);
+    });
+});
+
+describe('crafting', () => {
+    beforeEach(async () => {
+        await marketService.setSettings({ guildId: GUILD, enabled: true });
+    });
+
+    test('combines the components, charges the fee, and journals it', async () => {
+        const alice = await makeAlice();
+        await characterService.addItem(alice.id, "Deed-Seal of Deed's End");
+        await characterService.addItem(alice.id, 'Brinewatch Bell-Rope');
+        await characterService.addItem(alice.id, 'Pebble of Unresolved Litigation');
+
+        const crafted = await marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'precedent-bound paperweight' });
+        expect(crafted).toMatchObject({ item: 'Precedent-Bound Paperweight', fee: 25, balance: 975 });
+        expect((await characterService.getById(alice.id)).inventory).toEqual(['Brinewatch Bell-Rope', 'Precedent-Bound Paperweight']);
+        const [row] = await ledger('tavern-craft');
+        expect(row).toMatchObject({ amount: -25, balanceAfter: 975 });
+        expect(JSON.parse(row.detail).item).toBe('Precedent-Bound Paperweight');
+    });
+
+    test('free recipes write no ledger row; missing parts are named', async () => {
+        const alice = await makeAlice();
+        await characterService.addItem(alice.id, 'Ceremonial Thimble-Gavel');
+        await expect(marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'Gavel of Small Claims' }))
+            .rejects.toThrow(/missing: Softly Shrieking Bell \(Evidence\)/);
+
+        await characterService.addItem(alice.id, 'Softly Shrieking Bell (Evidence)');
+        const crafted = await marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'Gavel of Small Claims' });
+        expect(crafted).toMatchObject({ item: 'Gavel of Small Claims', fee: 0, balance: null });
+        expect((await characterService.getById(alice.id)).inventory).toEqual(['Gavel of Small Claims']);
+        expect(await ledger('tavern-craft')).toEqual([]);
+        await expect(marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'Perpetual Motion' }))
+            .rejects.toMatchObject({ code: 'NO_RECIPE' });
+    });
+
+    test('two crafts at once cannot spend the same components twice', async () => {
+        const alice = await makeAlice();
+        await characterService.addItem(alice.id, 'Ceremonial Thimble-Gavel');
+        await characterService.addItem(alice.id, 'Softly Shrieking Bell (Evidence)');
+        const results = await Promise.allSettled([
+            marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'Gavel of Small Claims' }),
+            marketService.craft({ guildId: GUILD, userId: ALICE, makes: 'Gavel of Small Claims' })
+        ]);
+        expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ code: 'MISSING_PARTS' });
+        expect((await characterService.getById(alice.id)).inventory).toEqual(['Gavel of Small Claims']);
+    });
+
+    test('duplicate components must all be carried', () => {
+        expect(missingParts(['Bell', 'Rope'], ['bell', 'bell'])).toEqual(['bell']);
+        expect(missingParts(['Bell', 'bell'], ['Bell', 'Bell'])).toEqual([]);
+    });
+});
+
+describe('adventure wages', () => {
+    test('completing a quest pays its wage into each adventurer\'s wallet', async () => {
+        await makeAlice();
+        await marketService.setSettings({ guildId: GUILD, enabled: true });
+        const { adventure, result } = await finishRatProblem();
+
+        expect(result.ended.wages).toEqual({ amount: 25, currencyName: 'points', paid: [ALICE] });
+        const [row] = await ledger('tavern-wage');
+        expect(row).toMatchObject({ userId: ALICE, amount: 25, balanceAfter: 1025 });
+        expect(JSON.parse(row.detail)).toEqual({ adventureId: adventure.id, questId: 'rat-problem', endingId: 'management-wins' });
+        const log = await db.all('SELECT content FROM tavern_adventure_log WHERE adventureId = @id AND kind = \'EVENT\'', { id: adventure.id });
+        expect(log.map(line => line.content).join('\n')).toMatch(/paid 1 adventurer\(s\) 25 points each/);
+
+        const embed = views.endingMessage(questLoader.getQuest('rat-problem'), result.ended).toJSON();
+        expect(embed.fields.find(field => field.name === '💰 Wages').value).toContain(`<@${ALICE}>`);
+    });
+
+    test('the guild default applies when the quest sets none; the Tavern\'s own spirit is unpaid', async () => {
+        await marketService.setSettings({ guildId: GUILD, enabled: true, wage: 40 });
+        const alice = await makeAlice();
+        const bot = { id: 99, origin: BOT_CHARACTER.origin };
+        const wages = await marketService.payWages(
+            { id: 1, guildId: GUILD, questId: 'custom' },
+            { id: 'custom' },
+            [{ userId: ALICE, character: alice }, { userId: BOT, character: bot }, { userId: '1', character: null }],
+            'fin'
+        );
+        expect(wages).toEqual({ amount: 40, currencyName: 'points', paid: [ALICE] });
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(1040);
+        expect(await ledger('tavern-wage')).toHaveLength(1);
+    });
+});
+
+describe('quest validation', () => {
+    const withMarket = fields => ({ ...questLoader.getQuest('rat-problem'), ...fields });
+
+    test('built-in market fields validate', () => {
+        for (const questId of ['dungeon-tenant-rights', 'missing-bell-of-brinewatch', 'rat-problem']) {
+            expect(questLoader.validateQuest(questLoader.getQuest(questId))).toEqual([]);
+        }
+    });
+
+    test('rejects malformed shops, recipes, and wages', () => {
+        const errors = questLoader.validateQuest(withMarket({
+            shop: [
+                { item: 'Rope', price: 10 },
+                { item: 'rope', price: 0, sellPrice: 20 },
+                { price: 5 }
+            ],
+            recipes: [
+                { makes: 'Knot', from: ['Rope'] },
+                { makes: 'Knot', from: ['Rope', 'Rope'], fee: -1 }
+            ],
+            wage: 1.5
+        }));
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringMatching(/shop\[1\]: 'rope' is already stocked/),
+            expect.stringMatching(/shop\[1\]: price must be a whole number/),
+            expect.stringMatching(/shop\[1\]: sellPrice must be a whole number from 0 up to the price/),
+            expect.stringMatching(/shop\[2\]: item must be a name/),
+            expect.stringMatching(/recipes\[0\]: from must list 2-4 item names/),
+            expect.stringMatching(/recipes\[1\]: another recipe already makes 'Knot'/),
+            expect.stringMatching(/recipes\[1\]: fee must be a whole number/),
+            expect.stringMatching(/wage must be a whole number/)
+        ]));
+        expect(questLoader.validateQuest(withMarket({ shop: 'everything' }))).toEqual([
+            expect.stringMatching(/shop must be a list/)
+        ]);
+    });
+});
@@ -0,0 +1,302 @@
+/**
+ * Narrated tables (services/tavern/narratedTableService): who speaks which
+ * line, campaign voices/ambience validation, narrating a live table from
+ * its adventure log (scene beds, checks spoken before the scenes they
+ * cause), and spoken moves routed through the tavernAct tool
+ * (voice/voiceTurnShared).
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-tavern-narration-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const characterService = require('@goobster/core/services/tavern/characterService');
+const { AdventureService } = require('@goobster/core/services/tavern/adventureService');
+const { AMBIENCES, NPCS } = require('@goobster/core/services/tavern/content');
+const narratedTableService = require('@goobster/core/services/tavern/narratedTableService');
+const { NarratedTableService, buildCast, scriptLines, narrationOrder } = narratedTableService;
+const toolsRegistry = require('@goobster/core/utils/toolsRegistry');
+const { takeNarratedActions, playNarratedActions } = require('@goobster/core/services/voice/voiceTurnShared');
+
+const GUILD = '950000000000000001';
+const CHANNEL = '950000000000000010';
+const VOICE_CHANNEL = '950000000000000020';
+const ALICE = '950000000000000101';
+const BOB = '950000000000000102';
+
+function rollQueue(...rolls) {
+    const queue = [...rolls];
+    return () => ((queue.length ? queue.shift() : 10) - 1) / 20;
+}
+
+/** A voice session stand-in plus recording TTS and ambience. */
+function fakeVoice() {
+    const sessions = new Map();
+    const spoken = [];
+    const ambience = [];
+    const voiceSessions = {
+        getSession: guildId => sessions.get(guildId) || null,
+        startSession: jest.fn(async ({ voiceChannel, textChannel, mode }) => {
+            const session = {
+                guildId: GUILD, voiceChannel, textChannel, mode, connection: {},
+                turnBuffer: [], botNames: ['goobster'], responding: false, stopped: false
+            };
+            sessions.set(GUILD, session);
+            return session;
+        }),
+        stopSession: jest.fn(guildId => {
+            const session = sessions.get(guildId);
+            if (session) session.stopped = true;
+            return sessions.delete(guildId);
+        })
+    };
+    const tts = {
+        textToSpeech: jest.fn(async (text, voiceChannel, connection, { voiceId }) => { spoken.push({ text, voiceId }); })
+    };
+    const ambient = {
+        playAmbience: jest.fn(async type => { ambience.push(type); }),
+        stopAmbience: jest.fn()
+    };
+    const service = new NarratedTableService({ voiceSessions, tts: () => tts, createAmbient: () => ambient, pollMs: 60_000 });
+    return { service, voiceSessions, spoken, ambience, ambient };
+}
+
+async function makeCharacters() {
+    await characterService.createCharacter({
+        guildId: GUILD, userId: ALICE, name: 'Alice Vell', origin: 'Clockwork pilgrim',
+        calling: 'guide', complication: 'Cannot resist a dare',
+        stats: { might: 0, finesse: 1, wits: 2, heart: 3 }
+    });
+    await characterService.createCharacter({
+        guildId: GUILD, userId: BOB, name: 'Bob the Door', origin: 'Cursed cookbook heir',
+        calling: 'vanguard', complication: 'Allergic to swords',
+        stats: { might: 3, finesse: 1, wits: 1, heart: 1 }
+    });
+}
+
+/** A live two-member rat-problem table, begun unless `begin` is false. */
+async function liveTable(rolls = [], { begin = true } = {}) {
+    const engine = new AdventureService(rollQueue(...rolls));
+    await makeCharacters();
+    const { adventure } = await engine.createParty({ guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE });
+    await engine.join(adventure.id, BOB);
+    if (begin) await engine.begin(adventure.id, ALICE);
+    return { engine, id: adventure.id };
+}
+
+const voiceChannel = { id: VOICE_CHANNEL, name: 'The Hearth', guild: { id: GUILD } };
+const textChannel = { id: CHANNEL };
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+});
+
+beforeEach(async () => {
+    await db.run('DELETE FROM tavern_adventure_log');
+    await db.run('DELETE FROM tavern_party_members');
+    await db.run('DELETE FROM tavern_adventures');
+    await db.run('DELETE FROM tavern_characters');
+});
+
+describe('casting', () => {
+    test('dialogue goes to the character it belongs to; narration and scare quotes stay with the narrator', () => {
+        const brinewatch = questLoader.getQuest('missing-bell-of-brinewatch');
+        const voices = buildCast(brinewatch);
+        const lines = scriptLines(brinewatch.scenes.crypt.text, voices);
+        expect(lines.map(line => line.voice)).toEqual([null, brinewatch.voices.Maren, null, brinewatch.voices.Maren]);
+        expect(lines[1].text).toBe('It wasn\'t safe up there,');
+        expect(lines[2].text).toBe('she says.');
+
+        const rats = buildCast(questLoader.getQuest('rat-problem'));
+        expect(scriptLines('The chair reads out a cat "of menacing aspect" and sighs.', rats))
+            .toEqual([{ text: 'The chair reads out a cat "of menacing aspect" and sighs.', voice: null }]);
+        // A tag after the quote wins over whoever was named before it
+        expect(scriptLines('Whiskerton bangs the thimble. "Order!" Marnie says. "Thank you."', rats).map(line => line.voice))
+            .toEqual([null, NPCS.marnie.voice, null, NPCS.marnie.voice]);
+        // Nobody to attribute it to: the narrator reads the quote as written
+        expect(scriptLines('The cellar falls quiet. "Well?"', rats)).toEqual([{ text: 'The cellar falls quiet. "Well?"', voice: null }]);
+    });
+
+    test('a campaign can voice its narrator and recast a Tavern resident', () => {
+        const voices = buildCast({ voices: { narrator: 'Brian', Albert: 'George', Pell: 'Bill' } });
+        expect(voices.narrator).toBe('Brian');
+        expect(scriptLines('Albert E. Littlefield waves. "Tea?"', voices)).toEqual([
+            { text: 'Albert E. Littlefield waves.', voice: 'Brian' },
+            { text: 'Tea?', voice: 'George' }
+        ]);
+    });
+});
+
+describe('campaign fields', () => {
+    const draft = () => ({
+        id: 'narration-test', title: 'Narration Test', hook: 'A story, read aloud.', start: 'porch', players: { min: 1, max: 2 },
+        voices: { Pell: 'Bill', narrator: 'JBFqnCBsd6RMkjVDRZzb' },
+        scenes: {
+            porch: { id: 'porch', title: 'The Porch', ambience: 'storm', text: 'Rain.', options: [{ key: 'go', label: 'Go', end: 'done' }] }
+        },
+        endings: { done: { id: 'done', title: 'Done', text: 'Dry at last.' } }
+    });
+
+    test('voices and ambience are validated', () => {
+        expect(questLoader.validateQuest(draft())).toEqual([]);
+
+        const broken = draft();
+        broken.voices = { '<script>': 'Bill', Pell: '' };
+        broken.scenes.porch.ambience = 'disco';
+        const errors = questLoader.validateQuest(broken).join('\n');
+        expect(errors).toMatch(/voice '<script>': names are/);
+        expect(errors).toMatch(/voice 'Pell': needs an ElevenLabs voice/);
+        expect(errors).toMatch(/ambience must be one of/);
+    });
+
+    test('every ambience a scene may name is one the ambient service can play', () => {
+        const AmbientService = require('@goobster/core/services/voice/ambientService');
+        expect(Object.keys(new AmbientService({}).getAmbienceMap()).sort()).toEqual([...AMBIENCES].sort());
+        expect(questLoader.getQuest('missing-bell-of-brinewatch').scenes.crypt.ambience).toBe('cave');
+    });
+});
+
+describe('narrating a table', () => {
+    test('the table opens on its scene, then speaks each new beat once, checks first', async () => {
+        const { engine, id } = await liveTable([20]);
+        const { service, voiceSessions, spoken, ambience } = fakeVoice();
+        const table = await service.start({ adventureId: id, voiceChannel, textChannel, client: {} });
+        expect(voiceSessions.startSession).toHaveBeenCalledWith(expect.objectContaining({ mode: 'polite' }));
+        expect(table.session.tavern).toMatchObject({ adventureId: id, playing: true });
+        expect([...table.session.tavern.memberIds].sort()).toEqual([ALICE, BOB]);
+        await table.queue;
+        expect(ambience).toEqual(['tavern']);
+        expect(spoken[0].text).toBe('The Cellar Hearing.');
+
+        spoken.length = 0;
+        await engine.chooseOption(id, ALICE, 'hear-grievances');
+        await service.poll(GUILD);
+        await table.queue;
+        expect(spoken[0]).toEqual({ text: 'Alice Vell tried "Hear the grievances with a straight face", and it works.', voiceId: null });
+        expect(spoken.map(line => line.text).join(' ')).toMatch(/crumb equity/);
+
+        // Nothing new: nothing said
+        spoken.length = 0;
+        await service.poll(GUILD);
+        await table.queue;
+        expect(spoken).toEqual([]);
+
+        expect(service.stop(GUILD)).toBe(true);
+        expect(voiceSessions.stopSession).toHaveBeenCalledWith(GUILD);
+        expect(table.session.tavern).toBeUndefined();
+    });
+
+    test('a move\'s check is spoken before the scene change and ending it caused', () => {
+        const rows = [
+            { id: 1, kind: 'SCENE', content: 'The party reached "A".', detail: '{"sceneId":"a"}' },
+            { id: 2, kind: 'ACTION', content: 'Bob chose "Wait".' },
+            { id: 3, kind: 'SCENE', content: 'The party reached "B".', detail: '{"sceneId":"b"}' },
+            { id: 4, kind: 'CHECK', content: 'Alice tried "Run" - rolled 9+2 = 11 vs DC 10: success.', detail: '{"sceneId":"a"}' },
+            { id: 5, kind: 'EVENT', content: 'The adventure concluded: Home.' },
+            { id: 6, kind: 'RECAP', content: 'Recap' },
+            { id: 7, kind: 'CHECK', content: 'Bob tried "Hide" - rolled 3+1 = 4 vs DC 10: failure.', detail: '{"sceneId":"b"}' }
+        ];
+        expect(narrationOrder(rows).map(row => row.id)).toEqual([1, 2, 4, 3, 7, 5, 6]);
+    });
+
+    test('narration joins a session already listening at the table, and refuses a busy one', async () => {
+        const { id } = await liveTable([], { begin: false });
+        const { service, voiceSessions, spoken } = fakeVoice();
+        const session = await voiceSessions.startSession({ voiceChannel, textChannel, mode: 'open' });
+        voiceSessions.startSession.mockClear();
+
+        const table = await service.start({ adventureId: id, voiceChannel, textChannel, client: {} });
+        expect(voiceSessions.startSession).not.toHaveBeenCalled();
+        expect(table.session).toBe(session);
+        expect(session.tavern.playing).toBe(false); // still forming: table talk only
+        await table.queue;
+        expect(spoken[0].text).toBe('Rat Problem, Unreasonably Political.');
+        await expect(service.start({ adventureId: id, voiceChannel, textChannel, client: {} }))
+            .rejects.toMatchObject({ code: 'ALREADY_NARRATING' });
+
+        // Stopping the narration leaves the conversation it joined running
+        service.stop(GUILD);
+        expect(voiceSessions.stopSession).not.toHaveBeenCalled();
+
+        const elsewhere = { ...voiceChannel, id: '950000000000000021', name: 'The Cellar' };
+        await expect(service.start({ adventureId: id, voiceChannel: elsewhere, textChannel, client: {} }))
+            .rejects.toMatchObject({ code: 'VOICE_BUSY' });
+    });
+
+    test('a table played by post cannot be narrated', async () => {
+        const engine = new AdventureService(rollQueue());
+        await makeCharacters();
+        const { adventure } = await engine.createParty({
+            guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE, pace: 'POSTED', postHours: 24
+        });
+        const { service } = fakeVoice();
+        await expect(service.start({ adventureId: adventure.id, voiceChannel, textChannel, client: {} }))
+            .rejects.toMatchObject({ code: 'POSTED_TABLE' });
+    });
+
+    test('narration ends after the last words of a finished tale', async () => {
+        const { engine, id } = await liveTable();
+        const { service, voiceSessions, spoken } = fakeVoice();
+        const table = await service.start({ adventureId: id, voiceChannel, textChannel, client: {} });
+        await engine.abandon(id, ALICE);
+        await service.poll(GUILD);
+        expect(spoken.map(line => line.text)).toContain('The adventure was set aside. The Tavern keeps the tab open.');
+        expect(service.getTable(GUILD)).toBeNull();
+        expect(voiceSessions.stopSession).toHaveBeenCalledWith(GUILD);
+        expect(table.stopped).toBe(true);
+    });
+});
+
+describe('spoken moves', () => {
+    const segment = (userId, text) => ({ userId, speakerName: userId, text, at: Date.now(), member: { user: { id: userId } } });
+
+    test('party members\' moves are taken from the turn; table talk and questions for Goobster stay', () => {
+        const session = {
+            botNames: ['goobster'],
+            tavern: { memberIds: new Set([ALICE, BOB]), playing: true },
+            turnBuffer: [
+                segment(ALICE, 'I kick the crate'),
+                segment('950000000000000999', 'I eat a sandwich'),
+                segment(ALICE, 'and then I hide behind it'),
+                segment(BOB, 'Goobster, what does the union want?'),
+                segment(BOB, 'hmm, tough one')
+            ]
+        };
+        const actions = takeNarratedActions(session);
+        expect(actions).toEqual([expect.objectContaining({ userId: ALICE, action: 'I kick the crate' })]);
+        expect(session.turnBuffer.map(s => s.text)).toEqual([
+            'I eat a sandwich', 'and then I hide behind it', 'Goobster, what does the union want?', 'hmm, tough one'
+        ]);
+
+        session.tavern.playing = false;
+        expect(takeNarratedActions({ ...session, turnBuffer: [segment(ALICE, 'I kick the crate')] })).toEqual([]);
+    });
+
+    test('a spoken move is the tavernAct tool for its speaker, and a refusal is spoken', async () => {
+        const execute = jest.spyOn(toolsRegistry, 'execute').mockResolvedValue('🍺 It is not your turn yet.');
+        const say = jest.spyOn(narratedTableService, 'say').mockImplementation(() => {});
+        try {
+            const session = {
+                guildId: GUILD, voiceChannel, textChannel, stopped: false,
+                tavern: { memberIds: new Set([ALICE]), playing: true }
+            };
+            playNarratedActions(session, [{ userId: ALICE, action: 'I kick the crate', segments: [segment(ALICE, 'I kick the crate')] }]);
+            await session.tavern.moves;
+            expect(execute).toHaveBeenCalledWith('tavernAct', {
+                action: 'I kick the crate',
+                interactionContext: expect.objectContaining({ guildId: GUILD, channel: textChannel, user: { id: ALICE } })
+            });
+            expect(say).toHaveBeenCalledWith(GUILD, 'It is not your turn yet.');
+        } finally {
+            execute.mockRestore();
+            say.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Play-by-post adventures (services/tavern/playByPostService): posting
+ * windows and their deadlines, private declarations, resolution in spotlight
+ * order once everyone has posted or time runs out, absentees following the
+ * party, lapsed moves, Spark rerolls posted up front, straggler reminders,
+ * idle tables pausing, pace switches, and recaps dated across days.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-tavern-pbp-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const characterService = require('@goobster/core/services/tavern/characterService');
+const { AdventureService } = require('@goobster/core/services/tavern/adventureService');
+const { PlayByPostService, MAX_IDLE_WINDOWS } = require('@goobster/core/services/tavern/playByPostService');
+
+const GUILD = '940000000000000001';
+const CHANNEL = '940000000000000010';
+const ALICE = '940000000000000101';
+const BOB = '940000000000000102';
+const BOT = '940000000000000999';
+
+const HOUR = 3_600_000;
+const T0 = new Date('2026-10-01T12:00:00Z');
+const at = hours => new Date(T0.getTime() + hours * HOUR);
+
+function rollQueue(...rolls) {
+    const queue = [...rolls];
+    return () => ((queue.length ? queue.shift() : 10) - 1) / 20;
+}
+
+async function makeCharacters() {
+    await characterService.createCharacter({
+        guildId: GUILD, userId: ALICE, name: 'Alice Vell', origin: 'Clockwork pilgrim',
+        calling: 'guide', complication: 'Cannot resist a dare',
+        stats: { might: 0, finesse: 1, wits: 2, heart: 3 }
+    });
+    await characterService.createCharacter({
+        guildId: GUILD, userId: BOB, name: 'Bob the Door', origin: 'Cursed cookbook heir',
+        calling: 'vanguard', complication: 'Allergic to swords',
+        stats: { might: 3, finesse: 1, wits: 1, heart: 1 }
+    });
+}
+
+/** A two-member rat-problem table played by post, begun, with its first window open at T0. */
+async function postedTable(rolls = [], { postHours = 24 } = {}) {
+    const engine = new AdventureService(rollQueue(...rolls));
+    const pbp = new PlayByPostService(engine);
+    await makeCharacters();
+    const { adventure } = await engine.createParty({
+        guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE, pace: 'POSTED', postHours
+    });
+    await engine.join(adventure.id, BOB);
+    await engine.begin(adventure.id, ALICE);
+    const window = await pbp.openWindow(adventure.id, { now: T0 });
+    return { engine, pbp, id: adventure.id, window };
+}
+
+async function logLines(adventureId) {
+    return (await db.all('SELECT content FROM tavern_adventure_log WHERE adventureId = @adventureId ORDER BY id', { adventureId }))
+        .map(row => row.content);
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-shm', '-wal']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+});
+
+beforeEach(async () => {
+    await db.run('DELETE FROM tavern_post_declarations');
+    await db.run('DELETE FROM tavern_post_windows');
+    await db.run('DELETE FROM tavern_adventure_log');
+    await db.run('DELETE FROM tavern_party_members');
+    await db.run('DELETE FROM tavern_adventures');
+    await db.run('DELETE FROM tavern_characters');
+});
+
+describe('pace', () => {
+    test('a party is posted live by default; by post it carries a window length', async () => {
+        const engine = new AdventureService(rollQueue());
+        await makeCharacters();
+        const { adventure } = await engine.createParty({ guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE });
+        expect(adventure).toMatchObject({ pace: 'LIVE', postHours: null });
+        expect(engine.normalizePace('posted')).toEqual({ pace: 'POSTED', postHours: 24 });
+        expect(() => engine.normalizePace('POSTED', 0)).toThrow(/1-168 hours/);
+        expect(() => engine.normalizePace('SOMETIMES')).toThrow(/live or by post/);
+    });
+
+    test('a live table refuses posted moves', async () => {
+        const engine = new AdventureService(rollQueue());
+        const pbp = new PlayByPostService(engine);
+        await makeCharacters();
+        const { adventure } = await engine.createParty({ guildId: GUILD, channelId: CHANNEL, questId: 'rat-problem', userId: ALICE });
+        await engine.begin(adventure.id, ALICE);
+        await expect(pbp.declare(adventure.id, ALICE, { type: 'option', key: 'read-minutes' }))
+            .rejects.toMatchObject({ code: 'NOT_POSTED' });
+    });
+
+    test('only the founder (or a Manage Server override) switches pace; going live cancels the window', async () => {
+        const { pbp, id } = await postedTable();
+        await expect(pbp.setPace(id, BOB, { pace: 'LIVE' })).rejects.toMatchObject({ code: 'NOT_CREATOR' });
+
+        const live = await pbp.setPace(id, ALICE, { pace: 'LIVE' });
+        expect(live.adventure).toMatchObject({ pace: 'LIVE', postHours: null });
+        expect(await pbp.getOpenWindow(id)).toBeNull();
+
+        const posted = await pbp.setPace(id, BOB, { pace: 'POSTED', postHours: 6, force: true, now: T0 });
+        expect(posted.adventure.postHours).toBe(6);
+        expect(posted.window.deadlineAt).toEqual(at(6));
+    });
+});
+
+describe('posting windows', () => {
+    test('a window runs postHours with a reminder at three quarters; moves stay private', async () => {
+        const { pbp, id, window } = await postedTable();
+        expect(window).toMatchObject({ round: 1, sceneId: 'hearing', status: 'OPEN' });
+        expect(window.deadlineAt).toEqual(at(24));
+        expect(window.remindAt).toEqual(at(18));
+        // Opening again is a no-op
+        expect((await pbp.openWindow(id, { now: at(1) })).id).toBe(window.id);
+
+        const before = await logLines(id);
+        const first = await pbp.declare(id, ALICE, { type: 'option', key: 'read-minutes' }, { now: at(1) });
+        expect(first).toMatchObject({ posted: [ALICE], waitingOn: [BOB], ready: false });
+        expect(first.move).toMatchObject({ type: 'option', label: 'Review the union\'s minutes' });
+        // Nothing is played until the round resolves
+        expect(await logLines(id)).toEqual(before);
+
+        // Posting again replaces the move
+        await pbp.declare(id, ALICE, { type: 'option', key: 'hear-grievances' }, { now: at(2) });
+        const rows = await db.all('SELECT action FROM tavern_post_declarations WHERE windowId = @id', { id: window.id });
+        expect(rows).toHaveLength(1);
+        expect(JSON.parse(rows[0].action).key).toBe('hear-grievances');
+    });
+
+    test('illegal moves are refused at posting time', async () => {
+        const { pbp, id } = await postedTable();
+        await expect(pbp.declare(id, ALICE, { type: 'option', key: 'no-such-thing' })).rejects.toMatchObject({ code: 'NO_OPTION' });
+        await expect(pbp.declare(id, ALICE, { type: 'attack', enemyId: 'nobody' })).rejects.toMatchObject({ code: 'NO_ENEMY' });
+        await expect(pbp.declare(id, ALICE, { type: 'dance' })).rejects.toMatchObject({ code: 'BAD_MOVE' });
+        await expect(pbp.declare(id, BOT, { type: 'freeform', text: 'Hello' })).rejects.toMatchObject({ code: 'NOT_MEMBER' });
+    });
+
+    test('once everyone has posted, the round resolves in spotlight order and the next window opens', async () => {
+        // Alice: wits 2 + 15 vs routine; Bob: heart 1 + 15
+        const { pbp, id, window } = await postedTable([15, 15]);
+        await pbp.declare(id, BOB, { type: 'option', key: 'hear-grievances' }, { now: at(1) });
+        const { ready } = await pbp.declare(id, ALICE, { type: 'option', key: 'read-minutes' }, { now: at(2) });
+        expect(ready).toBe(true);
+
+        const round = await pbp.resolveWindow(window.id, { now: at(2) });
+        expect(round.results.map(r => r.userId)).toEqual([ALICE, BOB]);
+        expect(round.results.every(r => r.result.success && r.result.canReroll === false)).toBe(true);
+        expect(round).toMatchObject({ followed: [], lapsed: [], refused: [], ended: null, sceneChanged: false, paused: false });
+        expect(round.window.posts).toBe(2);
+        expect(round.next).toMatchObject({ round: 2, sceneId: 'hearing' });
+        expect(round.next.deadlineAt).toEqual(at(26));
+
+        // A second resolver finds the window already claimed
+        expect(await pbp.resolveWindow(window.id, { now: at(2) })).toBeNull();
+    });
+
+    test('at the deadline, absentees follow the party (no roll, no risk)', async () => {
+        const { engine, pbp, id, window } = await postedTable([15]);
+        await pbp.declare(id, ALICE, { type: 'option', key: 'read-minutes' }, { now: at(1) });
+        const bobBefore = await characterService.getCharacter(GUILD, BOB);
+
+        const early = await pbp.collectDue({ now: at(10) });
+        expect(early.resolutions).toEqual([]);
+        const due = await pbp.collectDue({ now: at(24) });
+        expect(due.resolutions).toEqual([{ windowId: window.id, channelId: CHANNEL }]);
+
+        const round = await pbp.resolveWindow(window.id, { now: at(24) });
+        expect(round.results.map(r => r.userId)).toEqual([ALICE]);
+        expect(round.followed).toEqual([{ userId: BOB, name: 'Bob the Door' }]);
+        expect(await logLines(id)).toContain('Bob the Door followed the party\'s lead.');
+        expect(await characterService.getCharacter(GUILD, BOB)).toEqual(bobBefore);
+        expect((await engine.getAdventure(id)).status).toBe('ACTIVE');
+    });
+
+    test('a move the story has moved past lapses', async () => {
+        const { engine, pbp, id, window } = await postedTable();
+        await pbp.declare(id, ALICE, { type: 'option', key: 'to-verdict' }, { now: at(1) });
+        await pbp.declare(id, BOB, { type: 'option', key: 'read-minutes' }, { now: at(1) });
+
+        const round = await pbp.resolveWindow(window.id, { now: at(1) });
+        expect(round.sceneChanged).toBe(true);
+        expect(round.lapsed).toEqual([{ userId: BOB, name: 'Bob the Door', move: expect.objectContaining({ key: 'read-minutes' }) }]);
+        expect(round.next.sceneId).toBe('verdict');
+        expect((await engine.getAdventure(id)).sceneId).toBe('verdict');
+    });
+
+    test('a check posted with Spark is rerolled once if it fails', async () => {
+        const { pbp, id, window } = await postedTable([1, 20]);
+        const { move } = await pbp.declare(id, ALICE, { type: 'freeform', text: 'I study the minutes closely', stat: 'wits', spark: true }, { now: at(1) });
+        expect(move).toMatchObject({ stat: 'wits', spark: true });
+        await pbp.declare(id, BOB, { type: 'option', key: 'hear-grievances' }, { now: at(1) });
+
+        const round = await pbp.resolveWindow(window.id, { now: at(1) });
+        const alice = round.results.filter(r => r.userId === ALICE);
+        expect(alice.map(r => r.result.success)).toEqual([false, true]);
+        expect(alice[1].move.reroll).toBe(true);
+        expect(alice.every(r => r.result.canReroll === false)).toBe(true);
+    });
+});
+
+describe('reminders and quiet tables', () => {
+    test('stragglers are reminded once, never the bot', async () => {
+        const { engine, pbp, id, window } = await postedTable();
+        const botCharacter = await characterService.createCharacter({
+            guildId: GUILD, userId: BOT, name: 'Goobster', origin: 'The tavern itself',
+            calling: 'guide', complication: 'Is the tavern', stats: { might: 1, finesse: 1, wits: 2, heart: 2 }
+        });
+        await db.run('INSERT INTO tavern_party_members (adventureId, userId, characterId) VALUES (@id, @userId, @characterId)',
+            { id, userId: BOT, characterId: botCharacter.id });
+        await pbp.declare(id, ALICE, { type: 'option', key: 'read-minutes' }, { now: at(1), botUserId: BOT });
+
+        expect((await pbp.collectDue({ now: at(17), botUserId: BOT })).reminders).toEqual([]);
+        const { reminders } = await pbp.collectDue({ now: at(18), botUserId: BOT });
+        expect(reminders).toHaveLength(1);
+        expect(reminders[0]).toMatchObject({ waitingOn: [BOB], posted: [ALICE] });
+        expect(reminders[0].window.id).toBe(window.id);
+        expect((await pbp.collectDue({ now: at(19), botUserId: BOT })).reminders).toEqual([]);
+
+        // The bot is never waited on: Bob's post makes the table ready
+        const { ready } = await pbp.declare(id, BOB, { type: 'option', key: 'hear-grievances' }, { now: at(20), botUserId: BOT });
+        expect(ready).toBe(true);
+        expect((await pbp.collectDue({ now: at(20), botUserId: BOT })).resolutions).toHaveLength(1);
+        expect((await engine.getAdventure(id)).status).toBe('ACTIVE');
+    });
+
+    test(`after ${MAX_IDLE_WINDOWS} silent rounds the windows pause until someone posts`, async () => {
+        const { pbp, id, window } = await postedTable();
+        let current = window;
+        let round;
+        for (let i = 0; i < MAX_IDLE_WINDOWS; i++) {
+            round = await pbp.resolveWindow(current.id, { now: at(24 * (i + 1)) });
+            current = round.next;
+        }
+        expect(round).toMatchObject({ paused: true, next: null });
+        expect(round.followed).toHaveLength(2);
+        expect(await pbp.getOpenWindow(id)).toBeNull();
+
+        const { window: reopened } = await pbp.declare(id, BOB, { type: 'option', key: 'read-minutes' }, { now: at(100) });
+        expect(reopened).toMatchObject({ status: 'OPEN', round: MAX_IDLE_WINDOWS + 1 });
+    });
+
+    test('windows of an adventure that ended or was abandoned are cancelled', async () => {
+        const { engine, pbp, id, window } = await postedTable();
+        await engine.abandon(id, ALICE);
+        expect(await pbp.collectDue({ now: at(48) })).toEqual({ reminders: [], resolutions: [] });
+        expect((await db.get('SELECT status FROM tavern_post_windows WHERE id = @id', { id: window.id })).status).toBe('CANCELLED');
+    });
+});
+
+describe('bridging the gaps', () => {
+    test('"Previously" carries the last beats; a recap spanning days is dated', async () => {
+        const { engine, pbp, id, window } = await postedTable([15, 15]);
+        await pbp.declare(id, ALICE, { type: 'option', key: 'read-minutes' }, { now: at(1) });
+        await pbp.declare(id, BOB, { type: 'option', key: 'hear-grievances' }, { now: at(1) });
+        await pbp.resolveWindow(window.id, { now: at(1) });
+
+        const previously = await pbp.previously(id, { limit: 2 });
+        expect(previously.split('\n')).toHaveLength(2);
+        expect(previously).toMatch(/^• /);
+
+        // Push the opening beats back two days
+        const first = await db.get('SELECT MIN(id) AS id FROM tavern_adventure_log WHERE adventureId = @id', { id });
+        await db.run('UPDATE tavern_adventure_log SET createdAt = @createdAt WHERE id = @rowId',
+            { createdAt: '2026-09-29 20:00:00', rowId: first.id });
+        const recap = await engine.buildRecap(id);
+        expect(recap).toMatch(/\*— 2026-09-29 —\*/);
+        expect(recap.match(/\*— \d{4}-\d{2}-\d{2} —\*/g)).toHaveLength(2);
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Tests for hold'em tournaments: the pure arithmetic in
+ * services/tableGames/tournamentMath.js, and the TournamentDirector on top of
+ * a real TableManager - buy-ins, auto-start, busts and payouts, balancing,
+ * cancellation, and restart recovery - against a throwaway SQLite database.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-tournaments-test-${process.pid}.sqlite`);
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+
+const db = require('@goobster/core/db');
+const economyService = require('@goobster/core/services/economyService');
+const holdemEngine = require('@goobster/core/services/tableGames/holdem');
+const tournamentMath = require('@goobster/core/services/tableGames/tournamentMath');
+const { TableManager } = require('@goobster/core/services/tableGames/tableManager');
+const { TournamentDirector, tableChannelId } = require('@goobster/core/services/tableGames/tournaments');
+
+const GUILD = '710000000000000001';
+const CHANNEL = '710000000000000002';
+const ALICE = '710000000000000011';
+const BOB = '710000000000000012';
+const CAROL = '710000000000000013';
+const DAVE = '710000000000000014';
+
+// Identity shuffle: the seat draw keeps registration order and the deck
+// pops A♣, K♣, Q♣, J♣, 10♣ ... so the button's player makes a straight flush
+const identityRng = () => 0.999999;
+
+describe('tournament arithmetic', () => {
+    test('payouts always sum to the pool and pay fewer places than entrants', () => {
+        expect(tournamentMath.payouts(2, 200)).toEqual([200]);
+        expect(tournamentMath.payouts(6, 600)).toEqual([390, 210]);
+        const nine = tournamentMath.payouts(9, 1001);
+        expect(nine).toHaveLength(3);
+        expect(nine.reduce((sum, a) => sum + a, 0)).toBe(1001);
+        expect(tournamentMath.payouts(3, 0)).toEqual([]);
+    });
+
+    test('blinds scale with the starting stack and stay even', () => {
+        expect(tournamentMath.bigBlind(0)).toBe(20);
+        expect(tournamentMath.bigBlind(0, 3000)).toBe(40);
+        expect(tournamentMath.bigBlind(0, 100)).toBe(2);
+        const last = tournamentMath.BLIND_LEVELS.length - 1;
+        expect(tournamentMath.bigBlind(last + 1)).toBe(tournamentMath.bigBlind(last) * 2);
+    });
+
+    test('the seat draw spreads the field evenly', () => {
+        const tables = tournamentMath.seatDraw(['a', 'b', 'c', 'd', 'e', 'f', 'g'], 6, identityRng);
+        expect(tables.map(t => t.length)).toEqual([4, 3]);
+    });
+
+    test('rebalancing breaks a short table once the field fits on fewer', () => {
+        const moves = tournamentMath.rebalance({
+            tableSize: 6,
+            tables: [
+                { tableNo: 1, count: 5, movable: true },
+                { tableNo: 2, count: 4, movable: true },
+                { tableNo: 3, count: 3, movable: true }
+            ]
+        });
+        expect(moves).toEqual([{ from: 3, to: 2 }, { from: 3, to: 1 }, { from: 3, to: 2 }]);
+    });
+
+    test('rebalancing evens out tables but never moves from a table mid-hand', () => {
+        const tables = [
+            { tableNo: 1, count: 6, movable: true },
+            { tableNo: 2, count: 6, movable: false },
+            { tableNo: 3, count: 3, movable: true }
+        ];
+        expect(tournamentMath.rebalance({ tableSize: 6, tables })).toEqual([{ from: 1, to: 3 }]);
+        tables[0].movable = false;
+        expect(tournamentMath.rebalance({ tableSize: 6, tables })).toEqual([]);
+    });
+
+    test('players busting in the same hand place by their starting stacks', () => {
+        const places = tournamentMath.bustPlaces([
+            { userId: 'small', startStack: 100 },
+            { userId: 'big', startStack: 900 }
+        ], 5);
+        expect(places).toEqual([{ userId: 'big', place: 4 }, { userId: 'small', place: 5 }]);
+    });
+});
+
+describe('the tournament director', () => {
+    let manager;
+    let director;
+
+    beforeEach(async () => {
+        for (const table of ['economy_wallets', 'economy_transactions', 'economy_settings', 'table_games', 'tournament_entries', 'tournaments']) {
+            await db.run(`DELETE FROM ${table}`);
+        }
+        const original = holdemEngine.applyAction.bind(holdemEngine);
+        jest.spyOn(holdemEngine, 'applyAction').mockImplementation((state, action) => original(state, action, identityRng));
+        manager = new TableManager();
+        director = new TournamentDirector({ tableManager: manager, rng: identityRng });
+    });
+
+    afterEach(() => {
+        manager.stop();
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await db.closeConnection();
+        for (const suffix of ['', '-wal', '-shm']) {
+            fs.rmSync(TEST_DB + suffix, { force: true });
+        }
+    });
+
+    async function sitAndGo({ players = 2, buyIn = 100 } = {}) {
+        return director.create({ guildId: GUILD, channelId: CHANNEL, createdBy: ALICE, format: 'SNG', buyIn, maxPlayers: players });
+    }
+
+    const tableOf = (tournamentId, tableNo = 1) => manager.tables.get(`${GUILD}:${tableChannelId(tournamentId, tableNo)}`);
+    const stackOf = (table, userId) => table.state.seats.find(s => s && s.userId === userId).stack;
+
+    test('registering pays the buy-in into the pool; a full sit-and-go starts itself', async () => {
+        const tournament = await sitAndGo();
+        const first = await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE, name: 'Alice' });
+        expect(first.started).toBe(false);
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(900);
+        await expect(director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE }))
+            .rejects.toMatchObject({ code: 'ALREADY_REGISTERED' });
+
+        const second = await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: BOB, name: 'Bob' });
+        expect(second.started).toBe(true);
+        expect(second.tournament).toMatchObject({ status: 'RUNNING', prizePool: 200 });
+
+        const table = tableOf(tournament.id);
+        expect(stackOf(table, ALICE)).toBe(1500);
+        expect(table.state.minBet).toBe(20);
+        await expect(director.register({ guildId: GUILD, tournamentId: tournament.id, userId: CAROL }))
+            .rejects.toMatchObject({ code: 'NOT_REGISTERING' });
+    });
+
+    test('the last player standing wins the pool', async () => {
+        const tournament = await sitAndGo();
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE, name: 'Alice' });
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: BOB, name: 'Bob' });
+        const table = tableOf(tournament.id);
+
+        await manager.act({ table, userId: ALICE, action: 'deal' });
+        await manager.act({ table, userId: ALICE, action: 'bet', amount: 1500 });
+        await manager.act({ table, userId: BOB, action: 'call' });
+        expect(stackOf(table, BOB)).toBe(0);
+        await manager.act({ table, action: 'next-hand', system: true });
+
+        const standings = await director.standings({ guildId: GUILD, tournamentId: tournament.id });
+        expect(standings.tournament.status).toBe('FINISHED');
+        expect(standings.finished.map(e => [e.userId, e.place, e.prize])).toEqual([[ALICE, 1, 200], [BOB, 2, 0]]);
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(1100);
+        expect(await economyService.getBalance(GUILD, BOB)).toBe(900);
+        expect(tableOf(tournament.id)).toBeUndefined();
+        expect(await db.all('SELECT 1 FROM table_games')).toHaveLength(0);
+    });
+
+    test('a short table breaks into the others between hands', async () => {
+        const tournament = await director.create({
+            guildId: GUILD, channelId: CHANNEL, createdBy: ALICE, format: 'MTT', buyIn: 0, tableSize: 3
+        });
+        for (const userId of [ALICE, BOB, CAROL, DAVE]) {
+            await director.register({ guildId: GUILD, tournamentId: tournament.id, userId, name: userId.slice(-2) });
+        }
+        await expect(director.start({ guildId: GUILD, tournamentId: tournament.id, byUserId: BOB }))
+            .rejects.toMatchObject({ code: 'NOT_ORGANIZER' });
+        await director.start({ guildId: GUILD, tournamentId: tournament.id, byUserId: ALICE });
+
+        // Round-robin draw: table 1 has Alice and Carol, table 2 Bob and Dave
+        const first = tableOf(tournament.id, 1);
+        expect(first.state.seats.filter(Boolean).map(s => s.userId)).toEqual([ALICE, CAROL]);
+        await manager.act({ table: first, userId: ALICE, action: 'deal' });
+        await manager.act({ table: first, userId: ALICE, action: 'bet', amount: 1500 });
+        await manager.act({ table: first, userId: CAROL, action: 'call' });
+        await manager.act({ table: first, action: 'next-hand', system: true });
+
+        expect(tableOf(tournament.id, 1)).toBeUndefined();
+        const second = tableOf(tournament.id, 2);
+        expect(second.state.seats.filter(Boolean).map(s => s.userId)).toEqual([BOB, DAVE, ALICE]);
+        expect(stackOf(second, ALICE)).toBe(3000);
+        const standings = await director.standings({ guildId: GUILD, tournamentId: tournament.id });
+        expect(standings.finished).toEqual([expect.objectContaining({ userId: CAROL, place: 4 })]);
+        expect(standings.tables).toBe(1);
+    });
+
+    test('a move whose sit fails leaves the player at their table, in memory and on disk', async () => {
+        const tournament = await director.create({
+            guildId: GUILD, channelId: CHANNEL, createdBy: ALICE, format: 'MTT', buyIn: 0, tableSize: 3
+        });
+        for (const userId of [ALICE, BOB, CAROL, DAVE]) {
+            await director.register({ guildId: GUILD, tournamentId: tournament.id, userId, name: userId.slice(-2) });
+        }
+        await director.start({ guildId: GUILD, tournamentId: tournament.id, byUserId: ALICE });
+        manager.addCommitHook({
+            during: (table, transition) => {
+                if (transition.action.action === 'sit') throw new Error('disk full');
+            }
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const first = tableOf(tournament.id, 1);
+        await manager.act({ table: first, userId: ALICE, action: 'deal' });
+        await manager.act({ table: first, userId: ALICE, action: 'bet', amount: 1500 });
+        await manager.act({ table: first, userId: CAROL, action: 'call' });
+        await manager.act({ table: first, action: 'next-hand', system: true });
+
+        const seated = state => state.seats.filter(Boolean).map(s => s.userId);
+        const journaled = async tableNo => JSON.parse((await db.get(
+            'SELECT state FROM table_games WHERE channelId = @channelId',
+            { channelId: tableChannelId(tournament.id, tableNo) }
+        )).state);
+        expect(seated(tableOf(tournament.id, 1).state)).toEqual([ALICE]);
+        expect(seated(tableOf(tournament.id, 2).state)).toEqual([BOB, DAVE]);
+        expect(seated(await journaled(1))).toEqual([ALICE]);
+        expect(seated(await journaled(2))).toEqual([BOB, DAVE]);
+    });
+
+    test('cancelling refunds every buy-in', async () => {
+        const tournament = await sitAndGo({ players: 3 });
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE });
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: BOB });
+        await expect(director.cancel({ guildId: GUILD, tournamentId: tournament.id, byUserId: BOB }))
+            .rejects.toMatchObject({ code: 'NOT_ORGANIZER' });
+
+        const { tournament: cancelled, refunded } = await director.cancel({ guildId: GUILD, tournamentId: tournament.id, byUserId: ALICE });
+        expect(refunded).toBe(2);
+        expect(cancelled).toMatchObject({ status: 'CANCELLED', prizePool: 0 });
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(1000);
+        expect(await economyService.getBalance(GUILD, BOB)).toBe(1000);
+    });
+
+    test('a restart resumes a running tournament with the unfinished hand rolled back', async () => {
+        const tournament = await sitAndGo();
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE });
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: BOB });
+        const table = tableOf(tournament.id);
+        await manager.act({ table, userId: ALICE, action: 'deal' });
+        await manager.act({ table, userId: ALICE, action: 'bet', amount: 60 });
+        manager.stop();
+
+        manager = new TableManager();
+        director = new TournamentDirector({ tableManager: manager, rng: identityRng });
+        expect((await manager.recoverFromJournal()).tables).toBe(0);
+        expect(await director.recover()).toEqual({ resumed: 1, refunded: 0 });
+
+        const resumed = tableOf(tournament.id);
+        expect(resumed.state.phase).toBe('waiting');
+        expect(stackOf(resumed, ALICE)).toBe(1500);
+        expect(stackOf(resumed, BOB)).toBe(1500);
+        expect(manager.schedules.has(`tournament-${tournament.id}-level`)).toBe(true);
+    });
+
+    test('a restart that lost a table refunds the tournament', async () => {
+        const tournament = await sitAndGo();
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: ALICE });
+        await director.register({ guildId: GUILD, tournamentId: tournament.id, userId: BOB });
+        manager.stop();
+        await db.run('DELETE FROM table_games');
+
+        manager = new TableManager();
+        director = new TournamentDirector({ tableManager: manager, rng: identityRng });
+        expect(await director.recover()).toEqual({ resumed: 0, refunded: 1 });
+        const after = await director.get(GUILD, tournament.id);
+        expect(after).toMatchObject({ status: 'CANCELLED', cancelReason: 'restart-recovery' });
+        expect(await economyService.getBalance(GUILD, ALICE)).toBe(1000);
+    });
+});
@@ -1150,6 +1150,17 @@ describe('companion home, constellation, workshop, forget', () => {
         expect(res.status).toBe(400);
         expect(res.json.error.code).toBe('BAD_CONFIRM');
     });
+
+    test('POST /api/app/privacy/export requires a session', async () => {
+        const res = await request({ method: 'POST', reqPath: '/api/app/privacy/export' });
+        expect(res.status).toBe(401);
+    });
+
+    test('an unknown export download link is a plain 404', async () => {
+        const res = await request({ reqPath: `/app/export/${'a'.repeat(64)}` });
+        expect(res.status).toBe(404);
+        expect(res.json.error.code).toBe('NOT_FOUND');
+    });
 });
 
 describe('static client', () => {
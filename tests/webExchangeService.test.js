@@ -27,6 +27,7 @@ jest.mock('@goobster/core/services/stockService', () => {
     return {
         StockError,
         HISTORY_RANGES: ['1mo', '3mo', '6mo', '1y'],
+        now: () => new Date(),
         normalizeSymbol: (symbol) => String(symbol || '').trim().toUpperCase(),
         getQuote: jest.fn(async (symbol) => {
             const normalized = String(symbol || '').trim().toUpperCase();
@@ -331,3 +332,50 @@ describe('leaderboard', () => {
         expect(board.currencyName).toBeTruthy();
     });
 });
+
+describe('risk', () => {
+    test('reports book greeks with the caller broken out, and refuses a scenario it cannot read', async () => {
+        await fund(1_000);
+        await webExchangeService.tradeStock({
+            client, guildId: GUILD, userId: USER, side: 'buy', symbol: 'AAPL', units: 2
+        });
+        const report = await webExchangeService.risk({ client, guildId: GUILD, userId: USER, scenario: 'AAPL -10%' });
+        expect(report.mine.deltaDollars).toBeCloseTo(2 * PRICE, 6);
+        expect(report.greeks).toEqual([expect.objectContaining({ symbol: 'AAPL', delta: 2 })]);
+        // Quotes are mocked, so nothing was cached to replay
+        expect(report.var).toBeNull();
+        expect(report.missingHistory).toEqual(['AAPL']);
+        // A paid-for long cannot be called
+        expect(report.scenario.outcomes[0].pl).toBeCloseTo(-0.1 * 2 * PRICE, 6);
+        expect(report.scenario.atRisk).toEqual([]);
+
+        await expect(webExchangeService.risk({ client, guildId: GUILD, userId: USER, scenario: 'moon it' }))
+            .rejects.toMatchObject({ status: 400, code: 'BAD_SCENARIO' });
+    });
+});
+
+describe('timeline', () => {
+    test('exports the caller\'s own stream, gates the whole server, and replays cleanly', async () => {
+        await fund(1_000);
+        await webExchangeService.tradeStock({
+            client, guildId: GUILD, userId: USER, side: 'buy', symbol: 'AAPL', units: 2
+        });
+
+        const csv = await webExchangeService.timelineExport({ client, guildId: GUILD, userId: USER, format: 'csv' });
+        expect(csv.contentType).toMatch(/^text\/csv/);
+        expect(csv.filename).toBe(`timeline_${USER}.csv`);
+        expect(csv.body.split('\r\n')[0]).toBe('at,source,id,userId,kind,symbol,amount,balanceAfter,quotePrice,quoteSource,quoteAsOf,detail');
+        expect(csv.body).toContain(',stock-buy,AAPL,');
+
+        await expect(webExchangeService.timelineExport({ client, guildId: GUILD, userId: USER, scope: 'guild' }))
+            .rejects.toMatchObject({ status: 403, code: 'FORBIDDEN' });
+        await expect(webExchangeService.timelineExport({ client, guildId: GUILD, userId: USER, format: 'xml' }))
+            .rejects.toMatchObject({ status: 400, code: 'BAD_FORMAT' });
+
+        const replay = await webExchangeService.replay({ client, guildId: GUILD, userId: USER, at: new Date().toISOString() });
+        expect(replay.state.longs).toEqual({ AAPL: 2 });
+        expect(replay.drift).toEqual([]);
+        await expect(webExchangeService.replay({ client, guildId: GUILD, userId: USER, at: 'last tuesday' }))
+            .rejects.toMatchObject({ status: 400, code: 'BAD_TIME' });
+    });
+});
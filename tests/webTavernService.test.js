@@ -0,0 +1,228 @@
+/**
+ * The portal's Tavern campaign editor (services/webTavernService): the
+ * Manage Server gate, live validation + lint of drafts, saving drafts as the
+ * YAML directory the loader reads back, and the test-play sandbox - the real
+ * adventure engine in a transaction that is always rolled back.
+ */
+const path = require('node:path');
+const os = require('node:os');
+const fs = require('node:fs');
+
+const TEST_DB = path.join(os.tmpdir(), `goobster-webtavern-test-${process.pid}.sqlite`);
+const TEST_CAMPAIGNS = fs.mkdtempSync(path.join(os.tmpdir(), 'goobster-webtavern-campaigns-'));
+process.env.GOOBSTER_DB_PATH = TEST_DB;
+process.env.GOOBSTER_TAVERN_CAMPAIGNS_DIR = TEST_CAMPAIGNS;
+
+const db = require('@goobster/core/db');
+const questLoader = require('@goobster/core/services/tavern/questLoader');
+const webTavernService = require('@goobster/core/services/webTavernService');
+
+const GUILD = '930000000000000001';
+const ADMIN = '930000000000000101';
+const PLAYER = '930000000000000102';
+const OUTSIDER = '930000000000000103';
+
+const gateway = {
+    isGoobsterGateway: true,
+    getGuildMember: async (guildId, userId) => ({
+        guild: guildId === GUILD ? { id: GUILD, name: 'Test Guild' } : null,
+        member: guildId === GUILD && userId !== OUTSIDER
+            ? { id: userId, displayName: userId, username: userId, bot: false, permissions: [] }
+            : null
+    }),
+    memberHasPermission: async (guildId, userId, permission) => permission === 'ManageGuild' && userId === ADMIN
+};
+
+const scope = (userId = ADMIN) => ({ gateway, guildId: GUILD, userId });
+
+/** A small campaign: pick the lock (progress fills -> the hall) or walk away. */
+function draft() {
+    return {
+        id: 'editor-test',
+        title: 'The Editor Test',
+        hook: 'A door, a bell, a decision.',
+        players: { min: 1, max: 4 },
+        clocks: [
+            { id: 'way-in', name: 'Getting In', size: 2, kind: 'progress', onFull: { goto: 'hall' } },
+            { id: 'alarm', name: 'Alarm', size: 3, kind: 'danger', onFull: { end: 'caught' } }
+        ],
+        start: 'door',
+        scenes: {
+            door: {
+                title: 'The Door',
+                text: 'A locked door with a very smug lock.',
+                options: [
+                    {
+                        key: 'pick', label: 'Pick the lock', stat: 'finesse', dc: 'challenging',
+                        success: { text: 'Click.', effects: { clock: { id: 'way-in', delta: 2 } } },
+                        failure: { text: 'Clank.', effects: { clock: { id: 'alarm', delta: 1 } } }
+                    },
+                    { key: 'leave', label: 'Walk away', end: 'home' }
+                ]
+            },
+            hall: {
+                title: 'The Hall',
+                text: 'Inside, a bell waits.',
+                options: [{ key: 'ring', label: 'Ring the bell', end: 'triumph' }]
+            }
+        },
+        endings: {
+            triumph: {
+                title: 'Triumph', text: 'The bell rings out.', trophy: 'Bell Clapper',
+                world: [{ kind: 'artifact', name: 'The Editor Bell', text: 'It rang once, in a test.' }]
+            },
+            home: { title: 'Home', text: 'You went home.', trophy: 'Comfy Slippers' },
+            caught: { title: 'Caught', text: 'The guards were unamused.', trophy: 'Wanted Poster' }
+        }
+    };
+}
+
+async function count(table) {
+    return (await db.get(`SELECT COUNT(*) AS n FROM ${table}`)).n;
+}
+
+afterAll(async () => {
+    await db.closeConnection();
+    for (const suffix of ['', '-wal', '-shm']) {
+        try { fs.unlinkSync(TEST_DB + suffix); } catch { /* already gone */ }
+    }
+    fs.rmSync(TEST_CAMPAIGNS, { recursive: true, force: true });
+});
+
+describe('access', () => {
+    test('a non-member is refused, and a member without Manage Server too', async () => {
+        await expect(webTavernService.listCampaigns(scope(OUTSIDER)))
+            .rejects.toMatchObject({ status: 403, code: 'NOT_A_MEMBER' });
+        await expect(webTavernService.check({ ...scope(PLAYER), quest: draft() }))
+            .rejects.toMatchObject({ status: 403, code: 'FORBIDDEN' });
+    });
+
+    test('the campaign list carries the vocabulary the forms are built from', async () => {
+        const { campaigns, vocabulary } = await webTavernService.listCampaigns(scope());
+        expect(campaigns.map(c => c.id)).toContain('rat-problem');
+        expect(vocabulary.effects).toEqual(questLoader.EFFECT_KEYS);
+        expect(vocabulary.stats).toEqual(['might', 'finesse', 'wits', 'heart']);
+        expect(vocabulary.limits.optionsPerScene).toBeGreaterThan(0);
+    });
+
+    test('a loaded campaign opens as a draft; an unknown one is a 404', async () => {
+        const { quest, source } = await webTavernService.getCampaign({ ...scope(), questId: 'rat-problem' });
+        expect(source).toBe('built-in');
+        expect(quest.source).toBeUndefined();
+        expect(questLoader.validateQuest(quest)).toEqual([]);
+        await expect(webTavernService.getCampaign({ ...scope(), questId: 'no-such-quest' }))
+            .rejects.toMatchObject({ status: 404, code: 'NO_QUEST' });
+    });
+});
+
+describe('validation', () => {
+    test('loader errors come back without a lint report', async () => {
+        const broken = draft();
+        broken.scenes.hall.options[0].end = 'nowhere';
+        broken.scenes.door.options[0].success.effects.teleport = 'moon';
+        const result = await webTavernService.check({ ...scope(), quest: broken });
+        expect(result.valid).toBe(false);
+        expect(result.lint).toBeNull();
+        expect(result.errors.join('\n')).toMatch(/unknown ending 'nowhere'/);
+        expect(result.errors.join('\n')).toMatch(/unknown effect 'teleport'/);
+    });
+
+    test('a valid draft is linted as a story graph', async () => {
+        const orphaned = draft();
+        orphaned.scenes.cellar = { title: 'Cellar', text: 'Nobody comes here.', options: [{ key: 'up', label: 'Up', goto: 'door' }] };
+        const result = await webTavernService.check({ ...scope(), quest: orphaned });
+        expect(result.valid).toBe(true);
+        expect(result.lint.findings.map(f => f.code)).toContain('unreachable-scene');
+    });
+
+    test('a malformed shape is an error, not a crash', async () => {
+        const result = await webTavernService.check({ ...scope(), quest: { ...draft(), scenes: 'nope', clocks: 'nope' } });
+        expect(result.valid).toBe(false);
+        await expect(webTavernService.check({ ...scope(), quest: 'nope' }))
+            .rejects.toMatchObject({ status: 400, code: 'BAD_DRAFT' });
+    });
+});
+
+describe('saving', () => {
+    test('an invalid draft is refused and nothing is written', async () => {
+        const broken = draft();
+        broken.start = 'attic';
+        await expect(webTavernService.save({ ...scope(), quest: broken }))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_CAMPAIGN', details: { errors: expect.any(Array) } });
+        expect(fs.existsSync(path.join(TEST_CAMPAIGNS, 'editor-test'))).toBe(false);
+    });
+
+    test('a saved draft is YAML the loader reads back, and renamed scenes leave no stale file', async () => {
+        const saved = await webTavernService.save({ ...scope(), quest: draft() });
+        expect(saved).toMatchObject({ questId: 'editor-test', overridesBuiltIn: false });
+
+        const dir = path.join(TEST_CAMPAIGNS, 'editor-test');
+        const loaded = questLoader.loadCampaignDir(dir);
+        expect(questLoader.validateQuest(loaded)).toEqual([]);
+        expect(loaded.scenes.door.options[0].success.effects).toEqual({ clock: { id: 'way-in', delta: 2 } });
+        expect(questLoader.getQuest('editor-test').source).toBe('custom');
+
+        const renamed = draft();
+        renamed.scenes.atrium = renamed.scenes.hall;
+        delete renamed.scenes.hall;
+        renamed.clocks[0].onFull = { goto: 'atrium' };
+        await webTavernService.save({ ...scope(), quest: renamed });
+        expect(fs.readdirSync(path.join(dir, 'scenes')).sort()).toEqual(['atrium.yaml', 'door.yaml']);
+        expect(Object.keys(questLoader.getQuest('editor-test').scenes).sort()).toEqual(['atrium', 'door']);
+    });
+});
+
+describe('test-play sandbox', () => {
+    test('a forced roll plays a branch to its ending, and nothing persists', async () => {
+        const run = await webTavernService.playtest({
+            ...scope(),
+            quest: draft(),
+            moves: [{ type: 'option', key: 'pick', roll: 20 }, { type: 'option', key: 'ring' }]
+        });
+        expect(run.frames).toHaveLength(3);
+        expect(run.frames[0].state).toMatchObject({ status: 'ACTIVE', sceneId: 'door' });
+        expect(run.frames[0].state.options.map(o => o.key)).toEqual(['pick', 'leave']);
+
+        const [, pick, ring] = run.frames;
+        expect(pick.result).toMatchObject({ kind: 'check', roll: 20, success: true });
+        expect(pick.state.sceneId).toBe('hall');
+        expect(pick.state.clocks.find(c => c.id === 'way-in').value).toBe(2);
+        expect(ring.result.ended).toEqual({ id: 'triumph', title: 'Triumph' });
+        expect(ring.state.status).toBe('COMPLETED');
+        expect(run.stoppedAt).toBeNull();
+
+        // Characters, the adventure, the trophy's owner, and the ending's lore all rolled back
+        for (const table of ['tavern_characters', 'tavern_adventures', 'tavern_party_members', 'tavern_adventure_log', 'tavern_lore']) {
+            expect(await count(table)).toBe(0);
+        }
+    });
+
+    test('the same seed replays the same run', async () => {
+        const moves = [{ type: 'option', key: 'pick' }, { type: 'option', key: 'pick' }, { type: 'option', key: 'pick' }];
+        const first = await webTavernService.playtest({ ...scope(), quest: draft(), moves, seed: 'replay', partySize: 2 });
+        const second = await webTavernService.playtest({ ...scope(), quest: draft(), moves, seed: 'replay', partySize: 2 });
+        expect(second).toEqual(first);
+        expect(first.partySize).toBe(2);
+        expect(first.frames[1].move.seat).toBe(1);
+        expect(first.frames[2].move.seat).toBe(2);
+    });
+
+    test('a refused move stops the run with its error on the frame', async () => {
+        const run = await webTavernService.playtest({
+            ...scope(),
+            quest: draft(),
+            moves: [{ type: 'option', key: 'ring' }, { type: 'option', key: 'leave' }]
+        });
+        expect(run.stoppedAt).toBe(1);
+        expect(run.frames).toHaveLength(2);
+        expect(run.frames[1].error).toMatch(/not available/);
+        expect(run.frames[1].state.sceneId).toBe('door');
+    });
+
+    test('a draft with loader errors is not played', async () => {
+        const broken = draft();
+        delete broken.endings.home;
+        await expect(webTavernService.playtest({ ...scope(), quest: broken, moves: [] }))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_CAMPAIGN' });
+    });
+});